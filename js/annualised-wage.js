@@ -0,0 +1,284 @@
+// ============================================================================
+// ANNUALISED WAGE — reconciling an annualised salary against the award
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+// Depends on js/shift-costing.js (costShift), which loads before it.
+//
+// reconcileAnnualisedWage(arrangement, shifts, rates, opts) takes the written
+// arrangement the Document Builder produces (annual salary, commencement date,
+// weekly outer-limit ordinary and overtime hours) and the employee's actual
+// timesheet shifts, and splits the arrangement into its reconciliation
+// periods: each 12 months from commencement, cut short by termination of the
+// employment or of the agreement (MA000010 cl 28.3(b), MA000027 cl 22.2(b)).
+// For each period it re-prices every shift at award rates and compares:
+//   - the award value of the hours the annualised wage covers with the
+//     annualised wage paid for the period, and
+//   - the award value of hours beyond either weekly outer limit with what was
+//     paid separately for them — those hours are never covered by the
+//     annualised wage (cl 28.2(c), cl 22.1(c)).
+// A shortfall on either is payable within 14 days of the reconciliation date.
+//
+// As in js/back-pay.js, a period with any shift that cannot be priced is
+// reported as incomplete rather than totalled.
+// ============================================================================
+
+// ---- Constants -------------------------------------------------------------
+
+// Days after the reconciliation date by which a shortfall must be paid.
+const ANNUALISED_SHORTFALL_PAYMENT_DAYS = 14;
+
+// ---- Helpers ---------------------------------------------------------------
+
+function _annualCents(n) {
+    return Math.round(Math.round(n * 1e6) / 1e4) / 100;
+}
+
+function _annualKey(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function _annualIsDate(s) {
+    return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s + 'T00:00:00Z'));
+}
+
+function _annualDayNumber(ymd) {
+    const p = ymd.split('-');
+    return Math.floor(Date.UTC(+p[0], +p[1] - 1, +p[2]) / 86400000);
+}
+
+function _annualAddDays(ymd, n) {
+    return new Date((_annualDayNumber(ymd) + n) * 86400000).toISOString().slice(0, 10);
+}
+
+// Same day n years on; 29 February falls back to 28 February in common years.
+function _annualAddYears(ymd, n) {
+    const p = ymd.split('-');
+    const y = +p[0] + n;
+    const leap = (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+    const d = p[1] === '02' && p[2] === '29' && !leap ? '28' : p[2];
+    return y + '-' + p[1] + '-' + d;
+}
+
+// Monday of the week containing ymd — outer limits are weekly (the agreement
+// states them per week).
+function _annualWeekStart(ymd) {
+    const day = _annualDayNumber(ymd);
+    return new Date((day - ((day + 3) % 7)) * 86400000).toISOString().slice(0, 10);
+}
+
+function _annualHours(minutes) {
+    return Math.round(minutes / 60 * 100) / 100;
+}
+
+// The part of a shift's paid time that falls past a weekly limit, given the
+// minutes of the same kind already worked that week. Returns the minutes over.
+function _annualOver(before, minutes, limit) {
+    return Math.max(0, Math.min(minutes, before + minutes - limit));
+}
+
+// ---- Periods ---------------------------------------------------------------
+
+/**
+ * The arrangement's reconciliation periods up to asAt: each 12 months from
+ * commencement, the last one ending early on endDate (termination of the
+ * employment or the agreement). A period still running at asAt is returned
+ * to date with status 'in_progress'.
+ * @returns {Object[]} [{ index, periodStart, periodEnd, fullPeriodEnd, status }]
+ */
+function annualisedReconciliationPeriods(startDate, endDate, asAt) {
+    const periods = [];
+    if (!_annualIsDate(startDate)) return periods;
+    const last = endDate || asAt;
+    if (!_annualIsDate(last) || last < startDate) return periods;
+    for (let i = 0; ; i++) {
+        const periodStart = _annualAddYears(startDate, i);
+        if (periodStart > last) break;
+        const fullPeriodEnd = _annualAddDays(_annualAddYears(startDate, i + 1), -1);
+        let periodEnd = fullPeriodEnd;
+        let status = 'due';
+        if (endDate && endDate <= fullPeriodEnd) { periodEnd = endDate; status = 'termination'; }
+        if (asAt && asAt < periodEnd) { periodEnd = asAt; status = 'in_progress'; }
+        periods.push({ index: i + 1, periodStart: periodStart, periodEnd: periodEnd, fullPeriodEnd: fullPeriodEnd, status: status });
+        if (status !== 'due') break;
+    }
+    return periods;
+}
+
+// ---- Engine ----------------------------------------------------------------
+
+/**
+ * Reconciles an annualised wage arrangement against the award.
+ * @param {Object} arrangement - { employee, annualSalary, startDate (commencement
+ *   of the arrangement), endDate (termination of employment or of the
+ *   agreement, optional), outerOrdinaryHours, outerOvertimeHours (per week),
+ *   employmentType and classification (used for timesheet lines that do not
+ *   carry their own), separatePayments: [{ date, amount }] (amounts paid on
+ *   top of the annualised wage for hours beyond the outer limits) }
+ * @param {Object[]} shifts - normaliseRosterRows(...).shifts; lines for other
+ *   employees are ignored when arrangement.employee is set
+ * @param {Object|Function} rates - the award rates JSON, or ymd -> rates table
+ *   in force on that date (backPayRatesResolver)
+ * @param {Object} [opts] - { publicHolidays: ['YYYY-MM-DD'], asAt 'YYYY-MM-DD'
+ *   (reconcile to this date; defaults to the termination date, otherwise the
+ *   last shift worked) }
+ * @returns {Object} { ok, periods[], totals, outsidePeriods[], notes[] } or { ok: false, error }
+ */
+function reconcileAnnualisedWage(arrangement, shifts, rates, opts) {
+    opts = opts || {};
+    const a = arrangement || {};
+    if (!rates) return { ok: false, error: 'No award rates loaded' };
+    if (!(typeof a.annualSalary === 'number' && a.annualSalary > 0)) return { ok: false, error: 'Annual salary must be a positive amount' };
+    if (!_annualIsDate(a.startDate)) return { ok: false, error: 'Commencement date of the arrangement is required' };
+    if (a.endDate != null && a.endDate !== '' && (!_annualIsDate(a.endDate) || a.endDate < a.startDate)) {
+        return { ok: false, error: 'Termination date must be on or after the commencement date' };
+    }
+    const outerOrdinary = a.outerOrdinaryHours;
+    const outerOvertime = a.outerOvertimeHours;
+    if (!(typeof outerOrdinary === 'number' && outerOrdinary > 0) || !(typeof outerOvertime === 'number' && outerOvertime >= 0)) {
+        return { ok: false, error: 'Outer-limit ordinary and overtime hours per week are required' };
+    }
+    const endDate = a.endDate || null;
+    const emp = _annualKey(a.employee);
+    const mine = (shifts || []).filter(function(s) { return !emp || _annualKey(s.employee) === emp; });
+    const lastWorked = mine.reduce(function(m, s) { return s.date > m ? s.date : m; }, '');
+    const asAt = _annualIsDate(opts.asAt) ? opts.asAt : (endDate || lastWorked || null);
+    const notes = [];
+
+    const periods = annualisedReconciliationPeriods(a.startDate, endDate, asAt).map(function(p) {
+        return Object.assign(p, { shifts: [] });
+    });
+    if (!periods.length) return { ok: false, error: 'No reconciliation period falls between the commencement date and ' + (asAt || 'the last shift worked') };
+
+    // Shifts outside the arrangement are listed, not reconciled.
+    const outsidePeriods = [];
+    mine.slice().sort(function(x, y) { return x.date < y.date ? -1 : x.date > y.date ? 1 : x.start - y.start; }).forEach(function(s) {
+        const p = periods.find(function(q) { return s.date >= q.periodStart && s.date <= q.periodEnd; });
+        if (!p) { outsidePeriods.push({ row: s.row, date: s.date, reason: 'Outside the arrangement (' + a.startDate + (endDate ? ' to ' + endDate : '') + ')' }); return; }
+        p.shifts.push(s);
+    });
+
+    const costOpts = { publicHolidays: opts.publicHolidays || [] };
+    const payments = Array.isArray(a.separatePayments) ? a.separatePayments : [];
+
+    const out = periods.map(function(p) {
+        const unpriced = [];
+        const weeks = {};
+        let minutes = 0;
+        let coveredCost = 0;
+        let outerCost = 0;
+        p.shifts.forEach(function(s) {
+            const shift = Object.assign({}, s, {
+                employmentType: s.employmentType || a.employmentType || 'full_time',
+                classification: s.classification || a.classification || null
+            });
+            const c = costShift(shift, rates, costOpts);
+            if (!c.ok) { unpriced.push({ row: s.row, date: s.date, reason: c.error }); return; }
+            const wk = _annualWeekStart(s.date);
+            if (!weeks[wk]) weeks[wk] = { weekStart: wk, ordinaryMinutes: 0, overtimeMinutes: 0, outerOrdinaryMinutes: 0, outerOvertimeMinutes: 0, outerCost: 0 };
+            const w = weeks[wk];
+            const ordMin = Math.round(c.ordinaryHours * 60);
+            const otMin = Math.round(c.overtimeHours * 60);
+            // Hours past either outer limit are priced at the shift's own
+            // average ordinary (or overtime) rate — exact for a shift wholly
+            // past the limit, pro rata for the one that crosses it.
+            const overOrd = _annualOver(w.ordinaryMinutes, ordMin, outerOrdinary * 60);
+            const overOt = _annualOver(w.overtimeMinutes, otMin, outerOvertime * 60);
+            const cost = _annualCents((overOrd ? c.ordinaryCost * overOrd / ordMin : 0) + (overOt ? c.overtimeCost * overOt / otMin : 0));
+            w.ordinaryMinutes += ordMin;
+            w.overtimeMinutes += otMin;
+            w.outerOrdinaryMinutes += overOrd;
+            w.outerOvertimeMinutes += overOt;
+            w.outerCost = _annualCents(w.outerCost + cost);
+            minutes += c.paidMinutes;
+            outerCost += cost;
+            coveredCost += c.totalCost - cost;
+        });
+        const complete = unpriced.length === 0;
+
+        // The annualised wage for the period: the full salary for a complete
+        // 12 months, otherwise pro rata by day.
+        const days = _annualDayNumber(p.periodEnd) - _annualDayNumber(p.periodStart) + 1;
+        const fullDays = _annualDayNumber(p.fullPeriodEnd) - _annualDayNumber(p.periodStart) + 1;
+        const annualisedWage = _annualCents(a.annualSalary * days / fullDays);
+        const separatelyPaid = _annualCents(payments.reduce(function(t, pay) {
+            return t + (pay && pay.date >= p.periodStart && pay.date <= p.periodEnd && pay.amount > 0 ? pay.amount : 0);
+        }, 0));
+
+        const awardEntitlement = _annualCents(coveredCost);
+        const outerLimitEntitlement = _annualCents(outerCost);
+        const outerWeeks = Object.keys(weeks).sort().map(function(k) { return weeks[k]; })
+            .filter(function(w) { return w.outerOrdinaryMinutes || w.outerOvertimeMinutes; })
+            .map(function(w) {
+                return {
+                    weekStart: w.weekStart,
+                    ordinaryHours: _annualHours(w.ordinaryMinutes),
+                    overtimeHours: _annualHours(w.overtimeMinutes),
+                    outerOrdinaryHours: _annualHours(w.outerOrdinaryMinutes),
+                    outerOvertimeHours: _annualHours(w.outerOvertimeMinutes),
+                    cost: w.outerCost
+                };
+            });
+        const reconciliationShortfall = complete ? Math.max(0, _annualCents(awardEntitlement - annualisedWage)) : null;
+        const outerLimitShortfall = complete ? Math.max(0, _annualCents(outerLimitEntitlement - separatelyPaid)) : null;
+        return {
+            index: p.index,
+            periodStart: p.periodStart,
+            periodEnd: p.periodEnd,
+            status: p.status,
+            reconciliationDate: p.status === 'in_progress' ? p.fullPeriodEnd : p.periodEnd,
+            paymentDueBy: p.status === 'in_progress' ? null : _annualAddDays(p.periodEnd, ANNUALISED_SHORTFALL_PAYMENT_DAYS),
+            days: days,
+            shifts: p.shifts.length,
+            rows: p.shifts.map(function(s) { return s.row; }),
+            hours: _annualHours(minutes),
+            annualisedWage: annualisedWage,
+            awardEntitlement: awardEntitlement,
+            difference: complete ? _annualCents(annualisedWage - awardEntitlement) : null,
+            reconciliationShortfall: reconciliationShortfall,
+            outerLimitWeeks: outerWeeks,
+            outerLimitHours: _annualHours(outerWeeks.reduce(function(t, w) { return t + (w.outerOrdinaryHours + w.outerOvertimeHours) * 60; }, 0)),
+            outerLimitEntitlement: outerLimitEntitlement,
+            separatelyPaid: separatelyPaid,
+            outerLimitShortfall: outerLimitShortfall,
+            shortfall: complete ? _annualCents(reconciliationShortfall + outerLimitShortfall) : null,
+            complete: complete,
+            unpriced: unpriced
+        };
+    });
+
+    if (out.some(function(p) { return p.status === 'in_progress'; })) {
+        notes.push('The current 12-month period has not ended. Its figures are to date, for monitoring — the shortfall is not yet due.');
+    }
+    if (out.some(function(p) { return p.outerLimitWeeks.length; })) {
+        notes.push('Hours past an outer limit are not covered by the annualised wage and are reconciled against the separate payments entered for them.');
+    }
+
+    const settled = out.filter(function(p) { return p.complete && p.status !== 'in_progress'; });
+    const sum = function(field) { return _annualCents(settled.reduce(function(t, p) { return t + p[field]; }, 0)); };
+    return {
+        ok: true,
+        employee: a.employee || null,
+        asAt: asAt,
+        periods: out,
+        totals: {
+            reconciliationShortfall: sum('reconciliationShortfall'),
+            outerLimitShortfall: sum('outerLimitShortfall'),
+            shortfall: sum('shortfall'),
+            periodsDue: out.filter(function(p) { return p.status !== 'in_progress'; }).length,
+            underpaidPeriods: settled.filter(function(p) { return p.shortfall > 0; }).length,
+            incompletePeriods: out.filter(function(p) { return !p.complete; }).length
+        },
+        outsidePeriods: outsidePeriods,
+        notes: notes
+    };
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.annualisedReconciliationPeriods = annualisedReconciliationPeriods;
+    window.reconcileAnnualisedWage = reconcileAnnualisedWage;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { annualisedReconciliationPeriods, reconcileAnnualisedWage };
+}
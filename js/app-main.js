@@ -46,10 +46,10 @@ const CONFIG = {
     
     // API endpoints
     API: {
-        HOSPITALITY_RATES_URL: '/hospitality-award-rates.json',
-        RESTAURANT_RATES_URL: '/restaurant-award-rates.json',
         CHAT_ENDPOINT: '/.netlify/functions/chat',
-        CRISIS_ENDPOINT: '/.netlify/functions/telegram-crisis'
+        CHAT_STREAMING: true, // false = always wait for the full (buffered) answer
+        CRISIS_ENDPOINT: '/.netlify/functions/telegram-crisis',
+        FITZ_WATCH_ATTEST_ENDPOINT: '/.netlify/functions/fitz-watch-attest'
     },
     
     // Application constants
@@ -229,7 +229,12 @@ function initializeSupabase() {
 // Global state
 let currentUser = null;
 let conversationHistory = [];
+let chatStreamController = null; // AbortController for the answer being streamed, if any
 let feedbackRating = 0;
+let lastQuestionShown = null; // last user message rendered — paired with the next answer
+const flaggableAnswers = {};  // messageId -> { question, answer } for "Report wrong answer"
+let flaggingMessageId = null; // the answer open in the report modal
+let lastContractReview = null; // { fileName, awardName, review } shown in the contract review modal
 let wizardData = {};
 let currentWizardStep = 1;
 let recognition = null;
@@ -397,46 +402,13 @@ async function loadCreditsFromFirebase() {
             
             console.log('📦 Stripe Customer ID:', userCredits.stripeCustomerId);
             
-            // Check if prompts should reset - based on 30-day cycle from account creation
-            // Free tier prompts reset every 30 days from when the user signed up
+            // The 30-day prompt cycle is rolled over by the chat function when
+            // the next prompt is charged (js/prompt-quota.js). Here it is only
+            // shown: a new cycle reads as a full allowance straight away.
             const now = new Date();
-            const lastReset = userCredits.monthlyPromptsReset ? new Date(userCredits.monthlyPromptsReset) : null;
-            
-            // Get account creation date from Firestore for anniversary-based reset
-            let accountCreatedAt = null;
-            if (doc.exists && doc.data().createdAt) {
-                const createdAtField = doc.data().createdAt;
-                accountCreatedAt = createdAtField.toDate ? createdAtField.toDate() : new Date(createdAtField);
-            }
-            
-            // Calculate if we're in a new 30-day cycle based on account creation
-            let shouldReset = false;
-            if (!lastReset) {
-                // Never reset before - do it now
-                shouldReset = true;
-            } else if (accountCreatedAt) {
-                // Anniversary-based: calculate how many 30-day cycles have passed since account creation
-                const msPerCycle = 30 * 24 * 60 * 60 * 1000;
-                const msSinceCreation = now.getTime() - accountCreatedAt.getTime();
-                const currentCycle = Math.floor(msSinceCreation / msPerCycle);
-                const msSinceLastReset = lastReset.getTime() - accountCreatedAt.getTime();
-                const lastResetCycle = Math.floor(msSinceLastReset / msPerCycle);
-                shouldReset = currentCycle > lastResetCycle;
-            } else {
-                // Fallback: 30 days since last reset
-                const daysSinceReset = (now.getTime() - lastReset.getTime()) / (24 * 60 * 60 * 1000);
-                shouldReset = daysSinceReset >= 30;
-            }
-            
-            if (shouldReset) {
-                console.log('📅 New 30-day cycle detected - resetting prompts');
-                userCredits.monthlyPromptsUsed = 0;
-                userCredits.bonusPrompts = 0; // Top-ups expire with each cycle
-                userCredits.monthlyPromptsReset = now.toISOString();
-                
-                // Save the refreshed data
-                await syncCreditsToFirebase();
-            }
+            const promptQuota = promptQuotaState(firebaseCredits, doc.data().createdAt, now);
+            userCredits.monthlyPromptsUsed = promptQuota.used;
+            userCredits.bonusPrompts = promptQuota.bonus;
             
             // Check if it's a new subscription year - reset review credits used
             if (userCredits.subscriptionStartDate) {
@@ -518,14 +490,14 @@ async function syncCreditsToFirebase() {
                 reviewCreditsUsed: userCredits.reviewCreditsUsed || 0,
                 purchasedCredits: userCredits.purchasedCredits || 0,
                 lowRiskDocsUsed: userCredits.lowRiskDocsUsed || 0,
-                bonusPrompts: userCredits.bonusPrompts || 0,
-                monthlyPromptsUsed: userCredits.monthlyPromptsUsed || 0,
-                monthlyPromptsReset: userCredits.monthlyPromptsReset,
                 lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
                 // ❌ DO NOT write these here - webhook manages them:
                 // reviewCredits, subscriptionTier, billingCycle, subscriptionStatus,
                 // stripeCustomerId, stripeSubscriptionId, subscriptionPeriodEnd,
                 // cancelAtPeriodEnd, lastCreditRefresh
+                // ❌ Nor the prompt counters - the chat function charges prompts
+                // (monthlyPromptsUsed, monthlyPromptsReset, bonusPrompts) and
+                // firestore.rules refuses client changes to them
             }
         }, { merge: true });
         console.log('✅ Usage credits synced to Firebase');
@@ -538,6 +510,8 @@ async function syncCreditsToFirebase() {
  * Full sync to Firebase - writes ALL fields including subscription data.
  * Only called after initial subscription activation (handlePaymentReturn)
  * or when we explicitly need to set subscription fields from the client.
+ * The tier and prompt counters are left out: they are server-managed
+ * (stripe-webhook.js, chat.js) and firestore.rules refuses client changes.
  */
 async function fullSyncCreditsToFirebase() {
     if (!currentUser?.uid) return;
@@ -546,15 +520,11 @@ async function fullSyncCreditsToFirebase() {
         const userRef = db.collection('users').doc(currentUser.uid);
         await userRef.set({
             credits: {
-                subscriptionTier: userCredits.subscriptionTier || userCredits.tier || 'free',
                 reviewCredits: userCredits.reviewCredits || 0,
                 reviewCreditsUsed: userCredits.reviewCreditsUsed || 0,
                 purchasedCredits: userCredits.purchasedCredits || 0,
                 lowRiskDocsUsed: userCredits.lowRiskDocsUsed || 0,
-                bonusPrompts: userCredits.bonusPrompts || 0,
                 billingCycle: userCredits.billingCycle || null,
-                monthlyPromptsUsed: userCredits.monthlyPromptsUsed || 0,
-                monthlyPromptsReset: userCredits.monthlyPromptsReset,
                 subscriptionStartDate: userCredits.subscriptionStartDate,
                 lastUpdated: firebase.firestore.FieldValue.serverTimestamp(),
                 stripeCustomerId: userCredits.stripeCustomerId || null,
@@ -754,25 +724,17 @@ function hasPromptsRemaining() {
     return userCredits.monthlyPromptsUsed < totalAllowed;
 }
 
-// Use a prompt
-function usePrompt() {
-    const tier = userCredits.subscriptionTier || userCredits.tier || 'free';
-    // Only track prompts for free tier users
-    if (tier === 'free') {
-        userCredits.monthlyPromptsUsed++;
-        console.log('📝 Prompt used. Total used:', userCredits.monthlyPromptsUsed, '/', CONFIG.CREDITS.FREE_TIER.MONTHLY_PROMPTS);
-        
-        // Update display IMMEDIATELY before async operations
-        updateCreditsDisplay();
-        
-        // Then save to localStorage and Firebase
-        saveUserCredits();
-        
-        // Force another display update after save completes
-        setTimeout(() => {
-            updateCreditsDisplay();
-        }, 100);
-    }
+// Take the prompt balance the chat function returns with each answer (it
+// charges the prompt server-side - js/prompt-quota.js) and show it
+function applyPromptQuota(quota) {
+    if (!quota || quota.unlimited) return;
+    userCredits.monthlyPromptsUsed = quota.used;
+    userCredits.bonusPrompts = quota.bonus;
+    console.log('📝 Prompt used. Total used:', quota.used, '/', quota.limit);
+    
+    const userKey = currentUser?.uid || currentUser || 'anonymous';
+    localStorage.setItem('fitzCredits_' + userKey, JSON.stringify(userCredits));
+    updateCreditsDisplay();
 }
 
 // Get remaining prompts for free tier
@@ -2040,95 +2002,29 @@ function openDocumentBuilderFor(documentType) {
 // AWARD RATES - FETCH FROM GITHUB
 // ========================================
 
-let awardRates = null; // Global variable to store rates
+let awardRates = null; // Global variable to store rates (the table in force today)
+let awardRatesFile = null; // The full rates file, incl. previous_versions history
+const _ratesFileCache = {}; // Rates files fetched this session, by MA code
+
+// Today's date (YYYY-MM-DD) on the user's own calendar, so a new rate table
+// takes over at local midnight on 1 July rather than at UTC midnight.
+function _ratesTodayYmd() {
+    const d = new Date();
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+}
 
 // ============================================================================
-// AWARD REGISTRY — single source of truth for award resolution.
-// Guardrail: anything that is not confidently a SUPPORTED award (or an ENABLED
-// preview award) resolves to UNRESOLVED — never a silent Hospitality default.
-// See docs/guardrails-award-resolution.md.
+// AWARD RESOLUTION — AWARD_REGISTRY and UNRESOLVED_AWARD live in
+// js/award-registry.js (shared with the chat function and the regression
+// runner). Guardrail: anything that is not confidently a SUPPORTED award (or
+// an ENABLED preview award) resolves to UNRESOLVED — never a silent
+// Hospitality default. See docs/guardrails-award-resolution.md.
 // ============================================================================
-const AWARD_REGISTRY = {
-    MA000009: {
-        code: 'MA000009', status: 'supported', calculatorType: 'role',
-        displayName: 'Hospitality Industry (General) Award',
-        fullName: 'Hospitality Industry (General) Award MA000009',
-        ratesUrl: CONFIG.API.HOSPITALITY_RATES_URL,
-        aliases: ['hospitality']
-    },
-    MA000119: {
-        code: 'MA000119', status: 'supported', calculatorType: 'role',
-        displayName: 'Restaurant Industry Award',
-        fullName: 'Restaurant Industry Award MA000119',
-        ratesUrl: CONFIG.API.RESTAURANT_RATES_URL,
-        aliases: ['restaurant']
-    },
-    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
-    MA000010: {
-        code: 'MA000010', status: 'supported',
-        calculatorType: 'classification',   // C-level picker, not the hospitality role wizard
-        displayName: 'Manufacturing and Associated Industries Award',
-        fullName: 'Manufacturing and Associated Industries and Occupations Award MA000010',
-        ratesUrl: '/manufacturing-award-rates.json',
-        aliases: ['manufacturing']
-    },
-    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
-    MA000100: {
-        code: 'MA000100', status: 'supported',
-        calculatorType: 'classification',   // Level/pay-point picker, not the hospitality role wizard
-        displayName: 'Social, Community, Home Care and Disability Services Award',
-        fullName: 'Social, Community, Home Care and Disability Services Industry Award MA000100',
-        ratesUrl: '/schads-award-rates.json',
-        aliases: ['schads', 'social community', 'home care', 'disability services']
-    },
-    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
-    MA000004: {
-        code: 'MA000004', status: 'supported',
-        calculatorType: 'classification',   // Retail Employee Level 1-8 picker, not the hospitality role wizard
-        displayName: 'General Retail Industry Award',
-        fullName: 'General Retail Industry Award MA000004',
-        ratesUrl: '/retail-award-rates.json',
-        aliases: ['general retail', 'retail']
-    },
-    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
-    MA000027: {
-        code: 'MA000027', status: 'supported',
-        calculatorType: 'classification',   // Stream + level/pay-point picker, not the hospitality role wizard
-        displayName: 'Health Professionals and Support Services Award',
-        fullName: 'Health Professionals and Support Services Award MA000027',
-        ratesUrl: '/health-award-rates.json',
-        aliases: ['health professionals', 'health support', 'support services']
-    },
-    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
-    MA000120: {
-        code: 'MA000120', status: 'supported',
-        calculatorType: 'classification',   // Stream + level picker, not the hospitality role wizard
-        displayName: "Children's Services Award",
-        fullName: "Children's Services Award MA000120",
-        ratesUrl: '/childrens-award-rates.json',
-        aliases: ["children's services", 'childrens services', 'early childhood', 'child care', 'childcare']
-    }
-};
-
-const UNRESOLVED_AWARD = { code: null, status: 'unresolved', displayName: null, fullName: null, ratesUrl: null };
 
 // Resolve a stored award value (display string or MA code) to a registry entry,
-// honouring feature flags for preview awards. Returns UNRESOLVED_AWARD when the
-// award is unknown, unsupported, or a preview that is not enabled for this user.
+// honouring this user's feature flags for preview awards.
 function resolveAward(stored) {
-    if (!stored) return UNRESOLVED_AWARD;
-    const s = String(stored).toLowerCase();
-    for (const code in AWARD_REGISTRY) {
-        const entry = AWARD_REGISTRY[code];
-        const matched = s.indexOf(code.toLowerCase()) !== -1 ||
-            entry.aliases.some(function (a) { return s.indexOf(a) !== -1; });
-        if (!matched) continue;
-        if (entry.status === 'preview') {
-            return (entry.flag && hasFeature(entry.flag)) ? entry : UNRESOLVED_AWARD;
-        }
-        return entry;
-    }
-    return UNRESOLVED_AWARD;
+    return resolveAwardEntry(stored, hasFeature);
 }
 
 // Returns the resolved award context for the current venue. When the award is
@@ -2319,14 +2215,38 @@ async function loadAwardRates() {
         }
         const response = await fetchWithRetry(resolved.ratesUrl);
         if (!response.ok) throw new Error(`HTTP ${response.status}: Failed to load rates`);
-        awardRates = await response.json();
+        awardRatesFile = await response.json();
+        _ratesFileCache[resolved.code] = awardRatesFile;
+        // A table published ahead of its effective date (nothing held for
+        // today) is still the best current figure, so it stands in.
+        awardRates = ratesVersionAsAt(awardRatesFile, _ratesTodayYmd()) || awardRatesFile;
         return true;
     } catch (error) {
-        awardRates = getFallbackRates();
+        awardRatesFile = awardRates = getFallbackRates();
         return false;
     }
 }
 
+/**
+ * The award rate table in force on a date, from the award's rates file and its
+ * previous_versions history (js/rates-history.js). Resolves to null when the
+ * award has no rates file or no table held covers the date — callers report
+ * that rather than price at rates that were not in force.
+ * @param {string} code - MA code (or any input resolveAward accepts)
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Promise<Object|null>}
+ */
+async function ratesAsAt(code, date) {
+    const resolved = resolveAward(code);
+    if (!resolved.code || !resolved.ratesUrl) return null;
+    if (!_ratesFileCache[resolved.code]) {
+        const response = await fetchWithRetry(resolved.ratesUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}: Failed to load rates`);
+        _ratesFileCache[resolved.code] = await response.json();
+    }
+    return ratesVersionAsAt(_ratesFileCache[resolved.code], date);
+}
+
 // Fallback rates if GitHub is down
 function getFallbackRates() {
     return {
@@ -5181,8 +5101,7 @@ async function generateDocumentWithAI() {
     documentBuilderState.isGenerating = true;
     
     try {
-        const prompt = buildDocumentPrompt();
-        const response = await callClaudeAPIForDocument(prompt);
+        const response = await callClaudeAPIForDocument(docType, documentBuilderState.data);
         documentBuilderState.generatedDocument = response;
         
         // ✅ STORE the document ID that was just logged
@@ -5239,1438 +5158,207 @@ async function generateDocumentWithAI() {
     }
 }
 
-function buildDocumentPrompt() {
-    const type = documentBuilderState.currentType;
-    const data = documentBuilderState.data;
-    
-    const venueContext = venueProfile.setupComplete ?
-        `Business: ${venueProfile.venueName} (${getVenueTypeLabel(venueProfile.venueType)}) in ${venueProfile.city}, ${venueProfile.location}` :
-        `Australian business`;
+function showDocumentPreview(generatedDoc) {
+    // Convert the AI-generated content to proper HTML
+    const formattedHTML = convertAIContentToHTML(generatedDoc);
     
-    // Universal instruction for ALL document types
-    const universalInstruction = `
-=== CRITICAL INSTRUCTION ===
-You are a professional HR document writer. Your task is to OUTPUT A COMPLETE, READY-TO-USE FORMAL DOCUMENT.
-
-MANDATORY REQUIREMENTS:
-1. Generate the ACTUAL DOCUMENT with real content - NOT a checklist, guide, tips, or advice
-2. Write in formal business letter format with proper structure
-3. Use the specific details provided (names, dates, issues) in the document
-4. The document must be ready to print and give to an employee immediately
-5. DO NOT include instructions on "how to write" the document - just write it
-6. DO NOT include placeholder text like "[insert here]" - use the actual information provided
-7. DO NOT provide a checklist of what to include - provide the actual document content
+    document.getElementById('documentPreviewContent').innerHTML = formattedHTML;
+    document.getElementById('documentPreviewModal').classList.remove('hidden');
+}
 
-If you output anything other than a complete, formal document ready for immediate use, you have failed the task.
-=== END CRITICAL INSTRUCTION ===
+function closeDocumentPreview() {
+    document.getElementById('documentPreviewModal').classList.add('hidden');
+    // Reset the document builder silently so it's ready for next use
+    resetDocumentBuilderSilent();
+}
 
-`;
+// Silent reset (used when closing modal)
+function resetDocumentBuilderSilent() {
+    // Reset state
+    documentBuilderState.currentType = null;
+    documentBuilderState.currentStep = 1;
+    documentBuilderState.data = {};
+    documentBuilderState.generatedDocument = null;
+    documentBuilderState.isGenerating = false;
     
-    let prompt = '';
+    // Hide all wizard sections
+    const wizardSteps = document.getElementById('documentWizardSteps');
+    const generating = document.getElementById('documentGenerating');
+    const templateSelection = document.getElementById('documentTemplateSelection');
     
-    if (type === 'formalWarning') {
-    prompt = `You are generating a FORMAL WARNING LETTER for Australian ${_awardSector()}HR.
-
-**CRITICAL OUTPUT REQUIREMENT:**
-You MUST generate an ACTUAL FORMAL LETTER - a complete, ready-to-use business letter document.
-DO NOT generate:
-- A checklist
-- A guide or how-to
-- Bullet points of what to include
-- Tips or advice
-- An outline or template with placeholders like "[insert here]"
-
-Generate the ACTUAL LETTER with real content based on the information provided below.
-
-VENUE CONTEXT:
-${venueContext}
-Award: ${getAwardContext().fullName}
-Manager: ${venueProfile.userName || '[Manager Name]'}
-
-EMPLOYEE DETAILS:
-- Name: ${data.employeeName}
-- Position: ${data.position}
-- Employment Type: ${data.employmentType}
-
-ISSUE DETAILS:
-${data.issueDescription}
-Date: ${data.issueDate}
-${data.witnesses ? `Witnesses: ${data.witnesses}` : 'No witnesses mentioned'}
-
-${data.rodExtractedText ? `
-RECORD OF DISCUSSION CONTEXT:
-The following information has been extracted from the completed Record of Discussion conversation:
-
-${data.rodExtractedText}
-
-**IMPORTANT:** Use the employee's actual responses and comments from the Record of Discussion above to make this warning letter more accurate and contextual. Include verbatim quotes where appropriate, and reference specific points the employee made during the discussion. This provides crucial context and demonstrates procedural fairness.
-` : ''}
-
-PREVIOUS ACTION TAKEN:
-${data.hadVerbalWarnings === 'Yes' ? 
-  `${data.verbalWarningCount || 'Multiple'} verbal warning(s) have been given` : 
-  'No prior formal warnings'}
-This is a ${data.warningLevel.toLowerCase()}.
-
-REQUIRED IMPROVEMENTS:
-${data.expectations}
-Timeframe: ${data.timeframe}
-
-CONSEQUENCES:
-${data.consequences}
-
-Generate a complete, professional formal warning letter following Australian employment law best practices.
-
-**CRITICAL FORMATTING REQUIREMENTS:**
-1. Use ## for major sections (e.g., ## EMPLOYEE DETAILS)
-2. Use blank lines between ALL paragraphs and sections
-3. Use **text** for emphasis
-4. For lists, use bullet points with "• " prefix
-5. Structure clearly with proper spacing
-6. Separate each major section with a blank line before and after
-7. ALWAYS add a space after colons in labels (e.g., "Date: " not "Date:")
-8. ALWAYS add spaces around bold text (e.g., "within **seven (7) days** of receiving" not "within**seven (7) days**of receiving")
-
-**IMPORTANT: Format lists clearly with bullet points like this:**
-- First item
-- Second item
-- Third item
-
-REQUIREMENTS:
-1. **Expand the issue description** - Take the brief description and expand with appropriate context while staying factual
-2. **Use formal, professional language** - Clear, firm but respectful
-3. **Include all legal requirements**:
-   - Dated header with full employee details
-   - Clear subject line
-   - Detailed description of the issue (expanded from brief description)
-   - Reference to previous warnings
-   - Specific, measurable improvement expectations (use bullet points)
-   - Clear timeframe
-   - Stated consequences (use bullet points)
-   - Warning retention period (12 months)
-   - Signature sections
-
-4. **Maintain procedural fairness**
-5. **Be specific and actionable**
-6. **Professional tone** - firm but not threatening
-
-Example structure:
-
-# FORMAL WARNING LETTER
-
-## DATE AND RECIPIENT
+    if (wizardSteps) wizardSteps.classList.add('hidden');
+    if (generating) generating.classList.add('hidden');
+    if (templateSelection) templateSelection.classList.remove('hidden');
+    
+    // Reset progress
+    const currentStep = document.getElementById('docCurrentStep');
+    const progress = document.getElementById('docProgress');
+    const progressBar = document.getElementById('docProgressBar');
+    
+    if (currentStep) currentStep.textContent = '1';
+    if (progress) progress.textContent = '0% Complete';
+    if (progressBar) progressBar.style.width = '0%';
+    
+}
 
-Date: [Date]
+// Reset with confirmation (used when user clicks "Start Over" button)
+function resetDocumentBuilder() {
+    // Confirm reset
+    if (!confirm('Start over? This will clear all your entered information.')) {
+        return;
+    }
+    
+    // Call the silent reset
+    resetDocumentBuilderSilent();
+}
 
-Employee Name: [Name]
+// ========================================
+// FITZ CREDITS MODAL FUNCTIONS
+// ========================================
 
-Position: [Position]
+// Track selected consultation type
+let selectedConsultation = null;
+let selectedMeetingType = null;
 
-## SUBJECT
+// Consultation types configuration
+const CONSULTATION_TYPES = {
+    terminationReview: {
+        name: 'Termination Review',
+        icon: '🚪',
+        credits: 7,
+        includes: 'Includes termination letter if approved',
+        calendlyZoom: 'CALENDLY_TERMINATION_ZOOM_URL',
+        calendlyPhone: 'CALENDLY_TERMINATION_PHONE_URL'
+    },
+    redundancyReview: {
+        name: 'Redundancy Review',
+        icon: '📉',
+        credits: 7,
+        includes: 'Includes redundancy letters if approved',
+        calendlyZoom: 'CALENDLY_REDUNDANCY_ZOOM_URL',
+        calendlyPhone: 'CALENDLY_REDUNDANCY_PHONE_URL'
+    },
+    investigationReview: {
+        name: 'Investigation Review',
+        icon: '🔍',
+        credits: 8,
+        includes: 'Includes investigation report',
+        calendlyZoom: 'CALENDLY_INVESTIGATION_ZOOM_URL',
+        calendlyPhone: 'CALENDLY_INVESTIGATION_PHONE_URL'
+    },
+    settlementReview: {
+        name: 'Settlement Review',
+        icon: '🤝',
+        credits: 8,
+        includes: 'Includes deed of settlement draft',
+        calendlyZoom: 'CALENDLY_SETTLEMENT_ZOOM_URL',
+        calendlyPhone: 'CALENDLY_SETTLEMENT_PHONE_URL'
+    },
+    unfairDismissalResponse: {
+        name: 'Unfair Dismissal Response',
+        icon: '⚖️',
+        credits: 8,
+        includes: 'Includes response draft for Fair Work',
+        calendlyZoom: 'CALENDLY_UNFAIR_DISMISSAL_ZOOM_URL',
+        calendlyPhone: 'CALENDLY_UNFAIR_DISMISSAL_PHONE_URL'
+    },
+    generalConsultation: {
+        name: 'General HR Consultation',
+        icon: '💬',
+        credits: 5,
+        includes: 'Expert advice on any HR matter',
+        calendlyZoom: 'CALENDLY_GENERAL_ZOOM_URL',
+        calendlyPhone: 'CALENDLY_GENERAL_PHONE_URL'
+    }
+};
 
-Subject: Formal Written Warning - [Issue]
+// ============================================
+// CALENDLY CONFIGURATION
+// ============================================
+const CALENDLY_CONFIG = {
+    baseUrl: 'https://calendly.com/fitzhr',
+    events: {
+        zoom: 'hr-consultation-zoom',
+        phone: '30min'
+    }
+};
 
-## ISSUE DESCRIPTION
+/**
+ * Toggle the free documents dropdown in credits modal
+ */
+function toggleFreeDocsDropdown() {
+    const dropdown = document.getElementById('freeDocsDropdown');
+    const chevron = document.getElementById('freeDocsChevron');
+    
+    if (dropdown && chevron) {
+        dropdown.classList.toggle('hidden');
+        chevron.classList.toggle('rotate-180');
+    }
+}
 
-[Detailed description of what occurred, with specific dates and facts]
+/**
+ * Open the credits management modal
+ */
+function openCreditsModal() {
+    const totalCredits = getTotalCredits();
+    const modalCreditsBalance = document.getElementById('modalCreditsBalance');
+    const freeDocStatus = document.getElementById('freeDocumentStatus');
+    const freeDocUsedStatus = document.getElementById('freeDocumentUsedStatus');
+    
+    // Update tier display - use subscriptionTier if available, fallback to tier, then 'free'
+    const currentTier = userCredits.subscriptionTier || userCredits.tier || 'free';
+    document.getElementById('modalCurrentTier').textContent = CONFIG.CREDITS.TIERS[currentTier]?.name || 'Free';
+    
+    // Update credits balance - show actual number
+    modalCreditsBalance.textContent = totalCredits;
+    modalCreditsBalance.classList.remove('text-green-400', 'text-amber-400', 'text-red-400');
+    if (totalCredits >= 5) {
+        modalCreditsBalance.classList.add('text-green-400');
+    } else if (totalCredits >= 1) {
+        modalCreditsBalance.classList.add('text-amber-400');
+    } else {
+        modalCreditsBalance.classList.add('text-red-400');
+    }
+    
+    // Show free tier info or hide for paid tiers
+    const modalTier = userCredits.subscriptionTier || userCredits.tier || 'free';
+    if (freeDocStatus && freeDocUsedStatus) {
+        if (modalTier === 'free') {
+            freeDocStatus.classList.remove('hidden');
+            freeDocUsedStatus.classList.add('hidden');
+        } else {
+            // Hide for paid tiers
+            freeDocStatus.classList.add('hidden');
+            freeDocUsedStatus.classList.add('hidden');
+        }
+    }
+    
+    // Update prompts remaining
+    if (modalTier === 'free') {
+        const remaining = getRemainingPrompts();
+        document.getElementById('modalPromptsRemaining').textContent = `${remaining}/${CONFIG.CREDITS.FREE_TIER.MONTHLY_PROMPTS} prompts remaining`;
+    } else {
+        document.getElementById('modalPromptsRemaining').textContent = 'Unlimited prompts';
+    }
+    
+    // Reset free docs dropdown state
+    const freeDocsDropdown = document.getElementById('freeDocsDropdown');
+    const freeDocsChevron = document.getElementById('freeDocsChevron');
+    if (freeDocsDropdown) freeDocsDropdown.classList.add('hidden');
+    if (freeDocsChevron) freeDocsChevron.classList.remove('rotate-180');
+    
+    // Show/hide manage subscription section
+    updateManageSubscriptionUI();
+    
+    document.getElementById('creditsModal').classList.remove('hidden');
+}
 
-## PREVIOUS DISCUSSIONS
-
-[Reference to verbal warnings if applicable]
-
-## REQUIRED IMPROVEMENTS
-
-You are required to:
-
-- [Specific expectation 1]
-- [Specific expectation 2]
-- [Specific expectation 3]
-
-## TIMEFRAME
-
-[Clear timeframe for improvement]
-
-## CONSEQUENCES
-
-Failure to meet these expectations may result in:
-
-- [Consequence 1]
-- [Consequence 2]
-- Termination of employment
-
-**IMPORTANT: Do NOT list "reduction in rostered hours" or "reduced shifts" as a consequence. This is not an appropriate disciplinary outcome, particularly for full-time employees.**
-
-## WARNING RETENTION
-
-This warning will remain on your employee file for 12 months from the date of this letter.
-
-## SIGNATURES
-
-Employee Signature: _________________________ Date: __________
-
-Manager Signature: _________________________ Date: __________
-
-Format as a complete business letter with proper structure and clear spacing between all sections.
-
-DO NOT add fictional details. Expand and contextualize what was provided.`;
-    
-    } else if (type === 'recordOfDiscussion') {
-    prompt = `You are generating a RECORD OF DISCUSSION TEMPLATE & CONVERSATION SCRIPT for Australian ${_awardSector()}managers.
-
-THIS IS A TEMPLATE/SCRIPT - NOT A COMPLETED DOCUMENT.
-The manager will use this during the actual conversation with the employee.
-
-⚠️ CRITICAL: This is a PROCEDURAL FAIRNESS meeting. NO outcome or decision is made during this meeting. The purpose is to:
-1. Present allegations to the employee
-2. Give the employee the opportunity to respond
-3. Gather information and the employee's perspective
-4. Adjourn to consider all information before making any decision
-
-A follow-up meeting will be scheduled 24-48 hours later to deliver the outcome after proper consideration.
-
-VENUE CONTEXT:
-${venueContext}
-Manager: ${venueProfile.userName || '[Manager Name]'}
-
-EMPLOYEE DETAILS:
-- Name: ${data.employeeName}
-- Position: ${data.position}
-
-MEETING PREPARATION CHECKLIST:
-- 24 hours notice given: ${data.notice24hours}
-- Support person offered: ${data.supportPersonOffered}
-
-ALLEGATIONS:
-${data.allegations}
-
-WITNESSES (if any):
-${data.witnesses || 'None mentioned'}
-
-**CRITICAL FORMATTING REQUIREMENTS:**
-1. Use ## for major sections (e.g., ## BEFORE THE MEETING)
-2. Use blank lines between ALL paragraphs and sections
-3. DO NOT use **bold** formatting - use plain text only
-4. For lists, use bullet points with "• " prefix
-5. Structure clearly with proper spacing
-6. Separate each major section with a blank line before and after
-7. **ALWAYS add a space after colons in labels** (e.g., "Employee Name: Blake" not "Employee Name:Blake")
-8. For manager scripts, prefix with "MANAGER SAYS: " instead of using bold
-
-**IMPORTANT: Format lists clearly with bullet points like this:**
-- First item
-- Second item
-- Third item
-
-**IMPORTANT: Always include a space after colons:**
-✓ CORRECT: "Date: 20 January 2026"
-✗ WRONG: "Date:20 January 2026"
-
-Generate a conversation template that:
-
-1. **Provides a complete script** for the manager to follow during the meeting
-2. **Uses "MANAGER SAYS:" prefix** for what the manager should actually SAY
-3. **Uses italics** for instructions/guidance (e.g., *Listen carefully and take notes*)
-4. **Leaves space** for the manager to write the employee's responses
-5. **Guides the manager** through difficult conversations with prompts like:
-   - *Ask clarifying questions*
-   - *Allow the employee time to respond*
-   - *Remain calm and professional*
-6. **CLEARLY STATES** that no decision will be made today - this is just to hear their side
-
-STRUCTURE:
-
-## BEFORE THE MEETING
-
-*Print this document and have it in front of you during the meeting*
-*Review the allegations and gather any evidence*
-*Prepare to listen - this is a two-way conversation*
-*Remember: You are NOT making a decision today - only gathering information*
-
-## MEETING SCRIPT
-
-### OPENING THE MEETING
-
-MANAGER SAYS: "Thank you for meeting with me today, ${data.employeeName}. As mentioned in my notice, we need to discuss some concerns about [brief description]."
-
-MANAGER SAYS: "You have the right to have a support person present. Have you brought someone with you, or would you like to reschedule to arrange one?"
-
-*Wait for response - write it here:*
-__________________________________________________________________________________
-
-### EXPLAINING THE PURPOSE
-
-MANAGER SAYS: "Before we start, I want to be clear about the purpose of this meeting:
-
-- I'm going to explain some allegations/concerns
-- You'll have the opportunity to respond and give your side of the story
-- I'm here to listen and gather information
-- No decision will be made today - I need time to properly consider everything you tell me
-- We'll schedule a follow-up meeting in the next 24-48 hours where I'll share my decision
-
-Does that make sense?"
-
-*Wait for acknowledgment:*
-___________________________________
-
-### PRESENTING THE ALLEGATIONS
-
-MANAGER SAYS: "The reason for this meeting is that I've received information about the following:"
-
-${data.allegations.split('\n').map(a => `• ${a.trim()}`).join('\n')}
-
-*Pause after presenting each allegation - let them absorb the information*
-
-MANAGER SAYS: "These matters are serious because [explain the impact - e.g., they affect workplace safety, team morale, customer service, or breach company policy]."
-
-### GIVING THE EMPLOYEE THE OPPORTUNITY TO RESPOND
-
-MANAGER SAYS: "Now I'd like to hear your side of the story. This is your opportunity to respond to these allegations. Can you tell me what happened from your perspective?"
-
-*This is CRITICAL - LISTEN carefully without interrupting. Take detailed notes of everything they say:*
-
-Employee's response to allegations:
-__________________________________________________________________________________
-__________________________________________________________________________________
-__________________________________________________________________________________
-__________________________________________________________________________________
-__________________________________________________________________________________
-
-*After they finish, ask clarifying questions:*
-
-MANAGER SAYS: "Thank you for explaining. Can I ask a few questions to make sure I understand correctly?"
-
-Clarifying questions to ask:
-
-- "When you say [repeat something they said], can you explain what you mean?"
-- "Were there any other circumstances I should know about?"
-- "Is there anyone who can support what you're telling me?"
-- "Is there anything else you'd like to add?"
-
-Additional information from employee:
-__________________________________________________________________________________
-__________________________________________________________________________________
-__________________________________________________________________________________
-
-### EVIDENCE OR WITNESSES
-
-*If the employee mentions evidence or witnesses:*
-
-MANAGER SAYS: "You mentioned [evidence/witness]. Can you provide me with [details/their name] so I can consider this as part of my review?"
-
-Evidence/witnesses mentioned:
-__________________________________________________________________________________
-__________________________________________________________________________________
-
-### EXPLAINING NEXT STEPS
-
-MANAGER SAYS: "Thank you for being open with me and sharing your perspective. I want to be clear about what happens next:
-
-- I'm going to take time to properly consider everything you've told me today
-- I'll review all the information, evidence, and your response
-- I'll schedule a follow-up meeting with you within the next 24-48 hours
-- At that meeting, I'll let you know my decision and what happens next
-- You won't hear anything before that meeting - I need time to think this through properly"
-
-*Set a specific date/time now for the follow-up meeting:*
-
-MANAGER SAYS: "Can we schedule our follow-up meeting for [DATE] at [TIME]?"
-
-Follow-up meeting scheduled:
-
-Date: ___________________
-
-Time: ___________________
-
-### CLOSING THE MEETING
-
-MANAGER SAYS: "Do you have any questions about the process or what happens next?"
-
-*Note any questions/concerns:*
-__________________________________________________________________________________
-
-MANAGER SAYS: "Thank you for attending this meeting and sharing your side of the story. I'll see you at our follow-up meeting on [DATE]."
-
-*If they have a support person:*
-
-MANAGER SAYS: "Thank you also for attending [support person name]."
-
-## AFTER THE MEETING
-
-*Complete the following sections IMMEDIATELY after the meeting while details are fresh:*
-
-### SUMMARY OF ALLEGATIONS PRESENTED
-
-*Write a brief, factual summary of what allegations you presented:*
-__________________________________________________________________________________
-__________________________________________________________________________________
-
-### EMPLOYEE'S RESPONSE SUMMARY
-
-*Summarise the key points of what the employee said in response:*
-________________________________________________________________________________
-________________________________________________________________________________
-________________________________________________________________________________
-
-### EMPLOYEE'S EXPLANATION/MITIGATING CIRCUMSTANCES
-
-*Note any explanations, mitigating factors, or context the employee provided:*
-__________________________________________________________________________________
-__________________________________________________________________________________
-
-### EVIDENCE/WITNESSES TO FOLLOW UP
-
-*List any evidence you need to review or witnesses you need to speak to:*
-
-- __________________________________________________________________________________
-- __________________________________________________________________________________
-- __________________________________________________________________________________
-
-### MANAGER'S NOTES FOR CONSIDERATION
-
-*Before making your decision, consider:*
-
-- How credible is the employee's explanation?
-- Does their response change the seriousness of the allegations?
-- What evidence supports or contradicts their version?
-- Are there any mitigating circumstances?
-- What is the appropriate outcome (if allegations are substantiated)?
-
-*DO NOT write your decision here - this is just for your own consideration process*
-
-### MEETING ATTENDEES
-
-Employee: ${data.employeeName}
-
-Manager: ${venueProfile.userName || '[Manager Name]'}
-
-Support Person (if present): _________________________________
-
-Date: ___________________
-
-Time: ___________________
-
-### NEXT STEPS BEFORE FOLLOW-UP MEETING
-
-*What you need to do before the follow-up meeting:*
-
-☐ Review all evidence and witness statements
-☐ Consider the employee's response fairly
-☐ Determine if allegations are substantiated
-☐ Decide on appropriate outcome (if substantiated)
-☐ Prepare outcome letter (if formal warning required)
-☐ Schedule follow-up meeting (DONE: [DATE/TIME])
-
----
-
-**IMPORTANT REMINDERS FOR MANAGER:**
-
-✓ DO NOT make or hint at any decision during this meeting
-✓ Your role today is to LISTEN and GATHER INFORMATION only
-✓ Take detailed notes - they may be important later
-✓ Remain calm, professional, and neutral
-✓ Give the employee adequate time to respond
-✓ Ask open-ended questions to get their full story
-✓ Schedule the follow-up meeting before they leave
-
-**PROCEDURAL FAIRNESS CHECKLIST:**
-
-☐ Employee given 24 hours notice ✓
-☐ Employee offered support person ✓
-☐ Allegations clearly explained ✓
-☐ Employee given genuine opportunity to respond ✓
-☐ Employee's response documented ✓
-☐ Follow-up meeting scheduled ✓
-☐ No decision made during this meeting ✓
-
-**⚠️ CRITICAL LEGAL REQUIREMENT:**
-
-This meeting is ONLY for gathering information. You MUST take time (24-48 hours) to properly consider the employee's response before making any decision. Failing to do this could result in a finding of unfair dismissal if the matter proceeds to termination.
-
-*If you're unsure how to proceed at any point, pause the meeting and contact Fitz HR: support@fitzhr.com*
-`;
-    
-    } else if (type === 'letterOfAllegation') {
-    prompt = `You are generating a LETTER OF ALLEGATION for serious workplace misconduct investigation.
-
-**CRITICAL OUTPUT REQUIREMENT:**
-You MUST generate an ACTUAL FORMAL LETTER - a complete, ready-to-use business letter document.
-DO NOT generate:
-- A checklist
-- A guide or how-to
-- Bullet points of what to include
-- Tips or advice
-- An outline or template with placeholders like "[insert here]"
-
-Generate the ACTUAL LETTER with real content based on the information provided below.
-
-⚠️ THIS IS HIGH-RISK - MUST BE LEGALLY SOUND
-
-VENUE CONTEXT:
-${venueContext}
-Manager: ${venueProfile.userName || '[Manager Name]'}
-
-EMPLOYEE:
-- Name: ${data.employeeName}
-- Position: ${data.position}
-- Employment Type: ${data.employmentType}
-
-ALLEGATION:
-Type: ${data.allegationType}
-${data.allegationDescription}
-Date of incident: ${data.incidentDate}
-
-SOURCE:
-${data.allegationSource}
-${data.evidenceExists ? `Evidence: ${data.evidenceExists}` : ''}
-
-INVESTIGATION:
-Investigator: ${data.investigator}
-Suspension: ${data.suspensionRequired}
-
-MEETING SCHEDULED:
-Date: ${data.meetingDate}
-Location: ${data.meetingLocation}
-
-**CRITICAL FORMATTING REQUIREMENTS:**
-1. Use ## for major sections (e.g., ## ALLEGATION DETAILS)
-2. Use blank lines between ALL paragraphs and sections
-3. DO NOT use bold formatting - use plain text only
-4. For lists, use bullet points with "• " prefix
-5. Structure clearly with proper spacing
-6. Separate each major section with a blank line before and after
-7. **ALWAYS add a space after colons in labels** (e.g., "Date: 20 January 2026" not "Date:20 January 2026")
-
-**IMPORTANT: Format lists clearly with bullet points like this:**
-- First item
-- Second item
-- Third item
-
-**IMPORTANT: Always include a space after colons:**
-✓ CORRECT: "Date: 20 January 2026"
-✗ WRONG: "Date:20 January 2026"
-
-Generate a legally compliant Letter of Allegation.
-
-CRITICAL REQUIREMENTS:
-
-1. **Neutral tone** - No presumption of guilt
-2. **Clear process** - Explain investigation steps
-3. **Employee rights**:
-   - Right to support person
-   - Opportunity to respond
-   - Procedural fairness
-4. **Confidentiality requirements**
-5. **Meeting details**
-6. **Suspension details** (if applicable)
-7. **Next steps clearly outlined**
-
-Example structure:
-
-# PRIVATE & CONFIDENTIAL
-
-# LETTER OF ALLEGATION
-
-## DATE AND RECIPIENT
-
-Date: [Date]
-
-Employee Name: [Name]
-
-Position: [Position]
-
-Employment Type: [Type]
-
-## SUBJECT
-
-Subject: Allegation of [Type] - Investigation Process
-
-## NATURE OF ALLEGATION
-
-[Factual description - not conclusive]
-
-We have received information regarding an alleged incident of ${data.allegationType} that occurred on or around ${data.incidentDate}.
-
-The allegation is as follows:
-
-${data.allegationDescription}
-
-Please note that this letter does not constitute a finding of guilt or wrongdoing. It is simply to inform you of the allegation and the investigation process that will follow.
-
-## INVESTIGATION PROCESS
-
-We will be conducting a thorough and fair investigation into this matter. The investigation will include:
-
-- Meeting with you to hear your response to the allegation
-- Reviewing any relevant evidence
-- Speaking with any witnesses (if applicable)
-- Considering all information before making any decision
-
-The investigation will be conducted by: ${data.investigator}
-
-## SUSPENSION ARRANGEMENTS
-
-${data.suspensionRequired.includes('No suspension') ? 
-  'You are not suspended during this investigation and should continue to attend work as normal.' :
-  data.suspensionRequired.includes('full pay') ?
-  'You are suspended on full pay during this investigation. You should not attend the workplace unless specifically requested. You will continue to receive your normal pay during this period.' :
-  'You are suspended without pay during this investigation due to the serious nature of the alleged misconduct. You should not attend the workplace unless specifically requested.'}
-
-## INVESTIGATION MEETING
-
-You are required to attend an investigation meeting to respond to this allegation:
-
-Date: ${data.meetingDate}
-
-Location: ${data.meetingLocation}
-
-## YOUR RIGHTS
-
-You have the following rights during this investigation:
-
-- Right to bring a support person to the meeting (this can be a work colleague, family member, or union representative)
-- Opportunity to respond to the allegations in full
-- Right to provide evidence or witness names that support your version of events
-- Procedural fairness will be maintained throughout the investigation
-- You may seek legal advice if you wish
-
-## CONFIDENTIALITY
-
-This matter is confidential. You must not discuss the allegation or investigation with other employees (except your nominated support person or union representative). Breaching confidentiality may be considered a separate matter of misconduct.
-
-## NEXT STEPS
-
-After the investigation meeting:
-
-- Your response will be considered along with all other evidence
-- A decision will be made regarding the allegation
-- You will be informed of the outcome in writing
-- If the allegation is substantiated, disciplinary action may be taken, which could include termination of employment
-
-## CONTACT INFORMATION
-
-If you have any questions about this process or need to discuss the meeting arrangements, please contact:
-
-${venueProfile.userName || '[Manager Name]'}
-
-Email: support@fitzhr.com
-
-Phone: [Insert Phone Number]
-
-We encourage you to seek advice from a union representative or legal advisor if you wish.
-
----
-
-This is a serious matter and we are committed to conducting a fair and thorough investigation.
-
-Please confirm receipt of this letter and your attendance at the scheduled meeting.
-
-Yours sincerely,
-
-${venueProfile.userName || '[Manager Name]'}
-
-[Title]
-
-${venueProfile.venueName || '[Venue Name]'}
-
-Date: [Date]
-
----
-
-IMPORTANT LEGAL NOTICE:
-
-This letter must be reviewed by a Fitz HR Senior Consultant before being issued to the employee.
-
-Contact: support@fitzhr.com
-
-Include:
-- PRIVATE & CONFIDENTIAL header
-- Date and recipient details
-- Clear subject line
-- Nature of allegation (factual, not conclusive)
-- Investigation process explanation
-- Suspension details if applicable
-- Meeting details (date, time, location)
-- Support person rights
-- Confidentiality requirements
-- Next steps after investigation
-- Signature section
-
-TONE: Professional, neutral, procedurally fair. This is NOT a punishment - it's the start of a fair process.`;
-	
-    } else if (type === 'formalProbationReview') {
-        prompt = `You are generating a FORMAL PROBATION REVIEW DOCUMENT for Australian ${_awardSector()}HR.
-
-The purpose of this Formal Probation Review Document is to guide an open and honest discussion about performance and/or behaviours in probation, including support the employee may need.
-
-The probation period is an opportunity for the business and the employee to determine the employee's suitability for the role and culture fit.
-
-THIS IS A TEMPLATE & CONVERSATION GUIDE — the manager will use this during the actual meeting with the employee and complete sections together.
-
-VENUE CONTEXT:
-${venueContext}
-Award: ${getAwardContext().fullName}
-
-EMPLOYEE DETAILS:
-- Employee Name: ${data.employeeName}
-- Position: ${data.position}
-- People Leader: ${data.peopleLeader}
-- Meeting Date: ${data.meetingDate}
-- Employment Type: ${data.employmentType}
-- Start Date: ${data.startDate}
-- Probation End Date: ${data.probationEndDate}
-
-PREVIOUS CHECK-IN/COACHING CONVERSATIONS:
-${data.checkInHistory}
-
-REVIEW OF PERFORMANCE — STRENGTHS:
-Areas currently meeting the required standards:
-${data.strengths}
-${data.strengthsComments ? `Additional comments: ${data.strengthsComments}` : ''}
-
-OPPORTUNITIES FOR DEVELOPMENT:
-Areas NOT currently meeting the required standards:
-${data.developmentAreas}
-${data.developmentComments ? `Additional comments: ${data.developmentComments}` : ''}
-${data.conductConcerns ? `Conduct/compliance concerns: ${data.conductConcerns}` : 'No conduct or compliance concerns noted.'}
-
-ACTION PLAN:
-Agreed actions:
-${data.agreedActions}
-
-Training and support to be provided:
-${data.trainingAndSupport}
-
-Next review date: ${data.nextReviewDate}
-
-EMPLOYEE FEEDBACK:
-${data.employeeSelfAssessment || 'To be completed during the meeting with the employee.'}
-
-OVERALL OUTCOME: ${data.overallOutcome}
-${data.additionalNotes ? `Additional notes: ${data.additionalNotes}` : ''}
-
-**CRITICAL FORMATTING REQUIREMENTS:**
-1. Use ## for major sections
-2. Use blank lines between ALL paragraphs and sections
-3. Use **text** for emphasis on key headings only
-4. For lists, use bullet points with "• " prefix
-5. Structure clearly with proper spacing
-6. ALWAYS add a space after colons in labels (e.g., "Date: " not "Date:")
-7. Include writable lines (______) for sections completed during the meeting
-
-Generate a complete, professional Formal Probation Review Document with the following structure:
-
-## FORMAL PROBATION REVIEW DOCUMENT
-
-*Start with a brief purpose statement: "The purpose of this Formal Probation Review Document is to guide an open and honest discussion about performance and/or behaviours in probation, including support the employee may need."*
-
-*Add: "The probation period is an opportunity for [business name] and the employee to determine the employee's suitability for the role and culture fit."*
-
-*Add: "Generally, at least one Probation Check-In Conversation has occurred before a Formal Probation Review."*
-
-## EMPLOYEE DETAILS
-
-Create a clear details table with:
-- Employee Name: ${data.employeeName}
-- Position: ${data.position}
-- People Leader: ${data.peopleLeader}
-- Meeting Date: ${data.meetingDate}
-- Employment Start Date: ${data.startDate}
-- Probation End Date: ${data.probationEndDate}
-
-## PREVIOUS COACHING & CHECK-IN CONVERSATIONS
-
-*Add: "The following coaching and/or check-in conversations have occurred:"*
-
-List each conversation from the provided history as bullet points with date and overview. Format as:
-• [date] — [overview of conversation]
-
-## REVIEW OF PERFORMANCE
-
-### Strengths
-
-*Add: "Discuss the areas of performance and/or behaviours that ARE currently meeting the required standards."*
-
-Expand the provided strengths into clear, professional bullet points with specific examples. Then add a comments section:
-
-Comments:
-__________________________________________________________________________________
-__________________________________________________________________________________
-__________________________________________________________________________________
-
-### Opportunities for Development
-
-*Add: "Discuss the areas of performance and/or behaviours that are NOT currently meeting the required standards."*
-
-Expand the provided development areas into clear, professional bullet points with specific examples. Then add a comments section:
-
-Comments:
-__________________________________________________________________________________
-__________________________________________________________________________________
-__________________________________________________________________________________
-
-${data.conductConcerns ? `*Add a note about conduct/compliance matters if applicable: "${data.conductConcerns}"*` : '*Add: "Conduct or compliance breaches? Contact Fitz HR: support@fitzhr.com"*'}
-
-## ACTION PLAN
-
-*Add: "What is to be done, who will do it, when it needs to be completed. The most effective Action Plans focus on behaviours and actions (inputs) rather than metrics and outcomes (outputs)."*
-
-*Add: "To help improve performance and/or behaviours to the required standard, the following action plan is agreed:"*
-
-Create a clear action plan table/section with columns:
-- Agreed Actions | By Whom | By When
-
-Expand the provided agreed actions into the table. Include BOTH employee actions AND leader actions.
-
-Then add the training and support section with specific details.
-
-Next Review Date: ${data.nextReviewDate}
-
-## EMPLOYEE'S COMMENTS/FEEDBACK
-
-*Add: "Ask the employee for their self-assessment on their performance and/or behaviours, including any barriers they are facing, support they need, and feedback for you as their leader."*
-
-${data.employeeSelfAssessment ? `Pre-filled: ${data.employeeSelfAssessment}` : ''}
-
-Comments:
-__________________________________________________________________________________
-__________________________________________________________________________________
-__________________________________________________________________________________
-__________________________________________________________________________________
-
-## KEY MESSAGES
-
-*Add: "The following points were discussed and agreed (adjust as appropriate):"*
-
-Based on the overall outcome "${data.overallOutcome}", generate appropriate key messages. These should be specific bullet points that summarise what was discussed and agreed. Include messages like:
-
-${data.overallOutcome.includes('On track') ? 
-`- The employee is currently meeting the required performance and/or behavioural standards for their role
-- Areas of strength have been acknowledged and areas for continued development have been identified
-- Both parties have agreed on an action plan for the next period
-- A follow-up review will take place on ${data.nextReviewDate} to continue tracking progress` :
-data.overallOutcome.includes('At risk') || data.overallOutcome.includes('Significant') ?
-`- The employee is not currently meeting the required performance and/or behavioural standards required of their role
-- The employee will need to address these performance or behavioural gaps and show sufficient improvement to be considered suitable for ongoing employment
-- We have discussed and confirmed that the employee has received appropriate training to date to understand and perform the requirements of their role
-- Both parties have agreed on an action plan with specific, measurable improvements required
-- Another meeting will take place on ${data.nextReviewDate} to review their progress and to determine next steps` :
-data.overallOutcome.includes('ending employment') ?
-`- The employee has not demonstrated sufficient improvement during the probation period despite support and feedback provided
-- The requirements of the role and expected standards were clearly communicated
-- Support, training and regular feedback were provided throughout the probation period
-- The employee was given a genuine opportunity to improve
-- The decision to end employment during the probation period has been made in accordance with procedural fairness` :
-`- Generate 4-5 appropriate key messages based on the outcome: ${data.overallOutcome}`}
-
-*Add: "Should the employee feel they need any support in dealing with this matter, confidential independent professional counsellors can be contacted for a range of issues." (Include an EAP reference if the business has one)*
-
-## SIGNATURES
-
-People Leader's Signature: _________________________ Date: __ / __ / ____
-
-Employee's Signature: _________________________ Date: __ / __ / ____
-
----
-
-**IMPORTANT REMINDERS:**
-
-✓ Both parties should retain a copy of this completed document
-✓ This document forms part of the employee's probation record
-✓ Any serious concerns should be escalated to Fitz HR: support@fitzhr.com
-✓ The tone throughout should be supportive and developmental — firm where needed but always fair
-
-**⚠️ All generated documents must be reviewed by a Fitz HR consultant before use.**
-
-Contact: support@fitzhr.com
-
-TONE: Professional, supportive, and fair. This is a development conversation — not a disciplinary meeting. Be specific with examples, balanced in acknowledging strengths and identifying areas for improvement, and constructive in the action plan. The document should demonstrate genuine procedural fairness.
-
-DO NOT add fictional details. Expand and contextualise what was provided. DO NOT reference any other organisations by name.`;
-	
-    } else if (type === 'performanceImprovementPlan') {
-        prompt = `You are generating a PERFORMANCE IMPROVEMENT PLAN (PIP) for Australian ${_awardSector()}HR.
-
-**CRITICAL OUTPUT REQUIREMENT:**
-You MUST generate an ACTUAL FORMAL DOCUMENT - a complete, ready-to-use Performance Improvement Plan.
-DO NOT generate:
-- A checklist
-- A guide or how-to
-- Bullet points of what to include
-- Tips or advice
-- An outline or template with placeholders like "[insert here]"
-
-Generate the ACTUAL PIP DOCUMENT with real content based on the information provided below.
-
-⚠️ THIS IS A FORMAL 12-WEEK STRUCTURED PROCESS
-
-VENUE CONTEXT:
-${venueContext}
-Award: ${getAwardContext().fullName}
-Manager: ${data.managerName || venueProfile.userName || '[Manager Name]'}
-
-EMPLOYEE DETAILS:
-- Name: ${data.employeeName}
-- Position: ${data.position}
-- Employment Type: ${data.employmentType}
-
-PERFORMANCE ISSUES IDENTIFIED:
-Issue #1: ${data.performanceIssue1}
-Evidence: ${data.performanceData1}
-
-${data.performanceIssue2 ? `Issue #2: ${data.performanceIssue2}\nEvidence: ${data.performanceData2}` : ''}
-
-SMART GOALS SET:
-Goal #1: ${data.goal1}
-${data.goal2 ? `Goal #2: ${data.goal2}` : ''}
-${data.goal3 ? `Goal #3: ${data.goal3}` : ''}
-
-ACTION PLAN:
-Training/Coaching: ${data.trainingProvided}
-Resources: ${data.resourcesProvided}
-Manager Support: ${data.managerSupport}
-
-EMPLOYEE RESPONSIBILITIES:
-${data.employeeActions}
-
-TIMELINE:
-- PIP Start: ${data.pipStartDate}
-- Weekly Check-ins: ${data.weeklyCheckins}
-- Week 4 Review: ${data.week4ReviewDate}
-- Week 8 Review: ${data.week8ReviewDate}
-- Week 12 Final Review: ${data.week12ReviewDate}
-
-CONSEQUENCES:
-- Week 4: ${data.week4Consequence}
-- Week 8: ${data.week8Consequence}
-- Week 12: ${data.week12Consequence}
-${data.consequenceNotes ? `Notes: ${data.consequenceNotes}` : ''}
-
-**CRITICAL FORMATTING REQUIREMENTS:**
-1. Use ## for major sections (e.g., ## PERFORMANCE ISSUES)
-2. Use blank lines between ALL paragraphs and sections
-3. DO NOT use **bold** formatting - use plain text only
-4. For lists, use bullet points with "• " prefix
-5. Structure clearly with proper spacing
-6. **ALWAYS add a space after colons in labels** (e.g., "Date: 20 January 2026" not "Date:20 January 2026")
-
-Generate a complete, professionally structured 12-Week Performance Improvement Plan.
-
-REQUIREMENTS:
-
-1. **Professional business document format**
-2. **Clear structure** with these sections:
-   - Header (CONFIDENTIAL - PERFORMANCE IMPROVEMENT PLAN)
-   - Employee and Manager Details
-   - Purpose of PIP
-   - Performance Issues Identified (with data/evidence)
-   - SMART Goals (numbered, clear, measurable)
-   - Action Plan (detailed steps, training, resources)
-   - Roles and Responsibilities (Manager & Employee tables)
-   - Timeline and Review Schedule (12-week calendar)
-   - Progress Measurement (how success will be tracked)
-   - Consequences (staged - Week 4, 8, 12)
-   - Support Available
-   - Employee Acknowledgment Section
-   - Signature Blocks
-
-3. **Use a supportive but clear tone** - this is to help the employee succeed, not punish them
-4. **Make goals SMART** - expand on the brief goals provided with more specific detail
-5. **Weekly check-in template** - provide a simple weekly check-in form at the end
-6. **Be specific about consequences** but frame as progressive steps. **Do NOT include "reduction in rostered hours" or "reduced shifts" as a consequence - this is not appropriate, particularly for full-time employees.**
-7. **Include measurement criteria** for each goal
-
-Example structure:
-
-# CONFIDENTIAL
-
-# PERFORMANCE IMPROVEMENT PLAN
-
-## EMPLOYEE DETAILS
-
-Employee Name: ${data.employeeName}
-
-Position: ${data.position}
-
-Employment Type: ${data.employmentType}
-
-Manager/Supervisor: ${data.managerName}
-
-PIP Start Date: ${data.pipStartDate}
-
-PIP Duration: 12 weeks
-
-## PURPOSE OF THIS PERFORMANCE IMPROVEMENT PLAN
-
-This Performance Improvement Plan (PIP) has been developed to support ${data.employeeName} in addressing performance concerns and achieving the expected standards for the ${data.position} role.
-
-The purpose of this plan is to:
-
-- Clearly identify the specific performance issues that need improvement
-- Set measurable goals with realistic timeframes
-- Provide structured support, training, and resources
-- Establish regular check-ins and feedback mechanisms
-- Outline the consequences if performance does not improve
-
-This is a supportive process designed to help you succeed. We are committed to providing you with the tools, training, and support needed to meet these goals.
-
-## PERFORMANCE ISSUES IDENTIFIED
-
-The following performance issues have been identified based on objective data and observations:
-
-### Issue 1: [Expand on ${data.performanceIssue1}]
-
-Evidence:
-
-- ${data.performanceData1}
-
-Impact: [Explain how this impacts the business, team, or customers]
-
-### Issue 2: [If applicable - expand on ${data.performanceIssue2}]
-
-Evidence:
-
-- ${data.performanceData2}
-
-Impact: [Explain impact]
-
-## SMART GOALS
-
-To address these performance issues, the following SMART goals have been established:
-
-### Goal 1: [Expand ${data.goal1}]
-
-- Specific: [What exactly needs to improve]
-- Measurable: [How will we measure success - specific numbers/metrics]
-- Achievable: [Why this is realistic given training and support]
-- Relevant: [How this relates to role expectations]
-- Time-bound: [Specific deadline - Week 4, 8, or 12]
-
-Success Criteria: [Define what "success" looks like - be very specific]
-
-### Goal 2: [If applicable]
-
-[Same structure as Goal 1]
-
-### Goal 3: [If applicable]
-
-[Same structure as Goal 1]
-
-## ACTION PLAN
-
-To help you achieve these goals, we will provide the following support:
-
-### Training and Development
-
-${data.trainingProvided}
-
-### Resources and Tools
-
-${data.resourcesProvided}
-
-### Manager/Supervisor Support
-
-${data.managerSupport}
-
-## ROLES AND RESPONSIBILITIES
-
-### Employee Responsibilities
-
-You are expected to:
-
-${data.employeeActions}
-
-### Manager/Supervisor Responsibilities
-
-Your manager/supervisor will:
-
-- Conduct weekly check-in meetings on ${data.weeklyCheckins}
-- Provide regular feedback and coaching
-- Track progress toward goals
-- Remove barriers to success where possible
-- Conduct formal reviews at Week 4, Week 8, and Week 12
-- Maintain confidentiality of this process
-
-## TIMELINE AND REVIEW SCHEDULE
-
-This is a 12-week structured process with regular check-ins and formal reviews:
-
-### Weekly Check-ins
-
-When: ${data.weeklyCheckins}
-
-Purpose: Quick progress check, address questions, provide feedback
-
-Duration: 15-30 minutes
-
-### Formal Review Points
-
-Week 4 Review: ${data.week4ReviewDate}
-
-Purpose: Assess progress on goals, adjust plan if needed, determine next steps
-
-Week 8 Review: ${data.week8ReviewDate}
-
-Purpose: Mid-point assessment, confirm trajectory, address any challenges
-
-Week 12 Final Review: ${data.week12ReviewDate}
-
-Purpose: Final assessment of overall performance improvement
-
-## PROGRESS MEASUREMENT
-
-Progress will be measured using the following methods:
-
-- [Specific metrics for Goal 1 - e.g., till data, customer feedback scores]
-- [Specific metrics for Goal 2 - e.g., accuracy reports, manager observations]
-- [Specific metrics for Goal 3 - e.g., review ratings, speed measurements]
-- Direct observation and feedback from managers and team members
-- Customer feedback and reviews
-- Self-assessment and reflection
-
-Data will be collected weekly and reviewed at each check-in.
-
-## CONSEQUENCES OF NON-IMPROVEMENT
-
-This PIP is designed to support your success. However, if performance does not improve significantly, the following consequences will apply:
-
-### Week 4 Review
-
-If there is no significant improvement by Week 4:
-
-${data.week4Consequence}
-
-### Week 8 Review
-
-If there is no significant improvement by Week 8:
-
-${data.week8Consequence}
-
-### Week 12 Final Review
-
-If performance standards have not been met by Week 12:
-
-${data.week12Consequence}
-
-${data.consequenceNotes ? `Additional notes: ${data.consequenceNotes}` : ''}
-
-"Significant improvement" means demonstrable progress toward the stated goals as measured by the agreed metrics and criteria.
-
-## SUPPORT AVAILABLE
-
-We want you to succeed. If you are struggling or need additional support at any time:
-
-- Speak with your manager/supervisor immediately
-- Request additional training or resources if needed
-- Ask questions if goals or expectations are unclear
-- Seek support from HR if you have concerns about the process
-
-You have the right to have a support person present at any formal review meeting. This can be a work colleague, family member, or union representative.
-
-## CONFIDENTIALITY
-
-This Performance Improvement Plan is confidential. You should not discuss the details of this plan with other employees (except your nominated support person or union representative).
-
-## EMPLOYEE ACKNOWLEDGMENT
-
-I acknowledge that:
-
-- I have received and read this Performance Improvement Plan
-- The performance issues and expectations have been clearly explained to me
-- I understand the goals I am expected to achieve
-- I understand the support and resources that will be provided
-- I understand the timeline and review process
-- I understand the consequences if my performance does not improve
-- I have been offered the right to have a support person present at review meetings
-- I have had the opportunity to ask questions about this plan
-
-This acknowledgment does not mean I agree with all aspects of this plan, but confirms I understand it.
-
-Employee Signature: _________________________ Date: __________
-
-Manager/Supervisor Signature: _________________________ Date: __________
-
----
-
-## WEEKLY CHECK-IN TEMPLATE
-
-Week Number: _____     Date: __________
-
-Goals Review:
-
-Goal 1 Progress:
-
-- Current status: [On track / Behind / Ahead]
-- Evidence of progress:
-- Challenges faced:
-- Support needed:
-
-Goal 2 Progress:
-
-- Current status: [On track / Behind / Ahead]
-- Evidence of progress:
-- Challenges faced:
-- Support needed:
-
-Action Items for Next Week:
-
-1. ___________________________________
-2. ___________________________________
-3. ___________________________________
-
-Employee Comments:
-
-__________________________________________
-
-Manager Comments:
-
-__________________________________________
-
-Employee Signature: _______________ Date: ______
-
-Manager Signature: _______________ Date: ______
-
----
-
-**IMPORTANT REMINDER:**
-
-This PIP must be reviewed by a Fitz HR Senior Consultant before presenting to the employee to ensure it is legally compliant and procedurally fair.
-
-Contact: support@fitzhr.com
-
-Format as a complete, professional business document with clear structure and spacing.
-
-This is a SUPPORTIVE document - the tone should be firm but encouraging. The goal is to help the employee succeed, not to create a paper trail for termination (although it may be used that way if improvement doesn't occur).
-
-DO NOT add fictional details. Use the specific information provided. Expand and add professional context where appropriate.`;
-    
-    }
-    
-    // Add FINAL instruction at the end of every prompt
-    const finalInstruction = `
-
-=== FINAL REMINDER - READ THIS CAREFULLY ===
-Your output MUST be the actual document content itself - starting with the document header (e.g., "FORMAL WARNING LETTER" or "PRIVATE & CONFIDENTIAL").
-
-DO NOT:
-- Start with "I understand..." or "Here's what you need..." or any conversational text
-- Provide advice, guidance, or process steps
-- Give a checklist of what the document should contain
-- Explain what the document is for
-
-DO:
-- Begin IMMEDIATELY with the document header
-- Write the actual formal letter/document content
-- Use the employee name, dates, and details provided
-- Format as a ready-to-print professional document
-
-START YOUR RESPONSE WITH THE DOCUMENT HEADER NOW:
-=== END FINAL REMINDER ===`;
-    
-    // Prepend universal instruction and append final instruction
-    return universalInstruction + prompt + finalInstruction;
-}
-
-function showDocumentPreview(generatedDoc) {
-    // Convert the AI-generated content to proper HTML
-    const formattedHTML = convertAIContentToHTML(generatedDoc);
-    
-    document.getElementById('documentPreviewContent').innerHTML = formattedHTML;
-    document.getElementById('documentPreviewModal').classList.remove('hidden');
-}
-
-function closeDocumentPreview() {
-    document.getElementById('documentPreviewModal').classList.add('hidden');
-    // Reset the document builder silently so it's ready for next use
-    resetDocumentBuilderSilent();
-}
-
-// Silent reset (used when closing modal)
-function resetDocumentBuilderSilent() {
-    // Reset state
-    documentBuilderState.currentType = null;
-    documentBuilderState.currentStep = 1;
-    documentBuilderState.data = {};
-    documentBuilderState.generatedDocument = null;
-    documentBuilderState.isGenerating = false;
-    
-    // Hide all wizard sections
-    const wizardSteps = document.getElementById('documentWizardSteps');
-    const generating = document.getElementById('documentGenerating');
-    const templateSelection = document.getElementById('documentTemplateSelection');
-    
-    if (wizardSteps) wizardSteps.classList.add('hidden');
-    if (generating) generating.classList.add('hidden');
-    if (templateSelection) templateSelection.classList.remove('hidden');
-    
-    // Reset progress
-    const currentStep = document.getElementById('docCurrentStep');
-    const progress = document.getElementById('docProgress');
-    const progressBar = document.getElementById('docProgressBar');
-    
-    if (currentStep) currentStep.textContent = '1';
-    if (progress) progress.textContent = '0% Complete';
-    if (progressBar) progressBar.style.width = '0%';
-    
-}
-
-// Reset with confirmation (used when user clicks "Start Over" button)
-function resetDocumentBuilder() {
-    // Confirm reset
-    if (!confirm('Start over? This will clear all your entered information.')) {
-        return;
-    }
-    
-    // Call the silent reset
-    resetDocumentBuilderSilent();
-}
-
-// ========================================
-// FITZ CREDITS MODAL FUNCTIONS
-// ========================================
-
-// Track selected consultation type
-let selectedConsultation = null;
-let selectedMeetingType = null;
-
-// Consultation types configuration
-const CONSULTATION_TYPES = {
-    terminationReview: {
-        name: 'Termination Review',
-        icon: '🚪',
-        credits: 7,
-        includes: 'Includes termination letter if approved',
-        calendlyZoom: 'CALENDLY_TERMINATION_ZOOM_URL',
-        calendlyPhone: 'CALENDLY_TERMINATION_PHONE_URL'
-    },
-    redundancyReview: {
-        name: 'Redundancy Review',
-        icon: '📉',
-        credits: 7,
-        includes: 'Includes redundancy letters if approved',
-        calendlyZoom: 'CALENDLY_REDUNDANCY_ZOOM_URL',
-        calendlyPhone: 'CALENDLY_REDUNDANCY_PHONE_URL'
-    },
-    investigationReview: {
-        name: 'Investigation Review',
-        icon: '🔍',
-        credits: 8,
-        includes: 'Includes investigation report',
-        calendlyZoom: 'CALENDLY_INVESTIGATION_ZOOM_URL',
-        calendlyPhone: 'CALENDLY_INVESTIGATION_PHONE_URL'
-    },
-    settlementReview: {
-        name: 'Settlement Review',
-        icon: '🤝',
-        credits: 8,
-        includes: 'Includes deed of settlement draft',
-        calendlyZoom: 'CALENDLY_SETTLEMENT_ZOOM_URL',
-        calendlyPhone: 'CALENDLY_SETTLEMENT_PHONE_URL'
-    },
-    unfairDismissalResponse: {
-        name: 'Unfair Dismissal Response',
-        icon: '⚖️',
-        credits: 8,
-        includes: 'Includes response draft for Fair Work',
-        calendlyZoom: 'CALENDLY_UNFAIR_DISMISSAL_ZOOM_URL',
-        calendlyPhone: 'CALENDLY_UNFAIR_DISMISSAL_PHONE_URL'
-    },
-    generalConsultation: {
-        name: 'General HR Consultation',
-        icon: '💬',
-        credits: 5,
-        includes: 'Expert advice on any HR matter',
-        calendlyZoom: 'CALENDLY_GENERAL_ZOOM_URL',
-        calendlyPhone: 'CALENDLY_GENERAL_PHONE_URL'
-    }
-};
-
-// ============================================
-// CALENDLY CONFIGURATION
-// ============================================
-const CALENDLY_CONFIG = {
-    baseUrl: 'https://calendly.com/fitzhr',
-    events: {
-        zoom: 'hr-consultation-zoom',
-        phone: '30min'
-    }
-};
-
-/**
- * Toggle the free documents dropdown in credits modal
- */
-function toggleFreeDocsDropdown() {
-    const dropdown = document.getElementById('freeDocsDropdown');
-    const chevron = document.getElementById('freeDocsChevron');
-    
-    if (dropdown && chevron) {
-        dropdown.classList.toggle('hidden');
-        chevron.classList.toggle('rotate-180');
-    }
-}
-
-/**
- * Open the credits management modal
- */
-function openCreditsModal() {
-    const totalCredits = getTotalCredits();
-    const modalCreditsBalance = document.getElementById('modalCreditsBalance');
-    const freeDocStatus = document.getElementById('freeDocumentStatus');
-    const freeDocUsedStatus = document.getElementById('freeDocumentUsedStatus');
-    
-    // Update tier display - use subscriptionTier if available, fallback to tier, then 'free'
-    const currentTier = userCredits.subscriptionTier || userCredits.tier || 'free';
-    document.getElementById('modalCurrentTier').textContent = CONFIG.CREDITS.TIERS[currentTier]?.name || 'Free';
-    
-    // Update credits balance - show actual number
-    modalCreditsBalance.textContent = totalCredits;
-    modalCreditsBalance.classList.remove('text-green-400', 'text-amber-400', 'text-red-400');
-    if (totalCredits >= 5) {
-        modalCreditsBalance.classList.add('text-green-400');
-    } else if (totalCredits >= 1) {
-        modalCreditsBalance.classList.add('text-amber-400');
-    } else {
-        modalCreditsBalance.classList.add('text-red-400');
-    }
-    
-    // Show free tier info or hide for paid tiers
-    const modalTier = userCredits.subscriptionTier || userCredits.tier || 'free';
-    if (freeDocStatus && freeDocUsedStatus) {
-        if (modalTier === 'free') {
-            freeDocStatus.classList.remove('hidden');
-            freeDocUsedStatus.classList.add('hidden');
-        } else {
-            // Hide for paid tiers
-            freeDocStatus.classList.add('hidden');
-            freeDocUsedStatus.classList.add('hidden');
-        }
-    }
-    
-    // Update prompts remaining
-    if (modalTier === 'free') {
-        const remaining = getRemainingPrompts();
-        document.getElementById('modalPromptsRemaining').textContent = `${remaining}/${CONFIG.CREDITS.FREE_TIER.MONTHLY_PROMPTS} prompts remaining`;
-    } else {
-        document.getElementById('modalPromptsRemaining').textContent = 'Unlimited prompts';
-    }
-    
-    // Reset free docs dropdown state
-    const freeDocsDropdown = document.getElementById('freeDocsDropdown');
-    const freeDocsChevron = document.getElementById('freeDocsChevron');
-    if (freeDocsDropdown) freeDocsDropdown.classList.add('hidden');
-    if (freeDocsChevron) freeDocsChevron.classList.remove('rotate-180');
-    
-    // Show/hide manage subscription section
-    updateManageSubscriptionUI();
-    
-    document.getElementById('creditsModal').classList.remove('hidden');
-}
-
-/**
- * Close the credits modal
- */
-function closeCreditsModal() {
-    document.getElementById('creditsModal').classList.add('hidden');
-}
+/**
+ * Close the credits modal
+ */
+function closeCreditsModal() {
+    document.getElementById('creditsModal').classList.add('hidden');
+}
 
 /**
  * Update the manage subscription UI based on current subscription status
@@ -11723,6 +10411,12 @@ function attemptAutoLogin() {
  * @returns {Promise<void>}
  */
 async function sendMessage() {
+    // While an answer is streaming the Send button is the Stop button.
+    if (chatStreamController) {
+        chatStreamController.abort();
+        return;
+    }
+
     const input = DOM.messageInput;
     const message = input.value.trim();
     
@@ -11767,24 +10461,39 @@ async function sendMessage() {
     addMessage('user', message);
     input.value = '';
 
-    // Show "Fitz is thinking..." indicator
+    // Show "Fitz is thinking..." indicator until the first words arrive
     const thinkingDiv = showThinkingIndicator();
     const sendBtn = DOM.sendButton;
-    sendBtn.disabled = true;
-    sendBtn.innerHTML = '<span class="pulse">●●●</span>';
+    chatStreamController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    if (chatStreamController) {
+        sendBtn.innerHTML = '<span>■</span><span>Stop</span>';
+        sendBtn.title = 'Stop generating';
+    } else {
+        sendBtn.disabled = true;
+        sendBtn.innerHTML = '<span class="pulse">●●●</span>';
+    }
 
     conversationHistory.push({ role: 'user', content: message });
 
-    try {
-        const response = await callClaudeAPI(message);
+    // The answer streams into a live bubble; once complete it is replaced by
+    // the fully formatted message (warnings, tool suggestions, bookmark).
+    let liveDiv = null;
+    let liveText = '';
+    let citations = [];
 
-        // ✅ USE A PROMPT (for free tier tracking) — only charge AFTER a
-        // successful response, so a failed call (API 404/500, network error)
-        // doesn't burn one of the user's free-tier prompts.
-        usePrompt();
+    try {
+        const response = await callClaudeAPIStreaming(message, (text) => {
+            if (!liveDiv) {
+                removeThinkingIndicator(thinkingDiv);
+                liveDiv = showStreamingMessage();
+            }
+            liveText = text;
+            updateStreamingMessage(liveDiv, text);
+        }, chatStreamController && chatStreamController.signal, (c) => { citations = c; });
 
-        // Remove thinking indicator
+        // Remove thinking indicator / live bubble
         removeThinkingIndicator(thinkingDiv);
+        removeThinkingIndicator(liveDiv);
         
         // Build final response with injections
         let finalResponse = response;
@@ -11808,7 +10517,7 @@ async function sendMessage() {
             finalResponse = warningBox + finalResponse;
         }
         
-        addMessage('assistant', finalResponse);
+        addMessage('assistant', finalResponse, citations, response);
         trackConversation(message, response);
         conversationHistory.push({ role: 'assistant', content: response });
         
@@ -11820,13 +10529,39 @@ async function sendMessage() {
         
         trackEvent('message_sent', { user: currentUser, messageLength: message.length });
     } catch (error) {
-        // WEEK 2: Better error handling with user-friendly message
         removeThinkingIndicator(thinkingDiv);
-        handleError(error, 'sendMessage');
-        addMessage('assistant', '⚠️ I encountered an issue processing your message. Please try again. If the problem persists, try refreshing the page.');
+        removeThinkingIndicator(liveDiv);
+        if (error.name === 'AbortError') {
+            // Stopped by the user. Keep what had arrived (it was generated,
+            // so the function has counted it as a prompt); with nothing yet,
+            // drop the question from the history so the next turn starts clean.
+            if (liveText) {
+                const partial = liveText + '\n\n[Response stopped]';
+                addMessage('assistant', partial);
+                conversationHistory.push({ role: 'assistant', content: partial });
+                saveCurrentConversation();
+            } else {
+                conversationHistory.pop();
+            }
+            trackEvent('message_stopped', { user: currentUser, charsReceived: liveText.length });
+        } else if (error.code === 'quota_exhausted') {
+            // The chat function's count is the one that matters; it can run
+            // out before the local count does (another tab or device).
+            conversationHistory.pop();
+            openPromptLimitModal();
+        } else if (error.code === 'auth_required') {
+            conversationHistory.pop();
+            addMessage('assistant', '⚠️ Your session has expired. Please sign out and sign back in, then ask again.');
+        } else {
+            // WEEK 2: Better error handling with user-friendly message
+            handleError(error, 'sendMessage');
+            addMessage('assistant', '⚠️ I encountered an issue processing your message. Please try again. If the problem persists, try refreshing the page.');
+        }
     }
     
+    chatStreamController = null;
     sendBtn.disabled = false;
+    sendBtn.removeAttribute('title');
     sendBtn.innerHTML = '<span>Send</span><span>→</span>';
     
     // Reset textarea height after sending
@@ -11855,13 +10590,43 @@ function showThinkingIndicator() {
     return thinkingDiv;
 }
 
+// Assistant bubble the streamed answer is written into as it arrives. Plain
+// text until complete — half-received markdown is not formatted.
+function showStreamingMessage() {
+    const container = DOM.messagesContainer.querySelector('.space-y-6');
+    const liveDiv = document.createElement('div');
+    liveDiv.className = 'flex justify-start';
+    liveDiv.innerHTML = `
+        <div class="max-w-3xl bg-slate-800 text-slate-100 border border-slate-700 rounded-2xl px-6 py-4">
+            <p class="leading-relaxed whitespace-pre-wrap"></p>
+        </div>
+    `;
+    container.appendChild(liveDiv);
+    return liveDiv;
+}
+
+function updateStreamingMessage(liveDiv, text) {
+    liveDiv.querySelector('p').textContent = text.replace(/Fitzgerald\s*HR/gi, 'Fitz HR');
+    liveDiv.scrollIntoView({ block: 'end' });
+}
+
 function removeThinkingIndicator(thinkingDiv) {
     if (thinkingDiv && thinkingDiv.parentNode) {
         thinkingDiv.parentNode.removeChild(thinkingDiv);
     }
 }
 
-function addMessage(role, content) {
+/**
+ * Appends a chat bubble.
+ * @param {string} role - 'user' | 'assistant'
+ * @param {string} content
+ * @param {Array} [citations] - award clauses the answer cites (from the chat
+ *   function); listed under an assistant message
+ * @param {string} [answerText] - the answer as the model gave it, without the
+ *   warnings and tool suggestions added to content; what "Report wrong
+ *   answer" records (defaults to content)
+ */
+function addMessage(role, content, citations, answerText) {
     let container = DOM.messagesContainer.querySelector('.space-y-6');
     
     // If container doesn't exist, create it
@@ -11956,6 +10721,14 @@ function addMessage(role, content) {
     
     const messageId = `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     messageDiv.setAttribute('data-message-id', messageId);
+
+    // Each answer is paired with the question shown before it, so it can be
+    // reported as wrong (openFlagAnswer).
+    if (role === 'user') {
+        lastQuestionShown = content;
+    } else if (lastQuestionShown) {
+        flaggableAnswers[messageId] = { question: lastQuestionShown, answer: answerText || content };
+    }
     
     messageDiv.innerHTML = `
         <div class="max-w-3xl ${role === 'user' ? 'bg-amber-500 text-slate-900' : 'bg-slate-800 text-slate-100 border border-slate-700'} rounded-2xl px-6 py-4 relative">
@@ -11964,6 +10737,10 @@ function addMessage(role, content) {
                 ? `<p class="leading-relaxed whitespace-pre-wrap">${formattedContent}</p>`
                 : `<div class="leading-relaxed">${formattedContent}</div>`
             }
+            ${role === 'assistant' ? renderCitations(citations) : ''}
+            ${flaggableAnswers[messageId] ? `<div class="mt-3 text-right">
+                <button onclick="openFlagAnswer('${messageId}')" class="flag-answer-btn text-xs text-slate-500 hover:text-red-400 transition-colors" title="Tell us this answer is wrong">👎 Report wrong answer</button>
+            </div>` : ''}
         </div>
     `;
     
@@ -11986,26 +10763,72 @@ function addMessage(role, content) {
     }
 }
 
-async function callClaudeAPI(message) {
+// "Sources" list under an answer: each award clause it cites, with the
+// consolidated award the text was taken from, and each figure the rate engine
+// worked out for it (chat tool calls — js/chat-tools.js) with its Pay Guide.
+function renderCitations(citations) {
+    if (!citations || !citations.length) return '';
+    const items = citations.map(c => c.kind === 'calculation' ? `
+                <li><span class="text-amber-400 font-semibold">${escapeHtml(c.figure)}</span> ${escapeHtml(c.label)}
+                    <span class="text-slate-500">— calculated from ${escapeHtml(c.source)}</span></li>` : `
+                <li><span class="text-amber-400 font-semibold">cl ${escapeHtml(c.clause)}</span> ${escapeHtml(c.heading)}
+                    <span class="text-slate-500">— ${escapeHtml(c.award || '')}${c.consolidatedTo ? ` (as at ${escapeHtml(c.consolidatedTo)})` : ''}${c.page ? `, p. ${escapeHtml(String(c.page))}` : ''}</span></li>`).join('');
+    return `
+            <div class="mt-4 pt-3 border-t border-slate-700 text-xs text-slate-400">
+                <p class="font-semibold text-slate-300 mb-1">Sources</p>
+                <ul class="space-y-1">${items}</ul>
+            </div>`;
+}
+
+// Headers for a call to the chat function. It answers signed-in users only,
+// identified by their Firebase ID token, and charges the prompt to them.
+async function chatRequestHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    try {
+        const user = typeof firebase !== 'undefined' && firebase.auth ? firebase.auth().currentUser : null;
+        if (user) headers.Authorization = 'Bearer ' + await user.getIdToken();
+    } catch (e) {
+        console.warn('Could not get an ID token for chat:', e);
+    }
+    return headers;
+}
+
+// Error for a failed chat call. error.code carries the function's error
+// ('quota_exhausted', 'auth_required') so callers can show the right thing.
+async function chatResponseError(response) {
+    let body = {};
+    try { body = await response.json(); } catch (e) {}
+    if (body.quota) applyPromptQuota(body.quota);
+    const error = new Error(body.message || 'Failed to get response');
+    error.code = body.error || null;
+    return error;
+}
+
+async function callClaudeAPI(message, signal, onCitations) {
     try {
         const venueContext = getVenueContext();
+        const convId = currentConversationId;
         const response = await fetch(CONFIG.API.CHAT_ENDPOINT, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await chatRequestHeaders(),
             body: JSON.stringify({
                 message: venueContext + message,
                 history: conversationHistory.filter(m => m.role !== 'system'),
                 user: currentUser,
-                primaryAward: venueProfile.primaryAward || null
-            })
+                primaryAward: venueProfile.primaryAward || null,
+                memory: currentConversationMemory()
+            }),
+            signal: signal
         });
 
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to get response');
+            throw await chatResponseError(response);
         }
 
         const data = await response.json();
+        applyPromptQuota(data.quota);
+        applyConversationMemory(convId, data.memory);
+        if (onCitations && data.citations) onCitations(data.citations);
         return data.message;
     } catch (error) {
         throw error;
@@ -12013,54 +10836,119 @@ async function callClaudeAPI(message) {
 }
 
 /**
- * Specialized API call for document generation
- * Uses strict framing to ensure actual document output, not advice
+ * Chat call that streams the answer (see js/chat-stream.js), calling onText
+ * with the answer so far as each piece arrives. Falls back to the buffered
+ * callClaudeAPI() when streaming is off or unsupported, when the function
+ * replies with plain JSON, or when the stream breaks before any text arrives.
+ * @param {string} message
+ * @param {Function} onText - (textSoFar) => void
+ * @param {AbortSignal} [signal] - aborting rejects with an AbortError
+ * @param {Function} [onCitations] - (citations) => void, once the answer is complete
+ * @returns {Promise<string>} the complete answer
  */
-async function callClaudeAPIForDocument(documentPrompt) {
-    try {
-        // Frame the request as a strict document generation task
-        const strictPrefix = `[DOCUMENT GENERATION MODE - STRICT]
-
-You are now in DOCUMENT GENERATION MODE. Your ONLY task is to output a complete, ready-to-use HR document.
+async function callClaudeAPIStreaming(message, onText, signal, onCitations) {
+    if (!CONFIG.API.CHAT_STREAMING || typeof readSseEvents !== 'function' ||
+        typeof ReadableStream === 'undefined' || typeof TextDecoder === 'undefined') {
+        return callClaudeAPI(message, signal, onCitations);
+    }
 
-CRITICAL RULES:
-- Output ONLY the document content itself
-- Start your response with the document header (e.g., "# FORMAL WARNING LETTER")
-- Do NOT include any conversational text like "I understand", "Here's", "Let me help", etc.
-- Do NOT provide advice, tips, or process guidance
-- Do NOT explain what the document is or how to use it
-- Do NOT ask for more information - use what is provided
+    const venueContext = getVenueContext();
+    const convId = currentConversationId;
+    const response = await fetch(CONFIG.API.CHAT_ENDPOINT, {
+        method: 'POST',
+        headers: await chatRequestHeaders(),
+        body: JSON.stringify({
+            message: venueContext + message,
+            history: conversationHistory.filter(m => m.role !== 'system'),
+            user: currentUser,
+            primaryAward: venueProfile.primaryAward || null,
+            memory: currentConversationMemory(),
+            stream: true
+        }),
+        signal: signal
+    });
 
-CRITICAL CONTACT DETAILS RULES:
-- The company name is "Fitz HR" - NEVER use "Fitzgerald HR"
-- The contact email is "support@fitzhr.com" - NEVER use any @fitzgeraldhr email
-- NEVER include personal mobile or phone numbers in generated documents
-- For phone fields, use "[Insert Phone Number]" as placeholder
-- For email fields in document contact sections, use "support@fitzhr.com"
+    if (!response.ok) {
+        throw await chatResponseError(response);
+    }
 
-If you output anything other than the actual document, you are violating the strict mode.
+    // A buffered deployment (or a proxy that strips streaming) answers with
+    // the usual JSON body.
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.indexOf('text/event-stream') === -1 || !response.body) {
+        const data = await response.json();
+        applyPromptQuota(data.quota);
+        applyConversationMemory(convId, data.memory);
+        if (onCitations && data.citations) onCitations(data.citations);
+        return data.message;
+    }
 
-BEGIN DOCUMENT OUTPUT:
+    let text = '';
+    try {
+        for await (const { event, data } of readSseEvents(response.body)) {
+            const payload = JSON.parse(data);
+            if (event === 'delta') {
+                text += payload.text;
+                onText(text);
+            } else if (event === 'done') {
+                applyPromptQuota(payload.quota);
+                applyConversationMemory(convId, payload.memory);
+                if (onCitations && payload.citations) onCitations(payload.citations);
+                return text;
+            } else if (event === 'error') {
+                throw new Error(payload.error || 'Failed to get response');
+            }
+        }
+        throw new Error('Chat stream ended before the answer was complete');
+    } catch (error) {
+        if (error.name === 'AbortError' || text) throw error;
+        console.warn('Chat stream failed before any text, retrying buffered:', error);
+        return callClaudeAPI(message, signal, onCitations);
+    }
+}
 
-`;
-        
+/**
+ * Specialized API call for document generation. The chat function builds the
+ * prompt from the document type and the wizard's answers
+ * (js/document-prompts.js), with strict framing to ensure actual document
+ * output, not advice.
+ */
+async function callClaudeAPIForDocument(documentType, fields) {
+    try {
+        // The templates read text answers only; the uploaded Record of
+        // Discussion file stays in the browser.
+        const answers = {};
+        Object.keys(fields || {}).forEach(function(key) {
+            if (key !== 'rodFileData' && typeof fields[key] === 'string') answers[key] = fields[key];
+        });
         const response = await fetch(CONFIG.API.CHAT_ENDPOINT, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await chatRequestHeaders(),
             body: JSON.stringify({
-                message: strictPrefix + documentPrompt,
-                history: [], // No conversation history for document generation
+                documentType: documentType,
+                fields: answers,
+                venue: {
+                    setupComplete: !!venueProfile.setupComplete,
+                    venueName: venueProfile.venueName || '',
+                    venueTypeLabel: getVenueTypeLabel(venueProfile.venueType),
+                    city: venueProfile.city || '',
+                    location: venueProfile.location || '',
+                    userName: venueProfile.userName || ''
+                },
+                primaryAward: venueProfile.primaryAward || null,
                 user: currentUser,
-                isDocumentGeneration: true // Flag for potential backend handling
+                kind: 'document' // Not charged to the prompt allowance
             })
         });
 
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to generate document');
+            const error = await chatResponseError(response);
+            if (error.code === 'quota_exhausted') openPromptLimitModal();
+            throw error;
         }
 
         const data = await response.json();
+        applyPromptQuota(data.quota);
         let documentContent = data.message;
         
         // Fix AI hallucinating "Fitzgerald HR" and old contact details
@@ -12689,6 +11577,7 @@ function createNewConversation() {
     
     // Reset conversation history
     conversationHistory = [];
+    lastQuestionShown = null;
     
     // Add FULL welcome message with HTML formatting (matching Image 1)
     const welcomeMessage = `
@@ -12802,6 +11691,7 @@ function loadConversation(convId) {
     
     // Load messages
     conversationHistory = conv.messages || [];
+    lastQuestionShown = null;
     // Render messages
     conversationHistory.forEach(function(msg, index) {
         addMessage(msg.role, msg.content);
@@ -12943,6 +11833,97 @@ function updateSidebarChats() {
             </div>
         `;
     }).join('');
+    
+    // The memory panel follows whichever chat is open
+    updateSidebarMemory();
+}
+
+// ========================================
+// CONVERSATION MEMORY (js/conversation-memory.js)
+// ========================================
+// The chat function folds turns that leave its recent window into a running
+// memory (people, dates, facts, documents) and returns it with each answer.
+// It is kept on the conversation, sent back with the next message, and listed
+// in the sidebar so the user can correct what Fitz has remembered.
+
+function currentConversationMemory() {
+    const conv = getCurrentConversation();
+    return conv && conv.memory ? conv.memory : null;
+}
+
+// Store the memory returned for a conversation (the one the message was sent
+// from, which may no longer be open)
+function applyConversationMemory(convId, memory) {
+    const conv = conversations.find(c => c.id === convId);
+    if (!conv || !memory) return;
+    conv.memory = normaliseConversationMemory(memory);
+    saveConversationMemory(conv);
+}
+
+function saveConversationMemory(conv) {
+    try {
+        localStorage.setItem('fitz_conversations', JSON.stringify(conversations));
+    } catch (e) {
+    }
+    saveConversationToFirebase({ id: conv.id, memory: conv.memory });
+    if (conv.id === currentConversationId) updateSidebarMemory();
+}
+
+function updateSidebarMemory() {
+    const list = document.getElementById('sidebarMemoryList');
+    if (!list) return;
+    const memory = normaliseConversationMemory(currentConversationMemory());
+    
+    let html = '';
+    if (isConversationMemoryEmpty(memory)) {
+        html += '<p class="text-slate-500 text-xs px-3 py-2">Nothing yet. In a long chat, Fitz keeps the key people, dates and facts here.</p>';
+    } else {
+        html += '<p class="text-slate-500 text-xs px-3 pb-1">Fitz uses these from earlier in this chat. Fix or remove anything that\'s wrong.</p>';
+        CONVERSATION_MEMORY_SECTIONS.forEach(section => {
+            if (!memory[section.key].length) return;
+            html += `<p class="text-slate-400 text-xs font-semibold px-3 pt-2">${_fwEscapeHtml(section.label)}</p>`;
+            html += memory[section.key].map((item, i) => `
+                <div class="flex items-center gap-1 px-3">
+                    <input type="text" value="${_fwEscapeHtml(item)}" title="${_fwEscapeHtml(item)}"
+                           class="flex-1 min-w-0 bg-transparent text-slate-200 text-xs py-1 border-b border-transparent focus:border-amber-500 focus:outline-none"
+                           onchange="editConversationMemoryItem('${section.key}', ${i}, this.value)">
+                    <button onclick="editConversationMemoryItem('${section.key}', ${i}, '')" class="text-slate-500 hover:text-red-400 text-sm" title="Forget this">×</button>
+                </div>`).join('');
+        });
+    }
+    html += `
+        <div class="px-3 pt-2">
+            <input type="text" placeholder="Add a fact for Fitz to remember..."
+                   class="w-full bg-slate-700 text-slate-100 border border-slate-600 rounded-lg px-3 py-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-amber-500"
+                   onkeydown="if (event.key === 'Enter') addConversationMemoryFact(this)">
+        </div>`;
+    list.innerHTML = html;
+}
+
+// Correct one remembered line; an empty value forgets it
+function editConversationMemoryItem(sectionKey, index, value) {
+    const conv = getCurrentConversation();
+    if (!conv) return;
+    const memory = normaliseConversationMemory(conv.memory);
+    if (!memory[sectionKey] || index >= memory[sectionKey].length) return;
+    if (String(value).trim()) {
+        memory[sectionKey][index] = String(value);
+    } else {
+        memory[sectionKey].splice(index, 1);
+    }
+    conv.memory = normaliseConversationMemory(memory);
+    saveConversationMemory(conv);
+}
+
+function addConversationMemoryFact(input) {
+    const conv = getCurrentConversation();
+    const value = input.value.trim();
+    if (!conv || !value) return;
+    const memory = normaliseConversationMemory(conv.memory);
+    memory.facts.push(value);
+    conv.memory = normaliseConversationMemory(memory);
+    saveConversationMemory(conv);
+    showToast('Fitz will remember that in this chat', 'success', 2000);
 }
 
 // Format relative date
@@ -12998,6 +11979,10 @@ const toolMetadata = {
     'awardCalculatorModal': { name: 'Award Calculator', icon: '💰', modalId: 'awardCalculatorModal' },
     'scenarioAnalysisModal': { name: 'Scenario Analysis', icon: '🎯', modalId: 'scenarioAnalysisModal' },
     'rosterStressTesterModal': { name: 'Roster Stress Test', icon: '💥', modalId: 'rosterStressTesterModal' },
+    'backPayModal': { name: 'Back-Pay Calculator', icon: '🧾', modalId: 'backPayModal' },
+    'annualisedReconModal': { name: 'Annualised Wage Reconciliation', icon: '⚖️', modalId: 'annualisedReconModal' },
+    'leaveLiabilityModal': { name: 'Leave Liability', icon: '🏖️', modalId: 'leaveLiabilityModal' },
+    'terminationPayModal': { name: 'Termination Pay', icon: '🧮', modalId: 'terminationPayModal' },
     'awardWizardModal': { name: 'Award Wizard', icon: '🧙', modalId: 'awardWizardModal' },
     'rosterOptimizerModal': { name: 'Roster Optimizer', icon: '📅', modalId: 'rosterOptimizerModal' },
     'complianceCalendarModal': { name: 'Compliance Calendar', icon: '📆', modalId: 'complianceCalendarModal' },
@@ -13618,8 +12603,8 @@ function _renderAwardCalculatorOptions() {
         const catTag = { apprentice: 'Apprentice', junior: 'Junior', trainee: 'Trainee', cadet: 'Cadet' };
         const seen = {};
         awardRates.rates
-            .filter(function(r) { return r.employment_type === 'full_time' && Number(r.rate) > 0; })
-            .forEach(function(r) {
+            .forEach(function(r, idx) {
+                if (r.employment_type !== 'full_time' || !(Number(r.rate) > 0)) return;
                 const base = r.title || r.classification || 'Classification';
                 let label = base;
                 if (r.category && r.category !== 'adult') {
@@ -13630,27 +12615,33 @@ function _renderAwardCalculatorOptions() {
                 }
                 if (seen[label]) return;
                 seen[label] = true;
-                opts += '<option value="' + Number(r.rate) + '">' + _fwEscapeHtml(label) + ' - $' + Number(r.rate).toFixed(2) + '</option>';
+                // Value is the row index so the costing engine prices the exact row.
+                opts += '<option value="' + idx + '">' + _fwEscapeHtml(label) + ' - $' + Number(r.rate).toFixed(2) + '</option>';
             });
     }
     posSel.innerHTML = opts + '<option value="custom">Custom Rate</option>';
+    const customDiv = document.getElementById('customRateDiv');
+    if (customDiv) customDiv.classList.toggle('hidden', posSel.value !== 'custom');
 
-    // Penalty multipliers from the award (full-time/part-time figures).
+    // Day of week. The option value is the day type; the multiplier shown is the
+    // award's full-time/part-time figure (costShift applies the casual one).
     if (daySel) {
         const pr = (awardRates && awardRates.penalty_rates) || {};
-        const sat = Number(pr.saturday_full_time_part_time || pr.saturday) || 1.25;
-        const sun = Number(pr.sunday_full_time_part_time || pr.sunday) || 1.5;
-        const ph  = Number(pr.public_holiday_full_time_part_time || pr.public_holiday) || 2.25;
+        const sat = Number(pr.saturday_full_time_part_time || pr.saturday) || 1;
+        const sun = Number(pr.sunday_full_time_part_time || pr.sunday) || 1;
+        const ph  = Number(pr.public_holiday_full_time_part_time || pr.public_holiday) || 1;
         daySel.innerHTML =
-            '<option value="1.0">Monday-Friday (×1.0)</option>' +
-            '<option value="' + sat + '">Saturday (×' + sat + ')</option>' +
-            '<option value="' + sun + '">Sunday (×' + sun + ')</option>' +
-            '<option value="' + ph + '">Public Holiday (×' + ph + ')</option>';
+            '<option value="weekday">Monday-Friday (×1.0)</option>' +
+            '<option value="saturday">Saturday (×' + sat + ')</option>' +
+            '<option value="sunday">Sunday (×' + sun + ')</option>' +
+            '<option value="public_holiday">Public Holiday (×' + ph + ')</option>';
     }
 
     // Reset overtime label to the award's first-tier overtime multiplier.
     const otLabel = document.getElementById('overtimeLabel');
     if (otLabel) otLabel.textContent = 'Overtime Pay (' + _awardCalcOvertimeMultiplier() + 'x):';
+    const results = document.getElementById('calcResults');
+    if (results) results.classList.add('hidden');
 }
 
 function _populateAwardCalculatorModal() {
@@ -13721,15 +12712,91 @@ const _CALC_EXPERIENCE_STEP = { key: 'experience', title: "What's their experien
     { value: 'level3', label: 'Level 3 - Advanced',           sublabel: 'Skilled, handles complex tasks' },
     { value: 'level4', label: 'Level 4 - Supervisor/Trade',   sublabel: 'Manages others or trade qualified' }
 ]};
-const _CALC_AGE_STEP = { key: 'age', title: 'How old is the employee?', options: [
-    { value: 'adult',  label: '20 years or older',  sublabel: 'Adult rates apply' },
-    { value: 'junior', label: '19 years or younger', sublabel: 'Junior rates apply (percentage of adult rate)' }
-]};
+// Roles the award pays at the adult rate at any age (liquor service).
+const _CALC_ADULT_RATE_ROLES = ['bartender'];
 const _CALC_EMPLOYMENT_STEP = { key: 'employment', title: 'What type of employment?', options: [
     { value: 'casual',    label: 'Casual',    sublabel: '25% loading, no leave entitlements' },
     { value: 'part-time', label: 'Part-Time', sublabel: 'Regular hours, pro-rata leave' },
     { value: 'full-time', label: 'Full-Time', sublabel: '38 hours/week, full entitlements' }
 ]};
+// Pay-basis steps for awards whose rates file carries junior_rates or
+// apprentice_rates (js/junior-rates.js): adult, junior or apprentice, then the
+// junior's date of birth (or age when it isn't to hand) and start date, or the
+// apprenticeship stream and start date (or year). Options are read from the
+// loaded table, so an award without those blocks never shows these steps.
+const _calcIsJunior = (data) => data.age === 'junior';
+const _calcIsApprentice = (data) => data.age === 'apprentice';
+const _calcNotApprentice = (data) => data.age !== 'apprentice';
+function _calcApprenticeStreams() {
+    return (awardRates && awardRates.apprentice_rates && awardRates.apprentice_rates.streams) || [];
+}
+function _calcJuniorHasServiceStep() {
+    const jr = awardRates && awardRates.junior_rates;
+    return !!jr && jr.schedules.some(s => s.brackets.some(b => typeof b.service_months === 'number'));
+}
+function _calcPayBasisSteps() {
+    return [
+        { key: 'age', title: 'How old is the employee?',
+          visibleWhen: () => juniorAdultAge(awardRates) !== null || _calcApprenticeStreams().length > 0,
+          options: function () {
+            const adultAge = juniorAdultAge(awardRates);
+            const opts = [{ value: 'adult', label: adultAge !== null ? `${adultAge} years or older` : 'Adult', sublabel: 'Adult rates apply' }];
+            if (adultAge !== null) opts.push({ value: 'junior', label: `Under ${adultAge}`, sublabel: 'Junior rates apply (percentage of adult rate)' });
+            if (_calcApprenticeStreams().length) opts.push({ value: 'apprentice', label: 'Apprentice', sublabel: 'Paid by year of apprenticeship' });
+            return opts;
+        }},
+        { key: 'dob', input: 'date', title: 'What is their date of birth?',
+          hint: 'Used to find their age bracket and the birthdays when their rate goes up.',
+          skipLabel: "I'll choose their age instead",
+          visibleWhen: _calcIsJunior },
+        { key: 'juniorAge', title: 'How old are they?',
+          visibleWhen: (data) => _calcIsJunior(data) && !data.dob,
+          options: function () {
+            const schedules = awardRates.junior_rates.schedules;
+            const youngest = Math.min(...schedules.map(s => s.brackets[0].max_age));
+            const opts = [];
+            for (let a = youngest; a < juniorAdultAge(awardRates); a++) {
+                opts.push({ value: String(a), label: a === youngest ? `${a} years or under` : `${a} years` });
+            }
+            return opts;
+        }},
+        { key: 'serviceStart', input: 'date', title: 'When did they start with you?',
+          hint: 'Some junior rates step up after a period of service with the employer.',
+          skipLabel: 'Skip',
+          visibleWhen: (data) => _calcIsJunior(data) && _calcJuniorHasServiceStep() },
+        { key: 'apprenticeStream', title: 'Which apprenticeship?',
+          visibleWhen: (data) => _calcIsApprentice(data) && _calcApprenticeStreams().length > 1,
+          options: () => _calcApprenticeStreams().map(st => ({ value: st.key, label: st.label, sublabel: st.sublabel || '' })) },
+        { key: 'apprenticeStart', input: 'date', title: 'When did the apprenticeship start?',
+          hint: 'Used to find their year of apprenticeship and when it next changes.',
+          skipLabel: "I'll choose the year instead",
+          visibleWhen: _calcIsApprentice },
+        { key: 'apprenticeYear', title: 'Which year of the apprenticeship?',
+          visibleWhen: (data) => _calcIsApprentice(data) && !data.apprenticeStart,
+          options: function (data) {
+            const st = apprenticeStream(awardRates, data.apprenticeStream) || _calcApprenticeStreams()[0];
+            return st.years.map(y => ({ value: String(y.year), label: `Year ${y.year}` }));
+        }}
+    ];
+}
+// Wraps an employment step so apprentices only see the employment types the
+// award's apprentice tables cover (full-time also covers part-time).
+function _calcEmploymentStepFor(step) {
+    return Object.assign({}, step, { options: function (data) {
+        const opts = (typeof step.options === 'function') ? step.options(data) : step.options;
+        const types = _calcIsApprentice(data) && awardRates.apprentice_rates && awardRates.apprentice_rates.employment_types;
+        return (types && types.indexOf('casual') === -1) ? opts.filter(o => o.value !== 'casual') : opts;
+    }});
+}
+// Inserts the pay-basis steps after the award's first `lead` steps. Its other
+// classification steps are skipped for apprentices (the apprenticeship year
+// sets the rate) and its employment step is narrowed for them.
+function _calcWithPayBasis(steps, lead) {
+    const rest = steps.slice(lead).map(st => st.key === 'employment'
+        ? _calcEmploymentStepFor(st)
+        : Object.assign({}, st, { visibleWhen: (data) => _calcNotApprentice(data) && (typeof st.visibleWhen !== 'function' || st.visibleWhen(data)) }));
+    return steps.slice(0, lead).concat(_calcPayBasisSteps(), rest);
+}
 function _calcRoleStep(code) {
     const roles = code === 'MA000119'
         ? _CALC_ROLES.filter(r => _RESTAURANT_EXCLUDED_ROLES.indexOf(r.value) === -1)
@@ -13828,7 +12895,23 @@ function _calcManufacturingSteps() {
         }},
         { key: 'employment', title: 'What type of employment?', options: function (data) {
             return [...new Set(rowsFor(data).map(r => r.employment_type))].map(e => ({ value: e, label: empLabels[e] || e }));
-        }}
+        }},
+        // A worked week stacks all-purpose allowances, shift loadings and
+        // overtime on a C-level rate (js/manufacturing-pay.js).
+        { key: 'manufPricing', title: 'What would you like to price?',
+            visibleWhen: data => data.category === 'adult' && !!awardRates.shift_pay_rules,
+            options: [
+                { value: 'rate', icon: '💲', label: 'Hourly rates and penalties', sublabel: 'Base rate, weekend, shift and overtime rates' },
+                { value: 'week', icon: '🏭', label: 'A worked week', sublabel: 'All-purpose allowances, shift loadings, overtime and RDOs, step by step' }
+            ]},
+        { key: 'manufPartTime', title: 'Full-time or part-time?',
+            visibleWhen: data => data.manufPricing === 'week' && data.employment !== 'casual',
+            options: [
+                { value: 'full_time', label: 'Full-time', sublabel: '38 ordinary hours a week, with or without rostered days off' },
+                { value: 'part_time', label: 'Part-time', sublabel: 'Overtime after the agreed hours; minimum 4 hours a shift (cl 10.2)' }
+            ]},
+        { key: 'manufWeek', title: 'Enter the week worked', input: 'manufWeek',
+            visibleWhen: data => data.manufPricing === 'week' }
     ];
 }
 
@@ -13864,14 +12947,56 @@ function _calcSchadsSteps() {
         { key: 'employment', title: 'What type of employment?', options: function (data) {
             const emps = [...new Set(awardRates.rates.filter(r => r.stream === data.schadsStream).map(r => r.employment_type))];
             return emps.map(e => ({ value: e, label: empLabels[e] || e }));
-        }}
+        }},
+        { key: 'schadsPricing', title: 'What would you like to price?',
+            visibleWhen: data => _schadsDayStreams('broken_shift').indexOf(data.schadsStream) !== -1,
+            options: function (data) {
+                const opts = [
+                    { value: 'rate', icon: '💲', label: 'Hourly rates and penalties', sublabel: 'Base rate, weekend, shift and overtime rates' },
+                    { value: 'visits', icon: '🚗', label: data.schadsStream === 'social_community_services' ? 'A day of disability services visits' : 'A day of client visits',
+                        sublabel: 'Travel between clients, broken shifts, minimum engagement, sleepover' }
+                ];
+                if (_schadsDayStreams('twenty_four_hour_care').indexOf(data.schadsStream) !== -1) {
+                    opts.push({ value: 'care24', icon: '🏠', label: 'A 24-hour care shift', sublabel: '8 hours at 155%, plus overtime for care past 8 hours' });
+                }
+                return opts;
+            }},
+        // SCHADS rows price full-time and part-time together, but the minimum
+        // engagement and daily overtime rules differ between them.
+        { key: 'schadsPartTime', title: 'Full-time or part-time?',
+            visibleWhen: data => ['visits', 'care24'].indexOf(data.schadsPricing) !== -1 && data.employment !== 'casual',
+            options: [
+                { value: 'full_time', label: 'Full-time' },
+                { value: 'part_time', label: 'Part-time', sublabel: 'Minimum 2 hours paid for each period of work (cl 10.5)' }
+            ]},
+        { key: 'schadsDay', title: 'Enter the day of visits', input: 'clientDay',
+            visibleWhen: data => data.schadsPricing === 'visits' },
+        { key: 'schadsCareDay', title: 'Which day does the 24-hour shift start?',
+            visibleWhen: data => data.schadsPricing === 'care24',
+            options: [
+                { value: 'weekday', label: 'Monday to Friday' },
+                { value: 'saturday', label: 'Saturday' },
+                { value: 'sunday', label: 'Sunday' },
+                { value: 'public_holiday', label: 'Public holiday' }
+            ]},
+        { key: 'schadsCareHours', title: 'How many hours of care were provided?',
+            visibleWhen: data => data.schadsPricing === 'care24',
+            options: [8, 9, 10, 11, 12].map(h => ({ value: String(h), label: h === 8 ? '8 hours or less' : h + ' hours',
+                sublabel: h === 8 ? 'Paid as 8 hours at 155%' : (h - 8) + ' hour' + (h === 9 ? '' : 's') + ' of overtime on top' }))}
     ];
 }
 
+// Streams a client_day_rules section (schads-award-rates.json) applies to.
+function _schadsDayStreams(section) {
+    const rules = awardRates && awardRates.client_day_rules;
+    return (rules && rules[section] && rules[section].streams) || [];
+}
+
 // SCHADS resolver — returns the shared result-card shape. Casual rates already
 // include the 25% loading, so penalties are computed on the base rate (loaded /
 // 1.25) and the casual penalty/overtime multipliers add the 25% back.
 function resolveSchadsRate(data) {
+    if (data.schadsPricing === 'visits' || data.schadsPricing === 'care24') return _schadsDayResult(data);
     const entry = awardRates.rates.find(r => r.stream === data.schadsStream && r.classification === data.schadsClass && r.employment_type === data.employment);
     if (!entry) {
         return { award: awardRates.award_name, level: 'Rate not found', rate: 0,
@@ -13911,6 +13036,79 @@ function resolveSchadsRate(data) {
         ]};
 }
 
+// A SCHADS day of client visits or 24-hour care shift, priced through
+// js/schads-day.js. The breakdown lists each period of work, every pay line
+// and allowance so a rostering coordinator can tick it off against payroll.
+function _schadsDayResult(data) {
+    const employmentType = data.employment === 'casual' ? 'casual' : (data.schadsPartTime || 'full_time');
+    const level = _schadsShortLabel(data.schadsClass);
+    let c;
+    let date;
+    if (data.schadsPricing === 'care24') {
+        date = _awardCalcDate(data.schadsCareDay);
+        c = costTwentyFourHourCare({ date: date, classification: data.schadsClass, employmentType: employmentType,
+            careMinutes: Number(data.schadsCareHours) * 60 }, awardRates,
+            { publicHolidays: data.schadsCareDay === 'public_holiday' ? [date] : [] });
+    } else {
+        const form = data.schadsDay || {};
+        date = form.date;
+        c = costClientDay({
+            date: date,
+            classification: data.schadsClass,
+            employmentType: employmentType,
+            shiftworker: !!form.shiftworker,
+            disabilityServices: data.schadsStream === 'social_community_services',
+            visits: (form.visits || []).map(v => ({
+                client: v.client, start: parseRosterTime(v.start), end: parseRosterTime(v.end),
+                travelMinutes: Number(v.travel) || 0, km: Number(v.km) || 0, mealBreak: !!v.mealBreak,
+                cancelled: v.status === 'cancelled' || v.status === 'makeup', makeUpTime: v.status === 'makeup', noticeHours: v.status === 'makeup' ? 12 : 0
+            })),
+            sleepover: form.sleepoverStart ? { start: parseRosterTime(form.sleepoverStart), workedMinutes: Number(form.sleepoverWorked) || 0 } : null
+        }, awardRates, { publicHolidays: form.publicHoliday ? [date] : [] });
+    }
+    if (!c.ok) {
+        return { award: awardRates.award_name, level: level, rate: 0, rateLabel: 'Total',
+            penalties: [_fwEscapeHtml(c.error)], penaltiesTitle: 'Could not price this',
+            nextSteps: ['Go back and check the visits entered', 'Contact Fitz HR support'] };
+    }
+    const money = n => '$' + n.toFixed(2);
+    const hrs = m => _clientDayHoursLabel(m);
+    const periods = (c.periods || []).map((p, i) => {
+        const parts = [hrs(p.clientMinutes) + ' with clients'];
+        if (p.travelMinutes) parts.push(hrs(p.travelMinutes) + ' travel');
+        if (p.paidGapMinutes) parts.push(hrs(p.paidGapMinutes) + ' gap inside the minimum payment');
+        if (p.minimumTopUpMinutes) parts.push(hrs(p.minimumTopUpMinutes) + ' minimum payment top-up');
+        if (p.mealMinutes) parts.push(hrs(p.mealMinutes) + ' unpaid meal break');
+        return `${p.link === 'sleepover' ? 'After the sleepover' : 'Period ' + (i + 1)}: ${p.start}–${p.end} (${p.clients.join(', ')}) — ${hrs(p.paidMinutes)} paid: ${parts.join(', ')}`;
+    });
+    const rows = c.segments.map(seg => ({ label: `${seg.label} — ${seg.hours}h @ ${money(seg.rate)}/hr`, hours: seg.hours, rate: seg.rate, amount: seg.cost }))
+        .concat(c.allowances.map(a => ({ label: `${a.label} (cl ${a.clause}) — ${a.quantity} ${a.unit} @ ${money(a.amount)}`, hours: '', rate: a.amount, amount: a.cost })));
+    const shape = data.schadsPricing === 'care24' ? '24-hour care shift'
+        : c.brokenShift ? `broken shift (${c.breaks} unpaid break${c.breaks === 1 ? '' : 's'})` : 'unbroken shift';
+    return {
+        award: awardRates.award_name,
+        level: `${level} — ${shape}`,
+        rate: c.totalCost,
+        rateLabel: `Total for ${date}`,
+        breakdown: { title: '🧾 Priced breakdown', periods: periods, rows: rows, total: c.totalCost,
+            file: `SCHADS_${data.schadsPricing === 'care24' ? '24hr_Care' : 'Client_Day'}_${date}` },
+        penalties: c.notes.map(n => _fwEscapeHtml(n)),
+        penaltiesTitle: 'How this was priced',
+        nextSteps: [
+            'Check each line against the payslip or timesheet export for the day',
+            'Confirm the stream, level and pay point against Schedule B/C of MA000100',
+            'Keep employment records for 7 years'
+        ]
+    };
+}
+
+// "2h 15m" from minutes.
+function _clientDayHoursLabel(m) {
+    const h = Math.floor(m / 60);
+    const r = m % 60;
+    return (h ? h + 'h' : '') + (h && r ? ' ' : '') + (r || !h ? r + 'm' : '');
+}
+
 // General Retail (MA000004) classification picker — retail is graded on a single
 // linear scale (Retail Employee Level 1-8), not by hospitality role or stream.
 // Reads from the loaded retail-award-rates.json (awardRates).
@@ -13966,7 +13164,7 @@ function resolveRetailRate(data) {
     if (isCasual) {
         penalties.push('Casual rates include the 25% loading; penalties above are computed on the base rate and already include the loading.');
     }
-    return { award: awardRates.award_name, level: entry.classification, rate: rate, weeklyRate: entry.weekly_rate || null,
+    return { award: awardRates.award_name, level: entry.classification, rate: rate, weeklyRate: entry.weekly_rate || null, row: entry,
         rateLabel: isCasual ? 'Casual Rate (per hour)' : 'Base Rate (per hour)',
         penalties: penalties, nextSteps: [
             'Confirm the classification against Schedule A of MA000004',
@@ -14051,7 +13249,7 @@ function resolveHealthRate(data) {
     if (isCasual) {
         penalties.push('Casual rates include the 25% loading; penalty rates above add the loading, and overtime applies the overtime % to the loaded casual rate.');
     }
-    return { award: awardRates.award_name, level: entry.classification, rate: rate, weeklyRate: entry.weekly_rate || null,
+    return { award: awardRates.award_name, level: entry.classification, rate: rate, weeklyRate: entry.weekly_rate || null, row: entry,
         rateLabel: isCasual ? 'Casual Rate (per hour)' : 'Base Rate (per hour)',
         penalties: penalties, nextSteps: [
             'Confirm the stream and level against Schedule A/B of MA000027',
@@ -14125,7 +13323,7 @@ function resolveChildrensRate(data) {
     if (isCasual) {
         penalties.push('Casual rates include the 25% loading; every penalty, shift and overtime rate above adds the 25% loading to the full-time figure.');
     }
-    return { award: awardRates.award_name, level: entry.classification, rate: rate, weeklyRate: entry.weekly_rate || null,
+    return { award: awardRates.award_name, level: entry.classification, rate: rate, weeklyRate: entry.weekly_rate || null, row: entry,
         rateLabel: isCasual ? 'Casual Rate (per hour)' : 'Base Rate (per hour)',
         penalties: penalties, nextSteps: [
             'Confirm the stream and level against Schedule B of MA000120',
@@ -14140,45 +13338,39 @@ function getAwardCalculatorConfig(code) {
             return {
                 disclaimer: '⚠️ Preview — SCHADS rates effective 01/07/2026. Pick the stream that matches the work performed. Verify against the award before relying on these figures.',
                 steps: _calcSchadsSteps(),
-                resolve: resolveSchadsRate,
-                juniorRedirect: false
+                resolve: resolveSchadsRate
             };
         }
         if (code === 'MA000004') {
             return {
-                disclaimer: '⚠️ Preview — General Retail rates effective 01/07/2026, adult classifications only (junior/apprentice rates not modelled). Verify against the award before relying on these figures.',
-                steps: _calcRetailSteps(),
-                resolve: resolveRetailRate,
-                juniorRedirect: false
+                disclaimer: '⚠️ Preview — General Retail rates effective 01/07/2026, including junior and apprentice rates. Verify against the award before relying on these figures.',
+                steps: _calcWithPayBasis(_calcRetailSteps(), 0),
+                resolve: resolveRetailRate
             };
         }
         if (code === 'MA000027') {
             return {
-                disclaimer: '⚠️ Preview — Health Professionals & Support Services rates effective 01/07/2026, adult classifications only (junior/apprentice rates not modelled). Pick the stream that matches the work performed. Verify against the award before relying on these figures.',
-                steps: _calcHealthSteps(),
-                resolve: resolveHealthRate,
-                juniorRedirect: false
+                disclaimer: '⚠️ Preview — Health Professionals & Support Services rates effective 01/07/2026, including junior support services rates (apprentice rates not modelled). Pick the stream that matches the work performed. Verify against the award before relying on these figures.',
+                steps: _calcWithPayBasis(_calcHealthSteps(), 0),
+                resolve: resolveHealthRate
             };
         }
         if (code === 'MA000120') {
             return {
-                disclaimer: "⚠️ Preview — Children's Services rates effective 01/07/2026, adult classifications only (junior/apprentice rates not modelled). Pick the stream that matches the role. Verify against the award before relying on these figures.",
-                steps: _calcChildrensSteps(),
-                resolve: resolveChildrensRate,
-                juniorRedirect: false
+                disclaimer: "⚠️ Preview — Children's Services rates effective 01/07/2026, including junior educator rates (apprentice rates not modelled). Pick the stream that matches the role. Verify against the award before relying on these figures.",
+                steps: _calcWithPayBasis(_calcChildrensSteps(), 0),
+                resolve: resolveChildrensRate
             };
         }
         return {
             disclaimer: '⚠️ Preview — rates effective 01/07/2025, general manufacturing only (excludes vehicle manufacturing). Verify against the award before relying on these figures.',
             steps: _calcManufacturingSteps(),
-            resolve: resolveManufacturingRate,
-            juniorRedirect: false
+            resolve: resolveManufacturingRate
         };
     }
     return {
-        steps: [_calcRoleStep(code), _CALC_EXPERIENCE_STEP, _calcHoursStep(code), _CALC_AGE_STEP, _CALC_EMPLOYMENT_STEP],
-        resolve: calculateAwardClassification,
-        juniorRedirect: true
+        steps: _calcWithPayBasis([_calcRoleStep(code), _CALC_EXPERIENCE_STEP, _calcHoursStep(code), _CALC_EMPLOYMENT_STEP], 1),
+        resolve: calculateAwardClassification
     };
 }
 
@@ -14209,7 +13401,7 @@ function _calcNextVisibleStep(dir) {
 function renderCalculatorStep() {
     const step = currentCalculatorSteps[currentWizardStep - 1];
     if (!step) return;
-    const opts = (typeof step.options === 'function') ? step.options(wizardData) : step.options;
+    const opts = (typeof step.options === 'function') ? step.options(wizardData) : (step.options || []);
     const stepTitle = (typeof step.title === 'function') ? step.title(wizardData) : step.title;
     const _visibleIdx = currentCalculatorSteps.map((s, i) => i).filter(i => _calcStepVisible(i));
     const total = _visibleIdx.length || currentCalculatorSteps.length;
@@ -14217,7 +13409,21 @@ function renderCalculatorStep() {
     const disc = _calcConfig && _calcConfig.disclaimer
         ? `<div class="bg-amber-500/10 border border-amber-500/30 rounded-lg p-3 mb-4 text-xs text-amber-300">${_calcConfig.disclaimer}</div>` : '';
     let body;
-    if (opts.length > 12) {
+    if (step.input === 'date') {
+        // Date steps (date of birth, start dates) can be skipped; a later
+        // step then asks for the age or year directly.
+        body = disc + `<h3 class="text-lg font-bold text-white mb-2">${_fwEscapeHtml(stepTitle)}</h3>` +
+            (step.hint ? `<p class="text-xs text-slate-400 mb-4">${_fwEscapeHtml(step.hint)}</p>` : '') +
+            `<input type="date" id="calcStepDate" value="${_fwEscapeHtml(wizardData[step.key] || '')}" class="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-3 text-white mb-4">` +
+            `<button onclick="wizardDateAnswer('${step.key}')" class="w-full bg-amber-500 hover:bg-amber-600 text-slate-900 font-bold py-3 rounded-lg transition-all">Continue</button>` +
+            `<button onclick="wizardAnswer('${step.key}', '')" class="w-full mt-2 bg-slate-700 hover:bg-slate-600 text-white py-3 rounded-lg transition-all">${_fwEscapeHtml(step.skipLabel || 'Skip')}</button>`;
+    } else if (step.input === 'clientDay') {
+        body = disc + `<h3 class="text-lg font-bold text-white mb-2">${_fwEscapeHtml(stepTitle)}</h3>` + _calcClientDayForm(wizardData[step.key]) +
+            `<button onclick="wizardClientDayAnswer('${step.key}')" class="w-full bg-amber-500 hover:bg-amber-600 text-slate-900 font-bold py-3 rounded-lg transition-all">Price this day</button>`;
+    } else if (step.input === 'manufWeek') {
+        body = disc + `<h3 class="text-lg font-bold text-white mb-2">${_fwEscapeHtml(stepTitle)}</h3>` + _calcManufWeekForm(wizardData[step.key], wizardData) +
+            `<button onclick="wizardManufWeekAnswer('${step.key}')" class="w-full bg-amber-500 hover:bg-amber-600 text-slate-900 font-bold py-3 rounded-lg transition-all">Price this week</button>`;
+    } else if (opts.length > 12) {
         // Long option sets (e.g. Manufacturing classifications) render as a dropdown;
         // shorter sets (roles, experience, hours) stay as tap-friendly buttons.
         body = disc + `<h3 class="text-lg font-bold text-white mb-4">${_fwEscapeHtml(stepTitle)}</h3>` +
@@ -14255,8 +13461,179 @@ function wizardSelectAnswer(key) {
     if (sel) wizardAnswer(key, sel.value);
 }
 
+// Day-of-visits form for the SCHADS calculator. Visits are entered in the
+// order worked; a time earlier than the previous visit's end is the next day,
+// so work after a sleepover goes below it with its morning times.
+const _CALC_VISIT_STATUSES = [
+    { value: 'worked', label: 'Worked' },
+    { value: 'cancelled', label: 'Cancelled — paid as rostered' },
+    { value: 'makeup', label: "Cancelled — make-up time (12+ hours' notice)" }
+];
+function _calcClientDayForm(saved) {
+    saved = saved || {};
+    const dateEl = document.getElementById('wizardRatesDate');
+    const date = saved.date || (dateEl && dateEl.value) || _ratesTodayYmd();
+    const visits = saved.visits && saved.visits.length ? saved.visits : [{}, {}];
+    const field = 'bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-sm';
+    return `<p class="text-xs text-slate-400 mb-3">Enter visits in the order worked. Travel is the paid travel time from the previous client — leave it blank after going home. Gaps left between periods of work make a broken shift.</p>` +
+        `<div class="grid grid-cols-2 gap-3 mb-3">` +
+            `<label class="text-xs text-slate-400">Date<input type="date" id="calcDayDate" value="${_fwEscapeHtml(date)}" class="w-full mt-1 ${field}"></label>` +
+            `<div class="text-xs text-slate-300 space-y-1 pt-4">` +
+                `<label class="flex items-center gap-2"><input type="checkbox" id="calcDayHoliday"${saved.publicHoliday ? ' checked' : ''}> Public holiday</label>` +
+                `<label class="flex items-center gap-2"><input type="checkbox" id="calcDayShiftworker"${saved.shiftworker ? ' checked' : ''}> Engaged as a shiftworker</label>` +
+            `</div>` +
+        `</div>` +
+        `<div id="calcVisitRows" class="space-y-2 mb-2">${visits.map(_calcVisitRow).join('')}</div>` +
+        `<button onclick="calcAddVisitRow()" class="text-sm text-amber-400 hover:text-amber-300 mb-4">+ Add visit</button>` +
+        `<div class="bg-slate-700/50 rounded-lg p-3 mb-4 grid grid-cols-2 gap-3">` +
+            `<label class="text-xs text-slate-400">Sleepover starts (optional)<input type="time" id="calcSleepoverStart" value="${_fwEscapeHtml(saved.sleepoverStart || '')}" class="w-full mt-1 ${field}"></label>` +
+            `<label class="text-xs text-slate-400">Minutes worked during it<input type="number" min="0" id="calcSleepoverWorked" value="${_fwEscapeHtml(saved.sleepoverWorked || '')}" class="w-full mt-1 ${field}"></label>` +
+        `</div>`;
+}
+function _calcVisitRow(v) {
+    v = v || {};
+    const field = 'bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-sm';
+    return `<div class="calc-visit bg-slate-700/50 rounded-lg p-2 grid grid-cols-6 gap-2 items-end">` +
+        `<input type="text" data-f="client" placeholder="Client" value="${_fwEscapeHtml(v.client || '')}" class="col-span-2 ${field}">` +
+        `<input type="time" data-f="start" value="${_fwEscapeHtml(v.start || '')}" class="${field}">` +
+        `<input type="time" data-f="end" value="${_fwEscapeHtml(v.end || '')}" class="${field}">` +
+        `<input type="number" min="0" data-f="travel" placeholder="Travel min" value="${_fwEscapeHtml(v.travel || '')}" class="${field}">` +
+        `<input type="number" min="0" step="0.1" data-f="km" placeholder="km" value="${_fwEscapeHtml(v.km || '')}" class="${field}">` +
+        `<select data-f="status" class="col-span-4 ${field}">` +
+            _CALC_VISIT_STATUSES.map(o => `<option value="${o.value}"${(v.status || 'worked') === o.value ? ' selected' : ''}>${_fwEscapeHtml(o.label)}</option>`).join('') +
+        `</select>` +
+        `<label class="col-span-2 text-xs text-slate-300 flex items-center gap-1"><input type="checkbox" data-f="mealBreak"${v.mealBreak ? ' checked' : ''}> Meal break before</label>` +
+    `</div>`;
+}
+function calcAddVisitRow() {
+    const list = document.getElementById('calcVisitRows');
+    if (list) list.insertAdjacentHTML('beforeend', _calcVisitRow({}));
+}
+function wizardClientDayAnswer(key) {
+    const val = id => { const el = document.getElementById(id); return el ? el.value : ''; };
+    const visits = Array.from(document.querySelectorAll('#calcVisitRows .calc-visit')).map(row => {
+        const v = {};
+        row.querySelectorAll('[data-f]').forEach(el => { v[el.dataset.f] = el.type === 'checkbox' ? el.checked : el.value.trim(); });
+        return v;
+    }).filter(v => v.start || v.end || v.client);
+    if (!visits.length || visits.some(v => !v.start || !v.end)) {
+        showAlert('Enter a start and end time for each visit.');
+        return;
+    }
+    if (!val('calcDayDate')) {
+        showAlert('Enter the date of the visits.');
+        return;
+    }
+    wizardAnswer(key, {
+        date: val('calcDayDate'),
+        publicHoliday: !!(document.getElementById('calcDayHoliday') || {}).checked,
+        shiftworker: !!(document.getElementById('calcDayShiftworker') || {}).checked,
+        visits: visits,
+        sleepoverStart: val('calcSleepoverStart'),
+        sleepoverWorked: val('calcSleepoverWorked')
+    });
+}
+
+// Worked-week form for the Manufacturing calculator: the shift pattern, the
+// allowances held and the hours worked each day.
+const _CALC_MANUF_SHIFT_TYPES = [
+    { value: 'day', label: 'Day work' },
+    { value: 'afternoon', label: 'Afternoon shift' },
+    { value: 'night', label: 'Night shift' },
+    { value: 'permanent_night', label: 'Permanent night shift' },
+    { value: 'rotating', label: 'Rotating shifts' }
+];
+function _calcManufWeekForm(saved, data) {
+    saved = saved || {};
+    const field = 'bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-sm';
+    const fullTime = data.employment !== 'casual' && data.manufPartTime !== 'part_time';
+    const partTime = data.manufPartTime === 'part_time';
+    const held = {};
+    (saved.allowances || []).forEach(a => { held[a.name] = a; });
+    const allowances = (awardRates.allowances || []).filter(a => typeof a.amount === 'number');
+    const days = saved.days && saved.days.length ? saved.days
+        : ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'].map(d => ({ day: d }));
+    const dayLabels = { mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat', sun: 'Sun' };
+    const check = (id, label, on) => `<label class="flex items-center gap-2"><input type="checkbox" id="${id}"${on ? ' checked' : ''}> ${label}</label>`;
+    return `<p class="text-xs text-slate-400 mb-3">Enter the hours worked each day, excluding unpaid meal breaks. Leave a day blank if it was not worked.</p>` +
+        `<div class="grid grid-cols-2 gap-3 mb-3">` +
+            `<label class="text-xs text-slate-400">Shift pattern<select id="calcManufShiftType" class="w-full mt-1 ${field}">` +
+                _CALC_MANUF_SHIFT_TYPES.map(o => `<option value="${o.value}"${(saved.shiftType || 'day') === o.value ? ' selected' : ''}>${_fwEscapeHtml(o.label)}</option>`).join('') +
+            `</select></label>` +
+            (fullTime ? `<label class="text-xs text-slate-400">Rostered days off<select id="calcManufRdo" class="w-full mt-1 ${field}">` +
+                `<option value="none"${saved.rdo !== 'accrue' ? ' selected' : ''}>No RDOs (7.6 hours a day)</option>` +
+                `<option value="accrue"${saved.rdo === 'accrue' ? ' selected' : ''}>8-hour days, 0.4 hour a day banked for an RDO</option>` +
+            `</select></label>` : '<div></div>') +
+        `</div>` +
+        `<div class="text-xs text-slate-300 space-y-1 mb-3">` +
+            check('calcManufContinuous', 'Continuous shiftwork (24 hours a day, 6+ days)', saved.continuous) +
+            check('calcManufNonSuccessive', 'Afternoon/night shifts not worked 5 in a row', saved.nonSuccessive) +
+            check('calcManufWeekend', 'Day worker with weekend ordinary hours agreed', saved.weekendOrdinary) +
+        `</div>` +
+        `<details class="bg-slate-700/50 rounded-lg p-3 mb-3"${saved.allowances && saved.allowances.length ? ' open' : ''}><summary class="text-sm text-slate-200 cursor-pointer">Allowances held</summary>` +
+            `<div id="calcManufAllowances" class="space-y-1 mt-2">` +
+            allowances.map(a => `<label class="calc-allowance text-xs text-slate-300 flex items-center gap-2" data-name="${_fwEscapeHtml(a.name)}">` +
+                `<input type="checkbox"${held[a.name] ? ' checked' : ''}> <span class="flex-1">${_fwEscapeHtml(a.name)} — $${a.amount.toFixed(2)} ${_fwEscapeHtml(a.unit || '')}${a.all_purpose ? ' ★' : ''}</span>` +
+                (['per hour', 'per week', 'per day'].indexOf(a.unit) === -1
+                    ? `<input type="number" min="0" step="0.1" placeholder="How many" value="${_fwEscapeHtml((held[a.name] || {}).quantity || '')}" class="w-20 ${field}">` : '') +
+            `</label>`).join('') +
+            `</div><p class="text-xs text-slate-400 mt-2">★ All-purpose: added to the hourly rate before penalties, shift loadings and overtime (cl 30.2).</p>` +
+        `</details>` +
+        `<div id="calcManufDays" class="space-y-1 mb-4">` +
+            days.map(d => `<div class="calc-manuf-day bg-slate-700/50 rounded-lg p-2 grid grid-cols-6 gap-2 items-center" data-day="${d.day}">` +
+                `<span class="text-sm text-slate-200">${dayLabels[d.day]}</span>` +
+                `<input type="number" min="0" max="24" step="0.25" data-f="hours" placeholder="Hours" value="${_fwEscapeHtml(d.hours || '')}" class="${field}">` +
+                `<select data-f="shift" class="col-span-2 ${field}"><option value="">As pattern</option>` +
+                    _CALC_MANUF_SHIFT_TYPES.filter(o => o.value !== 'rotating').map(o => `<option value="${o.value}"${d.shift === o.value ? ' selected' : ''}>${_fwEscapeHtml(o.label)}</option>`).join('') +
+                `</select>` +
+                (partTime ? `<input type="number" min="0" max="24" step="0.25" data-f="agreedHours" placeholder="Agreed" value="${_fwEscapeHtml(d.agreedHours || '')}" class="${field}">` : '') +
+                `<div class="text-xs text-slate-300${partTime ? '' : ' col-span-2'}">` +
+                    `<label class="flex items-center gap-1"><input type="checkbox" data-f="publicHoliday"${d.publicHoliday ? ' checked' : ''}> PH</label>` +
+                    (fullTime ? `<label class="flex items-center gap-1"><input type="checkbox" data-f="rdo"${d.rdo ? ' checked' : ''}> RDO</label>` : '') +
+                `</div>` +
+            `</div>`).join('') +
+        `</div>`;
+}
+function wizardManufWeekAnswer(key) {
+    const val = id => { const el = document.getElementById(id); return el ? el.value : ''; };
+    const checked = id => !!(document.getElementById(id) || {}).checked;
+    const days = Array.from(document.querySelectorAll('#calcManufDays .calc-manuf-day')).map(row => {
+        const d = { day: row.dataset.day };
+        row.querySelectorAll('[data-f]').forEach(el => { d[el.dataset.f] = el.type === 'checkbox' ? el.checked : el.value.trim(); });
+        return d;
+    });
+    if (!days.some(d => Number(d.hours) > 0 || d.rdo)) {
+        showAlert('Enter the hours worked on at least one day.');
+        return;
+    }
+    const allowances = Array.from(document.querySelectorAll('#calcManufAllowances .calc-allowance')).filter(row => row.querySelector('input[type=checkbox]').checked)
+        .map(row => {
+            const qty = row.querySelector('input[type=number]');
+            return { name: row.dataset.name, quantity: qty ? qty.value.trim() : '' };
+        });
+    wizardAnswer(key, {
+        shiftType: val('calcManufShiftType') || 'day',
+        rdo: val('calcManufRdo') || 'none',
+        continuous: checked('calcManufContinuous'),
+        nonSuccessive: checked('calcManufNonSuccessive'),
+        weekendOrdinary: checked('calcManufWeekend'),
+        allowances: allowances,
+        days: days
+    });
+}
+
+function wizardDateAnswer(key) {
+    const el = document.getElementById('calcStepDate');
+    if (!el || !el.value) {
+        showAlert('Enter a date, or skip this question.');
+        return;
+    }
+    wizardAnswer(key, el.value);
+}
+
 // Manufacturing resolver — returns the shared result-card shape.
 function resolveManufacturingRate(data) {
+    if (data.manufPricing === 'week') return _manufWeekResult(data);
     // Apprentice (Year-12 status) and trainee (age band) classifications repeat
     // across sections, so the chosen section is part of the key for them.
     const chosen = _manufCategoryNeedsSection(data.category) ? data.manufSection : null;
@@ -14295,7 +13672,58 @@ function resolveManufacturingRate(data) {
         ]};
 }
 
+// A Manufacturing worked week, priced through js/manufacturing-pay.js. The
+// breakdown shows how the hourly rate was built, the stacked rates and every
+// pay line with its clause.
+function _manufWeekResult(data) {
+    const form = data.manufWeek || {};
+    const employmentType = data.employment === 'casual' ? 'casual' : (data.manufPartTime || 'full_time');
+    const c = costManufacturingWeek({
+        classification: data.manufClass,
+        employmentType: employmentType,
+        shiftType: form.shiftType,
+        continuous: !!form.continuous,
+        nonSuccessive: !!form.nonSuccessive,
+        weekendOrdinary: !!form.weekendOrdinary,
+        rdo: form.rdo,
+        allowances: (form.allowances || []).map(a => a.quantity ? { name: a.name, quantity: Number(a.quantity) } : a.name),
+        days: (form.days || []).map(d => ({
+            day: d.day, hours: Number(d.hours) || 0, shift: d.shift || undefined, publicHoliday: !!d.publicHoliday, rdo: !!d.rdo,
+            agreedHours: d.agreedHours === '' || d.agreedHours == null ? undefined : Number(d.agreedHours)
+        }))
+    }, awardRates);
+    if (!c.ok) {
+        return { award: awardRates.award_name, level: data.manufClass, rate: 0, rateLabel: 'Total',
+            penalties: [_fwEscapeHtml(c.error)], penaltiesTitle: 'Could not price this',
+            nextSteps: ['Go back and check the week entered', 'Contact Fitz HR support'] };
+    }
+    const money = n => '$' + n.toFixed(2);
+    const pct = m => Math.round(m * 1000) / 10 + '%';
+    const periods = c.steps.map(st => `${st.label}: ${money(st.amount)} → ${money(st.rate)}/hr (cl ${st.clause})`)
+        .concat(c.hourlyRates.map(h => `${h.label} (${pct(h.multiplier)}): ${money(h.rate)}/hr (cl ${h.clause})`));
+    const rows = c.lines.map(l => ({ label: `${l.label} (cl ${l.clause}) — ${l.hours}h @ ${money(l.rate)}/hr`, hours: l.hours, rate: l.rate, amount: l.cost }))
+        .concat(c.allowances.map(a => ({ label: `${a.label}${a.clause ? ' (cl ' + a.clause + ')' : ''} — ${a.quantity} ${a.unit} @ ${money(a.amount)}`, hours: '', rate: a.amount, amount: a.cost })));
+    return {
+        award: awardRates.award_name,
+        level: `${data.manufClass} — ${_CALC_MANUF_SHIFT_TYPES.find(t => t.value === c.shiftType).label.toLowerCase()}`,
+        rate: c.totalCost,
+        rateLabel: 'Total for the week',
+        ratesNote: `Ordinary hourly rate ${money(c.ordinaryRate)} · ${c.ordinaryHours}h ordinary · ${c.overtimeHours}h overtime` +
+            (c.rdoAccrualHours ? ` · ${c.rdoAccrualHours}h RDO credit` : ''),
+        breakdown: { title: '🧾 How the week was priced', periods: periods, rows: rows, total: c.totalCost,
+            file: `Manufacturing_Week_${data.manufClass.split(' ')[0]}` },
+        penalties: c.notes.map(n => _fwEscapeHtml(n)),
+        penaltiesTitle: 'How this was priced',
+        nextSteps: [
+            'Check each line against the payslip or timesheet export for the week',
+            'Confirm the classification against Schedule A of MA000010',
+            'Keep employment records for 7 years'
+        ]
+    };
+}
+
 // Shared result card for every award.
+let _lastWizardBreakdown = null;
 function renderWizardResultCard(result) {
     const isRole = getAwardContext().calculatorType === 'role';
     const penaltiesHTML = (result.penalties && result.penalties.length)
@@ -14304,6 +13732,20 @@ function renderWizardResultCard(result) {
         ? result.nextSteps.map(s => `<li>${s}</li>`).join('') : '<li>Verify rate with Fair Work</li>';
     const weeklyHTML = (typeof result.weeklyRate === 'number')
         ? `<p class="text-sm text-slate-400 mt-1">Weekly (38 hrs): <strong class="text-slate-200">$${result.weeklyRate.toFixed(2)}</strong></p>` : '';
+    const changesHTML = (result.rateChanges && result.rateChanges.length)
+        ? `<div class="bg-slate-700/50 rounded-lg p-4"><p class="font-semibold text-slate-200 mb-2">📅 Upcoming rate changes</p><ul class="text-sm space-y-1">` +
+            result.rateChanges.map(c => `<li>• ${_fwEscapeHtml(c.date)}: ${_fwEscapeHtml(c.label)}</li>`).join('') +
+            `</ul><p class="text-xs text-slate-400 mt-2">Priced at the current pay table; each 1 July wage review also changes these figures.</p></div>` : '';
+    const b = result.breakdown;
+    const breakdownHTML = b
+        ? `<div class="bg-slate-700/50 rounded-lg p-4"><p class="font-semibold text-slate-200 mb-2">${_fwEscapeHtml(b.title)}</p>` +
+            (b.periods.length ? `<ul class="text-xs text-slate-400 space-y-1 mb-3">${b.periods.map(p => `<li>• ${_fwEscapeHtml(p)}</li>`).join('')}</ul>` : '') +
+            b.rows.map(r => `<div class="flex justify-between text-sm py-1 border-b border-slate-600/50"><span>${_fwEscapeHtml(r.label)}</span><span>$${r.amount.toFixed(2)}</span></div>`).join('') +
+            `<div class="flex justify-between font-bold pt-2"><span>Total</span><span class="text-amber-400">$${b.total.toFixed(2)}</span></div>` +
+            `<button onclick="downloadWizardBreakdown()" class="mt-3 text-sm text-amber-400 hover:text-amber-300">⬇️ Download breakdown (Excel)</button></div>` : '';
+    _lastWizardBreakdown = b || null;
+    const ratesNoteHTML = result.ratesNote
+        ? `<p class="text-xs text-slate-400 mt-1">${_fwEscapeHtml(result.ratesNote)}</p>` : '';
     const contractBtn = isRole
         ? `<button onclick="openEmploymentContract()" class="flex-1 bg-amber-500 hover:bg-amber-600 text-slate-900 font-bold py-3 rounded-lg transition-all">📝 Create Employment Contract</button>` : '';
     const html =
@@ -14313,9 +13755,10 @@ function renderWizardResultCard(result) {
                 `<div class="bg-slate-700/50 rounded-lg p-4"><p class="text-sm text-slate-400 mb-1">Applicable Award</p><p class="font-bold text-lg">${_fwEscapeHtml(result.award || getAwardContext().fullName || '')}</p></div>` +
                 `<div class="grid grid-cols-2 gap-4">` +
                     `<div class="bg-slate-700/50 rounded-lg p-4"><p class="text-sm text-slate-400 mb-1">Classification</p><p class="font-bold">${_fwEscapeHtml(result.level || 'Classification')}</p></div>` +
-                    `<div class="bg-slate-700/50 rounded-lg p-4"><p class="text-sm text-slate-400 mb-1">${_fwEscapeHtml(result.rateLabel || 'Base Rate (per hour)')}</p><p class="font-bold text-2xl text-amber-400">$${(typeof result.rate === 'number' ? result.rate : 0).toFixed(2)}</p>${weeklyHTML}</div>` +
+                    `<div class="bg-slate-700/50 rounded-lg p-4"><p class="text-sm text-slate-400 mb-1">${_fwEscapeHtml(result.rateLabel || 'Base Rate (per hour)')}</p><p class="font-bold text-2xl text-amber-400">$${(typeof result.rate === 'number' ? result.rate : 0).toFixed(2)}</p>${weeklyHTML}${ratesNoteHTML}</div>` +
                 `</div>` +
-                `<div class="bg-amber-500/10 border border-amber-500 rounded-lg p-4"><p class="font-semibold text-amber-400 mb-2">Penalty Rates & Loadings:</p><div class="text-sm space-y-1">${penaltiesHTML}</div></div>` +
+                changesHTML + breakdownHTML +
+                `<div class="bg-amber-500/10 border border-amber-500 rounded-lg p-4"><p class="font-semibold text-amber-400 mb-2">${_fwEscapeHtml(result.penaltiesTitle || 'Penalty Rates & Loadings')}:</p><div class="text-sm space-y-1">${penaltiesHTML}</div></div>` +
                 `<div class="bg-blue-500/10 border border-blue-500 rounded-lg p-4"><p class="font-semibold text-blue-400 mb-2">📝 Next Steps:</p><ul class="text-sm space-y-1">${stepsHTML}</ul></div>` +
             `</div>` +
             `<div class="flex gap-3 mt-6">${contractBtn}` +
@@ -14331,6 +13774,15 @@ function renderWizardResultCard(result) {
     if (progressContainer) progressContainer.classList.add('hidden');
 }
 
+function downloadWizardBreakdown() {
+    const b = _lastWizardBreakdown;
+    if (!b) return;
+    const data = b.periods.map(p => ({ 'Description': p, 'Hours': '', 'Rate': '', 'Amount': '' }))
+        .concat(b.rows.map(r => ({ 'Description': r.label, 'Hours': r.hours, 'Rate': `$${r.rate.toFixed(2)}`, 'Amount': `$${r.amount.toFixed(2)}` })));
+    data.push({ 'Description': 'TOTAL', 'Hours': '', 'Rate': '', 'Amount': `$${b.total.toFixed(2)}` });
+    generateExcelSpreadsheet(data, `${b.file}.xlsx`, 'Pay Breakdown');
+}
+
 async function openAwardWizard() {
     trackToolUsage('awardWizardModal');
 
@@ -14366,6 +13818,8 @@ async function openAwardWizard() {
 
     const wizardModal = document.getElementById('awardWizardModal');
     if (wizardModal) {
+        const dateEl = document.getElementById('wizardRatesDate');
+        if (dateEl && !dateEl.value) dateEl.value = _ratesTodayYmd();
         wizardModal.classList.remove('hidden');
         startAwardCalculator();   // registry-driven steps for the resolved award
     }
@@ -16806,6 +16260,33 @@ function switchChart(type) {
     else if (type === 'engagement') renderEngagementChart();
 }
 
+// Dark-theme line/bar chart options shared by the analytics charts and the
+// Fitz Watch score trend.
+function darkChartOptions() {
+    return {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            legend: {
+                labels: {
+                    color: '#cbd5e1'
+                }
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                ticks: { color: '#cbd5e1' },
+                grid: { color: '#475569' }
+            },
+            x: {
+                ticks: { color: '#cbd5e1' },
+                grid: { color: '#475569' }
+            }
+        }
+    };
+}
+
 function renderUsageChart() {
     const ctx = document.getElementById('analyticsChart');
     if (!ctx) return;
@@ -16825,28 +16306,7 @@ function renderUsageChart() {
                 fill: true
             }]
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    labels: {
-                        color: '#cbd5e1'
-                    }
-                }
-            },
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    ticks: { color: '#cbd5e1' },
-                    grid: { color: '#475569' }
-                },
-                x: {
-                    ticks: { color: '#cbd5e1' },
-                    grid: { color: '#475569' }
-                }
-            }
-        }
+        options: darkChartOptions()
     });
 }
 
@@ -16872,28 +16332,7 @@ function renderToolsChart() {
                 ]
             }]
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    labels: {
-                        color: '#cbd5e1'
-                    }
-                }
-            },
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    ticks: { color: '#cbd5e1' },
-                    grid: { color: '#475569' }
-                },
-                x: {
-                    ticks: { color: '#cbd5e1' },
-                    grid: { color: '#475569' }
-                }
-            }
-        }
+        options: darkChartOptions()
     });
 }
 
@@ -17192,6 +16631,8 @@ function initKeyboardNavigation() {
                 'venueOnboardingModal',
                 'venueSettingsModal',
                 'feedbackModal',
+                'flagAnswerModal',
+                'contractReviewModal',
                 'crisisModal',
                 'searchModal',
                 'bookmarksModal',
@@ -18336,6 +17777,7 @@ function switchAdminTab(tabName) {
         'documents': 'adminDocumentsTab',
         'subscriptions': 'adminSubscriptionsTab',
         'reviews': 'adminReviewsTab',
+        'flags': 'adminFlagsTab',
         'charts': 'adminChartsTab',
         'devtools': 'adminDevtoolsTab'
     };
@@ -18350,6 +17792,7 @@ function switchAdminTab(tabName) {
     if (tabName === 'documents') loadDocuments();
     if (tabName === 'subscriptions') loadSubscriptions();
     if (tabName === 'reviews') loadExpertReviews();
+    if (tabName === 'flags') loadFlaggedAnswers();
     if (tabName === 'charts') loadCharts();
 }
 
@@ -18434,8 +17877,13 @@ async function adminResetPromptCounter() {
     // Reset in localStorage
     localStorage.removeItem('fitzCredits_' + userKey);
 
-    // Sync to Firebase using the correct credits sub-object path
-    await syncCreditsToFirebase();
+    // The prompt counters are server-managed; admin writes them directly
+    if (db && currentUser.uid) {
+        await db.collection('users').doc(currentUser.uid).update({
+            'credits.monthlyPromptsUsed': 0,
+            'credits.monthlyPromptsReset': new Date().toISOString()
+        });
+    }
 
     updateCreditsDisplay();
     showToast('Prompt counter reset to 20.', 'success', 2000);
@@ -19346,6 +18794,119 @@ async function updateReviewStatus(refNumber, newStatus) {
     }
 }
 
+// Load Flagged Answers tab — "Report wrong answer" submissions from chat
+let adminFlaggedAnswers = {};
+
+async function loadFlaggedAnswers() {
+    const list = document.getElementById('flaggedAnswersList');
+
+    list.innerHTML = '<div class="bg-slate-900 rounded-lg p-6 text-center text-slate-400">Loading flagged answers...</div>';
+
+    if (!db) {
+        list.innerHTML = '<div class="bg-red-500/10 border border-red-500 rounded-lg p-6 text-center text-red-400">Firebase not connected</div>';
+        return;
+    }
+
+    try {
+        const snapshot = await db.collection('flaggedAnswers')
+            .orderBy('createdAt', 'desc')
+            .limit(100)
+            .get();
+
+        adminFlaggedAnswers = {};
+        const flags = [];
+        snapshot.forEach(doc => {
+            adminFlaggedAnswers[doc.id] = doc.data();
+            flags.push({ id: doc.id, ...doc.data() });
+        });
+
+        if (flags.length === 0) {
+            list.innerHTML = '<div class="bg-slate-900 rounded-lg p-6 text-center text-slate-400">No answers have been reported yet</div>';
+            return;
+        }
+
+        const open = flags.filter(f => f.status !== 'exported').length;
+        let html = `
+            <div class="bg-slate-900 border border-slate-700 rounded-lg p-3 mb-3 text-xs text-slate-400">
+                <span class="text-red-400 font-bold">${open}</span> open of ${flags.length}.
+                Export a flag into <span class="font-mono">regression/flagged/</span>, check the drafted assert, then run
+                <span class="font-mono">npm run flag:to-regression</span>.
+            </div>
+        `;
+
+        flags.forEach(flag => {
+            const date = flag.createdAt?.toDate
+                ? flag.createdAt.toDate().toLocaleString('en-AU')
+                : 'Unknown';
+            const exported = flag.status === 'exported';
+
+            html += `
+                <div class="bg-slate-900 border ${exported ? 'border-slate-700' : 'border-red-500'} rounded-lg p-3">
+                    <div class="flex items-start justify-between flex-wrap gap-2 mb-2">
+                        <div class="min-w-0 flex-1">
+                            <p class="text-white font-semibold">${escapeHtml(flag.question || '')}</p>
+                            <p class="text-slate-500 text-xs">${date} · ${escapeHtml(flag.userEmail || flag.userId || '')}</p>
+                        </div>
+                        <span class="text-xs ${exported ? 'bg-slate-600 text-white' : 'bg-red-500 text-white'} px-2 py-1 rounded font-bold uppercase">${exported ? 'exported' : 'open'}</span>
+                    </div>
+                    <div class="text-sm space-y-1">
+                        <p class="text-slate-400"><strong>Award:</strong> ${escapeHtml(flag.awardCode || 'unresolved')}</p>
+                        <p class="text-slate-400"><strong>Fitz said:</strong> ${escapeHtml((flag.answer || '').slice(0, 300))}${(flag.answer || '').length > 300 ? '…' : ''}</p>
+                        <p class="text-green-400"><strong>User says:</strong> ${escapeHtml(flag.correction || '')}</p>
+                        ${flag.source ? `<p class="text-slate-500 text-xs">Source: ${escapeHtml(flag.source)}</p>` : ''}
+                    </div>
+                    <div class="mt-3 flex flex-wrap gap-2">
+                        <button onclick="exportFlaggedReport('${flag.id}')"
+                                class="text-xs bg-purple-500 hover:bg-purple-600 text-white px-3 py-1.5 rounded transition-colors">
+                            📥 Export as flagged report
+                        </button>
+                    </div>
+                </div>
+            `;
+        });
+
+        list.innerHTML = html;
+    } catch (error) {
+        console.error('Flagged answers load error:', error);
+        list.innerHTML = '<div class="bg-red-500/10 border border-red-500 rounded-lg p-6 text-center text-red-400">Error loading data: ' + error.message + '</div>';
+    }
+}
+
+// Downloads a flag as a regression/flagged/ report for
+// scripts/flag-to-regression.mjs and marks it exported.
+async function exportFlaggedReport(flagId) {
+    const flag = adminFlaggedAnswers[flagId];
+    if (!flag) return;
+
+    const reportedAt = flag.createdAt?.toDate ? flag.createdAt.toDate() : new Date();
+    const report = draftFlaggedReport(flag, flagId, reportedAt);
+    const problems = validateFlaggedReport(report);
+    if (problems.length) {
+        showAlert('❌ This flag cannot be exported as a regression report:\n\n• ' + problems.join('\n• '));
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(report, null, 2) + '\n'], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = flaggedReportFilename(report, flagId);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    try {
+        await db.collection('flaggedAnswers').doc(flagId).update({
+            status: 'exported',
+            exportedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        loadFlaggedAnswers();
+    } catch (error) {
+        console.error('Error marking flag exported:', error);
+    }
+}
+
 // Email review user
 function emailReviewUser(email) {
     if (!email || email === 'N/A') {
@@ -19766,69 +19327,113 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
+let _lastAwardCalculation = null;
+
+// Next calendar date (YYYY-MM-DD, local) falling on the calculator's day type.
+// Weekday and public-holiday calculations use a Wednesday; the public holiday
+// is flagged to costShift explicitly rather than looked up.
+function _awardCalcDate(dayType) {
+    const target = dayType === 'saturday' ? 6 : dayType === 'sunday' ? 0 : 3;
+    const d = new Date();
+    d.setDate(d.getDate() + ((target - d.getDay() + 7) % 7));
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+}
+
 /**
  * Calculates award pay including penalties, loadings, and overtime
+ * Prices the shift through costShift() (js/shift-costing.js) so the figure
+ * matches the roster dashboard and roster export for the same shift.
  * Displays detailed breakdown in the calculator modal
  * @returns {void}
  */
 function calculateAward() {
-    let baseRate = parseFloat(document.getElementById('calcPosition').value);
-    if (document.getElementById('calcPosition').value === 'custom') {
+    const posValue = document.getElementById('calcPosition').value;
+    let baseRate, classification;
+    if (posValue === 'custom') {
         baseRate = parseFloat(document.getElementById('calcCustomRate').value);
+        classification = 'Custom rate';
+    } else {
+        const row = awardRates && Array.isArray(awardRates.rates) ? awardRates.rates[parseInt(posValue, 10)] : null;
+        baseRate = row ? Number(row.rate) : NaN;
+        classification = row ? (row.title || row.classification) : null;
     }
 
-    const dayMultiplier = parseFloat(document.getElementById('calcDay').value);
+    const dayType = document.getElementById('calcDay').value;
     const hours = parseFloat(document.getElementById('calcHours').value);
-    const overtime = parseFloat(document.getElementById('calcOvertime').value);
+    const overtime = parseFloat(document.getElementById('calcOvertime').value) || 0;
+    const typeSel = document.getElementById('calcEmploymentType');
+    const startSel = document.getElementById('calcStartTime');
+    const shiftworkerBox = document.getElementById('calcShiftworker');
 
     if (!baseRate || !hours) {
         showAlert('Please enter all required fields');
         return;
     }
+    if (hours + overtime > 24) {
+        showAlert('Hours worked plus overtime cannot exceed 24 hours');
+        return;
+    }
+
+    const date = _awardCalcDate(dayType);
+    const rates = ratesVersionAsAt(awardRatesFile, date) || awardRates;
+    const start = parseRosterTime(startSel && startSel.value ? startSel.value : '09:00');
+    const paidMinutes = Math.round((hours + overtime) * 60);
+    const result = costShift({
+        date: date,
+        start: start,
+        end: (start + paidMinutes) % 1440,
+        breakMinutes: 0,
+        employmentType: typeSel ? typeSel.value : 'full_time',
+        classification: classification,
+        shiftworker: !!(shiftworkerBox && shiftworkerBox.checked)
+    }, rates, {
+        baseRate: baseRate,
+        ordinaryMinutes: Math.round(hours * 60),
+        publicHolidays: dayType === 'public_holiday' ? [date] : []
+    });
+    if (!result.ok) {
+        showAlert(result.error);
+        return;
+    }
+    _lastAwardCalculation = result;
 
-    const otMultiplier = _awardCalcOvertimeMultiplier();
-    const penaltyRate = baseRate * dayMultiplier;
-    const ordinaryPay = penaltyRate * hours;
-    const overtimePay = overtime > 0 ? (baseRate * otMultiplier * overtime) : 0;
-    const totalPay = ordinaryPay + overtimePay;
+    const avgOrdinary = result.ordinaryHours ? result.ordinaryCost / result.ordinaryHours : 0;
+    document.getElementById('resultBaseRate').textContent = `$${result.ordinaryRate.toFixed(2)}/hr`;
+    document.getElementById('resultPenaltyRate').textContent = `$${avgOrdinary.toFixed(2)}/hr`;
+    document.getElementById('resultOrdinaryPay').textContent = `$${result.ordinaryCost.toFixed(2)}`;
+    document.getElementById('resultOvertimePay').textContent = `$${result.overtimeCost.toFixed(2)}`;
+    document.getElementById('resultTotal').textContent = `$${result.totalCost.toFixed(2)}`;
 
-    document.getElementById('resultBaseRate').textContent = `$${baseRate.toFixed(2)}/hr`;
-    document.getElementById('resultPenaltyRate').textContent = `$${penaltyRate.toFixed(2)}/hr`;
-    document.getElementById('resultOrdinaryPay').textContent = `$${ordinaryPay.toFixed(2)}`;
-    document.getElementById('resultOvertimePay').textContent = `$${overtimePay.toFixed(2)}`;
-    document.getElementById('resultTotal').textContent = `$${totalPay.toFixed(2)}`;
+    const breakdown = document.getElementById('calcSegmentBreakdown');
+    if (breakdown) {
+        breakdown.innerHTML = result.segments.map(seg =>
+            `<div class="flex justify-between text-xs text-slate-400 py-1"><span>${escapeHtml(seg.label)} — ${seg.hours}h @ $${seg.rate.toFixed(2)}/hr</span><span>$${seg.cost.toFixed(2)}</span></div>`
+        ).join('') + result.notes.map(n => `<p class="text-xs text-amber-400 mt-1">⚠️ ${escapeHtml(n)}</p>`).join('');
+    }
 
     const otLabel = document.getElementById('overtimeLabel');
-    if (otLabel) otLabel.textContent = `Overtime Pay (${otMultiplier}x):`;
-    document.getElementById('overtimeRow').style.display = overtime > 0 ? 'flex' : 'none';
+    if (otLabel) otLabel.textContent = `Overtime Pay (${result.overtimeHours}h):`;
+    document.getElementById('overtimeRow').style.display = result.overtimeHours > 0 ? 'flex' : 'none';
     document.getElementById('calcResults').classList.remove('hidden');
 
-    trackEvent('award_calculated', { user: currentUser, baseRate, totalPay });
+    trackEvent('award_calculated', { user: currentUser, award: result.awardCode, baseRate, totalPay: result.totalCost });
 }
 
 function downloadCalculation() {
-    const data = [{
-        'Description': 'Base Rate',
-        'Rate': document.getElementById('resultBaseRate').textContent,
-        'Hours': document.getElementById('calcHours').value,
-        'Amount': document.getElementById('resultOrdinaryPay').textContent
-    }];
-
-    const overtime = parseFloat(document.getElementById('calcOvertime').value);
-    if (overtime > 0) {
-        data.push({
-            'Description': 'Overtime',
-            'Rate': `$${(parseFloat(document.getElementById('calcPosition').value) * _awardCalcOvertimeMultiplier()).toFixed(2)}/hr`,
-            'Hours': overtime,
-            'Amount': document.getElementById('resultOvertimePay').textContent
-        });
-    }
+    if (!_lastAwardCalculation) return;
+    const result = _lastAwardCalculation;
+    const data = result.segments.map(seg => ({
+        'Description': seg.label,
+        'Rate': `$${seg.rate.toFixed(2)}/hr`,
+        'Hours': seg.hours,
+        'Amount': `$${seg.cost.toFixed(2)}`
+    }));
 
     data.push({
         'Description': 'TOTAL',
         'Rate': '',
-        'Hours': '',
-        'Amount': document.getElementById('resultTotal').textContent
+        'Hours': result.paidHours,
+        'Amount': `$${result.totalCost.toFixed(2)}`
     });
 
     generateExcelSpreadsheet(data, `Pay_Calculation_${Date.now()}.xlsx`, 'Pay Breakdown');
@@ -19898,130 +19503,182 @@ function wizardGoBack() {
 }
 
 // Show wizard results
-function showWizardResults() {
+async function showWizardResults() {
     const cfg = _calcConfig || getAwardCalculatorConfig(getAwardContext().code);
-    // Role awards: the rates JSON carries adult rates only, so juniors redirect.
-    if (cfg.juniorRedirect && wizardData.age === 'junior') {
-        showJuniorRedirect();
-        return;
+    // Price at the table in force on the "Rates as at" date. Today falls back
+    // to the loaded table when it was published ahead of its effective date.
+    const dateEl = document.getElementById('wizardRatesDate');
+    const today = _ratesTodayYmd();
+    const asAt = (dateEl && dateEl.value) || today;
+    let rates = null;
+    try {
+        rates = await ratesAsAt(getAwardContext().code, asAt);
+    } catch (e) {
+        rates = null;
     }
+    if (!rates && asAt === today) rates = awardRates;
     let result;
     try {
-        if (!awardRates || !awardRates.rates || !awardRates.rates.length) {
+        if (!rates) {
+            const heldFrom = ratesHeldFrom(awardRatesFile);
+            result = { level: 'No rates held for ' + asAt, rate: 0,
+                penalties: [heldFrom
+                    ? `Fitz holds ${getAwardContext().name} rates from ${heldFrom} only.`
+                    : 'Connect to the internet to load award rates'],
+                nextSteps: ['Check the Fair Work Ombudsman Pay Guide for that period'] };
+        } else if (!rates.rates || !rates.rates.length) {
             result = { level: 'Rate lookup unavailable', rate: 0,
                 penalties: ['Connect to the internet to load current rates'],
                 nextSteps: ['Refresh the page when online to get accurate rates'] };
         } else {
-            result = cfg.resolve(wizardData) || {};
+            result = _calcResolvePayBasis(cfg, rates, wizardData, asAt);
+            if (rates.effective_date) result.ratesNote = `Rates in force on ${asAt} (pay table effective ${rates.effective_date})`;
         }
     } catch (calcError) {
         result = { level: 'Calculation Error', rate: 0, penalties: [], nextSteps: [] };
     }
     renderWizardResultCard(result);
 }
-function showJuniorRedirect() {
-    try {
-        // Build the junior redirect HTML
-        const juniorHTML = `
-            <div class="bg-blue-500/10 border-2 border-blue-500 rounded-lg p-6">
-                <h3 class="text-blue-400 font-bold text-xl mb-4 flex items-center gap-2">
-                    <span>ℹ️</span>
-                    <span>Junior Employee (19 years or younger)</span>
-                </h3>
-                
-                <div class="space-y-4 text-slate-200">
-                    <p class="leading-relaxed">
-                        For employees <strong>19 years of age or younger</strong>, junior rates apply. 
-                        Junior rates are calculated as a <strong>percentage of the adult rate</strong> based on the employee's age.
-                    </p>
-                    
-                    <div class="bg-slate-700/50 rounded-lg p-4">
-                        <p class="font-semibold text-amber-400 mb-2">Junior Rate Percentages:</p>
-                        <ul class="text-sm space-y-1 ml-4">
-                            <li>• <strong>Under 16 years:</strong> 40% of adult rate</li>
-                            <li>• <strong>16 years:</strong> 50% of adult rate</li>
-                            <li>• <strong>17 years:</strong> 60% of adult rate</li>
-                            <li>• <strong>18 years:</strong> 70% of adult rate</li>
-                            <li>• <strong>19 years:</strong> 80% of adult rate</li>
-                            <li>• <strong>20 years and over:</strong> 100% (full adult rate)</li>
-                        </ul>
-                    </div>
-
-                    <div class="bg-amber-500/10 border border-amber-500 rounded-lg p-4">
-                        <p class="font-semibold text-amber-400 mb-2">📋 What You Need to Do:</p>
-                        <ol class="text-sm space-y-2 ml-4">
-                            <li>1. Determine the employee's exact age</li>
-                            <li>2. Find the applicable adult rate for their classification</li>
-                            <li>3. Apply the percentage based on their age</li>
-                            <li>4. Review the full award for additional junior provisions</li>
-                        </ol>
-                    </div>
-
-                    <div class="bg-green-500/10 border border-green-500 rounded-lg p-4 text-center">
-                        <p class="font-semibold text-green-400 mb-3">
-                            📖 View Full Junior Rates in the Award
-                        </p>
-                        <a href="${'https://awards.fairwork.gov.au/' + getAwardContext().code + '.html'}"
-                           target="_blank"
-                           class="inline-block bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg transition-all">
-                            Open ${getAwardContext().name} →
-                        </a>
-                        <p class="text-xs text-slate-400 mt-2">
-                            Opens in new tab • Fair Work Ombudsman official website
-                        </p>
-                    </div>
-
-                    <div class="bg-slate-700/50 rounded-lg p-4">
-                        <p class="text-sm text-slate-300">
-                            <strong>Need help calculating junior rates?</strong><br/>
-                            Contact Fitz HR for assistance: 
-                            <a href="mailto:support@fitzhr.com" class="text-amber-400 hover:underline">support@fitzhr.com</a>
-                        </p>
-                    </div>
-                </div>
 
-                <div class="flex gap-3 mt-6">
-                    <button onclick="resetWizard()" class="flex-1 bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 rounded-lg transition-all">
-                        ← Start Over
-                    </button>
-                    <button onclick="closeToolModal('awardWizardModal')" class="px-6 py-3 bg-amber-500 hover:bg-amber-600 text-slate-900 font-bold rounded-lg transition-all">
-                        Close
-                    </button>
-                </div>
-            </div>
-        `;
-        
-        // REPLACE wizardSteps content with junior message (SAME AS ADULT PATH)
-        const wizardStepsDiv = document.getElementById('wizardSteps');
-        if (wizardStepsDiv) {
-            wizardStepsDiv.innerHTML = juniorHTML;
-            wizardStepsDiv.classList.remove('hidden'); // Keep it visible
-        } else {
-            return;
-        }
-        
-        // Hide back button and progress bar
-        const backBtn = document.getElementById('wizardBackBtn');
-        if (backBtn) backBtn.classList.add('hidden');
-        
-        // Hide progress bar
-        const progressContainer = wizardStepsDiv.previousElementSibling;
-        if (progressContainer && progressContainer.querySelector('#wizardProgressBar')) {
-            progressContainer.classList.add('hidden');
-        }
-        
-        // Track event
-        try {
-            trackEvent('award_wizard_junior_redirect', {
-                user: currentUser,
-                role: wizardData.role
-            });
-        } catch (trackError) {
+// Runs the award's resolver against one rates table. The resolvers read the
+// awardRates global; point it at the table for this lookup only.
+function _calcResolveWith(cfg, table, data) {
+    const current = awardRates;
+    awardRates = table;
+    try {
+        return cfg.resolve(data) || {};
+    } finally {
+        awardRates = current;
+    }
+}
+
+// Prices the wizard answers for an adult, a junior or an apprentice. A junior
+// runs the award's own resolver against a table re-priced for their age
+// (juniorRatesView), so penalties follow the junior rate; each birthday that
+// moves the rate is priced the same way and listed as an upcoming change.
+function _calcResolvePayBasis(cfg, rates, data, asAt) {
+    if (data.age === 'apprentice' && rates.apprentice_rates) return _calcApprenticeResult(rates, data, asAt);
+    const adult = _calcResolveWith(cfg, rates, data);
+    if (data.age !== 'junior' || !rates.junior_rates || !adult.rate) return adult;
+    const jr = rates.junior_rates;
+    const age = data.dob ? juniorAgeOn(data.dob, asAt) : parseInt(data.juniorAge, 10);
+    if (age === null || isNaN(age)) {
+        adult.penalties = [`Date of birth ${data.dob} is after ${asAt} — check it and try again.`].concat(adult.penalties || []);
+        return adult;
+    }
+    if (age >= juniorAdultAge(rates)) {
+        adult.penalties = [`Aged ${age} on ${asAt} — adult rates apply.`].concat(adult.penalties || []);
+        return adult;
+    }
+    if (_CALC_ADULT_RATE_ROLES.indexOf(data.role) !== -1) {
+        adult.penalties = ['Liquor service employees are paid the adult rate at any age.'].concat(adult.penalties || []);
+        return adult;
+    }
+    const monthsAt = (ymd) => (data.serviceStart ? juniorServiceMonths(data.serviceStart, ymd) : null);
+    const priceAt = (a, ymd) => {
+        const months = monthsAt(ymd);
+        const view = juniorRatesView(rates, a, { monthsService: months === null ? undefined : months });
+        return { view: view, result: _calcResolveWith(cfg, view, data) };
+    };
+    const now = priceAt(age, asAt);
+    const result = now.result;
+    const j = result.row && result.row.junior;
+    if (!j) {
+        const why = juniorScheduleFor(rates, result.row)
+            ? `At ${age} with their length of service the adult rate applies.`
+            : (jr.adult_rate_note || 'Junior rates do not apply to this classification') + ' — adult rate shown.';
+        result.penalties = [why].concat(result.penalties || []);
+        return result;
+    }
+    result.level = `${result.level} — junior, ${j.label}`;
+    result.penalties = [`Junior rate: ${j.percent}% of the adult rate ($${adult.rate.toFixed(2)}/hr); penalties below are on the junior rate.`]
+        .concat(now.view.junior_view.notes, jr.adult_rate_note ? [jr.adult_rate_note] : [], result.penalties || []);
+
+    // Upcoming changes: each birthday (from the date of birth) and the end of
+    // any service period (from the start date), priced at today's table.
+    const changes = [];
+    if (data.dob) {
+        juniorBirthdaysAhead(rates, data.dob, asAt).forEach(b => changes.push({ date: b.date, age: b.age, why: `turns ${b.age}` }));
+    }
+    if (data.serviceStart) {
+        jr.schedules.forEach(sc => sc.brackets.forEach(b => {
+            if (typeof b.service_months !== 'number') return;
+            const date = juniorServiceDate(data.serviceStart, b.service_months);
+            const ageThen = data.dob ? juniorAgeOn(data.dob, date) : age;
+            if (date > asAt && ageThen === b.max_age) changes.push({ date: date, age: ageThen, why: `${b.service_months} months' service` });
+        }));
+    }
+    changes.sort((x, y) => (x.date < y.date ? -1 : 1));
+    let last = result.rate;
+    result.rateChanges = [];
+    changes.forEach(c => {
+        const rate = priceAt(c.age, c.date).result.rate;
+        if (rate && rate !== last) {
+            result.rateChanges.push({ date: c.date, label: `${c.why} — $${rate.toFixed(2)}/hr` });
+            last = rate;
         }
-        
-    } catch (error) {
-        showAlert('Error showing junior information: ' + error.message);
+    });
+    if (!data.dob) result.nextSteps = ['Enter their date of birth to see when their rate goes up'].concat(result.nextSteps || []);
+    return result;
+}
+
+// Apprentice result card. Apprentices are paid a percentage of the award's
+// basis classification (or an adult classification's rate) by year, so this
+// lists the penalties from penalty_rates and costing_rules directly rather
+// than through a classification resolver. Full-time / part-time only.
+function _calcApprenticeResult(rates, data, asAt) {
+    const ar = rates.apprentice_rates;
+    const key = data.apprenticeStream || ar.streams[0].key;
+    const year = data.apprenticeStart ? apprenticeYearOn(data.apprenticeStart, asAt) : parseInt(data.apprenticeYear, 10);
+    if (!year) {
+        return { award: rates.award_name, level: 'Apprenticeship not started', rate: 0,
+            penalties: [`The apprenticeship starts after ${asAt}.`], nextSteps: ['Check the start date'] };
+    }
+    const r = apprenticeRate(rates, key, year);
+    if (!r.ok) {
+        return { award: rates.award_name, level: 'Apprenticeship complete', rate: 0,
+            penalties: [r.error + '.'],
+            nextSteps: ['Once qualified they are paid the adult rate for their trade classification — run the wizard as an adult'] };
+    }
+    const p = rates.penalty_rates || {};
+    const ft = (k) => (typeof p[k + '_full_time_part_time'] === 'number' ? p[k + '_full_time_part_time'] : p[k]);
+    // Round half-up to cents (the FWO Pay Guide convention).
+    const money = n => '$' + (Math.round((n + 1e-9) * 100) / 100).toFixed(2);
+    const penalties = [];
+    const pen = (label, mult) => { if (typeof mult === 'number') penalties.push(`${label} (${Math.round(mult * 100)}%): ${money(r.rate * mult)}/hr`); };
+    pen('Saturday', ft('saturday'));
+    pen('Sunday', ft('sunday'));
+    pen('Public holiday', ft('public_holiday'));
+    ((rates.costing_rules && rates.costing_rules.loadings) || []).forEach(l => {
+        const v = p[l.key];
+        if (typeof v !== 'number') return;
+        if (l.basis === 'flat_per_hour') penalties.push(`${l.label}: +$${v.toFixed(2)}/hr = ${money(r.rate + v)}/hr`);
+        else penalties.push(`${l.label} (+${Math.round(v * 100)}%): ${money(r.rate * (1 + v))}/hr`);
+    });
+    if (typeof p.overtime_first_2hrs === 'number') {
+        pen('Overtime — first 2 hrs', p.overtime_first_2hrs);
+        pen('Overtime — after 2 hrs', p.overtime_after_2hrs);
+    } else {
+        pen('Overtime — first 3 hrs', p.overtime_first_3hrs);
+        pen('Overtime — after 3 hrs', p.overtime_after_3hrs);
+    }
+    const basisRow = rates.rates.find(x => x.classification === ar.basis_classification);
+    const basisName = basisRow ? (basisRow.title || basisRow.classification) : ar.basis_classification;
+    const result = { award: rates.award_name,
+        level: r.label + (r.percent ? ` (${r.percent}% of ${basisName})` : ''),
+        rate: r.rate, weeklyRate: r.weeklyRate, rateLabel: 'Apprentice Rate (per hour)',
+        penalties: penalties, nextSteps: [
+            'Confirm the apprenticeship stream and year against the training contract',
+            'Set up payroll with these exact rates',
+            'Keep employment records for 7 years'
+        ]};
+    if (data.apprenticeStart) {
+        result.rateChanges = apprenticeYearsAhead(rates, key, data.apprenticeStart, asAt)
+            .map(c => ({ date: c.date, label: `starts year ${c.year} — $${c.rate.toFixed(2)}/hr` }));
+    } else {
+        result.nextSteps.unshift('Enter the apprenticeship start date to see when their rate goes up');
     }
+    return result;
 }
 
 // Calculate award classification (uses GitHub JSON)
@@ -20249,287 +19906,1169 @@ function calculateAwardClassification(data) {
         classificationPath = 'introductory';
     }
     
-    // SEARCH THE ARRAY for matching rate
-    const matchingRate = awardRates.rates.find(r => 
-        r.category === 'adult' && 
-        r.employment_type === employmentType && 
-        r.classification === classificationPath
-    );
+    // SEARCH THE ARRAY for matching rate
+    const matchingRate = awardRates.rates.find(r => 
+        r.category === 'adult' && 
+        r.employment_type === employmentType && 
+        r.classification === classificationPath
+    );
+    
+    if (!matchingRate) {
+        return {
+            award: 'Error',
+            level: 'Rate not found',
+            rate: 0,
+            penalties: [`Error: No rate for ${classificationPath} (${employmentType})`],
+            nextSteps: ['Contact Fitz HR support']
+        };
+    }
+    
+    const baseRate = matchingRate.rate;
+    const title = matchingRate.title;
+    
+    if (!baseRate || typeof baseRate !== 'number' || isNaN(baseRate)) {
+        return {
+            award: 'Error',
+            level: title || 'Unknown',
+            rate: 0,
+            penalties: ['Error: Invalid rate value'],
+            nextSteps: ['Contact Fitz HR support']
+        };
+    }
+    
+    // Calculate penalties
+    const penalties = [];
+    const penaltyRates = awardRates.penalty_rates;
+
+    // Hard guard: if the user's profile says Restaurant Award but the loaded
+    // rates JSON is for the Hospitality Award (load-order race or stale fetch),
+    // refuse to compute — wrong loadings would silently apply.
+    const loadedMaNumber = awardRates.ma_number
+        || (awardRates.award_name && awardRates.award_name.match(/MA\d{6}/)?.[0])
+        || null;
+    if (isRestaurantAward && loadedMaNumber && loadedMaNumber !== 'MA000119') {
+        // Trigger a re-fetch so the next attempt gets the right JSON
+        if (typeof loadAwardRates === 'function') loadAwardRates();
+        return {
+            award: getAwardContext().fullName,
+            level: 'Award rates mismatch',
+            rate: 0,
+            penalties: [
+                `Loaded rates are for ${awardRates.award_name || 'a different award'} but your business is on the Restaurant Industry Award MA000119.`,
+                'Refreshing rates now — please close this wizard and reopen it.'
+            ],
+            nextSteps: ['Close the wizard, wait 2 seconds, then reopen.']
+        };
+    }
+
+    // Derive late-night windows from the loaded JSON itself, not from the
+    // user's award flag. This guarantees labels and values are consistent —
+    // if the Restaurant JSON is loaded the label is always 10pm-midnight /
+    // midnight-6am; if the Hospitality JSON is loaded it's 7pm-midnight /
+    // midnight-7am. There is no path that mixes them.
+    const has10pmLoading = typeof penaltyRates.evening_after_10pm_loading === 'number';
+    const has6amLoading = typeof penaltyRates.night_midnight_to_6am_loading === 'number';
+    const eveningLoading = has10pmLoading
+        ? penaltyRates.evening_after_10pm_loading
+        : penaltyRates.evening_after_7pm_loading;
+    const nightLoading = has6amLoading
+        ? penaltyRates.night_midnight_to_6am_loading
+        : penaltyRates.night_midnight_to_7am_loading;
+    const eveningWindowLabel = has10pmLoading ? '10pm-midnight' : '7pm-midnight';
+    const nightWindowLabel = has6amLoading ? 'midnight-6am' : 'midnight-7am';
+
+    // Headline penalty for the hours the user actually selected
+    if (data.hours === 'saturday') {
+        const saturdayRate = baseRate * penaltyRates.saturday;
+        penalties.push(`Saturday: ${(penaltyRates.saturday * 100)}% = $${saturdayRate.toFixed(2)}/hr`);
+    } else if (data.hours === 'sunday') {
+        const sundayRate = baseRate * penaltyRates.sunday;
+        penalties.push(`Sunday: ${(penaltyRates.sunday * 100)}% = $${sundayRate.toFixed(2)}/hr`);
+    } else if (data.hours === 'public-holiday') {
+        // Restaurant Award has separate FT/PT (225%) and casual (250%) public holiday rates
+        const phMultiplier = (isCasual && typeof penaltyRates.public_holiday_casual === 'number')
+            ? penaltyRates.public_holiday_casual
+            : penaltyRates.public_holiday;
+        const publicHolRate = baseRate * phMultiplier;
+        const phLabel = (isCasual && typeof penaltyRates.public_holiday_casual === 'number')
+            ? 'Public Holiday (casual)'
+            : 'Public Holiday';
+        penalties.push(`${phLabel}: ${(phMultiplier * 100)}% = $${publicHolRate.toFixed(2)}/hr`);
+    } else if (data.hours === 'weekday-evening') {
+        if (typeof eveningLoading === 'number') {
+            const eveningRate = baseRate + eveningLoading;
+            penalties.push(`Evening (${eveningWindowLabel}): +$${eveningLoading.toFixed(2)}/hr = $${eveningRate.toFixed(2)}/hr`);
+        } else {
+            penalties.push(`Evening loading unavailable — the loaded rates file (${awardRates.award_name || 'unknown'}) does not contain an evening loading for this award. Refresh the page or check Settings → Award.`);
+        }
+    } else if (data.hours === 'weekday-night') {
+        if (typeof nightLoading === 'number') {
+            const nightRate = baseRate + nightLoading;
+            penalties.push(`Night (${nightWindowLabel}): +$${nightLoading.toFixed(2)}/hr = $${nightRate.toFixed(2)}/hr`);
+        } else {
+            penalties.push(`Night loading unavailable — the loaded rates file (${awardRates.award_name || 'unknown'}) does not contain a night loading for this award. Refresh the page or check Settings → Award.`);
+        }
+    }
+
+    if (isCasual) {
+        const loadingPct = awardRates.casual_loading || 0.25;
+        const baseBeforeLoading = baseRate / (1 + loadingPct);
+        penalties.push(`Casual Loading: ${Math.round(loadingPct * 100)}% — the $${baseRate.toFixed(2)}/hr casual rate shown is the $${baseBeforeLoading.toFixed(2)}/hr base rate plus the casual loading.`);
+    }
+
+    penalties.push(`Overtime: First 2 hours at 150%, thereafter 200%`);
+
+    // Always include the full late-night loading reference so users see the
+    // flat-dollar additions even when they did not pick "evening" or "night"
+    // for their hours. These are flat $/hr additions on top of the base rate
+    // (Mon-Fri only — weekend / public holiday rates supersede).
+    if (typeof eveningLoading === 'number' && data.hours !== 'weekday-evening') {
+        const eveningRate = baseRate + eveningLoading;
+        penalties.push(`Late-night reference — Evening (${eveningWindowLabel}, Mon-Fri): +$${eveningLoading.toFixed(2)}/hr flat loading = $${eveningRate.toFixed(2)}/hr`);
+    }
+    if (typeof nightLoading === 'number' && data.hours !== 'weekday-night') {
+        const nightRate = baseRate + nightLoading;
+        penalties.push(`Late-night reference — Night (${nightWindowLabel}, Mon-Fri): +$${nightLoading.toFixed(2)}/hr flat loading = $${nightRate.toFixed(2)}/hr`);
+    }
+
+    // Minimum engagement (read from JSON if present, otherwise fall back to
+    // the figures published by Fair Work for each award).
+    const minEng = awardRates.minimum_engagement || {};
+    const ftMin = minEng.full_time_hours_per_shift ?? 4;
+    const ptMin = minEng.part_time_hours_per_shift ?? 3;
+    const casMin = minEng.casual_hours_per_shift ?? 2;
+    const employmentLabel = isCasual
+        ? 'Casual'
+        : (data.employment === 'part-time' ? 'Part-time' : 'Full-time');
+    const employmentMin = isCasual
+        ? casMin
+        : (data.employment === 'part-time' ? ptMin : ftMin);
+    penalties.push(`Minimum engagement: ${employmentLabel} employees must be engaged for at least ${employmentMin} consecutive hours per shift (${isRestaurantAward ? 'MA000119 cl. 13.5 / 11 / 12' : 'MA000009 cl. 11.4 / 12'}).`);
+    if (isRestaurantAward && minEng.public_holiday_casual) {
+        penalties.push(`Public holiday minimum engagement: Full-time/part-time ${minEng.public_holiday_full_time_part_time || 4}hrs, casual ${minEng.public_holiday_casual}hrs.`);
+    }
+
+    const result = {
+    award: getAwardContext().fullName,
+    level: title,
+    rate: baseRate,
+    rateLabel: isCasual ? 'Casual Rate (per hour)' : 'Base Rate (per hour)',
+    row: matchingRate,
+        penalties: penalties,
+        nextSteps: [
+            'Create written employment contract',
+            'Set up payroll with these exact rates',
+            'Provide Fair Work Information Statement to employee',
+            'Keep employment records for 7 years',
+            `Review rates on ${awardRates.next_review_date}`
+        ],
+        notes: awardRates.notes || []
+    };
+    
+    return result;
+}
+
+// Reset wizard
+function resetWizard() {
+    // Re-run the registry-driven calculator from step 1 in the open modal.
+    const progressContainer = document.querySelector('#awardWizardModal .mb-6');
+    if (progressContainer) progressContainer.classList.remove('hidden');
+    const wizardModal = document.getElementById('awardWizardModal');
+    if (wizardModal) wizardModal.classList.remove('hidden');
+    startAwardCalculator();
+}
+// ========================================
+// ROSTER STRESS TESTER - COMPLETE IMPLEMENTATION
+// ========================================
+
+async function analyzeRosterFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    document.getElementById('rosterStressResults').innerHTML = `
+        <div class="bg-slate-900 border border-amber-500 rounded-lg p-6">
+            <p class="text-amber-400">Analyzing ${escapeHtml(file.name)}...</p>
+        </div>
+    `;
+    document.getElementById('rosterStressResults').classList.remove('hidden');
+
+    // Findings are assessed against the user's own award — fail closed when
+    // it is not set rather than checking against a default award.
+    if (!getAwardContext().code) {
+        document.getElementById('rosterStressResults').innerHTML = `
+            <div class="bg-yellow-500/10 border border-yellow-500 rounded-lg p-4">
+                <p class="text-yellow-400">Set your Award in Settings first — the stress test checks your roster against your award's rules.</p>
+            </div>
+        `;
+        return;
+    }
+    if (!awardRates || awardRates.ma_number !== getAwardContext().code) await loadAwardRates();
+    
+    try {
+        const rosterData = await readSpreadsheetRows(file);
+        const result = analyzeRosterData(rosterData);
+        displayRosterStressResults(result);
+
+        trackEvent('roster_analyzed', {
+            user: currentUser,
+            rows: rosterData.length,
+            award: awardRates && awardRates.ma_number,
+            findings: result.summary.findings
+        });
+    } catch (error) {
+        document.getElementById('rosterStressResults').innerHTML = `
+            <div class="bg-red-500/10 border border-red-500 rounded-lg p-4">
+                <p class="text-red-400">Error analyzing file. Ensure it's a valid Excel/CSV roster.</p>
+            </div>
+        `;
+    }
+}
+
+// Read the first sheet of an uploaded CSV/XLSX into row objects. CSVs are read
+// as text with raw cells so SheetJS does not turn Australian D/M/Y dates into
+// US M/D/Y serials — parseRosterDate reads the strings itself.
+async function readSpreadsheetRows(file) {
+    const isCsv = /\.csv$/i.test(file.name || '') || file.type === 'text/csv';
+    const workbook = isCsv
+        ? XLSX.read(await file.text(), { type: 'string', raw: true })
+        : XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { defval: '' });
+}
+
+// Normalise the uploaded rows and run them through the award rules engine
+// (js/roster-compliance.js) using the resolved award's rates JSON.
+function analyzeRosterData(data) {
+    const parsed = normaliseRosterRows(data);
+    const result = evaluateRoster(parsed.shifts, awardRates);
+    result.skipped = parsed.skipped;
+    result.columns = parsed.columns;
+    return result;
+}
+
+async function analyzeRosterDescription() {
+    const description = document.getElementById('rosterDescription').value.trim();
     
-    if (!matchingRate) {
-        return {
-            award: 'Error',
-            level: 'Rate not found',
-            rate: 0,
-            penalties: [`Error: No rate for ${classificationPath} (${employmentType})`],
-            nextSteps: ['Contact Fitz HR support']
-        };
+    if (!description) {
+        showAlert('Please describe your roster');
+        return;
     }
     
-    const baseRate = matchingRate.rate;
-    const title = matchingRate.title;
+    document.getElementById('rosterStressResults').innerHTML = `
+        <div class="bg-slate-900 p-6"><p class="text-amber-400">Analyzing...</p></div>
+    `;
+    document.getElementById('rosterStressResults').classList.remove('hidden');
     
-    if (!baseRate || typeof baseRate !== 'number' || isNaN(baseRate)) {
-        return {
-            award: 'Error',
-            level: title || 'Unknown',
-            rate: 0,
-            penalties: ['Error: Invalid rate value'],
-            nextSteps: ['Contact Fitz HR support']
-        };
+    try {
+        const prompt = `Analyze this roster for compliance issues:\n\n${description}\n\nIdentify HIGH/MEDIUM/LOW severity issues with recommendations.`;
+        const response = await callClaudeAPI(prompt);
+        
+        document.getElementById('rosterStressResults').innerHTML = `
+            <div class="bg-slate-900 border-2 border-red-500 rounded-lg p-6">
+                <h3 class="text-red-400 font-bold mb-4">🔍 Analysis Results</h3>
+                <div class="text-slate-200 text-sm">${response.replace(/\n/g, '<br>')}</div>
+            </div>
+        `;
+        
+        trackEvent('roster_description_analyzed', { user: currentUser });
+    } catch (error) {
+        document.getElementById('rosterStressResults').innerHTML = `
+            <div class="bg-red-500/10 border border-red-500 rounded-lg p-4">
+                <p class="text-red-400">Error. Please try again.</p>
+            </div>
+        `;
+    }
+}
+
+const ROSTER_RULE_LABELS = {
+    minimum_engagement: 'Minimum engagement',
+    meal_break: 'Meal breaks',
+    meal_break_timing: 'Meal break timing',
+    break_between_shifts: 'Breaks between shifts',
+    consecutive_days: 'Consecutive days',
+    days_off: 'Rostered days off',
+    max_ordinary_hours: 'Maximum ordinary hours',
+    span_of_hours: 'Span of ordinary hours'
+};
+
+function displayRosterStressResults(result) {
+    const colors = { high: 'red', medium: 'yellow', low: 'blue' };
+    const s = result.summary;
+    let html = '<div class="space-y-4">';
+
+    html += `
+        <div class="bg-slate-900 border border-slate-600 rounded-lg p-4">
+            <p class="text-slate-200 font-bold mb-1">${s.shifts} shifts · ${s.employees} employees · ${s.findings} issue${s.findings === 1 ? '' : 's'}</p>
+            <p class="text-slate-400 text-sm">Checked against ${escapeHtml(getAwardContext().fullName || '')}: ${result.checked.map(r => ROSTER_RULE_LABELS[r] || r).join(', ')}</p>
+        </div>
+    `;
+
+    if (!s.shifts) {
+        html += `
+            <div class="bg-yellow-500/10 border border-yellow-500 rounded-lg p-4">
+                <p class="text-yellow-400">No shifts could be read. Include columns for employee, date, start and finish (plus break minutes and employment type for full checks).</p>
+            </div>
+        `;
+    } else if (!result.findings.length) {
+        html += `
+            <div class="bg-green-500/10 border-2 border-green-500 rounded-lg p-6">
+                <p class="text-green-400 font-bold">✓ No issues found in the rules checked.</p>
+            </div>
+        `;
+    }
+
+    result.findings.forEach(issue => {
+        const color = colors[issue.severity];
+        html += `
+            <div class="bg-${color}-500/10 border-2 border-${color}-500 rounded-lg p-6">
+                <p class="text-${color}-400 font-bold mb-2">${escapeHtml(issue.description)}</p>
+                <p class="text-slate-300 text-sm">✓ ${escapeHtml(issue.recommendation)}</p>
+                <p class="text-slate-500 text-xs mt-2">${issue.citation ? escapeHtml(issue.citation) + ' · ' : ''}Row${issue.rows.length === 1 ? '' : 's'} ${issue.rows.join(', ')}</p>
+            </div>
+        `;
+    });
+
+    const notes = result.notChecked.map(n => `${ROSTER_RULE_LABELS[n.rule] || n.rule}: ${n.reason}`)
+        .concat((result.skipped || []).map(r => `Row ${r.row} skipped: ${r.reason}`));
+    if (notes.length) {
+        html += `
+            <div class="bg-slate-900 border border-slate-700 rounded-lg p-4">
+                <p class="text-slate-400 text-sm font-bold mb-1">Not assessed</p>
+                <ul class="text-slate-500 text-xs space-y-1">${notes.map(n => `<li>• ${escapeHtml(n)}</li>`).join('')}</ul>
+            </div>
+        `;
     }
     
-    // Calculate penalties
-    const penalties = [];
-    const penaltyRates = awardRates.penalty_rates;
+    html += '</div>';
+    document.getElementById('rosterStressResults').innerHTML = html;
+}
 
-    // Hard guard: if the user's profile says Restaurant Award but the loaded
-    // rates JSON is for the Hospitality Award (load-order race or stale fetch),
-    // refuse to compute — wrong loadings would silently apply.
-    const loadedMaNumber = awardRates.ma_number
-        || (awardRates.award_name && awardRates.award_name.match(/MA\d{6}/)?.[0])
-        || null;
-    if (isRestaurantAward && loadedMaNumber && loadedMaNumber !== 'MA000119') {
-        // Trigger a re-fetch so the next attempt gets the right JSON
-        if (typeof loadAwardRates === 'function') loadAwardRates();
-        return {
-            award: getAwardContext().fullName,
-            level: 'Award rates mismatch',
-            rate: 0,
-            penalties: [
-                `Loaded rates are for ${awardRates.award_name || 'a different award'} but your business is on the Restaurant Industry Award MA000119.`,
-                'Refreshing rates now — please close this wizard and reopen it.'
-            ],
-            nextSteps: ['Close the wizard, wait 2 seconds, then reopen.']
-        };
+// ========================================
+// BACK-PAY CALCULATOR
+// ========================================
+// Re-prices historical timesheets at the award rates in force on each shift's
+// date (js/back-pay.js) and compares them with what was actually paid per pay
+// period. Results feed the XLSX export and the Underpayment Rectification
+// Letter in the Document Builder.
+
+let _backPayFiles = { timesheet: null, pay: null };
+let _lastBackPayResult = null;
+let _backPayLetterEmployee = null;
+
+function openBackPayCalculator() {
+    trackToolUsage('backPayModal');
+    const modal = document.getElementById('backPayModal');
+    if (modal) modal.classList.remove('hidden');
+}
+
+function backPayFileSelected(kind, event) {
+    const file = event.target.files[0] || null;
+    _backPayFiles[kind] = file;
+    const label = document.getElementById(kind === 'pay' ? 'backPayPayName' : 'backPayTimesheetName');
+    if (label) label.textContent = file ? '✓ ' + file.name : '';
+}
+
+function _backPayMoney(n) {
+    return n == null ? '—' : '$' + n.toFixed(2);
+}
+
+function _backPayPeriodsFor(result, employee) {
+    const key = employee.trim().toLowerCase();
+    return result.periods.filter(p => p.employee.trim().toLowerCase() === key);
+}
+
+async function runBackPayCalculation() {
+    const el = document.getElementById('backPayResults');
+    el.classList.remove('hidden');
+    if (!_backPayFiles.timesheet) {
+        el.innerHTML = `
+            <div class="bg-yellow-500/10 border border-yellow-500 rounded-lg p-4">
+                <p class="text-yellow-400">Upload the timesheets first.</p>
+            </div>
+        `;
+        return;
+    }
+    // Shifts are priced against the user's own award — fail closed when it is
+    // not set rather than pricing against a default award.
+    if (!getAwardContext().code) {
+        el.innerHTML = `
+            <div class="bg-yellow-500/10 border border-yellow-500 rounded-lg p-4">
+                <p class="text-yellow-400">Set your Award in Settings first — back-pay is calculated against your award's rates.</p>
+            </div>
+        `;
+        return;
     }
+    el.innerHTML = `
+        <div class="bg-slate-900 border border-amber-500 rounded-lg p-6">
+            <p class="text-amber-400">Calculating back-pay from ${escapeHtml(_backPayFiles.timesheet.name)}...</p>
+        </div>
+    `;
+    if (!awardRates || awardRates.ma_number !== getAwardContext().code) await loadAwardRates();
 
-    // Derive late-night windows from the loaded JSON itself, not from the
-    // user's award flag. This guarantees labels and values are consistent —
-    // if the Restaurant JSON is loaded the label is always 10pm-midnight /
-    // midnight-6am; if the Hospitality JSON is loaded it's 7pm-midnight /
-    // midnight-7am. There is no path that mixes them.
-    const has10pmLoading = typeof penaltyRates.evening_after_10pm_loading === 'number';
-    const has6amLoading = typeof penaltyRates.night_midnight_to_6am_loading === 'number';
-    const eveningLoading = has10pmLoading
-        ? penaltyRates.evening_after_10pm_loading
-        : penaltyRates.evening_after_7pm_loading;
-    const nightLoading = has6amLoading
-        ? penaltyRates.night_midnight_to_6am_loading
-        : penaltyRates.night_midnight_to_7am_loading;
-    const eveningWindowLabel = has10pmLoading ? '10pm-midnight' : '7pm-midnight';
-    const nightWindowLabel = has6amLoading ? 'midnight-6am' : 'midnight-7am';
+    try {
+        const timesheet = normaliseRosterRows(await readSpreadsheetRows(_backPayFiles.timesheet));
+        const pay = _backPayFiles.pay
+            ? normalisePayRecords(await readSpreadsheetRows(_backPayFiles.pay))
+            : { records: [], skipped: [] };
+        const result = calculateBackPay(timesheet.shifts, pay.records, backPayRatesResolver(awardRatesFile), {
+            publicHolidays: _costingPublicHolidays()
+        });
+        result.skippedTimesheetRows = timesheet.skipped;
+        result.skippedPayRows = pay.skipped;
+        result.awardCode = awardRates && awardRates.ma_number;
+        // Each shift is priced at the version in force on its date; report the
+        // earliest table held so the user knows how far back that reaches.
+        result.ratesEffectiveFrom = ratesHeldFrom(awardRatesFile);
+        result.calculatedAt = new Date().toISOString();
+        _lastBackPayResult = result;
+        displayBackPayResults(result);
+
+        trackEvent('back_pay_calculated', {
+            user: currentUser,
+            award: result.awardCode,
+            periods: result.totals.periods,
+            underpaidPeriods: result.totals.underpaidPeriods,
+            employeesAffected: result.totals.employeesAffected
+        });
+    } catch (error) {
+        el.innerHTML = `
+            <div class="bg-red-500/10 border border-red-500 rounded-lg p-4">
+                <p class="text-red-400">Error reading the files. Ensure they are valid Excel/CSV exports.</p>
+            </div>
+        `;
+    }
+}
 
-    // Headline penalty for the hours the user actually selected
-    if (data.hours === 'saturday') {
-        const saturdayRate = baseRate * penaltyRates.saturday;
-        penalties.push(`Saturday: ${(penaltyRates.saturday * 100)}% = $${saturdayRate.toFixed(2)}/hr`);
-    } else if (data.hours === 'sunday') {
-        const sundayRate = baseRate * penaltyRates.sunday;
-        penalties.push(`Sunday: ${(penaltyRates.sunday * 100)}% = $${sundayRate.toFixed(2)}/hr`);
-    } else if (data.hours === 'public-holiday') {
-        // Restaurant Award has separate FT/PT (225%) and casual (250%) public holiday rates
-        const phMultiplier = (isCasual && typeof penaltyRates.public_holiday_casual === 'number')
-            ? penaltyRates.public_holiday_casual
-            : penaltyRates.public_holiday;
-        const publicHolRate = baseRate * phMultiplier;
-        const phLabel = (isCasual && typeof penaltyRates.public_holiday_casual === 'number')
-            ? 'Public Holiday (casual)'
-            : 'Public Holiday';
-        penalties.push(`${phLabel}: ${(phMultiplier * 100)}% = $${publicHolRate.toFixed(2)}/hr`);
-    } else if (data.hours === 'weekday-evening') {
-        if (typeof eveningLoading === 'number') {
-            const eveningRate = baseRate + eveningLoading;
-            penalties.push(`Evening (${eveningWindowLabel}): +$${eveningLoading.toFixed(2)}/hr = $${eveningRate.toFixed(2)}/hr`);
-        } else {
-            penalties.push(`Evening loading unavailable — the loaded rates file (${awardRates.award_name || 'unknown'}) does not contain an evening loading for this award. Refresh the page or check Settings → Award.`);
-        }
-    } else if (data.hours === 'weekday-night') {
-        if (typeof nightLoading === 'number') {
-            const nightRate = baseRate + nightLoading;
-            penalties.push(`Night (${nightWindowLabel}): +$${nightLoading.toFixed(2)}/hr = $${nightRate.toFixed(2)}/hr`);
-        } else {
-            penalties.push(`Night loading unavailable — the loaded rates file (${awardRates.award_name || 'unknown'}) does not contain a night loading for this award. Refresh the page or check Settings → Award.`);
-        }
+function displayBackPayResults(result) {
+    const t = result.totals;
+    let html = `
+        <div class="bg-slate-900 border border-slate-600 rounded-lg p-4">
+            <p class="text-slate-200 font-bold mb-1">${t.periods} pay period${t.periods === 1 ? '' : 's'} · ${result.employees.length} employee${result.employees.length === 1 ? '' : 's'} · ${t.underpaidPeriods} underpaid</p>
+            <p class="text-slate-400 text-sm">Each shift priced against the ${escapeHtml(getAwardContext().fullName || result.awardCode || '')} rates in force on its date (rate tables held from ${escapeHtml(result.ratesEffectiveFrom || '')}).</p>
+        </div>
+    `;
+
+    if (!t.periods) {
+        html += `
+            <div class="bg-yellow-500/10 border border-yellow-500 rounded-lg p-4">
+                <p class="text-yellow-400">No pay periods could be assessed. The timesheet needs employee, date, start and finish columns, and each shift needs a pay record covering its date or a rate paid.</p>
+            </div>
+        `;
+    } else {
+        const color = t.total > 0 ? 'red' : 'green';
+        html += `
+            <div class="bg-${color}-500/10 border-2 border-${color}-500 rounded-lg p-6">
+                <p class="text-${color}-400 font-bold text-xl mb-1">${t.total > 0 ? 'Back-pay owed: ' + _backPayMoney(t.total) : '✓ No shortfall found in the periods assessed'}</p>
+                ${t.total > 0 ? `<p class="text-slate-300 text-sm">Wages ${_backPayMoney(t.shortfall)} + superannuation ${_backPayMoney(t.super)} · ${t.employeesAffected} employee${t.employeesAffected === 1 ? '' : 's'} affected</p>` : ''}
+                ${t.incompletePeriods ? `<p class="text-yellow-400 text-sm mt-1">${t.incompletePeriods} period${t.incompletePeriods === 1 ? '' : 's'} could not be fully priced and ${t.incompletePeriods === 1 ? 'is' : 'are'} not included.</p>` : ''}
+            </div>
+        `;
+    }
+
+    result.employees.forEach((e, i) => {
+        const periods = _backPayPeriodsFor(result, e.employee);
+        html += `
+            <div class="bg-slate-900 border border-slate-700 rounded-lg p-4">
+                <div class="flex items-center justify-between mb-2">
+                    <p class="text-white font-bold">${escapeHtml(e.employee)}</p>
+                    <div class="flex items-center gap-3">
+                        <span class="${e.total > 0 ? 'text-red-400' : 'text-green-400'} font-bold">${_backPayMoney(e.total)}</span>
+                        ${e.total > 0 ? `<button onclick="openBackPayRectificationLetter(${i})" class="px-3 py-1.5 text-xs bg-amber-500 hover:bg-amber-400 text-slate-900 font-semibold rounded-lg">Draft rectification letter →</button>` : ''}
+                    </div>
+                </div>
+                <table class="w-full text-xs text-slate-300">
+                    <thead><tr class="text-slate-500 text-left"><th>Pay period</th><th>Hours</th><th>Award</th><th>Paid</th><th>Shortfall</th><th>Super</th></tr></thead>
+                    <tbody>
+                        ${periods.map(p => `<tr class="border-t border-slate-800">
+                            <td>${escapeHtml(p.periodStart)} – ${escapeHtml(p.periodEnd)}${p.source === 'rate_paid' ? ' <span class="text-slate-500">(timesheet rate)</span>' : ''}</td>
+                            <td>${p.hours}</td>
+                            <td>${_backPayMoney(p.expected)}</td>
+                            <td>${_backPayMoney(p.paid)}</td>
+                            <td class="${p.shortfall > 0 ? 'text-red-400' : ''}">${p.complete ? _backPayMoney(p.shortfall) : '<span class="text-yellow-400">Not fully priced</span>'}</td>
+                            <td>${_backPayMoney(p.super)}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    });
+
+    const notes = result.notes
+        .concat(result.periods.filter(p => !p.complete).reduce((list, p) => list.concat(p.unpriced.map(u => `${p.employee}, row ${u.row}: ${u.reason}`)), []))
+        .concat(result.unmatched.map(u => `${u.employee}, row ${u.row} (${u.date}): ${u.reason}`))
+        .concat(result.recordsWithoutShifts.map(r => `${r.employee}, pay period ${r.periodStart} – ${r.periodEnd}: no timesheet shifts in this period`))
+        .concat((result.skippedTimesheetRows || []).map(r => `Timesheet row ${r.row} skipped: ${r.reason}`))
+        .concat((result.skippedPayRows || []).map(r => `Pay record row ${r.row} skipped: ${r.reason}`));
+    if (notes.length) {
+        html += `
+            <div class="bg-slate-900 border border-slate-700 rounded-lg p-4">
+                <p class="text-slate-400 text-sm font-bold mb-1">Not assessed</p>
+                <ul class="text-slate-500 text-xs space-y-1">${notes.map(n => `<li>• ${escapeHtml(n)}</li>`).join('')}</ul>
+            </div>
+        `;
+    }
+
+    if (t.periods) {
+        html += `
+            <button onclick="exportBackPayReport()" class="w-full bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 rounded-lg transition-all">
+                📥 Export to Excel
+            </button>
+            <p class="text-slate-500 text-xs">Estimate only. Overtime is assessed per shift against the award's daily cap; weekly overtime, allowances and leave are not included. Confirm with your adviser or the Fair Work Ombudsman before paying.</p>
+        `;
+    }
+    document.getElementById('backPayResults').innerHTML = html;
+}
+
+// One row per employee per pay period, plus an employee total row.
+function exportBackPayReport() {
+    const result = _lastBackPayResult;
+    if (!result || !result.periods.length) {
+        showAlert('Run the back-pay calculation first.');
+        return;
+    }
+    const rows = [];
+    result.employees.forEach(e => {
+        _backPayPeriodsFor(result, e.employee).forEach(p => {
+            rows.push({
+                Employee: p.employee,
+                'Period Start': p.periodStart,
+                'Period End': p.periodEnd,
+                'Paid Per': p.source === 'rate_paid' ? 'Timesheet rate paid' : 'Pay record',
+                Shifts: p.shifts,
+                Hours: p.hours,
+                'Award Entitlement': p.expected,
+                Paid: p.paid,
+                Shortfall: p.shortfall,
+                'Super Rate': p.superRate,
+                Super: p.super,
+                'Total Owed': p.total,
+                Status: p.complete ? (p.shortfall > 0 ? 'Underpaid' : 'OK') : 'Not fully priced: ' + p.unpriced.map(u => 'row ' + u.row + ' ' + u.reason).join('; '),
+                'Timesheet Rows': p.rows.join(', ')
+            });
+        });
+        rows.push({ Employee: e.employee + ' — TOTAL', Shortfall: e.shortfall, Super: e.super, 'Total Owed': e.total });
+    });
+    rows.push({ Employee: 'ALL EMPLOYEES — TOTAL', Shortfall: result.totals.shortfall, Super: result.totals.super, 'Total Owed': result.totals.total });
+    generateExcelSpreadsheet(rows, `back_pay_${result.awardCode || 'award'}_${Date.now()}.xlsx`, 'Back-pay');
+    trackEvent('back_pay_exported', { user: currentUser, award: result.awardCode });
+}
+
+function openBackPayRectificationLetter(employeeIndex) {
+    const result = _lastBackPayResult;
+    const employee = result && result.employees[employeeIndex];
+    if (!employee) return;
+    _backPayLetterEmployee = employee.employee;
+    closeToolModal('backPayModal');
+    openComplianceDocFromBuilder('underpayment_rectification_letter');
+}
+
+// ========================================
+// ANNUALISED WAGE RECONCILIATION
+// ========================================
+// Checks an annualised wage arrangement (the AP-002 agreement) over the year:
+// re-prices the employee's timesheets at award rates for each 12-month or
+// termination reconciliation period (js/annualised-wage.js) and compares them
+// with the annualised wage paid. Results feed the XLSX export and the
+// Annualised Wage Reconciliation Letter in the Document Builder.
+
+let _annualisedReconFile = null;
+let _lastAnnualisedReconResult = null;
+let _annualisedReconLetterPeriod = null;
+
+function openAnnualisedWageReconciliation() {
+    trackToolUsage('annualisedReconModal');
+    const modal = document.getElementById('annualisedReconModal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    _annualisedReconClassificationOptions();
+}
+
+function annualisedReconFileSelected(event) {
+    _annualisedReconFile = event.target.files[0] || null;
+    const label = document.getElementById('annualisedReconTimesheetName');
+    if (label) label.textContent = _annualisedReconFile ? '✓ ' + _annualisedReconFile.name : '';
+}
+
+// Adult full-time classifications of the loaded award — the rows an annualised
+// wage can be set against. Timesheet lines with their own classification win.
+async function _annualisedReconClassificationOptions() {
+    const sel = document.getElementById('annualisedReconClassification');
+    if (!sel) return;
+    if (getAwardContext().code && (!awardRates || awardRates.ma_number !== getAwardContext().code)) await loadAwardRates();
+    const rows = awardRates && Array.isArray(awardRates.rates) ? awardRates.rates.filter(r =>
+        r.employment_type === 'full_time' && Number(r.rate) > 0 && (!r.category || r.category === 'adult')) : [];
+    sel.innerHTML = '<option value="">From the timesheet</option>' + rows.map(r => {
+        const value = r.classification || r.title;
+        return `<option value="${escapeHtml(value)}">${escapeHtml(r.title || r.classification)} - $${Number(r.rate).toFixed(2)}</option>`;
+    }).join('');
+}
+
+// "2026-07-17, 250" per line -> [{ date, amount }]. Unreadable lines are returned
+// so the user sees they were not counted.
+function _annualisedReconPayments(text) {
+    const payments = [];
+    const unreadable = [];
+    String(text || '').split(/\n+/).map(l => l.trim()).filter(Boolean).forEach(line => {
+        const m = line.match(/^(.+?)[,\s]+\$?([\d,]+(?:\.\d+)?)$/);
+        const date = m ? parseRosterDate(m[1].trim()) : null;
+        if (!date) { unreadable.push(line); return; }
+        payments.push({ date: date, amount: parseFloat(m[2].replace(/,/g, '')) });
+    });
+    return { payments: payments, unreadable: unreadable };
+}
+
+function _annualisedReconMessage(color, text) {
+    const el = document.getElementById('annualisedReconResults');
+    el.classList.remove('hidden');
+    el.innerHTML = `
+        <div class="bg-${color}-500/10 border border-${color}-500 rounded-lg p-4">
+            <p class="text-${color}-400">${escapeHtml(text)}</p>
+        </div>
+    `;
+}
+
+async function runAnnualisedWageReconciliation() {
+    const code = getAwardContext().code;
+    // Priced against the user's own award; fail closed where it has no
+    // annualised wage arrangement clause.
+    if (!code) { _annualisedReconMessage('yellow', 'Set your Award in Settings first — the reconciliation is calculated against your award\'s rates.'); return; }
+    if (!_fwDocAppliesToAward('clause_20_annualised_wage_agreement', code)) {
+        _annualisedReconMessage('yellow', 'Your award has no annualised wage arrangement clause, so there is no annualised wage to reconcile.');
+        return;
     }
+    if (!_annualisedReconFile) { _annualisedReconMessage('yellow', 'Upload the employee\'s time records first.'); return; }
+    const val = id => (document.getElementById(id).value || '').trim();
+    const num = id => val(id) === '' ? null : parseFloat(val(id));
+    const separate = _annualisedReconPayments(val('annualisedReconPayments'));
+    const arrangement = {
+        employee: val('annualisedReconEmployee'),
+        annualSalary: num('annualisedReconSalary'),
+        startDate: val('annualisedReconStart'),
+        endDate: val('annualisedReconEnd') || null,
+        outerOrdinaryHours: num('annualisedReconOuterOrdinary'),
+        outerOvertimeHours: num('annualisedReconOuterOvertime'),
+        employmentType: 'full_time',
+        classification: val('annualisedReconClassification') || null,
+        separatePayments: separate.payments
+    };
+    if (!arrangement.employee) { _annualisedReconMessage('yellow', 'Enter the employee\'s name as it appears on the time records.'); return; }
+    _annualisedReconMessage('amber', 'Reconciling ' + arrangement.employee + ' from ' + _annualisedReconFile.name + '...');
+    if (!awardRates || awardRates.ma_number !== code) await loadAwardRates();
 
-    if (isCasual) {
-        const loadingPct = awardRates.casual_loading || 0.25;
-        const baseBeforeLoading = baseRate / (1 + loadingPct);
-        penalties.push(`Casual Loading: ${Math.round(loadingPct * 100)}% — the $${baseRate.toFixed(2)}/hr casual rate shown is the $${baseBeforeLoading.toFixed(2)}/hr base rate plus the casual loading.`);
+    try {
+        const timesheet = normaliseRosterRows(await readSpreadsheetRows(_annualisedReconFile));
+        const result = reconcileAnnualisedWage(arrangement, timesheet.shifts, backPayRatesResolver(awardRatesFile), {
+            publicHolidays: _costingPublicHolidays()
+        });
+        if (!result.ok) { _annualisedReconMessage('yellow', result.error); return; }
+        result.arrangement = arrangement;
+        result.skippedTimesheetRows = timesheet.skipped;
+        result.unreadablePayments = separate.unreadable;
+        result.awardCode = awardRates && awardRates.ma_number;
+        result.calculatedAt = new Date().toISOString();
+        _lastAnnualisedReconResult = result;
+        displayAnnualisedReconResults(result);
+
+        trackEvent('annualised_wage_reconciled', {
+            user: currentUser,
+            award: result.awardCode,
+            periods: result.periods.length,
+            underpaidPeriods: result.totals.underpaidPeriods
+        });
+    } catch (error) {
+        _annualisedReconMessage('red', 'Error reading the time records. Ensure they are a valid Excel/CSV export.');
     }
+}
 
-    penalties.push(`Overtime: First 2 hours at 150%, thereafter 200%`);
+function displayAnnualisedReconResults(result) {
+    const t = result.totals;
+    const statusLabel = { due: '12-month reconciliation', termination: 'Termination reconciliation', in_progress: 'In progress (to date)' };
+    const color = t.shortfall > 0 ? 'red' : 'green';
+    let html = `
+        <div class="bg-${color}-500/10 border-2 border-${color}-500 rounded-lg p-6">
+            <p class="text-${color}-400 font-bold text-xl mb-1">${t.shortfall > 0 ? 'Top-up owed: ' + _backPayMoney(t.shortfall) : '✓ No shortfall at the reconciliation points assessed'}</p>
+            ${t.shortfall > 0 ? `<p class="text-slate-300 text-sm">Annualised wage shortfall ${_backPayMoney(t.reconciliationShortfall)} + outer-limit hours ${_backPayMoney(t.outerLimitShortfall)} · ${t.underpaidPeriods} reconciliation point${t.underpaidPeriods === 1 ? '' : 's'}</p>` : ''}
+            ${t.incompletePeriods ? `<p class="text-yellow-400 text-sm mt-1">${t.incompletePeriods} period${t.incompletePeriods === 1 ? '' : 's'} could not be fully priced and ${t.incompletePeriods === 1 ? 'is' : 'are'} not included.</p>` : ''}
+        </div>
+    `;
 
-    // Always include the full late-night loading reference so users see the
-    // flat-dollar additions even when they did not pick "evening" or "night"
-    // for their hours. These are flat $/hr additions on top of the base rate
-    // (Mon-Fri only — weekend / public holiday rates supersede).
-    if (typeof eveningLoading === 'number' && data.hours !== 'weekday-evening') {
-        const eveningRate = baseRate + eveningLoading;
-        penalties.push(`Late-night reference — Evening (${eveningWindowLabel}, Mon-Fri): +$${eveningLoading.toFixed(2)}/hr flat loading = $${eveningRate.toFixed(2)}/hr`);
-    }
-    if (typeof nightLoading === 'number' && data.hours !== 'weekday-night') {
-        const nightRate = baseRate + nightLoading;
-        penalties.push(`Late-night reference — Night (${nightWindowLabel}, Mon-Fri): +$${nightLoading.toFixed(2)}/hr flat loading = $${nightRate.toFixed(2)}/hr`);
-    }
+    result.periods.forEach((p, i) => {
+        html += `
+            <div class="bg-slate-900 border border-slate-700 rounded-lg p-4">
+                <div class="flex items-center justify-between mb-2">
+                    <div>
+                        <p class="text-white font-bold">${escapeHtml(p.periodStart)} – ${escapeHtml(p.periodEnd)}</p>
+                        <p class="text-slate-500 text-xs">${statusLabel[p.status]}${p.paymentDueBy ? ' · any shortfall payable by ' + escapeHtml(p.paymentDueBy) : ' · reconcile on ' + escapeHtml(p.reconciliationDate)}</p>
+                    </div>
+                    <div class="flex items-center gap-3">
+                        <span class="${p.shortfall > 0 ? 'text-red-400' : 'text-green-400'} font-bold">${p.complete ? _backPayMoney(p.shortfall) : '<span class="text-yellow-400">Not fully priced</span>'}</span>
+                        ${p.shortfall > 0 && p.status !== 'in_progress' ? `<button onclick="openAnnualisedReconLetter(${i})" class="px-3 py-1.5 text-xs bg-amber-500 hover:bg-amber-400 text-slate-900 font-semibold rounded-lg">Draft top-up letter →</button>` : ''}
+                    </div>
+                </div>
+                <table class="w-full text-xs text-slate-300">
+                    <tbody>
+                        <tr><td>Hours worked (${p.shifts} shifts)</td><td class="text-right">${p.hours}</td></tr>
+                        <tr class="border-t border-slate-800"><td>Award value of hours covered by the annualised wage</td><td class="text-right">${_backPayMoney(p.awardEntitlement)}</td></tr>
+                        <tr><td>Annualised wage for the period</td><td class="text-right">${_backPayMoney(p.annualisedWage)}</td></tr>
+                        <tr><td>Annualised wage shortfall</td><td class="text-right ${p.reconciliationShortfall > 0 ? 'text-red-400' : ''}">${_backPayMoney(p.reconciliationShortfall)}</td></tr>
+                        <tr class="border-t border-slate-800"><td>Hours past the outer limits (${p.outerLimitWeeks.length} week${p.outerLimitWeeks.length === 1 ? '' : 's'})</td><td class="text-right">${p.outerLimitHours}</td></tr>
+                        <tr><td>Award value of those hours / paid separately</td><td class="text-right">${_backPayMoney(p.outerLimitEntitlement)} / ${_backPayMoney(p.separatelyPaid)}</td></tr>
+                        <tr><td>Outer-limit shortfall</td><td class="text-right ${p.outerLimitShortfall > 0 ? 'text-red-400' : ''}">${_backPayMoney(p.outerLimitShortfall)}</td></tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+    });
 
-    // Minimum engagement (read from JSON if present, otherwise fall back to
-    // the figures published by Fair Work for each award).
-    const minEng = awardRates.minimum_engagement || {};
-    const ftMin = minEng.full_time_hours_per_shift ?? 4;
-    const ptMin = minEng.part_time_hours_per_shift ?? 3;
-    const casMin = minEng.casual_hours_per_shift ?? 2;
-    const employmentLabel = isCasual
-        ? 'Casual'
-        : (data.employment === 'part-time' ? 'Part-time' : 'Full-time');
-    const employmentMin = isCasual
-        ? casMin
-        : (data.employment === 'part-time' ? ptMin : ftMin);
-    penalties.push(`Minimum engagement: ${employmentLabel} employees must be engaged for at least ${employmentMin} consecutive hours per shift (${isRestaurantAward ? 'MA000119 cl. 13.5 / 11 / 12' : 'MA000009 cl. 11.4 / 12'}).`);
-    if (isRestaurantAward && minEng.public_holiday_casual) {
-        penalties.push(`Public holiday minimum engagement: Full-time/part-time ${minEng.public_holiday_full_time_part_time || 4}hrs, casual ${minEng.public_holiday_casual}hrs.`);
+    const notes = result.notes
+        .concat(result.periods.filter(p => !p.complete).reduce((list, p) => list.concat(p.unpriced.map(u => `Row ${u.row} (${u.date}): ${u.reason}`)), []))
+        .concat(result.outsidePeriods.map(u => `Row ${u.row} (${u.date}): ${u.reason}`))
+        .concat((result.skippedTimesheetRows || []).map(r => `Timesheet row ${r.row} skipped: ${r.reason}`))
+        .concat((result.unreadablePayments || []).map(l => `Separate payment not read: "${l}"`));
+    if (notes.length) {
+        html += `
+            <div class="bg-slate-900 border border-slate-700 rounded-lg p-4">
+                <p class="text-slate-400 text-sm font-bold mb-1">Notes</p>
+                <ul class="text-slate-500 text-xs space-y-1">${notes.map(n => `<li>• ${escapeHtml(n)}</li>`).join('')}</ul>
+            </div>
+        `;
     }
 
-    const result = {
-    award: getAwardContext().fullName,
-    level: title,
-    rate: baseRate,
-    rateLabel: isCasual ? 'Casual Rate (per hour)' : 'Base Rate (per hour)',
-        penalties: penalties,
-        nextSteps: [
-            'Create written employment contract',
-            'Set up payroll with these exact rates',
-            'Provide Fair Work Information Statement to employee',
-            'Keep employment records for 7 years',
-            `Review rates on ${awardRates.next_review_date}`
-        ],
-        notes: awardRates.notes || []
-    };
-    
-    return result;
+    html += `
+        <button onclick="exportAnnualisedReconReport()" class="w-full bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 rounded-lg transition-all">
+            📥 Export to Excel
+        </button>
+        <p class="text-slate-500 text-xs">Estimate only. Each shift is priced at the award rates in force on its date; overtime is assessed per shift against the award's daily cap, and allowances and leave loading are not included. Confirm with your adviser or the Fair Work Ombudsman before paying.</p>
+    `;
+    const el = document.getElementById('annualisedReconResults');
+    el.classList.remove('hidden');
+    el.innerHTML = html;
 }
 
-// Reset wizard
-function resetWizard() {
-    // Re-run the registry-driven calculator from step 1 in the open modal.
-    const progressContainer = document.querySelector('#awardWizardModal .mb-6');
-    if (progressContainer) progressContainer.classList.remove('hidden');
-    const wizardModal = document.getElementById('awardWizardModal');
-    if (wizardModal) wizardModal.classList.remove('hidden');
-    startAwardCalculator();
+// One row per reconciliation period, then one per week past the outer limits.
+function exportAnnualisedReconReport() {
+    const result = _lastAnnualisedReconResult;
+    if (!result || !result.periods.length) {
+        showAlert('Run the reconciliation first.');
+        return;
+    }
+    const rows = result.periods.map(p => ({
+        Employee: result.employee,
+        'Period Start': p.periodStart,
+        'Period End': p.periodEnd,
+        Status: p.complete ? p.status : 'Not fully priced: ' + p.unpriced.map(u => 'row ' + u.row + ' ' + u.reason).join('; '),
+        'Payment Due By': p.paymentDueBy,
+        Shifts: p.shifts,
+        Hours: p.hours,
+        'Annualised Wage': p.annualisedWage,
+        'Award Entitlement (covered hours)': p.awardEntitlement,
+        'Annualised Wage Shortfall': p.reconciliationShortfall,
+        'Outer-Limit Hours': p.outerLimitHours,
+        'Outer-Limit Entitlement': p.outerLimitEntitlement,
+        'Paid Separately': p.separatelyPaid,
+        'Outer-Limit Shortfall': p.outerLimitShortfall,
+        'Total Shortfall': p.shortfall
+    }));
+    result.periods.forEach(p => p.outerLimitWeeks.forEach(w => rows.push({
+        Employee: result.employee,
+        'Period Start': w.weekStart,
+        Status: 'Week past outer limits',
+        Hours: w.ordinaryHours + w.overtimeHours,
+        'Outer-Limit Hours': w.outerOrdinaryHours + w.outerOvertimeHours,
+        'Outer-Limit Entitlement': w.cost
+    })));
+    rows.push({ Employee: 'TOTAL (reconciliation points due)', 'Annualised Wage Shortfall': result.totals.reconciliationShortfall, 'Outer-Limit Shortfall': result.totals.outerLimitShortfall, 'Total Shortfall': result.totals.shortfall });
+    generateExcelSpreadsheet(rows, `annualised_wage_reconciliation_${(result.employee || 'employee').replace(/[^A-Za-z0-9_-]/g, '_')}_${Date.now()}.xlsx`, 'Reconciliation');
+    trackEvent('annualised_wage_reconciliation_exported', { user: currentUser, award: result.awardCode });
+}
+
+function openAnnualisedReconLetter(periodIndex) {
+    const result = _lastAnnualisedReconResult;
+    const period = result && result.periods[periodIndex];
+    if (!period) return;
+    _annualisedReconLetterPeriod = period.index;
+    closeToolModal('annualisedReconModal');
+    openComplianceDocFromBuilder('annualised_wage_reconciliation_letter');
 }
+
 // ========================================
-// ROSTER STRESS TESTER - COMPLETE IMPLEMENTATION
+// LEAVE LIABILITY
 // ========================================
+// Accrues annual, personal/carer's and state long service leave from an
+// employee register and leave ledger (js/leave-accrual.js), then values the
+// balances as the venue's leave liability. Results feed the XLSX export and
+// the Annual Leave Cash-Out Agreement in the Document Builder.
+
+let _leaveRegisterFile = null;
+let _leaveRecordsFile = null;
+let _lastLeaveLiabilityResult = null;
+
+function openLeaveLiability() {
+    trackToolUsage('leaveLiabilityModal');
+    const modal = document.getElementById('leaveLiabilityModal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    const asAt = document.getElementById('leaveLiabilityAsAt');
+    if (asAt && !asAt.value) asAt.value = new Date().toISOString().slice(0, 10);
+}
 
-async function analyzeRosterFile(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    document.getElementById('rosterStressResults').innerHTML = `
-        <div class="bg-slate-900 border border-amber-500 rounded-lg p-6">
-            <p class="text-amber-400">Analyzing ${file.name}...</p>
+function leaveRegisterFileSelected(event) {
+    _leaveRegisterFile = event.target.files[0] || null;
+    const label = document.getElementById('leaveRegisterName');
+    if (label) label.textContent = _leaveRegisterFile ? '✓ ' + _leaveRegisterFile.name : '';
+}
+
+function leaveRecordsFileSelected(event) {
+    _leaveRecordsFile = event.target.files[0] || null;
+    const label = document.getElementById('leaveRecordsName');
+    if (label) label.textContent = _leaveRecordsFile ? '✓ ' + _leaveRecordsFile.name : '';
+}
+
+function _leaveLiabilityMessage(color, text) {
+    const el = document.getElementById('leaveLiabilityResults');
+    el.classList.remove('hidden');
+    el.innerHTML = `
+        <div class="bg-${color}-500/10 border border-${color}-500 rounded-lg p-4">
+            <p class="text-${color}-400">${escapeHtml(text)}</p>
         </div>
     `;
-    document.getElementById('rosterStressResults').classList.remove('hidden');
-    
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        try {
-            const data = new Uint8Array(e.target.result);
-            const workbook = XLSX.read(data, { type: 'array' });
-            const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-            const rosterData = XLSX.utils.sheet_to_json(firstSheet);
-            
-            const issues = analyzeRosterData(rosterData);
-            displayRosterStressResults(issues);
-            
-            trackEvent('roster_analyzed', { user: currentUser, rows: rosterData.length });
-        } catch (error) {
-            document.getElementById('rosterStressResults').innerHTML = `
-                <div class="bg-red-500/10 border border-red-500 rounded-lg p-4">
-                    <p class="text-red-400">Error analyzing file. Ensure it's a valid Excel/CSV roster.</p>
-                </div>
-            `;
-        }
-    };
-    reader.readAsArrayBuffer(file);
 }
 
-function analyzeRosterData(data) {
-    const issues = [];
-    
-    if (data.length > 5) {
-        issues.push({
-            severity: 'high',
-            type: 'consecutive_days',
-            description: '2 employees scheduled 6+ consecutive days (max 5 recommended)',
-            recommendation: 'Add rest days to prevent burnout'
+async function runLeaveLiability() {
+    if (!_leaveRegisterFile) { _leaveLiabilityMessage('yellow', 'Upload your employee register first.'); return; }
+    const asAt = document.getElementById('leaveLiabilityAsAt').value;
+    if (!asAt) { _leaveLiabilityMessage('yellow', 'Choose the date to calculate balances to.'); return; }
+    const loadingPct = parseFloat(document.getElementById('leaveLiabilityLoading').value);
+    _leaveLiabilityMessage('amber', 'Calculating leave balances from ' + _leaveRegisterFile.name + '...');
+    // Award rates value employees the register has no hourly rate for.
+    const code = getAwardContext().code;
+    if (code && (!awardRates || awardRates.ma_number !== code)) await loadAwardRates();
+
+    try {
+        const register = normaliseEmployeeRegister(await readSpreadsheetRows(_leaveRegisterFile));
+        if (!register.employees.length) { _leaveLiabilityMessage('yellow', 'No employees could be read from the register. It needs at least employee name, start date and employment type columns.'); return; }
+        const ledger = _leaveRecordsFile ? normaliseLeaveRecords(await readSpreadsheetRows(_leaveRecordsFile)) : { records: [], skipped: [] };
+        const result = calculateLeaveBalances(register.employees, ledger.records, {
+            asAt: asAt,
+            leaveLoading: isNaN(loadingPct) ? undefined : loadingPct / 100,
+            rates: code ? awardRates : null,
+            defaultState: typeof venueProfile !== 'undefined' && venueProfile ? venueProfile.state : null
+        });
+        if (!result.ok) { _leaveLiabilityMessage('yellow', result.error); return; }
+        result.skippedRegisterRows = register.skipped;
+        result.skippedLeaveRows = ledger.skipped;
+        result.awardCode = code && awardRates ? awardRates.ma_number : null;
+        result.calculatedAt = new Date().toISOString();
+        _lastLeaveLiabilityResult = result;
+        displayLeaveLiabilityResults(result);
+
+        trackEvent('leave_liability_calculated', {
+            user: currentUser,
+            award: result.awardCode,
+            employees: result.totals.employees,
+            findings: result.totals.findings
         });
+    } catch (error) {
+        _leaveLiabilityMessage('red', 'Error reading the files. Ensure they are valid Excel/CSV exports.');
     }
-    
-    issues.push({
-        severity: 'medium',
-        type: 'meal_breaks',
-        description: '3 shifts over 5 hours without meal breaks',
-        recommendation: 'Ensure 30-min breaks for all 5+ hour shifts'
-    });
-    
-    return issues;
 }
 
-async function analyzeRosterDescription() {
-    const description = document.getElementById('rosterDescription').value.trim();
-    
-    if (!description) {
-        showAlert('Please describe your roster');
-        return;
-    }
-    
-    document.getElementById('rosterStressResults').innerHTML = `
-        <div class="bg-slate-900 p-6"><p class="text-amber-400">Analyzing...</p></div>
+function displayLeaveLiabilityResults(result) {
+    const t = result.totals;
+    const hours = h => h == null ? '—' : h.toFixed(2);
+    const lslLabel = { entitled: 'Can be taken', pro_rata: 'Pro rata on termination', accruing: 'Accruing' };
+    let html = `
+        <div class="bg-slate-900 border-2 border-amber-500 rounded-lg p-6">
+            <p class="text-amber-400 font-bold text-xl mb-1">Leave liability at ${escapeHtml(result.asAt)}: ${_backPayMoney(t.total)}</p>
+            <p class="text-slate-300 text-sm">Annual leave ${_backPayMoney(t.annual)} (${t.annualHours} hours) · Long service leave ${_backPayMoney(t.longService)} · ${t.employees} employee${t.employees === 1 ? '' : 's'}</p>
+            <p class="text-slate-500 text-xs mt-1">Long service leave: ${_backPayMoney(t.longServiceEntitled)} can be taken · ${_backPayMoney(t.longServiceProRata)} pro rata on termination · ${_backPayMoney(t.longServiceAccruing)} accruing. Personal/carer's leave: ${t.personalHours} hours (not paid out).</p>
+            ${t.findings ? `<p class="text-red-400 text-sm mt-1">${t.findings} issue${t.findings === 1 ? '' : 's'} to review below.</p>` : ''}
+        </div>
     `;
-    document.getElementById('rosterStressResults').classList.remove('hidden');
-    
-    try {
-        const prompt = `Analyze this roster for compliance issues:\n\n${description}\n\nIdentify HIGH/MEDIUM/LOW severity issues with recommendations.`;
-        const response = await callClaudeAPI(prompt);
-        
-        document.getElementById('rosterStressResults').innerHTML = `
-            <div class="bg-slate-900 border-2 border-red-500 rounded-lg p-6">
-                <h3 class="text-red-400 font-bold mb-4">🔍 Analysis Results</h3>
-                <div class="text-slate-200 text-sm">${response.replace(/\n/g, '<br>')}</div>
-            </div>
+
+    html += `
+        <div class="bg-slate-900 border border-slate-700 rounded-lg p-4 overflow-x-auto">
+            <table class="w-full text-xs text-slate-300">
+                <thead>
+                    <tr class="text-slate-500 text-left">
+                        <th class="py-1">Employee</th><th>Service</th><th class="text-right">Annual (h)</th><th class="text-right">Personal (h)</th><th class="text-right">LSL (h)</th><th class="text-right">Liability</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    result.employees.forEach((e, i) => {
+        const value = (e.annual ? e.annual.value : 0) + (e.longService ? e.longService.value : 0);
+        const canCashOut = e.annual && e.weeklyHours && e.annual.balance > 4 * e.weeklyHours;
+        html += `
+                    <tr class="border-t border-slate-800">
+                        <td class="py-1">${escapeHtml(e.employee)}<div class="text-slate-500">${escapeHtml(e.employmentType.replace('_', '-'))}${e.state ? ' · ' + escapeHtml(e.state) : ''}${e.shiftworker ? ' · shiftworker' : ''}</div></td>
+                        <td>${e.serviceYears} yrs</td>
+                        <td class="text-right ${e.annual && e.annual.balance < 0 ? 'text-red-400' : ''}">${e.annual ? hours(e.annual.balance) : 'Casual'}</td>
+                        <td class="text-right">${e.personal ? hours(e.personal.balance) : '—'}</td>
+                        <td class="text-right">${e.longService ? hours(e.longService.balance) + `<div class="text-slate-500">${lslLabel[e.longService.status]}</div>` : '—'}</td>
+                        <td class="text-right">${e.hourlyRate ? _backPayMoney(Math.round(value * 100) / 100) : '<span class="text-yellow-400">No rate</span>'}</td>
+                        <td class="text-right">${canCashOut ? `<button onclick="openLeaveCashOut(${i})" class="px-2 py-1 text-xs bg-amber-500 hover:bg-amber-400 text-slate-900 font-semibold rounded">Cash out →</button>` : ''}</td>
+                    </tr>
         `;
-        
-        trackEvent('roster_description_analyzed', { user: currentUser });
-    } catch (error) {
-        document.getElementById('rosterStressResults').innerHTML = `
+    });
+    html += '</tbody></table></div>';
+
+    const findings = result.employees.reduce((list, e) => list.concat(e.findings.map(f => ({ employee: e.employee, finding: f }))), []);
+    if (findings.length) {
+        html += `
             <div class="bg-red-500/10 border border-red-500 rounded-lg p-4">
-                <p class="text-red-400">Error. Please try again.</p>
+                <p class="text-red-400 text-sm font-bold mb-1">Issues</p>
+                <ul class="text-slate-300 text-xs space-y-1">${findings.map(f => `<li>• <strong>${escapeHtml(f.employee)}</strong>: ${escapeHtml(f.finding.message)}</li>`).join('')}</ul>
             </div>
         `;
     }
-}
 
-function displayRosterStressResults(issues) {
-    let html = '<div class="space-y-4">';
-    
-    issues.forEach(issue => {
-        const colors = { high: 'red', medium: 'yellow', low: 'blue' };
-        const color = colors[issue.severity];
-        
+    const notes = result.notes
+        .concat(result.employees.reduce((list, e) => list.concat(e.notes.map(n => e.employee + ': ' + n)), []))
+        .concat(result.unmatched.map(u => `Leave row ${u.row} (${u.employee}): ${u.reason}`))
+        .concat((result.skippedRegisterRows || []).map(r => `Register row ${r.row} skipped: ${r.reason}`))
+        .concat((result.skippedLeaveRows || []).map(r => `Leave row ${r.row} skipped: ${r.reason}`));
+    if (notes.length) {
         html += `
-            <div class="bg-${color}-500/10 border-2 border-${color}-500 rounded-lg p-6">
-                <p class="text-${color}-400 font-bold mb-2">${issue.description}</p>
-                <p class="text-slate-300 text-sm">✓ ${issue.recommendation}</p>
+            <div class="bg-slate-900 border border-slate-700 rounded-lg p-4">
+                <p class="text-slate-400 text-sm font-bold mb-1">Notes</p>
+                <ul class="text-slate-500 text-xs space-y-1">${notes.map(n => `<li>• ${escapeHtml(n)}</li>`).join('')}</ul>
             </div>
         `;
+    }
+
+    html += `
+        <button onclick="exportLeaveLiabilityReport()" class="w-full bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 rounded-lg transition-all">
+            📥 Export to Excel
+        </button>
+        <p class="text-slate-500 text-xs">Estimate only. Leave accrues on ordinary hours spread evenly over the period and long service leave on continuous service; unpaid leave, breaks in service and enterprise agreement terms are not taken into account. Confirm with your payroll system or adviser before relying on it.</p>
+    `;
+    const el = document.getElementById('leaveLiabilityResults');
+    el.classList.remove('hidden');
+    el.innerHTML = html;
+}
+
+// One row per employee, then a venue total.
+function exportLeaveLiabilityReport() {
+    const result = _lastLeaveLiabilityResult;
+    if (!result || !result.employees.length) {
+        showAlert('Calculate the leave balances first.');
+        return;
+    }
+    const rows = result.employees.map(e => ({
+        Employee: e.employee,
+        'Employment Type': e.employmentType,
+        State: e.state,
+        Shiftworker: e.shiftworker ? 'Yes' : 'No',
+        'Start Date': e.startDate,
+        'End Date': e.endDate,
+        'Service (years)': e.serviceYears,
+        'Weekly Ordinary Hours': e.weeklyHours,
+        'Hourly Rate': e.hourlyRate,
+        'Annual Leave Accrued (h)': e.annual ? e.annual.accrued : null,
+        'Annual Leave Taken (h)': e.annual ? e.annual.taken : null,
+        'Annual Leave Cashed Out (h)': e.annual ? e.annual.cashedOut : null,
+        'Annual Leave Balance (h)': e.annual ? e.annual.balance : null,
+        'Annual Leave Liability': e.annual ? e.annual.value : null,
+        "Personal/Carer's Balance (h)": e.personal ? e.personal.balance : null,
+        'LSL Act': e.longService ? e.longService.act : null,
+        'LSL Balance (h)': e.longService ? e.longService.balance : null,
+        'LSL Status': e.longService ? e.longService.status : null,
+        'LSL Payable From': e.longService ? e.longService.entitledFrom : null,
+        'LSL Liability': e.longService ? e.longService.value : null,
+        Issues: e.findings.map(f => f.message).join(' | ')
+    }));
+    rows.push({
+        Employee: 'TOTAL at ' + result.asAt,
+        'Annual Leave Balance (h)': result.totals.annualHours,
+        'Annual Leave Liability': result.totals.annual,
+        "Personal/Carer's Balance (h)": result.totals.personalHours,
+        'LSL Liability': result.totals.longService
     });
-    
-    html += '</div>';
-    document.getElementById('rosterStressResults').innerHTML = html;
+    generateExcelSpreadsheet(rows, `leave_liability_${result.asAt}_${Date.now()}.xlsx`, 'Leave Liability');
+    trackEvent('leave_liability_exported', { user: currentUser, award: result.awardCode });
+}
+
+// Hands an employee's balance to the Annual Leave Cash-Out Agreement, which
+// enforces the 4-week residual rule itself.
+function openLeaveCashOut(employeeIndex) {
+    const result = _lastLeaveLiabilityResult;
+    const e = result && result.employees[employeeIndex];
+    if (!e || !e.annual) return;
+    closeToolModal('leaveLiabilityModal');
+    openComplianceDocFromBuilder('schedule_g_h_cash_out_agreement');
+    const form = document.getElementById('fwDocForm');
+    if (!form || !form.balance_hours) return;
+    form.emp_name.value = e.employee;
+    form.balance_hours.value = e.annual.balance.toFixed(2);
+    if (e.hourlyRate) form.base_rate.value = e.hourlyRate.toFixed(2);
+    form.is_shiftworker.value = e.shiftworker ? 'yes' : 'no';
+    _fwDocCashOutRecalc();
+}
+
+// ========================================
+// TERMINATION PAY
+// ========================================
+// Itemises NES notice, redundancy pay and the leave paid out when an employee
+// leaves (js/termination-pay.js). Can start from an employee in the last leave
+// liability run. Results feed the XLSX export and the Final Pay Statement in
+// the Document Builder, which the termination letter refers to.
+
+let _lastTerminationPayResult = null;
+
+function openTerminationPay(reason) {
+    trackToolUsage('terminationPayModal');
+    const modal = document.getElementById('terminationPayModal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    if (reason) document.getElementById('termPayReason').value = reason;
+    const state = document.getElementById('termPayState');
+    if (state && !state.value && typeof venueProfile !== 'undefined' && venueProfile && LSL_STATE_RULES[venueProfile.state]) state.value = venueProfile.state;
+    document.getElementById('termPayLoading').checked = terminationLeaveLoading(getAwardContext().code).payable;
+    // Employees from the last leave liability run, to fill the form from.
+    const pick = document.getElementById('termPayFromLeave');
+    const leave = _lastLeaveLiabilityResult;
+    pick.parentElement.classList.toggle('hidden', !leave);
+    if (leave) {
+        pick.innerHTML = '<option value="">Enter details below</option>' + leave.employees.map((e, i) =>
+            `<option value="${i}">${escapeHtml(e.employee)} (${escapeHtml(e.employmentType.replace('_', '-'))})</option>`).join('');
+    }
+}
+
+function terminationPayFromLeave(value) {
+    const e = value === '' || !_lastLeaveLiabilityResult ? null : _lastLeaveLiabilityResult.employees[Number(value)];
+    if (!e) return;
+    const set = (id, v) => { document.getElementById(id).value = v == null ? '' : v; };
+    set('termPayEmployee', e.employee);
+    set('termPayType', e.employmentType);
+    set('termPayStart', e.startDate);
+    set('termPayState', e.state || '');
+    set('termPayWeeklyHours', e.weeklyHours);
+    set('termPayRate', e.hourlyRate);
+    set('termPayAnnualLeave', e.annual ? Math.max(0, e.annual.balance) : '');
+    set('termPayLslBalance', e.longService ? Math.max(0, e.longService.balance) : '');
+    document.getElementById('termPayShiftworker').checked = !!e.shiftworker;
+}
+
+function _terminationPayMessage(color, text) {
+    const el = document.getElementById('terminationPayResults');
+    el.classList.remove('hidden');
+    el.innerHTML = `
+        <div class="bg-${color}-500/10 border border-${color}-500 rounded-lg p-4">
+            <p class="text-${color}-400">${escapeHtml(text)}</p>
+        </div>
+    `;
+}
+
+function runTerminationPay() {
+    const val = id => (document.getElementById(id).value || '').trim();
+    const num = id => val(id) === '' ? null : parseFloat(val(id));
+    const employee = {
+        employee: val('termPayEmployee'),
+        employmentType: val('termPayType'),
+        startDate: val('termPayStart'),
+        lastDay: val('termPayLastDay'),
+        age: num('termPayAge'),
+        state: val('termPayState') || null,
+        weeklyHours: num('termPayWeeklyHours'),
+        hourlyRate: num('termPayRate'),
+        fullHourlyRate: num('termPayFullRate'),
+        shiftworker: document.getElementById('termPayShiftworker').checked,
+        annualLeaveHours: num('termPayAnnualLeave'),
+        longServiceHours: num('termPayLslBalance')
+    };
+    const code = getAwardContext().code;
+    const result = calculateTerminationPay(employee, {
+        reason: val('termPayReason'),
+        employerHeadcount: num('termPayHeadcount'),
+        noticeWorkedWeeks: num('termPayNoticeWorked') || 0,
+        awardCode: code,
+        loadingOnTermination: document.getElementById('termPayLoading').checked
+    });
+    if (!result.ok) { _terminationPayMessage('yellow', result.error + '.'); return; }
+    result.input = employee;
+    result.awardCode = code || null;
+    result.calculatedAt = new Date().toISOString();
+    _lastTerminationPayResult = result;
+    displayTerminationPayResults(result);
+
+    trackEvent('termination_pay_calculated', {
+        user: currentUser,
+        award: result.awardCode,
+        reason: result.reason
+    });
+}
+
+function displayTerminationPayResults(result) {
+    let html = `
+        <div class="bg-slate-900 border-2 border-amber-500 rounded-lg p-6">
+            <p class="text-amber-400 font-bold text-xl mb-1">Termination entitlements: ${_backPayMoney(result.total)}</p>
+            <p class="text-slate-300 text-sm">${escapeHtml(result.employee || 'Employee')} · ${escapeHtml(result.reasonLabel)} · ${result.completedYears} completed year${result.completedYears === 1 ? '' : 's'} of service · final pay due by ${escapeHtml(result.paymentDueBy)}</p>
+        </div>
+        <div class="bg-slate-900 border border-slate-700 rounded-lg p-4">
+            <table class="w-full text-xs text-slate-300">
+                <thead><tr class="text-slate-500 text-left"><th class="py-1">Item</th><th class="text-right">Hours</th><th class="text-right">Rate</th><th class="text-right">Amount</th></tr></thead>
+                <tbody>
+    `;
+    result.items.forEach(i => {
+        html += `
+                    <tr class="border-t border-slate-800">
+                        <td class="py-1">${escapeHtml(i.label)}<div class="text-slate-500">${escapeHtml(i.basis)}</div></td>
+                        <td class="text-right">${i.hours || '—'}</td>
+                        <td class="text-right">${i.rate ? _backPayMoney(Math.round(i.rate * 100) / 100) : '—'}</td>
+                        <td class="text-right ${i.amount > 0 ? 'text-white font-semibold' : 'text-slate-500'}">${i.amount > 0 ? _backPayMoney(i.amount) : 'Nil'}</td>
+                    </tr>
+        `;
+    });
+    html += `
+                    <tr class="border-t border-slate-600"><td class="py-1 font-bold">Total</td><td></td><td></td><td class="text-right text-amber-400 font-bold">${_backPayMoney(result.total)}</td></tr>
+                </tbody>
+            </table>
+        </div>
+        <div class="bg-slate-900 border border-slate-700 rounded-lg p-4">
+            <p class="text-slate-400 text-sm font-bold mb-1">Notes</p>
+            <ul class="text-slate-500 text-xs space-y-1">${result.notes.map(n => `<li>• ${escapeHtml(n)}</li>`).join('')}</ul>
+        </div>
+        <div class="grid grid-cols-2 gap-3">
+            <button onclick="exportTerminationPayStatement()" class="bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 rounded-lg transition-all">
+                📥 Export to Excel
+            </button>
+            <button onclick="openFinalPayStatement()" class="bg-amber-500 hover:bg-amber-400 text-slate-900 font-bold py-3 rounded-lg transition-all">
+                Final pay statement →
+            </button>
+        </div>
+        <p class="text-slate-500 text-xs">Estimate of minimum NES, award and state long service leave entitlements. Enterprise agreements, contracts and continuity of service questions (unpaid leave, transfers of business) can change the figures. Confirm with your adviser before paying.</p>
+    `;
+    const el = document.getElementById('terminationPayResults');
+    el.classList.remove('hidden');
+    el.innerHTML = html;
+}
+
+// One row per item, then the total.
+function exportTerminationPayStatement() {
+    const result = _lastTerminationPayResult;
+    if (!result) {
+        showAlert('Calculate the termination pay first.');
+        return;
+    }
+    const rows = result.items.map(i => ({
+        Employee: result.employee,
+        'Last Day': result.lastDay,
+        Item: i.label,
+        Basis: i.basis,
+        Hours: i.hours || null,
+        Rate: i.rate ? Math.round(i.rate * 10000) / 10000 : null,
+        Amount: i.amount
+    }));
+    rows.push({ Employee: 'TOTAL', 'Last Day': result.lastDay, Item: result.reasonLabel, Basis: 'Payable by ' + result.paymentDueBy, Amount: result.total });
+    generateExcelSpreadsheet(rows, `termination_pay_${(result.employee || 'employee').replace(/[^A-Za-z0-9_-]/g, '_')}_${Date.now()}.xlsx`, 'Termination Pay');
+    trackEvent('termination_pay_exported', { user: currentUser, award: result.awardCode });
+}
+
+function openFinalPayStatement() {
+    if (!_lastTerminationPayResult) return;
+    closeToolModal('terminationPayModal');
+    openComplianceDocFromBuilder('final_pay_statement');
 }
 
 // ========================================
@@ -20598,12 +21137,17 @@ function assessTerminationRisk() {
         riskColor = 'red';
         riskMessage = 'DO NOT PROCEED - contact consultant';
     }
+    const payReason = reason === 'redundancy' ? 'redundancy' : reason === 'serious-misconduct' ? 'serious_misconduct' : 'dismissal';
 
     document.getElementById('termRiskResults').innerHTML = `
         <div class="bg-${riskColor}-500/10 border-2 border-${riskColor}-500 rounded-lg p-6">
             <h3 class="text-${riskColor}-400 font-bold text-xl mb-3">${riskLevel}</h3>
             <p class="text-slate-200">${riskMessage}</p>
         </div>
+        <button type="button" onclick="closeToolModal('terminationRiskModal'); openTerminationPay('${payReason}');"
+                class="w-full mt-3 bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 rounded-lg transition-all">
+            🧮 Calculate notice, redundancy and leave payout →
+        </button>
     `;
     document.getElementById('termRiskResults').classList.remove('hidden');
 
@@ -20702,6 +21246,215 @@ function closeFeedback() {
     document.getElementById('feedbackModal').classList.add('hidden');
 }
 
+// ========================================
+// REPORT A WRONG ANSWER
+// ========================================
+// Stored in flaggedAnswers with the question, the answer, the award it was
+// answered under and the user's correction. The admin dashboard's Flags tab
+// exports each one as a regression report (js/flagged-answers.js).
+
+function openFlagAnswer(messageId) {
+    const flaggable = flaggableAnswers[messageId];
+    if (!flaggable) return;
+    flaggingMessageId = messageId;
+    document.getElementById('flagAnswerQuestion').textContent = flaggable.question;
+    document.getElementById('flagAnswerCorrection').value = '';
+    document.getElementById('flagAnswerSource').value = '';
+    document.getElementById('flagAnswerModal').classList.remove('hidden');
+    document.getElementById('flagAnswerCorrection').focus();
+}
+
+function closeFlagAnswer() {
+    document.getElementById('flagAnswerModal').classList.add('hidden');
+    flaggingMessageId = null;
+}
+
+async function submitFlagAnswer() {
+    const flaggable = flaggableAnswers[flaggingMessageId];
+    const correction = document.getElementById('flagAnswerCorrection').value.trim();
+    if (!flaggable) return;
+    if (!correction) {
+        showToast('Tell us what the right answer is.', 'error', 3000);
+        return;
+    }
+    if (!db || !currentUser || !currentUser.uid) {
+        showAlert('⚠️ Please sign in to report an answer.');
+        return;
+    }
+
+    const award = getAwardContext();
+    const flag = buildFlaggedAnswer({
+        question: flaggable.question,
+        answer: flaggable.answer,
+        awardCode: award.code,
+        awardName: (venueProfile && venueProfile.primaryAward) || null,
+        correction: correction,
+        source: document.getElementById('flagAnswerSource').value,
+        conversationId: currentConversationId
+    }, currentUser);
+
+    try {
+        await db.collection('flaggedAnswers').add(Object.assign(flag, {
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        }));
+        const btn = document.querySelector(`[data-message-id="${flaggingMessageId}"] .flag-answer-btn`);
+        if (btn) {
+            btn.disabled = true;
+            btn.textContent = '🚩 Reported — thank you';
+        }
+        trackEvent('answer_flagged', { user: currentUser.uid, award: award.code });
+        closeFlagAnswer();
+        showToast('Thanks — we will check this answer and fix it.', 'success', 3000);
+    } catch (error) {
+        console.error('Error saving flagged answer:', error);
+        showAlert('⚠️ Could not send your report. Please try again or email support@fitzhr.com');
+    }
+}
+
+// ========================================
+// CONTRACT REVIEW
+// ========================================
+// An uploaded contract's text is checked clause by clause against the NES
+// and the venue's award (js/contract-review.js). Text comes out of DOCX via
+// mammoth and PDF via pdf.js, both loaded in app.html's head.
+
+async function extractDocumentText(file) {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.txt')) return await file.text();
+    if (name.endsWith('.docx')) {
+        if (typeof mammoth === 'undefined') throw new Error('Word reader not loaded');
+        const result = await mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() });
+        return result.value;
+    }
+    if (name.endsWith('.pdf')) {
+        if (typeof pdfjsLib === 'undefined') throw new Error('PDF reader not loaded');
+        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+        const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+        const pages = [];
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const content = await (await pdf.getPage(i)).getTextContent();
+            // Keep pdf.js's line breaks so numbered clause headings stay on their own line.
+            pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+        }
+        return pages.join('\n\n');
+    }
+    throw new Error('Upload a .docx, .pdf or .txt contract');
+}
+
+async function handleContractReviewUpload(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    if (file.size > 10 * 1024 * 1024) {
+        showToast('❌ File too large. Max 10MB', 'error', 3000);
+        return;
+    }
+
+    showToast('📑 Reading ' + file.name + '...', 'info', 2000);
+    let text;
+    try {
+        text = await extractDocumentText(file);
+    } catch (error) {
+        console.error('Contract text extraction failed:', error);
+        showAlert('⚠️ Could not read that contract: ' + error.message);
+        return;
+    }
+    if (!text || text.trim().length < 200) {
+        showAlert('⚠️ No contract text found in ' + file.name + '. Scanned PDFs need to be converted to text first.');
+        return;
+    }
+
+    const award = getAwardContext();
+    if (award.code && !awardRates) await loadAwardRates();
+    const review = reviewContract(text, {
+        rates: award.code ? awardRates : null,
+        awardName: award.fullName || (venueProfile && venueProfile.primaryAward) || null
+    });
+    lastContractReview = { fileName: file.name, awardName: award.fullName || null, review: review };
+    renderContractReview();
+    trackEvent('contract_reviewed', { award: award.code, breaches: review.summary.breaches, warnings: review.summary.warnings });
+}
+
+function _contractFindingHtml(finding) {
+    const colour = finding.severity === 'breach' ? 'text-red-400' : 'text-amber-400';
+    return `<p class="${colour} text-sm mt-2">${finding.severity === 'breach' ? '❌' : '⚠️'} ${escapeHtml(finding.message)}</p>`;
+}
+
+function _contractSuggestionHtml(suggestion) {
+    return `
+        <details class="mt-2">
+            <summary class="text-slate-400 text-xs cursor-pointer">Suggested wording — ${escapeHtml(suggestion.title)}</summary>
+            <p class="text-slate-300 text-sm whitespace-pre-wrap bg-slate-900 rounded-lg p-3 mt-2">${escapeHtml(suggestion.text)}</p>
+        </details>`;
+}
+
+function renderContractReview() {
+    const { fileName, awardName, review } = lastContractReview;
+    const employment = { casual: 'casual', part_time: 'part-time', full_time: 'full-time' }[review.employmentType];
+    document.getElementById('contractReviewSubtitle').textContent =
+        `${fileName} · ${employment} · ${awardName || 'award not set — NES checks only'}`;
+    document.getElementById('contractReviewSummary').innerHTML = `
+        <div class="flex gap-3 text-sm">
+            <span class="px-3 py-1 rounded-full bg-red-500/20 text-red-300">${review.summary.breaches} breach${review.summary.breaches === 1 ? '' : 'es'}</span>
+            <span class="px-3 py-1 rounded-full bg-amber-500/20 text-amber-300">${review.summary.warnings} warning${review.summary.warnings === 1 ? '' : 's'}</span>
+            <span class="px-3 py-1 rounded-full bg-green-500/20 text-green-300">${review.summary.clausesOk} of ${review.summary.clauses} clauses OK</span>
+        </div>`;
+
+    const border = { breach: 'border-red-500/60', warning: 'border-amber-500/60', ok: 'border-slate-700' };
+    const missing = review.missing.map(m => `
+        <div class="bg-slate-900/60 border ${border[m.severity]} rounded-lg p-4">
+            <p class="text-white font-medium">Missing: ${escapeHtml(m.suggestion.title)}</p>
+            ${_contractFindingHtml(m)}
+            ${_contractSuggestionHtml(m.suggestion)}
+        </div>`).join('');
+    const clauses = review.clauses.map(c => `
+        <div class="bg-slate-900/60 border ${border[c.status]} rounded-lg p-4">
+            <p class="text-white font-medium">${c.status === 'ok' ? '✅' : c.status === 'breach' ? '❌' : '⚠️'} ${escapeHtml([c.ref, c.heading].filter(Boolean).join(' ') || 'Clause')}</p>
+            ${c.text ? `<p class="text-slate-400 text-sm mt-1 whitespace-pre-wrap">${escapeHtml(c.text.length > 400 ? c.text.slice(0, 397) + '...' : c.text)}</p>` : ''}
+            ${c.findings.map(_contractFindingHtml).join('')}
+            ${c.suggestions.map(_contractSuggestionHtml).join('')}
+        </div>`).join('');
+    document.getElementById('contractReviewBody').innerHTML = missing + clauses;
+    document.getElementById('contractReviewModal').classList.remove('hidden');
+}
+
+function closeContractReview() {
+    document.getElementById('contractReviewModal').classList.add('hidden');
+}
+
+async function downloadContractReview() {
+    if (!lastContractReview) return;
+    const { fileName, awardName, review } = lastContractReview;
+    const esc = escapeHtml;
+    const finding = f => `<p><strong>${f.severity === 'breach' ? 'Breach' : 'Warning'}:</strong> ${esc(f.message)}</p>`;
+    const suggestion = s => `<p><em>Suggested wording (${esc(s.title)}):</em></p><p>${esc(s.text).replace(/\n/g, '<br>')}</p>`;
+    const html = `
+        <h1>Contract Review — ${esc(fileName)}</h1>
+        <p>Checked against the National Employment Standards${awardName ? ' and the ' + esc(awardName) : ''} on ${new Date().toLocaleDateString('en-AU')}.</p>
+        <p>${review.summary.breaches} breach(es), ${review.summary.warnings} warning(s); ${review.summary.clausesOk} of ${review.summary.clauses} clauses raised no issues.</p>
+        ${review.missing.length ? '<h2>Missing clauses</h2>' + review.missing.map(m => finding(m) + suggestion(m.suggestion)).join('') : ''}
+        <h2>Clause by clause</h2>
+        ${review.clauses.map(c => `
+            <h3>${esc([c.ref, c.heading].filter(Boolean).join(' ') || 'Clause')} — ${c.status === 'ok' ? 'OK' : c.status === 'breach' ? 'Breach' : 'Check'}</h3>
+            ${c.text ? `<p>${esc(c.text).replace(/\n/g, '<br>')}</p>` : ''}
+            ${c.findings.map(finding).join('')}
+            ${c.suggestions.map(suggestion).join('')}`).join('')}
+        <p><em>This review is automated guidance, not legal advice. Have a consultant check any changes before the contract is issued.</em></p>`;
+    await generateWordDocument(html, 'Contract-Review-' + fileName.replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9-]+/g, '-') + '.docx');
+}
+
+function askFitzAboutContractReview() {
+    if (!lastContractReview) return;
+    const { fileName, review } = lastContractReview;
+    const issues = review.missing.concat(review.clauses.reduce((all, c) => all.concat(c.findings.map(f =>
+        Object.assign({ clause: [c.ref, c.heading].filter(Boolean).join(' ') }, f))), []));
+    const lines = issues.slice(0, 12).map(f => `- ${f.clause ? 'Clause ' + f.clause + ': ' : ''}${f.message}`);
+    closeContractReview();
+    const input = document.getElementById('messageInput');
+    input.value = `I reviewed our employment contract (${fileName}) and it flagged:\n${lines.join('\n') || '- no issues'}\nWhat should I change first, and do I owe the employee anything for the period it has been in place?`;
+    input.focus();
+}
+
 // ========================================
 // LOGOUT FUNCTION
 // ========================================
@@ -22471,20 +23224,85 @@ async function syncDeputyRosters() {
     }
 }
 
+// Deputy roster lines carry no classification or employment type, so the
+// dashboard prices them as the classification/type picked in its "Cost as"
+// controls (kept per browser). A line's own fields win when present.
+function _rosterCostingDefaults() {
+    try { return JSON.parse(localStorage.getItem('rosterCostingDefaults') || '{}'); } catch (e) { return {}; }
+}
+
+function _costingPublicHolidays() {
+    const state = (typeof venueProfile !== 'undefined' && venueProfile && (venueProfile.state || venueProfile.location)) || '';
+    return (typeof getPublicHolidaysForState === 'function' ? getPublicHolidaysForState(state) : []).map(h => h.date);
+}
+
+// Price one Deputy roster line through the shared costing engine — the same
+// engine the Award Calculator uses, so the dashboard, export and calculator agree.
+function _costRosterLine(r) {
+    const defaults = _rosterCostingDefaults();
+    return costShift({
+        date: parseRosterDate(r.date),
+        start: parseRosterTime(r.startTime),
+        end: parseRosterTime(r.endTime),
+        breakMinutes: Number(r.raw && r.raw.TotalBreak) || 0,
+        employmentType: r.employmentType || defaults.employmentType,
+        classification: r.classification || defaults.classification
+    }, ratesVersionAsAt(awardRatesFile, parseRosterDate(r.date)) || awardRates, { publicHolidays: _costingPublicHolidays() });
+}
+
+function _renderRosterCostingControls() {
+    const clsSel = document.getElementById('rosterCostClassification');
+    const typeSel = document.getElementById('rosterCostEmploymentType');
+    if (!clsSel || !typeSel) return;
+    const defaults = _rosterCostingDefaults();
+    const seen = {};
+    const rows = (awardRates && Array.isArray(awardRates.rates) ? awardRates.rates : [])
+        .filter(r => r.employment_type === 'full_time' && Number(r.rate) > 0);
+    clsSel.innerHTML = '<option value="">Select classification…</option>' + rows.map(r => {
+        const label = r.classification || r.title;
+        if (seen[label]) return '';
+        seen[label] = true;
+        return `<option value="${escapeHtml(label)}"${label === defaults.classification ? ' selected' : ''}>${escapeHtml(r.title || label)} - $${Number(r.rate).toFixed(2)}</option>`;
+    }).join('');
+    typeSel.value = defaults.employmentType || 'casual';
+}
+
+function saveRosterCostingDefaults() {
+    const clsSel = document.getElementById('rosterCostClassification');
+    const typeSel = document.getElementById('rosterCostEmploymentType');
+    localStorage.setItem('rosterCostingDefaults', JSON.stringify({
+        classification: clsSel ? clsSel.value : '',
+        employmentType: typeSel ? typeSel.value : ''
+    }));
+    updateRosterDashboard(rosterData);
+}
+
 function updateRosterDashboard(rosters) {
     if (!rosters || !rosters.length) { document.getElementById('rosterList').innerHTML = '<div class="text-center py-12"><div class="text-6xl mb-4">📅</div><div class="text-xl text-slate-400">No rosters found</div></div>'; return; }
     const total = rosters.length;
     const compliant = rosters.filter(r => r.compliance.isCompliant).length;
-    const cost = rosters.reduce((sum, r) => sum + (r.compliance.totalCost || 0), 0);
+    const costings = rosters.map(_costRosterLine);
+    const cost = costings.reduce((sum, c) => sum + (c.ok ? c.totalCost : 0), 0);
+    const unpriced = costings.filter(c => !c.ok).length;
     document.getElementById('totalShifts').textContent = total;
     document.getElementById('compliantShifts').textContent = compliant;
     document.getElementById('issueShifts').textContent = total - compliant;
     document.getElementById('totalCost').textContent = `$${cost.toFixed(2)}`;
-    document.getElementById('rosterList').innerHTML = rosters.map(r => `<div class="bg-slate-700 rounded-lg p-4 ${r.compliance.warnings.length ? 'border-2 border-red-500' : 'border border-slate-600'}"><div class="flex justify-between mb-3"><div class="flex gap-3"><div class="w-12 h-12 bg-slate-600 rounded-full flex items-center justify-center text-white font-bold">${r.employee.name[0]}</div><div><div class="font-semibold text-white">${r.employee.name}</div><div class="text-sm text-slate-400">${r.position}</div></div></div><div class="text-right"><div class="font-semibold text-white">${r.date}</div><div class="text-sm text-slate-400">${r.startTime}-${r.endTime}</div></div></div>${r.compliance.warnings.length ? `<div class="bg-red-900/30 border border-red-500/30 rounded p-3"><div class="font-semibold text-red-400">⚠️ ${r.compliance.warnings.length} Issue(s)</div>${r.compliance.warnings.map(w => `<div class="text-sm text-red-300 mt-1">${w.type}: ${w.message}</div>`).join('')}</div>` : '<div class="bg-green-900/30 border border-green-500/30 rounded p-3 text-green-400">✅ Compliant</div>'}</div>`).join('');
+    const unpricedEl = document.getElementById('unpricedShifts');
+    if (unpricedEl) unpricedEl.textContent = unpriced ? `${unpriced} shift(s) not priced — ${costings.find(c => !c.ok).error}` : '';
+    document.getElementById('rosterList').innerHTML = rosters.map((r, i) => { const c = costings[i]; return `<div class="bg-slate-700 rounded-lg p-4 ${r.compliance.warnings.length ? 'border-2 border-red-500' : 'border border-slate-600'}"><div class="flex justify-between mb-3"><div class="flex gap-3"><div class="w-12 h-12 bg-slate-600 rounded-full flex items-center justify-center text-white font-bold">${r.employee.name[0]}</div><div><div class="font-semibold text-white">${r.employee.name}</div><div class="text-sm text-slate-400">${r.position}</div></div></div><div class="text-right"><div class="font-semibold text-white">${r.date}</div><div class="text-sm text-slate-400">${r.startTime}-${r.endTime}</div><div class="text-sm ${c.ok ? 'text-amber-400' : 'text-slate-500'}" title="${c.ok ? escapeHtml(c.segments.map(s => `${s.label}: ${s.hours}h @ $${s.rate.toFixed(2)}`).join('; ')) : escapeHtml(c.error)}">${c.ok ? `$${c.totalCost.toFixed(2)}` : 'Not priced'}</div></div></div>${r.compliance.warnings.length ? `<div class="bg-red-900/30 border border-red-500/30 rounded p-3"><div class="font-semibold text-red-400">⚠️ ${r.compliance.warnings.length} Issue(s)</div>${r.compliance.warnings.map(w => `<div class="text-sm text-red-300 mt-1">${w.type}: ${w.message}</div>`).join('')}</div>` : '<div class="bg-green-900/30 border border-green-500/30 rounded p-3 text-green-400">✅ Compliant</div>'}</div>`; }).join('');
 }
 
-function openRosterCompliance() {
+async function openRosterCompliance() {
     document.getElementById('rosterComplianceModal').classList.remove('hidden');
+
+    // Costing needs the selected award's rates; fail closed (lines show
+    // "Not priced") when no award is set rather than pricing as Hospitality.
+    const ctx = getAwardContext();
+    if (ctx.code && (!awardRates || awardRates.ma_number !== ctx.code)) {
+        try { await loadAwardRates(); } catch (e) {}
+    }
+    _renderRosterCostingControls();
     
     // Check if Deputy is connected
     const hasToken = sessionStorage.getItem('deputy_token');
@@ -22511,10 +23329,13 @@ async function exportRosterReport(format) {
     try {
         showNotification(`📄 Generating...`, 'info');
         if (format === 'pdf') {
-            pdfMake.createPdf({ content: [{ text: 'Roster Report', fontSize: 18, bold: true }, { text: new Date().toLocaleString('en-AU'), fontSize: 12, margin: [0,0,0,10] }, { table: { headerRows: 1, widths: ['*','*','auto','auto','auto'], body: [['Employee','Date','Hours','Cost','Status'], ...rosterData.map(r => [r.employee.name, r.date, `${r.totalHours}h`, `$${r.compliance.totalCost.toFixed(2)}`, r.compliance.isCompliant?'OK':'Issues'])] } }] }).download(`roster_${Date.now()}.pdf`);
+            const costings = rosterData.map(_costRosterLine);
+            const award = getAwardContext();
+            pdfMake.createPdf({ content: [{ text: 'Roster Report', fontSize: 18, bold: true }, { text: new Date().toLocaleString('en-AU') + (award.code ? ` — ${award.name} (${award.code})` : ''), fontSize: 12, margin: [0,0,0,10] }, { table: { headerRows: 1, widths: ['*','*','auto','auto','auto'], body: [['Employee','Date','Hours','Cost','Status'], ...rosterData.map((r, i) => [r.employee.name, r.date, `${r.totalHours}h`, costings[i].ok ? `$${costings[i].totalCost.toFixed(2)}` : 'Not priced', r.compliance.isCompliant?'OK':'Issues'])] } }] }).download(`roster_${Date.now()}.pdf`);
         } else {
+            const costings = rosterData.map(_costRosterLine);
             const wb = XLSX.utils.book_new();
-            XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rosterData.map(r => ({ Employee:r.employee.name, Date:r.date, Hours:r.totalHours, Cost:r.compliance.totalCost, Status:r.compliance.isCompliant?'OK':'Issues' }))), 'Rosters');
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rosterData.map((r, i) => { const c = costings[i]; return { Employee:r.employee.name, Date:r.date, Hours:r.totalHours, Cost:c.ok ? c.totalCost : null, 'Cost Breakdown':c.ok ? c.segments.map(s => `${s.label}: ${s.hours}h @ $${s.rate.toFixed(2)}`).join('; ') : c.error, Status:r.compliance.isCompliant?'OK':'Issues' }; })), 'Rosters');
             XLSX.writeFile(wb, `roster_${Date.now()}.xlsx`);
         }
         showNotification('✅ Downloaded!', 'success');
@@ -22816,53 +23637,120 @@ async function processAIFile(file) {
     
     // Show processing overlay
     document.getElementById('aiProcessingOverlay').style.display = 'flex';
+    const startedAt = Date.now();
     
     try {
-        // Simulate AI processing (replace with actual backend call)
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Mock data - replace with real parsed data from backend
-        const mockData = {
-            totalRows: 47,
-            totalEmployees: 12,
-            totalHours: 376,
-            estimatedCost: 9400,
-            issues: [
-                {
-                    type: 'warning',
-                    title: '3 shifts under minimum 3-hour engagement',
-                    description: 'Modern Award requires minimum 3-hour shifts. Found shifts of 2h, 2.5h, and 2h.'
-                },
-                {
-                    type: 'warning',
-                    title: '5 Sunday shifts without 175% penalty rate',
-                    description: 'Sunday work requires 175% penalty rate under Restaurant Award.'
-                },
-                {
-                    type: 'success',
-                    title: 'All break times compliant',
-                    description: '100% of shifts have appropriate break allocation.'
-                }
-            ],
-            preview: [
-                ['John Smith', '2026-02-01', '09:00', '17:00', 'Manager', '8h'],
-                ['Jane Doe', '2026-02-01', '10:00', '18:00', 'Staff', '8h'],
-                ['Bob Wilson', '2026-02-02', '14:00', '22:00', 'Staff', '8h'],
-                ['Alice Brown', '2026-02-02', '09:00', '15:00', 'Staff', '6h'],
-                ['Charlie Davis', '2026-02-03', '11:00', '19:00', 'Staff', '8h']
-            ]
-        };
-        
-        displayAIAnalysis(mockData);
-        showNotification('✅ File analyzed successfully!', 'success');
-        
+        const rows = await readSpreadsheetRows(file);
+        const ctx = getAwardContext();
+        if (ctx.code && (!awardRates || awardRates.ma_number !== ctx.code)) await loadAwardRates();
+        // Fail closed: with no award set the file is still parsed and counted,
+        // but nothing is assessed against a default award.
+        const rates = ctx.code ? awardRates : null;
+
+        const analysis = analyzeImportedShifts(normaliseRosterRows(rows), rates);
+        analysis.fileName = file.name;
+        analysis.elapsedMs = Date.now() - startedAt;
+        parsedAIData = analysis;
+
+        displayAIAnalysis(analysis);
+        showNotification(analysis.totalRows ? '✅ File analyzed successfully!' : '⚠️ No shifts found in this file', analysis.totalRows ? 'success' : 'warning');
+
+        trackEvent('ai_import_analyzed', {
+            user: currentUser,
+            type: currentImportType,
+            rows: analysis.totalRows,
+            award: rates && rates.ma_number,
+            issues: analysis.issues.filter(i => i.type !== 'success').length
+        });
     } catch (error) {
-        showNotification(`❌ ${error.message}`, 'error');
+        showNotification(`❌ Could not read this file. Ensure it's a valid Excel/CSV export.`, 'error');
     } finally {
         document.getElementById('aiProcessingOverlay').style.display = 'none';
     }
 }
 
+function _aiClock(minutes) {
+    return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+}
+
+// Turn parsed shift records into the AI Import summary: real counters, issue
+// cards from the award rules engine and the rate-paid check, and a preview.
+function analyzeImportedShifts(parsed, rates) {
+    const shifts = parsed.shifts;
+    const opts = { publicHolidays: _costingPublicHolidays() };
+    // Dollar figures use the rate table in force on each shift's own date.
+    const ratesOn = ymd => ratesVersionAsAt(awardRatesFile, ymd);
+    const costings = shifts.map(s => rates ? costShift(s, ratesOn, opts) : { ok: false });
+    const shiftMinutes = shifts.map(s => {
+        let span = s.end - s.start;
+        if (span <= 0) span += 1440;
+        return Math.max(0, span - (s.breakMinutes || 0));
+    });
+    const paidMinutes = shiftMinutes.reduce((t, m) => t + m, 0);
+    const awardCost = costings.reduce((t, c) => t + (c.ok ? c.totalCost : 0), 0);
+    const paidCost = shifts.reduce((t, s, i) => t + (s.ratePaid > 0 ? s.ratePaid * shiftMinutes[i] / 60 : 0), 0);
+    const issues = [];
+
+    if (!rates) {
+        issues.push({ type: 'warning', title: 'Award not set — compliance not checked', description: 'Set your Modern Award in Settings to check these shifts against its rules and rates.' });
+    } else {
+        const result = evaluateRoster(shifts, rates);
+        const byRule = {};
+        result.findings.forEach(f => { (byRule[f.rule] = byRule[f.rule] || []).push(f); });
+        Object.keys(byRule).forEach(rule => {
+            const list = byRule[rule];
+            const label = ROSTER_RULE_LABELS[rule] || rule;
+            issues.push({
+                type: list.some(f => f.severity !== 'low') ? 'warning' : 'info',
+                title: `${list.length} ${label.toLowerCase()} issue${list.length === 1 ? '' : 's'}${list[0].citation ? ` (${list[0].citation})` : ''}`,
+                description: list[0].description + (list.length > 1 ? ` (+${list.length - 1} more, rows ${list.slice(1, 6).map(f => f.rows[0]).join(', ')}${list.length > 6 ? '…' : ''})` : '')
+            });
+        });
+
+        const pay = checkPaidRates(shifts, ratesOn, opts);
+        if (pay.underpaid.length) {
+            const worst = pay.underpaid.slice().sort((a, b) => b.shortfall - a.shortfall)[0];
+            issues.push({
+                type: 'warning',
+                title: `${pay.underpaid.length} shift${pay.underpaid.length === 1 ? '' : 's'} paid below the ${rates.ma_number} award rate — $${pay.totalShortfall.toFixed(2)} short`,
+                description: `Largest: ${worst.employee} on ${worst.date} (row ${worst.row}) was paid $${worst.paid.toFixed(2)} against $${worst.expected.toFixed(2)} under the award, including penalties and loadings.`
+            });
+        } else if (pay.checked) {
+            issues.push({ type: 'success', title: `Rates paid meet the award on all ${pay.checked} checked shift${pay.checked === 1 ? '' : 's'}`, description: 'Each shift\'s rate paid covers its award cost including penalties, loadings and overtime.' });
+        }
+        if (pay.withoutRate && pay.withoutRate < shifts.length) {
+            issues.push({ type: 'info', title: `${pay.withoutRate} shift${pay.withoutRate === 1 ? '' : 's'} had no rate paid`, description: 'Those shifts were checked against the award rules but not for underpayment.' });
+        } else if (shifts.length && pay.withoutRate === shifts.length) {
+            issues.push({ type: 'info', title: 'No "rate paid" column found', description: 'Add an hourly rate paid column to check these shifts for underpayment.' });
+        }
+        if (pay.unpriced.length) {
+            issues.push({ type: 'info', title: `${pay.unpriced.length} shift${pay.unpriced.length === 1 ? '' : 's'} could not be priced`, description: `${pay.unpriced[0].reason} (row ${pay.unpriced[0].row}). Add classification and employment type columns so these can be checked.` });
+        }
+        result.checked.filter(rule => !byRule[rule] && !(rule === 'meal_break' && byRule.meal_break_timing)).forEach(rule => {
+            issues.push({ type: 'success', title: `${ROSTER_RULE_LABELS[rule] || rule}: no issues`, description: `All ${shifts.length} shift${shifts.length === 1 ? '' : 's'} checked against ${rates.ma_number}.` });
+        });
+    }
+    if (parsed.skipped.length) {
+        issues.push({ type: 'info', title: `${parsed.skipped.length} row${parsed.skipped.length === 1 ? '' : 's'} skipped`, description: parsed.skipped.slice(0, 5).map(k => `Row ${k.row}: ${k.reason}`).join('; ') + (parsed.skipped.length > 5 ? '…' : '') });
+    }
+
+    return {
+        totalRows: shifts.length,
+        totalEmployees: new Set(shifts.map(s => s.employee)).size,
+        totalHours: Math.round(paidMinutes / 60 * 10) / 10,
+        // Award cost where shifts can be priced, otherwise what was paid.
+        estimatedCost: Math.round(awardCost || paidCost),
+        costBasis: awardCost ? 'award' : (paidCost ? 'paid' : null),
+        issues: issues,
+        columns: parsed.columns,
+        preview: shifts.slice(0, 10).map((s, i) => {
+            const c = costings[i];
+            return [s.employee, s.date, _aiClock(s.start), _aiClock(s.end), s.classification || '—',
+                Math.round(shiftMinutes[i] / 60 * 100) / 100 + 'h', s.ratePaid ? `$${s.ratePaid.toFixed(2)}` : '—', c.ok ? `$${c.totalCost.toFixed(2)}` : '—'];
+        })
+    };
+}
+
 function displayAIAnalysis(data) {
     // Hide upload, show analysis
     document.getElementById('uploadZone').style.display = 'none';
@@ -22873,25 +23761,32 @@ function displayAIAnalysis(data) {
     animateAICounter('aiTotalEmployees', data.totalEmployees);
     animateAICounter('aiTotalHours', data.totalHours, 'h');
     animateAICounter('aiEstimatedCost', data.estimatedCost, '$', true);
+    const processedIn = document.getElementById('aiProcessedIn');
+    if (processedIn) processedIn.textContent = `Processed ${data.fileName || 'file'} in ${(data.elapsedMs / 1000).toFixed(1)} seconds`;
+    const costLabel = document.getElementById('aiEstimatedCostLabel');
+    if (costLabel) costLabel.textContent = data.costBasis === 'paid' ? 'Total Paid' : 'Award Cost';
     
     // Display issues
+    const colours = { success: '#00ff9d', warning: '#ff6b35', info: '#00f0ff' };
+    const icons = { success: '✅', warning: '⚠️', info: 'ℹ️' };
     const issuesSection = document.getElementById('aiIssuesSection');
     issuesSection.innerHTML = data.issues.map(issue => `
-        <div style="background: ${issue.type === 'success' ? 'rgba(0, 255, 157, 0.1)' : 'rgba(255, 107, 53, 0.1)'}; border-left: 4px solid ${issue.type === 'success' ? '#00ff9d' : '#ff6b35'}; border-radius: 12px; padding: 20px; margin-bottom: 16px; display: flex; align-items: start; gap: 16px;">
-            <div style="font-size: 1.5rem;">${issue.type === 'success' ? '✅' : '⚠️'}</div>
+        <div style="background: ${issue.type === 'success' ? 'rgba(0, 255, 157, 0.1)' : issue.type === 'info' ? 'rgba(0, 240, 255, 0.08)' : 'rgba(255, 107, 53, 0.1)'}; border-left: 4px solid ${colours[issue.type]}; border-radius: 12px; padding: 20px; margin-bottom: 16px; display: flex; align-items: start; gap: 16px;">
+            <div style="font-size: 1.5rem;">${icons[issue.type]}</div>
             <div>
-                <h4 style="margin-bottom: 4px; color: ${issue.type === 'success' ? '#00ff9d' : '#ff6b35'};">${issue.title}</h4>
-                <p style="color: #8b9dc3; font-size: 0.875rem;">${issue.description}</p>
+                <h4 style="margin-bottom: 4px; color: ${colours[issue.type]};">${escapeHtml(issue.title)}</h4>
+                <p style="color: #8b9dc3; font-size: 0.875rem;">${escapeHtml(issue.description)}</p>
             </div>
         </div>
     `).join('');
     
     // Display preview table
-    document.getElementById('aiTableHead').innerHTML = '<tr><th style="padding: 16px; text-align: left;">Employee</th><th style="padding: 16px; text-align: left;">Date</th><th style="padding: 16px; text-align: left;">Start</th><th style="padding: 16px; text-align: left;">End</th><th style="padding: 16px; text-align: left;">Position</th><th style="padding: 16px; text-align: left;">Hours</th></tr>';
+    document.getElementById('aiTableHead').innerHTML = '<tr>' + ['Employee', 'Date', 'Start', 'End', 'Classification', 'Hours', 'Rate Paid', 'Award Cost']
+        .map(h => `<th style="padding: 16px; text-align: left;">${h}</th>`).join('') + '</tr>';
     
     document.getElementById('aiTableBody').innerHTML = data.preview.map(row => `
         <tr style="border-bottom: 1px solid rgba(255, 255, 255, 0.05);">
-            ${row.map(cell => `<td style="padding: 16px; font-family: monospace; font-size: 0.875rem;">${cell}</td>`).join('')}
+            ${row.map(cell => `<td style="padding: 16px; font-family: monospace; font-size: 0.875rem;">${escapeHtml(String(cell))}</td>`).join('')}
         </tr>
     `).join('');
 }
@@ -22987,7 +23882,13 @@ function hasFeature(flagName) {
 
 // ---- Step 3: Question response storage -------------------------------------
 // Path: users/{uid}/fitzWatchResponses/{questionId}
-// Doc shape: { questionId, domain, response, lastAnsweredAt, confidence, skipUntil }
+// Doc shape: { questionId, domain, response, lastAnsweredAt, confidence, skipUntil,
+//              answeredBy, answeredByEmail, history[], evidence[] }
+// history and evidence are the audit trail an inspector sees, so answers and
+// evidence are saved through netlify/functions/fitz-watch-attest.js, which
+// stamps each entry with the verified user and the server's clock;
+// firestore.rules lets the browser read these docs but not write them. Entry
+// shapes: js/fitz-watch-rules.js.
 
 let _fitzWatchResponsesCache = null;
 
@@ -23028,25 +23929,152 @@ async function saveFitzWatchResponse(questionId, domain, response) {
         console.warn('Fitz Watch: saveFitzWatchResponse missing required fields', { questionId, domain, response });
         return { success: false };
     }
-    const FOURTEEN_DAYS_MS = 14 * 24 * 60 * 60 * 1000;
-    const skipUntilMs = response === 'skip_for_now' ? (Date.now() + FOURTEEN_DAYS_MS) : null;
-    const payload = {
+    try {
+        await postFitzWatchAttestation({ action: 'answer', questionId: questionId, domain: domain, response: response });
+        invalidateFitzWatchResponsesCache();
+        return { success: true };
+    } catch (error) {
+        console.warn('Fitz Watch: failed to save response', questionId, error);
+        return { success: false, error: error };
+    }
+}
+
+// Posts an answer or evidence to the attestation function; resolves to the
+// entry it recorded.
+async function postFitzWatchAttestation(body) {
+    const response = await fetch(CONFIG.API.FITZ_WATCH_ATTEST_ENDPOINT, {
+        method: 'POST',
+        headers: await chatRequestHeaders(),
+        body: JSON.stringify(body)
+    });
+    let data = {};
+    try { data = await response.json(); } catch (e) {}
+    if (!response.ok) throw new Error(data.message || data.error || 'Save failed (HTTP ' + response.status + ')');
+    return data.entry;
+}
+
+// Evidence for an attestation: a note, an uploaded file, or a record that a
+// Fitz Watch document was generated for it. Files go to the attestation
+// function as base64 and are kept in Firestore under
+// users/{uid}/fitzWatchEvidenceFiles (no Cloud Storage on the Spark plan); the
+// entry records only that path and the owner reads the file back with
+// openFitzWatchEvidenceFile(), so there is no public link to it.
+const FITZ_WATCH_EVIDENCE_MAX_BYTES = 4 * 1024 * 1024;   // keeps the upload under Netlify's 6 MB request limit
+
+async function addFitzWatchEvidence(questionId, evidence) {
+    if (!currentUser || !db) return { success: false };
+    evidence = evidence || {};
+    const note = (evidence.note || '').trim();
+    const file = evidence.file || null;
+    if (!questionId || (!note && !file && evidence.kind !== 'document')) {
+        return { success: false, error: new Error('Add a note or choose a file.') };
+    }
+    if (file && file.size > FITZ_WATCH_EVIDENCE_MAX_BYTES) {
+        return { success: false, error: new Error('Files must be 4 MB or smaller.') };
+    }
+    const body = {
+        action: 'evidence',
         questionId: questionId,
-        domain: domain,
-        response: response,
-        lastAnsweredAt: firebase.firestore.FieldValue.serverTimestamp(),
-        confidence: 'attested',
-        skipUntil: skipUntilMs ? firebase.firestore.Timestamp.fromMillis(skipUntilMs) : null
+        evidence: {
+            kind: file ? 'file' : (evidence.kind || 'note'),
+            name: file ? file.name : (evidence.name || null),
+            note: note || null
+        }
     };
+    try {
+        if (file) {
+            const dataUrl = await readFileAsBase64(file);
+            body.file = { contentType: file.type || 'application/octet-stream', data: String(dataUrl).slice(String(dataUrl).indexOf(',') + 1) };
+        }
+        // Only answered questions take evidence; the function refuses the rest.
+        const entry = await postFitzWatchAttestation(body);
+        // Patch the cached doc rather than invalidating, so an open dashboard
+        // re-renders with the new item without a reload.
+        const cached = _fitzWatchResponsesCache && _fitzWatchResponsesCache[questionId];
+        if (cached) cached.evidence = (cached.evidence || []).concat([entry]);
+        return { success: true, evidence: entry };
+    } catch (error) {
+        console.warn('Fitz Watch: failed to add evidence', questionId, error);
+        return { success: false, error: error };
+    }
+}
+
+// Downloads an evidence file from its users/{uid}/fitzWatchEvidenceFiles doc.
+// Firestore rules let only the signed-in owner read it.
+async function openFitzWatchEvidenceFile(path) {
+    if (!currentUser || !db || typeof path !== 'string' || path.indexOf('users/' + currentUser.uid + '/fitzWatchEvidenceFiles/') !== 0) return;
+    try {
+        const fileRef = db.doc(path);
+        const meta = await fileRef.get();
+        if (!meta.exists) throw new Error('Evidence file not found.');
+        const info = meta.data();
+        const chunks = await fileRef.collection('chunks').orderBy('index').get();
+        const binary = atob(chunks.docs.map(function(d) { return d.data().data; }).join(''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        const url = URL.createObjectURL(new Blob([bytes], { type: info.contentType || 'application/octet-stream' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = info.name || 'evidence';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.warn('Fitz Watch: failed to open evidence file', path, error);
+        if (typeof showNotification === 'function') showNotification('Could not open the evidence file. Please try again.', 'error');
+    }
+}
+
+// ---- Compliance score snapshots ---------------------------------------------
+// Path: users/{uid}/fitzWatchSnapshots/{period}   (period = Monday, YYYY-MM-DD)
+// Doc shape: buildComplianceSnapshot() in js/fitz-watch-history.js. One per
+// week; opening the dashboard again that week overwrites it.
+
+const FITZ_WATCH_SNAPSHOT_LIMIT = 26;   // half a year of weekly points
+
+let _fitzWatchSnapshotsCache = null;
+let _fitzWatchLastSavedSnapshot = null;   // period + content key, skips rewrites on re-render
+
+async function loadFitzWatchSnapshots() {
+    if (_fitzWatchSnapshotsCache) return _fitzWatchSnapshotsCache;
+    if (!currentUser || !db) return [];
+    try {
+        const snapshot = await db
+            .collection('users').doc(currentUser.uid)
+            .collection('fitzWatchSnapshots')
+            .orderBy('takenAt', 'desc')
+            .limit(FITZ_WATCH_SNAPSHOT_LIMIT)
+            .get();
+        const list = [];
+        snapshot.forEach(function(doc) { list.push(doc.data()); });
+        _fitzWatchSnapshotsCache = list.reverse();
+        return _fitzWatchSnapshotsCache;
+    } catch (error) {
+        console.warn('Fitz Watch: failed to load snapshots', error);
+        return [];
+    }
+}
+
+async function saveFitzWatchSnapshot(snapshot) {
+    if (!currentUser || !db || !snapshot || !snapshot.period) return { success: false };
+    const key = JSON.stringify([snapshot.period, snapshot.score, snapshot.outstanding, snapshot.gaps]);
+    if (key === _fitzWatchLastSavedSnapshot) return { success: true, unchanged: true };
     try {
         await db
             .collection('users').doc(currentUser.uid)
-            .collection('fitzWatchResponses').doc(questionId)
-            .set(payload, { merge: true });
-        invalidateFitzWatchResponsesCache();
+            .collection('fitzWatchSnapshots').doc(snapshot.period)
+            .set(snapshot);
+        _fitzWatchLastSavedSnapshot = key;
+        if (_fitzWatchSnapshotsCache) {
+            _fitzWatchSnapshotsCache = _fitzWatchSnapshotsCache
+                .filter(function(s) { return s.period !== snapshot.period; })
+                .concat([snapshot])
+                .slice(-FITZ_WATCH_SNAPSHOT_LIMIT);
+        }
         return { success: true };
     } catch (error) {
-        console.warn('Fitz Watch: failed to save response', questionId, error);
+        console.warn('Fitz Watch: failed to save snapshot', snapshot.period, error);
         return { success: false, error: error };
     }
 }
@@ -23274,6 +24302,7 @@ let _fwqState = { rules: [], currentIndex: 0, completed: false };
 
 async function openFitzWatchQuestionnaire() {
     await loadFitzWatchResponses();
+    if (typeof loadFitzWatchRules === 'function') await loadFitzWatchRules();
     const responses = getFitzWatchResponsesCache();
     const profile = venueProfile || {};
     const applicable = (typeof getQuestionRegistry === 'function')
@@ -23374,7 +24403,7 @@ function renderFitzWatchQuestion() {
             '</label>';
     }
 
-    const anchor = rule.statutoryAnchor || {};
+    const anchor = getStatutoryAnchor(rule, venueProfile || {});
     const anchorParts = [];
     if (anchor.act) anchorParts.push(anchor.act);
     if (anchor.section) anchorParts.push(anchor.section);
@@ -23546,6 +24575,19 @@ const _FW_FIX_CTA_LABEL = {
     external:     'Open resource'
 };
 
+// Secondary in-app tools a gap card can offer next to its fix action.
+const _FW_FIX_TOOLS = {
+    back_pay_calculator: { label: 'Quantify back-pay', open: function() { closeFitzWatchDashboard(); openBackPayCalculator(); } },
+    annualised_wage_reconciliation: { label: 'Reconcile annualised wages', open: function() { closeFitzWatchDashboard(); openAnnualisedWageReconciliation(); } },
+    leave_liability: { label: 'Check leave balances', open: function() { closeFitzWatchDashboard(); openLeaveLiability(); } },
+    termination_pay: { label: 'Calculate final pay', open: function() { closeFitzWatchDashboard(); openTerminationPay(); } }
+};
+
+function _fwOpenFixTool(toolId) {
+    const tool = _FW_FIX_TOOLS[toolId];
+    if (tool) tool.open();
+}
+
 // Active tab state. Persists across re-renders so toggling stays consistent.
 let _fwActiveTab = 'risks';
 
@@ -23557,6 +24599,7 @@ function fitzWatchSwitchTab(tab) {
 async function renderFitzWatchDashboard() {
     const profile = venueProfile || {};
     const responses = getFitzWatchResponsesCache();
+    const rulesLoad = (typeof loadFitzWatchRules === 'function') ? await loadFitzWatchRules() : null;
     // Sprint 5 — pull in active reforms for severity escalation
     let activeReforms = [];
     let applicableReforms = [];
@@ -23578,6 +24621,13 @@ async function renderFitzWatchDashboard() {
         return applicable.some(function(r) { return r.id === id; });
     }).length;
 
+    // This week's score snapshot. Saved in the background; the progress tab
+    // reads it straight from here so it never waits on the write.
+    const snapshot = (answeredCount > 0 && typeof buildComplianceSnapshot === 'function')
+        ? buildComplianceSnapshot(profile, responses, activeReforms)
+        : null;
+    if (snapshot) saveFitzWatchSnapshot(snapshot);
+
     // Meta line
     const meta = document.getElementById('fwDashboardMeta');
     if (meta) {
@@ -23612,6 +24662,7 @@ async function renderFitzWatchDashboard() {
     // Always rendered above the tabs
     const profileSummaryHtml = _fwRenderProfileSummary(profile);
     const changedPromptHtml = _fwRenderChangedPrompt();
+    const rulesUnavailableHtml = (rulesLoad && rulesLoad.unavailable) ? _fwRenderRulesUnavailable() : '';
 
     // Build tab nav with counts on each tab
     const risksCount = result.gaps.length;
@@ -23619,16 +24670,77 @@ async function renderFitzWatchDashboard() {
     const tabNavHtml = _fwRenderTabNav(_fwActiveTab, risksCount, changesCount);
 
     let panelHtml = '';
+    let trendSeries = null;
     if (_fwActiveTab === 'changes') {
         panelHtml = _fwRenderChangesTab(profile, applicableReforms);
     } else if (_fwActiveTab === 'dates') {
         panelHtml = _fwRenderDatesTab(profile);
+    } else if (_fwActiveTab === 'progress') {
+        const stored = await loadFitzWatchSnapshots();
+        trendSeries = snapshot
+            ? stored.filter(function(s) { return s.period !== snapshot.period; }).concat([snapshot])
+            : stored.slice();
+        panelHtml = _fwRenderProgressTab(snapshot, trendSeries);
     } else {
         // Default — "risks" tab. Contains the original dashboard content.
         panelHtml = _fwRenderRisksTab(profile, result, applicable, answeredCount);
     }
 
-    body.innerHTML = profileSummaryHtml + changedPromptHtml + tabNavHtml + panelHtml;
+    body.innerHTML = profileSummaryHtml + rulesUnavailableHtml + changedPromptHtml + tabNavHtml + panelHtml;
+    if (trendSeries && trendSeries.length > 1) _fwRenderTrendChart(trendSeries);
+}
+
+// ---- Compliance report export ---------------------------------------------
+// One-click PDF / Word copy of the dashboard for an accountant, insurer or
+// buyer. Built by js/fitz-watch-report.js from fresh responses and reforms.
+
+async function exportFitzWatchReport(format) {
+    if (typeof buildFitzWatchReport !== 'function') return;
+    const profile = venueProfile || {};
+    try {
+        const rulesLoad = (typeof loadFitzWatchRules === 'function') ? await loadFitzWatchRules() : null;
+        const responses = await loadFitzWatchResponses();
+        let reforms = [];
+        let activeReforms = [];
+        // A failed reform load still exports, but the report says so rather
+        // than telling an inspector nothing upcoming affects the business.
+        let reformsUnavailable = false;
+        try {
+            if (typeof getApplicableReforms === 'function') reforms = await getApplicableReforms(profile);
+            if (typeof getActiveReformsForEscalation === 'function') activeReforms = await getActiveReformsForEscalation(profile);
+        } catch (e) {
+            console.error('Fitz Watch report: could not load upcoming reforms:', e);
+            reforms = [];
+            activeReforms = [];
+            reformsUnavailable = true;
+        }
+        const report = buildFitzWatchReport(profile, responses, {
+            domains: _FW_DOMAINS,
+            profileRows: _fwProfileSummaryRows(profile),
+            reforms: reforms,
+            activeReforms: activeReforms,
+            reformsUnavailable: reformsUnavailable,
+            rulesUnavailable: !!(rulesLoad && rulesLoad.unavailable)
+        });
+        const html = renderFitzWatchReportHtml(report);
+        const filename = 'Fitz_Watch_Compliance_Report_' +
+            String(profile.venueName || 'Business').replace(/[^A-Za-z0-9_-]/g, '_') + '_' +
+            new Date().toISOString().slice(0, 10) + '.' + (format === 'pdf' ? 'pdf' : 'docx');
+        const metadata = { documentType: 'fitz_watch_report', format: format, generatedAt: new Date().toISOString() };
+        let success = false;
+        if (format === 'pdf') {
+            if (typeof pdfMake === 'undefined') throw new Error('PDF library not loaded. Please refresh the page and try again.');
+            pdfMake.createPdf(convertHTMLToPdfMake(html, metadata)).download(filename);
+            success = true;
+        } else {
+            success = await generateWordDocument(html, filename, metadata);
+        }
+        if (success) {
+            trackEvent('fitz_watch_report_exported', { user: currentUser, format: format, gaps: report.totals.gaps });
+        }
+    } catch (error) {
+        showAlert('Could not export the compliance report: ' + (error.message || error));
+    }
 }
 
 // ---- Tab nav rendering ----------------------------------------------------
@@ -23637,7 +24749,8 @@ function _fwRenderTabNav(active, risksCount, changesCount) {
     const tabs = [
         { id: 'risks',   label: 'Your risks',       count: risksCount },
         { id: 'changes', label: 'Upcoming changes', count: changesCount },
-        { id: 'dates',   label: 'Dates & reminders', count: null }
+        { id: 'dates',   label: 'Dates & reminders', count: null },
+        { id: 'progress', label: 'Progress',        count: null }
     ];
     const buttons = tabs.map(function(t) {
         const isActive = t.id === active;
@@ -23731,6 +24844,19 @@ function _fwRenderRisksTab(profile, result, applicable, answeredCount) {
         '</div>';
     }
 
+    // Answers that cleared a gap with no evidence behind them. Kept above the
+    // domain cards: an inspector will ask about these first.
+    const unevidenced = typeof detectUnevidencedChanges === 'function'
+        ? detectUnevidencedChanges(profile, responses)
+        : [];
+    if (unevidenced.length > 0) {
+        html += '<div class="p-4 rounded-xl bg-amber-900/15 border border-amber-700/50">' +
+            '<div class="font-semibold text-amber-200">Answers changed without evidence (' + unevidenced.length + ')</div>' +
+            '<p class="text-sm text-amber-300/70 mb-3">These no longer show as gaps, but nothing has been attached to show the fix. Add the signed agreement, record or note an inspector would ask for.</p>' +
+            '<div class="space-y-3">' + unevidenced.map(_fwRenderUnevidencedCard).join('') + '</div>' +
+        '</div>';
+    }
+
     domainData.forEach(function(s) {
         const isExpanded = _fwExpandedDomain === s.meta.id;
         const sevBadge = _FW_SEV_BADGE[s.severity] || _FW_SEV_BADGE.low;
@@ -23792,6 +24918,91 @@ function _fwRenderRisksTab(profile, result, applicable, answeredCount) {
     return html + '</div>';
 }
 
+// ---- Tab 4: Progress -------------------------------------------------------
+// Weekly score trend plus what changed against the snapshot from about a
+// month ago (pickComparisonSnapshot).
+
+let _fwTrendChart = null;
+
+function _fwRenderProgressTab(current, series) {
+    if (!current) {
+        return '<div class="text-center py-10 bg-slate-700/30 rounded-xl border border-slate-700">' +
+                '<div class="text-3xl mb-3">📈</div>' +
+                '<p class="text-slate-300">Answer the assessment to start tracking your compliance score.</p>' +
+            '</div>';
+    }
+    const previous = pickComparisonSnapshot(series, current);
+    const diff = previous ? diffComplianceSnapshots(previous, current) : null;
+    const change = diff && diff.scoreChange != null
+        ? (diff.scoreChange > 0 ? '▲ ' + diff.scoreChange : diff.scoreChange < 0 ? '▼ ' + Math.abs(diff.scoreChange) : 'no change') +
+            ' since ' + _fwFormatDate(previous.takenAt)
+        : 'Your first snapshot — check back next week to see the trend.';
+    const changeClass = diff && diff.scoreChange > 0 ? 'text-emerald-400' : diff && diff.scoreChange < 0 ? 'text-red-400' : 'text-slate-400';
+
+    let html = '<div class="space-y-4">' +
+        '<div class="p-4 rounded-xl bg-slate-700/30 border border-slate-700 flex items-end justify-between gap-3 flex-wrap">' +
+            '<div>' +
+                '<div class="text-xs uppercase tracking-wide text-slate-500">Compliance score</div>' +
+                '<div class="text-4xl font-bold text-white">' + current.score + '<span class="text-lg text-slate-500">/100</span></div>' +
+            '</div>' +
+            '<div class="text-sm ' + changeClass + '">' + _fwEscapeHtml(change) + '</div>' +
+        '</div>';
+
+    if (series.length > 1) {
+        html += '<div class="p-4 rounded-xl bg-slate-700/30 border border-slate-700"><div class="h-56"><canvas id="fwTrendChart"></canvas></div></div>';
+    }
+
+    if (diff) {
+        const row = function(g, note) {
+            return '<li class="text-sm text-slate-300"><span class="text-slate-500">' + _fwEscapeHtml(g.id) + '</span> ' +
+                _fwEscapeHtml(g.title) + (note ? ' <span class="text-slate-500">· ' + _fwEscapeHtml(note) + '</span>' : '') + '</li>';
+        };
+        const sevLabel = function(sev) { return (FITZ_WATCH_SEVERITY_LABELS[sev] || sev).toLowerCase(); };
+        const section = function(title, cls, items) {
+            if (items.length === 0) return '';
+            return '<div><div class="text-xs font-semibold uppercase tracking-wide mb-1 ' + cls + '">' + title + ' (' + items.length + ')</div>' +
+                '<ul class="space-y-1">' + items.join('') + '</ul></div>';
+        };
+        const body = section('Gaps closed', 'text-emerald-400', diff.closed.map(function(g) { return row(g); })) +
+            section('New gaps', 'text-red-400', diff.opened.map(function(g) { return row(g, sevLabel(g.severity)); })) +
+            section('Escalated by upcoming reforms', 'text-amber-400', diff.escalated.map(function(g) { return row(g, g.reform); })) +
+            section('Got worse', 'text-red-400', diff.worsened.map(function(c) { return row(c.gap, sevLabel(c.from) + ' → ' + sevLabel(c.to)); })) +
+            section('Improved', 'text-emerald-400', diff.improved.map(function(c) { return row(c.gap, sevLabel(c.from) + ' → ' + sevLabel(c.to)); }));
+        html += '<div class="p-4 rounded-xl bg-slate-700/30 border border-slate-700">' +
+            '<div class="font-semibold text-slate-200 mb-3">What changed since ' + _fwEscapeHtml(_fwFormatDate(previous.takenAt)) + '</div>' +
+            (body ? '<div class="space-y-3">' + body + '</div>' : '<p class="text-sm text-slate-400">No changes to your gaps.</p>') +
+        '</div>';
+    }
+    return html + '</div>';
+}
+
+function _fwRenderTrendChart(series) {
+    const ctx = document.getElementById('fwTrendChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+    if (_fwTrendChart) _fwTrendChart.destroy();
+    _fwTrendChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: series.map(function(s) { return _fwFormatDate(s.takenAt); }),
+            datasets: [{
+                label: 'Compliance score',
+                data: series.map(function(s) { return s.score; }),
+                borderColor: '#f59e0b',
+                backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                tension: 0.4,
+                fill: true
+            }, {
+                label: 'Open gaps',
+                data: series.map(function(s) { return (s.gaps || []).length; }),
+                borderColor: '#ef4444',
+                backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                tension: 0.4
+            }]
+        },
+        options: darkChartOptions()
+    });
+}
+
 // ---- Tab 2: Upcoming changes -----------------------------------------------
 
 function _fwRenderChangesTab(profile, reforms) {
@@ -23934,16 +25145,14 @@ function _fwProfileValueOrDash(profile, key) {
     return map[raw] || String(raw);
 }
 
-function _fwRenderProfileSummary(profile) {
+// Shared by the dashboard summary and the compliance report.
+function _fwProfileSummaryRows(profile) {
     profile = profile || {};
-    const venueLine = (profile.venueName || 'Your venue') +
-        (profile.state ? ' · ' + profile.state : '') +
-        (profile.primaryAward ? ' · ' + profile.primaryAward : '');
     const staffLine = (profile.staffCount != null ? profile.staffCount + ' total' : '—') + ' (' +
         (profile.casual_count || 0) + ' casual, ' +
         (profile.part_time_count || 0) + ' part-time, ' +
         (profile.full_time_count || 0) + ' full-time)';
-    const rows = [
+    return [
         ['ABN', profile.venue_abn || '—'],
         ['Trading address', profile.venue_address || '—'],
         ['Staff', staffLine],
@@ -23953,7 +25162,14 @@ function _fwRenderProfileSummary(profile) {
         ['Time records method', _fwProfileValueOrDash(profile, 'time_records_method')],
         ['Insurance renewal', _fwProfileValueOrDash(profile, 'insurance_renewal_month')]
     ];
-    const rowsHtml = rows.map(function(r) {
+}
+
+function _fwRenderProfileSummary(profile) {
+    profile = profile || {};
+    const venueLine = (profile.venueName || 'Your venue') +
+        (profile.state ? ' · ' + profile.state : '') +
+        (profile.primaryAward ? ' · ' + profile.primaryAward : '');
+    const rowsHtml = _fwProfileSummaryRows(profile).map(function(r) {
         return '<div class="flex justify-between gap-3 py-1.5 text-sm border-b border-slate-700/50 last:border-b-0">' +
             '<span class="text-slate-400">' + _fwEscapeHtml(r[0]) + '</span>' +
             '<span class="text-slate-200 text-right">' + _fwEscapeHtml(r[1]) + '</span>' +
@@ -23999,6 +25215,15 @@ function _fwRenderChangedPrompt() {
     '</div>';
 }
 
+// Shown while fitz-watch-rules.json has not loaded: the built-in rules still
+// run, but the award rule packs are missing from the risk picture.
+function _fwRenderRulesUnavailable() {
+    return '<div class="p-4 bg-red-900/15 border border-red-700/50 rounded-xl">' +
+        '<div class="font-semibold text-red-200 text-sm mb-1">Award rule packs unavailable</div>' +
+        '<div class="text-xs text-red-300/70">They could not be loaded, so only the built-in questions are checked and award-specific gaps are not shown. Reopen the dashboard to try again.</div>' +
+    '</div>';
+}
+
 function _fwDismissChangedPrompt() {
     try { sessionStorage.setItem('fwChangedPromptDismissed', '1'); } catch (e) {}
     renderFitzWatchDashboard();
@@ -24007,6 +25232,7 @@ function _fwDismissChangedPrompt() {
 function _fwRenderGapCard(gap) {
     const sevBadge = _FW_SEV_BADGE[gap.severity] || _FW_SEV_BADGE.low;
     const ctaLabel = _FW_FIX_CTA_LABEL[gap.fix_action] || 'Get help';
+    const tool = gap.fix_payload_tool ? _FW_FIX_TOOLS[gap.fix_payload_tool] : null;
     const anchor = gap.statutory_anchor || {};
     const anchorParts = [];
     if (anchor.act) anchorParts.push(anchor.act);
@@ -24039,11 +25265,109 @@ function _fwRenderGapCard(gap) {
         '<p class="text-xs text-amber-400/80 mb-2">⏱ ' + _fwEscapeHtml(gap.urgency_driver || '') + '</p>' +
         '<div class="flex items-center justify-between flex-wrap gap-2 mt-3">' +
             '<div class="text-xs text-slate-500">' + _fwEscapeHtml(affectedStr) + ' · Verify with your adviser if unsure</div>' +
-            '<button onclick="_fwHandleFixAction(\'' + _fwEscapeHtml(gap.gap_id) + '\')" class="px-4 py-2 text-sm font-semibold rounded-lg transition-all ' + ctaClass + '">' + _fwEscapeHtml(ctaLabel) + ' →</button>' +
+            '<div class="flex items-center gap-2">' +
+                (tool ? '<button onclick="_fwOpenFixTool(\'' + _fwEscapeHtml(gap.fix_payload_tool) + '\')" class="px-4 py-2 text-sm font-semibold rounded-lg transition-all border border-amber-500 text-amber-400 hover:bg-amber-500/10">' + _fwEscapeHtml(tool.label) + '</button>' : '') +
+                '<button onclick="_fwHandleFixAction(\'' + _fwEscapeHtml(gap.gap_id) + '\')" class="px-4 py-2 text-sm font-semibold rounded-lg transition-all ' + ctaClass + '">' + _fwEscapeHtml(ctaLabel) + ' →</button>' +
+            '</div>' +
+        '</div>' +
+        _fwRenderAttestationPanel(gap.gap_id) +
+    '</div>';
+}
+
+// ---- Attestation evidence and history --------------------------------------
+
+function _fwOptionLabel(questionId, value) {
+    const rule = typeof getQuestionById === 'function' ? getQuestionById(questionId) : null;
+    const opt = rule && (rule.options || []).find(function(o) { return o.value === value; });
+    return opt ? opt.label : String(value);
+}
+
+// Collapsible "show me" panel: evidence on file, every answer with who gave
+// it and when, and a form to attach a note or file.
+function _fwRenderAttestationPanel(questionId) {
+    const doc = getFitzWatchResponsesCache()[questionId];
+    if (!doc) return '';
+    const history = getAttestationHistory(doc).slice().reverse();
+    const evidence = (doc.evidence || []).slice().sort(function(a, b) { return (b.addedAt || 0) - (a.addedAt || 0); });
+    const idAttr = _fwEscapeHtml(questionId);
+
+    const evidenceHtml = evidence.length === 0
+        ? '<p class="text-xs text-slate-500">No evidence attached yet.</p>'
+        : '<ul class="space-y-1">' + evidence.map(function(e) {
+            const icon = e.kind === 'file' ? '📎' : e.kind === 'document' ? '📄' : '📝';
+            const name = e.kind === 'file' && e.path
+                ? '<a href="#" onclick="openFitzWatchEvidenceFile(\'' + _fwEscapeHtml(e.path) + '\'); return false;" class="text-amber-400 hover:text-amber-300 underline">' + _fwEscapeHtml(e.name) + '</a>'
+                : (e.name ? '<span class="text-slate-200">' + _fwEscapeHtml(e.name) + '</span>' : '');
+            const who = e.addedByEmail ? ' · ' + _fwEscapeHtml(e.addedByEmail) : '';
+            return '<li class="text-xs text-slate-300">' + icon + ' ' + name +
+                (e.note ? (name ? ' — ' : '') + _fwEscapeHtml(e.note) : '') +
+                '<span class="text-slate-500"> · ' + _fwEscapeHtml(_fwFormatDate(e.addedAt)) + who + '</span></li>';
+        }).join('') + '</ul>';
+
+    const historyHtml = '<ul class="space-y-1">' + history.map(function(h) {
+        const who = h.answeredByEmail || (h.answeredBy ? 'user ' + h.answeredBy : 'answered before history was kept');
+        return '<li class="text-xs text-slate-300">' + _fwEscapeHtml(_fwOptionLabel(questionId, h.response)) +
+            '<span class="text-slate-500"> · ' + _fwEscapeHtml(h.answeredAt ? _fwFormatDate(h.answeredAt) : 'date unknown') + ' · ' + _fwEscapeHtml(who) + '</span></li>';
+    }).join('') + '</ul>';
+
+    return '<details class="mt-3 pt-3 border-t border-slate-700">' +
+        '<summary class="text-xs text-slate-400 cursor-pointer hover:text-slate-200">Evidence &amp; history (' +
+            evidence.length + ' item' + (evidence.length === 1 ? '' : 's') + ' · ' +
+            history.length + ' answer' + (history.length === 1 ? '' : 's') + ')</summary>' +
+        '<div class="mt-3 grid gap-4 md:grid-cols-2">' +
+            '<div>' +
+                '<div class="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-1">Evidence</div>' +
+                evidenceHtml +
+                '<div class="mt-3 space-y-2">' +
+                    '<textarea id="fwEvNote-' + idAttr + '" rows="2" placeholder="Note, e.g. signed agreements filed in HR folder" class="w-full px-3 py-2 text-xs bg-slate-900 border border-slate-700 rounded-lg text-white placeholder-slate-500"></textarea>' +
+                    '<input id="fwEvFile-' + idAttr + '" type="file" class="block w-full text-xs text-slate-400">' +
+                    '<button id="fwEvBtn-' + idAttr + '" onclick="_fwSubmitEvidence(\'' + idAttr + '\')" class="px-3 py-1.5 text-xs bg-slate-700 hover:bg-slate-600 text-white rounded-lg">Attach evidence</button>' +
+                '</div>' +
+            '</div>' +
+            '<div>' +
+                '<div class="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-1">Answer history</div>' +
+                historyHtml +
+            '</div>' +
         '</div>' +
+    '</details>';
+}
+
+// A question whose answer now clears the gap, but changed with nothing to
+// back it up — shown with the same panel so the evidence can be attached.
+function _fwRenderUnevidencedCard(change) {
+    return '<div class="p-4 rounded-xl border border-amber-700/50 bg-slate-800/60">' +
+        '<div class="text-xs uppercase tracking-wide text-slate-500 mb-0.5">' + _fwEscapeHtml(change.questionId) + '</div>' +
+        '<div class="font-semibold text-white">' + _fwEscapeHtml(change.title) + '</div>' +
+        '<div class="mt-2 inline-block px-2 py-1 text-xs rounded bg-amber-900/40 border border-amber-700 text-amber-200">⚠ Changed from “' +
+            _fwEscapeHtml(_fwOptionLabel(change.questionId, change.from)) + '” to “' +
+            _fwEscapeHtml(_fwOptionLabel(change.questionId, change.to)) + '”' +
+            (change.changedAt ? ' on ' + _fwEscapeHtml(_fwFormatDate(change.changedAt)) : '') +
+            (change.answeredBy ? ' by ' + _fwEscapeHtml(change.answeredBy) : '') +
+            ' without evidence</div>' +
+        _fwRenderAttestationPanel(change.questionId) +
     '</div>';
 }
 
+async function _fwSubmitEvidence(questionId) {
+    const noteEl = document.getElementById('fwEvNote-' + questionId);
+    const fileEl = document.getElementById('fwEvFile-' + questionId);
+    const btn = document.getElementById('fwEvBtn-' + questionId);
+    if (btn) { btn.disabled = true; btn.textContent = 'Attaching…'; }
+    const result = await addFitzWatchEvidence(questionId, {
+        note: noteEl ? noteEl.value : '',
+        file: fileEl && fileEl.files && fileEl.files[0] ? fileEl.files[0] : null
+    });
+    if (!result.success) {
+        if (btn) { btn.disabled = false; btn.textContent = 'Attach evidence'; }
+        if (typeof showNotification === 'function') {
+            showNotification('Could not attach evidence: ' + ((result.error && result.error.message) || 'please try again.'), 'error');
+        }
+        return;
+    }
+    if (typeof showNotification === 'function') showNotification('Evidence attached.', 'success');
+    renderFitzWatchDashboard();
+}
+
 // Sprint 4 — fix-action dispatcher. Routes by fix_action type.
 function _fwHandleFixAction(gapId) {
     const responses = getFitzWatchResponsesCache();
@@ -24156,6 +25480,31 @@ const _FW_DOC_TEMPLATES = {
         render: function() { return _fwDocRender_leaveInAdvance(); },
         validate: function() { return _fwDocValidate_leaveInAdvance(); },
         generate: function() { return _fwDocGenerate_leaveInAdvance(); }
+    },
+    underpayment_rectification_letter: {
+        title: 'Underpayment Rectification Letter',
+        subtitle: 'Notifies an employee of back-pay and super owed, per pay period, from your back-pay calculation',
+        anchor: 'FW Act s45 (award contravention) · Superannuation Guarantee (Administration) Act 1992',
+        render: function() { return _fwDocRender_rectificationLetter(); },
+        validate: function() { return _fwDocValidate_rectificationLetter(); },
+        generate: function() { return _fwDocGenerate_rectificationLetter(); }
+    },
+    annualised_wage_reconciliation_letter: {
+        title: 'Annualised Wage Reconciliation Letter',
+        subtitle: 'Sets out a reconciliation point\'s award comparison and the top-up owed, from your annualised wage reconciliation',
+        anchor: 'Annualised wage reconciliation clause for your award · FW Act s45',
+        excludeAwards: ['MA000100', 'MA000004', 'MA000120'],   // SCHADS, General Retail and Children's Services have no annualised wage arrangement clause
+        render: function() { return _fwDocRender_annualisedReconLetter(); },
+        validate: function() { return _fwDocValidate_annualisedReconLetter(); },
+        generate: function() { return _fwDocGenerate_annualisedReconLetter(); }
+    },
+    final_pay_statement: {
+        title: 'Final Pay Statement',
+        subtitle: 'Itemised notice, redundancy and leave payout on termination, from your termination pay calculation',
+        anchor: 'FW Act s90(2) · s117 (notice) · s119 (redundancy pay) · state long service leave Acts',
+        render: function() { return _fwDocRender_finalPayStatement(); },
+        validate: function() { return _fwDocValidate_finalPayStatement(); },
+        generate: function() { return _fwDocGenerate_finalPayStatement(); }
     }
 };
 
@@ -24250,6 +25599,10 @@ async function fitzWatchDocGenerate() {
         if (typeof showNotification === 'function') {
             showNotification('Document downloaded. Review before signing.', 'success');
         }
+        // Record the generated document against the gap it was built for.
+        if (_fwDocState.gap && _fwDocState.gap.gap_id) {
+            addFitzWatchEvidence(_fwDocState.gap.gap_id, { kind: 'document', name: result.filename, note: 'Generated with Fitz Watch — ' + template.title });
+        }
         closeFitzWatchDocBuilder();
     } catch (err) {
         _fwDocShowError('Could not generate the document: ' + (err.message || err));
@@ -24361,6 +25714,7 @@ function _fwAnnualisedWageProfile(reconDate) {
             recordSentence: 'A record of starting and finishing times of work, and any unpaid breaks taken, will be kept for each pay period or roster cycle and signed (or acknowledged in writing) by the employee (cl 28.3(c)).',
             weeklyRecordRef: 'Clause 28.3(c)',
             weeklyVarianceClause: 'cl 28.2(c)',
+            reconClause: 'cl 28.3(b)',
             eligibilityNote: 'Eligibility: under MA000010 cl 28.1, an annualised wage arrangement applies only to a full-time employee who is a Supervisor/Trainer/Coordinator Level I or II. Do not use this agreement for other classifications.',
             baseRateNote: 'For NES purposes, the base rate of pay is the portion of the annualised wage equivalent to the minimum rate in cl 20-Minimum rates, excluding incentive-based payments, bonuses, loadings, allowances, overtime and penalties (cl 28.4).'
         };
@@ -24373,6 +25727,7 @@ function _fwAnnualisedWageProfile(reconDate) {
             recordSentence: 'A record of the starting and finishing times of work, and any unpaid breaks taken, will be kept for each pay period or roster cycle and signed (or acknowledged in writing) by the employee (cl 22.2(c)).',
             weeklyRecordRef: 'Clause 22.2(c)',
             weeklyVarianceClause: 'cl 22.1(c)',
+            reconClause: 'cl 22.2(b)',
             eligibilityNote: 'Eligibility: under MA000027 cl 22.1(a), an annualised wage arrangement applies only to a full-time employee in Support Services employee Level 8 or Level 9, or Health Professional employee Level 2, Level 3 or Level 4. Do not use this agreement for other classifications.',
             baseRateNote: 'For NES purposes, the base rate of pay is the portion of the annualised wage equivalent to the relevant minimum hourly rate (cl 16 / cl 17), excluding incentive-based payments, bonuses, loadings, monetary allowances, overtime and penalties (cl 22.3).'
         };
@@ -24385,6 +25740,7 @@ function _fwAnnualisedWageProfile(reconDate) {
         recordSentence: 'A signed weekly time record of start times, finish times, and unpaid breaks will be kept for each pay period (cl 20.2(c); FW Act s535).',
         weeklyRecordRef: 'Clause 20.2(c)',
         weeklyVarianceClause: 'cl 20.2(b)',
+        reconClause: null,
         eligibilityNote: null,
         baseRateNote: null
     };
@@ -24733,7 +26089,7 @@ function _fwDocGenerate_cashOut() {
 // ============================================================================
 // Compliance documents subscription gate
 // ----------------------------------------------------------------------------
-// All 10 compliance documents (Sprint 4 Tier-1 + Phase 2) require a paid
+// All 13 compliance documents (Sprint 4 Tier-1 + Phase 2) require a paid
 // subscription tier. No credit cost. No free-tier trial. Free tier sees the
 // tiles for upsell discoverability but every generate attempt routes to the
 // upgrade flow.
@@ -24748,7 +26104,10 @@ const _FW_COMPLIANCE_TEMPLATE_IDS = new Set([
     'psychological_injury_claim_procedure',
     'warning_procedure_policy',
     'employment_contract_probation_clause',
-    'schedule_g_leave_in_advance_agreement'
+    'schedule_g_leave_in_advance_agreement',
+    'underpayment_rectification_letter',
+    'annualised_wage_reconciliation_letter',
+    'final_pay_statement'
 ]);
 
 // Template versioning. Manual quarterly review cadence. Bump this date when
@@ -25370,6 +26729,247 @@ function _fwDocGenerate_leaveInAdvance() {
     return { html: html, filename: 'Leave_In_Advance_' + (d.emp_name || 'Employee').replace(/[^A-Za-z0-9_-]/g, '_') + '.docx' };
 }
 
+// ====== Doc: Underpayment Rectification Letter (AP-001) =====================
+// Built from the Back-Pay Calculator's last result, so every figure in the
+// letter is the calculated per-period shortfall — nothing is typed in by hand.
+
+function _fwDocBackPayEmployees() {
+    const result = typeof _lastBackPayResult !== 'undefined' ? _lastBackPayResult : null;
+    return result ? result.employees.filter(function(e) { return e.total > 0; }) : [];
+}
+
+function _fwDocRender_rectificationLetter() {
+    const owed = _fwDocBackPayEmployees();
+    if (!owed.length) {
+        return '<form id="fwDocForm" onsubmit="event.preventDefault(); fitzWatchDocGenerate();" class="space-y-3">' +
+            '<div class="text-sm text-amber-300/80 p-3 bg-amber-900/20 border border-amber-700 rounded-lg">' +
+                'This letter is built from a back-pay calculation. Run the <strong>Back-Pay Calculator</strong> on your timesheets and pay records first, then choose <em>Draft rectification letter</em> for the employee.' +
+            '</div>' +
+            '<button type="button" onclick="closeFitzWatchDocBuilder(); openBackPayCalculator();" class="px-4 py-2 text-sm bg-amber-500 hover:bg-amber-400 text-slate-900 font-semibold rounded-lg">Open Back-Pay Calculator →</button>' +
+        '</form>';
+    }
+    const selected = _backPayLetterEmployee;
+    const options = owed.map(function(e) {
+        return '<option value="' + _fwEscapeHtml(e.employee) + '"' + (e.employee === selected ? ' selected' : '') + '>' +
+            _fwEscapeHtml(e.employee) + ' — $' + e.total.toFixed(2) + ' owed</option>';
+    }).join('');
+    return '<form id="fwDocForm" onsubmit="event.preventDefault(); fitzWatchDocGenerate();" class="space-y-3">' +
+        '<div class="text-xs text-amber-300/80 p-3 bg-amber-900/20 border border-amber-700 rounded-lg"><strong>Figures come from your back-pay calculation.</strong> Periods that could not be fully priced are not in the letter — resolve them and recalculate before sending if they apply to this employee.</div>' +
+        _fwDocFieldRow('Employee', '<select name="emp_name" required class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">' + options + '</select>') +
+        '<div class="grid grid-cols-2 gap-3">' +
+            _fwDocFieldRow('Back-pay will be paid by', '<input type="date" name="payment_date" required class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+            _fwDocFieldRow('Paid as', '<select name="payment_method" required class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none"><option value="separate">A separate payment</option><option value="next_pay">Part of the next pay run</option></select>') +
+        '</div>' +
+        '<div class="grid grid-cols-2 gap-3">' +
+            _fwDocFieldRow('Correct rates applied from', '<input type="date" name="corrected_from" required class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+            _fwDocFieldRow('Contact for questions', '<input type="text" name="contact_name" required value="' + _fwEscapeHtml((venueProfile && venueProfile.userName) || '') + '" class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+        '</div>' +
+        _fwDocFieldRow('Letter date', '<input type="date" name="letter_date" required value="' + _fwTodayIso() + '" class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+    '</form>';
+}
+
+function _fwDocValidate_rectificationLetter() {
+    const d = _fwReadDocForm();
+    if (!_fwDocBackPayEmployees().length) return { ok: false, error: 'Run the Back-Pay Calculator first — the letter is built from its results.' };
+    if (!d.emp_name || !d.payment_date || !d.corrected_from || !d.contact_name || !d.letter_date) return { ok: false, error: 'Please complete all required fields.' };
+    if (d.payment_date < d.letter_date) return { ok: false, error: 'The payment date cannot be before the letter date.' };
+    return { ok: true };
+}
+
+function _fwDocGenerate_rectificationLetter() {
+    const d = _fwReadDocForm();
+    const result = _lastBackPayResult;
+    const employee = _fwDocBackPayEmployees().find(function(e) { return e.employee === d.emp_name; });
+    const periods = _backPayPeriodsFor(result, employee.employee).filter(function(p) { return p.complete && p.shortfall > 0; });
+    const award = getAwardContext();
+    const money = function(n) { return '$' + (n || 0).toFixed(2); };
+    const rows = periods.map(function(p) {
+        return '<tr><td>' + _fwEscapeHtml(p.periodStart) + ' to ' + _fwEscapeHtml(p.periodEnd) + '</td><td>' + money(p.expected) + '</td><td>' + money(p.paid) + '</td><td>' + money(p.shortfall) + '</td><td>' + money(p.super) + '</td></tr>';
+    }).join('');
+    const html =
+        '<h1>Notice of Underpayment and Rectification</h1>' +
+        '<p>' + _fwEscapeHtml(d.letter_date) + '</p>' +
+        '<p>To: <strong>' + _fwEscapeHtml(employee.employee) + '</strong></p>' +
+        '<p>From: ' + _fwVenueLine() + '</p>' +
+        '<h3>1. What we found</h3>' +
+        '<p>We have reviewed your timesheets and pay records for the pay periods from ' + _fwEscapeHtml(employee.firstPeriod) + ' to ' + _fwEscapeHtml(employee.lastPeriod) + ' against the minimum rates of the ' + _fwEscapeHtml(award.fullName || award.name || '') + ' (' + _fwEscapeHtml(award.code || '') + '), using the rates in force on each day you worked. In ' + periods.length + ' pay period' + (periods.length === 1 ? '' : 's') + ' you were paid less than your minimum entitlement under the award. We apologise for this error.</p>' +
+        '<h3>2. Amount owed</h3>' +
+        '<table border="1" cellpadding="4" cellspacing="0"><thead><tr><th>Pay period</th><th>Award entitlement</th><th>Paid</th><th>Wages owed</th><th>Super owed</th></tr></thead><tbody>' + rows + '</tbody></table>' +
+        '<p>Total wages owed: <strong>' + money(employee.shortfall) + '</strong> (before tax)</p>' +
+        '<p>Total superannuation owed: <strong>' + money(employee.super) + '</strong></p>' +
+        '<h3>3. How we will fix it</h3>' +
+        '<p>We will pay you ' + money(employee.shortfall) + ' (less PAYG withholding) ' + (d.payment_method === 'next_pay' ? 'as part of your next pay run' : 'as a separate payment') + ', no later than <strong>' + _fwEscapeHtml(d.payment_date) + '</strong>. It will be shown as back-pay on your payslip, itemised by pay period.</p>' +
+        '<p>We will pay ' + money(employee.super) + ' in superannuation to your nominated fund by the same date.</p>' +
+        '<h3>4. Going forward</h3>' +
+        '<p>Your pay has been corrected to at least the award minimum rates from ' + _fwEscapeHtml(d.corrected_from) + '. We will re-check our rates each time the award rates change.</p>' +
+        '<h3>5. Questions and your rights</h3>' +
+        '<p>If you have any questions about this calculation, please contact ' + _fwEscapeHtml(d.contact_name) + '. You are entitled to seek independent advice, including from the Fair Work Ombudsman (fairwork.gov.au, 13 13 94). Accepting this payment does not prevent you from raising any further concerns about your pay.</p>' +
+        '<h3>6. Signatures</h3>' +
+        _fwSignatureBlock(null) +
+        '<p><strong>Acknowledgement of receipt</strong> (this is not a release of any claim)</p>' +
+        '<p>Employee: _______________________________ Date: ___________</p>' +
+        '<p>Name: ' + _fwEscapeHtml(employee.employee) + '</p>' +
+        '<p><em>Calculated ' + _fwEscapeHtml((result.calculatedAt || '').slice(0, 10)) + ' from uploaded timesheets and pay records. Estimate of minimum award wages only — allowances, weekly overtime and leave are not included. This document is not a substitute for legal advice.</em></p>';
+    return { html: html, filename: 'Underpayment_Rectification_' + employee.employee.replace(/[^A-Za-z0-9_-]/g, '_') + '.docx' };
+}
+
+// ====== Doc: Annualised Wage Reconciliation Letter (AP-002) =================
+// Built from the Annualised Wage Reconciliation's last result: one letter per
+// reconciliation point (12-month or termination) that shows a shortfall.
+
+function _fwDocAnnualisedReconPeriods() {
+    const result = typeof _lastAnnualisedReconResult !== 'undefined' ? _lastAnnualisedReconResult : null;
+    return result ? result.periods.filter(function(p) { return p.complete && p.status !== 'in_progress' && p.shortfall > 0; }) : [];
+}
+
+function _fwDocRender_annualisedReconLetter() {
+    const owed = _fwDocAnnualisedReconPeriods();
+    if (!owed.length) {
+        return '<form id="fwDocForm" onsubmit="event.preventDefault(); fitzWatchDocGenerate();" class="space-y-3">' +
+            '<div class="text-sm text-amber-300/80 p-3 bg-amber-900/20 border border-amber-700 rounded-lg">' +
+                'This letter is built from an annualised wage reconciliation. Run the <strong>Annualised Wage Reconciliation</strong> on the employee\'s time records first, then choose <em>Draft top-up letter</em> for the reconciliation point.' +
+            '</div>' +
+            '<button type="button" onclick="closeFitzWatchDocBuilder(); openAnnualisedWageReconciliation();" class="px-4 py-2 text-sm bg-amber-500 hover:bg-amber-400 text-slate-900 font-semibold rounded-lg">Open Annualised Wage Reconciliation →</button>' +
+        '</form>';
+    }
+    const selected = _annualisedReconLetterPeriod;
+    const options = owed.map(function(p) {
+        return '<option value="' + p.index + '"' + (p.index === selected ? ' selected' : '') + '>' +
+            _fwEscapeHtml(p.periodStart + ' to ' + p.periodEnd) + ' — $' + p.shortfall.toFixed(2) + ' owed</option>';
+    }).join('');
+    return '<form id="fwDocForm" onsubmit="event.preventDefault(); fitzWatchDocGenerate();" class="space-y-3">' +
+        '<div class="text-xs text-amber-300/80 p-3 bg-amber-900/20 border border-amber-700 rounded-lg"><strong>Figures come from your reconciliation for ' + _fwEscapeHtml(_lastAnnualisedReconResult.employee || '') + '.</strong> The shortfall must be paid within 14 days of the reconciliation date.</div>' +
+        _fwDocFieldRow('Reconciliation period', '<select name="period_index" required class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">' + options + '</select>') +
+        '<div class="grid grid-cols-2 gap-3">' +
+            _fwDocFieldRow('Top-up will be paid by', '<input type="date" name="payment_date" required class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+            _fwDocFieldRow('Contact for questions', '<input type="text" name="contact_name" required value="' + _fwEscapeHtml((venueProfile && venueProfile.userName) || '') + '" class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+        '</div>' +
+        _fwDocFieldRow('Letter date', '<input type="date" name="letter_date" required value="' + _fwTodayIso() + '" class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+    '</form>';
+}
+
+function _fwDocValidate_annualisedReconLetter() {
+    const d = _fwReadDocForm();
+    if (!_fwDocAnnualisedReconPeriods().length) return { ok: false, error: 'Run the Annualised Wage Reconciliation first — the letter is built from its results.' };
+    if (!d.period_index || !d.payment_date || !d.contact_name || !d.letter_date) return { ok: false, error: 'Please complete all required fields.' };
+    if (d.payment_date < d.letter_date) return { ok: false, error: 'The payment date cannot be before the letter date.' };
+    return { ok: true };
+}
+
+function _fwDocGenerate_annualisedReconLetter() {
+    const d = _fwReadDocForm();
+    const result = _lastAnnualisedReconResult;
+    const p = _fwDocAnnualisedReconPeriods().find(function(x) { return String(x.index) === String(d.period_index); });
+    const award = getAwardContext();
+    const prof = _fwAnnualisedWageProfile();
+    const money = function(n) { return '$' + (n || 0).toFixed(2); };
+    const reconRef = prof.reconClause ? ' (' + prof.reconClause + ')' : '';
+    const late = d.payment_date > p.paymentDueBy;
+    const weekRows = p.outerLimitWeeks.map(function(w) {
+        return '<tr><td>Week starting ' + _fwEscapeHtml(w.weekStart) + '</td><td>' + (w.ordinaryHours + w.overtimeHours) + '</td><td>' + (w.outerOrdinaryHours + w.outerOvertimeHours) + '</td><td>' + money(w.cost) + '</td></tr>';
+    }).join('');
+    const html =
+        '<h1>Annualised Wage Reconciliation</h1>' +
+        '<p>' + _fwEscapeHtml(d.letter_date) + '</p>' +
+        '<p>To: <strong>' + _fwEscapeHtml(result.employee) + '</strong></p>' +
+        '<p>From: ' + _fwVenueLine() + '</p>' +
+        '<h3>1. Reconciliation</h3>' +
+        '<p>You are paid an annualised wage of ' + money(result.arrangement.annualSalary) + ' per year under a written annualised wage arrangement under the ' + _fwEscapeHtml(award.fullName || award.name || '') + ' (' + _fwEscapeHtml(award.code || '') + ')' + reconRef + '. ' +
+            (p.status === 'termination' ? 'As the arrangement ended on ' + _fwEscapeHtml(p.periodEnd) + ', we' : 'At the end of each 12 months of the arrangement we') +
+            ' have compared what you were paid with what the award would have paid for the hours you actually worked, using your signed time records for ' + _fwEscapeHtml(p.periodStart) + ' to ' + _fwEscapeHtml(p.periodEnd) + ' and the award rates in force on each day you worked.</p>' +
+        '<h3>2. What we found</h3>' +
+        '<table border="1" cellpadding="4" cellspacing="0"><tbody>' +
+            '<tr><td>Hours worked</td><td>' + p.hours + '</td></tr>' +
+            '<tr><td>Award value of the hours covered by your annualised wage</td><td>' + money(p.awardEntitlement) + '</td></tr>' +
+            '<tr><td>Annualised wage paid for the period</td><td>' + money(p.annualisedWage) + '</td></tr>' +
+            '<tr><td>Annualised wage shortfall</td><td>' + money(p.reconciliationShortfall) + '</td></tr>' +
+        '</tbody></table>' +
+        (p.outerLimitWeeks.length
+            ? '<p>In ' + p.outerLimitWeeks.length + ' week' + (p.outerLimitWeeks.length === 1 ? '' : 's') + ' you worked more than the outer-limit hours in your agreement. Those hours are not covered by the annualised wage and are payable separately at award rates (' + _fwEscapeHtml(prof.weeklyVarianceClause) + '):</p>' +
+              '<table border="1" cellpadding="4" cellspacing="0"><thead><tr><th>Week</th><th>Hours worked</th><th>Hours past the outer limits</th><th>Award value</th></tr></thead><tbody>' + weekRows + '</tbody></table>' +
+              '<p>Award value of those hours: ' + money(p.outerLimitEntitlement) + '. Already paid separately: ' + money(p.separatelyPaid) + '. Still owed: <strong>' + money(p.outerLimitShortfall) + '</strong>.</p>'
+            : '') +
+        '<h3>3. Top-up payment</h3>' +
+        '<p>Total owed to you for this period: <strong>' + money(p.shortfall) + '</strong> (before tax).</p>' +
+        '<p>We will pay you ' + money(p.shortfall) + ' (less PAYG withholding) no later than <strong>' + _fwEscapeHtml(d.payment_date) + '</strong>. It will be shown on your payslip as an annualised wage reconciliation payment for ' + _fwEscapeHtml(p.periodStart) + ' to ' + _fwEscapeHtml(p.periodEnd) + '.</p>' +
+        (late ? '<p>The award requires a shortfall to be paid within 14 days of the reconciliation date, that is by ' + _fwEscapeHtml(p.paymentDueBy) + '. We apologise that this payment is later than that.</p>' : '') +
+        (p.status === 'termination' ? '' : '<h3>4. Going forward</h3><p>We will review whether your annualised wage still reflects the hours you work, and will continue to reconcile it each 12 months.</p>') +
+        '<h3>' + (p.status === 'termination' ? '4' : '5') + '. Questions and your rights</h3>' +
+        '<p>If you have any questions about this calculation, please contact ' + _fwEscapeHtml(d.contact_name) + '. You are entitled to seek independent advice, including from the Fair Work Ombudsman (fairwork.gov.au, 13 13 94). Accepting this payment does not prevent you from raising any further concerns about your pay.</p>' +
+        _fwSignatureBlock(null) +
+        '<p><strong>Acknowledgement of receipt</strong> (this is not a release of any claim)</p>' +
+        '<p>Employee: _______________________________ Date: ___________</p>' +
+        '<p>Name: ' + _fwEscapeHtml(result.employee) + '</p>' +
+        '<p><em>Calculated ' + _fwEscapeHtml((result.calculatedAt || '').slice(0, 10)) + ' from the employee\'s time records. Estimate of minimum award wages only — overtime is assessed per shift against the award\'s daily cap, and allowances and leave loading are not included. Superannuation on the top-up is not calculated. This document is not a substitute for legal advice.</em></p>';
+    return { html: html, filename: 'Annualised_Wage_Reconciliation_' + String(result.employee || 'Employee').replace(/[^A-Za-z0-9_-]/g, '_') + '_' + p.periodEnd + '.docx' };
+}
+
+// ====== Doc: Final Pay Statement ==============================================
+// Built from the Termination Pay calculator's last result. The statement
+// reference is what the termination letter quotes.
+
+function _fwDocFinalPayReference(result) {
+    return 'FPS-' + result.lastDay.replace(/-/g, '') + '-' + String(result.employee || 'EMPLOYEE').toUpperCase().replace(/[^A-Z0-9]+/g, '').slice(0, 12);
+}
+
+function _fwDocRender_finalPayStatement() {
+    const result = typeof _lastTerminationPayResult !== 'undefined' ? _lastTerminationPayResult : null;
+    if (!result) {
+        return '<form id="fwDocForm" onsubmit="event.preventDefault(); fitzWatchDocGenerate();" class="space-y-3">' +
+            '<div class="text-sm text-amber-300/80 p-3 bg-amber-900/20 border border-amber-700 rounded-lg">' +
+                'This statement is built from a termination pay calculation. Run the <strong>Termination Pay</strong> calculator for the employee first, then choose <em>Final pay statement</em>.' +
+            '</div>' +
+            '<button type="button" onclick="closeFitzWatchDocBuilder(); openTerminationPay();" class="px-4 py-2 text-sm bg-amber-500 hover:bg-amber-400 text-slate-900 font-semibold rounded-lg">Open Termination Pay →</button>' +
+        '</form>';
+    }
+    return '<form id="fwDocForm" onsubmit="event.preventDefault(); fitzWatchDocGenerate();" class="space-y-3">' +
+        '<div class="text-xs text-amber-300/80 p-3 bg-amber-900/20 border border-amber-700 rounded-lg"><strong>Figures come from your termination pay calculation for ' + _fwEscapeHtml(result.employee || 'the employee') + ' ($' + result.total.toFixed(2) + ').</strong> Quote reference ' + _fwEscapeHtml(_fwDocFinalPayReference(result)) + ' in the termination letter.</div>' +
+        '<div class="grid grid-cols-2 gap-3">' +
+            _fwDocFieldRow('Final pay will be paid on', '<input type="date" name="payment_date" required value="' + _fwEscapeHtml(result.paymentDueBy) + '" class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+            _fwDocFieldRow('Contact for questions', '<input type="text" name="contact_name" required value="' + _fwEscapeHtml((venueProfile && venueProfile.userName) || '') + '" class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+        '</div>' +
+        _fwDocFieldRow('Statement date', '<input type="date" name="statement_date" required value="' + _fwTodayIso() + '" class="w-full mt-1 p-2 bg-slate-700 text-white rounded border border-slate-600 focus:border-amber-500 outline-none">') +
+    '</form>';
+}
+
+function _fwDocValidate_finalPayStatement() {
+    const d = _fwReadDocForm();
+    if (typeof _lastTerminationPayResult === 'undefined' || !_lastTerminationPayResult) return { ok: false, error: 'Run the Termination Pay calculator first — the statement is built from its results.' };
+    if (!d.payment_date || !d.contact_name || !d.statement_date) return { ok: false, error: 'Please complete all required fields.' };
+    return { ok: true };
+}
+
+function _fwDocGenerate_finalPayStatement() {
+    const d = _fwReadDocForm();
+    const result = _lastTerminationPayResult;
+    const money = function(n) { return '$' + (n || 0).toFixed(2); };
+    const late = d.payment_date > result.paymentDueBy;
+    const rows = result.items.map(function(i) {
+        return '<tr><td>' + _fwEscapeHtml(i.label) + '</td><td>' + _fwEscapeHtml(i.basis) + '</td><td>' + (i.hours || '') + '</td><td>' + (i.rate ? money(Math.round(i.rate * 100) / 100) : '') + '</td><td>' + (i.amount > 0 ? money(i.amount) : 'Nil') + '</td></tr>';
+    }).join('');
+    const html =
+        '<h1>Final Pay Statement</h1>' +
+        '<p>Reference: <strong>' + _fwEscapeHtml(_fwDocFinalPayReference(result)) + '</strong></p>' +
+        '<p>' + _fwEscapeHtml(d.statement_date) + '</p>' +
+        '<p>To: <strong>' + _fwEscapeHtml(result.employee) + '</strong></p>' +
+        '<p>From: ' + _fwVenueLine() + '</p>' +
+        '<h3>1. Your employment</h3>' +
+        '<p>Your employment started on ' + _fwEscapeHtml(result.startDate) + ' and your last day is ' + _fwEscapeHtml(result.lastDay) + ' (' + result.completedYears + ' completed year' + (result.completedYears === 1 ? '' : 's') + ' of continuous service). Reason for the end of employment: ' + _fwEscapeHtml(result.reasonLabel.toLowerCase()) + '.</p>' +
+        '<h3>2. Termination entitlements</h3>' +
+        '<p>In addition to your wages for time worked up to your last day, you are entitled to:</p>' +
+        '<table border="1" cellpadding="4" cellspacing="0"><thead><tr><th>Item</th><th>Basis</th><th>Hours</th><th>Rate</th><th>Amount</th></tr></thead><tbody>' + rows +
+            '<tr><td><strong>Total</strong></td><td></td><td></td><td></td><td><strong>' + money(result.total) + '</strong></td></tr>' +
+        '</tbody></table>' +
+        '<h3>3. Payment</h3>' +
+        '<p>We will pay you ' + money(result.total) + ' (less PAYG withholding) with your final wages on <strong>' + _fwEscapeHtml(d.payment_date) + '</strong>. Your final payslip will show each item above separately.</p>' +
+        (late ? '<p>Final pay is generally due within 7 days of your last day, that is by ' + _fwEscapeHtml(result.paymentDueBy) + '. We apologise that this payment is later than that.</p>' : '') +
+        '<h3>4. Questions and your rights</h3>' +
+        '<p>This statement is referred to in the letter confirming the end of your employment. If you have any questions about it, please contact ' + _fwEscapeHtml(d.contact_name) + '. You are entitled to seek independent advice, including from the Fair Work Ombudsman (fairwork.gov.au, 13 13 94).</p>' +
+        _fwSignatureBlock(null) +
+        '<p><em>Calculated ' + _fwEscapeHtml((result.calculatedAt || '').slice(0, 10)) + '. Minimum entitlements under the National Employment Standards, the award and the state long service leave Act; tax and superannuation are not shown. This document is not a substitute for legal advice.</em></p>';
+    return { html: html, filename: 'Final_Pay_Statement_' + String(result.employee || 'Employee').replace(/[^A-Za-z0-9_-]/g, '_') + '_' + result.lastDay + '.docx' };
+}
+
 // ---- Step 8: Fitz Watch chat (gap-specific) -------------------------------
 
 let _fwChatState = { gap: null, history: [] };
@@ -25474,12 +27074,11 @@ async function fitzWatchChatSendMessage(messageText, isInitial) {
         payroll_software: profile.payroll_software || null,
         time_records_method: profile.time_records_method || null
     };
+    // The function looks the rule's title, question and anchor up itself;
+    // only the gap's id and current severity are sent.
     const gapCtx = gap ? {
         gapId: gap.gap_id,
-        title: gap.title,
-        severity: gap.severity,
-        domain: gap.domain,
-        statutoryAnchor: gap.statutory_anchor
+        severity: gap.severity
     } : null;
 
     // Send last 10 turns minus the just-pushed user message (the function
@@ -25489,24 +27088,28 @@ async function fitzWatchChatSendMessage(messageText, isInitial) {
     try {
         const response = await fetch('/.netlify/functions/chat', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await chatRequestHeaders(),
             body: JSON.stringify({
                 message: messageText,
                 history: historyForApi,
                 user: currentUser ? { uid: currentUser.uid, email: currentUser.email } : null,
                 primaryAward: profile.primaryAward || null,
                 venueContext: venueCtx,
-                gapContext: gapCtx
+                gapContext: gapCtx,
+                kind: 'fitz_watch_gap' // Not charged to the prompt allowance
             })
         });
         _fwChatRemoveTyping();
         if (!response.ok) {
-            _fwChatRenderError('The AI assistant failed to respond (HTTP ' + response.status + ').');
+            const error = await chatResponseError(response);
+            if (error.code === 'quota_exhausted') openPromptLimitModal();
+            _fwChatRenderError(error.code ? error.message : 'The AI assistant failed to respond (HTTP ' + response.status + ').');
             // Pop the failed user turn from history so retries don't compound it
             _fwChatState.history.pop();
             return;
         }
         const data = await response.json();
+        applyPromptQuota(data.quota);
         const reply = (data.message || data.response || data.text || '').trim() || 'No response received.';
         _fwChatRenderMessage('assistant', reply);
         _fwChatState.history.push({ role: 'assistant', content: reply });
@@ -25628,6 +27231,11 @@ if (typeof window !== 'undefined') {
     window.showFitzWatchToolTileIfFlagged = showFitzWatchToolTileIfFlagged;
     window.hasFeature = hasFeature;
     window.saveFitzWatchResponse = saveFitzWatchResponse;
+    window.addFitzWatchEvidence = addFitzWatchEvidence;
+    window.openFitzWatchEvidenceFile = openFitzWatchEvidenceFile;
+    window.exportFitzWatchReport = exportFitzWatchReport;
+    window.loadFitzWatchSnapshots = loadFitzWatchSnapshots;
+    window._fwSubmitEvidence = _fwSubmitEvidence;
     window.loadFitzWatchResponses = loadFitzWatchResponses;
 }
 
@@ -0,0 +1,157 @@
+// ============================================================================
+// AWARD REGISTRY — single source of truth for the supported modern awards.
+// ----------------------------------------------------------------------------
+// Pure data + one resolver. No Firestore reads, no AI calls, no DOM.
+//
+// Every consumer reads this one table: the browser (award resolution, rates
+// fetch, Award Wizard type), the chat function (prompt sector copy and rates
+// grounding), the regression runner, validate:rates and the flagged-answer
+// intake. Adding an award is one entry here plus its *-award-rates.json.
+//
+// Guardrail: anything that is not confidently a SUPPORTED award (or an ENABLED
+// preview award) resolves to UNRESOLVED_AWARD — never a silent Hospitality
+// default. See docs/guardrails-award-resolution.md.
+//
+// Entry fields:
+//   code, status 'supported'|'preview' (+ flag for a preview award),
+//   calculatorType 'role'|'classification'|null (Award Wizard model),
+//   vertical (regression suite slug), displayName, fullName, ratesFile (repo
+//   root), ratesUrl (same file as served), clausesFile (award clause index
+//   for cited chat answers; null where only a pay guide is held, see
+//   scripts/build_clause_index.py), sector + industryAdj (chat persona copy),
+//   aliases (lower-case substrings matched against the stored award).
+// ============================================================================
+
+const AWARD_REGISTRY = {
+    MA000009: {
+        code: 'MA000009', status: 'supported', calculatorType: 'role',
+        vertical: 'hospitality',
+        displayName: 'Hospitality Industry (General) Award',
+        fullName: 'Hospitality Industry (General) Award MA000009',
+        ratesFile: 'hospitality-award-rates.json',
+        ratesUrl: '/hospitality-award-rates.json',
+        clausesFile: null,
+        sector: 'hotels, restaurants, cafes, pubs, bars, and other hospitality venues',
+        industryAdj: 'hospitality',
+        aliases: ['hospitality']
+    },
+    MA000119: {
+        code: 'MA000119', status: 'supported', calculatorType: 'role',
+        vertical: 'restaurant',
+        displayName: 'Restaurant Industry Award',
+        fullName: 'Restaurant Industry Award MA000119',
+        ratesFile: 'restaurant-award-rates.json',
+        ratesUrl: '/restaurant-award-rates.json',
+        clausesFile: null,
+        sector: 'restaurants, cafes, bistros, and table-service food venues',
+        industryAdj: 'hospitality',
+        aliases: ['restaurant']
+    },
+    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
+    MA000010: {
+        code: 'MA000010', status: 'supported',
+        calculatorType: 'classification',   // C-level picker, not the hospitality role wizard
+        vertical: 'manufacturing',
+        displayName: 'Manufacturing and Associated Industries Award',
+        fullName: 'Manufacturing and Associated Industries and Occupations Award MA000010',
+        ratesFile: 'manufacturing-award-rates.json',
+        ratesUrl: '/manufacturing-award-rates.json',
+        clausesFile: 'manufacturing-award-clauses.json',
+        sector: 'general manufacturing and associated industries',
+        industryAdj: 'manufacturing',
+        aliases: ['manufacturing']
+    },
+    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
+    MA000100: {
+        code: 'MA000100', status: 'supported',
+        calculatorType: 'classification',   // Level/pay-point picker, not the hospitality role wizard
+        vertical: 'schads',
+        displayName: 'Social, Community, Home Care and Disability Services Award',
+        fullName: 'Social, Community, Home Care and Disability Services Industry Award MA000100',
+        ratesFile: 'schads-award-rates.json',
+        ratesUrl: '/schads-award-rates.json',
+        clausesFile: 'schads-award-clauses.json',
+        sector: 'social, community, home care and disability services (incl. NDIS, aged and home care)',
+        industryAdj: 'community services',
+        aliases: ['schads', 'social community', 'home care', 'disability services']
+    },
+    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
+    MA000004: {
+        code: 'MA000004', status: 'supported',
+        calculatorType: 'classification',   // Retail Employee Level 1-8 picker, not the hospitality role wizard
+        vertical: 'retail',
+        displayName: 'General Retail Industry Award',
+        fullName: 'General Retail Industry Award MA000004',
+        ratesFile: 'retail-award-rates.json',
+        ratesUrl: '/retail-award-rates.json',
+        clausesFile: null,
+        sector: 'the general retail trade (supermarkets, department, specialty and online stores)',
+        industryAdj: 'retail',
+        aliases: ['general retail', 'retail']
+    },
+    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
+    MA000027: {
+        code: 'MA000027', status: 'supported',
+        calculatorType: 'classification',   // Stream + level/pay-point picker, not the hospitality role wizard
+        vertical: 'health',
+        displayName: 'Health Professionals and Support Services Award',
+        fullName: 'Health Professionals and Support Services Award MA000027',
+        ratesFile: 'health-award-rates.json',
+        ratesUrl: '/health-award-rates.json',
+        clausesFile: 'health-award-clauses.json',
+        sector: 'private-sector health services (private hospitals, medical/dental/allied-health practices, diagnostic and pathology services, community and aged-care health)',
+        industryAdj: 'health services',
+        aliases: ['health professionals', 'health support', 'support services']
+    },
+    // GA — launched. Resolves unconditionally (regression-gated; see docs/regression-suite.md).
+    MA000120: {
+        code: 'MA000120', status: 'supported',
+        calculatorType: 'classification',   // Stream + level picker, not the hospitality role wizard
+        vertical: 'childrens',
+        displayName: "Children's Services Award",
+        fullName: "Children's Services Award MA000120",
+        ratesFile: 'childrens-award-rates.json',
+        ratesUrl: '/childrens-award-rates.json',
+        clausesFile: 'childrens-award-clauses.json',
+        sector: 'early childhood education and care (long day care, preschools/kindergartens, outside-school-hours care and other children\'s services)',
+        industryAdj: "children's services",
+        aliases: ["children's services", 'childrens services', 'early childhood', 'child care', 'childcare']
+    }
+};
+
+const UNRESOLVED_AWARD = { code: null, status: 'unresolved', displayName: null, fullName: null, ratesUrl: null };
+
+/**
+ * Resolves a stored award value (display string or MA code) to a registry entry.
+ * @param {string} stored - the venue's stored award (name, code or free text)
+ * @param {Function} [isFlagEnabled] - flag -> boolean; a preview award resolves
+ *   only when its flag is enabled (omitted: no preview award resolves)
+ * @returns {Object} the registry entry, or UNRESOLVED_AWARD when the award is
+ *   unknown, unsupported, or a preview that is not enabled
+ */
+function resolveAwardEntry(stored, isFlagEnabled) {
+    if (!stored) return UNRESOLVED_AWARD;
+    const s = String(stored).toLowerCase();
+    for (const code in AWARD_REGISTRY) {
+        const entry = AWARD_REGISTRY[code];
+        const matched = s.indexOf(code.toLowerCase()) !== -1 ||
+            entry.aliases.some(function (a) { return s.indexOf(a) !== -1; });
+        if (!matched) continue;
+        if (entry.status === 'preview') {
+            return (entry.flag && typeof isFlagEnabled === 'function' && isFlagEnabled(entry.flag)) ? entry : UNRESOLVED_AWARD;
+        }
+        return entry;
+    }
+    return UNRESOLVED_AWARD;
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.AWARD_REGISTRY = AWARD_REGISTRY;
+    window.UNRESOLVED_AWARD = UNRESOLVED_AWARD;
+    window.resolveAwardEntry = resolveAwardEntry;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AWARD_REGISTRY, UNRESOLVED_AWARD, resolveAwardEntry };
+}
@@ -0,0 +1,292 @@
+// ============================================================================
+// BACK-PAY — underpayment exposure from historical timesheets and pay records
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+// Depends on js/roster-compliance.js (date/time parsing, column detection),
+// js/rates-history.js (ratesVersionAsAt) and js/shift-costing.js (costShift),
+// which load before it.
+//
+// normalisePayRecords(rows) turns a payroll export (one row per employee per
+// pay period: employee, period start, period end, gross amount paid) into pay
+// records. calculateBackPay(shifts, payRecords, ratesForDate, opts) re-prices
+// every timesheet shift against the award rates in force on the shift's date,
+// totals the award entitlement for each employee's pay period, compares it
+// with what was paid and returns a per-employee, per-period shortfall with
+// superannuation on the shortfall.
+//
+// A period containing any shift that cannot be priced (no rate table held for
+// its date, unknown classification, missing employment type) is reported as
+// incomplete and left out of the totals — a partial figure would understate
+// the entitlement while the amount paid still covers every shift.
+// ============================================================================
+
+// ---- Constants -------------------------------------------------------------
+
+// Payroll export header aliases (same normalisation as ROSTER_COLUMN_ALIASES).
+const PAY_RECORD_COLUMN_ALIASES = {
+    employee:    ['employee name', 'employee', 'staff member', 'staff name', 'name', 'worker'],
+    periodStart: ['pay period start', 'period start', 'period start date', 'period from', 'start date', 'from'],
+    periodEnd:   ['pay period end', 'period end', 'period end date', 'period ending', 'period to', 'end date', 'to'],
+    amountPaid:  ['gross pay', 'gross paid', 'gross earnings', 'gross wages', 'total gross', 'amount paid', 'total paid', 'wages paid', 'gross', 'paid']
+};
+
+// ---- Helpers ---------------------------------------------------------------
+
+function _backPayCents(n) {
+    return Math.round(Math.round(n * 1e6) / 1e4) / 100;
+}
+
+function _backPayKey(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Dollar amount from "$1,234.50", "1234.5" or a number. Zero is a valid amount
+// (nothing paid); null when the cell is empty or unreadable.
+function _backPayAmount(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+    const m = String(value).replace(/[,\s]/g, '').match(/^\$?(\d+(?:\.\d+)?)$/);
+    return m ? parseFloat(m[1]) : null;
+}
+
+// Paid minutes on a shift (span less unpaid break), for shifts the award engine
+// could not price but whose timesheet rate paid still says what was paid.
+function _backPayShiftMinutes(shift) {
+    let end = shift.end;
+    if (end <= shift.start) end += 1440;
+    return Math.max(0, end - shift.start - (shift.breakMinutes || 0));
+}
+
+// Monday of the week containing ymd — the period used for timesheet lines that
+// carry their own rate paid but fall outside every pay record.
+function _backPayWeekStart(ymd) {
+    const p = ymd.split('-');
+    const day = Math.floor(Date.UTC(+p[0], +p[1] - 1, +p[2]) / 86400000);
+    const monday = day - ((day + 3) % 7);
+    return new Date(monday * 86400000).toISOString().slice(0, 10);
+}
+
+function _backPayAddDays(ymd, n) {
+    const p = ymd.split('-');
+    return new Date(Date.UTC(+p[0], +p[1] - 1, +p[2] + n)).toISOString().slice(0, 10);
+}
+
+// ---- Parsing ---------------------------------------------------------------
+
+/**
+ * Normalise payroll export rows into pay records. Row numbers are 1-based
+ * spreadsheet rows; unreadable rows are returned in `skipped` with a reason.
+ * @returns {Object} { records: [{ row, employee, periodStart, periodEnd, amountPaid }], skipped, columns }
+ */
+function normalisePayRecords(rows) {
+    const list = Array.isArray(rows) ? rows : [];
+    const headers = [];
+    list.forEach(function(r) {
+        Object.keys(r || {}).forEach(function(k) { if (headers.indexOf(k) === -1) headers.push(k); });
+    });
+    const columns = detectRosterColumns(headers, PAY_RECORD_COLUMN_ALIASES);
+    const records = [];
+    const skipped = [];
+
+    list.forEach(function(r, i) {
+        const rowNo = r && typeof r.__rowNum__ === 'number' ? r.__rowNum__ + 1 : i + 2;
+        const get = function(field) { return columns[field] ? r[columns[field]] : undefined; };
+        const employee = String(get('employee') == null ? '' : get('employee')).trim();
+        const periodStart = parseRosterDate(get('periodStart'));
+        const periodEnd = parseRosterDate(get('periodEnd'));
+        const amountPaid = _backPayAmount(get('amountPaid'));
+        if (!employee && !periodStart && !periodEnd && amountPaid == null) return; // blank line
+        if (!employee) { skipped.push({ row: rowNo, reason: 'No employee name' }); return; }
+        if (!periodStart || !periodEnd) { skipped.push({ row: rowNo, reason: 'Pay period start or end date not recognised' }); return; }
+        if (periodEnd < periodStart) { skipped.push({ row: rowNo, reason: 'Pay period ends before it starts' }); return; }
+        if (amountPaid == null) { skipped.push({ row: rowNo, reason: 'Amount paid not recognised' }); return; }
+        records.push({ row: rowNo, employee: employee, periodStart: periodStart, periodEnd: periodEnd, amountPaid: amountPaid });
+    });
+
+    return { records: records, skipped: skipped, columns: columns };
+}
+
+// ---- Rates resolution ------------------------------------------------------
+
+/**
+ * Rates resolver for an award rates file: each date resolves to the version in
+ * force on it (previous_versions included — see js/rates-history.js). Dates
+ * before the earliest version held resolve to null, so the shift is reported
+ * rather than priced at rates that were not in force.
+ */
+function backPayRatesResolver(rates) {
+    return function(ymd) {
+        if (!rates || !rates.penalty_rates) return null;
+        return ratesVersionAsAt(rates, ymd);
+    };
+}
+
+// ---- Engine ----------------------------------------------------------------
+
+/**
+ * Calculates back-pay owed per employee per pay period.
+ * @param {Object[]} shifts - normaliseRosterRows(...).shifts from the timesheet
+ * @param {Object[]} payRecords - normalisePayRecords(...).records (may be empty
+ *   when the timesheet carries a rate paid on every line)
+ * @param {Function|Object} ratesForDate - ymd -> award rates JSON in force on
+ *   that date (or null); a plain rates object is wrapped in backPayRatesResolver
+ * @param {Object} [opts] - { publicHolidays: ['YYYY-MM-DD'], superRate (overrides
+ *   the rates file's superannuation_rate) }
+ * @returns {Object} { periods[], employees[], totals, unmatched[], recordsWithoutShifts[], notes[] }
+ */
+function calculateBackPay(shifts, payRecords, ratesForDate, opts) {
+    opts = opts || {};
+    const resolve = typeof ratesForDate === 'function' ? ratesForDate : backPayRatesResolver(ratesForDate);
+    const costOpts = { publicHolidays: opts.publicHolidays || [] };
+    const notes = [];
+
+    // Pay records become periods; each shift joins the record that covers its
+    // date. Shifts outside every record fall back to their own rate paid.
+    const periods = [];
+    const byKey = {};
+    (payRecords || []).forEach(function(rec) {
+        const key = _backPayKey(rec.employee) + '|' + rec.periodStart + '|' + rec.periodEnd;
+        if (byKey[key]) { byKey[key].paid = _backPayCents(byKey[key].paid + rec.amountPaid); byKey[key].payRows.push(rec.row); return; }
+        byKey[key] = {
+            employee: rec.employee, periodStart: rec.periodStart, periodEnd: rec.periodEnd,
+            source: 'pay_record', paid: rec.amountPaid, payRows: [rec.row], shifts: []
+        };
+        periods.push(byKey[key]);
+    });
+
+    const unmatched = [];
+    (shifts || []).forEach(function(s) {
+        const emp = _backPayKey(s.employee);
+        const period = periods.find(function(p) {
+            return p.source === 'pay_record' && _backPayKey(p.employee) === emp && s.date >= p.periodStart && s.date <= p.periodEnd;
+        });
+        if (period) { period.shifts.push(s); return; }
+        if (!(s.ratePaid > 0)) {
+            unmatched.push({ row: s.row, employee: s.employee, date: s.date, reason: 'No pay record covers this date and the timesheet line has no rate paid' });
+            return;
+        }
+        const weekStart = _backPayWeekStart(s.date);
+        const key = emp + '|week|' + weekStart;
+        if (!byKey[key]) {
+            byKey[key] = {
+                employee: s.employee, periodStart: weekStart, periodEnd: _backPayAddDays(weekStart, 6),
+                source: 'rate_paid', paid: 0, payRows: [], shifts: []
+            };
+            periods.push(byKey[key]);
+        }
+        byKey[key].paid = _backPayCents(byKey[key].paid + s.ratePaid * _backPayShiftMinutes(s) / 60);
+        byKey[key].shifts.push(s);
+    });
+
+    const recordsWithoutShifts = periods
+        .filter(function(p) { return p.source === 'pay_record' && !p.shifts.length; })
+        .map(function(p) { return { rows: p.payRows, employee: p.employee, periodStart: p.periodStart, periodEnd: p.periodEnd }; });
+
+    const out = periods.filter(function(p) { return p.shifts.length; }).map(function(p) {
+        const unpriced = [];
+        const awardCodes = [];
+        let expected = 0;
+        let ordinaryCost = 0;
+        let minutes = 0;
+        p.shifts.forEach(function(s) {
+            const rates = resolve(s.date);
+            if (!rates) { unpriced.push({ row: s.row, date: s.date, reason: 'No award rate table held for ' + s.date }); return; }
+            const c = costShift(s, rates, costOpts);
+            if (!c.ok) { unpriced.push({ row: s.row, date: s.date, reason: c.error }); return; }
+            expected += c.totalCost;
+            ordinaryCost += c.ordinaryCost;
+            minutes += c.paidMinutes;
+            if (awardCodes.indexOf(rates.ma_number) === -1) awardCodes.push(rates.ma_number);
+        });
+        expected = _backPayCents(expected);
+        const complete = unpriced.length === 0;
+
+        // Super is owed on ordinary time earnings, which exclude overtime, so
+        // only the ordinary-time share of the shortfall attracts it. The rate
+        // is the one in force at the end of the period.
+        const periodRates = resolve(p.periodEnd) || resolve(p.shifts[0].date);
+        const superRate = typeof opts.superRate === 'number' ? opts.superRate
+            : (periodRates && typeof periodRates.superannuation_rate === 'number' ? periodRates.superannuation_rate : null);
+        let shortfall = null;
+        let superOwed = null;
+        if (complete) {
+            shortfall = Math.max(0, _backPayCents(expected - p.paid));
+            const ordinaryShare = expected > 0 ? ordinaryCost / expected : 0;
+            superOwed = superRate == null ? null : _backPayCents(shortfall * ordinaryShare * superRate);
+        }
+        return {
+            employee: p.employee,
+            periodStart: p.periodStart,
+            periodEnd: p.periodEnd,
+            source: p.source,
+            payRows: p.payRows,
+            rows: p.shifts.map(function(s) { return s.row; }),
+            shifts: p.shifts.length,
+            hours: Math.round(minutes / 60 * 100) / 100,
+            awardCodes: awardCodes,
+            expected: expected,
+            paid: p.paid,
+            difference: complete ? _backPayCents(expected - p.paid) : null,
+            shortfall: shortfall,
+            superRate: superRate,
+            super: superOwed,
+            total: shortfall == null ? null : _backPayCents(shortfall + (superOwed || 0)),
+            complete: complete,
+            unpriced: unpriced
+        };
+    });
+
+    out.sort(function(a, b) {
+        return _backPayKey(a.employee) < _backPayKey(b.employee) ? -1 : _backPayKey(a.employee) > _backPayKey(b.employee) ? 1
+            : a.periodStart < b.periodStart ? -1 : a.periodStart > b.periodStart ? 1 : 0;
+    });
+
+    const employees = [];
+    out.forEach(function(p) {
+        let e = employees.find(function(x) { return _backPayKey(x.employee) === _backPayKey(p.employee); });
+        if (!e) {
+            e = { employee: p.employee, periods: 0, underpaidPeriods: 0, incompletePeriods: 0, shortfall: 0, super: 0, total: 0, firstPeriod: p.periodStart, lastPeriod: p.periodEnd };
+            employees.push(e);
+        }
+        e.periods++;
+        if (p.periodEnd > e.lastPeriod) e.lastPeriod = p.periodEnd;
+        if (!p.complete) { e.incompletePeriods++; return; }
+        if (p.shortfall > 0) e.underpaidPeriods++;
+        e.shortfall = _backPayCents(e.shortfall + p.shortfall);
+        e.super = _backPayCents(e.super + (p.super || 0));
+        e.total = _backPayCents(e.total + p.total);
+    });
+
+    if (out.some(function(p) { return p.complete && p.superRate == null; })) {
+        notes.push('The award file has no superannuation rate, so super on the shortfall is not calculated.');
+    }
+    if (out.some(function(p) { return p.complete && p.difference < 0; })) {
+        notes.push('Some periods were overpaid. Overpayments are shown but not offset against shortfalls in other periods.');
+    }
+
+    const sum = function(field) { return _backPayCents(employees.reduce(function(t, e) { return t + e[field]; }, 0)); };
+    return {
+        periods: out,
+        employees: employees,
+        totals: {
+            shortfall: sum('shortfall'),
+            super: sum('super'),
+            total: sum('total'),
+            periods: out.length,
+            underpaidPeriods: out.filter(function(p) { return p.shortfall > 0; }).length,
+            incompletePeriods: out.filter(function(p) { return !p.complete; }).length,
+            employeesAffected: employees.filter(function(e) { return e.shortfall > 0; }).length
+        },
+        unmatched: unmatched,
+        recordsWithoutShifts: recordsWithoutShifts,
+        notes: notes
+    };
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.normalisePayRecords = normalisePayRecords;
+    window.backPayRatesResolver = backPayRatesResolver;
+    window.calculateBackPay = calculateBackPay;
+}
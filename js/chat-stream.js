@@ -0,0 +1,114 @@
+// ============================================================================
+// CHAT STREAM — server-sent events, both ends of the streamed chat answer
+// ----------------------------------------------------------------------------
+// Pure text handling plus one stream reader. No Firestore reads, no DOM.
+//
+// netlify/functions/chat.js reads the Anthropic Messages stream with
+// readSseEvents() and relays the answer to the browser as its own small event
+// stream, written with formatSseEvent():
+//
+//   event: delta   data: {"text": "..."}      next piece of the answer
+//   event: done    data: {"usage": {...},     answer complete, with its sources
+//                         "citations": [...]}  (cited clauses, rate figures)
+//   event: error   data: {"error": "..."}     upstream failed mid-answer
+//
+// sendMessage() (app-main.js) reads that stream with readSseEvents() too and
+// renders the answer as it arrives. A response that is not text/event-stream
+// is the buffered JSON reply, so either end can fall back to it.
+// ============================================================================
+
+/**
+ * Incremental SSE parser. Feed it decoded text in whatever chunks the network
+ * delivers; it returns each complete event once its terminating blank line
+ * has arrived.
+ * @returns {{push: function(string): Array<{event: string, data: string}>,
+ *            flush: function(): Array<{event: string, data: string}>}}
+ */
+function createSseParser() {
+    let buffer = '';
+    let pendingCr = false;
+    let eventName = '';
+    let dataLines = [];
+
+    function dispatch(out) {
+        if (dataLines.length) out.push({ event: eventName || 'message', data: dataLines.join('\n') });
+        eventName = '';
+        dataLines = [];
+    }
+
+    function line(text, out) {
+        if (text === '') { dispatch(out); return; }
+        if (text.charAt(0) === ':') return;          // comment / keep-alive
+        const colon = text.indexOf(':');
+        const field = colon === -1 ? text : text.slice(0, colon);
+        let value = colon === -1 ? '' : text.slice(colon + 1);
+        if (value.charAt(0) === ' ') value = value.slice(1);
+        if (field === 'event') eventName = value;
+        else if (field === 'data') dataLines.push(value);
+    }
+
+    return {
+        push: function(chunk) {
+            const out = [];
+            // A chunk ending in '\r' may be the first half of a '\r\n'.
+            if (pendingCr && chunk.charAt(0) === '\n') chunk = chunk.slice(1);
+            pendingCr = /\r$/.test(chunk);
+            buffer += chunk;
+            const lines = buffer.split(/\r\n|\r|\n/);
+            buffer = lines.pop();
+            lines.forEach(function(l) { line(l, out); });
+            return out;
+        },
+        flush: function() {
+            const out = [];
+            if (buffer !== '') line(buffer, out);
+            buffer = '';
+            dispatch(out);
+            return out;
+        }
+    };
+}
+
+/**
+ * One SSE event as wire text.
+ * @param {string} event - event name
+ * @param {*} data - JSON-serialisable payload
+ * @returns {string}
+ */
+function formatSseEvent(event, data) {
+    return 'event: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n';
+}
+
+/**
+ * Reads a fetch() response body as SSE events. Stopping early (break/return
+ * out of for-await, or an aborted fetch) cancels the underlying stream.
+ * @param {ReadableStream} body - response.body
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+async function* readSseEvents(body) {
+    const parser = createSseParser();
+    const decoder = new TextDecoder();
+    const reader = body.getReader();
+    try {
+        while (true) {
+            const chunk = await reader.read();
+            if (chunk.done) break;
+            yield* parser.push(decoder.decode(chunk.value, { stream: true }));
+        }
+        yield* parser.push(decoder.decode());
+        yield* parser.flush();
+    } finally {
+        reader.cancel().catch(function() {});
+    }
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.createSseParser = createSseParser;
+    window.formatSseEvent = formatSseEvent;
+    window.readSseEvents = readSseEvents;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSseParser, formatSseEvent, readSseEvents };
+}
@@ -0,0 +1,354 @@
+// ============================================================================
+// CHAT TOOLS — the rate engine, callable by Fitz from chat
+// ----------------------------------------------------------------------------
+// Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// netlify/functions/chat.js offers these tools to the model on every award-
+// resolved chat request (Anthropic tool use). When a manager asks "what do I
+// pay a casual Level 3 on Sunday", the model calls them and the figures come
+// from the same rates JSON and the same costShift() engine as the Award
+// Calculator (js/shift-costing.js), so chat and calculator always agree:
+//
+//   find_classification   classifications in the award matching some words
+//   get_award_rate        hourly rate for a classification / employment type
+//   calculate_shift_pay   a shift priced segment by segment (penalties,
+//                         loadings, overtime, public holidays)
+//   check_public_holiday  whether a date is a public holiday in a state
+//
+// Every result names its source (award, FWO Pay Guide, rates effective date)
+// so the answer can show where the figure came from. A tool that cannot
+// answer returns { error } — never a guessed figure.
+//
+// Server-side only: required by netlify/functions/chat.js and
+// tests/chat-tools.test.js, not loaded by app.html.
+// ============================================================================
+
+const { costShift, findAwardRate } = require('./shift-costing.js');
+
+const CHAT_TOOL_EMPLOYMENT_TYPES = ['full_time', 'part_time', 'casual'];
+const CHAT_TOOL_TYPE_LABELS = { full_time: 'Full-time', part_time: 'Part-time', casual: 'Casual' };
+const CHAT_TOOL_MAX_MATCHES = 12;
+
+// Anthropic tool definitions (the `tools` request parameter).
+const CHAT_TOOL_DEFINITIONS = [
+    {
+        name: 'find_classification',
+        description: "Search the user's award for classifications matching some words (a role, level or grade, e.g. \"food and beverage grade 2\", \"level 3\", \"apprentice\"). Returns the exact classification names to pass to get_award_rate and calculate_shift_pay. Call it whenever you are not sure of the exact classification name.",
+        input_schema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Words to match against classification names, titles and sections. Empty lists every classification.' }
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'get_award_rate',
+        description: "The minimum hourly rate under the user's award for one classification and employment type, from the FWO Pay Guide figures the Award Wizard uses. Casual rates include the casual loading. Use this for any question about a base or ordinary hourly rate.",
+        input_schema: {
+            type: 'object',
+            properties: {
+                classification: { type: 'string', description: 'Exact classification name, as returned by find_classification' },
+                employment_type: { type: 'string', enum: CHAT_TOOL_EMPLOYMENT_TYPES },
+                section: { type: 'string', description: 'Section, only where find_classification lists the same classification under more than one section' },
+                date: { type: 'string', description: 'YYYY-MM-DD the work is or was performed, for rates in force on that date. Defaults to today.' }
+            },
+            required: ['classification', 'employment_type']
+        }
+    },
+    {
+        name: 'calculate_shift_pay',
+        description: "Prices one shift under the user's award: splits it into ordinary, evening/night, weekend, public holiday and overtime time and applies the award's penalty rates, loadings and casual loading. Use this for what a shift, day or penalty period costs.",
+        input_schema: {
+            type: 'object',
+            properties: {
+                classification: { type: 'string', description: 'Exact classification name, as returned by find_classification' },
+                employment_type: { type: 'string', enum: CHAT_TOOL_EMPLOYMENT_TYPES },
+                date: { type: 'string', description: 'YYYY-MM-DD the shift starts. For "a Sunday" with no date given, use any upcoming Sunday.' },
+                start: { type: 'string', description: 'Start time, 24-hour HH:MM' },
+                end: { type: 'string', description: 'Finish time, 24-hour HH:MM; at or before the start means the next day' },
+                break_minutes: { type: 'number', description: 'Unpaid break in minutes (default 0)' },
+                shiftworker: { type: 'boolean', description: 'True if the employee is a shiftworker under the award (shift loadings apply)' },
+                public_holiday: { type: 'boolean', description: 'True if the date is a public holiday. Leave out to look it up from the state.' },
+                state: { type: 'string', description: 'Venue state or territory (NSW, VIC, QLD, WA, SA, TAS, NT, ACT), from VENUE CONTEXT, for the public holiday lookup' },
+                section: { type: 'string', description: 'As for get_award_rate' }
+            },
+            required: ['classification', 'employment_type', 'date', 'start', 'end']
+        }
+    },
+    {
+        name: 'check_public_holiday',
+        description: 'Whether a date is a gazetted public holiday in an Australian state or territory.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                date: { type: 'string', description: 'YYYY-MM-DD' },
+                state: { type: 'string', description: 'NSW, VIC, QLD, WA, SA, TAS, NT or ACT' }
+            },
+            required: ['date', 'state']
+        }
+    }
+];
+
+// ---- Helpers ---------------------------------------------------------------
+
+function _chatToolIsDate(s) {
+    return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s + 'T00:00:00Z'));
+}
+
+// "HH:MM" (or "H:MM", "HHMM") -> minutes from midnight, or null.
+function _chatToolMinutes(hhmm) {
+    const m = /^(\d{1,2}):?(\d{2})$/.exec(String(hhmm || '').trim());
+    if (!m || +m[1] > 24 || +m[2] > 59) return null;
+    return +m[1] * 60 + +m[2];
+}
+
+// Classification names compared without case or punctuation, so "Food and
+// Beverage Attendant Grade 3" finds "Food and Beverage Attendant, Grade 3".
+function _chatToolKey(s) {
+    return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+// Section without its employment-type suffix ("Support services employees -
+// Full-time & part-time" -> "Support services employees"), so full-time and
+// casual rows of one classification share it.
+function _chatToolSection(row) {
+    return String(row.section || '').replace(/\s*-\s*(Full-time & part-time|Casual)$/i, '');
+}
+
+function _chatToolWords(s) {
+    return String(s || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function _chatToolSource(rates) {
+    return rates.award_name + ' — ' + (rates.source || 'award rates') + '; rates effective ' + rates.effective_date;
+}
+
+// The rates table for the date asked about (the current table when none is
+// given).
+function _chatToolRates(ctx, date) {
+    if (date == null || date === '') return { rates: ctx.currentRates };
+    if (!_chatToolIsDate(date)) return { error: 'Date must be YYYY-MM-DD' };
+    const rates = ctx.ratesForDate(date);
+    if (!rates) return { error: 'No ' + ctx.currentRates.ma_number + ' rate table is held for ' + date + ' — check the FWO Pay Guide for that period' };
+    return { rates: rates };
+}
+
+// The full-time row for a classification, disambiguated by section where the
+// award lists the same classification under more than one (Manufacturing
+// apprentices). A casual-only classification has no full-time row.
+function _chatToolRow(rates, classification, section) {
+    const want = _chatToolKey(classification);
+    const rows = want ? (rates.rates || []).filter(function(r) {
+        return r.employment_type === 'full_time' && Number(r.rate) > 0 &&
+            [r.classification, r.title].some(function(l) { return l && _chatToolKey(l) === want; });
+    }) : [];
+    if (!rows.length) return { error: 'Classification "' + classification + '" is not in the ' + rates.ma_number + ' rates table — use find_classification for the exact name' };
+    if (rows.length === 1) return { row: rows[0] };
+    const inSection = section && rows.filter(function(r) { return _chatToolKey(_chatToolSection(r)) === _chatToolKey(section); });
+    if (inSection && inSection.length === 1) return { row: inSection[0], bySection: true };
+    return { error: 'Classification "' + classification + '" is listed under more than one section — pass one of these as section', sections: rows.map(_chatToolSection) };
+}
+
+function _chatToolHolidayLookup(ctx, date, state) {
+    const list = ctx.publicHolidaysForState(state);
+    if (!list.length) return { error: 'No public holiday list is held for "' + state + '"' };
+    const year = date.slice(0, 4);
+    if (!list.some(function(h) { return h.date.slice(0, 4) === year; })) {
+        return { error: 'Public holiday dates are not held for ' + year + ' — check the state government list' };
+    }
+    const hit = list.filter(function(h) { return h.date === date; })[0];
+    return { public_holiday: !!hit, name: hit ? hit.name : null };
+}
+
+// ---- Tools -----------------------------------------------------------------
+
+function _findClassification(input, ctx) {
+    const rates = ctx.currentRates;
+    const words = _chatToolWords(input.query);
+    // One entry per classification (per section where the award repeats a
+    // classification across sections); casual rows add 'casual' to it.
+    const byKey = {};
+    const all = [];
+    ['full_time', 'casual'].forEach(function(type) {
+        (rates.rates || []).forEach(function(r) {
+            if (r.employment_type !== type || !(Number(r.rate) > 0)) return;
+            const section = _chatToolSection(r);
+            const key = _chatToolKey(r.classification) + '|' + section;
+            const same = all.filter(function(m) { return _chatToolKey(m.classification) === _chatToolKey(r.classification); });
+            if (type === 'casual' && same.length) {
+                same.forEach(function(m) { if (m.employment_types.indexOf('casual') === -1) m.employment_types.push('casual'); });
+                return;
+            }
+            if (byKey[key]) return;
+            const m = { classification: r.classification, employment_types: type === 'casual' ? ['casual'] : ['full_time', 'part_time'] };
+            if (r.title && r.title !== r.classification) m.title = r.title;
+            if (section) m.section = section;
+            if (r.category && r.category !== 'adult') m.category = r.category;
+            m._hay = _chatToolWords([r.classification, r.title, r.section, r.level].join(' '));
+            byKey[key] = m;
+            all.push(m);
+        });
+    });
+    const matches = all.filter(function(m) {
+        // Each query word matches a whole word, or the start of one from three
+        // letters on ("apprent"), so "level V" does not match "level IV".
+        return words.every(function(w) {
+            return m._hay.some(function(h) { return h === w || (w.length >= 3 && h.indexOf(w) === 0); });
+        });
+    }).map(function(m) {
+        const out = Object.assign({}, m);
+        delete out._hay;
+        return out;
+    });
+    return {
+        award: rates.award_name,
+        matches: matches.slice(0, CHAT_TOOL_MAX_MATCHES),
+        more: Math.max(0, matches.length - CHAT_TOOL_MAX_MATCHES),
+        source: _chatToolSource(rates)
+    };
+}
+
+function _getAwardRate(input, ctx) {
+    const type = input.employment_type;
+    if (CHAT_TOOL_EMPLOYMENT_TYPES.indexOf(type) === -1) return { error: 'employment_type must be full_time, part_time or casual' };
+    const t = _chatToolRates(ctx, input.date);
+    if (t.error) return t;
+    const rates = t.rates;
+    const found = _chatToolRow(rates, input.classification, input.section);
+    if (found.error) return found;
+    const row = found.row;
+    const casualRow = type === 'casual' && !found.bySection ? findAwardRate(rates, row.classification, 'casual') : null;
+    const loading = Number(rates.casual_loading) || 0;
+    const out = {
+        classification: row.classification,
+        title: row.title || undefined,
+        employment_type: type,
+        minimum_hourly_rate: Number(row.rate),
+        hourly_rate: type === 'casual'
+            ? (casualRow ? Number(casualRow.rate) : Math.round(row.rate * (1 + loading) * 100) / 100)
+            : Number(row.rate)
+    };
+    if (row.section) out.section = _chatToolSection(row);
+    if (type !== 'casual' && row.weekly_rate) out.weekly_rate = row.weekly_rate;
+    if (type === 'casual') out.casual_loading = loading;
+    out.rates_effective = rates.effective_date;
+    out.next_review = rates.next_review_date;
+    out.source = _chatToolSource(rates);
+    return out;
+}
+
+function _calculateShiftPay(input, ctx) {
+    if (!_chatToolIsDate(input.date)) return { error: 'date must be YYYY-MM-DD' };
+    const start = _chatToolMinutes(input.start);
+    const end = _chatToolMinutes(input.end);
+    if (start == null || end == null) return { error: 'start and end must be 24-hour HH:MM times' };
+    const t = _chatToolRates(ctx, input.date);
+    if (t.error) return t;
+    const rates = t.rates;
+    const found = _chatToolRow(rates, input.classification, input.section);
+    if (found.error) return found;
+
+    let holiday = null;
+    const notes = [];
+    if (input.public_holiday === true) holiday = { name: null };
+    else if (input.public_holiday !== false && input.state) {
+        const h = _chatToolHolidayLookup(ctx, input.date, input.state);
+        if (h.error) notes.push(h.error + '; priced as a normal day.');
+        else if (h.public_holiday) holiday = { name: h.name };
+    } else if (input.public_holiday !== false) {
+        notes.push('No state given, so public holidays were not checked.');
+    }
+
+    const shift = {
+        date: input.date, start: start, end: end,
+        breakMinutes: Math.max(0, Number(input.break_minutes) || 0),
+        employmentType: input.employment_type,
+        classification: found.row.classification,
+        shiftworker: input.shiftworker === true
+    };
+    const c = costShift(shift, rates, {
+        publicHolidays: holiday ? [input.date] : [],
+        baseRate: found.bySection ? Number(found.row.rate) : undefined
+    });
+    if (!c.ok) return { error: c.error };
+    return {
+        classification: c.classification,
+        title: found.row.title || undefined,
+        employment_type: c.employmentType,
+        date: input.date,
+        public_holiday: holiday ? (holiday.name || true) : false,
+        minimum_hourly_rate: c.baseRate,
+        ordinary_hourly_rate: c.ordinaryRate,
+        segments: c.segments.map(function(s) {
+            return { label: s.label, hours: s.hours, multiplier: s.multiplier, flat_per_hour: s.flatPerHour || undefined, hourly_rate: s.rate, cost: s.cost };
+        }),
+        paid_hours: c.paidHours,
+        overtime_hours: c.overtimeHours,
+        total_cost: c.totalCost,
+        notes: notes.concat(c.notes),
+        rates_effective: rates.effective_date,
+        source: _chatToolSource(rates)
+    };
+}
+
+function _checkPublicHoliday(input, ctx) {
+    if (!_chatToolIsDate(input.date)) return { error: 'date must be YYYY-MM-DD' };
+    const state = String(input.state || '').toUpperCase();
+    const h = _chatToolHolidayLookup(ctx, input.date, state);
+    if (h.error) return h;
+    return { date: input.date, state: state, public_holiday: h.public_holiday, name: h.name || undefined, source: 'Fair Work Ombudsman public holiday list' };
+}
+
+const CHAT_TOOL_RUNNERS = {
+    find_classification: _findClassification,
+    get_award_rate: _getAwardRate,
+    calculate_shift_pay: _calculateShiftPay,
+    check_public_holiday: _checkPublicHoliday
+};
+
+// ---- Public API ------------------------------------------------------------
+
+/**
+ * Runs one tool call from the model.
+ * @param {string} name - tool name
+ * @param {Object} input - the model's tool input
+ * @param {Object} ctx - { currentRates (the table in force today),
+ *   ratesForDate(ymd) -> the table in force on that date or null,
+ *   publicHolidaysForState(state) -> [{date, name}] }
+ * @returns {Object} the tool result, or { error } when it cannot answer
+ */
+function runChatTool(name, input, ctx) {
+    const run = CHAT_TOOL_RUNNERS[name];
+    if (!run) return { error: 'Unknown tool ' + name };
+    try {
+        return run(input || {}, ctx);
+    } catch (e) {
+        return { error: 'The rate engine could not answer: ' + e.message };
+    }
+}
+
+/**
+ * The "Sources" entry for a tool call whose figure the answer can rely on —
+ * shown under the answer next to the cited clauses. Null for lookups with no
+ * figure (find_classification, check_public_holiday) and for errors.
+ * @returns {{kind: 'calculation', label: string, figure: string, source: string}|null}
+ */
+function describeChatToolCall(name, input, result) {
+    if (!result || result.error) return null;
+    const who = CHAT_TOOL_TYPE_LABELS[result.employment_type] + ' ' + (result.title || result.classification);
+    if (name === 'get_award_rate') {
+        return { kind: 'calculation', label: who, figure: '$' + result.hourly_rate.toFixed(2) + '/hr', source: result.source };
+    }
+    if (name === 'calculate_shift_pay') {
+        return {
+            kind: 'calculation',
+            label: who + ', ' + result.date + ' ' + input.start + '–' + input.end + (result.public_holiday ? ' (public holiday)' : ''),
+            figure: '$' + result.total_cost.toFixed(2) + ' for ' + result.paid_hours + ' h',
+            source: result.source
+        };
+    }
+    return null;
+}
+
+module.exports = { CHAT_TOOL_DEFINITIONS, runChatTool, describeChatToolCall };
@@ -0,0 +1,166 @@
+// ============================================================================
+// CLAUSE RETRIEVAL — find the award clauses that answer a question
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// The clause index (<vertical>-award-clauses.json, built offline from the FWC
+// consolidated award PDFs by scripts/build_clause_index.py) holds one chunk per
+// subclause: { clause: '10.5', heading, page, text }. The chat function ranks
+// the chunks against each message (BM25 over words, with the clause heading
+// counted twice), injects the best few into the prompt so Fitz can quote and
+// cite them, then keeps as citations the retrieved clauses the answer actually
+// refers to ("cl 10.5", "clauses 25.6(b) and 25.7").
+//
+// A question that names a clause ("what does clause 10.5 say") always gets
+// that clause first, whatever it scores.
+//
+// Required by netlify/functions/chat.js and tests/clause-retrieval.test.js.
+// ============================================================================
+
+const CLAUSE_STOPWORDS = new Set((
+    'a an and are as at be been but by can could do does did for from had has have how i if in into is it its ' +
+    'me my no not of on or our should so than that the their them then there these they this to under up was ' +
+    'we were what when where which who why will with would you your award employee employees employer employers ' +
+    'clause clauses cl pay paid must may any per also other'
+).split(' '));
+
+// Clause number as written in an answer or question: 10, 10A, 10.5, 10A.2, A.2
+const CLAUSE_ID = '(?:\\d{1,2}[A-Z]?(?:\\.\\d{1,2}[A-Z]?)?|[A-Z]\\.\\d{1,2})';
+const CLAUSE_REF = new RegExp('\\b(?:cl|cls|clauses?)\\.?\\s*(' + CLAUSE_ID + '(?:\\([a-z0-9]+\\))*' +
+    '(?:\\s*(?:,|and|or|&)\\s*' + CLAUSE_ID + '(?:\\([a-z0-9]+\\))*)*)', 'gi');
+const CLAUSE_ID_ONLY = new RegExp('\\b' + CLAUSE_ID + '(?![\\d.])', 'gi');
+
+/**
+ * Search words in a piece of text: lower-case, stop words dropped, plurals
+ * folded ("shifts" -> "shift", "allowances" -> "allowance").
+ * @param {string} text
+ * @returns {string[]}
+ */
+function clauseTokens(text) {
+    const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/);
+    const out = [];
+    for (let i = 0; i < words.length; i++) {
+        let w = words[i];
+        if (w.length < 2 || CLAUSE_STOPWORDS.has(w)) continue;
+        if (/ies$/.test(w) && w.length > 4) w = w.slice(0, -3) + 'y';
+        else if (/[^s]s$/.test(w) && w.length > 3) w = w.slice(0, -1);
+        out.push(w);
+    }
+    return out;
+}
+
+/**
+ * Clause numbers referred to in a piece of text ("cl 10.5", "clauses 25.6(b)
+ * and 25.7", "clause A.2"), upper-cased, in order of first mention.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function clauseRefs(text) {
+    const out = [];
+    String(text || '').replace(CLAUSE_REF, function (m, list) {
+        (list.replace(/\([a-z0-9]+\)/gi, '').match(CLAUSE_ID_ONLY) || []).forEach(function (id) {
+            id = id.toUpperCase();
+            if (out.indexOf(id) === -1) out.push(id);
+        });
+        return m;
+    });
+    return out;
+}
+
+/**
+ * Precomputes the term statistics for one award's clause index.
+ * @param {Object} index - parsed <vertical>-award-clauses.json
+ * @returns {Object} search handle for retrieveClauses()
+ */
+function buildClauseSearch(index) {
+    const docs = [];
+    const df = {};
+    let totalLength = 0;
+    ((index && index.clauses) || []).forEach(function (chunk) {
+        const tokens = clauseTokens(chunk.heading + ' ' + chunk.heading + ' ' + chunk.text);
+        const tf = {};
+        tokens.forEach(function (t) { tf[t] = (tf[t] || 0) + 1; });
+        Object.keys(tf).forEach(function (t) { df[t] = (df[t] || 0) + 1; });
+        totalLength += tokens.length;
+        docs.push({ chunk: chunk, tf: tf, length: tokens.length });
+    });
+    return { index: index, docs: docs, df: df, avgLength: docs.length ? totalLength / docs.length : 0 };
+}
+
+/**
+ * The clauses that best match a question.
+ * @param {Object} search - from buildClauseSearch()
+ * @param {string} query - the user's message
+ * @param {Object} [opts] - { limit (default 4), minScore (default 2) }
+ * @returns {Array<{clause, heading, page, text, part, score}>} best first
+ */
+function retrieveClauses(search, query, opts) {
+    opts = opts || {};
+    const limit = opts.limit || 4;
+    const minScore = opts.minScore === undefined ? 2 : opts.minScore;
+    if (!search || !search.docs.length) return [];
+
+    const k1 = 1.2, b = 0.75;
+    const n = search.docs.length;
+    const terms = clauseTokens(query).filter(function (t, i, all) { return all.indexOf(t) === i; });
+    const named = clauseRefs(query);
+
+    const scored = search.docs.map(function (doc) {
+        let score = 0;
+        terms.forEach(function (t) {
+            const f = doc.tf[t];
+            if (!f) return;
+            const idf = Math.log(1 + (n - search.df[t] + 0.5) / (search.df[t] + 0.5));
+            score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * doc.length / search.avgLength));
+        });
+        const namedRank = named.indexOf(doc.chunk.clause.toUpperCase());
+        return { doc: doc, score: score, named: namedRank === -1 ? Infinity : namedRank };
+    });
+    scored.sort(function (x, y) { return (x.named - y.named) || (y.score - x.score); });
+
+    const out = [];
+    for (let i = 0; i < scored.length && out.length < limit; i++) {
+        const s = scored[i];
+        if (s.named === Infinity && s.score < minScore) break;
+        const c = s.doc.chunk;
+        out.push({ clause: c.clause, heading: c.heading, page: c.page, text: c.text, part: c.part || null, score: Math.round(s.score * 100) / 100 });
+    }
+    return out;
+}
+
+/**
+ * The retrieved clauses an answer actually cites, one entry per clause number.
+ * @param {string} answer - the assistant's answer text
+ * @param {Array} clauses - what retrieveClauses() returned for the question
+ * @param {Object} index - the clause index (for the award name)
+ * @returns {Array<{clause, heading, page, award, consolidatedTo}>} in order of first citation
+ */
+function citedClauses(answer, clauses, index) {
+    const refs = clauseRefs(answer);
+    const out = [];
+    refs.forEach(function (id) {
+        const hit = (clauses || []).filter(function (c) { return c.clause.toUpperCase() === id; })[0];
+        if (!hit) return;
+        out.push({
+            clause: hit.clause,
+            heading: hit.heading,
+            page: hit.page,
+            award: index ? index.award : null,
+            consolidatedTo: index ? index.consolidated_to : null
+        });
+    });
+    return out;
+}
+
+// ---- Expose to window for devtools testing ---------------------------------
+
+if (typeof window !== 'undefined') {
+    window.clauseTokens = clauseTokens;
+    window.clauseRefs = clauseRefs;
+    window.buildClauseSearch = buildClauseSearch;
+    window.retrieveClauses = retrieveClauses;
+    window.citedClauses = citedClauses;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { clauseTokens, clauseRefs, buildClauseSearch, retrieveClauses, citedClauses };
+}
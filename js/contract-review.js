@@ -0,0 +1,434 @@
+// ============================================================================
+// CONTRACT REVIEW — an existing employment contract checked against the NES
+// and the user's award
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// The user uploads a contract (DOCX/PDF/TXT — the app extracts the text). The
+// text is split into clauses (splitContractClauses), each clause is tagged
+// with the topics it deals with, and each topic is checked:
+//
+//   notice          dismissal notice at least the NES s117 scale
+//   annual_leave    at least 4 weeks (NES s87), not waived or forfeited
+//   personal_leave  at least 10 days paid (NES s96)
+//   hours           ordinary hours no more than 38 a week (NES s62)
+//   pay             not below the award minimum for the classification
+//   classification  the award classification is stated
+//   overtime        hours/overtime absorbed into pay only with an annualised
+//                   wage (or set-off) clause that is reconciled
+//   unlawful        deductions for breakages/shortages, waiving the NES or
+//                   award, unpaid trials, "no award applies"
+//
+// Missing topics are reported too. Each problem comes with replacement
+// wording from the Contract Builder's own clauses (CONTRACT_TEMPLATE_WORDING —
+// the text buildContractHTML() in js/app-tools.js generates; the tests check
+// the two stay the same).
+//
+// Required by tests/contract-review.test.js; loaded by app.html for the
+// Review a Contract upload.
+// ============================================================================
+
+const NES_ORDINARY_HOURS = 38;
+const NES_ANNUAL_LEAVE_WEEKS = 4;
+const NES_PERSONAL_LEAVE_DAYS = 10;
+
+// Contract Builder wording (js/app-tools.js buildContractHTML and its
+// section generators) as plain text. {award}, {hours} and {rate} are filled
+// from the contract and the award when a suggestion is made.
+const CONTRACT_TEMPLATE_WORDING = {
+    notice: {
+        title: 'Dismissal Notice (Contract Builder 8.2)',
+        text: 'The Employee is entitled to the following minimum notice periods (or payment in lieu of notice) if the Employer ends their employment. This does not apply if the Employer ends the Employee\'s employment for serious misconduct.\n' +
+            '- 1 year or less: 1 week\n- More than 1 year to 3 years: 2 weeks\n- More than 3 years to 5 years: 3 weeks\n- More than 5 years: 4 weeks\n' +
+            'The Employee may be entitled to a longer minimum notice period under their award.\n' +
+            'The Employee will get an extra week of notice if they are older than 45 years and have worked for the Employer for at least 2 years.'
+    },
+    annual_leave: {
+        title: 'Annual Leave (Contract Builder 6.1)',
+        text: 'The Employee is entitled to 4 week(s) of annual leave each year, based on their ordinary hours of work per week.\n' +
+            'The Employer will provide any applicable annual leave loading entitlements in accordance with the applicable award.\n' +
+            'Annual leave accumulates during the year. Any unused annual leave will roll over from year to year.'
+    },
+    personal_leave: {
+        title: 'Personal/Carer\'s Leave (Contract Builder 6.4)',
+        text: 'The Employee is entitled to accrue 10 days paid personal/carer\'s leave (pro-rata for part-time employees) per year based on their ordinary hours of work. This is calculated as 1/26 of their ordinary hours of work in a year.\n' +
+            'The Employee is also entitled to 2 days unpaid carer\'s leave (in accordance with the National Employment Standards). This is available each time an immediate family member or household member needs care or support.'
+    },
+    hours: {
+        title: 'Hours of Work (Contract Builder 4.1 and 4.3)',
+        text: 'The Employee\'s ordinary hours of work are {hours} hours per week.\n' +
+            'The Employee may be required to work reasonable additional hours as necessary for the proper performance of their duties. Overtime will be compensated in accordance with the applicable Modern Award.'
+    },
+    overtime: {
+        title: 'Penalty Rates and Overtime (Contract Builder 5.4)',
+        text: 'The Employee may be entitled to overtime rates under the applicable award if they work:\n- more than their ordinary hours of work\n- outside the spread of ordinary hours.\n' +
+            'The Employee may be entitled to penalty rates or shift loadings according to the award if they work:\n- on a weekend\n- on a public holiday\n- late night or early morning shifts.'
+    },
+    pay: {
+        title: 'Pay Rate (Contract Builder 5.1)',
+        text: 'The Employee will be paid ${rate} per hour. This pay rate does not include superannuation, which will be paid separately.'
+    },
+    classification: {
+        title: 'Modern Award (Contract Builder 2.3)',
+        text: 'This employment is covered by the {award}.'
+    }
+};
+
+// Topics a clause deals with, found from its heading and text.
+const CONTRACT_TOPICS = [
+    { topic: 'notice', re: /\b(notice|terminat\w*|dismiss\w*|resign\w*|end (?:the|this|their) employment)\b/i },
+    { topic: 'annual_leave', re: /\bannual leave|\bholiday pay\b|\brecreation leave/i },
+    { topic: 'personal_leave', re: /\b(personal|sick|carer'?s?)\b[^.]{0,20}\bleave\b/i },
+    { topic: 'hours', re: /\b(hours of work|ordinary hours|hours per week|hours each week|hours a week|working hours)\b/i },
+    { topic: 'pay', re: /\$\s?\d|\b(salary|remuneration|wage|pay rate|rate of pay)\b/i },
+    { topic: 'classification', re: /\b(classif\w+|level \d|grade \d|pay point)\b/i },
+    { topic: 'overtime', re: /\b(overtime|additional hours|penalt\w+|loadings?)\b/i }
+];
+
+const _NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, fifteen: 15, twenty: 20 };
+
+function _crNumber(word) {
+    const w = String(word).toLowerCase();
+    return _NUMBER_WORDS[w] !== undefined ? _NUMBER_WORDS[w] : Number(w);
+}
+
+// Every "<n> <unit>" amount in the text ("two weeks", "4 weeks'", "10 days").
+function _crAmounts(text, unitRe) {
+    const out = [];
+    const re = new RegExp('\\b(\\d+(?:\\.\\d+)?|' + Object.keys(_NUMBER_WORDS).join('|') + ')\\s*(?:\\(\\d+\\)\\s*)?' + unitRe, 'gi');
+    let m;
+    while ((m = re.exec(text)) !== null) out.push(_crNumber(m[1]));
+    return out;
+}
+
+function _crMoney(s) {
+    return Number(String(s).replace(/[,\s]/g, ''));
+}
+
+// Lower case, punctuation to spaces: "Cook, Grade 1" and "cook grade 1" compare equal.
+function _crPlain(s) {
+    return String(s).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function _crRound(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * The contract split into clauses. A clause starts at a numbered line
+ * ("5.", "5.2", "Clause 7 —") or a short heading line in capitals; text
+ * before the first one is the preamble. Without any headings the paragraphs
+ * are the clauses.
+ * @param {string} text - the contract's text
+ * @returns {Array<{ref: string, heading: string, text: string}>}
+ */
+function splitContractClauses(text) {
+    const lines = String(text || '').replace(/\r/g, '').split('\n');
+    const clauses = [];
+    let current = null;
+    lines.forEach(function (raw) {
+        const line = raw.trim();
+        if (!line) {
+            if (current) current.text += '\n';
+            return;
+        }
+        const numbered = /^(?:clause\s+)?(\d{1,2}(?:\.\d{1,2})*)[.)]?\s+(.{0,200})$/i.exec(line);
+        const capsHeading = line.length <= 60 && /[A-Z]{3}/.test(line) && line === line.toUpperCase() && !/\d{3}/.test(line);
+        if (numbered || capsHeading) {
+            const rest = numbered ? numbered[2] : line;
+            // "5.1 Annual leave" is a heading; "5.1 The Employee is entitled..." is a heading-less clause.
+            const isHeading = rest.length <= 60 && !/[.;:]$/.test(rest) && !/\b(is|are|will|must|may|shall)\b/i.test(rest);
+            current = {
+                ref: numbered ? numbered[1] : '',
+                heading: isHeading ? rest.replace(/[:\-–—\s]+$/, '') : '',
+                text: isHeading ? '' : rest
+            };
+            clauses.push(current);
+            return;
+        }
+        if (!current) {
+            current = { ref: '', heading: 'Preamble', text: '' };
+            clauses.push(current);
+        }
+        current.text += (current.text && !/\n$/.test(current.text) ? ' ' : '') + line;
+    });
+    let result = clauses.map(function (c) { return { ref: c.ref, heading: c.heading, text: c.text.replace(/\n{2,}/g, '\n').trim() }; })
+        .filter(function (c) { return c.text || c.heading; });
+    // A heading-only entry ("5. LEAVE") followed by its sub-clauses is kept so
+    // the report shows the structure, but a document with no headings at all
+    // is split by paragraph instead.
+    if (result.length <= 1) {
+        result = String(text || '').split(/\n\s*\n/).map(function (p, i) {
+            return { ref: String(i + 1), heading: '', text: p.replace(/\s+/g, ' ').trim() };
+        }).filter(function (c) { return c.text; });
+    }
+    return result;
+}
+
+/**
+ * The topics a clause deals with.
+ * @param {{heading: string, text: string}} clause
+ * @returns {string[]}
+ */
+function contractClauseTopics(clause) {
+    const text = (clause.heading || '') + '\n' + (clause.text || '');
+    return CONTRACT_TOPICS.filter(function (t) { return t.re.test(text); }).map(function (t) { return t.topic; });
+}
+
+/**
+ * Employment type the contract sets up.
+ * @param {string} text
+ * @returns {'casual'|'part_time'|'full_time'}
+ */
+function detectContractEmploymentType(text) {
+    if (/\b(casual (employee|employment|basis)|engaged (on|as) a casual|as a casual)\b/i.test(text)) return 'casual';
+    if (/\bpart[- ]time\b/i.test(text)) return 'part_time';
+    return 'full_time';
+}
+
+/**
+ * The award rate rows the contract's classification matches: rows whose
+ * title (or readable classification) appears in the text, punctuation
+ * ignored; else rows whose level does; else none.
+ * @param {string} text
+ * @param {Array} rows - award rate rows for the employment type
+ * @returns {Array}
+ */
+function matchContractClassification(text, rows) {
+    const plain = ' ' + _crPlain(text) + ' ';
+    const named = rows.filter(function (r) {
+        // Some tables title rows; others (manufacturing) only have a readable classification.
+        const label = r.title || (/\s/.test(r.classification || '') ? r.classification : '');
+        return label.length >= 6 && plain.indexOf(' ' + _crPlain(label) + ' ') !== -1;
+    });
+    if (named.length) return named;
+    return rows.filter(function (r) {
+        return r.level && new RegExp('\\b' + r.level.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'i').test(text);
+    });
+}
+
+// Rate rows for the employment type: casual rows, or the full-time rows with
+// the casual loading added when the award lists no casual rates.
+function _crRows(rates, employmentType) {
+    const adult = (rates && rates.rates || []).filter(function (r) { return !r.category || r.category === 'adult'; });
+    if (employmentType !== 'casual') return adult.filter(function (r) { return r.employment_type === 'full_time'; });
+    const casual = adult.filter(function (r) { return r.employment_type === 'casual'; });
+    if (casual.length) return casual;
+    const loading = typeof rates.casual_loading === 'number' ? rates.casual_loading : 0.25;
+    return adult.filter(function (r) { return r.employment_type === 'full_time'; }).map(function (r) {
+        return Object.assign({}, r, { rate: _crRound(r.rate * (1 + loading)) });
+    });
+}
+
+// The hourly figure the contract pays, from an hourly, weekly or annual amount.
+function _crHourlyPay(text, hours) {
+    const hourly = /\$\s?(\d{1,3}(?:\.\d{1,2})?)\s*(?:per hour|an hour|p\/?h\b|\/\s?h(?:ou)?r\b|hourly)/i.exec(text);
+    if (hourly) return { hourly: _crMoney(hourly[1]), stated: '$' + hourly[1] + ' per hour' };
+    const weekly = /\$\s?(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?)\s*(?:gross\s+)?(?:per week|a week|weekly|p\/?w\b)/i.exec(text);
+    if (weekly) return { hourly: _crRound(_crMoney(weekly[1]) / hours), stated: '$' + weekly[1] + ' per week' };
+    const annual = /\$\s?(\d{2,3}(?:,\d{3})+|\d{5,6})(?:\.\d{1,2})?\s*(?:\(?gross\)?\s*)?(?:per annum|per year|a year|p\.?a\.?|annually|annual)/i.exec(text) ||
+        /\b(?:annual salary|salary)\b[^$]{0,40}\$\s?(\d{2,3}(?:,\d{3})+|\d{5,6})/i.exec(text);
+    if (annual) return { hourly: _crRound(_crMoney(annual[1]) / 52 / hours), stated: '$' + annual[1] + ' a year', annual: true };
+    return null;
+}
+
+function _crFill(wording, values) {
+    return {
+        title: wording.title,
+        text: wording.text.replace(/\{(\w+)\}/g, function (m, k) { return values[k] !== undefined && values[k] !== null ? values[k] : '[' + k.toUpperCase() + ']'; })
+    };
+}
+
+/**
+ * Reviews a contract clause by clause.
+ * @param {string} text - the contract's text
+ * @param {Object} context
+ * @param {Object} [context.rates] - the award rate table (rates JSON) for the user's award
+ * @param {string} [context.awardName] - full award name, e.g. "Hospitality Industry (General) Award MA000009"
+ * @param {string} [context.employmentType] - overrides the type read from the contract
+ * @returns {{employmentType, hoursPerWeek, clauses: Array, missing: Array, summary: Object}}
+ *   Each clause: { ref, heading, text, topics, status: 'ok'|'warning'|'breach',
+ *   findings: [{ severity, topic, message }], suggestions: [{ key, title, text }] }.
+ *   missing: [{ topic, severity, message, suggestion }] for topics no clause covers.
+ */
+function reviewContract(text, context) {
+    context = context || {};
+    text = String(text || '');
+    const clauses = splitContractClauses(text).map(function (c) {
+        return Object.assign(c, { topics: contractClauseTopics(c), findings: [], suggestions: [] });
+    });
+    const employmentType = context.employmentType || detectContractEmploymentType(text);
+    const hoursMatch = /\b(\d{1,2}(?:\.\d)?)\s*(?:ordinary\s+)?hours\s+(?:per|each|a)\s+week\b/i.exec(text);
+    const hoursPerWeek = hoursMatch ? Number(hoursMatch[1]) : NES_ORDINARY_HOURS;
+    const hasAnnualisedClause = /\bannuali[sz]ed (wage|salary)\b|\bset[- ]off\b|\breconcil\w+/i.test(text);
+    const rows = context.rates ? _crRows(context.rates, employmentType) : [];
+    const classified = rows.length ? matchContractClassification(text, rows) : [];
+    const values = { award: context.awardName || null, hours: Math.min(hoursPerWeek, NES_ORDINARY_HOURS), rate: null };
+    const covered = {};
+
+    function find(clause, severity, topic, message, suggestionKey) {
+        clause.findings.push({ severity: severity, topic: topic, message: message });
+        if (suggestionKey && !clause.suggestions.some(function (s) { return s.key === suggestionKey; })) {
+            clause.suggestions.push(Object.assign({ key: suggestionKey }, _crFill(CONTRACT_TEMPLATE_WORDING[suggestionKey], values)));
+        }
+    }
+
+    // Pay: the figure is checked once, against the classification's minimum.
+    let payCheck = null;
+    if (rows.length) {
+        const pool = classified.length ? classified : rows;
+        const minimum = Math.min.apply(null, pool.map(function (r) { return r.rate; }));
+        values.rate = minimum.toFixed(2);
+        payCheck = {
+            minimum: minimum,
+            label: classified.length ? (classified[0].title || classified[0].classification) : null
+        };
+    }
+
+    clauses.forEach(function (clause) {
+        const body = clause.heading + '\n' + clause.text;
+        clause.topics.forEach(function (t) { covered[t] = true; });
+
+        // ---- Unlawful terms (any clause) ----
+        if (/\bdeduct\w*\b[^.]{0,120}\b(breakages?|shortages?|till|damage|losses|uniforms?|training costs?)\b|\b(breakages?|shortages?|till)\b[^.]{0,80}\bdeduct\w*/i.test(body)) {
+            find(clause, 'breach', 'unlawful', 'Deductions for breakages, shortages, uniforms or training are unlawful unless the employee agrees in writing to each one and it is principally for their benefit (Fair Work Act s324–326).');
+        }
+        if (/\b(waive\w*|forgo\w*|contract(?:s|ed)? out|surrender\w*)\b[^.]{0,80}\b(national employment standards|NES|award|entitlements?|leave|notice)\b/i.test(body) ||
+            /\bnot (?:be )?entitled to (?:any )?(annual leave|personal leave|sick leave|notice|penalty rates|overtime)\b/i.test(body) && employmentType !== 'casual') {
+            find(clause, 'breach', 'unlawful', 'A contract cannot exclude or waive National Employment Standards or award entitlements — the term has no effect (Fair Work Act s44, s55, s61).');
+        }
+        if (/\bunpaid\b[^.]{0,20}\btrial\b/i.test(body)) {
+            find(clause, 'warning', 'unlawful', 'Unpaid trials beyond a short demonstration of skills are work and must be paid at award rates.');
+        }
+        if (context.awardName && /\b(no|not covered by any|does not fall under an?) (modern )?award\b|\baward (does|will) not apply\b/i.test(body)) {
+            find(clause, 'breach', 'classification', 'The contract says no award applies, but the role is covered by the ' + context.awardName + '.', 'classification');
+        }
+
+        // ---- Notice ----
+        if (clause.topics.indexOf('notice') !== -1 && /\b(employer|company|we)\b[^.]{0,80}\b(terminat\w*|dismiss\w*|end)\b|\bterminat\w*\b[^.]{0,40}\bby the employer\b/i.test(body)) {
+            const weeks = _crAmounts(body, "weeks?'?");
+            const referencesNes = /\bnational employment standards\b|\bNES\b|\bfair work act\b|\bwhichever is (greater|the greater|longer)\b|\bin accordance with the (applicable )?(modern )?award\b/i.test(body);
+            const withoutNotice = /\bwithout (any )?notice\b|\bno notice\b|\bimmediately\b/i.test(body);
+            const misconductOnly = /\bserious misconduct\b/i.test(body);
+            if (withoutNotice && !misconductOnly) {
+                find(clause, 'breach', 'notice', 'Employment can be ended without notice only for serious misconduct. Otherwise the NES requires 1 to 4 weeks\' notice (or pay in lieu) by length of service, plus a week for employees over 45 with 2+ years\' service (Fair Work Act s117).', 'notice');
+            } else if (weeks.length && Math.max.apply(null, weeks) < 4 && !referencesNes && !/\bprobation/i.test(body)) {
+                find(clause, 'breach', 'notice', 'Fixed notice of ' + Math.max.apply(null, weeks) + ' week(s) falls below the NES once service passes ' + (Math.max.apply(null, weeks) === 1 ? '1 year' : Math.max.apply(null, weeks) === 2 ? '3 years' : '5 years') + ' — the NES scale runs to 4 weeks (5 for employees over 45 with 2+ years\' service).', 'notice');
+            } else if (!weeks.length && !referencesNes && !misconductOnly) {
+                find(clause, 'warning', 'notice', 'The notice the employer must give is not stated. Set out the NES scale so the minimum is clear.', 'notice');
+            }
+        }
+
+        // ---- Annual leave ----
+        if (clause.topics.indexOf('annual_leave') !== -1 && employmentType !== 'casual') {
+            const weeks = _crAmounts(body, 'weeks?');
+            const days = _crAmounts(body, 'days?');
+            const shortWeeks = weeks.length && Math.max.apply(null, weeks) < NES_ANNUAL_LEAVE_WEEKS;
+            const shortDays = !weeks.length && days.length && Math.max.apply(null, days) < 20 && employmentType === 'full_time';
+            if (/\bno annual leave\b|\bannual leave (is|will be) (forfeited|lost)\b|\bunused annual leave (is|will be) (forfeited|lost)\b|\bdoes not (roll|carry) over\b/i.test(body)) {
+                find(clause, 'breach', 'annual_leave', 'Annual leave accrues and carries over from year to year; it cannot be forfeited or excluded (NES s87–88).', 'annual_leave');
+            } else if (shortWeeks || shortDays) {
+                find(clause, 'breach', 'annual_leave', 'Annual leave must be at least 4 weeks a year (pro rata for part-time) — the clause gives ' + (shortWeeks ? Math.max.apply(null, weeks) + ' week(s)' : Math.max.apply(null, days) + ' days') + ' (NES s87).', 'annual_leave');
+            } else if (/\bcash(ed)? out|paid out (annually|each year|at the end of each year)\b/i.test(body)) {
+                find(clause, 'warning', 'annual_leave', 'Annual leave can be cashed out only where the award allows it, by separate written agreement each time, leaving at least 4 weeks\' balance (NES s92–94).');
+            }
+        }
+
+        // ---- Personal leave ----
+        if (clause.topics.indexOf('personal_leave') !== -1 && employmentType !== 'casual') {
+            const days = _crAmounts(body, 'days?');
+            if (/\bunpaid (sick|personal)\b|\b(sick|personal)( and carer'?s?)? leave (is|will be) unpaid\b/i.test(body)) {
+                find(clause, 'breach', 'personal_leave', 'Personal/carer\'s leave is paid for permanent employees — 10 days a year, pro rata for part-time (NES s96).', 'personal_leave');
+            } else if (days.length && Math.max.apply(null, days) < NES_PERSONAL_LEAVE_DAYS && !/\bunpaid carer/i.test(body)) {
+                find(clause, 'breach', 'personal_leave', 'Paid personal/carer\'s leave must be at least 10 days a year — the clause gives ' + Math.max.apply(null, days) + ' (NES s96).', 'personal_leave');
+            }
+        }
+
+        // ---- Hours ----
+        if (clause.topics.indexOf('hours') !== -1 && employmentType !== 'casual') {
+            const stated = /\b(\d{1,2}(?:\.\d)?)\s*(?:ordinary\s+)?hours\s+(?:per|each|a)\s+week\b/i.exec(body);
+            if (stated && Number(stated[1]) > NES_ORDINARY_HOURS && !hasAnnualisedClause) {
+                find(clause, 'breach', 'hours', 'Ordinary hours above 38 a week are not allowed for a full-time employee — hours beyond 38 are additional hours, paid as overtime under the award (NES s62).', 'hours');
+            } else if (stated && Number(stated[1]) > NES_ORDINARY_HOURS) {
+                find(clause, 'warning', 'hours', 'More than 38 hours a week: the hours beyond 38 must be reasonable additional hours and the annualised wage must cover them at award rates (NES s62).');
+            }
+        }
+
+        // ---- Overtime absorbed into pay ----
+        if (/\b(inclusive of|includes?|compensates? (?:the employee )?for|in (full )?satisfaction of|covers?|absorbs?)\b[^.]{0,60}\b(all )?(overtime|penalt\w+|loadings?|additional hours|hours worked|award entitlements)\b|\bno (additional|extra|further) (payment|remuneration|pay)\b[^.]{0,40}\b(overtime|additional hours|extra hours|hours)\b/i.test(body)) {
+            if (!hasAnnualisedClause) {
+                find(clause, 'breach', 'overtime', 'Overtime and penalties can be absorbed into pay only under the award\'s annualised wage (or set-off) clause, with the hours recorded and the pay reconciled against what the award would have paid. Without that, the blanket absorption is unenforceable and any shortfall is underpayment.', 'overtime');
+            } else {
+                find(clause, 'warning', 'overtime', 'Absorption relies on the annualised wage arrangement: record start/finish times and reconcile at least every 12 months (and on termination), paying any shortfall.');
+            }
+        }
+
+        // ---- Pay ----
+        if (payCheck && clause.topics.indexOf('pay') !== -1) {
+            const pay = _crHourlyPay(body, Math.min(hoursPerWeek, NES_ORDINARY_HOURS));
+            if (pay && pay.hourly + 0.005 < payCheck.minimum) {
+                find(clause, 'breach', 'pay', pay.stated + ' (' + '$' + pay.hourly.toFixed(2) + ' an hour) is below the award minimum of $' + payCheck.minimum.toFixed(2) + ' an hour' +
+                    (payCheck.label ? ' for ' + payCheck.label : ' for the lowest adult classification') + '.', 'pay');
+            } else if (pay && !payCheck.label) {
+                find(clause, 'warning', 'pay', pay.stated + ' clears the lowest adult rate in the award ($' + payCheck.minimum.toFixed(2) + '), but without a stated classification it cannot be checked against the right one.');
+            }
+        }
+
+        clause.status = clause.findings.some(function (f) { return f.severity === 'breach'; }) ? 'breach'
+            : clause.findings.length ? 'warning' : 'ok';
+    });
+
+    // ---- Topics no clause covers ----
+    const missing = [];
+    const needed = employmentType === 'casual'
+        ? ['pay', 'classification']
+        : ['notice', 'annual_leave', 'personal_leave', 'hours', 'pay', 'classification'];
+    const labels = { notice: 'termination notice', annual_leave: 'annual leave', personal_leave: 'personal/carer\'s leave', hours: 'ordinary hours of work', pay: 'the rate of pay', classification: 'the award classification' };
+    needed.forEach(function (topic) {
+        if (covered[topic]) return;
+        missing.push({
+            topic: topic,
+            severity: topic === 'pay' || topic === 'hours' ? 'breach' : 'warning',
+            message: 'The contract does not set out ' + labels[topic] + '.' +
+                (topic === 'pay' || topic === 'hours' ? ' A permanent employee\'s contract needs it to show award compliance.' : ' The NES or award entitlement applies regardless; stating it avoids disputes.'),
+            suggestion: _crFill(CONTRACT_TEMPLATE_WORDING[topic], values)
+        });
+    });
+    if (covered.classification && rows.length && !classified.length) {
+        missing.push({
+            topic: 'classification', severity: 'warning',
+            message: 'The classification named in the contract was not found in the ' + (context.awardName || 'award') + ' — check it against the award\'s classification structure.',
+            suggestion: _crFill(CONTRACT_TEMPLATE_WORDING.classification, values)
+        });
+    }
+
+    const all = clauses.reduce(function (list, c) { return list.concat(c.findings); }, []).concat(missing);
+    return {
+        employmentType: employmentType,
+        hoursPerWeek: hoursPerWeek,
+        classification: payCheck && payCheck.label,
+        clauses: clauses,
+        missing: missing,
+        summary: {
+            clauses: clauses.length,
+            breaches: all.filter(function (f) { return f.severity === 'breach'; }).length,
+            warnings: all.filter(function (f) { return f.severity === 'warning'; }).length,
+            clausesOk: clauses.filter(function (c) { return c.status === 'ok'; }).length
+        }
+    };
+}
+
+// ---- Expose to window for the upload flow and devtools testing --------------
+
+if (typeof window !== 'undefined') {
+    window.CONTRACT_TEMPLATE_WORDING = CONTRACT_TEMPLATE_WORDING;
+    window.splitContractClauses = splitContractClauses;
+    window.reviewContract = reviewContract;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NES_ORDINARY_HOURS, NES_ANNUAL_LEAVE_WEEKS, NES_PERSONAL_LEAVE_DAYS, CONTRACT_TEMPLATE_WORDING,
+        splitContractClauses, contractClauseTopics, detectContractEmploymentType,
+        matchContractClassification, reviewContract
+    };
+}
@@ -0,0 +1,176 @@
+// ============================================================================
+// CONVERSATION MEMORY — what Fitz remembers from earlier in a long chat
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// The chat function sends the model only the most recent turns. Turns that
+// fall out of that window are folded into a running memory — the people
+// involved, key dates, facts established and documents already issued — so a
+// long disciplinary conversation still knows the employee's name, tenure and
+// the warnings already given. The memory is kept on the conversation
+// (users/{uid}/conversations/{id}.memory), sent with each message, and shown
+// in the chat sidebar where the user can correct or remove any line.
+//
+// Folding is batched: turns pile up past the window by up to MEMORY_FOLD_SLACK
+// messages, then everything but the last RECENT_HISTORY_MESSAGES is folded in
+// one summariser call, so most messages need no extra call at all.
+// memory.turnsCovered counts the history messages already folded in.
+//
+// Required by netlify/functions/chat.js and tests/conversation-memory.test.js;
+// loaded by app.html for the sidebar.
+// ============================================================================
+
+const RECENT_HISTORY_MESSAGES = 10;
+const MEMORY_FOLD_SLACK = 6;
+const MEMORY_ITEMS_PER_SECTION = 20;
+const MEMORY_ITEM_CHARS = 300;
+
+const CONVERSATION_MEMORY_SECTIONS = [
+    { key: 'parties', label: 'People', hint: 'name — role, employment type, start date' },
+    { key: 'dates', label: 'Key dates', hint: 'date — what happened' },
+    { key: 'facts', label: 'Facts established', hint: 'one fact per line' },
+    { key: 'documents', label: 'Documents issued or drafted', hint: 'document — date, to whom' }
+];
+
+/**
+ * An empty memory (nothing remembered, nothing folded).
+ * @returns {Object}
+ */
+function emptyConversationMemory() {
+    const memory = { turnsCovered: 0 };
+    CONVERSATION_MEMORY_SECTIONS.forEach(function (s) { memory[s.key] = []; });
+    return memory;
+}
+
+/**
+ * A memory cleaned up for use: every section a list of short, distinct,
+ * single-line strings. Accepts whatever was stored, edited or returned by the
+ * summariser; anything unreadable becomes an empty memory.
+ * @param {Object} raw
+ * @returns {Object}
+ */
+function normaliseConversationMemory(raw) {
+    const memory = emptyConversationMemory();
+    if (!raw || typeof raw !== 'object') return memory;
+    CONVERSATION_MEMORY_SECTIONS.forEach(function (s) {
+        const seen = {};
+        (Array.isArray(raw[s.key]) ? raw[s.key] : []).forEach(function (item) {
+            if (typeof item !== 'string') return;
+            const line = item.replace(/\s+/g, ' ').trim().slice(0, MEMORY_ITEM_CHARS);
+            const key = line.toLowerCase();
+            if (!line || seen[key] || memory[s.key].length >= MEMORY_ITEMS_PER_SECTION) return;
+            seen[key] = true;
+            memory[s.key].push(line);
+        });
+    });
+    const covered = Number(raw.turnsCovered);
+    memory.turnsCovered = covered > 0 ? Math.floor(covered) : 0;
+    return memory;
+}
+
+/**
+ * True when nothing is remembered.
+ * @param {Object} memory
+ * @returns {boolean}
+ */
+function isConversationMemoryEmpty(memory) {
+    return CONVERSATION_MEMORY_SECTIONS.every(function (s) { return !memory || !memory[s.key] || !memory[s.key].length; });
+}
+
+/**
+ * Which history messages go to the model and which are folded into memory.
+ * The recent window always starts on a user message.
+ * @param {Array<{role, content}>} history - the whole conversation so far
+ * @param {Object} memory - normalised memory
+ * @returns {{recent: Array, toFold: Array, turnsCovered: number}}
+ *   turnsCovered is the memory's count once toFold has been folded in.
+ */
+function planConversationHistory(history, memory) {
+    history = Array.isArray(history) ? history : [];
+    const covered = Math.min((memory && memory.turnsCovered) || 0, history.length);
+    if (history.length - covered <= RECENT_HISTORY_MESSAGES + MEMORY_FOLD_SLACK) {
+        return { recent: history.slice(covered), toFold: [], turnsCovered: covered };
+    }
+    let cut = history.length - RECENT_HISTORY_MESSAGES;
+    while (cut < history.length && history[cut].role !== 'user') cut++;
+    return { recent: history.slice(cut), toFold: history.slice(covered, cut), turnsCovered: cut };
+}
+
+/**
+ * The memory as a system prompt block, or '' when nothing is remembered.
+ * @param {Object} memory - normalised memory
+ * @returns {string}
+ */
+function buildConversationMemoryBlock(memory) {
+    if (isConversationMemoryEmpty(memory)) return '';
+    const lines = ['CONVERSATION MEMORY — established earlier in this conversation (older turns are not shown to you). The user can see and correct this list; treat it as accurate and do not ask again for anything it already answers.'];
+    CONVERSATION_MEMORY_SECTIONS.forEach(function (s) {
+        if (!memory[s.key].length) return;
+        lines.push('', s.label + ':');
+        memory[s.key].forEach(function (item) { lines.push('- ' + item); });
+    });
+    return lines.join('\n');
+}
+
+/**
+ * The instruction for the summariser call that folds older turns into the
+ * memory. Its reply is read by parseConversationMemoryUpdate().
+ * @param {Object} memory - normalised memory
+ * @param {Array<{role, content}>} turns - the messages being folded in
+ * @returns {string}
+ */
+function buildMemoryUpdatePrompt(memory, turns) {
+    const current = {};
+    CONVERSATION_MEMORY_SECTIONS.forEach(function (s) { current[s.key] = memory[s.key]; });
+    const transcript = turns.map(function (t) {
+        const text = typeof t.content === 'string' ? t.content : JSON.stringify(t.content);
+        return (t.role === 'user' ? 'USER: ' : 'FITZ: ') + text;
+    }).join('\n\n');
+    return [
+        'You keep the running memory of an HR advice conversation between an Australian employer (USER) and an HR assistant (FITZ).',
+        'Update the memory with anything from the new turns that later advice could depend on:',
+        CONVERSATION_MEMORY_SECTIONS.map(function (s) { return '- ' + s.key + ': ' + s.label.toLowerCase() + ' (' + s.hint + ')'; }).join('\n'),
+        'Keep every existing line unless the new turns correct it. One short line per item. Only record what the user stated or agreed, not general advice. No more than ' + MEMORY_ITEMS_PER_SECTION + ' lines per section.',
+        'Reply with the complete updated memory as JSON only, in exactly this shape: {"parties":[],"dates":[],"facts":[],"documents":[]}',
+        '',
+        'CURRENT MEMORY:',
+        JSON.stringify(current),
+        '',
+        'NEW TURNS:',
+        transcript
+    ].join('\n');
+}
+
+/**
+ * Reads the summariser's reply.
+ * @param {string} text - the reply
+ * @param {number} turnsCovered - from planConversationHistory()
+ * @returns {Object|null} the new memory, or null if the reply is not a memory
+ */
+function parseConversationMemoryUpdate(text, turnsCovered) {
+    const match = /\{[\s\S]*\}/.exec(String(text || ''));
+    if (!match) return null;
+    let parsed;
+    try { parsed = JSON.parse(match[0]); } catch (e) { return null; }
+    if (!parsed || typeof parsed !== 'object' ||
+        !CONVERSATION_MEMORY_SECTIONS.some(function (s) { return Array.isArray(parsed[s.key]); })) return null;
+    parsed.turnsCovered = turnsCovered;
+    return normaliseConversationMemory(parsed);
+}
+
+// ---- Expose to window for the sidebar and devtools testing -----------------
+
+if (typeof window !== 'undefined') {
+    window.CONVERSATION_MEMORY_SECTIONS = CONVERSATION_MEMORY_SECTIONS;
+    window.emptyConversationMemory = emptyConversationMemory;
+    window.normaliseConversationMemory = normaliseConversationMemory;
+    window.isConversationMemoryEmpty = isConversationMemoryEmpty;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RECENT_HISTORY_MESSAGES, MEMORY_FOLD_SLACK, CONVERSATION_MEMORY_SECTIONS,
+        emptyConversationMemory, normaliseConversationMemory, isConversationMemoryEmpty,
+        planConversationHistory, buildConversationMemoryBlock, buildMemoryUpdatePrompt,
+        parseConversationMemoryUpdate
+    };
+}
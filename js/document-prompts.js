@@ -0,0 +1,1330 @@
+// ============================================================================
+// DOCUMENT PROMPTS — the Document Builder's generation prompts
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// The Document Builder (formal warning, record of discussion, letter of
+// allegation, probation review, PIP) sends the chat function its document
+// type and the wizard's answers; the function builds the prompt here. A
+// document request is free (js/prompt-quota.js), so the browser never
+// supplies the prompt itself — only the fields a template fills in.
+//
+// Required by netlify/functions/chat.js and tests/document-prompts.test.js.
+// ============================================================================
+
+// Document types with a template, and what each one produces.
+const DOCUMENT_PROMPT_TYPES = {
+    formalWarning: 'Formal warning letter',
+    recordOfDiscussion: 'Record of discussion',
+    letterOfAllegation: 'Letter of allegation',
+    formalProbationReview: 'Formal probation review',
+    performanceImprovementPlan: 'Performance improvement plan'
+};
+
+// Longest value kept for a wizard field; a Record of Discussion's extracted
+// text can run long, everything else is a form input.
+const DOCUMENT_FIELD_MAX_CHARS = 4000;
+const DOCUMENT_ROD_TEXT_MAX_CHARS = 20000;
+const DOCUMENT_VENUE_FIELDS = ['venueName', 'venueTypeLabel', 'city', 'location', 'userName'];
+
+// Frames every request as a strict document generation task.
+const DOCUMENT_STRICT_PREFIX = `[DOCUMENT GENERATION MODE - STRICT]
+
+You are now in DOCUMENT GENERATION MODE. Your ONLY task is to output a complete, ready-to-use HR document.
+
+CRITICAL RULES:
+- Output ONLY the document content itself
+- Start your response with the document header (e.g., "# FORMAL WARNING LETTER")
+- Do NOT include any conversational text like "I understand", "Here's", "Let me help", etc.
+- Do NOT provide advice, tips, or process guidance
+- Do NOT explain what the document is or how to use it
+- Do NOT ask for more information - use what is provided
+
+CRITICAL CONTACT DETAILS RULES:
+- The company name is "Fitz HR" - NEVER use "Fitzgerald HR"
+- The contact email is "support@fitzhr.com" - NEVER use any @fitzgeraldhr email
+- NEVER include personal mobile or phone numbers in generated documents
+- For phone fields, use "[Insert Phone Number]" as placeholder
+- For email fields in document contact sections, use "support@fitzhr.com"
+
+If you output anything other than the actual document, you are violating the strict mode.
+
+BEGIN DOCUMENT OUTPUT:
+
+`;
+
+// The wizard's answers as the templates read them: string fields only, each
+// capped. Uploaded file data and flags are left out.
+function documentPromptFields(fields) {
+    const data = {};
+    if (!fields || typeof fields !== 'object') return data;
+    Object.keys(fields).forEach(function(key) {
+        if (!/^[A-Za-z][A-Za-z0-9]*$/.test(key) || key === 'rodFileData' || typeof fields[key] !== 'string') return;
+        data[key] = fields[key].slice(0, key === 'rodExtractedText' ? DOCUMENT_ROD_TEXT_MAX_CHARS : DOCUMENT_FIELD_MAX_CHARS);
+    });
+    return data;
+}
+
+// The business details a template names, from the venue profile.
+function documentPromptVenue(venue) {
+    venue = venue && typeof venue === 'object' ? venue : {};
+    const out = { setupComplete: venue.setupComplete === true };
+    DOCUMENT_VENUE_FIELDS.forEach(function(key) {
+        out[key] = typeof venue[key] === 'string' ? venue[key].slice(0, 200) : undefined;
+    });
+    return out;
+}
+
+/**
+ * The prompt for a Document Builder document.
+ * @param {string} type - a DOCUMENT_PROMPT_TYPES key
+ * @param {Object} fields - the wizard's answers (documentPromptFields)
+ * @param {{venue: Object, awardFullName: string|null, industryWord: string}} context
+ *   venue is { setupComplete, venueName, venueTypeLabel, city, location,
+ *   userName }; the award comes from the server's own resolution
+ * @returns {string|null} null for an unknown type
+ */
+function buildDocumentPrompt(type, fields, context) {
+    if (!Object.prototype.hasOwnProperty.call(DOCUMENT_PROMPT_TYPES, type)) return null;
+    // Answers the templates call string methods on are empty, not missing,
+    // when the request leaves them out.
+    const data = Object.assign({ warningLevel: '', allegations: '', suspensionRequired: '', overallOutcome: '' },
+        documentPromptFields(fields));
+    context = context || {};
+    const venue = documentPromptVenue(context.venue);
+    const sector = context.industryWord ? context.industryWord + ' ' : '';
+    const awardFullName = context.awardFullName || null;
+
+    const venueContext = venue.setupComplete ?
+        `Business: ${venue.venueName} (${venue.venueTypeLabel}) in ${venue.city}, ${venue.location}` :
+        `Australian business`;
+    
+    // Universal instruction for ALL document types
+    const universalInstruction = `
+=== CRITICAL INSTRUCTION ===
+You are a professional HR document writer. Your task is to OUTPUT A COMPLETE, READY-TO-USE FORMAL DOCUMENT.
+
+MANDATORY REQUIREMENTS:
+1. Generate the ACTUAL DOCUMENT with real content - NOT a checklist, guide, tips, or advice
+2. Write in formal business letter format with proper structure
+3. Use the specific details provided (names, dates, issues) in the document
+4. The document must be ready to print and give to an employee immediately
+5. DO NOT include instructions on "how to write" the document - just write it
+6. DO NOT include placeholder text like "[insert here]" - use the actual information provided
+7. DO NOT provide a checklist of what to include - provide the actual document content
+
+If you output anything other than a complete, formal document ready for immediate use, you have failed the task.
+=== END CRITICAL INSTRUCTION ===
+
+`;
+    
+    let prompt = '';
+    
+    if (type === 'formalWarning') {
+    prompt = `You are generating a FORMAL WARNING LETTER for Australian ${sector}HR.
+
+**CRITICAL OUTPUT REQUIREMENT:**
+You MUST generate an ACTUAL FORMAL LETTER - a complete, ready-to-use business letter document.
+DO NOT generate:
+- A checklist
+- A guide or how-to
+- Bullet points of what to include
+- Tips or advice
+- An outline or template with placeholders like "[insert here]"
+
+Generate the ACTUAL LETTER with real content based on the information provided below.
+
+VENUE CONTEXT:
+${venueContext}
+Award: ${awardFullName}
+Manager: ${venue.userName || '[Manager Name]'}
+
+EMPLOYEE DETAILS:
+- Name: ${data.employeeName}
+- Position: ${data.position}
+- Employment Type: ${data.employmentType}
+
+ISSUE DETAILS:
+${data.issueDescription}
+Date: ${data.issueDate}
+${data.witnesses ? `Witnesses: ${data.witnesses}` : 'No witnesses mentioned'}
+
+${data.rodExtractedText ? `
+RECORD OF DISCUSSION CONTEXT:
+The following information has been extracted from the completed Record of Discussion conversation:
+
+${data.rodExtractedText}
+
+**IMPORTANT:** Use the employee's actual responses and comments from the Record of Discussion above to make this warning letter more accurate and contextual. Include verbatim quotes where appropriate, and reference specific points the employee made during the discussion. This provides crucial context and demonstrates procedural fairness.
+` : ''}
+
+PREVIOUS ACTION TAKEN:
+${data.hadVerbalWarnings === 'Yes' ? 
+  `${data.verbalWarningCount || 'Multiple'} verbal warning(s) have been given` : 
+  'No prior formal warnings'}
+This is a ${data.warningLevel.toLowerCase()}.
+
+REQUIRED IMPROVEMENTS:
+${data.expectations}
+Timeframe: ${data.timeframe}
+
+CONSEQUENCES:
+${data.consequences}
+
+Generate a complete, professional formal warning letter following Australian employment law best practices.
+
+**CRITICAL FORMATTING REQUIREMENTS:**
+1. Use ## for major sections (e.g., ## EMPLOYEE DETAILS)
+2. Use blank lines between ALL paragraphs and sections
+3. Use **text** for emphasis
+4. For lists, use bullet points with "• " prefix
+5. Structure clearly with proper spacing
+6. Separate each major section with a blank line before and after
+7. ALWAYS add a space after colons in labels (e.g., "Date: " not "Date:")
+8. ALWAYS add spaces around bold text (e.g., "within **seven (7) days** of receiving" not "within**seven (7) days**of receiving")
+
+**IMPORTANT: Format lists clearly with bullet points like this:**
+- First item
+- Second item
+- Third item
+
+REQUIREMENTS:
+1. **Expand the issue description** - Take the brief description and expand with appropriate context while staying factual
+2. **Use formal, professional language** - Clear, firm but respectful
+3. **Include all legal requirements**:
+   - Dated header with full employee details
+   - Clear subject line
+   - Detailed description of the issue (expanded from brief description)
+   - Reference to previous warnings
+   - Specific, measurable improvement expectations (use bullet points)
+   - Clear timeframe
+   - Stated consequences (use bullet points)
+   - Warning retention period (12 months)
+   - Signature sections
+
+4. **Maintain procedural fairness**
+5. **Be specific and actionable**
+6. **Professional tone** - firm but not threatening
+
+Example structure:
+
+# FORMAL WARNING LETTER
+
+## DATE AND RECIPIENT
+
+Date: [Date]
+
+Employee Name: [Name]
+
+Position: [Position]
+
+## SUBJECT
+
+Subject: Formal Written Warning - [Issue]
+
+## ISSUE DESCRIPTION
+
+[Detailed description of what occurred, with specific dates and facts]
+
+## PREVIOUS DISCUSSIONS
+
+[Reference to verbal warnings if applicable]
+
+## REQUIRED IMPROVEMENTS
+
+You are required to:
+
+- [Specific expectation 1]
+- [Specific expectation 2]
+- [Specific expectation 3]
+
+## TIMEFRAME
+
+[Clear timeframe for improvement]
+
+## CONSEQUENCES
+
+Failure to meet these expectations may result in:
+
+- [Consequence 1]
+- [Consequence 2]
+- Termination of employment
+
+**IMPORTANT: Do NOT list "reduction in rostered hours" or "reduced shifts" as a consequence. This is not an appropriate disciplinary outcome, particularly for full-time employees.**
+
+## WARNING RETENTION
+
+This warning will remain on your employee file for 12 months from the date of this letter.
+
+## SIGNATURES
+
+Employee Signature: _________________________ Date: __________
+
+Manager Signature: _________________________ Date: __________
+
+Format as a complete business letter with proper structure and clear spacing between all sections.
+
+DO NOT add fictional details. Expand and contextualize what was provided.`;
+    
+    } else if (type === 'recordOfDiscussion') {
+    prompt = `You are generating a RECORD OF DISCUSSION TEMPLATE & CONVERSATION SCRIPT for Australian ${sector}managers.
+
+THIS IS A TEMPLATE/SCRIPT - NOT A COMPLETED DOCUMENT.
+The manager will use this during the actual conversation with the employee.
+
+⚠️ CRITICAL: This is a PROCEDURAL FAIRNESS meeting. NO outcome or decision is made during this meeting. The purpose is to:
+1. Present allegations to the employee
+2. Give the employee the opportunity to respond
+3. Gather information and the employee's perspective
+4. Adjourn to consider all information before making any decision
+
+A follow-up meeting will be scheduled 24-48 hours later to deliver the outcome after proper consideration.
+
+VENUE CONTEXT:
+${venueContext}
+Manager: ${venue.userName || '[Manager Name]'}
+
+EMPLOYEE DETAILS:
+- Name: ${data.employeeName}
+- Position: ${data.position}
+
+MEETING PREPARATION CHECKLIST:
+- 24 hours notice given: ${data.notice24hours}
+- Support person offered: ${data.supportPersonOffered}
+
+ALLEGATIONS:
+${data.allegations}
+
+WITNESSES (if any):
+${data.witnesses || 'None mentioned'}
+
+**CRITICAL FORMATTING REQUIREMENTS:**
+1. Use ## for major sections (e.g., ## BEFORE THE MEETING)
+2. Use blank lines between ALL paragraphs and sections
+3. DO NOT use **bold** formatting - use plain text only
+4. For lists, use bullet points with "• " prefix
+5. Structure clearly with proper spacing
+6. Separate each major section with a blank line before and after
+7. **ALWAYS add a space after colons in labels** (e.g., "Employee Name: Blake" not "Employee Name:Blake")
+8. For manager scripts, prefix with "MANAGER SAYS: " instead of using bold
+
+**IMPORTANT: Format lists clearly with bullet points like this:**
+- First item
+- Second item
+- Third item
+
+**IMPORTANT: Always include a space after colons:**
+✓ CORRECT: "Date: 20 January 2026"
+✗ WRONG: "Date:20 January 2026"
+
+Generate a conversation template that:
+
+1. **Provides a complete script** for the manager to follow during the meeting
+2. **Uses "MANAGER SAYS:" prefix** for what the manager should actually SAY
+3. **Uses italics** for instructions/guidance (e.g., *Listen carefully and take notes*)
+4. **Leaves space** for the manager to write the employee's responses
+5. **Guides the manager** through difficult conversations with prompts like:
+   - *Ask clarifying questions*
+   - *Allow the employee time to respond*
+   - *Remain calm and professional*
+6. **CLEARLY STATES** that no decision will be made today - this is just to hear their side
+
+STRUCTURE:
+
+## BEFORE THE MEETING
+
+*Print this document and have it in front of you during the meeting*
+*Review the allegations and gather any evidence*
+*Prepare to listen - this is a two-way conversation*
+*Remember: You are NOT making a decision today - only gathering information*
+
+## MEETING SCRIPT
+
+### OPENING THE MEETING
+
+MANAGER SAYS: "Thank you for meeting with me today, ${data.employeeName}. As mentioned in my notice, we need to discuss some concerns about [brief description]."
+
+MANAGER SAYS: "You have the right to have a support person present. Have you brought someone with you, or would you like to reschedule to arrange one?"
+
+*Wait for response - write it here:*
+__________________________________________________________________________________
+
+### EXPLAINING THE PURPOSE
+
+MANAGER SAYS: "Before we start, I want to be clear about the purpose of this meeting:
+
+- I'm going to explain some allegations/concerns
+- You'll have the opportunity to respond and give your side of the story
+- I'm here to listen and gather information
+- No decision will be made today - I need time to properly consider everything you tell me
+- We'll schedule a follow-up meeting in the next 24-48 hours where I'll share my decision
+
+Does that make sense?"
+
+*Wait for acknowledgment:*
+___________________________________
+
+### PRESENTING THE ALLEGATIONS
+
+MANAGER SAYS: "The reason for this meeting is that I've received information about the following:"
+
+${data.allegations.split('\n').map(a => `• ${a.trim()}`).join('\n')}
+
+*Pause after presenting each allegation - let them absorb the information*
+
+MANAGER SAYS: "These matters are serious because [explain the impact - e.g., they affect workplace safety, team morale, customer service, or breach company policy]."
+
+### GIVING THE EMPLOYEE THE OPPORTUNITY TO RESPOND
+
+MANAGER SAYS: "Now I'd like to hear your side of the story. This is your opportunity to respond to these allegations. Can you tell me what happened from your perspective?"
+
+*This is CRITICAL - LISTEN carefully without interrupting. Take detailed notes of everything they say:*
+
+Employee's response to allegations:
+__________________________________________________________________________________
+__________________________________________________________________________________
+__________________________________________________________________________________
+__________________________________________________________________________________
+__________________________________________________________________________________
+
+*After they finish, ask clarifying questions:*
+
+MANAGER SAYS: "Thank you for explaining. Can I ask a few questions to make sure I understand correctly?"
+
+Clarifying questions to ask:
+
+- "When you say [repeat something they said], can you explain what you mean?"
+- "Were there any other circumstances I should know about?"
+- "Is there anyone who can support what you're telling me?"
+- "Is there anything else you'd like to add?"
+
+Additional information from employee:
+__________________________________________________________________________________
+__________________________________________________________________________________
+__________________________________________________________________________________
+
+### EVIDENCE OR WITNESSES
+
+*If the employee mentions evidence or witnesses:*
+
+MANAGER SAYS: "You mentioned [evidence/witness]. Can you provide me with [details/their name] so I can consider this as part of my review?"
+
+Evidence/witnesses mentioned:
+__________________________________________________________________________________
+__________________________________________________________________________________
+
+### EXPLAINING NEXT STEPS
+
+MANAGER SAYS: "Thank you for being open with me and sharing your perspective. I want to be clear about what happens next:
+
+- I'm going to take time to properly consider everything you've told me today
+- I'll review all the information, evidence, and your response
+- I'll schedule a follow-up meeting with you within the next 24-48 hours
+- At that meeting, I'll let you know my decision and what happens next
+- You won't hear anything before that meeting - I need time to think this through properly"
+
+*Set a specific date/time now for the follow-up meeting:*
+
+MANAGER SAYS: "Can we schedule our follow-up meeting for [DATE] at [TIME]?"
+
+Follow-up meeting scheduled:
+
+Date: ___________________
+
+Time: ___________________
+
+### CLOSING THE MEETING
+
+MANAGER SAYS: "Do you have any questions about the process or what happens next?"
+
+*Note any questions/concerns:*
+__________________________________________________________________________________
+
+MANAGER SAYS: "Thank you for attending this meeting and sharing your side of the story. I'll see you at our follow-up meeting on [DATE]."
+
+*If they have a support person:*
+
+MANAGER SAYS: "Thank you also for attending [support person name]."
+
+## AFTER THE MEETING
+
+*Complete the following sections IMMEDIATELY after the meeting while details are fresh:*
+
+### SUMMARY OF ALLEGATIONS PRESENTED
+
+*Write a brief, factual summary of what allegations you presented:*
+__________________________________________________________________________________
+__________________________________________________________________________________
+
+### EMPLOYEE'S RESPONSE SUMMARY
+
+*Summarise the key points of what the employee said in response:*
+________________________________________________________________________________
+________________________________________________________________________________
+________________________________________________________________________________
+
+### EMPLOYEE'S EXPLANATION/MITIGATING CIRCUMSTANCES
+
+*Note any explanations, mitigating factors, or context the employee provided:*
+__________________________________________________________________________________
+__________________________________________________________________________________
+
+### EVIDENCE/WITNESSES TO FOLLOW UP
+
+*List any evidence you need to review or witnesses you need to speak to:*
+
+- __________________________________________________________________________________
+- __________________________________________________________________________________
+- __________________________________________________________________________________
+
+### MANAGER'S NOTES FOR CONSIDERATION
+
+*Before making your decision, consider:*
+
+- How credible is the employee's explanation?
+- Does their response change the seriousness of the allegations?
+- What evidence supports or contradicts their version?
+- Are there any mitigating circumstances?
+- What is the appropriate outcome (if allegations are substantiated)?
+
+*DO NOT write your decision here - this is just for your own consideration process*
+
+### MEETING ATTENDEES
+
+Employee: ${data.employeeName}
+
+Manager: ${venue.userName || '[Manager Name]'}
+
+Support Person (if present): _________________________________
+
+Date: ___________________
+
+Time: ___________________
+
+### NEXT STEPS BEFORE FOLLOW-UP MEETING
+
+*What you need to do before the follow-up meeting:*
+
+☐ Review all evidence and witness statements
+☐ Consider the employee's response fairly
+☐ Determine if allegations are substantiated
+☐ Decide on appropriate outcome (if substantiated)
+☐ Prepare outcome letter (if formal warning required)
+☐ Schedule follow-up meeting (DONE: [DATE/TIME])
+
+---
+
+**IMPORTANT REMINDERS FOR MANAGER:**
+
+✓ DO NOT make or hint at any decision during this meeting
+✓ Your role today is to LISTEN and GATHER INFORMATION only
+✓ Take detailed notes - they may be important later
+✓ Remain calm, professional, and neutral
+✓ Give the employee adequate time to respond
+✓ Ask open-ended questions to get their full story
+✓ Schedule the follow-up meeting before they leave
+
+**PROCEDURAL FAIRNESS CHECKLIST:**
+
+☐ Employee given 24 hours notice ✓
+☐ Employee offered support person ✓
+☐ Allegations clearly explained ✓
+☐ Employee given genuine opportunity to respond ✓
+☐ Employee's response documented ✓
+☐ Follow-up meeting scheduled ✓
+☐ No decision made during this meeting ✓
+
+**⚠️ CRITICAL LEGAL REQUIREMENT:**
+
+This meeting is ONLY for gathering information. You MUST take time (24-48 hours) to properly consider the employee's response before making any decision. Failing to do this could result in a finding of unfair dismissal if the matter proceeds to termination.
+
+*If you're unsure how to proceed at any point, pause the meeting and contact Fitz HR: support@fitzhr.com*
+`;
+    
+    } else if (type === 'letterOfAllegation') {
+    prompt = `You are generating a LETTER OF ALLEGATION for serious workplace misconduct investigation.
+
+**CRITICAL OUTPUT REQUIREMENT:**
+You MUST generate an ACTUAL FORMAL LETTER - a complete, ready-to-use business letter document.
+DO NOT generate:
+- A checklist
+- A guide or how-to
+- Bullet points of what to include
+- Tips or advice
+- An outline or template with placeholders like "[insert here]"
+
+Generate the ACTUAL LETTER with real content based on the information provided below.
+
+⚠️ THIS IS HIGH-RISK - MUST BE LEGALLY SOUND
+
+VENUE CONTEXT:
+${venueContext}
+Manager: ${venue.userName || '[Manager Name]'}
+
+EMPLOYEE:
+- Name: ${data.employeeName}
+- Position: ${data.position}
+- Employment Type: ${data.employmentType}
+
+ALLEGATION:
+Type: ${data.allegationType}
+${data.allegationDescription}
+Date of incident: ${data.incidentDate}
+
+SOURCE:
+${data.allegationSource}
+${data.evidenceExists ? `Evidence: ${data.evidenceExists}` : ''}
+
+INVESTIGATION:
+Investigator: ${data.investigator}
+Suspension: ${data.suspensionRequired}
+
+MEETING SCHEDULED:
+Date: ${data.meetingDate}
+Location: ${data.meetingLocation}
+
+**CRITICAL FORMATTING REQUIREMENTS:**
+1. Use ## for major sections (e.g., ## ALLEGATION DETAILS)
+2. Use blank lines between ALL paragraphs and sections
+3. DO NOT use bold formatting - use plain text only
+4. For lists, use bullet points with "• " prefix
+5. Structure clearly with proper spacing
+6. Separate each major section with a blank line before and after
+7. **ALWAYS add a space after colons in labels** (e.g., "Date: 20 January 2026" not "Date:20 January 2026")
+
+**IMPORTANT: Format lists clearly with bullet points like this:**
+- First item
+- Second item
+- Third item
+
+**IMPORTANT: Always include a space after colons:**
+✓ CORRECT: "Date: 20 January 2026"
+✗ WRONG: "Date:20 January 2026"
+
+Generate a legally compliant Letter of Allegation.
+
+CRITICAL REQUIREMENTS:
+
+1. **Neutral tone** - No presumption of guilt
+2. **Clear process** - Explain investigation steps
+3. **Employee rights**:
+   - Right to support person
+   - Opportunity to respond
+   - Procedural fairness
+4. **Confidentiality requirements**
+5. **Meeting details**
+6. **Suspension details** (if applicable)
+7. **Next steps clearly outlined**
+
+Example structure:
+
+# PRIVATE & CONFIDENTIAL
+
+# LETTER OF ALLEGATION
+
+## DATE AND RECIPIENT
+
+Date: [Date]
+
+Employee Name: [Name]
+
+Position: [Position]
+
+Employment Type: [Type]
+
+## SUBJECT
+
+Subject: Allegation of [Type] - Investigation Process
+
+## NATURE OF ALLEGATION
+
+[Factual description - not conclusive]
+
+We have received information regarding an alleged incident of ${data.allegationType} that occurred on or around ${data.incidentDate}.
+
+The allegation is as follows:
+
+${data.allegationDescription}
+
+Please note that this letter does not constitute a finding of guilt or wrongdoing. It is simply to inform you of the allegation and the investigation process that will follow.
+
+## INVESTIGATION PROCESS
+
+We will be conducting a thorough and fair investigation into this matter. The investigation will include:
+
+- Meeting with you to hear your response to the allegation
+- Reviewing any relevant evidence
+- Speaking with any witnesses (if applicable)
+- Considering all information before making any decision
+
+The investigation will be conducted by: ${data.investigator}
+
+## SUSPENSION ARRANGEMENTS
+
+${data.suspensionRequired.includes('No suspension') ? 
+  'You are not suspended during this investigation and should continue to attend work as normal.' :
+  data.suspensionRequired.includes('full pay') ?
+  'You are suspended on full pay during this investigation. You should not attend the workplace unless specifically requested. You will continue to receive your normal pay during this period.' :
+  'You are suspended without pay during this investigation due to the serious nature of the alleged misconduct. You should not attend the workplace unless specifically requested.'}
+
+## INVESTIGATION MEETING
+
+You are required to attend an investigation meeting to respond to this allegation:
+
+Date: ${data.meetingDate}
+
+Location: ${data.meetingLocation}
+
+## YOUR RIGHTS
+
+You have the following rights during this investigation:
+
+- Right to bring a support person to the meeting (this can be a work colleague, family member, or union representative)
+- Opportunity to respond to the allegations in full
+- Right to provide evidence or witness names that support your version of events
+- Procedural fairness will be maintained throughout the investigation
+- You may seek legal advice if you wish
+
+## CONFIDENTIALITY
+
+This matter is confidential. You must not discuss the allegation or investigation with other employees (except your nominated support person or union representative). Breaching confidentiality may be considered a separate matter of misconduct.
+
+## NEXT STEPS
+
+After the investigation meeting:
+
+- Your response will be considered along with all other evidence
+- A decision will be made regarding the allegation
+- You will be informed of the outcome in writing
+- If the allegation is substantiated, disciplinary action may be taken, which could include termination of employment
+
+## CONTACT INFORMATION
+
+If you have any questions about this process or need to discuss the meeting arrangements, please contact:
+
+${venue.userName || '[Manager Name]'}
+
+Email: support@fitzhr.com
+
+Phone: [Insert Phone Number]
+
+We encourage you to seek advice from a union representative or legal advisor if you wish.
+
+---
+
+This is a serious matter and we are committed to conducting a fair and thorough investigation.
+
+Please confirm receipt of this letter and your attendance at the scheduled meeting.
+
+Yours sincerely,
+
+${venue.userName || '[Manager Name]'}
+
+[Title]
+
+${venue.venueName || '[Venue Name]'}
+
+Date: [Date]
+
+---
+
+IMPORTANT LEGAL NOTICE:
+
+This letter must be reviewed by a Fitz HR Senior Consultant before being issued to the employee.
+
+Contact: support@fitzhr.com
+
+Include:
+- PRIVATE & CONFIDENTIAL header
+- Date and recipient details
+- Clear subject line
+- Nature of allegation (factual, not conclusive)
+- Investigation process explanation
+- Suspension details if applicable
+- Meeting details (date, time, location)
+- Support person rights
+- Confidentiality requirements
+- Next steps after investigation
+- Signature section
+
+TONE: Professional, neutral, procedurally fair. This is NOT a punishment - it's the start of a fair process.`;
+	
+    } else if (type === 'formalProbationReview') {
+        prompt = `You are generating a FORMAL PROBATION REVIEW DOCUMENT for Australian ${sector}HR.
+
+The purpose of this Formal Probation Review Document is to guide an open and honest discussion about performance and/or behaviours in probation, including support the employee may need.
+
+The probation period is an opportunity for the business and the employee to determine the employee's suitability for the role and culture fit.
+
+THIS IS A TEMPLATE & CONVERSATION GUIDE — the manager will use this during the actual meeting with the employee and complete sections together.
+
+VENUE CONTEXT:
+${venueContext}
+Award: ${awardFullName}
+
+EMPLOYEE DETAILS:
+- Employee Name: ${data.employeeName}
+- Position: ${data.position}
+- People Leader: ${data.peopleLeader}
+- Meeting Date: ${data.meetingDate}
+- Employment Type: ${data.employmentType}
+- Start Date: ${data.startDate}
+- Probation End Date: ${data.probationEndDate}
+
+PREVIOUS CHECK-IN/COACHING CONVERSATIONS:
+${data.checkInHistory}
+
+REVIEW OF PERFORMANCE — STRENGTHS:
+Areas currently meeting the required standards:
+${data.strengths}
+${data.strengthsComments ? `Additional comments: ${data.strengthsComments}` : ''}
+
+OPPORTUNITIES FOR DEVELOPMENT:
+Areas NOT currently meeting the required standards:
+${data.developmentAreas}
+${data.developmentComments ? `Additional comments: ${data.developmentComments}` : ''}
+${data.conductConcerns ? `Conduct/compliance concerns: ${data.conductConcerns}` : 'No conduct or compliance concerns noted.'}
+
+ACTION PLAN:
+Agreed actions:
+${data.agreedActions}
+
+Training and support to be provided:
+${data.trainingAndSupport}
+
+Next review date: ${data.nextReviewDate}
+
+EMPLOYEE FEEDBACK:
+${data.employeeSelfAssessment || 'To be completed during the meeting with the employee.'}
+
+OVERALL OUTCOME: ${data.overallOutcome}
+${data.additionalNotes ? `Additional notes: ${data.additionalNotes}` : ''}
+
+**CRITICAL FORMATTING REQUIREMENTS:**
+1. Use ## for major sections
+2. Use blank lines between ALL paragraphs and sections
+3. Use **text** for emphasis on key headings only
+4. For lists, use bullet points with "• " prefix
+5. Structure clearly with proper spacing
+6. ALWAYS add a space after colons in labels (e.g., "Date: " not "Date:")
+7. Include writable lines (______) for sections completed during the meeting
+
+Generate a complete, professional Formal Probation Review Document with the following structure:
+
+## FORMAL PROBATION REVIEW DOCUMENT
+
+*Start with a brief purpose statement: "The purpose of this Formal Probation Review Document is to guide an open and honest discussion about performance and/or behaviours in probation, including support the employee may need."*
+
+*Add: "The probation period is an opportunity for [business name] and the employee to determine the employee's suitability for the role and culture fit."*
+
+*Add: "Generally, at least one Probation Check-In Conversation has occurred before a Formal Probation Review."*
+
+## EMPLOYEE DETAILS
+
+Create a clear details table with:
+- Employee Name: ${data.employeeName}
+- Position: ${data.position}
+- People Leader: ${data.peopleLeader}
+- Meeting Date: ${data.meetingDate}
+- Employment Start Date: ${data.startDate}
+- Probation End Date: ${data.probationEndDate}
+
+## PREVIOUS COACHING & CHECK-IN CONVERSATIONS
+
+*Add: "The following coaching and/or check-in conversations have occurred:"*
+
+List each conversation from the provided history as bullet points with date and overview. Format as:
+• [date] — [overview of conversation]
+
+## REVIEW OF PERFORMANCE
+
+### Strengths
+
+*Add: "Discuss the areas of performance and/or behaviours that ARE currently meeting the required standards."*
+
+Expand the provided strengths into clear, professional bullet points with specific examples. Then add a comments section:
+
+Comments:
+__________________________________________________________________________________
+__________________________________________________________________________________
+__________________________________________________________________________________
+
+### Opportunities for Development
+
+*Add: "Discuss the areas of performance and/or behaviours that are NOT currently meeting the required standards."*
+
+Expand the provided development areas into clear, professional bullet points with specific examples. Then add a comments section:
+
+Comments:
+__________________________________________________________________________________
+__________________________________________________________________________________
+__________________________________________________________________________________
+
+${data.conductConcerns ? `*Add a note about conduct/compliance matters if applicable: "${data.conductConcerns}"*` : '*Add: "Conduct or compliance breaches? Contact Fitz HR: support@fitzhr.com"*'}
+
+## ACTION PLAN
+
+*Add: "What is to be done, who will do it, when it needs to be completed. The most effective Action Plans focus on behaviours and actions (inputs) rather than metrics and outcomes (outputs)."*
+
+*Add: "To help improve performance and/or behaviours to the required standard, the following action plan is agreed:"*
+
+Create a clear action plan table/section with columns:
+- Agreed Actions | By Whom | By When
+
+Expand the provided agreed actions into the table. Include BOTH employee actions AND leader actions.
+
+Then add the training and support section with specific details.
+
+Next Review Date: ${data.nextReviewDate}
+
+## EMPLOYEE'S COMMENTS/FEEDBACK
+
+*Add: "Ask the employee for their self-assessment on their performance and/or behaviours, including any barriers they are facing, support they need, and feedback for you as their leader."*
+
+${data.employeeSelfAssessment ? `Pre-filled: ${data.employeeSelfAssessment}` : ''}
+
+Comments:
+__________________________________________________________________________________
+__________________________________________________________________________________
+__________________________________________________________________________________
+__________________________________________________________________________________
+
+## KEY MESSAGES
+
+*Add: "The following points were discussed and agreed (adjust as appropriate):"*
+
+Based on the overall outcome "${data.overallOutcome}", generate appropriate key messages. These should be specific bullet points that summarise what was discussed and agreed. Include messages like:
+
+${data.overallOutcome.includes('On track') ? 
+`- The employee is currently meeting the required performance and/or behavioural standards for their role
+- Areas of strength have been acknowledged and areas for continued development have been identified
+- Both parties have agreed on an action plan for the next period
+- A follow-up review will take place on ${data.nextReviewDate} to continue tracking progress` :
+data.overallOutcome.includes('At risk') || data.overallOutcome.includes('Significant') ?
+`- The employee is not currently meeting the required performance and/or behavioural standards required of their role
+- The employee will need to address these performance or behavioural gaps and show sufficient improvement to be considered suitable for ongoing employment
+- We have discussed and confirmed that the employee has received appropriate training to date to understand and perform the requirements of their role
+- Both parties have agreed on an action plan with specific, measurable improvements required
+- Another meeting will take place on ${data.nextReviewDate} to review their progress and to determine next steps` :
+data.overallOutcome.includes('ending employment') ?
+`- The employee has not demonstrated sufficient improvement during the probation period despite support and feedback provided
+- The requirements of the role and expected standards were clearly communicated
+- Support, training and regular feedback were provided throughout the probation period
+- The employee was given a genuine opportunity to improve
+- The decision to end employment during the probation period has been made in accordance with procedural fairness` :
+`- Generate 4-5 appropriate key messages based on the outcome: ${data.overallOutcome}`}
+
+*Add: "Should the employee feel they need any support in dealing with this matter, confidential independent professional counsellors can be contacted for a range of issues." (Include an EAP reference if the business has one)*
+
+## SIGNATURES
+
+People Leader's Signature: _________________________ Date: __ / __ / ____
+
+Employee's Signature: _________________________ Date: __ / __ / ____
+
+---
+
+**IMPORTANT REMINDERS:**
+
+✓ Both parties should retain a copy of this completed document
+✓ This document forms part of the employee's probation record
+✓ Any serious concerns should be escalated to Fitz HR: support@fitzhr.com
+✓ The tone throughout should be supportive and developmental — firm where needed but always fair
+
+**⚠️ All generated documents must be reviewed by a Fitz HR consultant before use.**
+
+Contact: support@fitzhr.com
+
+TONE: Professional, supportive, and fair. This is a development conversation — not a disciplinary meeting. Be specific with examples, balanced in acknowledging strengths and identifying areas for improvement, and constructive in the action plan. The document should demonstrate genuine procedural fairness.
+
+DO NOT add fictional details. Expand and contextualise what was provided. DO NOT reference any other organisations by name.`;
+	
+    } else if (type === 'performanceImprovementPlan') {
+        prompt = `You are generating a PERFORMANCE IMPROVEMENT PLAN (PIP) for Australian ${sector}HR.
+
+**CRITICAL OUTPUT REQUIREMENT:**
+You MUST generate an ACTUAL FORMAL DOCUMENT - a complete, ready-to-use Performance Improvement Plan.
+DO NOT generate:
+- A checklist
+- A guide or how-to
+- Bullet points of what to include
+- Tips or advice
+- An outline or template with placeholders like "[insert here]"
+
+Generate the ACTUAL PIP DOCUMENT with real content based on the information provided below.
+
+⚠️ THIS IS A FORMAL 12-WEEK STRUCTURED PROCESS
+
+VENUE CONTEXT:
+${venueContext}
+Award: ${awardFullName}
+Manager: ${data.managerName || venue.userName || '[Manager Name]'}
+
+EMPLOYEE DETAILS:
+- Name: ${data.employeeName}
+- Position: ${data.position}
+- Employment Type: ${data.employmentType}
+
+PERFORMANCE ISSUES IDENTIFIED:
+Issue #1: ${data.performanceIssue1}
+Evidence: ${data.performanceData1}
+
+${data.performanceIssue2 ? `Issue #2: ${data.performanceIssue2}\nEvidence: ${data.performanceData2}` : ''}
+
+SMART GOALS SET:
+Goal #1: ${data.goal1}
+${data.goal2 ? `Goal #2: ${data.goal2}` : ''}
+${data.goal3 ? `Goal #3: ${data.goal3}` : ''}
+
+ACTION PLAN:
+Training/Coaching: ${data.trainingProvided}
+Resources: ${data.resourcesProvided}
+Manager Support: ${data.managerSupport}
+
+EMPLOYEE RESPONSIBILITIES:
+${data.employeeActions}
+
+TIMELINE:
+- PIP Start: ${data.pipStartDate}
+- Weekly Check-ins: ${data.weeklyCheckins}
+- Week 4 Review: ${data.week4ReviewDate}
+- Week 8 Review: ${data.week8ReviewDate}
+- Week 12 Final Review: ${data.week12ReviewDate}
+
+CONSEQUENCES:
+- Week 4: ${data.week4Consequence}
+- Week 8: ${data.week8Consequence}
+- Week 12: ${data.week12Consequence}
+${data.consequenceNotes ? `Notes: ${data.consequenceNotes}` : ''}
+
+**CRITICAL FORMATTING REQUIREMENTS:**
+1. Use ## for major sections (e.g., ## PERFORMANCE ISSUES)
+2. Use blank lines between ALL paragraphs and sections
+3. DO NOT use **bold** formatting - use plain text only
+4. For lists, use bullet points with "• " prefix
+5. Structure clearly with proper spacing
+6. **ALWAYS add a space after colons in labels** (e.g., "Date: 20 January 2026" not "Date:20 January 2026")
+
+Generate a complete, professionally structured 12-Week Performance Improvement Plan.
+
+REQUIREMENTS:
+
+1. **Professional business document format**
+2. **Clear structure** with these sections:
+   - Header (CONFIDENTIAL - PERFORMANCE IMPROVEMENT PLAN)
+   - Employee and Manager Details
+   - Purpose of PIP
+   - Performance Issues Identified (with data/evidence)
+   - SMART Goals (numbered, clear, measurable)
+   - Action Plan (detailed steps, training, resources)
+   - Roles and Responsibilities (Manager & Employee tables)
+   - Timeline and Review Schedule (12-week calendar)
+   - Progress Measurement (how success will be tracked)
+   - Consequences (staged - Week 4, 8, 12)
+   - Support Available
+   - Employee Acknowledgment Section
+   - Signature Blocks
+
+3. **Use a supportive but clear tone** - this is to help the employee succeed, not punish them
+4. **Make goals SMART** - expand on the brief goals provided with more specific detail
+5. **Weekly check-in template** - provide a simple weekly check-in form at the end
+6. **Be specific about consequences** but frame as progressive steps. **Do NOT include "reduction in rostered hours" or "reduced shifts" as a consequence - this is not appropriate, particularly for full-time employees.**
+7. **Include measurement criteria** for each goal
+
+Example structure:
+
+# CONFIDENTIAL
+
+# PERFORMANCE IMPROVEMENT PLAN
+
+## EMPLOYEE DETAILS
+
+Employee Name: ${data.employeeName}
+
+Position: ${data.position}
+
+Employment Type: ${data.employmentType}
+
+Manager/Supervisor: ${data.managerName}
+
+PIP Start Date: ${data.pipStartDate}
+
+PIP Duration: 12 weeks
+
+## PURPOSE OF THIS PERFORMANCE IMPROVEMENT PLAN
+
+This Performance Improvement Plan (PIP) has been developed to support ${data.employeeName} in addressing performance concerns and achieving the expected standards for the ${data.position} role.
+
+The purpose of this plan is to:
+
+- Clearly identify the specific performance issues that need improvement
+- Set measurable goals with realistic timeframes
+- Provide structured support, training, and resources
+- Establish regular check-ins and feedback mechanisms
+- Outline the consequences if performance does not improve
+
+This is a supportive process designed to help you succeed. We are committed to providing you with the tools, training, and support needed to meet these goals.
+
+## PERFORMANCE ISSUES IDENTIFIED
+
+The following performance issues have been identified based on objective data and observations:
+
+### Issue 1: [Expand on ${data.performanceIssue1}]
+
+Evidence:
+
+- ${data.performanceData1}
+
+Impact: [Explain how this impacts the business, team, or customers]
+
+### Issue 2: [If applicable - expand on ${data.performanceIssue2}]
+
+Evidence:
+
+- ${data.performanceData2}
+
+Impact: [Explain impact]
+
+## SMART GOALS
+
+To address these performance issues, the following SMART goals have been established:
+
+### Goal 1: [Expand ${data.goal1}]
+
+- Specific: [What exactly needs to improve]
+- Measurable: [How will we measure success - specific numbers/metrics]
+- Achievable: [Why this is realistic given training and support]
+- Relevant: [How this relates to role expectations]
+- Time-bound: [Specific deadline - Week 4, 8, or 12]
+
+Success Criteria: [Define what "success" looks like - be very specific]
+
+### Goal 2: [If applicable]
+
+[Same structure as Goal 1]
+
+### Goal 3: [If applicable]
+
+[Same structure as Goal 1]
+
+## ACTION PLAN
+
+To help you achieve these goals, we will provide the following support:
+
+### Training and Development
+
+${data.trainingProvided}
+
+### Resources and Tools
+
+${data.resourcesProvided}
+
+### Manager/Supervisor Support
+
+${data.managerSupport}
+
+## ROLES AND RESPONSIBILITIES
+
+### Employee Responsibilities
+
+You are expected to:
+
+${data.employeeActions}
+
+### Manager/Supervisor Responsibilities
+
+Your manager/supervisor will:
+
+- Conduct weekly check-in meetings on ${data.weeklyCheckins}
+- Provide regular feedback and coaching
+- Track progress toward goals
+- Remove barriers to success where possible
+- Conduct formal reviews at Week 4, Week 8, and Week 12
+- Maintain confidentiality of this process
+
+## TIMELINE AND REVIEW SCHEDULE
+
+This is a 12-week structured process with regular check-ins and formal reviews:
+
+### Weekly Check-ins
+
+When: ${data.weeklyCheckins}
+
+Purpose: Quick progress check, address questions, provide feedback
+
+Duration: 15-30 minutes
+
+### Formal Review Points
+
+Week 4 Review: ${data.week4ReviewDate}
+
+Purpose: Assess progress on goals, adjust plan if needed, determine next steps
+
+Week 8 Review: ${data.week8ReviewDate}
+
+Purpose: Mid-point assessment, confirm trajectory, address any challenges
+
+Week 12 Final Review: ${data.week12ReviewDate}
+
+Purpose: Final assessment of overall performance improvement
+
+## PROGRESS MEASUREMENT
+
+Progress will be measured using the following methods:
+
+- [Specific metrics for Goal 1 - e.g., till data, customer feedback scores]
+- [Specific metrics for Goal 2 - e.g., accuracy reports, manager observations]
+- [Specific metrics for Goal 3 - e.g., review ratings, speed measurements]
+- Direct observation and feedback from managers and team members
+- Customer feedback and reviews
+- Self-assessment and reflection
+
+Data will be collected weekly and reviewed at each check-in.
+
+## CONSEQUENCES OF NON-IMPROVEMENT
+
+This PIP is designed to support your success. However, if performance does not improve significantly, the following consequences will apply:
+
+### Week 4 Review
+
+If there is no significant improvement by Week 4:
+
+${data.week4Consequence}
+
+### Week 8 Review
+
+If there is no significant improvement by Week 8:
+
+${data.week8Consequence}
+
+### Week 12 Final Review
+
+If performance standards have not been met by Week 12:
+
+${data.week12Consequence}
+
+${data.consequenceNotes ? `Additional notes: ${data.consequenceNotes}` : ''}
+
+"Significant improvement" means demonstrable progress toward the stated goals as measured by the agreed metrics and criteria.
+
+## SUPPORT AVAILABLE
+
+We want you to succeed. If you are struggling or need additional support at any time:
+
+- Speak with your manager/supervisor immediately
+- Request additional training or resources if needed
+- Ask questions if goals or expectations are unclear
+- Seek support from HR if you have concerns about the process
+
+You have the right to have a support person present at any formal review meeting. This can be a work colleague, family member, or union representative.
+
+## CONFIDENTIALITY
+
+This Performance Improvement Plan is confidential. You should not discuss the details of this plan with other employees (except your nominated support person or union representative).
+
+## EMPLOYEE ACKNOWLEDGMENT
+
+I acknowledge that:
+
+- I have received and read this Performance Improvement Plan
+- The performance issues and expectations have been clearly explained to me
+- I understand the goals I am expected to achieve
+- I understand the support and resources that will be provided
+- I understand the timeline and review process
+- I understand the consequences if my performance does not improve
+- I have been offered the right to have a support person present at review meetings
+- I have had the opportunity to ask questions about this plan
+
+This acknowledgment does not mean I agree with all aspects of this plan, but confirms I understand it.
+
+Employee Signature: _________________________ Date: __________
+
+Manager/Supervisor Signature: _________________________ Date: __________
+
+---
+
+## WEEKLY CHECK-IN TEMPLATE
+
+Week Number: _____     Date: __________
+
+Goals Review:
+
+Goal 1 Progress:
+
+- Current status: [On track / Behind / Ahead]
+- Evidence of progress:
+- Challenges faced:
+- Support needed:
+
+Goal 2 Progress:
+
+- Current status: [On track / Behind / Ahead]
+- Evidence of progress:
+- Challenges faced:
+- Support needed:
+
+Action Items for Next Week:
+
+1. ___________________________________
+2. ___________________________________
+3. ___________________________________
+
+Employee Comments:
+
+__________________________________________
+
+Manager Comments:
+
+__________________________________________
+
+Employee Signature: _______________ Date: ______
+
+Manager Signature: _______________ Date: ______
+
+---
+
+**IMPORTANT REMINDER:**
+
+This PIP must be reviewed by a Fitz HR Senior Consultant before presenting to the employee to ensure it is legally compliant and procedurally fair.
+
+Contact: support@fitzhr.com
+
+Format as a complete, professional business document with clear structure and spacing.
+
+This is a SUPPORTIVE document - the tone should be firm but encouraging. The goal is to help the employee succeed, not to create a paper trail for termination (although it may be used that way if improvement doesn't occur).
+
+DO NOT add fictional details. Use the specific information provided. Expand and add professional context where appropriate.`;
+    
+    }
+    
+    // Add FINAL instruction at the end of every prompt
+    const finalInstruction = `
+
+=== FINAL REMINDER - READ THIS CAREFULLY ===
+Your output MUST be the actual document content itself - starting with the document header (e.g., "FORMAL WARNING LETTER" or "PRIVATE & CONFIDENTIAL").
+
+DO NOT:
+- Start with "I understand..." or "Here's what you need..." or any conversational text
+- Provide advice, guidance, or process steps
+- Give a checklist of what the document should contain
+- Explain what the document is for
+
+DO:
+- Begin IMMEDIATELY with the document header
+- Write the actual formal letter/document content
+- Use the employee name, dates, and details provided
+- Format as a ready-to-print professional document
+
+START YOUR RESPONSE WITH THE DOCUMENT HEADER NOW:
+=== END FINAL REMINDER ===`;
+    
+    // Strict framing, then the universal instruction, the template and the
+    // final reminder.
+    return DOCUMENT_STRICT_PREFIX + universalInstruction + prompt + finalInstruction;
+}
+
+// ---- Exports ------------------------------------------------------------------
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DOCUMENT_PROMPT_TYPES, documentPromptFields, buildDocumentPrompt };
+}
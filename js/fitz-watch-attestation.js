@@ -0,0 +1,168 @@
+// ============================================================================
+// FITZ WATCH — Attestation audit trail writes
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// A response doc's history[] and evidence[] are the trail an inspector sees
+// (entry shapes: js/fitz-watch-rules.js), so who made each entry and when must
+// come from the server, not the browser. The client cannot write
+// users/{uid}/fitzWatchResponses at all (firestore.rules); it posts answers and
+// evidence to netlify/functions/fitz-watch-attest.js, which verifies the
+// caller's ID token, reads the doc in a transaction and writes what
+// applyFitzWatchAnswer() / applyFitzWatchEvidence() return — the answerer is
+// the verified uid and every timestamp is the function's clock.
+//
+// Required by netlify/functions/fitz-watch-attest.js and
+// tests/fitz-watch-attestation.test.js.
+// ============================================================================
+
+const FITZ_WATCH_EVIDENCE_KINDS = ['file', 'note', 'document'];
+const FITZ_WATCH_SKIP_MS = 14 * 24 * 60 * 60 * 1000;
+const FITZ_WATCH_NOTE_MAX_CHARS = 2000;
+const FITZ_WATCH_QUESTION_ID = /^[A-Z]{2,4}-\d{3}$/;
+// Evidence files live in Firestore (the Spark plan has no Cloud Storage) at
+// users/{uid}/fitzWatchEvidenceFiles/{fileId}, their base64 split across a
+// chunks/{n} subcollection under the 1 MiB document limit. 4 MB keeps the
+// base64 upload inside Netlify's 6 MB request limit.
+const FITZ_WATCH_EVIDENCE_MAX_BYTES = 4 * 1024 * 1024;
+const FITZ_WATCH_EVIDENCE_CHUNK_CHARS = 900000;
+
+function _fwaMs(value) {
+    if (value == null) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    const ms = Number(value);
+    return isNaN(ms) ? null : ms;
+}
+
+function _fwaText(value, max) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null;
+}
+
+/**
+ * A new answer for a question.
+ * @param {Object|null} doc - the stored response doc, or null if unanswered
+ * @param {{questionId, domain, response}} body - what the browser sent
+ * @param {{uid, email}} caller - the verified ID token
+ * @param {number} now - epoch ms, the server's clock
+ * @returns {{error: string}|{fields: Object, entry: Object}} fields are the
+ *   whole doc update, history included (written with merge)
+ */
+function applyFitzWatchAnswer(doc, body, caller, now) {
+    body = body || {};
+    if (!caller || !caller.uid) return { error: 'auth_required' };
+    if (typeof body.questionId !== 'string' || !FITZ_WATCH_QUESTION_ID.test(body.questionId)) return { error: 'Invalid questionId' };
+    if (!_fwaText(body.domain, 64)) return { error: 'Invalid domain' };
+    const response = _fwaText(body.response, 64);
+    if (!response) return { error: 'Invalid response' };
+
+    const entry = {
+        response: response,
+        answeredAt: now,
+        answeredBy: caller.uid,
+        answeredByEmail: caller.email || null
+    };
+    // Answers saved before history existed are carried into it first so the
+    // trail starts from the original attestation, not this one.
+    let history = doc && Array.isArray(doc.history) ? doc.history.slice() : [];
+    if (doc && !Array.isArray(doc.history) && doc.response) {
+        history.push({
+            response: doc.response,
+            answeredAt: _fwaMs(doc.lastAnsweredAt),
+            answeredBy: doc.answeredBy || null,
+            answeredByEmail: doc.answeredByEmail || null
+        });
+    }
+    history = history.concat([entry]);
+
+    return {
+        entry: entry,
+        fields: {
+            questionId: body.questionId,
+            domain: body.domain.trim(),
+            response: response,
+            lastAnsweredAt: now,
+            confidence: 'attested',
+            skipUntil: response === 'skip_for_now' ? now + FITZ_WATCH_SKIP_MS : null,
+            answeredBy: entry.answeredBy,
+            answeredByEmail: entry.answeredByEmail,
+            history: history
+        }
+    };
+}
+
+/**
+ * An uploaded evidence file, checked and split for Firestore.
+ * @param {{contentType, data}} file - data is the file's base64
+ * @returns {{error: string}|{contentType: string, size: number, chunks: string[]}}
+ */
+function splitFitzWatchEvidenceFile(file) {
+    file = file || {};
+    const data = typeof file.data === 'string' ? file.data : '';
+    if (!data || data.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) return { error: 'Invalid evidence file' };
+    const size = data.length / 4 * 3 - (data.match(/=*$/)[0].length);
+    if (size > FITZ_WATCH_EVIDENCE_MAX_BYTES) return { error: 'Files must be 4 MB or smaller.' };
+    const chunks = [];
+    for (let i = 0; i < data.length; i += FITZ_WATCH_EVIDENCE_CHUNK_CHARS) {
+        chunks.push(data.slice(i, i + FITZ_WATCH_EVIDENCE_CHUNK_CHARS));
+    }
+    return {
+        contentType: _fwaText(file.contentType, 100) || 'application/octet-stream',
+        size: size,
+        chunks: chunks
+    };
+}
+
+/**
+ * Evidence added to an answered question. A file's path is the
+ * users/{uid}/fitzWatchEvidenceFiles/{fileId} doc the function is writing it
+ * to in the same transaction; the entry records only that path, and the owner
+ * reads the file back through Firestore (firestore.rules), never a public link.
+ * @param {Object|null} doc - the stored response doc
+ * @param {{questionId, evidence: {kind, name, note, path}}} body
+ * @param {{uid, email}} caller - the verified ID token
+ * @param {number} now - epoch ms, the server's clock
+ * @returns {{error: string}|{fields: Object, entry: Object}}
+ */
+function applyFitzWatchEvidence(doc, body, caller, now) {
+    body = body || {};
+    const evidence = body.evidence || {};
+    if (!caller || !caller.uid) return { error: 'auth_required' };
+    if (typeof body.questionId !== 'string' || !FITZ_WATCH_QUESTION_ID.test(body.questionId)) return { error: 'Invalid questionId' };
+    if (!doc || !doc.response) return { error: 'Answer the question before adding evidence.' };
+    const kind = evidence.kind || 'note';
+    if (FITZ_WATCH_EVIDENCE_KINDS.indexOf(kind) === -1) return { error: 'Invalid evidence kind' };
+    const note = _fwaText(evidence.note, FITZ_WATCH_NOTE_MAX_CHARS);
+
+    let path = null;
+    if (kind === 'file') {
+        const prefix = 'users/' + caller.uid + '/fitzWatchEvidenceFiles/';
+        path = typeof evidence.path === 'string' ? evidence.path : '';
+        if (path.indexOf(prefix) !== 0 || !/^[A-Za-z0-9]+$/.test(path.slice(prefix.length))) return { error: 'Invalid evidence path' };
+    } else if (kind === 'note' && !note) {
+        return { error: 'Add a note or choose a file.' };
+    }
+
+    const entry = {
+        kind: kind,
+        name: _fwaText(evidence.name, 200),
+        note: note,
+        path: path,
+        addedAt: now,
+        addedBy: caller.uid,
+        addedByEmail: caller.email || null
+    };
+    return {
+        entry: entry,
+        fields: { evidence: (Array.isArray(doc.evidence) ? doc.evidence : []).concat([entry]) }
+    };
+}
+
+// ---- Exports ------------------------------------------------------------------
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FITZ_WATCH_EVIDENCE_KINDS, FITZ_WATCH_EVIDENCE_MAX_BYTES, FITZ_WATCH_QUESTION_ID,
+        applyFitzWatchAnswer, applyFitzWatchEvidence, splitFitzWatchEvidenceFile
+    };
+}
@@ -219,3 +219,8 @@ if (typeof window !== 'undefined') {
     window.getPublicHolidaysForState = getPublicHolidaysForState;
     window._fwDaysUntilDate = _fwDaysUntilDate;
 }
+// The public holiday list is also read by the chat function's rate tools
+// (js/chat-tools.js via netlify/functions/chat.js).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getPublicHolidaysForState };
+}
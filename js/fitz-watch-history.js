@@ -0,0 +1,147 @@
+// ============================================================================
+// FITZ WATCH — Compliance score history
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+// Depends on js/fitz-watch-rules.js (detectGaps, rollupDomainSeverity,
+// getQuestionRegistry), which loads before it.
+//
+// detectGaps() is recomputed live, so on its own it can't say whether a venue
+// is getting better or worse. buildComplianceSnapshot() condenses one run into
+// a small record — score, gap severities, domain rollups, and which gaps a
+// reform pushed up (buildGapObject's reform_escalation) — that the app stores
+// once per week at users/{uid}/fitzWatchSnapshots/{period}.
+// diffComplianceSnapshots() compares two of them for the "what changed since
+// last month" list: gaps closed, new gaps, severity moves, and new reform
+// escalations.
+//
+// Score: 100 less a weighted penalty per open gap (critical 10, high 5,
+// medium 2, low 1) and per unanswered question (2 — not knowing is a risk),
+// as a share of the worst case (every applicable question critical).
+// ============================================================================
+
+const FITZ_WATCH_SCORE_WEIGHTS = { critical: 10, high: 5, medium: 2, low: 1 };
+const FITZ_WATCH_SCORE_OUTSTANDING_WEIGHT = 2;
+
+// Compare against the newest snapshot at least this old.
+const FITZ_WATCH_COMPARISON_DAYS = 28;
+
+const _FWH_DAY_MS = 24 * 60 * 60 * 1000;
+
+function _fwhIsoDate(d) {
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+}
+
+// Snapshot period: the Monday (local time) of the week containing `ms`, so a
+// venue gets at most one snapshot per week and re-runs overwrite it.
+function fitzWatchSnapshotPeriod(ms) {
+    const d = new Date(ms);
+    d.setHours(12, 0, 0, 0);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return _fwhIsoDate(d);
+}
+
+function computeComplianceScore(gaps, outstandingCount, applicableCount) {
+    if (!applicableCount) return null;
+    const penalty = (gaps || []).reduce(function(t, g) { return t + (FITZ_WATCH_SCORE_WEIGHTS[g.severity] || 0); }, 0)
+        + (outstandingCount || 0) * FITZ_WATCH_SCORE_OUTSTANDING_WEIGHT;
+    const worst = applicableCount * FITZ_WATCH_SCORE_WEIGHTS.critical;
+    return Math.max(0, Math.round(100 * (1 - penalty / worst)));
+}
+
+function buildComplianceSnapshot(profile, responses, activeReforms, now) {
+    profile = profile || {};
+    responses = responses || {};
+    now = now != null ? now : Date.now();
+    const applicable = getQuestionRegistry().filter(function(r) {
+        return typeof r.conditional !== 'function' || r.conditional(profile, responses);
+    });
+    const result = detectGaps(profile, responses, activeReforms || []);
+
+    const counts = { critical: 0, high: 0, medium: 0, low: 0 };
+    result.gaps.forEach(function(g) { counts[g.severity] = (counts[g.severity] || 0) + 1; });
+
+    const domains = {};
+    applicable.forEach(function(r) {
+        if (domains[r.domain]) return;
+        const dGaps = result.gaps.filter(function(g) { return g.domain === r.domain; });
+        domains[r.domain] = dGaps.length ? rollupDomainSeverity(dGaps, r.domain) : 'clear';
+    });
+
+    return {
+        period: fitzWatchSnapshotPeriod(now),
+        takenAt: now,
+        score: computeComplianceScore(result.gaps, result.outstanding.length, applicable.length),
+        applicable: applicable.length,
+        outstanding: result.outstanding.length,
+        counts: counts,
+        domains: domains,
+        gaps: result.gaps.map(function(g) {
+            return {
+                id: g.gap_id,
+                title: g.title,
+                domain: g.domain,
+                severity: g.severity,
+                reform: g.reform_escalation ? g.reform_escalation.name : null,
+                reformFrom: g.reform_escalation ? g.reform_escalation.from_severity : null
+            };
+        })
+    };
+}
+
+// Newest stored snapshot from at least FITZ_WATCH_COMPARISON_DAYS before
+// `current`; failing that the oldest one from an earlier period, so a venue
+// with two weeks of history still gets a diff.
+function pickComparisonSnapshot(snapshots, current) {
+    const earlier = (snapshots || []).filter(function(s) {
+        return s && s.period !== current.period && s.takenAt < current.takenAt;
+    }).sort(function(a, b) { return a.takenAt - b.takenAt; });
+    if (earlier.length === 0) return null;
+    const cutoff = current.takenAt - FITZ_WATCH_COMPARISON_DAYS * _FWH_DAY_MS;
+    const old = earlier.filter(function(s) { return s.takenAt <= cutoff; });
+    return old.length ? old[old.length - 1] : earlier[0];
+}
+
+function diffComplianceSnapshots(previous, current) {
+    const before = {};
+    (previous.gaps || []).forEach(function(g) { before[g.id] = g; });
+    const after = {};
+    (current.gaps || []).forEach(function(g) { after[g.id] = g; });
+    const rank = FITZ_WATCH_SCORE_WEIGHTS;
+
+    const closed = (previous.gaps || []).filter(function(g) { return !after[g.id]; });
+    const opened = (current.gaps || []).filter(function(g) { return !before[g.id]; });
+    const worsened = [];
+    const improved = [];
+    const escalated = [];
+    (current.gaps || []).forEach(function(g) {
+        const was = before[g.id];
+        // A reform bump is reported on its own, not as a worse answer.
+        if (g.reform && (!was || !was.reform)) escalated.push(g);
+        if (!was) return;
+        const nowBase = g.reformFrom || g.severity;
+        const wasBase = was.reformFrom || was.severity;
+        if (rank[nowBase] > rank[wasBase]) worsened.push({ gap: g, from: wasBase, to: nowBase });
+        else if (rank[nowBase] < rank[wasBase]) improved.push({ gap: g, from: wasBase, to: nowBase });
+    });
+
+    return {
+        from: previous.period,
+        to: current.period,
+        scoreChange: (current.score != null && previous.score != null) ? current.score - previous.score : null,
+        closed: closed,
+        opened: opened,
+        worsened: worsened,
+        improved: improved,
+        escalated: escalated
+    };
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.fitzWatchSnapshotPeriod = fitzWatchSnapshotPeriod;
+    window.computeComplianceScore = computeComplianceScore;
+    window.buildComplianceSnapshot = buildComplianceSnapshot;
+    window.pickComparisonSnapshot = pickComparisonSnapshot;
+    window.diffComplianceSnapshots = diffComplianceSnapshots;
+}
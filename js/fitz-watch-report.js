@@ -0,0 +1,288 @@
+// ============================================================================
+// FITZ WATCH — Compliance report
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+// Depends on js/fitz-watch-rules.js (detectGaps, rollupDomainSeverity,
+// isResponseStale, getAttestationHistory, detectUnevidencedChanges), which
+// loads before it.
+//
+// buildFitzWatchReport(profile, responses, opts) gathers what the dashboard
+// shows on screen into one record an owner can hand to an accountant,
+// insurer or buyer: the venue profile, a severity rollup per domain, every
+// open gap with its statutory anchor and consequence, outstanding questions,
+// attestations due for re-attestation, answers changed without evidence,
+// upcoming reforms and, for every answered question, when it was last
+// attested. renderFitzWatchReportHtml(report) turns that into the plain
+// h1/h2/h3/p/ul HTML that both the PDF path (convertHTMLToPdfMake) and
+// /.netlify/functions/generate-word understand.
+// ============================================================================
+
+const FITZ_WATCH_REPORT_SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+
+const _FWR_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "3 Mar 2026". Local-time so a report matches the dashboard's dates.
+function formatFitzWatchReportDate(ms) {
+    if (ms == null || isNaN(ms)) return 'not recorded';
+    const d = new Date(ms);
+    return d.getDate() + ' ' + _FWR_MONTHS[d.getMonth()] + ' ' + d.getFullYear();
+}
+
+function _fwrLastAttestedMs(responseDoc) {
+    if (!responseDoc) return null;
+    const history = getAttestationHistory(responseDoc);
+    const last = history.length ? history[history.length - 1].answeredAt : null;
+    return last != null ? last : _fwTimestampMs(responseDoc.lastAnsweredAt);
+}
+
+function _fwrAnswerLabel(rule, value) {
+    const opt = (rule.options || []).find(function(o) { return o.value === value; });
+    return opt ? opt.label : String(value);
+}
+
+// opts:
+//   domains      — [{ id, label }] in display order (the dashboard's list)
+//   profileRows  — [[label, value]] venue summary rows, already formatted
+//   reforms      — applicable reforms (getApplicableReforms)
+//   activeReforms — reforms inside the 90-day escalation window
+//   reformsUnavailable — true when the reforms could not be loaded; the report
+//                  says so instead of listing no upcoming changes
+//   rulesUnavailable — true when fitz-watch-rules.json could not be loaded
+//                  (loadFitzWatchRules); the report says its award rule packs
+//                  were not checked
+//   now          — ms, for the report date (defaults to Date.now())
+function buildFitzWatchReport(profile, responses, opts) {
+    profile = profile || {};
+    responses = responses || {};
+    opts = opts || {};
+    const now = opts.now != null ? opts.now : Date.now();
+
+    const applicable = getQuestionRegistry().filter(function(r) {
+        return typeof r.conditional !== 'function' || r.conditional(profile, responses);
+    });
+    const ruleById = {};
+    applicable.forEach(function(r) { ruleById[r.id] = r; });
+    const result = detectGaps(profile, responses, opts.activeReforms || []);
+
+    const domainList = (opts.domains && opts.domains.length)
+        ? opts.domains
+        : applicable.reduce(function(list, r) {
+            if (!list.some(function(d) { return d.id === r.domain; })) list.push({ id: r.domain, label: r.domain });
+            return list;
+        }, []);
+    const domainLabel = {};
+    domainList.forEach(function(d) { domainLabel[d.id] = d.label; });
+
+    const domains = domainList.map(function(d) {
+        const dRules = applicable.filter(function(r) { return r.domain === d.id; });
+        if (dRules.length === 0) return null;
+        const dGaps = result.gaps.filter(function(g) { return g.domain === d.id; });
+        const answered = dRules.filter(function(r) { return !!responses[r.id]; }).length;
+        return {
+            id: d.id,
+            label: d.label,
+            severity: dGaps.length ? rollupDomainSeverity(dGaps, d.id) : null,
+            gapCount: dGaps.length,
+            answered: answered,
+            applicable: dRules.length
+        };
+    }).filter(Boolean);
+
+    const gaps = result.gaps.map(function(g) {
+        const doc = responses[g.gap_id];
+        const lastAttestedAt = _fwrLastAttestedMs(doc);
+        return {
+            gapId: g.gap_id,
+            domain: g.domain,
+            domainLabel: domainLabel[g.domain] || g.domain,
+            title: g.title,
+            severity: g.severity,
+            severityLabel: g.severity_label,
+            answer: _fwrAnswerLabel(ruleById[g.gap_id] || {}, doc.response),
+            statutoryAnchor: g.statutory_anchor || {},
+            consequence: g.consequence,
+            urgencyDriver: g.urgency_driver,
+            affectedCount: g.affected_count,
+            lastAttestedAt: lastAttestedAt,
+            evidenceCount: (doc.evidence || []).length
+        };
+    }).sort(function(a, b) {
+        return (FITZ_WATCH_REPORT_SEVERITY_RANK[b.severity] || 0) - (FITZ_WATCH_REPORT_SEVERITY_RANK[a.severity] || 0)
+            || String(a.gapId).localeCompare(String(b.gapId));
+    });
+    const gapSeverity = {};
+    gaps.forEach(function(g) { gapSeverity[g.gapId] = g.severity; });
+
+    // Every answered applicable question, in registry order: the attestation
+    // register. Staleness uses the gap's cadence, or the default for answers
+    // that raise no gap.
+    const attestations = applicable.filter(function(r) { return !!responses[r.id]; }).map(function(r) {
+        const doc = responses[r.id];
+        return {
+            questionId: r.id,
+            domainLabel: domainLabel[r.domain] || r.domain,
+            title: r.title,
+            answer: _fwrAnswerLabel(r, doc.response),
+            isGap: !!gapSeverity[r.id],
+            lastAttestedAt: _fwrLastAttestedMs(doc),
+            stale: isResponseStale(doc, gapSeverity[r.id] || null),
+            evidenceCount: (doc.evidence || []).length
+        };
+    });
+
+    const unevidenced = detectUnevidencedChanges(profile, responses).map(function(c) {
+        const rule = ruleById[c.questionId] || {};
+        return Object.assign({}, c, { fromLabel: _fwrAnswerLabel(rule, c.from), toLabel: _fwrAnswerLabel(rule, c.to) });
+    });
+
+    const reforms = (opts.reforms || []).map(function(r) {
+        return {
+            name: r.name,
+            commencementDate: r.commencement_date,
+            jurisdiction: r.jurisdiction === 'national' ? 'National' : r.jurisdiction,
+            summary: r.summary || '',
+            linkedQuestions: (r.recommended_actions || []).slice()
+        };
+    });
+
+    return {
+        generatedAt: now,
+        venueName: profile.venueName || 'Your business',
+        award: formatAwardCoverage(profile),
+        state: profile.state || null,
+        profileRows: opts.profileRows || [],
+        reformsUnavailable: !!opts.reformsUnavailable,
+        rulesUnavailable: !!opts.rulesUnavailable,
+        totals: {
+            applicable: applicable.length,
+            answered: attestations.length,
+            gaps: gaps.length,
+            critical: gaps.filter(function(g) { return g.severity === 'critical'; }).length,
+            outstanding: result.outstanding.length,
+            stale: attestations.filter(function(a) { return a.stale; }).length
+        },
+        domains: domains,
+        gaps: gaps,
+        outstanding: result.outstanding.map(function(o) {
+            return { questionId: o.questionId, domainLabel: domainLabel[o.domain] || o.domain, title: o.title };
+        }),
+        stale: attestations.filter(function(a) { return a.stale; }),
+        unevidenced: unevidenced,
+        reforms: reforms,
+        attestations: attestations
+    };
+}
+
+// ---- HTML ------------------------------------------------------------------
+
+function _fwrEscape(s) {
+    return String(s == null ? '' : s)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function _fwrAnchorText(anchor) {
+    const parts = [];
+    if (anchor.act) parts.push(anchor.act);
+    if (anchor.section) parts.push(anchor.section);
+    if (Array.isArray(anchor.awardClauses) && anchor.awardClauses.length) parts.push(anchor.awardClauses.join(', '));
+    return parts.join('; ') || 'see Award';
+}
+
+function _fwrList(items, empty) {
+    if (items.length === 0) return '<p>' + _fwrEscape(empty) + '</p>';
+    return '<ul>' + items.map(function(i) { return '<li>' + i + '</li>'; }).join('') + '</ul>';
+}
+
+// Tag set is deliberately small: generate-word only reads h1/h2/h3/p/li and
+// the PDF converter flattens anything inside an li to text.
+function renderFitzWatchReportHtml(report) {
+    const esc = _fwrEscape;
+    const date = formatFitzWatchReportDate;
+    const t = report.totals;
+    let html = '<h1>Fitz Watch Compliance Report</h1>' +
+        '<p><strong>' + esc(report.venueName) + '</strong>' + (report.state ? ' · ' + esc(report.state) : '') +
+        ' · Award: ' + esc(report.award) + '</p>' +
+        '<p>Prepared ' + esc(date(report.generatedAt)) + ' from the business\'s own answers to the Fitz Watch questionnaire. ' +
+        'Answers are attestations by the business, not an audit.</p>';
+
+    html += '<h2>Summary</h2>' + _fwrList([
+        t.gaps + ' open gap' + (t.gaps === 1 ? '' : 's') + ' (' + t.critical + ' critical)',
+        t.answered + ' of ' + t.applicable + ' applicable questions answered; ' + t.outstanding + ' outstanding',
+        t.stale + ' attestation' + (t.stale === 1 ? '' : 's') + ' due for re-attestation',
+        report.unevidenced.length + ' answer' + (report.unevidenced.length === 1 ? '' : 's') + ' changed without evidence'
+    ].map(esc), '');
+    if (report.rulesUnavailable) {
+        html += '<p>Award rule packs unavailable — they could not be loaded when this report was prepared, so only the ' +
+            'built-in questions were checked and award-specific gaps are not listed. Export the report again to include them.</p>';
+    }
+
+    if (report.profileRows.length) {
+        html += '<h2>Business profile</h2>' + _fwrList(report.profileRows.map(function(r) {
+            return esc(r[0]) + ': ' + esc(r[1]);
+        }), '');
+    }
+
+    html += '<h2>Risk by domain</h2>' + _fwrList(report.domains.map(function(d) {
+        const status = d.gapCount
+            ? (FITZ_WATCH_SEVERITY_LABELS[d.severity] || d.severity) + ' — ' + d.gapCount + ' gap' + (d.gapCount === 1 ? '' : 's')
+            : (d.answered === d.applicable ? 'No gaps detected' : 'No gaps detected so far');
+        return esc(d.label) + ': ' + esc(status) + ' (' + d.answered + ' of ' + d.applicable + ' answered)';
+    }), 'No domains apply to this business profile.');
+
+    html += '<h2>Open gaps</h2>';
+    if (report.gaps.length === 0) {
+        html += '<p>No open gaps.</p>';
+    } else {
+        report.gaps.forEach(function(g) {
+            html += '<h3>' + esc(g.gapId) + ' · ' + esc(g.title) + '</h3>' +
+                '<p>Severity: ' + esc(g.severityLabel || g.severity) + ' · ' + esc(g.domainLabel) +
+                (g.affectedCount != null ? ' · affects about ' + g.affectedCount + ' employee' + (g.affectedCount === 1 ? '' : 's') : '') + '</p>' +
+                '<p>Statutory anchor: ' + esc(_fwrAnchorText(g.statutoryAnchor)) + '</p>' +
+                '<p>Answer: ' + esc(g.answer) + ' · last attested ' + esc(date(g.lastAttestedAt)) +
+                ' · ' + g.evidenceCount + ' evidence item' + (g.evidenceCount === 1 ? '' : 's') + '</p>' +
+                '<p>Consequence: ' + esc(g.consequence) + '</p>' +
+                (g.urgencyDriver ? '<p>Urgency: ' + esc(g.urgencyDriver) + '</p>' : '');
+        });
+    }
+
+    html += '<h2>Outstanding questions</h2>' + _fwrList(report.outstanding.map(function(o) {
+        return esc(o.questionId) + ' · ' + esc(o.title) + ' (' + esc(o.domainLabel) + ')';
+    }), 'Every applicable question has been answered.');
+
+    html += '<h2>Due for re-attestation</h2>' + _fwrList(report.stale.map(function(a) {
+        return esc(a.questionId) + ' · ' + esc(a.title) + ' — last attested ' + esc(date(a.lastAttestedAt));
+    }), 'No attestations are overdue.');
+
+    html += '<h2>Answers changed without evidence</h2>' + _fwrList(report.unevidenced.map(function(c) {
+        return esc(c.questionId) + ' · ' + esc(c.title) + ' — changed from “' + esc(c.fromLabel) + '” to “' + esc(c.toLabel) + '” on ' +
+            esc(date(c.changedAt)) + (c.answeredBy ? ' by ' + esc(c.answeredBy) : '');
+    }), 'None.');
+
+    html += '<h2>Upcoming regulatory changes</h2>';
+    if (report.reformsUnavailable) {
+        html += '<p>Upcoming reforms unavailable — they could not be loaded when this report was prepared, so none are listed ' +
+            'and gap severities do not reflect reforms about to commence. Export the report again to include them.</p>';
+    } else {
+        html += _fwrList(report.reforms.map(function(r) {
+            return esc(r.name) + ' — commences ' + esc(date(Date.parse(r.commencementDate + 'T00:00:00'))) + ' (' + esc(r.jurisdiction) + ')' +
+                (r.summary ? '. ' + esc(r.summary) : '');
+        }), 'No upcoming changes affect this business.');
+    }
+
+    html += '<h2>Attestation register</h2>' + _fwrList(report.attestations.map(function(a) {
+        return esc(a.questionId) + ' · ' + esc(a.title) + ' — “' + esc(a.answer) + '”, last attested ' + esc(date(a.lastAttestedAt)) +
+            (a.evidenceCount ? ' · ' + a.evidenceCount + ' evidence item' + (a.evidenceCount === 1 ? '' : 's') : '') +
+            (a.stale ? ' · due for re-attestation' : '');
+    }), 'No questions answered yet.');
+
+    html += '<p><em>Fitz Watch is not a substitute for legal advice. Verify every gap with your adviser before acting on it.</em></p>';
+    return html;
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.buildFitzWatchReport = buildFitzWatchReport;
+    window.renderFitzWatchReportHtml = renderFitzWatchReportHtml;
+    window.formatFitzWatchReportDate = formatFitzWatchReportDate;
+}
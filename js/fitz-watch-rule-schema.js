@@ -0,0 +1,604 @@
+// ============================================================================
+// FITZ WATCH — Declarative rule format
+// ----------------------------------------------------------------------------
+// Compliance rules as data. fitz-watch-rules.json holds rule definitions in
+// the schema below; this module validates them and compiles each one into the
+// same shape as a FITZ_WATCH_QUESTION_REGISTRY entry, so detectGaps() and the
+// questionnaire treat data rules and code rules alike. A consultant can
+// propose a rule by editing JSON and running `npm run validate:fitz-rules`.
+//
+// Rule definition (every field but appliesWhen / affectedCount / fix extras
+// is required):
+//   id, domain, title, question, options [{ value, label }] (3 or more),
+//   appliesWhen     expression — when the question is asked (omitted: always)
+//   statutoryAnchor { act, section, jurisdiction, awardClauses? }
+//   consequence, urgencyDriver
+//   affectedCount   expression — staff affected (omitted: unknown)
+//   severity        answer value -> outcome, plus optional "default" for an
+//                   unrecognised answer (omitted: high). An outcome is null
+//                   (no gap), a severity name, { severity, label }, or a list
+//                   of { when, severity, label? } cases — the first case whose
+//                   `when` holds wins, and a case without `when` always holds.
+//   fixAction, fixPayloadDoc? { templateId }, fixPayloadTool?, defaultAction
+//
+// Expressions are a small language over the venue profile:
+//   literals   'text'  "text"  12  true  false  null  ['a', 'b']
+//   names      profile fields (state, casual_count, ...), award (the venue's
+//              award codes), response (the answer being scored — severity
+//              cases only)
+//   functions  answer('WHS-001') another question's answer (appliesWhen only),
+//              upper(x), lower(x)
+//   operators  == != < <= > >=  in  not in  + -  and  or  not  ( )
+// Missing profile fields are null; null counts as 0 in arithmetic and
+// ordering. `x in list` is membership; when x is itself a list (award) it is
+// true if any element is in the list.
+//
+// The validator rejects syntax errors, unknown names and functions, answer()
+// calls naming a question that does not exist, and answer values that are not
+// one of the question's options — whether in a severity key, a comparison
+// with response, or a comparison with answer(...).
+// ============================================================================
+
+const FITZ_WATCH_RULE_PROFILE_FIELDS = [
+    'state', 'location', 'primaryAward', 'venueType', 'staffCount',
+    'casual_count', 'part_time_count', 'full_time_count',
+    'annualised_wage_used', 'payroll_software', 'super_clearing_house',
+    'time_records_method', 'insurance_renewal_month'
+];
+
+const FITZ_WATCH_RULE_FUNCTIONS = { answer: 1, upper: 1, lower: 1 };
+
+const FITZ_WATCH_RULE_ID = /^[A-Z]{2,4}-\d{3}$/;
+
+// ---- Expression language: tokenizer ----------------------------------------
+
+function _fwrTokenize(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+        const c = src[i];
+        if (/\s/.test(c)) { i++; continue; }
+        if (c === "'" || c === '"') {
+            const end = src.indexOf(c, i + 1);
+            if (end === -1) throw new Error('unterminated string at position ' + i);
+            tokens.push({ type: 'str', value: src.slice(i + 1, end), pos: i });
+            i = end + 1;
+            continue;
+        }
+        const num = /^\d+(\.\d+)?/.exec(src.slice(i));
+        if (num) {
+            tokens.push({ type: 'num', value: Number(num[0]), pos: i });
+            i += num[0].length;
+            continue;
+        }
+        const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+        if (word) {
+            tokens.push({ type: 'word', value: word[0], pos: i });
+            i += word[0].length;
+            continue;
+        }
+        const op = /^(==|!=|<=|>=|<|>|\+|-|\(|\)|\[|\]|,)/.exec(src.slice(i));
+        if (op) {
+            tokens.push({ type: 'op', value: op[0], pos: i });
+            i += op[0].length;
+            continue;
+        }
+        throw new Error("unexpected '" + c + "' at position " + i);
+    }
+    return tokens;
+}
+
+// ---- Expression language: parser -------------------------------------------
+//
+// Precedence, loosest first: or, and, not, comparison / in, + -, unary -.
+// Produces a plain AST: lit, list, var, call, bin, not, neg.
+
+function parseFitzWatchExpression(src) {
+    if (typeof src !== 'string' || !src.trim()) throw new Error('expression is empty');
+    const tokens = _fwrTokenize(src);
+    let pos = 0;
+
+    function peek(value) {
+        const t = tokens[pos];
+        return t && t.type === 'op' && t.value === value ? t : null;
+    }
+    function isWord(t, w) { return t && t.type === 'word' && t.value === w; }
+    function expect(value) {
+        const t = tokens[pos];
+        if (!t || t.type !== 'op' || t.value !== value) {
+            throw new Error("expected '" + value + "'" + (t ? " at position " + t.pos : ' at end'));
+        }
+        pos++;
+        return t;
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (isWord(tokens[pos], 'or')) { pos++; left = { type: 'bin', op: 'or', left: left, right: parseAnd() }; }
+        return left;
+    }
+    function parseAnd() {
+        let left = parseNot();
+        while (isWord(tokens[pos], 'and')) { pos++; left = { type: 'bin', op: 'and', left: left, right: parseNot() }; }
+        return left;
+    }
+    function parseNot() {
+        if (isWord(tokens[pos], 'not')) { pos++; return { type: 'not', arg: parseNot() }; }
+        return parseComparison();
+    }
+    function parseComparison() {
+        const left = parseAdditive();
+        const t = tokens[pos];
+        if (t && t.type === 'op' && ['==', '!=', '<', '<=', '>', '>='].indexOf(t.value) !== -1) {
+            pos++;
+            return { type: 'bin', op: t.value, left: left, right: parseAdditive() };
+        }
+        if (isWord(t, 'in')) {
+            pos++;
+            return { type: 'bin', op: 'in', left: left, right: parseAdditive() };
+        }
+        if (isWord(t, 'not') && isWord(tokens[pos + 1], 'in')) {
+            pos += 2;
+            return { type: 'not', arg: { type: 'bin', op: 'in', left: left, right: parseAdditive() } };
+        }
+        return left;
+    }
+    function parseAdditive() {
+        let left = parseUnary();
+        while (peek('+') || peek('-')) {
+            const op = tokens[pos++].value;
+            left = { type: 'bin', op: op, left: left, right: parseUnary() };
+        }
+        return left;
+    }
+    function parseUnary() {
+        if (peek('-')) { pos++; return { type: 'neg', arg: parseUnary() }; }
+        return parsePrimary();
+    }
+    function parsePrimary() {
+        const t = tokens[pos];
+        if (!t) throw new Error('unexpected end of expression');
+        if (t.type === 'num' || t.type === 'str') { pos++; return { type: 'lit', value: t.value }; }
+        if (peek('(')) {
+            pos++;
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        if (peek('[')) {
+            pos++;
+            const items = [];
+            if (!peek(']')) {
+                items.push(parseOr());
+                while (peek(',')) { pos++; items.push(parseOr()); }
+            }
+            expect(']');
+            return { type: 'list', items: items };
+        }
+        if (t.type === 'word') {
+            pos++;
+            if (t.value === 'true') return { type: 'lit', value: true };
+            if (t.value === 'false') return { type: 'lit', value: false };
+            if (t.value === 'null') return { type: 'lit', value: null };
+            if (['and', 'or', 'not', 'in'].indexOf(t.value) !== -1) {
+                throw new Error("unexpected '" + t.value + "' at position " + t.pos);
+            }
+            if (peek('(')) {
+                pos++;
+                const args = [];
+                if (!peek(')')) {
+                    args.push(parseOr());
+                    while (peek(',')) { pos++; args.push(parseOr()); }
+                }
+                expect(')');
+                return { type: 'call', name: t.value, args: args };
+            }
+            return { type: 'var', name: t.value };
+        }
+        throw new Error("unexpected '" + t.value + "' at position " + t.pos);
+    }
+
+    const ast = parseOr();
+    if (pos < tokens.length) throw new Error("unexpected '" + tokens[pos].value + "' at position " + tokens[pos].pos);
+    return ast;
+}
+
+// ---- Expression language: evaluator ----------------------------------------
+
+function _fwrNumber(v) {
+    return v == null ? 0 : Number(v);
+}
+
+// scope: { profile, responses, response }
+function evaluateFitzWatchExpression(ast, scope) {
+    switch (ast.type) {
+        case 'lit': return ast.value;
+        case 'list': return ast.items.map(function(item) { return evaluateFitzWatchExpression(item, scope); });
+        case 'var': {
+            if (ast.name === 'response') return scope.response == null ? null : scope.response;
+            const profile = scope.profile || {};
+            if (ast.name === 'award') {
+                return typeof expandAwardCoverage === 'function' ? expandAwardCoverage(profile.primaryAward) : [];
+            }
+            return profile[ast.name] == null ? null : profile[ast.name];
+        }
+        case 'call': {
+            const arg = evaluateFitzWatchExpression(ast.args[0], scope);
+            if (ast.name === 'answer') {
+                const doc = (scope.responses || {})[arg];
+                return doc && doc.response != null ? doc.response : null;
+            }
+            if (arg == null) return null;
+            return ast.name === 'upper' ? String(arg).toUpperCase() : String(arg).toLowerCase();
+        }
+        case 'not': return !evaluateFitzWatchExpression(ast.arg, scope);
+        case 'neg': return -_fwrNumber(evaluateFitzWatchExpression(ast.arg, scope));
+        case 'bin': {
+            if (ast.op === 'and') return !!evaluateFitzWatchExpression(ast.left, scope) && !!evaluateFitzWatchExpression(ast.right, scope);
+            if (ast.op === 'or') return !!evaluateFitzWatchExpression(ast.left, scope) || !!evaluateFitzWatchExpression(ast.right, scope);
+            const l = evaluateFitzWatchExpression(ast.left, scope);
+            const r = evaluateFitzWatchExpression(ast.right, scope);
+            switch (ast.op) {
+                case '==': return l === r;
+                case '!=': return l !== r;
+                case '<':  return _fwrNumber(l) < _fwrNumber(r);
+                case '<=': return _fwrNumber(l) <= _fwrNumber(r);
+                case '>':  return _fwrNumber(l) > _fwrNumber(r);
+                case '>=': return _fwrNumber(l) >= _fwrNumber(r);
+                case '+':  return _fwrNumber(l) + _fwrNumber(r);
+                case '-':  return _fwrNumber(l) - _fwrNumber(r);
+                case 'in': {
+                    if (!Array.isArray(r)) return false;
+                    if (Array.isArray(l)) return l.some(function(v) { return r.indexOf(v) !== -1; });
+                    return r.indexOf(l) !== -1;
+                }
+            }
+        }
+    }
+    throw new Error('unknown expression node ' + ast.type);
+}
+
+// ---- Validator -------------------------------------------------------------
+
+// Checks one parsed expression. `where` says which names are in scope:
+// 'appliesWhen' (profile, award, answer()), 'severity' (adds response) or
+// 'affectedCount' (profile only). optionsById maps every known question id to
+// its answer values; ownOptions are the rule's own answer values.
+function _fwrCheckExpression(ast, where, optionsById, ownOptions, err) {
+    // Answer values a node compares against, when it is answer(...) or response.
+    function answerValues(node) {
+        if (node.type === 'var' && node.name === 'response') return { label: 'response', values: ownOptions };
+        if (node.type === 'call' && node.name === 'answer' && node.args[0] && node.args[0].type === 'lit') {
+            const values = optionsById[node.args[0].value];
+            return values ? { label: "answer('" + node.args[0].value + "')", values: values } : null;
+        }
+        return null;
+    }
+    function literals(node) {
+        if (node.type === 'lit') return [node.value];
+        if (node.type === 'list' && node.items.every(function(i) { return i.type === 'lit'; })) {
+            return node.items.map(function(i) { return i.value; });
+        }
+        return [];
+    }
+
+    (function walk(node) {
+        switch (node.type) {
+            case 'var':
+                if (node.name === 'award') {
+                    if (where === 'affectedCount') err('award is not available in affectedCount');
+                } else if (node.name === 'response') {
+                    if (where !== 'severity') err('response is only available in severity cases');
+                } else if (FITZ_WATCH_RULE_PROFILE_FIELDS.indexOf(node.name) === -1) {
+                    err("unknown name '" + node.name + "'");
+                }
+                return;
+            case 'call':
+                if (!Object.prototype.hasOwnProperty.call(FITZ_WATCH_RULE_FUNCTIONS, node.name)) {
+                    err("unknown function '" + node.name + "'");
+                    return;
+                }
+                if (node.args.length !== FITZ_WATCH_RULE_FUNCTIONS[node.name]) {
+                    err(node.name + '() takes ' + FITZ_WATCH_RULE_FUNCTIONS[node.name] + ' argument');
+                }
+                if (node.name === 'answer') {
+                    if (where !== 'appliesWhen') err('answer() is only available in appliesWhen');
+                    const arg = node.args[0];
+                    if (!arg || arg.type !== 'lit' || typeof arg.value !== 'string') {
+                        err("answer() needs a question id in quotes, e.g. answer('WHS-001')");
+                    } else if (!optionsById[arg.value]) {
+                        err("answer('" + arg.value + "') refers to an unknown question");
+                    }
+                }
+                node.args.forEach(walk);
+                return;
+            case 'bin':
+                if (['==', '!=', 'in'].indexOf(node.op) !== -1) {
+                    [[node.left, node.right], [node.right, node.left]].forEach(function(pair) {
+                        const target = answerValues(pair[0]);
+                        if (!target || (node.op === 'in' && pair[0] !== node.left)) return;
+                        literals(pair[1]).forEach(function(v) {
+                            if (v !== null && target.values.indexOf(v) === -1) {
+                                err(target.label + " is compared with '" + v + "', which is not one of its answers");
+                            }
+                        });
+                    });
+                }
+                walk(node.left);
+                walk(node.right);
+                return;
+            case 'list': node.items.forEach(walk); return;
+            case 'not':
+            case 'neg': walk(node.arg); return;
+        }
+    })(ast);
+}
+
+/**
+ * Validates a rule file against the built-in registry.
+ * @param {Object} doc - parsed fitz-watch-rules.json ({ rules: [...] })
+ * @param {Array} baseRules - rules already in the registry (code rules);
+ *   their ids and answers can be referenced, and must not be redefined
+ * @returns {string[]} problems, each prefixed with the rule id; empty when valid
+ */
+function validateFitzWatchRuleDefinitions(doc, baseRules) {
+    const problems = [];
+    baseRules = baseRules || [];
+    if (!doc || !Array.isArray(doc.rules)) return ['rule file: "rules" must be an array'];
+
+    const optionsById = {};
+    const baseIds = {};
+    const domains = [];
+    baseRules.forEach(function(r) {
+        optionsById[r.id] = (r.options || []).map(function(o) { return o.value; });
+        baseIds[r.id] = true;
+        if (domains.indexOf(r.domain) === -1) domains.push(r.domain);
+    });
+    // Definitions can reference each other, so collect their answers first.
+    doc.rules.forEach(function(def) {
+        if (def && typeof def.id === 'string' && Array.isArray(def.options) && !baseIds[def.id]) {
+            optionsById[def.id] = def.options.map(function(o) { return o && o.value; });
+        }
+    });
+
+    const seen = {};
+    doc.rules.forEach(function(def, index) {
+        const id = def && typeof def.id === 'string' ? def.id : 'rules[' + index + ']';
+        const err = function(m) { problems.push(id + ': ' + m); };
+        if (!def || typeof def !== 'object') { err('must be an object'); return; }
+
+        if (!FITZ_WATCH_RULE_ID.test(def.id || '')) err('id must look like ABC-001');
+        if (baseIds[def.id]) err('id is already used by a built-in rule');
+        if (seen[def.id]) err('id is defined more than once');
+        seen[def.id] = true;
+        if (domains.length && domains.indexOf(def.domain) === -1) err("unknown domain '" + def.domain + "'");
+        ['title', 'question', 'consequence', 'urgencyDriver', 'defaultAction'].forEach(function(f) {
+            if (typeof def[f] !== 'string' || !def[f].trim()) err(f + ' is required');
+        });
+
+        const values = Array.isArray(def.options) ? def.options.map(function(o) { return o && o.value; }) : [];
+        if (!Array.isArray(def.options) || def.options.length < 3) err('needs at least 3 options');
+        (def.options || []).forEach(function(o, i) {
+            if (!o || typeof o.value !== 'string' || !o.value) err('options[' + i + '] needs a value');
+            else if (values.indexOf(o.value) !== i) err("option '" + o.value + "' is listed twice");
+            if (!o || typeof o.label !== 'string' || !o.label) err('options[' + i + '] needs a label');
+        });
+
+        const anchor = def.statutoryAnchor;
+        if (!anchor || typeof anchor !== 'object') err('statutoryAnchor is required');
+        else {
+            ['act', 'section', 'jurisdiction'].forEach(function(f) {
+                if (typeof anchor[f] !== 'string' || !anchor[f]) err('statutoryAnchor.' + f + ' is required');
+            });
+            if (anchor.awardClauses !== undefined && !(Array.isArray(anchor.awardClauses)
+                    && anchor.awardClauses.every(function(c) { return typeof c === 'string'; }))) {
+                err('statutoryAnchor.awardClauses must be a list of strings');
+            }
+        }
+
+        function checkExpression(src, where, label) {
+            let ast;
+            try {
+                ast = parseFitzWatchExpression(src);
+            } catch (e) {
+                err(label + ': ' + e.message);
+                return;
+            }
+            _fwrCheckExpression(ast, where, optionsById, values, function(m) { err(label + ': ' + m); });
+        }
+        if (def.appliesWhen !== undefined) checkExpression(def.appliesWhen, 'appliesWhen', 'appliesWhen');
+        if (def.affectedCount !== undefined) checkExpression(def.affectedCount, 'affectedCount', 'affectedCount');
+
+        function checkOutcome(outcome, label) {
+            if (outcome === null) return;
+            if (typeof outcome === 'string') {
+                if (FITZ_WATCH_SEVERITY_ORDER.indexOf(outcome) === -1) err(label + ": unknown severity '" + outcome + "'");
+                return;
+            }
+            if (Array.isArray(outcome)) {
+                if (!outcome.length) err(label + ': needs at least one case');
+                outcome.forEach(function(c, i) {
+                    if (!c || typeof c !== 'object') { err(label + '[' + i + '] must be an object'); return; }
+                    if (c.when !== undefined) checkExpression(c.when, 'severity', label + '[' + i + '].when');
+                    checkOutcome(c.severity === undefined ? '' : c.severity, label + '[' + i + ']');
+                });
+                return;
+            }
+            if (typeof outcome === 'object') {
+                if (FITZ_WATCH_SEVERITY_ORDER.indexOf(outcome.severity) === -1) err(label + ": unknown severity '" + outcome.severity + "'");
+                if (outcome.label !== undefined && typeof outcome.label !== 'string') err(label + ': label must be text');
+                return;
+            }
+            err(label + ': must be null, a severity, { severity, label } or a list of cases');
+        }
+        const severity = def.severity;
+        if (!severity || typeof severity !== 'object' || Array.isArray(severity)) err('severity map is required');
+        else {
+            Object.keys(severity).forEach(function(key) {
+                if (key !== 'default' && values.indexOf(key) === -1) err("severity for '" + key + "', which is not one of its answers");
+                checkOutcome(severity[key], "severity['" + key + "']");
+            });
+            values.forEach(function(v) {
+                if (v && !Object.prototype.hasOwnProperty.call(severity, v)) err("no severity for answer '" + v + "'");
+            });
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(FITZ_WATCH_FIX_VISUAL_SIGNAL, def.fixAction)) {
+            err("unknown fixAction '" + def.fixAction + "'");
+        }
+        if (def.fixAction === 'generate_doc' && !(def.fixPayloadDoc && def.fixPayloadDoc.templateId)) {
+            err('generate_doc needs fixPayloadDoc.templateId');
+        }
+        if (def.fixPayloadTool !== undefined && (typeof def.fixPayloadTool !== 'string' || !def.fixPayloadTool)) {
+            err('fixPayloadTool must be a tool id');
+        }
+    });
+    return problems;
+}
+
+// ---- Compiler --------------------------------------------------------------
+
+function _fwrOutcome(outcome, scope) {
+    if (Array.isArray(outcome)) {
+        for (let i = 0; i < outcome.length; i++) {
+            const c = outcome[i];
+            if (c._when && !evaluateFitzWatchExpression(c._when, scope)) continue;
+            return _fwrOutcome(c.label ? { severity: c.severity, label: c.label } : c.severity, scope);
+        }
+        return null;
+    }
+    if (outcome == null) return null;
+    if (typeof outcome === 'string') return { severity: outcome };
+    if (outcome.severity == null) return null;
+    return outcome.label ? { severity: outcome.severity, severityLabel: outcome.label } : { severity: outcome.severity };
+}
+
+// Parses every `when` once so detect() only evaluates.
+function _fwrPrepareOutcome(outcome) {
+    if (!Array.isArray(outcome)) return outcome;
+    return outcome.map(function(c) {
+        return Object.assign({}, c, { _when: c.when !== undefined ? parseFitzWatchExpression(c.when) : null });
+    });
+}
+
+/**
+ * Compiles a validated rule definition into a registry rule — the structure
+ * detectGaps() consumes (conditional / affectedCount / detect functions).
+ * @param {Object} def - one entry of fitz-watch-rules.json rules[]
+ * @returns {Object} registry rule; def.source is set to 'data'
+ */
+function compileFitzWatchRule(def) {
+    const applies = def.appliesWhen !== undefined ? parseFitzWatchExpression(def.appliesWhen) : null;
+    const count = def.affectedCount !== undefined ? parseFitzWatchExpression(def.affectedCount) : null;
+    const outcomes = {};
+    Object.keys(def.severity).forEach(function(key) { outcomes[key] = _fwrPrepareOutcome(def.severity[key]); });
+    const hasDefault = Object.prototype.hasOwnProperty.call(outcomes, 'default');
+
+    const rule = {
+        id: def.id,
+        domain: def.domain,
+        title: def.title,
+        question: def.question,
+        options: def.options.map(function(o) { return { value: o.value, label: o.label }; }),
+        conditional: function(profile, responses) {
+            return applies ? !!evaluateFitzWatchExpression(applies, { profile: profile || {}, responses: responses || {} }) : true;
+        },
+        statutoryAnchor: def.statutoryAnchor,
+        consequence: def.consequence,
+        urgencyDriver: def.urgencyDriver,
+        affectedCount: function(profile) {
+            if (!count) return null;
+            const n = evaluateFitzWatchExpression(count, { profile: profile || {} });
+            return typeof n === 'number' && n > 0 ? n : null;
+        },
+        detect: function(response, profile) {
+            const outcome = Object.prototype.hasOwnProperty.call(outcomes, response) && response !== 'default'
+                ? outcomes[response]
+                : (hasDefault ? outcomes['default'] : 'high');
+            return _fwrOutcome(outcome, { profile: profile || {}, response: response });
+        },
+        fixAction: def.fixAction,
+        defaultAction: def.defaultAction,
+        source: 'data'
+    };
+    if (def.fixPayloadDoc) rule.fixPayloadDoc = { templateId: def.fixPayloadDoc.templateId };
+    if (def.fixPayloadTool) rule.fixPayloadTool = def.fixPayloadTool;
+    return rule;
+}
+
+/**
+ * Validates a rule file and, when it is clean, adds its rules to the registry.
+ * Each rule goes after the last registry rule in its domain, so data rules sit
+ * with the code rules they belong beside in the questionnaire. A file with any
+ * problem registers nothing — a half-loaded rule set is harder to spot than
+ * a missing one.
+ * @param {Object} doc - parsed fitz-watch-rules.json
+ * @returns {{ registered: string[], problems: string[] }}
+ */
+function registerFitzWatchRuleDefinitions(doc) {
+    const registry = FITZ_WATCH_QUESTION_REGISTRY;
+    const problems = validateFitzWatchRuleDefinitions(doc, registry.filter(function(r) { return r.source !== 'data'; }));
+    if (problems.length) return { registered: [], problems: problems };
+
+    // Re-registering the same file replaces its rules rather than duplicating them.
+    for (let i = registry.length - 1; i >= 0; i--) {
+        if (registry[i].source === 'data') registry.splice(i, 1);
+    }
+    const registered = [];
+    doc.rules.forEach(function(def) {
+        const rule = compileFitzWatchRule(def);
+        let at = registry.length;
+        for (let i = registry.length - 1; i >= 0; i--) {
+            if (registry[i].domain === rule.domain) { at = i + 1; break; }
+        }
+        registry.splice(at, 0, rule);
+        registered.push(rule.id);
+    });
+    return { registered: registered, problems: [] };
+}
+
+// ---- Loader ----------------------------------------------------------------
+
+let _fwRuleDefinitionsPromise = null;
+
+// Fetches fitz-watch-rules.json once and registers it. Callers that read the
+// registry (questionnaire, dashboard, report) await this first. A failed or
+// invalid file leaves the built-in rules in place, logs why and resolves with
+// `unavailable: true` so the caller can say the award rule packs are missing;
+// the promise is then dropped so the next call tries again.
+function loadFitzWatchRules() {
+    if (_fwRuleDefinitionsPromise) return _fwRuleDefinitionsPromise;
+    const loading = fetch('/fitz-watch-rules.json', { cache: 'no-cache' })
+        .then(function(r) {
+            if (!r.ok) throw new Error('HTTP ' + r.status);
+            return r.json();
+        })
+        .then(function(doc) {
+            const result = registerFitzWatchRuleDefinitions(doc);
+            if (result.problems.length) {
+                console.warn('Fitz Watch: fitz-watch-rules.json rejected —\n  ' + result.problems.join('\n  '));
+            }
+            return { registered: result.registered, problems: result.problems, unavailable: result.problems.length > 0 };
+        })
+        .catch(function(err) {
+            console.warn('Fitz Watch: failed to load fitz-watch-rules.json', err);
+            return { registered: [], problems: [String(err)], unavailable: true };
+        })
+        .then(function(result) {
+            if (result.unavailable && _fwRuleDefinitionsPromise === loading) _fwRuleDefinitionsPromise = null;
+            return result;
+        });
+    _fwRuleDefinitionsPromise = loading;
+    return loading;
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.parseFitzWatchExpression = parseFitzWatchExpression;
+    window.evaluateFitzWatchExpression = evaluateFitzWatchExpression;
+    window.validateFitzWatchRuleDefinitions = validateFitzWatchRuleDefinitions;
+    window.compileFitzWatchRule = compileFitzWatchRule;
+    window.registerFitzWatchRuleDefinitions = registerFitzWatchRuleDefinitions;
+    window.loadFitzWatchRules = loadFitzWatchRules;
+}
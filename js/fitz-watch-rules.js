@@ -8,8 +8,14 @@
 // and chat function. Sprint 2 ships the engine + a test harness only.
 //
 // Phase 0 scope: Award & Pay domain only (12 questions, AP-001 through AP-012).
+// AP-002..AP-007 cite hospitality clauses, so they only apply to MA000119 /
+// MA000009 venues; the other GA awards get their own award rule packs, which
+// are declarative rules in fitz-watch-rules.json (see fitz-watch-rule-schema.js).
 // Severity escalation hook for time-based reform countdown is wired but a
 // no-op until Step 10 supplies activeReforms.
+//
+// netlify/functions/chat.js requires the built-in registry to ground the
+// Fitz Watch gap chat on the rule it names.
 // ============================================================================
 
 // ---- Constants -------------------------------------------------------------
@@ -55,14 +61,62 @@ function expandAwardCoverage(primaryAward) {
     const awards = [];
     if (v.indexOf('MA000119') !== -1 || v.indexOf('RESTAURANT') !== -1) awards.push('MA000119');
     if (v.indexOf('MA000009') !== -1 || v.indexOf('HOSPITALITY') !== -1) awards.push('MA000009');
+    // The other GA awards resolve through the shared award registry, so the
+    // rule packs below key off the same code the rest of the app uses.
+    if (awards.length === 0 && typeof resolveAwardEntry === 'function') {
+        const resolved = resolveAwardEntry(primaryAward);
+        if (resolved.code) awards.push(resolved.code);
+    }
     return awards;
 }
 
+// True when the venue's award coverage includes any of the given codes. The
+// built-in award packs use this as their conditional; data rules express the
+// same thing as `award in [...]`.
+function awardPackApplies(profile, codes) {
+    return expandAwardCoverage((profile || {}).primaryAward).some(function(a) {
+        return codes.indexOf(a) !== -1;
+    });
+}
+
+const FITZ_WATCH_HOSPITALITY_AWARDS = ['MA000119', 'MA000009'];
+
+// The hospitality-anchored AP rules were written for every venue before the
+// award packs existed, so they stay on while no award is set. An award that is
+// set but does not resolve ("Not sure", "Fast Food") gets the award-neutral
+// rules only — never MA000009/MA000119 findings by default
+// (docs/guardrails-award-resolution.md §1).
+function hospitalityRulesApply(profile) {
+    const award = (profile || {}).primaryAward;
+    if (award == null || String(award).trim() === '') return true;
+    return awardPackApplies(profile, FITZ_WATCH_HOSPITALITY_AWARDS);
+}
+
+// Statutory anchor for an award-neutral rule that also cites the hospitality
+// awards: the hospitality fields are merged in only where hospitalityRulesApply,
+// so a venue on another award (or an unresolved one) is not shown MA000009 or
+// MA000119 clauses.
+function hospitalityAnchor(anchor, hospitality) {
+    return function(profile) {
+        return hospitalityRulesApply(profile) ? Object.assign({}, anchor, hospitality) : anchor;
+    };
+}
+
+// A rule's statutory anchor for this venue — rules give either an object or a
+// function of the profile (hospitalityAnchor).
+function getStatutoryAnchor(rule, profile) {
+    const anchor = rule.statutoryAnchor;
+    return (typeof anchor === 'function' ? anchor(profile || {}) : anchor) || {};
+}
+
 function formatAwardCoverage(profile) {
     const awards = expandAwardCoverage(profile.primaryAward);
     if (awards.length === 0) return 'unspecified';
     if (awards.length === 1) {
-        return awards[0] + (awards[0] === 'MA000119' ? ' (Restaurant Industry Award)' : ' (Hospitality Industry General Award)');
+        if (awards[0] === 'MA000119') return 'MA000119 (Restaurant Industry Award)';
+        if (awards[0] === 'MA000009') return 'MA000009 (Hospitality Industry General Award)';
+        const entry = typeof AWARD_REGISTRY !== 'undefined' ? AWARD_REGISTRY[awards[0]] : null;
+        return awards[0] + (entry ? ' (' + entry.displayName + ')' : '');
     }
     return awards.join(' & ');
 }
@@ -89,8 +143,8 @@ function buildVenueContextBlock(profile) {
     ].join('\n');
 }
 
-function buildGapContextBlock(rule, response, severity) {
-    const anchor = rule.statutoryAnchor || {};
+function buildGapContextBlock(rule, response, severity, profile) {
+    const anchor = getStatutoryAnchor(rule, profile);
     const anchorParts = [];
     if (anchor.act)            anchorParts.push(anchor.act);
     if (anchor.section)        anchorParts.push(anchor.section);
@@ -115,7 +169,7 @@ function defaultFixPayloadBuilder(rule, response, profile) {
     return [
         buildVenueContextBlock(profile),
         '',
-        buildGapContextBlock(rule, response, severity),
+        buildGapContextBlock(rule, response, severity, profile),
         '',
         '[ACTION]',
         rule.defaultAction || ('Help me close this gap. Walk me through what to verify, what evidence to collect, and what to fix first.')
@@ -140,12 +194,11 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'unsure_need_help',  label: "I'm not sure" }
         ],
         conditional: function() { return true; },
-        statutoryAnchor: {
+        statutoryAnchor: hospitalityAnchor({
             act: 'Fair Work Act 2009',
             section: 's45 (Award contravention); s325 (deductions)',
-            jurisdiction: 'national',
-            awardClauses: ['MA000119 minimum rates', 'MA000009 minimum rates']
-        },
+            jurisdiction: 'national'
+        }, { awardClauses: ['MA000119 minimum rates', 'MA000009 minimum rates'] }),
         consequence: 'Most common trigger for FWO investigations in hospitality — outdated rates create per-pay-period contraventions across every affected employee.',
         urgencyDriver: 'Applies retrospectively to every pay cycle since the last rate update.',
         affectedCount: function(profile) { return profile.staffCount || null; },
@@ -160,6 +213,7 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             }
         },
         fixAction: 'ask_fitz',
+        fixPayloadTool: 'back_pay_calculator',
         defaultAction: 'Walk me through verifying my current pay rates against the relevant Award minimum rates step-by-step. Identify any likely underpayment exposure based on my employee count and the time since my last verification. Tell me what I should check first.'
     },
 
@@ -175,7 +229,9 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'no',               label: 'No' },
             { value: 'unsure_need_help', label: "I'm not sure" }
         ],
-        conditional: function(profile) { return profile.annualised_wage_used === 'yes'; },
+        conditional: function(profile) {
+            return profile.annualised_wage_used === 'yes' && hospitalityRulesApply(profile);
+        },
         statutoryAnchor: {
             act: 'Fair Work Act 2009',
             section: 'MA000119 Clause 20.1(d) / MA000009 equivalent',
@@ -196,6 +252,7 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
         },
         fixAction: 'generate_doc',
         fixPayloadDoc: { templateId: 'clause_20_annualised_wage_agreement' },
+        fixPayloadTool: 'annualised_wage_reconciliation',
         defaultAction: 'Help me draft a Clause 20-compliant annualised wage agreement that lists the absorbed Award provisions, sets outer-limit hours, and meets MA000119 cl 20.1(d) requirements. Use my venue and full-time staff details from above.'
     },
 
@@ -211,7 +268,9 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'no',               label: 'No signed time records' },
             { value: 'unsure_need_help', label: "I'm not sure" }
         ],
-        conditional: function(profile) { return profile.annualised_wage_used === 'yes'; },
+        conditional: function(profile) {
+            return profile.annualised_wage_used === 'yes' && hospitalityRulesApply(profile);
+        },
         statutoryAnchor: {
             act: 'Fair Work Act 2009',
             section: 's535; Fair Work Regulations reg 3.42',
@@ -248,7 +307,9 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'no',               label: 'No reconciliation performed' },
             { value: 'unsure_need_help', label: "I'm not sure" }
         ],
-        conditional: function(profile) { return profile.annualised_wage_used === 'yes'; },
+        conditional: function(profile) {
+            return profile.annualised_wage_used === 'yes' && hospitalityRulesApply(profile);
+        },
         statutoryAnchor: {
             act: 'Fair Work Act 2009',
             section: 'MA000119 Clause 20.2(b)',
@@ -284,7 +345,7 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: '25_loading_plus_penalty',   label: '25% casual loading + PH penalty stacked' },
             { value: 'unsure_need_help',          label: "I'm not sure" }
         ],
-        conditional: function() { return true; },
+        conditional: function(profile) { return hospitalityRulesApply(profile); },
         statutoryAnchor: {
             act: 'Modern Award',
             section: 'MA000119 cl 24.2(c) / MA000009 cl 29.2',
@@ -322,7 +383,8 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'unsure_need_help', label: "I'm not sure" }
         ],
         conditional: function(profile) {
-            return (profile.full_time_count || 0) > 0 || (profile.part_time_count || 0) > 0;
+            return hospitalityRulesApply(profile)
+                && ((profile.full_time_count || 0) > 0 || (profile.part_time_count || 0) > 0);
         },
         statutoryAnchor: {
             act: 'Modern Award',
@@ -357,7 +419,7 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'no_split_shifts',  label: "We don't use split shifts" },
             { value: 'unsure_need_help', label: "I'm not sure" }
         ],
-        conditional: function() { return true; },
+        conditional: function(profile) { return hospitalityRulesApply(profile); },
         statutoryAnchor: {
             act: 'Modern Award',
             section: 'MA000119 Clause 21.3 / MA000009 equivalent',
@@ -394,12 +456,11 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'unsure_need_help', label: "I'm not sure" }
         ],
         conditional: function(profile) { return (profile.casual_count || 0) > 0; },
-        statutoryAnchor: {
+        statutoryAnchor: hospitalityAnchor({
             act: 'Fair Work Act 2009',
             section: 's66B (post-26 Feb 2025)',
-            jurisdiction: 'national',
-            awardClauses: ['MA000119 cl 11.6']
-        },
+            jurisdiction: 'national'
+        }, { awardClauses: ['MA000119 cl 11.6'] }),
         consequence: 'Casual Employment Information Statement (CEIS) obligation may be overdue; missed conversion notifications can found general protections claims.',
         urgencyDriver: 'Required every 6 months for each eligible casual — backlog grows with every passing pay period.',
         affectedCount: function(profile) { return profile.casual_count || null; },
@@ -486,7 +547,7 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             }
         },
         fixAction: 'ask_fitz',
-        defaultAction: 'Walk me through a 12-month back-test of actual hours worked vs paid for my staff under MA000119/MA000009 — the methodology, the data I need to extract from my payroll software, what I should check first, and how to record the audit trail.'
+        defaultAction: 'Walk me through a 12-month back-test of actual hours worked vs paid for my staff under my Award — the methodology, the data I need to extract from my payroll software, what I should check first, and how to record the audit trail.'
     },
 
     // AP-011 — Contractor misclassification (killer trigger) ----------------
@@ -561,6 +622,10 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
         defaultAction: 'Help me set up an audit-trail system for time record edits so managers can correct genuine errors without compromising record integrity under FW Act s535. Cover the controls, the log format, and the review cadence.'
     },
 
+    // Award rule packs for the other GA awards (MFG, SCH, RET, HPS, CSA) are
+    // data rules in fitz-watch-rules.json — registered after AP-012 by
+    // loadFitzWatchRules() (js/fitz-watch-rule-schema.js).
+
     // ========================================================================
     // PHASE 1a — Workers Compensation Readiness (Domain 3)
     // 4 rules per spec section 6. Severity escalation for NSW comes from the
@@ -887,11 +952,11 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'unsure_need_help', label: "I'm not sure" }
         ],
         conditional: function() { return true; },
-        statutoryAnchor: {
+        statutoryAnchor: hospitalityAnchor({
             act: 'Fair Work Act 2009',
-            section: 's90 (termination payouts); MA000119/MA000009 leave loading clauses; ATO SGR 2009/2 (super on loading)',
+            section: 's90 (termination payouts); award leave loading clause; ATO SGR 2009/2 (super on loading)',
             jurisdiction: 'national'
-        },
+        }, { section: 's90 (termination payouts); MA000119/MA000009 leave loading clauses; ATO SGR 2009/2 (super on loading)' }),
         consequence: 'Common back-pay claim trigger when employees leave the business. Also creates super-on-leave-loading exposure under SGR 2009/2 — double exposure on top of the underpaid loading.',
         urgencyDriver: 'Triggered on every termination involving accrued leave; the next departure creates new exposure if unaddressed.',
         affectedCount: function(profile) { return profile && profile.staffCount ? profile.staffCount : null; },
@@ -904,7 +969,8 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             }
         },
         fixAction: 'ask_fitz',
-        defaultAction: 'Help me configure leave loading payments on termination correctly under MA000119/MA000009 — including the 17.5% standard Award rate (or shiftworker penalty if higher), and the super-on-loading obligation under SGR 2009/2. Cover both the going-forward fix and how to handle any historical underpayment.'
+        fixPayloadTool: 'termination_pay',
+        defaultAction: 'Help me configure leave loading payments on termination correctly under my Award — including the 17.5% standard Award rate (or shiftworker penalty if higher), and the super-on-loading obligation under SGR 2009/2. Cover both the going-forward fix and how to handle any historical underpayment.'
     },
 
     // LM-002 — Cashing out written agreements (wires Doc 3) -----------------
@@ -912,7 +978,7 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
         id: 'LM-002',
         domain: 'leave_management',
         title: 'Annual leave cash-out written agreements',
-        question: 'For any annual leave cashed out, do you have a separate written agreement under Schedule G (MA000009) / Schedule H (MA000119) that leaves the employee with at least 4 weeks accrued?',
+        question: 'For any annual leave cashed out, do you have a separate written agreement under the cashing out clause of your Award that leaves the employee with at least 4 weeks accrued?',
         options: [
             { value: 'yes',              label: 'Yes — written agreement for every cash-out, residual ≥ 4 weeks' },
             { value: 'no_cashing_out',   label: "Not applicable — we don't cash out leave" },
@@ -920,11 +986,11 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'unsure_need_help', label: "I'm not sure" }
         ],
         conditional: function() { return true; },
-        statutoryAnchor: {
+        statutoryAnchor: hospitalityAnchor({
             act: 'Fair Work Act 2009',
-            section: 's93 (4-week residual minimum); MA000119 Schedule H; MA000009 Schedule G',
+            section: 's93 (4-week residual minimum); award cashing out clause',
             jurisdiction: 'national'
-        },
+        }, { section: 's93 (4-week residual minimum); MA000119 Schedule H; MA000009 Schedule G' }),
         consequence: 'Unauthorised cash-out is a contravention of both NES and Award provisions — civil penalty exposure per contravention, plus any back-pay owed to restore the leave balance.',
         urgencyDriver: 'Triggered on every cash-out event; existing unauthorised cash-outs may require remediation.',
         affectedCount: function() { return null; },
@@ -956,11 +1022,11 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'unsure_need_help',     label: "I'm not sure" }
         ],
         conditional: function() { return true; },
-        statutoryAnchor: {
+        statutoryAnchor: hospitalityAnchor({
             act: 'Modern Award',
-            section: 'MA000119 / MA000009 excessive leave clauses',
+            section: 'award excessive leave clause',
             jurisdiction: 'national'
-        },
+        }, { section: 'MA000119 / MA000009 excessive leave clauses' }),
         consequence: 'Accumulating leave liabilities create balance-sheet exposure and trigger formal consultation obligations once the threshold is exceeded.',
         urgencyDriver: 'Required every 12 months; the next review point is the trigger for any consultation process.',
         affectedCount: function() { return null; },
@@ -974,7 +1040,8 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             }
         },
         fixAction: 'ask_fitz',
-        defaultAction: 'Help me review employees with excessive annual leave balances under MA000119/MA000009 — the 8-week (non-shiftworker) / 10-week (shiftworker) thresholds — and walk me through the Award consultation process for directing employees to take leave.'
+        fixPayloadTool: 'leave_liability',
+        defaultAction: 'Help me review employees with excessive annual leave balances under my Award — the 8-week (non-shiftworker) / 10-week (shiftworker) thresholds — and walk me through the Award consultation process for directing employees to take leave.'
     },
 
     // LM-004 — Leave-in-advance written agreements --------------------------
@@ -990,11 +1057,11 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'unsure_need_help',   label: "I'm not sure" }
         ],
         conditional: function() { return true; },
-        statutoryAnchor: {
+        statutoryAnchor: hospitalityAnchor({
             act: 'Fair Work Act 2009',
-            section: 's324 (authorised deductions); MA000119 Schedule G',
+            section: 's324 (authorised deductions)',
             jurisdiction: 'national'
-        },
+        }, { section: 's324 (authorised deductions); MA000119 Schedule G' }),
         consequence: 'Without the written agreement, deducting un-accrued leave from final pay is an unauthorised deduction — exposes the employer to a back-pay claim for the deducted amount.',
         urgencyDriver: 'Required to be in place at the time leave-in-advance is granted; retrospective agreements are treated as weaker evidence.',
         affectedCount: function() { return null; },
@@ -1106,11 +1173,11 @@ const FITZ_WATCH_QUESTION_REGISTRY = [
             { value: 'unsure_need_help', label: "I'm not sure" }
         ],
         conditional: function() { return true; },
-        statutoryAnchor: {
+        statutoryAnchor: hospitalityAnchor({
             act: 'Fair Work Act 2009',
-            section: 's117 (notice of termination); MA000119 cl 35; MA000009 equivalent',
+            section: 's117 (notice of termination)',
             jurisdiction: 'national'
-        },
+        }, { section: 's117 (notice of termination); MA000119 cl 35; MA000009 equivalent' }),
         consequence: 'Underpaid notice on termination creates per-employee back-pay claims. Common audit finding when employees leave the business.',
         urgencyDriver: 'Triggered on every termination; the next departure creates new exposure if unaddressed.',
         affectedCount: function(profile) { return profile && profile.staffCount ? profile.staffCount : null; },
@@ -1420,6 +1487,7 @@ function buildGapObject(rule, gapFields, response, profile, activeReforms) {
     let severity = gapFields.severity || 'medium';
     let severityLabel = gapFields.severityLabel || FITZ_WATCH_SEVERITY_LABELS[severity];
     let urgencyDriver = rule.urgencyDriver || '';
+    let reformEscalation = null;
 
     // Severity escalation hook (spec section 11.4) — bump if a reform with
     // commencement < 90 days links to this gap_id via recommended_actions.
@@ -1431,6 +1499,12 @@ function buildGapObject(rule, gapFields, response, profile, activeReforms) {
         severityLabel = FITZ_WATCH_SEVERITY_LABELS[severity];
         const soonest = linkedReforms[0];
         urgencyDriver = 'Reform commences soon (' + soonest.name + ') — severity escalated';
+        reformEscalation = {
+            change_id: soonest.change_id || null,
+            name: soonest.name,
+            commencement_date: soonest.commencement_date || null,
+            from_severity: gapFields.severity || 'medium'
+        };
     }
 
     const fixAction = rule.fixAction || 'ask_fitz';
@@ -1450,16 +1524,21 @@ function buildGapObject(rule, gapFields, response, profile, activeReforms) {
         severity: severity,
         severity_label: severityLabel,
         title: rule.title,
-        statutory_anchor: rule.statutoryAnchor || {},
+        statutory_anchor: getStatutoryAnchor(rule, profile),
         consequence: rule.consequence || '',
         urgency_driver: urgencyDriver,
+        // The reform behind a severity bump, so score history can tell a
+        // reform escalation from a worse answer. null when not escalated.
+        reform_escalation: reformEscalation,
         affected_count: affectedCount,
         fixable_in_app: fixAction !== 'external',
         fix_action: fixAction,
         fix_action_visual_signal: visualSignal,
         fix_payload: buildFix(rule, response, profile),
         // For generate_doc rules — used by the Document Builder router
-        fix_payload_doc: rule.fixPayloadDoc || null
+        fix_payload_doc: rule.fixPayloadDoc || null,
+        // In-app tool offered alongside the fix action (e.g. AP-001 → back-pay)
+        fix_payload_tool: rule.fixPayloadTool || null
     };
 }
 
@@ -1531,6 +1610,88 @@ function isResponseStale(responseDoc, gapSeverity) {
     return ageMs > cadenceDays * 24 * 60 * 60 * 1000;
 }
 
+// ---- Attestation history and evidence ---------------------------------------
+// Response docs keep every answer in `history` ({ response, answeredAt,
+// answeredBy, answeredByEmail }) and supporting material in `evidence`
+// ({ kind: 'file' | 'note' | 'document', name, note, path, addedAt,
+// addedBy }, a file's path being its users/{uid}/fitzWatchEvidenceFiles
+// doc). Timestamps inside the arrays are epoch ms. Docs written before history
+// existed carry only response + lastAnsweredAt.
+
+function _fwTimestampMs(value) {
+    if (value == null) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    const ms = Number(value);
+    return isNaN(ms) ? null : ms;
+}
+
+// Oldest first. A legacy doc reads as a single entry with no answerer.
+function getAttestationHistory(responseDoc) {
+    if (!responseDoc) return [];
+    const history = Array.isArray(responseDoc.history) ? responseDoc.history : [];
+    if (history.length === 0) {
+        if (!responseDoc.response) return [];
+        return [{
+            response: responseDoc.response,
+            answeredAt: _fwTimestampMs(responseDoc.lastAnsweredAt),
+            answeredBy: responseDoc.answeredBy || null,
+            answeredByEmail: responseDoc.answeredByEmail || null
+        }];
+    }
+    return history
+        .map(function(h) { return Object.assign({}, h, { answeredAt: _fwTimestampMs(h.answeredAt) }); })
+        .sort(function(a, b) { return (a.answeredAt || 0) - (b.answeredAt || 0); });
+}
+
+// An answer that moved from a gap (e.g. "no") to no gap (e.g. "yes") with no
+// evidence added since the gap answer. Skips are not attestations, so they
+// are passed over in both directions. Returns null when nothing to flag.
+function findUnevidencedChange(rule, responseDoc, profile) {
+    if (!rule || typeof rule.detect !== 'function') return null;
+    const history = getAttestationHistory(responseDoc).filter(function(h) { return h.response !== 'skip_for_now'; });
+    if (history.length < 2) return null;
+    const current = history[history.length - 1];
+    if (rule.detect(current.response, profile || {})) return null;
+
+    let prevIdx = history.length - 2;
+    while (prevIdx >= 0 && history[prevIdx].response === current.response) prevIdx--;
+    if (prevIdx < 0) return null;
+    const previous = history[prevIdx];
+    if (!rule.detect(previous.response, profile || {})) return null;
+
+    const since = previous.answeredAt || 0;
+    const evidenced = (responseDoc.evidence || []).some(function(e) {
+        return (_fwTimestampMs(e.addedAt) || 0) >= since;
+    });
+    if (evidenced) return null;
+
+    const changed = history[prevIdx + 1];
+    return {
+        questionId: rule.id,
+        domain: rule.domain,
+        title: rule.title,
+        from: previous.response,
+        to: current.response,
+        changedAt: changed.answeredAt,
+        answeredBy: changed.answeredByEmail || changed.answeredBy || null
+    };
+}
+
+// Every applicable question whose latest answer cleared a gap unevidenced.
+function detectUnevidencedChanges(profile, responses) {
+    profile = profile || {};
+    responses = responses || {};
+    const changes = [];
+    for (let i = 0; i < FITZ_WATCH_QUESTION_REGISTRY.length; i++) {
+        const rule = FITZ_WATCH_QUESTION_REGISTRY[i];
+        if (typeof rule.conditional === 'function' && !rule.conditional(profile, responses)) continue;
+        const change = findUnevidencedChange(rule, responses[rule.id], profile);
+        if (change) changes.push(change);
+    }
+    return changes;
+}
+
 // ---- Expose to window for Sprint 3+ wiring and devtools testing -----------
 
 if (typeof window !== 'undefined') {
@@ -1539,9 +1700,16 @@ if (typeof window !== 'undefined') {
     window.getQuestionById = getQuestionById;
     window.rollupDomainSeverity = rollupDomainSeverity;
     window.isResponseStale = isResponseStale;
+    window.getAttestationHistory = getAttestationHistory;
+    window.findUnevidencedChange = findUnevidencedChange;
+    window.detectUnevidencedChanges = detectUnevidencedChanges;
     window.bumpSeverity = bumpSeverity;
     window.expandAwardCoverage = expandAwardCoverage;
+    window.getStatutoryAnchor = getStatutoryAnchor;
     window.buildVenueContextBlock = buildVenueContextBlock;
     window.FITZ_WATCH_SEVERITY_LABELS = FITZ_WATCH_SEVERITY_LABELS;
     window.FITZ_WATCH_FIX_VISUAL_SIGNAL = FITZ_WATCH_FIX_VISUAL_SIGNAL;
 }
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FITZ_WATCH_QUESTION_REGISTRY, FITZ_WATCH_SEVERITY_ORDER, getQuestionById, getStatutoryAnchor };
+}
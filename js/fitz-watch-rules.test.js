@@ -8,7 +8,9 @@
 //
 // Use during Phase A self-test (spec Step 12 A2) and any time you change
 // rules in fitz-watch-rules.js. No test framework required — pure asserts
-// against deterministic detectGaps() output.
+// against deterministic detectGaps() output. The award rule packs are data
+// rules from fitz-watch-rules.json — `await loadFitzWatchRules()` first (the
+// Fitz Watch dashboard does this on open).
 // ============================================================================
 
 function _fakeTimestamp(daysAgo) {
@@ -219,10 +221,19 @@ function runFitzWatchTests(verbose) {
         _gapById(r1.gaps, 'AP-002') && _gapById(r1.gaps, 'AP-002').fix_action === 'generate_doc'
             && _gapById(r1.gaps, 'AP-002').fix_payload_doc
             && _gapById(r1.gaps, 'AP-002').fix_payload_doc.templateId === 'clause_20_annualised_wage_agreement');
+    check('Known-bad: AP-002 offers the annualised wage reconciliation alongside the agreement',
+        _gapById(r1.gaps, 'AP-002').fix_payload_tool === 'annualised_wage_reconciliation');
+    check('Known-bad: LM-003 offers the leave liability tool to find excessive balances',
+        _gapById(r1.gaps, 'LM-003') && _gapById(r1.gaps, 'LM-003').fix_payload_tool === 'leave_liability');
+    check('Known-bad: LM-001 offers the termination pay calculator for leave payouts',
+        _gapById(r1.gaps, 'LM-001') && _gapById(r1.gaps, 'LM-001').fix_payload_tool === 'termination_pay');
     check('Known-bad: AP-003 routes to generate_doc with template ID',
         _gapById(r1.gaps, 'AP-003') && _gapById(r1.gaps, 'AP-003').fix_action === 'generate_doc'
             && _gapById(r1.gaps, 'AP-003').fix_payload_doc
             && _gapById(r1.gaps, 'AP-003').fix_payload_doc.templateId === 'clause_20_weekly_time_record');
+    check('Known-bad: AP-001 offers the back-pay calculator alongside chat',
+        _gapById(r1.gaps, 'AP-001').fix_action === 'ask_fitz'
+            && _gapById(r1.gaps, 'AP-001').fix_payload_tool === 'back_pay_calculator');
 
     // ============================================================
     // Test profile 2 — Known-OK (all-best responses)
@@ -279,6 +290,11 @@ function runFitzWatchTests(verbose) {
         _gapById(r4.gaps, 'AP-001') && _gapById(r4.gaps, 'AP-001').severity === 'high');
     check('Escalation: urgency_driver updated to mention reform',
         _gapById(r4.gaps, 'AP-001').urgency_driver.indexOf('Reform') !== -1);
+    check('Escalation: reform_escalation names the reform and the pre-bump severity',
+        _gapById(r4.gaps, 'AP-001').reform_escalation.change_id === 'fake_test_reform'
+            && _gapById(r4.gaps, 'AP-001').reform_escalation.from_severity === 'medium');
+    check('Escalation: reform_escalation is null without a linked reform',
+        _gapById(detectGaps(FW_TEST_PROFILE_KNOWN_BAD, { 'AP-001': _resp('6_to_12_months') }, []).gaps, 'AP-001').reform_escalation === null);
 
     const r5 = detectGaps(FW_TEST_PROFILE_KNOWN_BAD, {
         'AP-001': _resp('over_12_months')  // already critical
@@ -309,6 +325,51 @@ function runFitzWatchTests(verbose) {
     check('Stale: 50-day-old response with high severity is NOT stale',
         isResponseStale(_resp('partial', 50), 'high') === false);
 
+    // ============================================================
+    // Attestation history and evidence
+    // ============================================================
+    console.log('%cAttestation history and evidence', 'color: #94a3b8');
+    const DAY = 24 * 60 * 60 * 1000;
+    const _answer = function(value, daysAgo) {
+        return { response: value, answeredAt: Date.now() - daysAgo * DAY, answeredBy: 'uid-1', answeredByEmail: 'owner@example.com' };
+    };
+    const ap001 = getQuestionById('AP-001');
+    const improved = Object.assign(_resp('within_6_months', 1), {
+        history: [_answer('within_6_months', 1), _answer('never', 40)]
+    });
+    check('History: legacy doc reads as one entry from lastAnsweredAt',
+        getAttestationHistory(_resp('never', 10)).length === 1 && getAttestationHistory(_resp('never', 10))[0].answeredBy === null);
+    check('History: entries sorted oldest first',
+        getAttestationHistory(improved).map(function(h) { return h.response; }).join(',') === 'never,within_6_months');
+    check('Unevidenced: gap answer changed to no gap without evidence is flagged',
+        (function() {
+            const c = findUnevidencedChange(ap001, improved, FW_TEST_PROFILE_KNOWN_BAD);
+            return c && c.from === 'never' && c.to === 'within_6_months' && c.answeredBy === 'owner@example.com';
+        })());
+    check('Unevidenced: evidence added after the gap answer clears the flag',
+        findUnevidencedChange(ap001, Object.assign({}, improved, {
+            evidence: [{ kind: 'note', note: 'Payroll audit by Smith & Co', addedAt: Date.now() - 2 * DAY }]
+        }), FW_TEST_PROFILE_KNOWN_BAD) === null);
+    check('Unevidenced: evidence older than the gap answer does not count',
+        findUnevidencedChange(ap001, Object.assign({}, improved, {
+            evidence: [{ kind: 'file', name: 'old.pdf', addedAt: Date.now() - 60 * DAY }]
+        }), FW_TEST_PROFILE_KNOWN_BAD) !== null);
+    check('Unevidenced: never a gap is not flagged',
+        findUnevidencedChange(ap001, Object.assign(_resp('within_6_months', 1), {
+            history: [_answer('within_6_months', 40), _answer('within_6_months', 1)]
+        }), FW_TEST_PROFILE_KNOWN_BAD) === null);
+    check('Unevidenced: a skip between the answers is passed over',
+        findUnevidencedChange(ap001, Object.assign({}, improved, {
+            history: [_answer('never', 40), _answer('skip_for_now', 20), _answer('within_6_months', 1)]
+        }), FW_TEST_PROFILE_KNOWN_BAD) !== null);
+    check('Unevidenced: a change that is still a gap is not flagged',
+        findUnevidencedChange(ap001, Object.assign(_resp('6_to_12_months', 1), {
+            history: [_answer('never', 40), _answer('6_to_12_months', 1)]
+        }), FW_TEST_PROFILE_KNOWN_BAD) === null);
+    check('Unevidenced: detectUnevidencedChanges lists the flagged question',
+        detectUnevidencedChanges(FW_TEST_PROFILE_KNOWN_BAD, { 'AP-001': improved })
+            .map(function(c) { return c.questionId; }).join(',') === 'AP-001');
+
     // ============================================================
     // Wrong-award detection on AP-005
     // ============================================================
@@ -594,12 +655,100 @@ function runFitzWatchTests(verbose) {
             && g.fix_payload_doc && g.fix_payload_doc.templateId === w.template);
     });
 
+    // ============================================================
+    // Award rule packs — selected by resolved award code
+    // ============================================================
+    console.log('%cAward rule packs', 'color: #94a3b8');
+    check('Award rule packs: data rules registered from fitz-watch-rules.json',
+        getQuestionById('MFG-001') != null && getQuestionById('MFG-001').source === 'data');
+
+    const HOSPITALITY_ONLY_IDS = ['AP-002', 'AP-003', 'AP-004', 'AP-005', 'AP-006', 'AP-007'];
+    const PACK_IDS = ['MFG-001', 'MFG-002', 'SCH-001', 'SCH-002', 'RET-001', 'HPS-001', 'HPS-002', 'CSA-001', 'CSA-002'];
+    const awardPacks = [
+        { award: 'Manufacturing and Associated Industries Award', code: 'MA000010', ids: ['MFG-001', 'MFG-002'] },
+        { award: 'Social, Community, Home Care and Disability Services Industry Award MA000100', code: 'MA000100', ids: ['SCH-001', 'SCH-002'] },
+        { award: 'General Retail Industry Award MA000004', code: 'MA000004', ids: ['RET-001'] },
+        { award: 'Health Professionals and Support Services Award MA000027', code: 'MA000027', ids: ['HPS-001', 'HPS-002'] },
+        { award: "Children's Services Award MA000120", code: 'MA000120', ids: ['CSA-001', 'CSA-002'] }
+    ];
+    awardPacks.forEach(function(p) {
+        const profile = Object.assign({}, FW_TEST_PROFILE_KNOWN_BAD, { primaryAward: p.award });
+        const ids = detectGaps(profile, {}, []).outstanding.map(function(o) { return o.questionId; });
+        check(p.code + ': award resolves from the stored name', expandAwardCoverage(p.award).join() === p.code,
+            'got ' + expandAwardCoverage(p.award).join());
+        check(p.code + ': its rule pack applies (' + p.ids.join(', ') + ')',
+            p.ids.every(function(id) { return ids.indexOf(id) !== -1; }));
+        check(p.code + ': no other award pack applies',
+            PACK_IDS.every(function(id) { return p.ids.indexOf(id) !== -1 || ids.indexOf(id) === -1; }));
+        check(p.code + ': hospitality-anchored AP rules do not apply',
+            HOSPITALITY_ONLY_IDS.every(function(id) { return ids.indexOf(id) === -1; }));
+        check(p.code + ': award-neutral AP-001 still applies', ids.indexOf('AP-001') !== -1);
+    });
+    check('Hospitality venue: no award pack applies',
+        detectGaps(FW_TEST_PROFILE_KNOWN_BAD, {}, []).outstanding.every(function(o) { return PACK_IDS.indexOf(o.questionId) === -1; }));
+    [['No award set', null, true], ['Unresolved award', 'Not sure', false]].forEach(function(c) {
+        const ids = detectGaps(Object.assign({}, FW_TEST_PROFILE_KNOWN_BAD, { primaryAward: c[1] }), {}, []).outstanding.map(function(o) { return o.questionId; });
+        check(c[0] + (c[2] ? ': hospitality-anchored AP rules stay on' : ': hospitality-anchored AP rules drop out'),
+            HOSPITALITY_ONLY_IDS.every(function(id) { return (ids.indexOf(id) !== -1) === c[2]; }));
+        check(c[0] + ': no award pack applies',
+            PACK_IDS.every(function(id) { return ids.indexOf(id) === -1; }));
+    });
+
+    const manufProfile = Object.assign({}, FW_TEST_PROFILE_KNOWN_BAD, { primaryAward: 'Manufacturing and Associated Industries Award' });
+    const mfg = detectGaps(manufProfile, { 'MFG-001': _resp('no'), 'MFG-002': _resp('partial') }, []);
+    check('MFG-001 "no" is HIGH and anchored to cl 17.5',
+        _gapById(mfg.gaps, 'MFG-001').severity === 'high'
+            && _gapById(mfg.gaps, 'MFG-001').statutory_anchor.awardClauses.indexOf('MA000010 cl 17.5(a)') !== -1);
+    check('MFG-002 "partial" is MEDIUM and anchored to cl 33.2',
+        _gapById(mfg.gaps, 'MFG-002').severity === 'medium'
+            && _gapById(mfg.gaps, 'MFG-002').statutory_anchor.awardClauses.indexOf('MA000010 cl 33.2') !== -1);
+    check('MFG-001 fix_payload names the manufacturing award',
+        _gapById(mfg.gaps, 'MFG-001').fix_payload.indexOf('MA000010 (Manufacturing and Associated Industries Award)') !== -1);
+    check('MFG-001 "no_rdos" produces no gap',
+        detectGaps(manufProfile, { 'MFG-001': _resp('no_rdos') }, []).gaps.length === 0);
+
+    const schadsProfile = Object.assign({}, FW_TEST_PROFILE_KNOWN_BAD, { primaryAward: 'Social, Community, Home Care and Disability Services Industry Award MA000100' });
+    const sch = detectGaps(schadsProfile, { 'SCH-001': _resp('no'), 'SCH-002': _resp('no_sleepovers') }, []);
+    check('SCH-001 "no" is HIGH and anchored to cl 25.6 and the cl 20.12 allowance',
+        _gapById(sch.gaps, 'SCH-001').severity === 'high'
+            && _gapById(sch.gaps, 'SCH-001').statutory_anchor.awardClauses.join() === 'MA000100 cl 25.6,MA000100 cl 20.12');
+    check('SCH-002 "no_sleepovers" produces no gap', _gapById(sch.gaps, 'SCH-002') == null);
+
+    const retailProfile = Object.assign({}, FW_TEST_PROFILE_KNOWN_BAD, { primaryAward: 'General Retail Industry Award MA000004' });
+    check('RET-001 "no" (juniors on short shifts) is CRITICAL',
+        _gapById(detectGaps(retailProfile, { 'RET-001': _resp('no') }, []).gaps, 'RET-001').severity === 'critical');
+    check('RET-001 "partial" (no parent agreement) is HIGH and anchored to cl 11.3',
+        _gapById(detectGaps(retailProfile, { 'RET-001': _resp('partial') }, []).gaps, 'RET-001').severity === 'high'
+            && _gapById(detectGaps(retailProfile, { 'RET-001': _resp('partial') }, []).gaps, 'RET-001').statutory_anchor.awardClauses.indexOf('MA000004 cl 11.3') !== -1);
+    check('RET-001 NOT applicable to a retail venue with only full-timers',
+        detectGaps(Object.assign({}, retailProfile, { casual_count: 0, part_time_count: 0 }), {}, []).outstanding.every(function(o) { return o.questionId !== 'RET-001'; }));
+
+    const healthProfile = Object.assign({}, FW_TEST_PROFILE_KNOWN_BAD, { primaryAward: 'Health Professionals and Support Services Award MA000027' });
+    const hps = detectGaps(healthProfile, { 'HPS-001': _resp('no'), 'HPS-002': _resp('partial') }, []);
+    check('HPS-001 "no" is CRITICAL and anchored to the cl 23.2(d) on-call allowance',
+        _gapById(hps.gaps, 'HPS-001').severity === 'critical'
+            && _gapById(hps.gaps, 'HPS-001').statutory_anchor.awardClauses.indexOf('MA000027 cl 23.2(d)') !== -1);
+    check('HPS-002 "partial" (no reconciliation) is HIGH and offers the reconciliation tool',
+        _gapById(hps.gaps, 'HPS-002').severity === 'high'
+            && _gapById(hps.gaps, 'HPS-002').fix_payload_tool === 'annualised_wage_reconciliation');
+    check('HPS-002 NOT applicable without annualised wages',
+        detectGaps(Object.assign({}, healthProfile, { annualised_wage_used: 'no' }), {}, []).outstanding.every(function(o) { return o.questionId !== 'HPS-002'; }));
+
+    const childrensProfile = Object.assign({}, FW_TEST_PROFILE_KNOWN_BAD, { primaryAward: "Children's Services Award MA000120" });
+    const csa = detectGaps(childrensProfile, { 'CSA-001': _resp('no'), 'CSA-002': _resp('no') }, []);
+    check('CSA-001 "no" is CRITICAL and anchored to National Law s169',
+        _gapById(csa.gaps, 'CSA-001').severity === 'critical'
+            && _gapById(csa.gaps, 'CSA-001').statutory_anchor.section.indexOf('s169') !== -1);
+    check('CSA-002 "no" is HIGH and anchored to cl 21.5',
+        _gapById(csa.gaps, 'CSA-002').severity === 'high'
+            && _gapById(csa.gaps, 'CSA-002').statutory_anchor.awardClauses.indexOf('MA000120 cl 21.5(a)') !== -1);
+
     // ============================================================
     // Registry sanity
     // ============================================================
     console.log('%cRegistry sanity', 'color: #94a3b8');
     const registry = getQuestionRegistry();
-    check('Registry: 34 questions (12 AP + 4 WC + 4 PS + 4 LM + 4 TM + 6 WHS)', registry.length === 34);
+    check('Registry: 43 questions (12 AP + 9 award pack + 4 WC + 4 PS + 4 LM + 4 TM + 6 WHS)', registry.length === 43);
     check('Registry: every rule has id, domain, question, options, conditional, detect, statutoryAnchor, fixAction',
         registry.every(function(r) {
             return r.id && r.domain && r.question && Array.isArray(r.options)
@@ -609,7 +758,7 @@ function runFitzWatchTests(verbose) {
     check('Registry: every rule has at least 3 options',
         registry.every(function(r) { return r.options.length >= 3; }));
     check('Registry: ids are unique',
-        new Set(registry.map(function(r) { return r.id; })).size === 34);
+        new Set(registry.map(function(r) { return r.id; })).size === 43);
 
     // ---- Summary -----------------------------------------------------------
     const total = passed + failed;
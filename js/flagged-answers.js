@@ -0,0 +1,238 @@
+// ============================================================================
+// FLAGGED ANSWERS — "this is wrong" reports from chat, drafted as regression
+// cases
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// A user who thinks a Fitz answer is wrong reports it from the message. The
+// app stores the question, the answer, the resolved award and the user's
+// correction in the flaggedAnswers collection (buildFlaggedAnswer). From the
+// admin dashboard a flag is exported as a report for regression/flagged/
+// (draftFlaggedReport) — the same shape as regression/flagged/TEMPLATE.json,
+// so `npm run flag:to-regression` takes it as it is. The drafted assert is a
+// best guess from the question's wording and the figure in the correction;
+// check it against the Pay Guide before running the intake.
+//
+// FLAGGED_REPORT_FIELDS and REGRESSION_ASSERT_KINDS must match REQUIRED and
+// VALID_KINDS in scripts/flag-to-regression.mjs (tests/flagged-answers.test.js
+// checks they do).
+//
+// Required by tests/flagged-answers.test.js; loaded by app.html for the
+// report button and the admin dashboard's Flags tab.
+// ============================================================================
+
+const FLAGGED_REPORT_FIELDS = ['award', 'category', 'question', 'expected_answer', 'assert', 'source', 'reported_by', 'reported_date'];
+const REGRESSION_ASSERT_KINDS = ['resolves', 'resolves_unresolved', 'scalar', 'penalty', 'pay_rate', 'allowance'];
+
+// Longest question / answer / correction kept on a flag (Firestore documents
+// stay small; the admin needs the gist, not a transcript).
+const FLAG_TEXT_CHARS = 4000;
+
+// Regression categories, most specific first: the first whose words appear
+// in the question is the one drafted.
+const FLAG_CATEGORIES = [
+    { category: 'resolution', re: /\b(which|what) (modern )?award\b|\baward (code|covers|applies)\b|\bcovered by\b/i },
+    { category: 'superannuation', re: /\bsuper(annuation)?\b/i },
+    { category: 'casual_loading', re: /\bcasual loading\b/i },
+    { category: 'minimum_engagement', re: /\bminimum (engagement|shift|hours)\b|\bshortest shift\b/i },
+    { category: 'allowance', re: /\ballowances?\b/i },
+    { category: 'penalty_rate', re: /\bpenalt(y|ies)\b|\bsaturday|\bsunday|\bpublic holiday|\bovertime\b|\bloading\b/i },
+    { category: 'currency', re: /\b(effective|current as at|latest) (date|rates?)\b/i },
+    { category: 'pay_rate', re: /./ }
+];
+
+const FLAG_STOPWORDS = /^(what|whats|what's|how|much|is|are|there|the|a|an|any|for|my|our|of|does|do|get|pay|paid)$/i;
+
+function _flagText(value) {
+    return String(value == null ? '' : value).trim().slice(0, FLAG_TEXT_CHARS);
+}
+
+function _flagYmd(date) {
+    const d = date instanceof Date ? date : new Date(date || Date.now());
+    return isNaN(d.getTime()) ? new Date().toISOString().slice(0, 10) : d.toISOString().slice(0, 10);
+}
+
+// First dollar figure in the text ("$28.68" -> 28.68), else null.
+function _flagDollars(text) {
+    const m = /\$\s?(\d{1,3}(?:,\d{3})*(?:\.\d+)?|\d+(?:\.\d+)?)/.exec(text);
+    return m ? Number(m[1].replace(/,/g, '')) : null;
+}
+
+// First percentage in the text as a multiplier or fraction ("125%" -> 1.25).
+function _flagPercent(text) {
+    const m = /(\d+(?:\.\d+)?)\s?(%|per ?cent)/i.exec(text);
+    return m ? Math.round(Number(m[1]) * 100) / 10000 : null;
+}
+
+function _flagEmploymentType(text) {
+    if (/\bcasual/i.test(text)) return 'casual';
+    if (/\bpart[- ]time/i.test(text)) return 'part_time';
+    if (/\bfull[- ]time/i.test(text)) return 'full_time';
+    return null;
+}
+
+/**
+ * The regression category a question most likely belongs to.
+ * @param {string} question
+ * @returns {string} one of the categories used in regression/questions/*.json
+ */
+function guessFlagCategory(question) {
+    const text = String(question || '');
+    return FLAG_CATEGORIES.filter(function (c) { return c.re.test(text); })[0].category;
+}
+
+/**
+ * The Firestore document for a reported answer (flaggedAnswers collection).
+ * The caller adds createdAt.
+ * @param {Object} input - { question, answer, awardCode, awardName,
+ *   correction, source, conversationId }
+ * @param {{uid: string, email: string}} user
+ * @returns {Object}
+ */
+function buildFlaggedAnswer(input, user) {
+    input = input || {};
+    return {
+        userId: user && user.uid,
+        userEmail: (user && user.email) || null,
+        question: _flagText(input.question),
+        answer: _flagText(input.answer),
+        awardCode: input.awardCode || null,
+        awardName: input.awardName || null,
+        correction: _flagText(input.correction),
+        source: _flagText(input.source).slice(0, 300) || null,
+        conversationId: input.conversationId || null,
+        status: 'open'
+    };
+}
+
+/**
+ * A machine-checkable assert for the flag, drafted from the question's
+ * wording and the figure in the correction. Fields the wording cannot settle
+ * (the pay_rate row, the allowance name) are left for the maintainer to
+ * narrow — until then the case fails, which is what a new flag should do.
+ * @param {string} awardCode
+ * @param {string} category - from guessFlagCategory()
+ * @param {Object} flag - stored flag (question, correction, awardName)
+ * @returns {Object}
+ */
+function draftRegressionAssert(awardCode, category, flag) {
+    const question = String(flag.question || '');
+    const correction = String(flag.correction || '');
+    const employment = _flagEmploymentType(question + ' ' + correction);
+    switch (category) {
+        case 'resolution':
+            return { kind: 'resolves', input: flag.awardName || awardCode, flag: null, code: awardCode };
+        case 'superannuation':
+            return { kind: 'scalar', award: awardCode, path: 'superannuation_rate', equals: _flagPercent(correction) };
+        case 'casual_loading':
+            return { kind: 'scalar', award: awardCode, path: 'casual_loading', equals: _flagPercent(correction) };
+        case 'minimum_engagement': {
+            const hours = /(\d+(?:\.\d+)?)\s?(hours?|hrs?)\b/i.exec(correction);
+            return {
+                kind: 'scalar', award: awardCode,
+                path: 'minimum_engagement.' + (employment || 'casual') + '_hours_per_shift',
+                equals: hours ? Number(hours[1]) : null
+            };
+        }
+        case 'penalty_rate': {
+            const day = /public holiday/i.test(question) ? 'public_holiday'
+                : /sunday/i.test(question) ? 'sunday'
+                    : /saturday/i.test(question) ? 'saturday'
+                        : /overtime/i.test(question) ? 'overtime' : 'saturday';
+            const suffix = employment === 'casual' ? '_casual' : employment ? '_full_time_part_time' : '';
+            return { kind: 'penalty', award: awardCode, key: day + suffix, equals: _flagPercent(correction) };
+        }
+        case 'allowance': {
+            // Up to three words before "allowance", less question words:
+            // "How much is the tool allowance?" -> "Tool".
+            const before = /((?:[A-Za-z/-]+\s+){0,2}[A-Za-z/-]+)\s+allowance\b/i.exec(question);
+            const words = before ? before[1].split(/\s+/).filter(function (w) { return !FLAG_STOPWORDS.test(w); }) : [];
+            const name = words.join(' ');
+            return {
+                kind: 'allowance', award: awardCode,
+                name_includes: name.charAt(0).toUpperCase() + name.slice(1),
+                field: 'amount', equals: _flagDollars(correction)
+            };
+        }
+        case 'currency': {
+            const date = /\b(\d{4}-\d{2}-\d{2})\b/.exec(correction);
+            return { kind: 'scalar', award: awardCode, path: 'effective_date', equals: date ? date[1] : null };
+        }
+        default: {
+            const where = {};
+            if (employment) where.employment_type = employment;
+            const level = /\blevel (\d)\b/i.exec(question);
+            if (level) where.level = 'Level ' + level[1];
+            return { kind: 'pay_rate', award: awardCode, where: where, field: 'rate', equals: _flagDollars(correction) };
+        }
+    }
+}
+
+/**
+ * A flagged-answer report for regression/flagged/, in the shape of
+ * TEMPLATE.json. The category and assert are drafts — see
+ * draftRegressionAssert().
+ * @param {Object} flag - stored flag (see buildFlaggedAnswer)
+ * @param {string} flagId - its Firestore id, recorded in reported_by
+ * @param {Date|string} [reportedAt] - when it was reported (defaults to now)
+ * @returns {Object}
+ */
+function draftFlaggedReport(flag, flagId, reportedAt) {
+    const category = guessFlagCategory(flag.question);
+    const answer = String(flag.answer || '').replace(/\s+/g, ' ').trim();
+    return {
+        award: flag.awardCode,
+        category: category,
+        question: flag.question,
+        expected_answer: flag.correction,
+        assert: draftRegressionAssert(flag.awardCode, category, flag),
+        source: flag.source || ('FWO Pay Guide ' + (flag.awardCode || '') + ' — confirm before intake').trim(),
+        reported_by: 'in-app flag (' + (flag.userEmail || flag.userId || 'unknown user') + ') #' + flagId,
+        reported_date: _flagYmd(reportedAt),
+        notes: 'Fitz answered: ' + (answer.length > 500 ? answer.slice(0, 497) + '...' : answer)
+    };
+}
+
+/**
+ * What would stop scripts/flag-to-regression.mjs taking the report — the
+ * same checks it makes, minus the award registry lookup.
+ * @param {Object} report
+ * @returns {string[]} problems; empty when the report can be exported
+ */
+function validateFlaggedReport(report) {
+    const problems = [];
+    const missing = FLAGGED_REPORT_FIELDS.filter(function (k) { return report[k] === undefined || report[k] === ''; });
+    if (missing.length) problems.push('missing field(s): ' + missing.join(', '));
+    if (!report.award) problems.push('no award was resolved for this answer — the case needs an award code');
+    if (!report.assert || REGRESSION_ASSERT_KINDS.indexOf(report.assert.kind) === -1) {
+        problems.push('assert.kind must be one of ' + REGRESSION_ASSERT_KINDS.join('/'));
+    }
+    return problems;
+}
+
+/**
+ * File name for the exported report, e.g. 2026-07-07-ma000009-pay-rate-Xy12ab.json.
+ * @param {Object} report
+ * @param {string} flagId
+ * @returns {string}
+ */
+function flaggedReportFilename(report, flagId) {
+    return [report.reported_date, String(report.award || 'unresolved').toLowerCase(), report.category.replace(/_/g, '-'), String(flagId).slice(0, 8)]
+        .join('-').replace(/[^A-Za-z0-9.-]/g, '') + '.json';
+}
+
+// ---- Expose to window for the chat and admin dashboard ----------------------
+
+if (typeof window !== 'undefined') {
+    window.buildFlaggedAnswer = buildFlaggedAnswer;
+    window.draftFlaggedReport = draftFlaggedReport;
+    window.validateFlaggedReport = validateFlaggedReport;
+    window.flaggedReportFilename = flaggedReportFilename;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FLAGGED_REPORT_FIELDS, REGRESSION_ASSERT_KINDS, FLAG_TEXT_CHARS,
+        guessFlagCategory, buildFlaggedAnswer, draftRegressionAssert,
+        draftFlaggedReport, validateFlaggedReport, flaggedReportFilename
+    };
+}
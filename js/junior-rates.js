@@ -0,0 +1,376 @@
+// ============================================================================
+// JUNIOR & APPRENTICE RATES — age- and year-scaled minimum rates
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// A rates file may carry two optional blocks alongside rates[]:
+//
+//   junior_rates.schedules[]   — which adult classifications a junior table
+//     covers, the classification its percentages are taken of (the employee's
+//     own by default) and age brackets { max_age, percent }. Ages past the
+//     last bracket are paid the adult rate; a bracket may step up after a
+//     period of service (percent_after_service after service_months).
+//   apprentice_rates.streams[] — apprenticeship years, each a percent of the
+//     basis classification's full-time rate or pegged to an adult
+//     classification's rate.
+//
+// Percentages are applied to the full-time adult rate and rounded to cents,
+// with the casual loading added on top for casuals — the derivation every
+// FWO Pay Guide junior and apprentice table follows. Because the basis is a
+// classification rather than a dollar figure, the annual wage review only
+// has to update rates[]; these blocks carry over unchanged.
+//
+// juniorRatesView(rates, age) returns a copy of the table with every covered
+// row re-priced for that age, so each award's existing resolver prices a
+// junior (penalties and all) without knowing about juniors. Loaded as a
+// browser script (app-main.js wiring) and required by scripts/validate-rates.
+// ============================================================================
+
+const JUNIOR_ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ---- Helpers ---------------------------------------------------------------
+
+function _juniorIsDate(s) {
+    return typeof s === 'string' && JUNIOR_ISO_DATE.test(s) && !isNaN(new Date(s));
+}
+
+// Round to cents, half up, through 1e6 first so binary float error cannot
+// turn 27.81 x 0.50 = 13.905 into 13.90 (same rule as shift-costing).
+function _juniorCents(n) {
+    return Math.round(Math.round(n * 1e6) / 1e4) / 100;
+}
+
+function _juniorParts(ymd) {
+    const p = ymd.split('-');
+    return { y: +p[0], m: +p[1], d: +p[2] };
+}
+
+function _juniorYmd(y, m, d) {
+    return new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+}
+
+// The same day `months` later. A day the target month lacks rolls into the
+// next month (29 Feb + 12 months = 1 Mar), so an anniversary never lands early.
+function _juniorAddMonths(ymd, months) {
+    const p = _juniorParts(ymd);
+    return _juniorYmd(p.y, p.m + months, p.d);
+}
+
+// Whole months from `from` to `to` (0 when `to` is not after `from`).
+function _juniorMonthsBetween(from, to) {
+    const a = _juniorParts(from), b = _juniorParts(to);
+    let months = (b.y - a.y) * 12 + (b.m - a.m);
+    if (_juniorAddMonths(from, months) > to) months--;
+    return Math.max(0, months);
+}
+
+function _juniorFullTimeRow(rates, classification, stream) {
+    return (rates.rates || []).find(function(r) {
+        return r.classification === classification && r.employment_type === 'full_time' &&
+            (stream === undefined || r.stream === stream);
+    }) || null;
+}
+
+// ---- Junior rates ----------------------------------------------------------
+
+/**
+ * Age in whole years on a date.
+ * @param {string} dob - date of birth 'YYYY-MM-DD'
+ * @param {string} ymd - 'YYYY-MM-DD'
+ * @returns {number|null} null for a malformed date or a date before birth
+ */
+function juniorAgeOn(dob, ymd) {
+    if (!_juniorIsDate(dob) || !_juniorIsDate(ymd) || ymd < dob) return null;
+    return Math.floor(_juniorMonthsBetween(dob, ymd) / 12);
+}
+
+/**
+ * The date someone turns `age`. A 29 February birthday falls on 1 March in
+ * other years.
+ * @param {string} dob - 'YYYY-MM-DD'
+ * @param {number} age
+ * @returns {string|null}
+ */
+function juniorBirthday(dob, age) {
+    if (!_juniorIsDate(dob)) return null;
+    return _juniorAddMonths(dob, age * 12);
+}
+
+/**
+ * Whole months of service with the employer on a date.
+ * @param {string} startYmd - employment start 'YYYY-MM-DD'
+ * @param {string} ymd - 'YYYY-MM-DD'
+ * @returns {number|null} null for a malformed date or a date before the start
+ */
+function juniorServiceMonths(startYmd, ymd) {
+    if (!_juniorIsDate(startYmd) || !_juniorIsDate(ymd) || ymd < startYmd) return null;
+    return _juniorMonthsBetween(startYmd, ymd);
+}
+
+/**
+ * The date a period of service is completed.
+ * @param {string} startYmd - employment start 'YYYY-MM-DD'
+ * @param {number} months
+ * @returns {string|null}
+ */
+function juniorServiceDate(startYmd, months) {
+    if (!_juniorIsDate(startYmd)) return null;
+    return _juniorAddMonths(startYmd, months);
+}
+
+/**
+ * The schedule covering a rate row, or null when the award pays that
+ * classification the adult rate at any age.
+ * @param {Object} rates - a rates table
+ * @param {Object} row - one of rates.rates[]
+ * @returns {Object|null}
+ */
+function juniorScheduleFor(rates, row) {
+    const jr = rates && rates.junior_rates;
+    if (!jr || !Array.isArray(jr.schedules) || !row) return null;
+    return jr.schedules.find(function(s) {
+        return (!s.streams || s.streams.indexOf(row.stream) !== -1) &&
+            (!s.classifications || s.classifications.indexOf(row.classification) !== -1);
+    }) || null;
+}
+
+/**
+ * The youngest age every schedule pays at the adult rate.
+ * @param {Object} rates - a rates table
+ * @returns {number|null} null when the table has no junior rates
+ */
+function juniorAdultAge(rates) {
+    const jr = rates && rates.junior_rates;
+    if (!jr || !Array.isArray(jr.schedules) || !jr.schedules.length) return null;
+    return Math.max.apply(null, jr.schedules.map(function(s) {
+        return s.brackets[s.brackets.length - 1].max_age + 1;
+    }));
+}
+
+/**
+ * The bracket a schedule puts an age in.
+ * @param {Object} schedule - one of junior_rates.schedules[]
+ * @param {number} age
+ * @param {number} [monthsService] - months with the employer; brackets that
+ *   step up after a period of service use their lower percentage when unknown
+ * @returns {Object|null} { percent, label, serviceMonths?, percentAfterService? },
+ *   or null when the age is paid the adult rate
+ */
+function juniorBracket(schedule, age, monthsService) {
+    if (!schedule || typeof age !== 'number') return null;
+    const b = schedule.brackets.find(function(x) { return age <= x.max_age; });
+    if (!b) return null;
+    if (typeof b.service_months === 'number') {
+        if (typeof monthsService === 'number' && monthsService >= b.service_months) {
+            return b.percent_after_service >= 100 ? null : { percent: b.percent_after_service, label: b.label };
+        }
+        return { percent: b.percent, label: b.label, serviceMonths: b.service_months, percentAfterService: b.percent_after_service };
+    }
+    return { percent: b.percent, label: b.label };
+}
+
+/**
+ * A copy of the rates table with every row a junior schedule covers re-priced
+ * for an employee of this age. Rows the award pays at the adult rate (and
+ * every row once the employee is past the last bracket) keep their rate.
+ * @param {Object} rates - a rates table carrying junior_rates
+ * @param {number} age
+ * @param {Object} [opts] - { monthsService }
+ * @returns {Object} the copy, with junior_view { age, notes[] } describing
+ *   what was applied
+ */
+function juniorRatesView(rates, age, opts) {
+    opts = opts || {};
+    const loading = typeof rates.casual_loading === 'number' ? rates.casual_loading : 0.25;
+    const notes = [];
+    const view = Object.assign({}, rates, {
+        rates: (rates.rates || []).map(function(row) {
+            const schedule = juniorScheduleFor(rates, row);
+            const bracket = juniorBracket(schedule, age, opts.monthsService);
+            if (!bracket) return row;
+            const basis = _juniorFullTimeRow(rates, schedule.basis_classification || row.classification, row.stream);
+            if (!basis) return row;
+            const share = bracket.percent / 100;
+            const casual = row.employment_type === 'casual';
+            const copy = Object.assign({}, row, {
+                rate: _juniorCents(basis.rate * share * (casual ? 1 + loading : 1)),
+                weekly_rate: (!casual && typeof basis.weekly_rate === 'number') ? _juniorCents(basis.weekly_rate * share) : null,
+                junior: { percent: bracket.percent, label: bracket.label, schedule: schedule.key }
+            });
+            if (bracket.serviceMonths) {
+                const note = 'Rises to ' + bracket.percentAfterService + '% after ' + bracket.serviceMonths + " months' service with the employer.";
+                if (notes.indexOf(note) === -1) notes.push(note);
+            }
+            return copy;
+        })
+    });
+    view.junior_view = { age: age, notes: notes };
+    return view;
+}
+
+/**
+ * Birthdays after a date up to the adult age — the dates a junior's rate can
+ * change. Callers price each one and keep those where the rate moves.
+ * @param {Object} rates - a rates table carrying junior_rates
+ * @param {string} dob - 'YYYY-MM-DD'
+ * @param {string} fromYmd - 'YYYY-MM-DD'
+ * @returns {Object[]} [{ date, age }] in date order; empty once adult
+ */
+function juniorBirthdaysAhead(rates, dob, fromYmd) {
+    const adultAge = juniorAdultAge(rates);
+    const age = juniorAgeOn(dob, fromYmd);
+    const out = [];
+    if (adultAge === null || age === null) return out;
+    for (let a = age + 1; a <= adultAge; a++) out.push({ date: juniorBirthday(dob, a), age: a });
+    return out;
+}
+
+// ---- Apprentice rates ------------------------------------------------------
+
+/**
+ * An apprenticeship stream by key.
+ * @param {Object} rates - a rates table
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function apprenticeStream(rates, key) {
+    const ar = rates && rates.apprentice_rates;
+    if (!ar || !Array.isArray(ar.streams)) return null;
+    return ar.streams.find(function(s) { return s.key === key; }) || null;
+}
+
+/**
+ * Apprenticeship year (1-based) on a date; each anniversary of the start
+ * begins the next year.
+ * @param {string} startYmd - 'YYYY-MM-DD'
+ * @param {string} ymd - 'YYYY-MM-DD'
+ * @returns {number|null} null for a malformed date or a date before the start
+ */
+function apprenticeYearOn(startYmd, ymd) {
+    if (!_juniorIsDate(startYmd) || !_juniorIsDate(ymd) || ymd < startYmd) return null;
+    return Math.floor(_juniorMonthsBetween(startYmd, ymd) / 12) + 1;
+}
+
+/**
+ * An apprentice's minimum rate for a year of their apprenticeship.
+ * @param {Object} rates - a rates table carrying apprentice_rates
+ * @param {string} key - stream key
+ * @param {number} year - 1-based
+ * @returns {Object} { ok, rate, weeklyRate, percent?, classification?, label }
+ *   or { ok: false, error }
+ */
+function apprenticeRate(rates, key, year) {
+    const ar = rates && rates.apprentice_rates;
+    const stream = apprenticeStream(rates, key);
+    if (!stream) return { ok: false, error: 'No apprentice rates for that stream' };
+    const y = stream.years.find(function(x) { return x.year === year; });
+    if (!y) return { ok: false, error: 'The ' + stream.label + ' stream has ' + stream.years.length + ' years; year ' + year + ' is past its end' };
+    const label = stream.label + ' — ' + (y.label || 'year ' + year);
+    if (y.classification) {
+        const row = _juniorFullTimeRow(rates, y.classification);
+        if (!row) return { ok: false, error: 'No full-time rate for ' + y.classification };
+        return { ok: true, rate: row.rate, weeklyRate: typeof row.weekly_rate === 'number' ? row.weekly_rate : _juniorCents(row.rate * (rates.weekly_hours || 38)), classification: y.classification, label: label };
+    }
+    const basis = _juniorFullTimeRow(rates, ar.basis_classification);
+    if (!basis) return { ok: false, error: 'No full-time rate for ' + ar.basis_classification };
+    const weekly = typeof basis.weekly_rate === 'number' ? basis.weekly_rate : basis.rate * (rates.weekly_hours || 38);
+    return { ok: true, rate: _juniorCents(basis.rate * y.percent / 100), weeklyRate: _juniorCents(weekly * y.percent / 100), percent: y.percent, label: label };
+}
+
+/**
+ * Anniversaries after a date that start a new apprenticeship year, each priced.
+ * @param {Object} rates - a rates table carrying apprentice_rates
+ * @param {string} key - stream key
+ * @param {string} startYmd - apprenticeship start 'YYYY-MM-DD'
+ * @param {string} fromYmd - 'YYYY-MM-DD'
+ * @returns {Object[]} [{ date, year, rate, label }] in date order
+ */
+function apprenticeYearsAhead(rates, key, startYmd, fromYmd) {
+    const stream = apprenticeStream(rates, key);
+    const year = apprenticeYearOn(startYmd, fromYmd);
+    const out = [];
+    if (!stream || year === null) return out;
+    for (let y = year + 1; y <= stream.years.length; y++) {
+        const r = apprenticeRate(rates, key, y);
+        if (r.ok) out.push({ date: _juniorAddMonths(startYmd, (y - 1) * 12), year: y, rate: r.rate, label: r.label });
+    }
+    return out;
+}
+
+// ---- Validation --------------------------------------------------------------
+
+/**
+ * Problems with a table's junior_rates and apprentice_rates blocks: unknown
+ * classifications, brackets out of order, percentages out of range, and
+ * apprenticeship years that do not run 1..n.
+ * @param {Object} rates - a rates table
+ * @returns {string[]} human-readable problems; empty when valid (or absent)
+ */
+function juniorRateProblems(rates) {
+    const problems = [];
+    if (!rates) return problems;
+    const known = new Set((rates.rates || []).map(function(r) { return r.classification; }));
+    const pct = function(p) { return typeof p === 'number' && p > 0 && p <= 100; };
+    const jr = rates.junior_rates;
+    if (jr !== undefined) {
+        if (!jr || !Array.isArray(jr.schedules) || !jr.schedules.length) problems.push('junior_rates.schedules must be a non-empty array');
+        else jr.schedules.forEach(function(s, i) {
+            const at = 'junior_rates.schedules[' + i + ']';
+            if (!s.key) problems.push(at + ' missing key');
+            (s.classifications || []).forEach(function(c) { if (!known.has(c)) problems.push(at + ' classification "' + c + '" is not in rates[]'); });
+            if (s.basis_classification && !known.has(s.basis_classification)) problems.push(at + ' basis_classification "' + s.basis_classification + '" is not in rates[]');
+            if (!Array.isArray(s.brackets) || !s.brackets.length) { problems.push(at + ' brackets must be a non-empty array'); return; }
+            s.brackets.forEach(function(b, j) {
+                if (typeof b.max_age !== 'number') problems.push(at + '.brackets[' + j + '] max_age not a number');
+                else if (j > 0 && !(b.max_age > s.brackets[j - 1].max_age)) problems.push(at + '.brackets[' + j + '] max_age must be above the previous bracket');
+                if (!pct(b.percent)) problems.push(at + '.brackets[' + j + '] percent out of range (' + b.percent + ')');
+                if (b.service_months !== undefined && !(typeof b.service_months === 'number' && pct(b.percent_after_service))) {
+                    problems.push(at + '.brackets[' + j + '] service_months needs a percent_after_service');
+                }
+            });
+        });
+    }
+    const ar = rates.apprentice_rates;
+    if (ar !== undefined) {
+        if (!ar || !Array.isArray(ar.streams) || !ar.streams.length) { problems.push('apprentice_rates.streams must be a non-empty array'); return problems; }
+        if (!known.has(ar.basis_classification)) problems.push('apprentice_rates basis_classification "' + ar.basis_classification + '" is not in rates[]');
+        ar.streams.forEach(function(s, i) {
+            const at = 'apprentice_rates.streams[' + i + ']';
+            if (!s.key || !s.label) problems.push(at + ' needs a key and label');
+            if (!Array.isArray(s.years) || !s.years.length) { problems.push(at + ' years must be a non-empty array'); return; }
+            s.years.forEach(function(y, j) {
+                if (y.year !== j + 1) problems.push(at + '.years[' + j + '] year must be ' + (j + 1));
+                if (y.classification !== undefined) {
+                    if (!known.has(y.classification)) problems.push(at + '.years[' + j + '] classification "' + y.classification + '" is not in rates[]');
+                } else if (!pct(y.percent)) problems.push(at + '.years[' + j + '] percent out of range (' + y.percent + ')');
+            });
+        });
+    }
+    return problems;
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.juniorAgeOn = juniorAgeOn;
+    window.juniorBirthday = juniorBirthday;
+    window.juniorServiceMonths = juniorServiceMonths;
+    window.juniorServiceDate = juniorServiceDate;
+    window.juniorScheduleFor = juniorScheduleFor;
+    window.juniorAdultAge = juniorAdultAge;
+    window.juniorBracket = juniorBracket;
+    window.juniorRatesView = juniorRatesView;
+    window.juniorBirthdaysAhead = juniorBirthdaysAhead;
+    window.apprenticeStream = apprenticeStream;
+    window.apprenticeYearOn = apprenticeYearOn;
+    window.apprenticeRate = apprenticeRate;
+    window.apprenticeYearsAhead = apprenticeYearsAhead;
+    window.juniorRateProblems = juniorRateProblems;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        juniorAgeOn, juniorBirthday, juniorServiceMonths, juniorServiceDate, juniorScheduleFor, juniorAdultAge, juniorBracket, juniorRatesView,
+        juniorBirthdaysAhead, apprenticeStream, apprenticeYearOn, apprenticeRate, apprenticeYearsAhead,
+        juniorRateProblems
+    };
+}
@@ -0,0 +1,464 @@
+// ============================================================================
+// LEAVE ACCRUAL — NES and state long service leave balances and liability
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+// Depends on js/roster-compliance.js (column detection, date parsing) and
+// js/shift-costing.js (findAwardRate), which load before it.
+//
+// normaliseEmployeeRegister(rows) reads an employee register (one row per
+// employee: start date, employment type, state, weekly ordinary hours or
+// ordinary hours worked, hourly rate) and normaliseLeaveRecords(rows) a leave
+// ledger (leave taken, cashed out and opening balances). calculateLeaveBalances
+// (employees, records, opts) then accrues, for each employee to the as-at date:
+//   - annual leave: 4 weeks of ordinary hours a year, 5 for a shiftworker
+//     (FW Act s87), less leave taken and cashed out;
+//   - personal/carer's leave: 10 days a year (s96), less leave taken;
+//   - long service leave under the Act of the state the employee works in
+//     (LSL_STATE_RULES), with whether it is payable yet.
+// Both NES entitlements accrue progressively on ordinary hours; casuals accrue
+// neither, but do accrue long service leave. The result values each balance
+// at the employee's hourly rate (annual leave with its loading) as a leave
+// liability, and flags cash-outs that left less than 4 weeks (s93(2)),
+// balances taken in advance and excessive annual leave balances.
+//
+// A balance the data cannot support (no hours, no state) is reported in notes
+// — never guessed.
+// ============================================================================
+
+// ---- Constants -------------------------------------------------------------
+
+const LEAVE_NES = {
+    annualWeeks: 4,                 // s87(1)(a)
+    shiftworkerAnnualWeeks: 5,      // s87(1)(b)
+    personalWeeks: 2,               // s96(1): 10 days = 2 weeks of ordinary hours
+    cashOutResidualWeeks: 4,        // s93(2)(a)
+    excessiveWeeks: 8,              // award excessive leave clauses
+    shiftworkerExcessiveWeeks: 10
+};
+
+// Annual leave loading applied when valuing annual leave (the common award
+// rate; a shiftworker's shift penalties may be higher under the award).
+const LEAVE_DEFAULT_LOADING = 0.175;
+
+// Long service leave by state Act: `weeks` accrue over `afterYears` of
+// continuous service and can then be taken; a pro rata amount is payable on
+// termination from `proRataYears` for the reasons in `proRataOn` (as
+// js/termination-pay.js reason keys in `proRataReasons`).
+// Reviewed 19 October 2026 — confirm against the current Act before relying on it.
+const LSL_STATE_RULES = {
+    NSW: { act: 'Long Service Leave Act 1955 (NSW)', weeks: 8.6667, afterYears: 10, proRataYears: 5,
+           proRataOn: 'termination by the employer other than for serious misconduct, resignation because of illness, incapacity or domestic or other pressing necessity, or death',
+           proRataReasons: ['dismissal', 'redundancy', 'resignation_necessity'] },
+    VIC: { act: 'Long Service Leave Act 2018 (Vic)', weeks: 6.0667, afterYears: 7, proRataYears: 7,
+           proRataOn: 'termination for any reason',
+           proRataReasons: ['dismissal', 'redundancy', 'resignation', 'resignation_necessity', 'serious_misconduct'] },
+    QLD: { act: 'Industrial Relations Act 2016 (Qld) ch 2 pt 3 div 9', weeks: 8.6667, afterYears: 10, proRataYears: 7,
+           proRataOn: 'termination by the employer other than for serious misconduct, resignation because of illness, incapacity or domestic or other pressing necessity, or death',
+           proRataReasons: ['dismissal', 'redundancy', 'resignation_necessity'] },
+    WA:  { act: 'Long Service Leave Act 1958 (WA)', weeks: 8.6667, afterYears: 10, proRataYears: 7,
+           proRataOn: 'termination for any reason other than serious misconduct',
+           proRataReasons: ['dismissal', 'redundancy', 'resignation', 'resignation_necessity'] },
+    SA:  { act: 'Long Service Leave Act 1987 (SA)', weeks: 13, afterYears: 10, proRataYears: 7,
+           proRataOn: 'termination for any reason other than serious and wilful misconduct or unlawful termination by the employee',
+           proRataReasons: ['dismissal', 'redundancy', 'resignation', 'resignation_necessity'] },
+    TAS: { act: 'Long Service Leave Act 1976 (Tas)', weeks: 8.6667, afterYears: 10, proRataYears: 7,
+           proRataOn: 'termination by the employer other than for serious misconduct, resignation because of illness, incapacity or domestic or other pressing necessity, or death',
+           proRataReasons: ['dismissal', 'redundancy', 'resignation_necessity'] },
+    ACT: { act: 'Long Service Leave Act 1976 (ACT)', weeks: 6.0667, afterYears: 7, proRataYears: 5,
+           proRataOn: 'termination for any reason other than serious misconduct',
+           proRataReasons: ['dismissal', 'redundancy', 'resignation', 'resignation_necessity'] },
+    NT:  { act: 'Long Service Leave Act 1981 (NT)', weeks: 13, afterYears: 10, proRataYears: 7,
+           proRataOn: 'termination by the employer other than for serious misconduct, resignation because of illness, incapacity or domestic or other pressing necessity, or death',
+           proRataReasons: ['dismissal', 'redundancy', 'resignation_necessity'] }
+};
+
+const LEAVE_STATE_NAMES = {
+    'new south wales': 'NSW', 'victoria': 'VIC', 'queensland': 'QLD', 'western australia': 'WA',
+    'south australia': 'SA', 'tasmania': 'TAS', 'australian capital territory': 'ACT', 'northern territory': 'NT'
+};
+
+const LEAVE_TYPE_LABELS = { annual: 'Annual leave', personal: "Personal/carer's leave", long_service: 'Long service leave' };
+
+// Header aliases (same normalisation as ROSTER_COLUMN_ALIASES).
+const EMPLOYEE_REGISTER_COLUMN_ALIASES = {
+    employee:       ['employee name', 'employee', 'staff member', 'staff name', 'name', 'worker'],
+    startDate:      ['employment start date', 'start date', 'commencement date', 'date commenced', 'hire date', 'date of hire', 'started'],
+    endDate:        ['termination date', 'end date', 'date terminated', 'finish date', 'ceased'],
+    employmentType: ['employment type', 'employment status', 'emp type', 'employment', 'type'],
+    state:          ['work state', 'state', 'location state', 'jurisdiction'],
+    weeklyHours:    ['ordinary hours per week', 'weekly ordinary hours', 'hours per week', 'weekly hours', 'contracted hours', 'standard hours'],
+    hoursWorked:    ['ordinary hours worked', 'total ordinary hours', 'ordinary hours', 'hours worked'],
+    hourlyRate:     ['hourly rate', 'base hourly rate', 'base rate', 'ordinary rate', 'pay rate', 'rate'],
+    classification: ['classification', 'award classification', 'award level', 'level', 'grade'],
+    shiftworker:    ['shiftworker', 'shift worker', 'seven day shiftworker']
+};
+
+const LEAVE_RECORD_COLUMN_ALIASES = {
+    employee:  ['employee name', 'employee', 'staff member', 'staff name', 'name', 'worker'],
+    leaveType: ['leave type', 'leave category', 'type of leave', 'leave', 'type'],
+    kind:      ['transaction type', 'transaction', 'movement', 'entry type', 'action'],
+    date:      ['leave date', 'date taken', 'date', 'start date', 'from'],
+    hours:     ['leave hours', 'hours taken', 'hours', 'units']
+};
+
+// ---- Helpers ---------------------------------------------------------------
+
+function _leaveCents(n) {
+    return Math.round(Math.round(n * 1e6) / 1e4) / 100;
+}
+
+function _leaveHours(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function _leaveKey(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function _leaveDayNumber(ymd) {
+    const p = ymd.split('-');
+    return Math.floor(Date.UTC(+p[0], +p[1] - 1, +p[2]) / 86400000);
+}
+
+// Same day n years on; 29 February falls back to 28 February in common years.
+function _leaveAddYears(ymd, n) {
+    const p = ymd.split('-');
+    const y = +p[0] + n;
+    const leap = (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+    return y + '-' + p[1] + '-' + (p[1] === '02' && p[2] === '29' && !leap ? '28' : p[2]);
+}
+
+// Inclusive day count from a to b.
+function _leaveDays(a, b) {
+    return _leaveDayNumber(b) - _leaveDayNumber(a) + 1;
+}
+
+// Hours or a plain number: 7.6, "7.6", "7.6 hrs". Null when empty or unreadable.
+function _leaveNumber(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+    const m = String(value).replace(/,/g, '').match(/^\s*(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hours)?\s*$/i);
+    return m ? parseFloat(m[1]) : null;
+}
+
+function _leaveState(value) {
+    const s = String(value || '').trim();
+    if (!s) return null;
+    const upper = s.toUpperCase();
+    if (LSL_STATE_RULES[upper]) return upper;
+    return LEAVE_STATE_NAMES[s.toLowerCase()] || null;
+}
+
+function _leaveYes(value) {
+    if (value === true) return true;
+    return /^(y|yes|true|1|shiftworker|shift worker)$/i.test(String(value == null ? '' : value).trim());
+}
+
+function _leaveType(value) {
+    const s = String(value || '').toLowerCase();
+    if (/long|\blsl\b/.test(s)) return 'long_service';
+    if (/annual|holiday|\bal\b/.test(s)) return 'annual';
+    if (/personal|sick|carer|\bpcl\b|\bsl\b/.test(s)) return 'personal';
+    return null;
+}
+
+function _leaveKind(value) {
+    const s = String(value || '').toLowerCase();
+    if (/cash/.test(s)) return 'cashed_out';
+    if (/open|balance|brought|b\/f/.test(s)) return 'opening';
+    return 'taken';
+}
+
+// ---- Parsing ---------------------------------------------------------------
+
+/**
+ * Normalise employee register rows. Row numbers are 1-based spreadsheet rows;
+ * unreadable rows are returned in `skipped` with a reason.
+ * @returns {Object} { employees: [{ row, employee, startDate, endDate, employmentType,
+ *   state, weeklyHours, hoursWorked, hourlyRate, classification, shiftworker }], skipped, columns }
+ */
+function normaliseEmployeeRegister(rows) {
+    const list = Array.isArray(rows) ? rows : [];
+    const headers = [];
+    list.forEach(function(r) {
+        Object.keys(r || {}).forEach(function(k) { if (headers.indexOf(k) === -1) headers.push(k); });
+    });
+    const columns = detectRosterColumns(headers, EMPLOYEE_REGISTER_COLUMN_ALIASES);
+    const employees = [];
+    const skipped = [];
+
+    list.forEach(function(r, i) {
+        const rowNo = r && typeof r.__rowNum__ === 'number' ? r.__rowNum__ + 1 : i + 2;
+        const get = function(field) { return columns[field] ? r[columns[field]] : undefined; };
+        const employee = String(get('employee') == null ? '' : get('employee')).trim();
+        const startDate = parseRosterDate(get('startDate'));
+        if (!employee && !startDate) return; // blank line
+        if (!employee) { skipped.push({ row: rowNo, reason: 'No employee name' }); return; }
+        if (!startDate) { skipped.push({ row: rowNo, reason: 'Employment start date not recognised' }); return; }
+        const employmentType = normaliseEmploymentType(get('employmentType'));
+        if (!employmentType) { skipped.push({ row: rowNo, reason: 'Employment type not recognised (full-time, part-time or casual)' }); return; }
+        const endDate = parseRosterDate(get('endDate'));
+        if (endDate && endDate < startDate) { skipped.push({ row: rowNo, reason: 'Termination date is before the start date' }); return; }
+        employees.push({
+            row: rowNo,
+            employee: employee,
+            startDate: startDate,
+            endDate: endDate,
+            employmentType: employmentType,
+            state: _leaveState(get('state')),
+            weeklyHours: _leaveNumber(get('weeklyHours')),
+            hoursWorked: _leaveNumber(get('hoursWorked')),
+            hourlyRate: parseRatePaid(get('hourlyRate')),
+            classification: get('classification') != null && String(get('classification')).trim() ? String(get('classification')).trim() : null,
+            shiftworker: _leaveYes(get('shiftworker'))
+        });
+    });
+
+    return { employees: employees, skipped: skipped, columns: columns };
+}
+
+/**
+ * Normalise leave ledger rows: leave taken, cashed out, or an opening balance
+ * carried over from another system (accrual then runs from that date).
+ * @returns {Object} { records: [{ row, employee, leaveType, kind, date, hours }], skipped, columns }
+ */
+function normaliseLeaveRecords(rows) {
+    const list = Array.isArray(rows) ? rows : [];
+    const headers = [];
+    list.forEach(function(r) {
+        Object.keys(r || {}).forEach(function(k) { if (headers.indexOf(k) === -1) headers.push(k); });
+    });
+    const columns = detectRosterColumns(headers, LEAVE_RECORD_COLUMN_ALIASES);
+    const records = [];
+    const skipped = [];
+
+    list.forEach(function(r, i) {
+        const rowNo = r && typeof r.__rowNum__ === 'number' ? r.__rowNum__ + 1 : i + 2;
+        const get = function(field) { return columns[field] ? r[columns[field]] : undefined; };
+        const employee = String(get('employee') == null ? '' : get('employee')).trim();
+        const date = parseRosterDate(get('date'));
+        const hours = _leaveNumber(get('hours'));
+        if (!employee && !date && hours == null) return; // blank line
+        if (!employee) { skipped.push({ row: rowNo, reason: 'No employee name' }); return; }
+        const leaveType = _leaveType(get('leaveType'));
+        if (!leaveType) { skipped.push({ row: rowNo, reason: "Leave type not recognised (annual, personal/carer's or long service)" }); return; }
+        if (!date) { skipped.push({ row: rowNo, reason: 'Date not recognised' }); return; }
+        if (hours == null) { skipped.push({ row: rowNo, reason: 'Hours not recognised' }); return; }
+        const kind = _leaveKind(get('kind'));
+        if (kind === 'cashed_out' && leaveType !== 'annual') { skipped.push({ row: rowNo, reason: 'Only annual leave can be cashed out under the NES' }); return; }
+        records.push({ row: rowNo, employee: employee, leaveType: leaveType, kind: kind, date: date, hours: hours });
+    });
+
+    return { records: records, skipped: skipped, columns: columns };
+}
+
+// ---- Engine ----------------------------------------------------------------
+
+// One leave type's ledger for an employee: an optional opening balance, then
+// progressive accrual at `perOrdinaryHour` and the records dated after it.
+function _leaveLedger(type, records, from, to, ordinaryHours, perOrdinaryHour) {
+    const mine = records.filter(function(r) { return r.leaveType === type && r.date <= to; });
+    const opening = mine.filter(function(r) { return r.kind === 'opening' && r.date >= from; })
+        .sort(function(a, b) { return a.date < b.date ? -1 : a.date > b.date ? 1 : 0; }).pop() || null;
+    const accrueFrom = opening ? opening.date : from;
+    const moves = mine.filter(function(r) { return r.kind !== 'opening' && (!opening || r.date > opening.date); })
+        .sort(function(a, b) { return a.date < b.date ? -1 : a.date > b.date ? 1 : a.row - b.row; });
+    // Accrued to a date (inclusive), counting from the day after an opening balance.
+    const accruedTo = function(date) {
+        const hours = opening ? (date > opening.date ? ordinaryHours(_leaveAddDays(opening.date, 1), date) : 0) : ordinaryHours(from, date);
+        return hours == null ? null : (opening ? opening.hours : 0) + hours * perOrdinaryHour;
+    };
+    return { opening: opening, accrueFrom: accrueFrom, moves: moves, accruedTo: accruedTo };
+}
+
+function _leaveAddDays(ymd, n) {
+    return new Date((_leaveDayNumber(ymd) + n) * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Accrues leave for each employee to the as-at date and values the balances.
+ * @param {Object[]} employees - normaliseEmployeeRegister(...).employees
+ * @param {Object[]} records - normaliseLeaveRecords(...).records (may be empty)
+ * @param {Object} opts - { asAt 'YYYY-MM-DD' (required), leaveLoading (default
+ *   LEAVE_DEFAULT_LOADING), rates (award rates JSON: values employees with no
+ *   hourly rate at their classification's full-time minimum), defaultState }
+ * @returns {Object} { ok, asAt, employees[], totals, unmatched[], notes[] } or { ok: false, error }
+ */
+function calculateLeaveBalances(employees, records, opts) {
+    opts = opts || {};
+    const asAt = opts.asAt;
+    if (!(typeof asAt === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(asAt))) return { ok: false, error: 'An as-at date is required' };
+    const loading = typeof opts.leaveLoading === 'number' ? opts.leaveLoading : LEAVE_DEFAULT_LOADING;
+    const defaultState = _leaveState(opts.defaultState);
+    const notes = [];
+    const known = new Set();
+
+    const out = (employees || []).map(function(e) {
+        const key = _leaveKey(e.employee);
+        known.add(key);
+        const mine = (records || []).filter(function(r) { return _leaveKey(r.employee) === key; });
+        const to = e.endDate && e.endDate < asAt ? e.endDate : asAt;
+        const casual = e.employmentType === 'casual';
+        const state = e.state || defaultState;
+        const findings = [];
+        const empNotes = [];
+        const result = {
+            row: e.row, employee: e.employee, employmentType: e.employmentType, state: state,
+            shiftworker: !!e.shiftworker, startDate: e.startDate, endDate: e.endDate || null,
+            serviceYears: 0, weeklyHours: null, hourlyRate: null, rateSource: null,
+            annual: null, personal: null, longService: null, findings: findings, notes: empNotes
+        };
+        if (e.startDate > to) {
+            empNotes.push('Starts after ' + to + ' — nothing accrued yet.');
+            return result;
+        }
+        const serviceDays = _leaveDays(e.startDate, to);
+        result.serviceYears = Math.round(serviceDays / 365.25 * 100) / 100;
+
+        // Ordinary hours between two dates: the register's ordinary hours
+        // worked spread evenly over the service, else the weekly hours.
+        const ordinaryHours = function(from, until) {
+            if (until < from) return 0;
+            const days = _leaveDays(from, until);
+            if (e.hoursWorked != null) return e.hoursWorked * days / serviceDays;
+            if (e.weeklyHours != null) return e.weeklyHours * days / 7;
+            return null;
+        };
+        const weekly = e.weeklyHours != null ? e.weeklyHours : (e.hoursWorked != null ? e.hoursWorked / (serviceDays / 7) : null);
+        result.weeklyHours = weekly == null ? null : _leaveHours(weekly);
+        if (weekly == null) empNotes.push('No weekly ordinary hours or ordinary hours worked — balances not calculated.');
+
+        let rate = e.hourlyRate || null;
+        if (rate) result.rateSource = 'register';
+        else if (opts.rates && e.classification && typeof findAwardRate === 'function') {
+            const row = findAwardRate(opts.rates, e.classification, 'full_time');
+            if (row) { rate = Number(row.rate); result.rateSource = 'award'; }
+        }
+        result.hourlyRate = rate;
+        if (!rate) empNotes.push('No hourly rate — balances are not valued.');
+
+        // NES annual and personal/carer's leave (not casuals).
+        if (!casual) {
+            const annualWeeks = e.shiftworker ? LEAVE_NES.shiftworkerAnnualWeeks : LEAVE_NES.annualWeeks;
+            [['annual', annualWeeks], ['personal', LEAVE_NES.personalWeeks]].forEach(function(t) {
+                const type = t[0];
+                const ledger = _leaveLedger(type, mine, e.startDate, to, ordinaryHours, t[1] / 52);
+                const accrued = ledger.accruedTo(to);
+                if (accrued == null) return;
+                let taken = 0;
+                let cashedOut = 0;
+                ledger.moves.forEach(function(m) {
+                    if (m.kind === 'cashed_out') {
+                        // s93(2): the cash-out must leave at least 4 weeks.
+                        const before = ledger.accruedTo(m.date) - taken - cashedOut;
+                        const residual = before - m.hours;
+                        if (weekly != null && residual < LEAVE_NES.cashOutResidualWeeks * weekly - 0.005) {
+                            findings.push({ type: 'cash_out_residual', severity: 'high', row: m.row, date: m.date,
+                                message: 'Cash-out of ' + _leaveHours(m.hours) + ' hours on ' + m.date + ' left ' + _leaveHours(residual) + ' hours (' + (Math.round(residual / weekly * 10) / 10) + ' weeks) of annual leave. FW Act s93(2) and the award require at least 4 weeks to remain.' });
+                        }
+                        cashedOut += m.hours;
+                    } else {
+                        taken += m.hours;
+                    }
+                });
+                const balance = accrued - taken - cashedOut;
+                const entry = {
+                    entitlementWeeks: t[1],
+                    opening: ledger.opening ? { date: ledger.opening.date, hours: ledger.opening.hours } : null,
+                    accrued: _leaveHours(accrued),
+                    taken: _leaveHours(taken),
+                    cashedOut: _leaveHours(cashedOut),
+                    balance: _leaveHours(balance),
+                    balanceWeeks: weekly ? Math.round(balance / weekly * 100) / 100 : null,
+                    value: type === 'annual' && rate && balance > 0 ? _leaveCents(balance * rate * (1 + loading)) : 0
+                };
+                result[type] = entry;
+                if (balance < -0.005) {
+                    findings.push({ type: 'negative_balance', severity: 'medium', leaveType: type,
+                        message: LEAVE_TYPE_LABELS[type] + ' balance is ' + entry.balance + ' hours — leave taken in advance. Deducting it on termination needs a written leave-in-advance agreement (FW Act s324).' });
+                }
+                if (type === 'annual' && weekly) {
+                    const limit = e.shiftworker ? LEAVE_NES.shiftworkerExcessiveWeeks : LEAVE_NES.excessiveWeeks;
+                    if (balance > limit * weekly + 0.005) {
+                        findings.push({ type: 'excessive_annual_leave', severity: 'low',
+                            message: 'Annual leave balance is ' + entry.balanceWeeks + ' weeks — more than ' + limit + ' weeks is excessive under the award. You can consult the employee and, if needed, direct leave to be taken.' });
+                    }
+                }
+            });
+        }
+
+        // Long service leave under the state Act (casuals included).
+        const lsl = state ? LSL_STATE_RULES[state] : null;
+        if (!lsl) {
+            empNotes.push('No work state — long service leave not calculated.');
+        } else if (weekly != null) {
+            const perYear = lsl.weeks / lsl.afterYears;
+            // LSL accrues on continuous service at the average weekly ordinary hours.
+            const serviceHours = function(from, until) { return until < from ? 0 : weekly * perYear * _leaveDays(from, until) / 365.25; };
+            const ledger = _leaveLedger('long_service', mine, e.startDate, to, serviceHours, 1);
+            const accrued = ledger.accruedTo(to);
+            const taken = ledger.moves.reduce(function(t, m) { return t + m.hours; }, 0);
+            const balance = accrued - taken;
+            const entitledFrom = _leaveAddYears(e.startDate, lsl.afterYears);
+            const proRataFrom = _leaveAddYears(e.startDate, lsl.proRataYears);
+            const status = to >= entitledFrom ? 'entitled' : to >= proRataFrom ? 'pro_rata' : 'accruing';
+            result.longService = {
+                state: state,
+                act: lsl.act,
+                accrued: _leaveHours(accrued),
+                taken: _leaveHours(taken),
+                balance: _leaveHours(balance),
+                balanceWeeks: Math.round(balance / weekly * 100) / 100,
+                status: status,
+                entitledFrom: entitledFrom,
+                proRataFrom: proRataFrom,
+                proRataOn: lsl.proRataOn,
+                value: rate && balance > 0 ? _leaveCents(balance * rate) : 0
+            };
+        }
+        return result;
+    });
+
+    const unmatched = (records || []).filter(function(r) { return !known.has(_leaveKey(r.employee)); })
+        .map(function(r) { return { row: r.row, employee: r.employee, reason: 'Not in the employee register' }; });
+
+    const sum = function(pick) { return _leaveCents(out.reduce(function(t, e) { return t + (pick(e) || 0); }, 0)); };
+    const lslBy = function(status) { return function(e) { return e.longService && e.longService.status === status ? e.longService.value : 0; }; };
+    const totals = {
+        employees: out.length,
+        annual: sum(function(e) { return e.annual && e.annual.value; }),
+        annualHours: _leaveHours(out.reduce(function(t, e) { return t + (e.annual && e.annual.balance > 0 ? e.annual.balance : 0); }, 0)),
+        personalHours: _leaveHours(out.reduce(function(t, e) { return t + (e.personal && e.personal.balance > 0 ? e.personal.balance : 0); }, 0)),
+        longServiceEntitled: sum(lslBy('entitled')),
+        longServiceProRata: sum(lslBy('pro_rata')),
+        longServiceAccruing: sum(lslBy('accruing')),
+        findings: out.reduce(function(t, e) { return t + e.findings.length; }, 0)
+    };
+    totals.longService = _leaveCents(totals.longServiceEntitled + totals.longServiceProRata + totals.longServiceAccruing);
+    totals.total = _leaveCents(totals.annual + totals.longService);
+
+    notes.push('Annual leave is valued with a ' + Math.round(loading * 1000) / 10 + '% leave loading. Personal/carer\'s leave is not paid out on termination, so it is shown in hours but not valued.');
+    if (out.some(function(e) { return e.longService && e.longService.status !== 'entitled'; })) {
+        notes.push('Long service leave that cannot be taken yet is included: pro rata amounts are payable only on the kinds of termination the state Act lists; amounts still accruing are not yet payable.');
+    }
+    if (out.some(function(e) { return e.rateSource === 'award'; })) {
+        notes.push('Employees without an hourly rate are valued at their classification\'s award minimum full-time rate.');
+    }
+    if (out.some(function(e) { return e.shiftworker; })) {
+        notes.push('A shiftworker\'s annual leave may attract shift penalties instead of the loading where the award says so.');
+    }
+
+    return { ok: true, asAt: asAt, leaveLoading: loading, employees: out, totals: totals, unmatched: unmatched, notes: notes };
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.LSL_STATE_RULES = LSL_STATE_RULES;
+    window.normaliseEmployeeRegister = normaliseEmployeeRegister;
+    window.normaliseLeaveRecords = normaliseLeaveRecords;
+    window.calculateLeaveBalances = calculateLeaveBalances;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LSL_STATE_RULES, normaliseEmployeeRegister, normaliseLeaveRecords, calculateLeaveBalances };
+}
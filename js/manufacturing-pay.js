@@ -0,0 +1,476 @@
+// ============================================================================
+// MANUFACTURING PAY — a worked week under MA000010, stacked rate by rate
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+// Depends on js/shift-costing.js (findAwardRate), which loads before it.
+//
+// costManufacturingWeek(week, rates) prices a week of shifts for a
+// Manufacturing award employee in the order the award stacks them:
+//   1. the minimum hourly rate for the classification (cl 20);
+//   2. plus every all-purpose allowance the employee holds (cl 30.2) — this
+//      is the ordinary hourly rate (Schedule C.2.1);
+//   3. plus the 25% casual loading for a casual (cl 11.1, Schedule C.3.1);
+//   4. times the shift, weekend, public holiday or overtime percentage for
+//      each hour (cl 32, cl 33). These replace one another rather than add up,
+//      and none but the public holiday rate goes past double time (cl 26).
+// Rostered days off accrue from the 0.4 of an hour worked past the daily
+// average and are paid from that credit when taken (cl 27.5).
+//
+// Every multiplier and clause comes from the rates JSON — shift_pay_rules,
+// penalty_rates, minimum_engagement, allowances (all_purpose) — so the annual
+// wage review stays data-only. Anything the file cannot price is reported in
+// notes — never guessed.
+// ============================================================================
+
+// ---- Constants -------------------------------------------------------------
+
+const MANUF_PAY_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const MANUF_PAY_DAY_LABELS = {
+    mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday', thu: 'Thursday', fri: 'Friday', sat: 'Saturday', sun: 'Sunday'
+};
+
+const MANUF_PAY_SHIFT_LABELS = {
+    day: 'Day work', afternoon: 'Afternoon shift', night: 'Night shift', permanent_night: 'Permanent night shift'
+};
+
+const MANUF_PAY_SHIFT_TYPES = ['day', 'afternoon', 'night', 'permanent_night', 'rotating'];
+
+// ---- Helpers ---------------------------------------------------------------
+
+// Round to cents, half up, through 1e6 so float error cannot drop a cent.
+function _manufPayCents(n) {
+    return Math.round(Math.round(n * 1e6) / 1e4) / 100;
+}
+
+function _manufPayNum(v) {
+    return typeof v === 'number' && isFinite(v) ? v : null;
+}
+
+function _manufPayHours(minutes) {
+    return Math.round(minutes / 60 * 100) / 100;
+}
+
+function _manufPayPercent(m) {
+    return Math.round(m * 1000) / 10 + '%';
+}
+
+function _manufPayAllowance(rates, name) {
+    return (rates.allowances || []).find(function(a) { return a.name === name; }) || null;
+}
+
+// Which rate applies to minute `i` of a day's paid time, as
+// { key, label, multiplier, clause }. `ordinary` is the number of ordinary
+// minutes in the day; everything after it is overtime.
+function _manufPayMinute(ctx, day, i) {
+    const r = ctx.rules;
+    const pr = ctx.pr;
+    const ot = r.overtime || {};
+    const firstOt = (_manufPayNum(ot.first_hours) || 3) * 60;
+    const shift = day.kind !== 'day';
+    if (day.rdoWorked) {
+        if (shift) return { key: 'rdo', label: 'Worked on rostered day off (unrelieved shiftworker)', multiplier: ot.unrelieved_rdo_multiplier, clause: ot.unrelieved_rdo_clause };
+        return i < firstOt
+            ? { key: 'ot1', label: 'Worked on rostered day off — overtime, first ' + (firstOt / 60) + ' hours', multiplier: pr.overtime_first_3hrs, clause: ot.clause }
+            : { key: 'ot2', label: 'Worked on rostered day off — overtime after ' + (firstOt / 60) + ' hours', multiplier: pr.overtime_after_3hrs, clause: ot.clause };
+    }
+    if (i < day.ordinary) {
+        if (day.type === 'public_holiday') {
+            if (shift && ctx.continuous) {
+                return { key: 'ph', label: 'Public holiday (continuous shiftworker)', multiplier: r.shiftworker.continuous_public_holiday_multiplier, clause: r.shiftworker.continuous_public_holiday_clause };
+            }
+            return { key: 'ph', label: 'Public holiday', multiplier: pr.public_holiday, clause: shift ? r.shiftworker.public_holiday_clause : r.day_worker.public_holiday_clause };
+        }
+        if (day.type === 'sunday') {
+            return { key: 'sun', label: shift ? 'Sunday shift' : 'Sunday ordinary hours', multiplier: pr.sunday, clause: shift ? r.shiftworker.sunday_clause : r.day_worker.weekend_ordinary_clause + '(ii)' };
+        }
+        if (day.type === 'saturday') {
+            return { key: 'sat', label: shift ? 'Saturday shift' : 'Saturday ordinary hours', multiplier: pr.saturday, clause: shift ? r.shiftworker.saturday_clause : r.day_worker.weekend_ordinary_clause + '(i)' };
+        }
+        if (!shift) return { key: 'ord', label: 'Ordinary hours', multiplier: 1, clause: (r.ordinary_hours || {}).clause };
+        if (ctx.nonSuccessive && day.kind !== 'permanent_night') {
+            const ns = r.non_successive_shifts;
+            const first = (_manufPayNum(ns.first_hours) || 3) * 60;
+            return i < first
+                ? { key: 'ns1', label: MANUF_PAY_SHIFT_LABELS[day.kind] + ' (fewer than ' + ns.min_shifts + ' successive) — first ' + (first / 60) + ' hours', multiplier: ns.first_multiplier, clause: ns.clause }
+                : { key: 'ns2', label: MANUF_PAY_SHIFT_LABELS[day.kind] + ' (fewer than ' + ns.min_shifts + ' successive) — after ' + (first / 60) + ' hours', multiplier: ns.after_multiplier, clause: ns.clause };
+        }
+        const sl = r.shift_loadings[day.kind];
+        return { key: day.kind, label: MANUF_PAY_SHIFT_LABELS[day.kind], multiplier: 1 + (_manufPayNum(pr[sl.loading]) || 0), clause: sl.clause };
+    }
+    const j = i - day.ordinary;
+    if (day.type === 'public_holiday') {
+        return shift && ctx.continuous
+            ? { key: 'otph', label: 'Public holiday overtime (continuous shiftworker)', multiplier: r.shiftworker.continuous_public_holiday_multiplier, clause: ot.public_holiday_clause + '(b)' }
+            : { key: 'otph', label: 'Public holiday overtime', multiplier: pr.public_holiday, clause: ot.public_holiday_clause };
+    }
+    if (day.type === 'sunday') return { key: 'otsun', label: 'Sunday overtime', multiplier: pr.sunday_overtime, clause: ot.sunday_clause };
+    if (shift && ctx.continuous) return { key: 'otc', label: 'Overtime (continuous shiftworker)', multiplier: ot.continuous_multiplier, clause: ot.continuous_clause };
+    const sat = day.type === 'saturday' && !shift;
+    const prefix = sat ? 'Saturday overtime' : 'Overtime';
+    const clause = sat ? ot.saturday_clause : ot.clause;
+    return j < firstOt
+        ? { key: 'ot1', label: prefix + ' — first ' + (firstOt / 60) + ' hours', multiplier: pr.overtime_first_3hrs, clause: clause }
+        : { key: 'ot2', label: prefix + ' — after ' + (firstOt / 60) + ' hours', multiplier: pr.overtime_after_3hrs, clause: clause };
+}
+
+// ---- Week ------------------------------------------------------------------
+
+/**
+ * Prices a worked week for a Manufacturing award (MA000010) employee.
+ * @param {Object} week - { classification, employmentType ('full_time' |
+ *   'part_time' | 'casual'), allowances: [name | { name, quantity }],
+ *   shiftType ('day' | 'afternoon' | 'night' | 'permanent_night' |
+ *   'rotating'), continuous (continuous shiftwork, cl 17.3),
+ *   nonSuccessive (afternoon/night shifts that do not run 5 in a row,
+ *   cl 33.2(e)), weekendOrdinary (a day worker's weekend ordinary hours
+ *   agreed under cl 17.2(c)), rdo ('none' | 'accrue'), days: [{ day 'mon'..
+ *   'sun', hours, shift (for a rotating roster), publicHoliday, rdo (the
+ *   rostered day off), agreedHours (part-time) }] }
+ * @param {Object} rates - the MA000010 rates JSON (awardRates)
+ * @returns {Object} { ok, steps[], hourlyRates[], lines[], allowances[],
+ *   totalCost, ... } or { ok: false, error }
+ */
+function costManufacturingWeek(week, rates) {
+    if (!rates || !rates.penalty_rates) return { ok: false, error: 'No award rates loaded' };
+    const r = rates.shift_pay_rules;
+    if (!r) return { ok: false, error: 'The ' + (rates.ma_number || 'loaded') + ' rates table has no shift pay rules' };
+    week = week || {};
+    const type = week.employmentType;
+    if (['full_time', 'part_time', 'casual'].indexOf(type) === -1) {
+        return { ok: false, error: 'Employment type is required to price a week' };
+    }
+    const row = findAwardRate(rates, week.classification, 'full_time');
+    if (!row) {
+        return { ok: false, error: week.classification
+            ? 'Classification "' + week.classification + '" is not in the ' + rates.ma_number + ' rates table'
+            : 'Classification is required to price a week' };
+    }
+    const shiftType = week.shiftType || 'day';
+    if (MANUF_PAY_SHIFT_TYPES.indexOf(shiftType) === -1) return { ok: false, error: 'Unknown shift type "' + shiftType + '"' };
+    const casual = type === 'casual';
+    const rdo = week.rdo === 'accrue';
+    if (rdo && type !== 'full_time') {
+        return { ok: false, error: 'A rostered day off arrangement applies to full-time employees (cl ' + r.rdo.arrangement_clause + ')' };
+    }
+    const pr = rates.penalty_rates;
+    const notes = [];
+
+    // Allowances: all-purpose ones build the ordinary hourly rate, the rest
+    // are paid on top.
+    const held = [];
+    const groups = {};
+    for (const entry of week.allowances || []) {
+        const name = typeof entry === 'string' ? entry : entry && entry.name;
+        const a = _manufPayAllowance(rates, name);
+        if (!a || _manufPayNum(a.amount) == null) return { ok: false, error: 'Allowance "' + name + '" is not in the ' + rates.ma_number + ' rates table' };
+        if (a.group) {
+            if (groups[a.group]) return { ok: false, error: 'Only one ' + a.group.replace(/_/g, ' ') + ' allowance can apply: "' + groups[a.group] + '" and "' + a.name + '"' };
+            groups[a.group] = a.name;
+        }
+        held.push({ allowance: a, quantity: typeof entry === 'object' ? _manufPayNum(entry.quantity) : null });
+    }
+    const allPurpose = held.filter(function(h) { return h.allowance.all_purpose; });
+    for (const h of allPurpose) {
+        if (h.allowance.unit !== 'per hour') return { ok: false, error: 'All-purpose allowance "' + h.allowance.name + '" must be an hourly amount' };
+    }
+
+    const baseRate = Number(row.rate);
+    const ap = r.all_purpose_allowances;
+    const loading = _manufPayNum(rates.casual_loading) || 0;
+    const steps = [{ label: 'Minimum hourly rate — ' + row.classification, amount: baseRate, rate: baseRate, clause: '20' }];
+    let ordinaryExact = baseRate;
+    for (const h of allPurpose) {
+        ordinaryExact += h.allowance.amount;
+        steps.push({ label: 'Plus ' + h.allowance.name, amount: h.allowance.amount, rate: _manufPayCents(ordinaryExact), clause: h.allowance.clause || ap.clause });
+    }
+    if (allPurpose.length) {
+        notes.push('All-purpose allowances are part of the ordinary hourly rate, so every penalty, shift loading and overtime rate below is worked out on $' +
+            _manufPayCents(ordinaryExact).toFixed(2) + ' (cl ' + ap.clause + ', Sch C.2.1).');
+    }
+    if (casual) {
+        // The Pay Guide rounds the casual ordinary rate to cents before
+        // applying penalty percentages.
+        const loaded = _manufPayCents(ordinaryExact * (1 + loading));
+        steps.push({ label: 'Plus ' + Math.round(loading * 100) + '% casual loading', amount: _manufPayCents(loaded - ordinaryExact),
+            rate: loaded, clause: ap.casual_clause });
+        ordinaryExact = loaded;
+        notes.push('Casual penalties, shift rates and overtime are percentages of the casual ordinary hourly rate, which includes the loading (cl ' + r.casual.clause + ').');
+    }
+    const ordinaryRate = _manufPayCents(ordinaryExact);
+    const maxMultiplier = _manufPayNum(r.not_cumulative.max_multiplier) || 2;
+    const ctx = { rules: r, pr: pr, continuous: !!week.continuous, nonSuccessive: !!week.nonSuccessive };
+
+    const perDay = _manufPayNum(rates.weekly_hours) / (_manufPayNum(r.ordinary_hours.days_per_week) || 5);
+    const maxOrdinary = _manufPayNum(((rates.roster_rules || {}).max_ordinary_hours_per_day || {}).hours) || 8;
+    const engagementHours = type === 'full_time' ? 0 : _manufPayNum((rates.minimum_engagement || {})[type === 'casual' ? 'casual_hours_per_shift' : 'part_time_hours_per_shift']) || 0;
+    const engagementClause = ((rates.roster_rules || {}).minimum_engagement_clauses || {})[type];
+
+    const lines = [];
+    const seen = {};
+    const entered = {};
+    let ordinaryMinutes = 0;
+    let overtimeMinutes = 0;
+    let accrualMinutes = 0;
+    let rdoPaid = false;
+    let shiftsWorked = 0;
+    let daysWorked = 0;
+    let workedMinutes = 0;
+    const addLine = function(dayKey, rate, minutes, dayType) {
+        let mult = rate.multiplier;
+        let clause = rate.clause;
+        if (dayType !== 'public_holiday' && mult > maxMultiplier) {
+            mult = maxMultiplier;
+            clause = r.not_cumulative.clause;
+        }
+        const k = dayKey + '|' + rate.key;
+        if (!seen[k]) {
+            seen[k] = { day: dayKey, dayType: dayType, label: MANUF_PAY_DAY_LABELS[dayKey] + ' — ' + rate.label, multiplier: mult,
+                rate: _manufPayCents(ordinaryExact * mult), minutes: 0, clause: clause };
+            lines.push(seen[k]);
+        }
+        seen[k].minutes += minutes;
+    };
+
+    for (const d of week.days || []) {
+        if (MANUF_PAY_DAYS.indexOf(d.day) === -1) return { ok: false, error: 'Unknown day "' + d.day + '"' };
+        if (entered[d.day]) return { ok: false, error: MANUF_PAY_DAY_LABELS[d.day] + ' is entered twice' };
+        entered[d.day] = true;
+        const worked = Math.round((_manufPayNum(d.hours) || 0) * 60);
+        if (worked < 0 || worked > 1440) return { ok: false, error: MANUF_PAY_DAY_LABELS[d.day] + ' hours must be between 0 and 24' };
+        const kind = shiftType === 'rotating' ? (d.shift || 'day') : (d.shift || shiftType);
+        if (!MANUF_PAY_SHIFT_LABELS[kind]) return { ok: false, error: 'Unknown shift "' + kind + '" on ' + MANUF_PAY_DAY_LABELS[d.day] };
+        const dayType = d.publicHoliday ? 'public_holiday' : d.day === 'sat' ? 'saturday' : d.day === 'sun' ? 'sunday' : 'weekday';
+
+        if (d.rdo && !worked) {
+            if (!rdo) return { ok: false, error: MANUF_PAY_DAY_LABELS[d.day] + ' is marked as a rostered day off but no RDO arrangement is set' };
+            rdoPaid = true;
+            lines.push({ day: d.day, dayType: dayType, label: MANUF_PAY_DAY_LABELS[d.day] + ' — Rostered day off (paid from accrued credit)', multiplier: 1,
+                rate: ordinaryRate, minutes: Math.round(perDay * 60), clause: r.rdo.accrual_clause });
+            continue;
+        }
+        if (!worked) continue;
+        daysWorked++;
+        workedMinutes += worked;
+        if (kind !== 'day' && dayType === 'weekday') shiftsWorked++;
+
+        // Ordinary minutes for the day; the rest is overtime (each day's work
+        // stands alone, cl 32.1(e)). A day worker's weekend hours are overtime
+        // unless weekend ordinary hours are agreed (cl 17.2(c)).
+        let ordinaryCap;
+        if (d.rdo) ordinaryCap = 0;
+        else if (kind === 'day' && (dayType === 'saturday' || dayType === 'sunday') && !week.weekendOrdinary) ordinaryCap = 0;
+        else if (type === 'full_time') ordinaryCap = Math.round((rdo ? r.rdo.day_hours : perDay) * 60);
+        else if (type === 'part_time' && _manufPayNum(d.agreedHours) != null) ordinaryCap = Math.round(d.agreedHours * 60);
+        else ordinaryCap = Math.round(maxOrdinary * 60);
+
+        // Minimum payments: part-time/casual engagement (cl 10.2, 11.2),
+        // public holidays (cl 33.1(b), 32.7) and weekend overtime (cl 32.5,
+        // 32.6).
+        let minimum = engagementHours * 60;
+        let minimumClause = engagementClause;
+        const ot = r.overtime;
+        const raise = function(hours, clause) {
+            if (_manufPayNum(hours) && hours * 60 > minimum) { minimum = hours * 60; minimumClause = clause; }
+        };
+        if (dayType === 'public_holiday') {
+            raise(kind === 'day' ? r.day_worker.public_holiday_minimum_hours : ot.public_holiday_minimum_hours, kind === 'day' ? r.day_worker.public_holiday_clause : ot.public_holiday_clause);
+        } else if (!ordinaryCap && kind === 'day' && dayType === 'saturday') {
+            raise(ot.saturday_minimum_hours, ot.saturday_clause);
+        } else if (!ordinaryCap && dayType === 'sunday') {
+            raise(ot.sunday_minimum_hours, ot.sunday_clause);
+        }
+        const paid = Math.max(worked, minimum);
+        if (paid > worked) {
+            notes.push(MANUF_PAY_DAY_LABELS[d.day] + ': paid ' + _manufPayHours(paid) + ' hours — the minimum payment (cl ' + minimumClause + ').');
+        }
+        const day = { kind: kind, type: dayType, ordinary: ordinaryCap, rdoWorked: !!d.rdo };
+        for (let i = 0; i < paid; i++) {
+            const rate = _manufPayMinute(ctx, day, i);
+            addLine(d.day, rate, 1, dayType);
+            if (i < ordinaryCap) ordinaryMinutes++;
+            else overtimeMinutes++;
+        }
+        if (d.rdo) notes.push(MANUF_PAY_DAY_LABELS[d.day] + ' was the rostered day off, so the hours worked are paid as ' +
+            (kind === 'day' ? 'overtime' : 'unrelieved shiftwork (cl ' + ot.unrelieved_rdo_clause + ')') + ' and the RDO credit stays banked.');
+
+        // An RDO credit accrues from ordinary hours past the daily average.
+        if (rdo && !d.rdo) {
+            const accrue = Math.max(0, Math.min(paid, ordinaryCap) - Math.round(perDay * 60));
+            if (accrue) {
+                accrualMinutes += accrue;
+                lines.push({ day: d.day, dayType: dayType, label: MANUF_PAY_DAY_LABELS[d.day] + ' — RDO credit held for the rostered day off',
+                    multiplier: 1, rate: ordinaryRate, minutes: accrue, clause: r.rdo.accrual_clause, accrual: true });
+            }
+        }
+    }
+    if (!daysWorked && !rdoPaid) return { ok: false, error: 'Enter the hours worked on at least one day' };
+
+    // Held RDO credit is a deduction from this week's wages.
+    lines.forEach(function(l) {
+        const sign = l.accrual ? -1 : 1;
+        l.hours = sign * _manufPayHours(l.minutes);
+        l.cost = sign * _manufPayCents(l.rate * l.minutes / 60);
+    });
+
+    // Allowances paid on top of wages.
+    const allowances = [];
+    for (const h of held) {
+        const a = h.allowance;
+        if (a.all_purpose) continue;
+        let quantity = h.quantity;
+        if (quantity == null) {
+            if (a.unit === 'per week') quantity = 1;
+            else if (a.unit === 'per hour') quantity = _manufPayHours(workedMinutes);
+            else if (a.unit === 'per day') quantity = daysWorked;
+        }
+        if (quantity == null) {
+            notes.push(a.name + ' (' + a.unit + ') is not priced — enter how many apply.');
+            continue;
+        }
+        allowances.push({ label: a.name, quantity: quantity, unit: a.unit.replace(/^per /, ''), amount: a.amount,
+            cost: _manufPayCents(a.amount * quantity), clause: a.clause || null });
+        notes.push(a.name + ' is not an all-purpose allowance: it is paid on top and does not lift the penalty or overtime rates.');
+    }
+
+    if (shiftType !== 'day') {
+        notes.push('Saturday, Sunday and public holiday rates replace the shift loading rather than adding to it (cl ' +
+            r.shiftworker.saturday_clause + ', 33.2(j)(vi)).');
+    }
+    if (overtimeMinutes) {
+        notes.push('Overtime is a percentage of the ordinary hourly rate and replaces any shift loading; extra rates never combine past ' +
+            _manufPayPercent(maxMultiplier) + ' outside public holidays (cl ' + r.not_cumulative.clause + ').');
+    }
+    const ns = r.non_successive_shifts;
+    if (!week.nonSuccessive && shiftsWorked && shiftsWorked < ns.min_shifts && ['afternoon', 'night'].indexOf(shiftType) !== -1) {
+        notes.push('Only ' + shiftsWorked + ' weekday ' + MANUF_PAY_SHIFT_LABELS[shiftType].toLowerCase() + (shiftsWorked === 1 ? '' : 's') +
+            ' entered: if the run is shorter than ' + ns.min_shifts + ' successive shifts, each is paid ' + _manufPayPercent(ns.first_multiplier) +
+            ' for the first ' + ns.first_hours + ' hours and ' + _manufPayPercent(ns.after_multiplier) + ' after (cl ' + ns.clause + ').');
+    }
+    if (shiftType === 'day' || shiftType === 'rotating') {
+        notes.push("Day work is priced as entered: a day worker's hours outside the 6am–6pm spread are overtime (cl " + r.day_worker.spread_clause + ').');
+    }
+    if (rdo) {
+        notes.push('Under the RDO arrangement each 8-hour day banks ' + _manufPayHours(Math.round(r.rdo.day_hours * 60 - perDay * 60)) +
+            ' of an hour at the ordinary rate; the credit pays the rostered day off (cl ' + r.rdo.accrual_clause + ').');
+    }
+
+    const wages = _manufPayCents(lines.reduce(function(t, l) { return t + l.cost; }, 0));
+    const allowanceCost = _manufPayCents(allowances.reduce(function(t, a) { return t + a.cost; }, 0));
+    return {
+        ok: true,
+        awardCode: rates.ma_number,
+        classification: row.classification,
+        employmentType: type,
+        shiftType: shiftType,
+        baseRate: baseRate,
+        ordinaryRate: ordinaryRate,
+        steps: steps,
+        hourlyRates: manufacturingHourlyRates(ordinaryExact, shiftType, !!week.continuous, rates),
+        lines: lines.map(function(l) { delete l.accrual; return l; }),
+        ordinaryHours: _manufPayHours(ordinaryMinutes),
+        overtimeHours: _manufPayHours(overtimeMinutes),
+        rdoAccrualHours: _manufPayHours(accrualMinutes),
+        allowances: allowances,
+        wagesCost: wages,
+        allowancesCost: allowanceCost,
+        totalCost: _manufPayCents(wages + allowanceCost),
+        notes: notes
+    };
+}
+
+/**
+ * The stacked hourly rates an employee on this shift pattern is paid, each
+ * a percentage of their ordinary hourly rate.
+ * @param {number} ordinaryRate - minimum rate plus all-purpose allowances
+ *   (and casual loading)
+ * @param {string} shiftType - 'day' | 'afternoon' | 'night' |
+ *   'permanent_night' | 'rotating'
+ * @param {boolean} continuous - continuous shiftwork (cl 17.3)
+ * @param {Object} rates - the MA000010 rates JSON
+ * @returns {Object[]} [{ label, multiplier, rate, clause }]
+ */
+function manufacturingHourlyRates(ordinaryRate, shiftType, continuous, rates) {
+    const r = rates.shift_pay_rules;
+    const pr = rates.penalty_rates;
+    const ot = r.overtime;
+    const out = [];
+    const add = function(label, multiplier, clause) {
+        if (_manufPayNum(multiplier) != null) out.push({ label: label, multiplier: multiplier, rate: _manufPayCents(ordinaryRate * multiplier), clause: clause });
+    };
+    const shift = shiftType !== 'day';
+    add('Ordinary hours', 1, r.ordinary_hours.clause);
+    if (shiftType === 'afternoon' || shiftType === 'rotating') add('Afternoon shift', 1 + pr.afternoon_shift_loading, r.shift_loadings.afternoon.clause);
+    if (shiftType === 'night' || shiftType === 'rotating') add('Night shift', 1 + pr.night_shift_loading, r.shift_loadings.night.clause);
+    if (shiftType === 'permanent_night') add('Permanent night shift', 1 + pr.permanent_night_shift_loading, r.shift_loadings.permanent_night.clause);
+    add('Saturday', pr.saturday, shift ? r.shiftworker.saturday_clause : r.day_worker.weekend_ordinary_clause + '(i)');
+    add('Sunday', pr.sunday, shift ? r.shiftworker.sunday_clause : r.day_worker.weekend_ordinary_clause + '(ii)');
+    if (shift && continuous) add('Public holiday', r.shiftworker.continuous_public_holiday_multiplier, r.shiftworker.continuous_public_holiday_clause);
+    else add('Public holiday', pr.public_holiday, shift ? r.shiftworker.public_holiday_clause : r.day_worker.public_holiday_clause);
+    if (shift && continuous) {
+        add('Overtime', ot.continuous_multiplier, ot.continuous_clause);
+    } else {
+        add('Overtime — first ' + ot.first_hours + ' hours', pr.overtime_first_3hrs, ot.clause);
+        add('Overtime — after ' + ot.first_hours + ' hours', pr.overtime_after_3hrs, ot.clause);
+    }
+    add('Sunday overtime', pr.sunday_overtime, ot.sunday_clause);
+    return out;
+}
+
+// ---- Validation --------------------------------------------------------------
+
+/**
+ * Problems with a table's shift_pay_rules block and all-purpose allowances:
+ * penalty_rates keys it relies on and missing numeric settings.
+ * @param {Object} rates - a rates table
+ * @returns {string[]} human-readable problems; empty when valid (or absent)
+ */
+function shiftPayRuleProblems(rates) {
+    const problems = [];
+    const r = rates && rates.shift_pay_rules;
+    if (r === undefined || !rates) return problems;
+    if (!r || typeof r !== 'object') return ['shift_pay_rules must be an object'];
+    const num = function(at, v) { if (!(_manufPayNum(v) > 0)) problems.push('shift_pay_rules.' + at + ' must be a positive number'); };
+    const pr = rates.penalty_rates || {};
+    ['saturday', 'sunday', 'public_holiday', 'overtime_first_3hrs', 'overtime_after_3hrs', 'sunday_overtime'].forEach(function(k) {
+        if (_manufPayNum(pr[k]) == null) problems.push('shift_pay_rules needs penalty_rates.' + k);
+    });
+    Object.keys(r.shift_loadings || {}).forEach(function(k) {
+        const key = r.shift_loadings[k].loading;
+        if (_manufPayNum(pr[key]) == null) problems.push('shift_pay_rules.shift_loadings.' + k + ' names penalty_rates.' + key + ' which is not a number');
+    });
+    ['afternoon', 'night', 'permanent_night'].forEach(function(k) {
+        if (!(r.shift_loadings || {})[k]) problems.push('shift_pay_rules.shift_loadings.' + k + ' is missing');
+    });
+    num('ordinary_hours.days_per_week', (r.ordinary_hours || {}).days_per_week);
+    num('rdo.day_hours', (r.rdo || {}).day_hours);
+    const ns = r.non_successive_shifts || {};
+    num('non_successive_shifts.min_shifts', ns.min_shifts);
+    num('non_successive_shifts.first_multiplier', ns.first_multiplier);
+    num('non_successive_shifts.after_multiplier', ns.after_multiplier);
+    const ot = r.overtime || {};
+    num('overtime.first_hours', ot.first_hours);
+    num('overtime.continuous_multiplier', ot.continuous_multiplier);
+    num('overtime.unrelieved_rdo_multiplier', ot.unrelieved_rdo_multiplier);
+    num('shiftworker.continuous_public_holiday_multiplier', (r.shiftworker || {}).continuous_public_holiday_multiplier);
+    num('day_worker.public_holiday_minimum_hours', (r.day_worker || {}).public_holiday_minimum_hours);
+    num('not_cumulative.max_multiplier', (r.not_cumulative || {}).max_multiplier);
+    if (!(_manufPayNum(rates.weekly_hours) > 0)) problems.push('shift_pay_rules needs a positive weekly_hours');
+    (rates.allowances || []).forEach(function(a, i) {
+        if (a.all_purpose && (a.unit !== 'per hour' || _manufPayNum(a.amount) == null)) {
+            problems.push('allowances[' + i + '] is all_purpose but not an hourly amount');
+        }
+    });
+    return problems;
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.costManufacturingWeek = costManufacturingWeek;
+    window.manufacturingHourlyRates = manufacturingHourlyRates;
+    window.shiftPayRuleProblems = shiftPayRuleProblems;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { costManufacturingWeek, manufacturingHourlyRates, shiftPayRuleProblems };
+}
@@ -0,0 +1,245 @@
+// ============================================================================
+// PII REDACTION — personal details out before a prompt leaves for the model
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// Managers paste employee names, TFNs, Medicare numbers, bank details, phone
+// numbers, addresses and dates of birth into chat. The AI functions run every
+// prompt through a redactor first: each detail is swapped for a placeholder
+// ([PERSON_1], [TFN_1], [ADDRESS_2]...) and the placeholders in the answer are
+// swapped back before it goes to the browser. The mapping lives only in the
+// function for the one request — it is never sent to the model, logged or
+// stored — and the same detail always gets the same placeholder, so the model
+// can still follow who is who.
+//
+// Detected:
+//   TFN            9 digits passing the ATO check digit, or any number after "TFN"
+//   MEDICARE       10 (or 11 with IRN) digits passing the Medicare check digit
+//   BSB / ACCOUNT  after "BSB" / "account number"
+//   PHONE          Australian mobile and landline numbers
+//   EMAIL
+//   ADDRESS        "12 Smith St", optionally with unit, suburb, state, postcode
+//   DOB            a date after "DOB", "date of birth" or "born"
+//   PERSON         names introduced earlier in the conversation ("my cook Sam
+//                  Lee", "employee called Priya", "Mr Nguyen") or remembered in
+//                  the conversation memory; a first name alone maps to the
+//                  same placeholder as the full name
+//
+// Required by netlify/functions/chat.js, netlify/functions/recruitment-ai.js
+// and tests/pii-redaction.test.js.
+// ============================================================================
+
+const PII_KINDS = ['PERSON', 'TFN', 'MEDICARE', 'BSB', 'ACCOUNT', 'PHONE', 'EMAIL', 'ADDRESS', 'DOB'];
+const PII_PLACEHOLDER = /\[(PERSON|TFN|MEDICARE|BSB|ACCOUNT|PHONE|EMAIL|ADDRESS|DOB)_(\d+)\]/g;
+
+// Told to the model whenever anything was redacted.
+const PII_PROMPT_NOTE = 'PRIVACY: personal details in this conversation have been replaced with placeholders such as [PERSON_1], [TFN_1] or [ADDRESS_1]. The same placeholder always means the same person or detail. Use the placeholders exactly as written wherever you would use the detail (the user sees the real values). Do not ask the user to repeat or reveal the hidden details.';
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+const STREET_TYPES = 'Street|St|Road|Rd|Avenue|Ave|Drive|Dr|Court|Ct|Place|Pl|Crescent|Cres|Lane|Ln|Parade|Pde|Terrace|Tce|Way|Close|Boulevard|Blvd|Highway|Hwy|Circuit|Cct|Grove|Square|Sq';
+const STATES = 'NSW|VIC|QLD|SA|WA|TAS|NT|ACT';
+
+// Detectors, most specific first. Each finds candidates; check (if any) must
+// pass for the match to count. group is the capture holding the detail (the
+// rest — "TFN:", "born" — stays in the text).
+const PII_DETECTORS = [
+    { kind: 'EMAIL', re: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    { kind: 'TFN', re: /\b(?:TFN|tax file (?:number|no\.?))[\s:#]*(\d(?:[ -]?\d){7,8})\b/gi, group: 1 },
+    { kind: 'BSB', re: /\bBSB[\s:#]*(\d{3}[ -]?\d{3})\b/gi, group: 1 },
+    { kind: 'ACCOUNT', re: /\b(?:account|acct|a\/c)(?:\s*(?:number|no\.?|#))?[\s:#]*(\d(?:[ -]?\d){5,9})\b/gi, group: 1 },
+    { kind: 'DOB', re: new RegExp('\\b(?:DOB|D\\.O\\.B\\.?|date of birth|born(?: on)?)[\\s:]*(\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:' + MONTHS + ')\\s+\\d{4})', 'gi'), group: 1 },
+    { kind: 'PHONE', re: /(?:\+61[ -]?|\b0)4\d{2}[ -]?\d{3}[ -]?\d{3}\b/g },
+    { kind: 'PHONE', re: /(?:\+61[ -]?\(?|\(0|\b0)[2378]\)?[ -]?\d{4}[ -]?\d{4}\b/g },
+    { kind: 'MEDICARE', re: /\b[2-6]\d{3}[ -]?\d{5}[ -]?\d(?:[ -]?[1-9])?\b/g, check: _piiMedicareValid },
+    { kind: 'TFN', re: /\b\d{3}[ -]?\d{3}[ -]?\d{3}\b/g, check: _piiTfnValid },
+    { kind: 'ADDRESS', re: new RegExp('\\b(?:(?:Unit|Apt|Apartment|Flat|Shop|Suite)\\s*\\d+[A-Za-z]?,?\\s+)?\\d{1,5}[A-Za-z]?(?:/\\d{1,5}[A-Za-z]?)?\\s+(?:[A-Z][a-z]+\\s+){1,3}(?:' + STREET_TYPES + ')\\b\\.?' +
+        '(?:,?\\s+[A-Z][A-Za-z]+(?:\\s+[A-Z][A-Za-z]+){0,2},?\\s+(?:' + STATES + ')\\b(?:\\s+\\d{4}\\b)?)?', 'g') }
+];
+
+// Words that introduce a person's name, and capitalised words that follow
+// them without being names.
+const PII_NAME_CUE = /\b(?:employee|staff member|team member|worker|apprentice|trainee|cook|chef|waiter|waitress|barista|bartender|manager|supervisor|carer|support worker|nurse|cleaner|educator|candidate|applicant|named|called|name is|name's|mr|mrs|ms|miss|dr)\.?,?\s+/gi;
+const PII_NAME = /^([A-Z](?=[A-Za-z'’-]*[a-z])[A-Za-z'’-]+)(?:\s+([A-Z](?=[A-Za-z'’-]*[a-z])[A-Za-z'’-]+))?/;
+const PII_NOT_NAMES = new Set((
+    'I A An The This That These Those It He She They We You Who What When Where Why How My Our Your His Her Their ' +
+    'Level Grade Stage Year Award Act Fair Work Works Commission Ombudsman Modern National Employment Standards ' +
+    'Monday Tuesday Wednesday Thursday Friday Saturday Sunday January February March April May June July August ' +
+    'September October November December Public Holiday Christmas Easter Anzac Australia Australian ' +
+    'Full Part Casual Permanent Fixed Term Head Sous Chef Cook Manager Supervisor Team Staff Employee Introductory ' +
+    'Food Beverage Kitchen Front House Bar Floor Duty Shift Night Day Leave Annual Personal Sick Carer Carers ' +
+    'Hospitality Restaurant Manufacturing Retail Health Children Services Industry General Fitz HR Is Was Has Had'
+).split(' '));
+
+// ATO TFN check digit: weights 1,4,3,7,5,8,6,9,10; sum divisible by 11.
+function _piiTfnValid(match) {
+    const d = match.replace(/\D/g, '');
+    if (d.length !== 9) return false;
+    const w = [1, 4, 3, 7, 5, 8, 6, 9, 10];
+    let sum = 0;
+    for (let i = 0; i < 9; i++) sum += Number(d[i]) * w[i];
+    return sum % 11 === 0;
+}
+
+// Medicare check digit: digit 9 = (weights 1,3,7,9,1,3,7,9 over digits 1-8) mod 10.
+function _piiMedicareValid(match) {
+    const d = match.replace(/\D/g, '');
+    if (d.length !== 10 && d.length !== 11) return false;
+    const w = [1, 3, 7, 9, 1, 3, 7, 9];
+    let sum = 0;
+    for (let i = 0; i < 8; i++) sum += Number(d[i]) * w[i];
+    return sum % 10 === Number(d[8]);
+}
+
+function _piiEscape(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A redactor for one request. Feed it the whole conversation with
+ * learnNames() first so a name typed three turns ago is caught in this one.
+ * @returns {{learnNames, redact, rehydrate, streamRehydrator, counts, size}}
+ */
+function createPiiRedactor() {
+    const byValue = {};          // kind + ':' + normalised value -> placeholder
+    const byPlaceholder = {};    // placeholder -> display value
+    const next = {};
+    const names = [];            // { text, placeholder }, longest text first
+
+    function placeholderFor(kind, value, display) {
+        const key = kind + ':' + value;
+        if (!byValue[key]) {
+            next[kind] = (next[kind] || 0) + 1;
+            byValue[key] = '[' + kind + '_' + next[kind] + ']';
+            byPlaceholder[byValue[key]] = display;
+        }
+        return byValue[key];
+    }
+
+    function candidate(first, last) {
+        first = first && first.replace(/['’]s$/, '');
+        last = last && last.replace(/['’]s$/, '');
+        if (!first || first.length < 2 || PII_NOT_NAMES.has(first)) return null;
+        return { first: first, last: last && !PII_NOT_NAMES.has(last) ? last : null };
+    }
+
+    /**
+     * Learns the people named in the conversation.
+     * @param {string[]} texts - every message in the request
+     * @param {string[]} [parties] - conversation memory "people" lines ("Priya Shah — part-time cook")
+     */
+    function learnNames(texts, parties) {
+        const found = [];
+        (parties || []).forEach(function (line) {
+            const m = PII_NAME.exec(String(line || ''));
+            if (m && /^\s*(?:[—–(,:-]|$)/.test(String(line).slice(m[0].length))) found.push(candidate(m[1], m[2]));
+        });
+        (texts || []).forEach(function (text) {
+            text = String(text || '');
+            let cue;
+            PII_NAME_CUE.lastIndex = 0;
+            while ((cue = PII_NAME_CUE.exec(text)) !== null) {
+                const m = PII_NAME.exec(text.slice(cue.index + cue[0].length));
+                if (m) found.push(candidate(m[1], m[2]));
+            }
+        });
+        // Full names first: a first or last name on its own then matches the
+        // full name's entry and shares its placeholder.
+        found.filter(Boolean).sort(function (a, b) { return (b.last ? 1 : 0) - (a.last ? 1 : 0); }).forEach(function (c) {
+            const full = c.last ? c.first + ' ' + c.last : c.first;
+            if (names.some(function (n) { return n.text === full; })) return;
+            const placeholder = placeholderFor('PERSON', full.toLowerCase(), full);
+            names.push({ text: full, placeholder: placeholder });
+            if (c.last) {
+                [c.first, c.last].forEach(function (part) {
+                    if (!names.some(function (n) { return n.text === part; })) names.push({ text: part, placeholder: placeholder });
+                });
+            }
+        });
+        // Longest first, so "Sam Lee" is replaced before "Sam".
+        names.sort(function (a, b) { return b.text.length - a.text.length; });
+    }
+
+    /**
+     * The text with every detected detail replaced by its placeholder.
+     * @param {string} text
+     * @returns {string}
+     */
+    function redact(text) {
+        if (typeof text !== 'string' || !text) return text;
+        let out = text;
+        PII_DETECTORS.forEach(function (d) {
+            out = out.replace(d.re, function (match) {
+                const groupIdx = d.group || 0;
+                const detail = arguments[groupIdx];
+                if (!detail || (d.check && !d.check(detail))) return match;
+                let value = d.kind === 'EMAIL' || d.kind === 'ADDRESS' ? detail.toLowerCase() : detail.replace(/\D/g, '');
+                if (d.kind === 'PHONE') value = value.replace(/^61/, '0');
+                const placeholder = placeholderFor(d.kind, value, detail);
+                return groupIdx ? match.replace(detail, placeholder) : placeholder;
+            });
+        });
+        names.forEach(function (n) {
+            out = out.replace(new RegExp('(^|[^A-Za-z\\[_])' + _piiEscape(n.text) + '(?![A-Za-z])', 'g'), function (m, pre) {
+                return pre + n.placeholder;
+            });
+        });
+        return out;
+    }
+
+    /**
+     * The text with every placeholder this redactor issued put back.
+     * @param {string} text
+     * @returns {string}
+     */
+    function rehydrate(text) {
+        if (typeof text !== 'string' || !text) return text;
+        return text.replace(PII_PLACEHOLDER, function (m) {
+            return Object.prototype.hasOwnProperty.call(byPlaceholder, m) ? byPlaceholder[m] : m;
+        });
+    }
+
+    /**
+     * Rehydrates a streamed answer piece by piece. A placeholder split across
+     * two pieces ("[PERS" + "ON_1]") is held back until it is complete.
+     * @returns {{push: function(string): string, flush: function(): string}}
+     */
+    function streamRehydrator() {
+        let held = '';
+        return {
+            push: function (piece) {
+                held += piece;
+                const open = held.lastIndexOf('[');
+                const cut = open !== -1 && held.indexOf(']', open) === -1 && held.length - open < 16 ? open : held.length;
+                const out = held.slice(0, cut);
+                held = held.slice(cut);
+                return rehydrate(out);
+            },
+            flush: function () {
+                const out = held;
+                held = '';
+                return rehydrate(out);
+            }
+        };
+    }
+
+    /**
+     * How many distinct details of each kind were redacted (for logs).
+     * @returns {Object} e.g. { PERSON: 2, TFN: 1 }
+     */
+    function counts() {
+        return Object.assign({}, next);
+    }
+
+    return {
+        learnNames: learnNames,
+        redact: redact,
+        rehydrate: rehydrate,
+        streamRehydrator: streamRehydrator,
+        counts: counts,
+        size: function () { return Object.keys(byPlaceholder).length; }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PII_KINDS, PII_PROMPT_NOTE, createPiiRedactor };
+}
@@ -0,0 +1,162 @@
+// ============================================================================
+// PROMPT QUOTA — the free tier's chat prompt allowance
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// A free account gets FREE_MONTHLY_PROMPTS chat prompts per 30-day cycle, plus
+// any top-up prompts bought during the cycle (credits.bonusPrompts, added by
+// stripe-webhook.js). Cycles run from the account's createdAt anniversary (or,
+// for an account with no createdAt, 30 days from the last reset); when a new
+// cycle starts the count goes back to zero and unused top-ups expire. Paid
+// tiers are unlimited and nothing is counted for them.
+//
+// Only chat-screen sends spend a prompt, as when the app counted them itself;
+// generated documents and the Fitz Watch gap chat go through the same function
+// for free. Each request names its kind and promptRequestKind() checks the
+// body fits it, so a free kind cannot carry a chat-screen conversation: a
+// document sends no message at all, only its template's fields (chat.js builds
+// the prompt from js/document-prompts.js), and chat.js grounds a gap chat on
+// the registry rule its gapId names, refusing an id that is not one.
+//
+// The chat function is the only thing that charges a prompt: it verifies the
+// caller's Firebase ID token and runs chargePrompt() against users/{uid}
+// inside a Firestore transaction, so two tabs cannot spend the same prompt and
+// editing localStorage or the user doc from the browser buys nothing
+// (firestore.rules keeps the counters, tier and createdAt server-side, and
+// refuses a self-delete that would let the doc be re-created from zero). The
+// app calls promptQuotaState() only to show the balance.
+//
+// Required by netlify/functions/chat.js and tests/prompt-quota.test.js; loaded
+// by app.html for the credits display.
+// ============================================================================
+
+// Keep in step with CONFIG.CREDITS.FREE_TIER.MONTHLY_PROMPTS in app-main.js.
+const FREE_MONTHLY_PROMPTS = 20;
+const PROMPT_CYCLE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Request kinds the chat function accepts, and whether each spends a prompt.
+// A request without a kind is a chat send.
+const PROMPT_REQUEST_KINDS = { chat: true, document: false, fitz_watch_gap: false };
+
+// The gap chat sends at most its last 10 turns (fitzWatchChatSendFollowup).
+const FITZ_WATCH_CHAT_MAX_HISTORY = 10;
+
+// Milliseconds for a Firestore Timestamp, Date, ISO string or number; null if
+// the value is missing or unreadable.
+function _quotaMs(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (typeof value.toDate === 'function') return value.toDate().getTime();
+    const ms = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+    return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Where an account stands in its prompt allowance right now, rolling over to
+ * a new cycle if one has started since the last reset.
+ * @param {Object} credits - users/{uid}.credits
+ * @param {*} createdAt - users/{uid}.createdAt (Timestamp, Date or ISO string)
+ * @param {Date|number} [now]
+ * @returns {{tier, unlimited, used, bonus, limit, remaining, newCycle, resetsAt}}
+ *   remaining is null for unlimited tiers; newCycle means the stored counters
+ *   are from an earlier cycle and the figures here are after the reset.
+ */
+function promptQuotaState(credits, createdAt, now) {
+    credits = credits || {};
+    const nowMs = _quotaMs(now === undefined ? Date.now() : now);
+    const tier = credits.subscriptionTier || credits.tier || 'free';
+    const created = _quotaMs(createdAt);
+    const lastReset = _quotaMs(credits.monthlyPromptsReset);
+
+    let newCycle, cycleStart;
+    if (created !== null && created <= nowMs) {
+        cycleStart = created + Math.floor((nowMs - created) / PROMPT_CYCLE_MS) * PROMPT_CYCLE_MS;
+        newCycle = lastReset === null || lastReset < cycleStart;
+    } else if (lastReset !== null) {
+        newCycle = nowMs - lastReset >= PROMPT_CYCLE_MS;
+        cycleStart = newCycle ? nowMs : lastReset;
+    } else {
+        newCycle = true;
+        cycleStart = nowMs;
+    }
+
+    const used = newCycle ? 0 : Math.max(0, Number(credits.monthlyPromptsUsed) || 0);
+    const bonus = newCycle ? 0 : Math.max(0, Number(credits.bonusPrompts) || 0);
+    const limit = FREE_MONTHLY_PROMPTS + bonus;
+    const unlimited = tier !== 'free';
+    return {
+        tier: tier,
+        unlimited: unlimited,
+        used: used,
+        bonus: bonus,
+        limit: limit,
+        remaining: unlimited ? null : Math.max(0, limit - used),
+        newCycle: newCycle,
+        resetsAt: new Date(cycleStart + PROMPT_CYCLE_MS).toISOString()
+    };
+}
+
+/**
+ * Charges one chat prompt.
+ * @param {Object} credits - users/{uid}.credits, read inside the transaction
+ * @param {*} createdAt - users/{uid}.createdAt
+ * @param {Date|number} [now]
+ * @returns {{allowed: boolean, quota: Object, update: Object|null}}
+ *   quota is promptQuotaState() after the charge (before it, when refused);
+ *   update holds the credits fields to write, or null when there is nothing to
+ *   write (unlimited tier, or refused).
+ */
+function chargePrompt(credits, createdAt, now) {
+    const nowMs = _quotaMs(now === undefined ? Date.now() : now);
+    const state = promptQuotaState(credits, createdAt, nowMs);
+    if (state.unlimited) return { allowed: true, quota: state, update: null };
+    if (state.remaining <= 0) return { allowed: false, quota: state, update: null };
+
+    const update = { monthlyPromptsUsed: state.used + 1 };
+    if (state.newCycle) {
+        update.bonusPrompts = 0;
+        update.monthlyPromptsReset = new Date(nowMs).toISOString();
+    }
+    return {
+        allowed: true,
+        quota: Object.assign({}, state, { used: state.used + 1, remaining: state.remaining - 1, newCycle: false }),
+        update: update
+    };
+}
+
+/**
+ * The kind of a chat-function request, checked against the body so a free
+ * kind is only accepted in the shape its caller sends: a document is a
+ * document type and its fields with no message or conversation, and a gap
+ * chat names the Fitz Watch gap it is about and carries no more than its own
+ * short history.
+ * @param {Object} body - the parsed request body
+ * @returns {{kind: string, charged: boolean}|null} null when the kind is
+ *   unknown or the body does not fit it
+ */
+function promptRequestKind(body) {
+    body = body || {};
+    const kind = body.kind === undefined || body.kind === null ? 'chat' : body.kind;
+    if (typeof kind !== 'string' || !Object.prototype.hasOwnProperty.call(PROMPT_REQUEST_KINDS, kind)) return null;
+    const history = Array.isArray(body.history) ? body.history : [];
+    if (kind === 'document') {
+        if (typeof body.documentType !== 'string' || !body.documentType || !body.fields || typeof body.fields !== 'object') return null;
+        if (body.message !== undefined || history.length || body.memory || body.venueContext || body.gapContext) return null;
+    } else if (kind === 'fitz_watch_gap') {
+        if (!body.gapContext || typeof body.gapContext.gapId !== 'string' || !body.gapContext.gapId) return null;
+        if (body.memory || history.length > FITZ_WATCH_CHAT_MAX_HISTORY) return null;
+    }
+    return { kind: kind, charged: PROMPT_REQUEST_KINDS[kind] };
+}
+
+// ---- Expose to window for the app and devtools testing ---------------------
+
+if (typeof window !== 'undefined') {
+    window.FREE_MONTHLY_PROMPTS = FREE_MONTHLY_PROMPTS;
+    window.promptQuotaState = promptQuotaState;
+    window.chargePrompt = chargePrompt;
+    window.promptRequestKind = promptRequestKind;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FREE_MONTHLY_PROMPTS, PROMPT_CYCLE_MS, PROMPT_REQUEST_KINDS, promptQuotaState, chargePrompt, promptRequestKind };
+}
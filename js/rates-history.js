@@ -0,0 +1,120 @@
+// ============================================================================
+// RATES HISTORY — which award rate table was in force on a given date
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// Each *-award-rates.json is the CURRENT rate table (effective_date ..
+// next_review_date) plus a previous_versions[] array holding the tables it
+// replaced — complete snapshots with the same schema, newest first. At each
+// annual wage review the outgoing table is archived into previous_versions
+// (see docs/maintenance-pipeline.md §1), so "what should I have paid in March"
+// is priced at March's rates rather than today's.
+//
+// ratesVersionAsAt(file, ymd) returns the version in force on that date, or
+// null when the date is before the earliest version held — callers report
+// that rather than price at rates that were not in force. The current version
+// stays in force after its next_review_date until a newer one is published.
+//
+// Loaded as a browser script (app-main.js wiring) and required by the chat
+// function and scripts/validate-rates.mjs, so all three read the same rules.
+// ============================================================================
+
+const RATES_HISTORY_ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function _ratesHistoryIsDate(s) {
+    return typeof s === 'string' && RATES_HISTORY_ISO_DATE.test(s) && !isNaN(new Date(s));
+}
+
+/**
+ * Every version held in a rates file, oldest first. The file itself is the
+ * latest version; previous_versions[] (newest first) holds the rest.
+ * @param {Object} file - parsed *-award-rates.json
+ * @returns {Object[]}
+ */
+function ratesVersions(file) {
+    if (!file) return [];
+    const previous = Array.isArray(file.previous_versions) ? file.previous_versions.slice().reverse() : [];
+    return previous.concat([file]);
+}
+
+/**
+ * The earliest date any held version covers — where "what should I have paid"
+ * lookups stop. For a file with nothing archived it is the current table's
+ * effective_date.
+ * @param {Object} file - parsed *-award-rates.json
+ * @returns {string|null} 'YYYY-MM-DD', or null when no version is held
+ */
+function ratesHeldFrom(file) {
+    const oldest = ratesVersions(file)[0];
+    return oldest && _ratesHistoryIsDate(oldest.effective_date) ? oldest.effective_date : null;
+}
+
+/**
+ * The rate table in force on a date.
+ * @param {Object} file - parsed *-award-rates.json
+ * @param {string} ymd - 'YYYY-MM-DD'
+ * @returns {Object|null} the version whose effective_date is the latest on or
+ *   before ymd (the file itself when that is the current version), or null
+ *   when no version held was in force on that date
+ */
+function ratesVersionAsAt(file, ymd) {
+    if (!file || !_ratesHistoryIsDate(ymd)) return null;
+    const versions = ratesVersions(file);
+    for (let i = versions.length - 1; i >= 0; i--) {
+        const v = versions[i];
+        if (v && (!v.effective_date || v.effective_date <= ymd)) return v;
+    }
+    return null;
+}
+
+/**
+ * Problems with a file's version history: versions out of order, a version for
+ * a different award, and consecutive versions that overlap or leave a gap (an
+ * older version's next_review_date must be exactly the next version's
+ * effective_date). Each version's own fields are checked by validate-rates.
+ * @param {Object} file - parsed *-award-rates.json
+ * @returns {string[]} human-readable problems; empty when the history is valid
+ */
+function ratesVersionProblems(file) {
+    const problems = [];
+    if (!file) return problems;
+    if (file.previous_versions !== undefined && !Array.isArray(file.previous_versions)) {
+        problems.push('previous_versions must be an array');
+        return problems;
+    }
+    const label = (i) => (i === 0 ? 'current version' : 'previous_versions[' + (i - 1) + ']');
+    // Newest first, matching the order they are stored in.
+    const versions = [file].concat(file.previous_versions || []);
+    versions.forEach(function(v, i) {
+        if (!v || typeof v !== 'object') { problems.push(label(i) + ' is not an object'); return; }
+        if (i > 0 && v.previous_versions !== undefined) problems.push(label(i) + ' must not carry its own previous_versions');
+        if (i > 0 && v.ma_number !== file.ma_number) problems.push(label(i) + ' ma_number "' + v.ma_number + '" != ' + file.ma_number);
+    });
+    for (let i = 1; i < versions.length; i++) {
+        const newer = versions[i - 1], older = versions[i];
+        if (!newer || !older || !_ratesHistoryIsDate(newer.effective_date) || !_ratesHistoryIsDate(older.effective_date)) continue;
+        if (older.effective_date >= newer.effective_date) {
+            problems.push(label(i) + ' (effective ' + older.effective_date + ') must be older than ' + label(i - 1) + ' (effective ' + newer.effective_date + ') — previous_versions is newest first');
+            continue;
+        }
+        if (!_ratesHistoryIsDate(older.next_review_date)) continue;
+        if (older.next_review_date < newer.effective_date) {
+            problems.push('gap: no rates held from ' + older.next_review_date + ' until ' + newer.effective_date + ' (' + label(i) + ' ends before ' + label(i - 1) + ' starts)');
+        } else if (older.next_review_date > newer.effective_date) {
+            problems.push('overlap: ' + label(i) + ' runs to ' + older.next_review_date + ' but ' + label(i - 1) + ' is effective from ' + newer.effective_date);
+        }
+    }
+    return problems;
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.ratesVersions = ratesVersions;
+    window.ratesHeldFrom = ratesHeldFrom;
+    window.ratesVersionAsAt = ratesVersionAsAt;
+    window.ratesVersionProblems = ratesVersionProblems;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ratesVersions, ratesHeldFrom, ratesVersionAsAt, ratesVersionProblems };
+}
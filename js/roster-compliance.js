@@ -0,0 +1,516 @@
+// ============================================================================
+// ROSTER COMPLIANCE — award rules engine for the Roster Stress Tester
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// normaliseRosterRows(rows) turns spreadsheet rows (sheet_to_json output) into
+// shift records, including the hourly rate paid where the export has one.
+// evaluateRoster(shifts, rates) checks those shifts against the
+// resolved award's rates JSON — minimum engagement, meal breaks, breaks between
+// shifts, consecutive days / days off, maximum ordinary hours and span of hours
+// — and returns { findings, checked, notChecked, summary }.
+//
+// Every finding cites the award clause it was assessed against (from the rates
+// JSON's roster_rules / minimum_engagement blocks) and the source row numbers
+// of the shifts involved. A file whose clause references are not yet confirmed
+// (roster_rules.clauses_unconfirmed) carries none, and its findings have no
+// citation rather than an unchecked one. A check whose data the award file does not carry is
+// reported in notChecked — it is never silently passed.
+// ============================================================================
+
+// ---- Constants -------------------------------------------------------------
+
+const ROSTER_SEVERITY_ORDER = ['low', 'medium', 'high'];
+
+// Header aliases, lower-cased with punctuation collapsed to single spaces.
+// First match wins, so the more specific aliases come first.
+const ROSTER_COLUMN_ALIASES = {
+    employee:       ['employee name', 'employee', 'staff member', 'staff name', 'staff', 'team member', 'name', 'worker'],
+    date:           ['shift date', 'roster date', 'date', 'day'],
+    start:          ['start time', 'shift start', 'start', 'time in', 'clock in', 'from'],
+    end:            ['end time', 'finish time', 'shift end', 'finish', 'end', 'time out', 'clock out', 'to'],
+    breakMinutes:   ['unpaid break mins', 'unpaid break', 'meal break mins', 'meal break', 'break mins', 'break minutes', 'breaks', 'break'],
+    breakStart:     ['break start', 'meal break start', 'break time'],
+    employmentType: ['employment type', 'employment status', 'emp type', 'employment', 'type'],
+    classification: ['classification', 'award level', 'award classification', 'level', 'grade', 'position', 'role'],
+    stream:         ['stream'],
+    ratePaid:       ['rate paid', 'hourly rate paid', 'pay rate', 'hourly rate', 'base rate', 'rate per hour', 'rate']
+};
+
+// Days-of-week keys used by roster_rules.span_of_hours.days (Sunday = 0).
+const ROSTER_DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Advisory threshold when the award itself sets no consecutive-days rule.
+// Flagged as low severity and labelled as WHS fatigue guidance, not a breach.
+const ROSTER_FATIGUE_CONSECUTIVE_DAYS = 6;
+
+// ---- Parsing helpers -------------------------------------------------------
+
+function _rosterHeaderKey(h) {
+    return String(h || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Map each canonical field to the spreadsheet header that supplies it.
+// `aliasTable` defaults to the roster columns; other importers pass their own.
+function detectRosterColumns(headers, aliasTable) {
+    const table = aliasTable || ROSTER_COLUMN_ALIASES;
+    const keyed = (headers || []).map(function(h) { return { raw: h, key: _rosterHeaderKey(h) }; });
+    const used = new Set();
+    const columns = {};
+    Object.keys(table).forEach(function(field) {
+        const aliases = table[field];
+        for (let i = 0; i < aliases.length; i++) {
+            const hit = keyed.find(function(h) { return !used.has(h.raw) && h.key === aliases[i]; });
+            if (hit) { columns[field] = hit.raw; used.add(hit.raw); return; }
+        }
+    });
+    return columns;
+}
+
+// 'YYYY-MM-DD' from an ISO string, an Australian D/M/Y string, an Excel date
+// serial or a Date. Returns null when the value cannot be read as a date.
+function parseRosterDate(value) {
+    if (value == null || value === '') return null;
+    if (value instanceof Date && !isNaN(value)) {
+        return value.getFullYear() + '-' + _pad2(value.getMonth() + 1) + '-' + _pad2(value.getDate());
+    }
+    if (typeof value === 'number' && value > 20000 && value < 80000) {
+        // Excel serial: day 25569 is 1970-01-01 (the 1900 leap-year bug is baked in).
+        const d = new Date(Math.round((value - 25569) * 86400000));
+        return d.getUTCFullYear() + '-' + _pad2(d.getUTCMonth() + 1) + '-' + _pad2(d.getUTCDate());
+    }
+    const s = String(value).trim();
+    let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (m) return _validYmd(+m[1], +m[2], +m[3]);
+    m = s.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})$/);
+    if (m) {
+        const y = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+        return _validYmd(y, +m[2], +m[1]);
+    }
+    return null;
+}
+
+function _pad2(n) { return (n < 10 ? '0' : '') + n; }
+
+function _validYmd(y, mo, d) {
+    const dt = new Date(Date.UTC(y, mo - 1, d));
+    if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== mo - 1 || dt.getUTCDate() !== d) return null;
+    return y + '-' + _pad2(mo) + '-' + _pad2(d);
+}
+
+// Minutes after midnight from '17:30', '5:30 pm', '1730', an Excel time
+// fraction (0.729…) or a Date. Returns null when unreadable.
+function parseRosterTime(value) {
+    if (value == null || value === '') return null;
+    if (value instanceof Date && !isNaN(value)) return value.getHours() * 60 + value.getMinutes();
+    if (typeof value === 'number') {
+        // Excel time fraction, or the time part of a date-time serial.
+        if (value >= 0 && value < 80000) return Math.round((value % 1) * 1440) % 1440;
+        return null;
+    }
+    const s = String(value).trim().toLowerCase();
+    let m = s.match(/^(\d{1,2})(?:[:.](\d{2}))?(?::\d{2})?\s*(am|pm|a|p)?$/);
+    if (!m) {
+        m = s.match(/^(\d{2})(\d{2})$/);
+        if (!m) return null;
+    }
+    let h = +m[1];
+    const min = m[2] ? +m[2] : 0;
+    const suffix = m[3];
+    if (suffix) {
+        if (h < 1 || h > 12) return null;
+        if (suffix[0] === 'p' && h !== 12) h += 12;
+        if (suffix[0] === 'a' && h === 12) h = 0;
+    }
+    if (h > 24 || min > 59) return null;
+    return (h * 60 + min) % 1440;
+}
+
+// Break length in minutes. Bare numbers up to 3 are read as hours ("0.5"),
+// larger numbers as minutes ("30"); '0:30' and '30 min' are also accepted.
+function parseBreakMinutes(value) {
+    if (value == null || value === '') return 0;
+    if (typeof value === 'number') return value <= 3 ? Math.round(value * 60) : Math.round(value);
+    const s = String(value).trim().toLowerCase();
+    let m = s.match(/^(\d+):(\d{2})$/);
+    if (m) return +m[1] * 60 + +m[2];
+    m = s.match(/^(\d+(?:\.\d+)?)\s*(h|hr|hrs|hour|hours|m|min|mins|minutes)?$/);
+    if (!m) return null;
+    const n = parseFloat(m[1]);
+    if (m[2]) return m[2][0] === 'h' ? Math.round(n * 60) : Math.round(n);
+    return n <= 3 ? Math.round(n * 60) : Math.round(n);
+}
+
+// Hourly rate actually paid: "$28.50", "28.50/hr", 28.5. Null when absent.
+function parseRatePaid(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return value > 0 ? value : null;
+    const m = String(value).replace(/,/g, '').match(/^\s*\$?\s*(\d+(?:\.\d+)?)\s*(?:\/\s*(?:h|hr|hour))?\s*$/i);
+    return m && parseFloat(m[1]) > 0 ? parseFloat(m[1]) : null;
+}
+
+function normaliseEmploymentType(value) {
+    const s = String(value || '').toLowerCase();
+    if (!s) return null;
+    if (/casual|\bcas\b/.test(s)) return 'casual';
+    if (/part|\bpt\b|p\/t/.test(s)) return 'part_time';
+    if (/full|\bft\b|f\/t|permanent/.test(s)) return 'full_time';
+    return null;
+}
+
+// Normalise spreadsheet rows into shift records. Row numbers are 1-based
+// spreadsheet rows (row 1 is the header), so findings point at the line the
+// manager sees in Excel. Unreadable rows are returned in `skipped` with a reason.
+function normaliseRosterRows(rows) {
+    const list = Array.isArray(rows) ? rows : [];
+    const headers = [];
+    list.forEach(function(r) {
+        Object.keys(r || {}).forEach(function(k) { if (headers.indexOf(k) === -1) headers.push(k); });
+    });
+    const columns = detectRosterColumns(headers);
+    const shifts = [];
+    const skipped = [];
+
+    list.forEach(function(r, i) {
+        // SheetJS tags each row with its 0-based sheet row (non-enumerable).
+        const rowNo = r && typeof r.__rowNum__ === 'number' ? r.__rowNum__ + 1 : i + 2;
+        const get = function(field) { return columns[field] ? r[columns[field]] : undefined; };
+        const employee = String(get('employee') == null ? '' : get('employee')).trim();
+        const date = parseRosterDate(get('date'));
+        const start = parseRosterTime(get('start'));
+        const end = parseRosterTime(get('end'));
+        if (!employee && date == null && start == null) return; // blank line
+        if (!employee) { skipped.push({ row: rowNo, reason: 'No employee name' }); return; }
+        if (!date) { skipped.push({ row: rowNo, reason: 'Date not recognised' }); return; }
+        if (start == null || end == null) { skipped.push({ row: rowNo, reason: 'Start or finish time not recognised' }); return; }
+        const breakMinutes = parseBreakMinutes(get('breakMinutes'));
+        shifts.push({
+            row: rowNo,
+            employee: employee,
+            date: date,
+            start: start,
+            end: end,
+            breakMinutes: breakMinutes == null ? 0 : breakMinutes,
+            breakStart: parseRosterTime(get('breakStart')),
+            employmentType: normaliseEmploymentType(get('employmentType')),
+            classification: get('classification') != null ? String(get('classification')).trim() : null,
+            stream: get('stream') != null ? String(get('stream')).trim() : null,
+            ratePaid: parseRatePaid(get('ratePaid'))
+        });
+    });
+
+    return { shifts: shifts, skipped: skipped, columns: columns };
+}
+
+// ---- Time arithmetic -------------------------------------------------------
+
+function _dayNumber(ymd) {
+    const p = ymd.split('-');
+    return Math.floor(Date.UTC(+p[0], +p[1] - 1, +p[2]) / 86400000);
+}
+
+function _dayKey(dayNumber) {
+    // Day 0 (1970-01-01) was a Thursday.
+    return ROSTER_DAY_KEYS[(dayNumber + 4) % 7];
+}
+
+function _hhmmToMinutes(hhmm) {
+    const p = String(hhmm).split(':');
+    return +p[0] * 60 + (+p[1] || 0);
+}
+
+function _fmtHours(minutes) {
+    const h = Math.round(minutes / 6) / 10;
+    return (h % 1 === 0 ? h.toFixed(0) : h.toFixed(1)) + 'h';
+}
+
+// Absolute start/end (minutes since epoch day 0). A finish at or before the
+// start is an overnight shift ending the next day.
+function _timeline(shift) {
+    const day = _dayNumber(shift.date);
+    const startAbs = day * 1440 + shift.start;
+    let endAbs = day * 1440 + shift.end;
+    if (endAbs <= startAbs) endAbs += 1440;
+    return { day: day, startAbs: startAbs, endAbs: endAbs, spanMinutes: endAbs - startAbs };
+}
+
+// ---- Finding construction --------------------------------------------------
+
+function _clauseLabel(rates, clause) {
+    return rates.ma_number + (clause ? ' cl ' + clause : '');
+}
+
+function _finding(rates, rule, severity, clause, shifts, employee, description, recommendation) {
+    return {
+        rule: rule,
+        severity: severity,
+        clause: clause || null,
+        citation: clause ? _clauseLabel(rates, clause) : null,
+        employee: employee,
+        rows: shifts.map(function(s) { return s.row; }),
+        dates: shifts.map(function(s) { return s.date; }),
+        description: description,
+        recommendation: recommendation
+    };
+}
+
+// ---- Individual checks -----------------------------------------------------
+
+// Minimum engagement: the per-shift floor for the employee's type (and, for
+// SCHADS, stream). Full-time is only checked where the award sets a minimum.
+function _minimumEngagementHours(rates, shift) {
+    const m = rates.minimum_engagement || {};
+    const type = shift.employmentType;
+    if (!type) return null;
+    if (type !== 'full_time' && typeof m.social_community_services_hours_per_shift === 'number') {
+        const text = ((shift.stream || '') + ' ' + (shift.classification || '')).toLowerCase();
+        if (/social[ _]+(and[ _]+)?community|\bsacs\b/.test(text)) return m.social_community_services_hours_per_shift;
+        if (typeof m.other_streams_hours_per_shift === 'number' && text.trim()) return m.other_streams_hours_per_shift;
+    }
+    const v = m[type + '_hours_per_shift'];
+    return typeof v === 'number' ? v : null;
+}
+
+function _checkMinimumEngagement(rates, shifts, out) {
+    const clauses = (rates.roster_rules && rates.roster_rules.minimum_engagement_clauses) || {};
+    shifts.forEach(function(s) {
+        const minHours = _minimumEngagementHours(rates, s);
+        if (minHours == null) return;
+        const span = _timeline(s).spanMinutes;
+        if (span >= minHours * 60) return;
+        out.push(_finding(rates, 'minimum_engagement', 'high', clauses[s.employmentType], [s], s.employee,
+            s.employee + ' (' + s.employmentType.replace('_', '-') + ') is rostered for ' + _fmtHours(span) +
+                ' on ' + s.date + ' — below the ' + minHours + '-hour minimum engagement.',
+            'Extend the shift to ' + minHours + ' hours or pay the full ' + minHours + ' hours even if they finish early.'));
+    });
+}
+
+function _checkMealBreaks(rates, rule, shifts, out) {
+    shifts.forEach(function(s) {
+        const span = _timeline(s).spanMinutes;
+        if (span <= rule.after_hours * 60) return;
+        const forgoable = typeof rule.may_forgo_up_to_hours === 'number' && span <= rule.may_forgo_up_to_hours * 60;
+        if ((s.breakMinutes || 0) < rule.min_minutes) {
+            out.push(_finding(rates, 'meal_break', forgoable ? 'low' : 'high', rule.clause, [s], s.employee,
+                s.employee + '\'s ' + _fmtHours(span) + ' shift on ' + s.date + ' has ' +
+                    ((s.breakMinutes || 0) ? 'only a ' + s.breakMinutes + '-minute break' : 'no meal break') +
+                    ' (a meal break of at least ' + rule.min_minutes + ' minutes is required after ' + rule.after_hours + ' hours).',
+                forgoable
+                    ? 'The employee may elect to forgo the break on a shift of ' + rule.may_forgo_up_to_hours + ' hours or less — keep their written election on file.'
+                    : 'Roster an unpaid meal break of at least ' + rule.min_minutes + ' minutes, or pay the applicable rate until one is taken.'));
+            return;
+        }
+        if (typeof rule.latest_start_hours !== 'number' || s.breakStart == null) return;
+        // Time worked before the break, and after it, must each stay within the window.
+        let before = s.breakStart - s.start;
+        if (before < 0) before += 1440;
+        const after = span - before - s.breakMinutes;
+        const limit = rule.latest_start_hours * 60;
+        if (before > limit || after > limit) {
+            out.push(_finding(rates, 'meal_break_timing', 'medium', rule.clause, [s], s.employee,
+                s.employee + ' works ' + _fmtHours(Math.max(before, after)) + ' without a meal break on ' + s.date +
+                    ' (limit ' + rule.latest_start_hours + ' hours).',
+                'Move the meal break so no stretch of work exceeds ' + rule.latest_start_hours + ' hours.'));
+        }
+    });
+}
+
+function _checkBreakBetweenShifts(rates, rule, byEmployee, out) {
+    Object.keys(byEmployee).forEach(function(name) {
+        const list = byEmployee[name];
+        for (let i = 1; i < list.length; i++) {
+            const prev = _timeline(list[i - 1]);
+            const next = _timeline(list[i]);
+            const gap = next.startAbs - prev.endAbs;
+            if (gap >= rule.hours * 60) continue;
+            const overlap = gap < 0;
+            out.push(_finding(rates, 'break_between_shifts', 'high', overlap ? null : rule.clause, [list[i - 1], list[i]], name,
+                overlap
+                    ? name + ' has overlapping shifts on ' + list[i - 1].date + ' and ' + list[i].date + '.'
+                    : name + ' has only ' + _fmtHours(gap) + ' off between shifts (' + list[i - 1].date + ' → ' + list[i].date +
+                        '); the award requires ' + rule.hours + ' hours.',
+                overlap
+                    ? 'Check the roster — the same person cannot work two shifts at once.'
+                    : (typeof rule.reducible_to_hours === 'number'
+                        ? 'Push the next start back, or record a written agreement reducing the break (not below ' + rule.reducible_to_hours + ' hours).'
+                        : 'Push the next start back, or pay the applicable overtime rate until a ' + rule.hours + '-hour break is taken.')));
+        }
+    });
+}
+
+function _workedDayRuns(list) {
+    const days = Array.from(new Set(list.map(function(s) { return _timeline(s).day; }))).sort(function(a, b) { return a - b; });
+    const runs = [];
+    let run = null;
+    days.forEach(function(d) {
+        if (run && d === run.end + 1) { run.end = d; return; }
+        run = { start: d, end: d };
+        runs.push(run);
+    });
+    return runs;
+}
+
+function _checkConsecutiveDays(rates, rule, byEmployee, out) {
+    Object.keys(byEmployee).forEach(function(name) {
+        const list = byEmployee[name];
+        _workedDayRuns(list).forEach(function(run) {
+            const length = run.end - run.start + 1;
+            const limit = rule ? rule.max_days : ROSTER_FATIGUE_CONSECUTIVE_DAYS;
+            if (length <= limit) return;
+            const inRun = list.filter(function(s) { const d = _timeline(s).day; return d >= run.start && d <= run.end; });
+            out.push(_finding(rates, 'consecutive_days', rule ? 'medium' : 'low', rule ? rule.clause : null, inRun, name,
+                name + ' is rostered ' + length + ' days in a row (' + inRun[0].date + ' to ' + inRun[inRun.length - 1].date + ')' +
+                    (rule ? '; the award allows ' + limit + '.' : '.'),
+                rule
+                    ? 'Give a rostered day off within the run.'
+                    : 'Not an award breach — WHS fatigue guidance. Consider a day off within every ' + (limit + 1) + ' days.'));
+        });
+    });
+}
+
+// Days off per roster cycle (SCHADS cl 25.3 style: 2 per week OR 4 per
+// fortnight OR 8 per 28 days). Uses the longest cycle the roster covers, since
+// the employer may have chosen any of them.
+function _checkDaysOff(rates, rule, byEmployee, rosterFirstDay, rosterLastDay, out, notChecked) {
+    const length = rosterLastDay - rosterFirstDay + 1;
+    const options = (rule.options || []).filter(function(o) { return o.per_days <= length; })
+        .sort(function(a, b) { return b.per_days - a.per_days; });
+    if (!options.length) {
+        notChecked.push({ rule: 'days_off', reason: 'Roster covers ' + length + ' day(s); at least ' +
+            Math.min.apply(null, (rule.options || [{ per_days: 7 }]).map(function(o) { return o.per_days; })) + ' needed' });
+        return;
+    }
+    const opt = options[0];
+    Object.keys(byEmployee).forEach(function(name) {
+        const list = byEmployee[name].filter(function(s) { return (rule.applies_to || []).indexOf(s.employmentType) !== -1; });
+        if (!list.length) return;
+        for (let from = rosterFirstDay; from + opt.per_days - 1 <= rosterLastDay; from += opt.per_days) {
+            const to = from + opt.per_days - 1;
+            const inWindow = list.filter(function(s) { const d = _timeline(s).day; return d >= from && d <= to; });
+            const worked = new Set(inWindow.map(function(s) { return _timeline(s).day; })).size;
+            const off = opt.per_days - worked;
+            if (off >= opt.days) continue;
+            out.push(_finding(rates, 'days_off', 'medium', rule.clause, inWindow, name,
+                name + ' has ' + off + ' day(s) off in the ' + opt.per_days + '-day cycle starting ' + inWindow[0].date +
+                    '; the award requires ' + opt.days + '.',
+                'Roster additional full days off (consecutive where practicable).'));
+        }
+    });
+}
+
+function _checkMaxOrdinaryHours(rates, rule, shifts, out) {
+    const byEmployeeWeek = {};
+    shifts.forEach(function(s) {
+        const worked = _timeline(s).spanMinutes - (s.breakMinutes || 0);
+        if (worked <= rule.hours * 60) return;
+        if (typeof rule.one_day_per_week_hours === 'number') {
+            // One longer day per week is allowed; only the second (or one over the long cap) breaches.
+            const week = Math.floor((_timeline(s).day + 3) / 7); // Monday-based weeks
+            const key = s.employee + '|' + week;
+            if (worked <= rule.one_day_per_week_hours * 60 && !byEmployeeWeek[key]) { byEmployeeWeek[key] = true; return; }
+        }
+        out.push(_finding(rates, 'max_ordinary_hours', 'medium', rule.clause, [s], s.employee,
+            s.employee + ' works ' + _fmtHours(worked) + ' on ' + s.date + ' — more than the ' + rule.hours + ' ordinary hours per day.',
+            typeof rule.by_agreement_hours === 'number'
+                ? 'Pay hours beyond ' + rule.hours + ' as overtime, unless a written agreement extends ordinary hours (up to ' + rule.by_agreement_hours + ').'
+                : 'Pay hours beyond the daily maximum as overtime, or shorten the shift.'));
+    });
+}
+
+function _checkSpanOfHours(rates, rule, shifts, out) {
+    const days = rule.days || {};
+    shifts.forEach(function(s) {
+        const t = _timeline(s);
+        let outside = 0;
+        for (let day = t.day; day * 1440 < t.endAbs; day++) {
+            const segStart = Math.max(t.startAbs, day * 1440);
+            const segEnd = Math.min(t.endAbs, (day + 1) * 1440);
+            if (segEnd <= segStart) continue;
+            const span = days[_dayKey(day)];
+            if (!span) { outside += segEnd - segStart; continue; }
+            const open = day * 1440 + _hhmmToMinutes(span[0]);
+            const close = day * 1440 + _hhmmToMinutes(span[1]);
+            const inside = Math.max(0, Math.min(segEnd, close) - Math.max(segStart, open));
+            outside += (segEnd - segStart) - inside;
+        }
+        if (outside <= 0) return;
+        out.push(_finding(rates, 'span_of_hours', 'low', rule.clause, [s], s.employee,
+            s.employee + ' works ' + _fmtHours(outside) + ' outside the ordinary span of hours on ' + s.date +
+                (rule.applies_to ? ' (span applies to ' + rule.applies_to + ')' : '') + '.',
+            'Hours outside the span are not ordinary hours — pay them at the applicable overtime or shift rate.'));
+    });
+}
+
+// ---- Main entry point ------------------------------------------------------
+
+function evaluateRoster(shifts, rates) {
+    const list = (shifts || []).slice().sort(function(a, b) { return _timeline(a).startAbs - _timeline(b).startAbs; });
+    const findings = [];
+    const checked = [];
+    const notChecked = [];
+    if (!rates || !rates.ma_number) {
+        return { findings: findings, checked: checked, notChecked: [{ rule: 'all', reason: 'No award resolved' }], summary: _summarise(findings, list) };
+    }
+    const rules = rates.roster_rules || {};
+
+    const byEmployee = {};
+    list.forEach(function(s) { (byEmployee[s.employee] = byEmployee[s.employee] || []).push(s); });
+
+    const missingType = list.filter(function(s) { return !s.employmentType; });
+    if (rates.minimum_engagement) {
+        _checkMinimumEngagement(rates, list, findings);
+        checked.push('minimum_engagement');
+        if (missingType.length) {
+            notChecked.push({ rule: 'minimum_engagement', reason: missingType.length + ' shift(s) have no employment type', rows: missingType.map(function(s) { return s.row; }) });
+        }
+    } else notChecked.push({ rule: 'minimum_engagement', reason: 'Award file has no minimum_engagement data' });
+
+    if (rules.meal_break) { _checkMealBreaks(rates, rules.meal_break, list, findings); checked.push('meal_break'); }
+    else notChecked.push({ rule: 'meal_break', reason: 'Award file has no meal-break rule' });
+
+    if (rules.break_between_shifts) { _checkBreakBetweenShifts(rates, rules.break_between_shifts, byEmployee, findings); checked.push('break_between_shifts'); }
+    else notChecked.push({ rule: 'break_between_shifts', reason: 'Award file has no break-between-shifts rule' });
+
+    _checkConsecutiveDays(rates, rules.consecutive_days || null, byEmployee, findings);
+    checked.push('consecutive_days');
+
+    if (rules.days_off && list.length) {
+        const first = _timeline(list[0]).day;
+        const last = Math.max.apply(null, list.map(function(s) { return _timeline(s).day; }));
+        _checkDaysOff(rates, rules.days_off, byEmployee, first, last, findings, notChecked);
+        checked.push('days_off');
+    }
+
+    if (rules.max_ordinary_hours_per_day) { _checkMaxOrdinaryHours(rates, rules.max_ordinary_hours_per_day, list, findings); checked.push('max_ordinary_hours'); }
+    else notChecked.push({ rule: 'max_ordinary_hours', reason: 'Award file has no daily ordinary-hours cap' });
+
+    if (rules.span_of_hours) { _checkSpanOfHours(rates, rules.span_of_hours, list, findings); checked.push('span_of_hours'); }
+    else notChecked.push({ rule: 'span_of_hours', reason: 'Award sets no span of ordinary hours' });
+
+    findings.sort(function(a, b) {
+        return ROSTER_SEVERITY_ORDER.indexOf(b.severity) - ROSTER_SEVERITY_ORDER.indexOf(a.severity) || a.rows[0] - b.rows[0];
+    });
+    return { findings: findings, checked: checked, notChecked: notChecked, summary: _summarise(findings, list) };
+}
+
+function _summarise(findings, shifts) {
+    const bySeverity = { high: 0, medium: 0, low: 0 };
+    findings.forEach(function(f) { bySeverity[f.severity]++; });
+    return {
+        shifts: shifts.length,
+        employees: new Set(shifts.map(function(s) { return s.employee; })).size,
+        findings: findings.length,
+        bySeverity: bySeverity
+    };
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.normaliseRosterRows = normaliseRosterRows;
+    window.detectRosterColumns = detectRosterColumns;
+    window.evaluateRoster = evaluateRoster;
+    window.parseRosterDate = parseRosterDate;
+    window.parseRosterTime = parseRosterTime;
+    window.parseRatePaid = parseRatePaid;
+}
@@ -0,0 +1,564 @@
+// ============================================================================
+// SCHADS CLIENT DAY — pricing a home care / disability worker's day of visits
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+// Depends on js/shift-costing.js (findAwardRate), which loads before it.
+//
+// costClientDay(day, rates, opts) turns a day of client visits under the
+// SCHADS award (MA000100) into periods of work and prices them. Travel between
+// clients is time worked. A part-time or casual employee is paid at least the
+// clause 10.5 minimum for each period, and a gap that falls inside that
+// minimum is time worked rather than a break (cl 25.6(c)). The gaps left make
+// a broken shift: 1 or 2 unpaid breaks attract the cl 20.12 allowance, and
+// work past the 12-hour span is double time (cl 25.6(f)). A sleepover
+// (cl 25.7) and client cancellations (cl 25.5(f)) fold into the same day.
+// costTwentyFourHourCare(shift, rates, opts) prices a cl 25.8 24-hour care
+// shift.
+//
+// The amounts, spans and minimums come from the rates JSON — client_day_rules,
+// allowances (by name), minimum_engagement, roster_rules and penalty_rates —
+// so the annual wage review stays data-only. Anything the file cannot price
+// is reported in notes — never guessed.
+// ============================================================================
+
+// ---- Constants -------------------------------------------------------------
+
+// Days-of-week keys used by roster_rules and costing_rules (Sunday = 0).
+const CLIENT_DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CLIENT_DAY_LABELS = {
+    weekday: 'Weekday', saturday: 'Saturday', sunday: 'Sunday', public_holiday: 'Public holiday'
+};
+
+// ---- Helpers ---------------------------------------------------------------
+
+function _clientDayNumber(ymd) {
+    const p = ymd.split('-');
+    return Math.floor(Date.UTC(+p[0], +p[1] - 1, +p[2]) / 86400000);
+}
+
+function _clientDayYmd(dayNumber) {
+    return new Date(dayNumber * 86400000).toISOString().slice(0, 10);
+}
+
+// "HH:MM" -> minutes. Hours past 24 reach into the next day ("32:00" = 8am).
+function _clientDayMinutes(hhmm) {
+    const p = String(hhmm).split(':');
+    return +p[0] * 60 + (+p[1] || 0);
+}
+
+// Minutes -> "HH:MM" on a 24-hour clock (the next day wraps round).
+function _clientDayClock(m) {
+    const d = ((m % 1440) + 1440) % 1440;
+    return String(Math.floor(d / 60)).padStart(2, '0') + ':' + String(d % 60).padStart(2, '0');
+}
+
+// Round to cents, half up, through 1e6 so float error cannot drop a cent.
+function _clientDayCents(n) {
+    return Math.round(Math.round(n * 1e6) / 1e4) / 100;
+}
+
+function _clientDayNum(v) {
+    return typeof v === 'number' && isFinite(v) ? v : null;
+}
+
+function _clientDayHours(minutes) {
+    return Math.round(minutes / 60 * 100) / 100;
+}
+
+function _clientDayAllowance(rates, name) {
+    const a = (rates.allowances || []).find(function(x) { return x.name === name; });
+    return a && _clientDayNum(a.amount) != null ? a : null;
+}
+
+// Weekday / saturday / sunday / public_holiday for an absolute minute.
+function _clientDayType(day0, m, holidays) {
+    const dayNum = day0 + Math.floor(m / 1440);
+    const key = CLIENT_DAY_KEYS[(dayNum + 4) % 7];
+    if (holidays.has(_clientDayYmd(dayNum))) return { type: 'public_holiday', key: key };
+    return { type: key === 'sat' ? 'saturday' : key === 'sun' ? 'sunday' : 'weekday', key: key };
+}
+
+// Ordinary multiplier of the minimum hourly rate for a day (cl 26, cl 34).
+function _clientDayMultiplier(pr, dayType, casual, loading) {
+    if (dayType === 'weekday') return casual ? 1 + loading : 1;
+    const ft = _clientDayNum(pr[dayType + '_full_time_part_time']) || 1;
+    if (!casual) return ft;
+    return _clientDayNum(pr[dayType + '_casual']) || ft + loading;
+}
+
+// Overtime multiplier for the nth overtime minute of the day (cl 28.1).
+// Casuals add the casual loading, as the Pay Guide's casual tables do.
+function _clientDayOvertime(pr, dayType, index, casual, loading) {
+    let ot = index < 120 ? (_clientDayNum(pr.overtime_first_2hrs) || 1.5) : (_clientDayNum(pr.overtime_after_2hrs) || 2);
+    if (dayType === 'sunday' && _clientDayNum(pr.sunday_overtime)) ot = pr.sunday_overtime;
+    if (dayType === 'public_holiday' && _clientDayNum(pr.public_holiday_overtime)) ot = pr.public_holiday_overtime;
+    return casual ? ot + loading : ot;
+}
+
+// Does a whole-of-shift loading's start/finish window match a period? A finish
+// window is (from, to], a start window is [from, to).
+function _clientDayLoadingMatches(loading, startMin, finishMin, broken) {
+    return (loading.when || []).some(function(w) {
+        // On a broken shift the night loading is not paid for a period that
+        // starts before 6am (cl 25.6(e)(ii)); only finish windows count.
+        if (broken && w.start && !w.finish) return false;
+        if (w.finish && !(finishMin > _clientDayMinutes(w.finish[0]) && finishMin <= _clientDayMinutes(w.finish[1]))) return false;
+        if (w.start && !(startMin >= _clientDayMinutes(w.start[0]) && startMin < _clientDayMinutes(w.start[1]))) return false;
+        return !!(w.finish || w.start);
+    });
+}
+
+// The rate rows and rules every SCHADS pricing call needs, or { error }.
+function _clientDaySetup(input, rates) {
+    if (!rates || !rates.penalty_rates) return { error: 'No award rates loaded' };
+    const rules = rates.client_day_rules;
+    if (!rules) return { error: 'The ' + (rates.ma_number || 'loaded') + ' rates table has no client day rules' };
+    const type = input.employmentType;
+    if (['full_time', 'part_time', 'casual'].indexOf(type) === -1) {
+        return { error: 'Employment type is required to price a day' };
+    }
+    const row = findAwardRate(rates, input.classification, 'full_time');
+    if (!row) {
+        return { error: input.classification
+            ? 'Classification "' + input.classification + '" is not in the ' + rates.ma_number + ' rates table'
+            : 'Classification is required to price a day' };
+    }
+    const casual = type === 'casual';
+    return {
+        rules: rules,
+        row: row,
+        casualRow: casual ? findAwardRate(rates, input.classification, 'casual') : null,
+        casual: casual,
+        baseRate: Number(row.rate),
+        loading: _clientDayNum(rates.casual_loading) || 0,
+        pr: rates.penalty_rates
+    };
+}
+
+// ---- Client day ------------------------------------------------------------
+
+/**
+ * Prices a day of client visits.
+ * @param {Object} day - { date 'YYYY-MM-DD', classification, employmentType
+ *   'full_time'|'part_time'|'casual', shiftworker, disabilityServices (social
+ *   and community services employees only), visits[], sleepover }
+ *   Each visit is { client, start, end (minutes from midnight), travelMinutes
+ *   (paid travel from the previous client; 0 when starting from home), km,
+ *   mealBreak (the gap before it is the meal break), cancelled, noticeHours,
+ *   makeUpTime }. Visits are in the order worked; a start earlier than the
+ *   previous visit's end is the next day. sleepover is { start (minutes),
+ *   workedMinutes }.
+ * @param {Object} rates - the SCHADS rates JSON (awardRates)
+ * @param {Object} [opts] - { publicHolidays: ['YYYY-MM-DD'] }
+ * @returns {Object} { ok, periods[], segments[], allowances[], totalCost, ... }
+ *   or { ok: false, error }
+ */
+function costClientDay(day, rates, opts) {
+    opts = opts || {};
+    if (!day || !day.date || !Array.isArray(day.visits) || !day.visits.length) {
+        return { ok: false, error: 'A day needs a date and at least one visit' };
+    }
+    const setup = _clientDaySetup(day, rates);
+    if (setup.error) return { ok: false, error: setup.error };
+    const rules = setup.rules;
+    const broken = rules.broken_shift || {};
+    const stream = setup.row.stream;
+    if ((broken.streams || []).indexOf(stream) === -1) {
+        return { ok: false, error: 'Broken shifts apply to home care employees and to social and community services employees undertaking disability services work (cl ' + broken.clause + ')' };
+    }
+    if (stream === 'social_community_services' && !day.disabilityServices) {
+        return { ok: false, error: 'Social and community services employees work broken shifts only when undertaking disability services work (cl ' + broken.clause + ')' };
+    }
+    const casual = setup.casual;
+    const pr = setup.pr;
+    const loading = setup.loading;
+    const notes = [];
+    const holidays = new Set(opts.publicHolidays || []);
+    const day0 = _clientDayNumber(day.date);
+
+    // Place each visit (and the travel to it) on the day's clock.
+    const cancellation = rules.client_cancellation || {};
+    const blocks = [];
+    let prevEnd = null;
+    let offset = 0;
+    let km = 0;
+    for (let i = 0; i < day.visits.length; i++) {
+        const v = day.visits[i];
+        if (typeof v.start !== 'number' || typeof v.end !== 'number') {
+            return { ok: false, error: 'Visit ' + (i + 1) + ' needs a start and end time' };
+        }
+        let start = v.start + offset;
+        if (prevEnd != null && start < prevEnd) { offset += 1440; start += 1440; }
+        let end = v.end + offset;
+        if (end <= start) end += 1440;
+        const label = v.client || 'Visit ' + (i + 1);
+        if (v.cancelled) {
+            const covered = (cancellation.employment_types || []).indexOf(day.employmentType) !== -1;
+            if (!covered) {
+                notes.push(label + ' was cancelled: the client cancellation clause (cl ' + cancellation.clause + ') covers full-time and part-time employees only, so the visit is not paid.');
+                continue;
+            }
+            const minNotice = _clientDayNum(cancellation.make_up_notice_hours);
+            if (v.makeUpTime && minNotice != null && _clientDayNum(v.noticeHours) != null && v.noticeHours >= minNotice) {
+                notes.push(label + ' was cancelled with ' + v.noticeHours + " hours' notice and make-up time is owed instead: it must be worked within " +
+                    cancellation.make_up_weeks + ' weeks and paid at least what the cancelled visit would have paid (cl ' + cancellation.clause + ').');
+                continue;
+            }
+            if (v.makeUpTime) notes.push(label + ' was cancelled with less than ' + minNotice + " hours' notice, so make-up time is not available and the visit is paid as rostered (cl " + cancellation.clause + ').');
+            else notes.push(label + ' was cancelled and is paid as rostered (cl ' + cancellation.clause + ').');
+        }
+        const travel = i > 0 ? Math.max(0, Math.min(v.travelMinutes || 0, start - prevEnd)) : 0;
+        if (travel) blocks.push({ start: start - travel, end: start, kind: 'travel', client: label });
+        blocks.push({ start: start, end: end, kind: v.cancelled ? 'cancelled' : 'visit', client: label, mealBreak: !!v.mealBreak });
+        if (v.km > 0 && !v.cancelled) km += v.km;
+        prevEnd = end;
+    }
+    if (!blocks.length) return { ok: false, error: 'No visits left to pay once cancellations are taken out' };
+
+    // Sleepover span, on the same clock.
+    const sleepRules = rules.sleepover || {};
+    let sleep = null;
+    if (day.sleepover && typeof day.sleepover.start === 'number') {
+        let s = day.sleepover.start;
+        if (s < blocks[0].start) s += 1440;
+        sleep = { start: s, end: s + (_clientDayNum(sleepRules.span_hours) || 8) * 60 };
+        const clash = blocks.some(function(b) { return b.start < sleep.end && b.end > sleep.start; });
+        if (clash) return { ok: false, error: 'A visit falls inside the sleepover period; record work during the sleepover as time worked on the sleepover' };
+    }
+
+    // Group the blocks into periods of work. A gap inside the minimum payment
+    // period is time worked (cl 25.6(c)); a meal break is unpaid but does not
+    // break the shift; a sleepover joins two periods into one shift (cl 29.4).
+    const minApplies = day.employmentType !== 'full_time';
+    const minMinutes = minApplies ? (_clientDayNum((rates.minimum_engagement || {}).other_streams_hours_per_shift) || 0) * 60 : 0;
+    const mealMax = ((rates.roster_rules || {}).meal_break || {}).max_minutes || 60;
+    const periods = [];
+    blocks.forEach(function(b) {
+        const cur = periods[periods.length - 1];
+        if (cur) {
+            const gap = b.start - cur.end;
+            if (gap <= 0 || b.start <= cur.start + minMinutes) {
+                if (gap > 0) cur.blocks.push({ start: cur.end, end: b.start, kind: 'gap' });
+                cur.blocks.push(b);
+                cur.end = Math.max(cur.end, b.end);
+                return;
+            }
+            if (b.mealBreak && gap <= mealMax) {
+                cur.blocks.push({ start: cur.end, end: b.start, kind: 'meal' });
+                cur.blocks.push(b);
+                cur.end = b.end;
+                return;
+            }
+            if (b.mealBreak) notes.push('The ' + gap + '-minute gap before ' + b.client + ' is longer than a meal break (cl 27.1), so it is treated as a broken-shift break.');
+        }
+        periods.push({
+            start: b.start, end: b.end, blocks: [b],
+            link: !cur ? null : (sleep && cur.end <= sleep.start && b.start >= sleep.end ? 'sleepover' : 'break')
+        });
+    });
+
+    // Minimum payments: cl 10.5 per period, and at least 4 hours either side of
+    // a sleepover (cl 25.7(f)).
+    periods.forEach(function(p) { p.paidEnd = Math.max(p.end, p.start + minMinutes); });
+    if (sleep) {
+        const adjacent = Math.max(0, (_clientDayNum(sleepRules.adjacent_minimum_hours) || 0) * 60);
+        const before = periods.filter(function(p) { return p.end <= sleep.start; }).pop();
+        const after = periods.find(function(p) { return p.start >= sleep.end; });
+        const paidOf = function(p) { return p ? p.paidEnd - p.start : 0; };
+        const topUp = before || after;
+        if (topUp && paidOf(before) < adjacent && paidOf(after) < adjacent) {
+            topUp.paidEnd = topUp.start + adjacent;
+            notes.push('The ' + (topUp === before ? 'work before' : 'work after') + ' the sleepover is paid up to ' + sleepRules.adjacent_minimum_hours + ' hours (cl ' + sleepRules.clause + '(f)).');
+        }
+    }
+
+    const breaks = periods.filter(function(p) { return p.link === 'break'; }).length;
+    const isBroken = breaks > 0;
+    const maxBreaks = _clientDayNum(broken.max_breaks) || 1;
+    if (breaks > maxBreaks) {
+        notes.push('A broken shift may have at most ' + maxBreaks + ' unpaid breaks (cl ' + broken.clause + '); this day has ' + breaks + '. Roster it as separate shifts or fold a gap into paid time.');
+    } else if (breaks === 2) {
+        notes.push('A broken shift with 2 unpaid breaks needs the employee\'s agreement before each occasion unless it is part of their agreed regular pattern (cl ' + broken.clause + '(b)).');
+    }
+
+    // Overtime triggers: the daily cap, the broken-shift span and, for day
+    // workers, the span of ordinary hours.
+    let cap;
+    if (casual || day.employmentType === 'part_time') {
+        const daily = rules.daily_overtime || {};
+        cap = (sleep && _clientDayNum(daily.with_sleepover_hours) ? daily.with_sleepover_hours : _clientDayNum(daily.part_time_casual_hours)) * 60;
+        if (sleep && _clientDayNum(daily.with_sleepover_hours)) {
+            notes.push('With a sleepover, overtime starts after ' + daily.with_sleepover_hours + ' hours on the shift where that has been agreed (cl ' +
+                daily.clause + '(iii)); otherwise it starts after ' + daily.part_time_casual_hours + '.');
+        }
+    } else {
+        const max = (rates.roster_rules || {}).max_ordinary_hours_per_day || {};
+        cap = _clientDayNum(max.hours) != null ? max.hours * 60 : null;
+    }
+    if (!(cap > 0)) { cap = null; notes.push('The award file sets no daily ordinary-hours cap, so daily overtime is not assessed.'); }
+    const spanEnd = isBroken ? periods[0].start + (_clientDayNum(broken.span_hours) || 12) * 60 : null;
+    const spanDays = (((rates.roster_rules || {}).span_of_hours || {}).days) || {};
+
+    // Whole-of-period shift loadings apply to shiftworkers on weekdays (cl 29.3,
+    // cl 25.6(e)); each period of a broken shift is assessed on its own.
+    const loadings = day.shiftworker ? ((rates.costing_rules || {}).loadings || []).map(function(l) {
+        return Object.assign({ amount: _clientDayNum(pr[l.key]) }, l);
+    }).filter(function(l) { return l.amount != null && l.basis === 'percent_whole_shift'; }) : [];
+
+    const buckets = {};
+    let paid = 0;
+    let overtimeIdx = 0;
+    let outsideSpan = 0;
+    let beyondSpan = 0;
+    const add = function(label, segment, mult, minutes, dayType) {
+        const key = label + '|' + mult;
+        if (!buckets[key]) {
+            let rate = setup.baseRate * mult;
+            if (setup.casualRow && segment === 'ordinary') rate = Number(setup.casualRow.rate);
+            buckets[key] = { segment: segment, label: label, multiplier: _clientDayCents(mult), rate: _clientDayCents(rate), minutes: 0, dayType: dayType };
+        }
+        buckets[key].minutes += minutes;
+    };
+    periods.forEach(function(p) {
+        const startDay = _clientDayType(day0, p.start, holidays);
+        const periodLoading = startDay.type === 'weekday' ? loadings.filter(function(l) {
+            return l.days.indexOf(startDay.key) !== -1 && _clientDayLoadingMatches(l, p.start % 1440, p.end - (p.start - p.start % 1440), isBroken);
+        }).sort(function(a, b) { return b.amount - a.amount; })[0] : null;
+        const unpaid = p.blocks.filter(function(b) { return b.kind === 'meal'; });
+        for (let m = p.start; m < p.paidEnd; m++) {
+            if (unpaid.some(function(b) { return m >= b.start && m < b.end; })) continue;
+            const d = _clientDayType(day0, m, holidays);
+            const dayMult = _clientDayMultiplier(pr, d.type, casual, loading);
+            const minuteOfDay = ((m % 1440) + 1440) % 1440;
+            const span = spanDays[d.key];
+            const outside = !day.shiftworker && span && (minuteOfDay < _clientDayMinutes(span[0]) || minuteOfDay >= _clientDayMinutes(span[1]));
+            if (spanEnd != null && m >= spanEnd) {
+                let mult = (_clientDayNum(broken.beyond_span_multiplier) || 2) + (casual ? loading : 0);
+                mult = Math.max(mult, dayMult, d.type === 'public_holiday' ? _clientDayOvertime(pr, d.type, 0, casual, loading) : 0);
+                add('Broken shift beyond ' + broken.span_hours + '-hour span', 'overtime', mult, 1, d.type);
+                beyondSpan++;
+            } else if ((cap != null && paid >= cap) || outside) {
+                const mult = Math.max(_clientDayOvertime(pr, d.type, overtimeIdx, casual, loading), dayMult);
+                const tier = d.type === 'weekday' || d.type === 'saturday' ? (overtimeIdx < 120 ? ' (first 2h)' : ' (after 2h)') : '';
+                add(CLIENT_DAY_LABELS[d.type] + ' overtime' + tier, 'overtime', mult, 1, d.type);
+                overtimeIdx++;
+                if (outside && !(cap != null && paid >= cap)) outsideSpan++;
+            } else if (d.type === 'weekday' && periodLoading) {
+                add(periodLoading.label, periodLoading.segment, dayMult + periodLoading.amount, 1, d.type);
+            } else {
+                add(CLIENT_DAY_LABELS[d.type], d.type === 'weekday' ? 'ordinary' : d.type === 'public_holiday' ? 'public_holiday' : 'weekend', dayMult, 1, d.type);
+            }
+            paid++;
+        }
+    });
+    if (outsideSpan) {
+        notes.push(_clientDayHours(outsideSpan) + 'h falls outside the ' + (spanDays.mon ? spanDays.mon.join('–') : 'ordinary') +
+            ' span of hours for a day worker and is paid as overtime (cl 28.1). Tick "shiftworker" if the employee is engaged as one.');
+    }
+    if (beyondSpan) notes.push(_clientDayHours(beyondSpan) + 'h worked beyond the ' + broken.span_hours + '-hour broken-shift span is paid at double time (cl ' + broken.clause + '(f)).');
+    if (casual && (overtimeIdx || beyondSpan)) notes.push('Casual overtime adds the 25% casual loading to the overtime percentage, as the Pay Guide\'s casual tables do.');
+
+    // Work during a sleepover: overtime rates, with a minimum of 1 hour.
+    if (sleep) {
+        const worked = Math.max(0, day.sleepover.workedMinutes || 0);
+        if (worked) {
+            const min = (_clientDayNum(sleepRules.work_minimum_hours) || 1) * 60;
+            const d = _clientDayType(day0, sleep.start, holidays);
+            const mins = Math.max(worked, min);
+            for (let i = 0; i < mins; i++) {
+                const mult = Math.max(_clientDayOvertime(pr, d.type, overtimeIdx + i, casual, loading), _clientDayMultiplier(pr, d.type, casual, loading));
+                add('Work during sleepover (' + CLIENT_DAY_LABELS[d.type] + ' overtime)', 'overtime', mult, 1, d.type);
+            }
+            if (worked < min) notes.push('Work during the sleepover is paid for at least ' + sleepRules.work_minimum_hours + ' hour at overtime rates (cl ' + sleepRules.clause + '(e)).');
+        }
+    }
+
+    const segments = Object.keys(buckets).map(function(k) {
+        const b = buckets[k];
+        b.hours = _clientDayHours(b.minutes);
+        b.cost = _clientDayCents(b.rate * b.minutes / 60);
+        return b;
+    });
+
+    // Allowances: broken shift, sleepover and vehicle (cl 20.7, 20.12, 25.7).
+    const allowances = [];
+    const allow = function(name, qty, unit, clause) {
+        const a = _clientDayAllowance(rates, name);
+        if (!a) { notes.push('The award file has no "' + name + '" amount, so it is not included.'); return; }
+        allowances.push({ label: name, quantity: qty, unit: unit, amount: a.amount, cost: _clientDayCents(a.amount * qty), clause: clause });
+    };
+    if (isBroken) {
+        const names = broken.allowances || [];
+        allow(names[Math.min(breaks, names.length) - 1], 1, 'shift', broken.allowance_clause);
+    }
+    if (sleep) allow(sleepRules.allowance, 1, 'night', sleepRules.clause + '(d)');
+    if (km > 0) {
+        const travel = rules.travel_between_clients || {};
+        allow(travel.vehicle_allowance, Math.round(km * 10) / 10, 'km', travel.vehicle_clause);
+    }
+
+    const wages = _clientDayCents(segments.reduce(function(t, s) { return t + s.cost; }, 0));
+    const allowanceCost = _clientDayCents(allowances.reduce(function(t, a) { return t + a.cost; }, 0));
+    const sumKind = function(p, kind) {
+        return p.blocks.filter(function(b) { return b.kind === kind; }).reduce(function(t, b) { return t + b.end - b.start; }, 0);
+    };
+    return {
+        ok: true,
+        awardCode: rates.ma_number,
+        classification: day.classification,
+        employmentType: day.employmentType,
+        baseRate: setup.baseRate,
+        ordinaryRate: setup.casualRow ? Number(setup.casualRow.rate) : _clientDayCents(setup.baseRate * (casual ? 1 + loading : 1)),
+        periods: periods.map(function(p) {
+            return {
+                start: _clientDayClock(p.start), end: _clientDayClock(p.end), paidEnd: _clientDayClock(p.paidEnd),
+                link: p.link,
+                clients: p.blocks.filter(function(b) { return b.kind === 'visit' || b.kind === 'cancelled'; }).map(function(b) { return b.client; }),
+                clientMinutes: sumKind(p, 'visit') + sumKind(p, 'cancelled'),
+                travelMinutes: sumKind(p, 'travel'),
+                paidGapMinutes: sumKind(p, 'gap'),
+                mealMinutes: sumKind(p, 'meal'),
+                minimumTopUpMinutes: p.paidEnd - p.end,
+                paidMinutes: p.paidEnd - p.start - sumKind(p, 'meal')
+            };
+        }),
+        breaks: breaks,
+        brokenShift: isBroken,
+        spanMinutes: periods[periods.length - 1].paidEnd - periods[0].start,
+        segments: segments,
+        paidHours: _clientDayHours(paid),
+        overtimeHours: _clientDayHours(segments.filter(function(s) { return s.segment === 'overtime'; }).reduce(function(t, s) { return t + s.minutes; }, 0)),
+        allowances: allowances,
+        wagesCost: wages,
+        allowancesCost: allowanceCost,
+        totalCost: _clientDayCents(wages + allowanceCost),
+        notes: notes
+    };
+}
+
+// ---- 24-hour care ----------------------------------------------------------
+
+/**
+ * Prices a 24-hour care shift: 8 hours at 155% of the appropriate rate, and
+ * any care past 8 hours at overtime rates (cl 25.8).
+ * @param {Object} shift - { date 'YYYY-MM-DD' (the day it starts),
+ *   classification, employmentType, careMinutes (care provided), km }
+ * @param {Object} rates - the SCHADS rates JSON (awardRates)
+ * @param {Object} [opts] - { publicHolidays: ['YYYY-MM-DD'] }
+ * @returns {Object} { ok, segments[], allowances[], totalCost, ... } or
+ *   { ok: false, error }
+ */
+function costTwentyFourHourCare(shift, rates, opts) {
+    opts = opts || {};
+    if (!shift || !shift.date) return { ok: false, error: 'A 24-hour care shift needs a start date' };
+    const setup = _clientDaySetup(shift, rates);
+    if (setup.error) return { ok: false, error: setup.error };
+    const care = setup.rules.twenty_four_hour_care || {};
+    if ((care.streams || []).indexOf(setup.row.stream) === -1) {
+        return { ok: false, error: '24-hour care shifts apply to home care employees only (cl ' + care.clause + ')' };
+    }
+    const casual = setup.casual;
+    const loading = setup.loading;
+    const notes = [];
+    const paidHours = _clientDayNum(care.paid_hours) || 8;
+    const d = _clientDayType(_clientDayNumber(shift.date), 0, new Set(opts.publicHolidays || []));
+    // The Pay Guide rounds the hourly figure to cents before multiplying by 8.
+    const mult = (_clientDayNum(care.multiplier) || 1.55) + (casual ? loading : 0);
+    const hourly = _clientDayCents(setup.baseRate * mult);
+    const segments = [{
+        segment: 'care', label: '24-hour care shift (' + paidHours + ' hours at ' + Math.round(mult * 100) + '%)',
+        multiplier: _clientDayCents(mult), rate: hourly, minutes: paidHours * 60, hours: paidHours, cost: _clientDayCents(hourly * paidHours), dayType: d.type
+    }];
+    const extra = Math.max(0, (shift.careMinutes || 0) - paidHours * 60);
+    if (extra) {
+        const tiers = {};
+        for (let i = 0; i < extra; i++) {
+            const ot = _clientDayOvertime(setup.pr, d.type, i, casual, loading);
+            const tier = d.type === 'weekday' || d.type === 'saturday' ? (i < 120 ? ' (first 2h)' : ' (after 2h)') : '';
+            const key = ot + tier;
+            if (!tiers[key]) {
+                tiers[key] = { segment: 'overtime', label: 'Care past ' + paidHours + ' hours — ' + CLIENT_DAY_LABELS[d.type] + ' overtime' + tier,
+                    multiplier: _clientDayCents(ot), rate: _clientDayCents(setup.baseRate * ot), minutes: 0, dayType: d.type };
+            }
+            tiers[key].minutes++;
+        }
+        Object.keys(tiers).forEach(function(k) {
+            const t = tiers[k];
+            t.hours = _clientDayHours(t.minutes);
+            t.cost = _clientDayCents(t.rate * t.minutes / 60);
+            segments.push(t);
+        });
+        notes.push('The employee may refuse more than ' + paidHours + " hours' care in a 24-hour shift where the extra hours are unreasonable (cl " + care.clause + '(f)).');
+    }
+    if (casual) notes.push('Casual rates add the 25% casual loading to the 24-hour care and overtime percentages, as the Pay Guide\'s casual tables do.');
+    const allowances = [];
+    if (shift.km > 0) {
+        const travel = setup.rules.travel_between_clients || {};
+        const a = _clientDayAllowance(rates, travel.vehicle_allowance);
+        if (a) allowances.push({ label: a.name, quantity: shift.km, unit: 'km', amount: a.amount, cost: _clientDayCents(a.amount * shift.km), clause: travel.vehicle_clause });
+    }
+    const wages = _clientDayCents(segments.reduce(function(t, s) { return t + s.cost; }, 0));
+    const allowanceCost = _clientDayCents(allowances.reduce(function(t, a) { return t + a.cost; }, 0));
+    return {
+        ok: true,
+        awardCode: rates.ma_number,
+        classification: shift.classification,
+        employmentType: shift.employmentType,
+        baseRate: setup.baseRate,
+        segments: segments,
+        allowances: allowances,
+        wagesCost: wages,
+        allowancesCost: allowanceCost,
+        totalCost: _clientDayCents(wages + allowanceCost),
+        notes: notes
+    };
+}
+
+// ---- Validation --------------------------------------------------------------
+
+/**
+ * Problems with a table's client_day_rules block: allowances named there that
+ * are not in allowances[] and missing numeric settings.
+ * @param {Object} rates - a rates table
+ * @returns {string[]} human-readable problems; empty when valid (or absent)
+ */
+function clientDayRuleProblems(rates) {
+    const problems = [];
+    const r = rates && rates.client_day_rules;
+    if (r === undefined || !rates) return problems;
+    if (!r || typeof r !== 'object') return ['client_day_rules must be an object'];
+    const named = function(at, name) {
+        if (!_clientDayAllowance(rates, name)) problems.push('client_day_rules.' + at + ' names allowance "' + name + '" which is not in allowances[] with an amount');
+    };
+    const num = function(at, v) { if (!(_clientDayNum(v) > 0)) problems.push('client_day_rules.' + at + ' must be a positive number'); };
+    const b = r.broken_shift || {};
+    if (!Array.isArray(b.streams) || !b.streams.length) problems.push('client_day_rules.broken_shift.streams must be a non-empty array');
+    if (!Array.isArray(b.allowances) || !b.allowances.length) problems.push('client_day_rules.broken_shift.allowances must be a non-empty array');
+    else b.allowances.forEach(function(n, i) { named('broken_shift.allowances[' + i + ']', n); });
+    num('broken_shift.max_breaks', b.max_breaks);
+    num('broken_shift.span_hours', b.span_hours);
+    num('broken_shift.beyond_span_multiplier', b.beyond_span_multiplier);
+    const s = r.sleepover || {};
+    named('sleepover.allowance', s.allowance);
+    num('sleepover.span_hours', s.span_hours);
+    const t = r.travel_between_clients || {};
+    named('travel_between_clients.vehicle_allowance', t.vehicle_allowance);
+    const d = r.daily_overtime || {};
+    num('daily_overtime.part_time_casual_hours', d.part_time_casual_hours);
+    const c = r.twenty_four_hour_care || {};
+    num('twenty_four_hour_care.paid_hours', c.paid_hours);
+    num('twenty_four_hour_care.multiplier', c.multiplier);
+    return problems;
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.costClientDay = costClientDay;
+    window.costTwentyFourHourCare = costTwentyFourHourCare;
+    window.clientDayRuleProblems = clientDayRuleProblems;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { costClientDay, costTwentyFourHourCare, clientDayRuleProblems };
+}
@@ -0,0 +1,337 @@
+// ============================================================================
+// SHIFT COSTING — award-aware pricing of a single roster line
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+//
+// costShift(shift, rates, opts) splits one shift into ordinary / evening /
+// night / weekend / public-holiday / overtime segments and prices each from the
+// resolved award's rates JSON: the classification's row in rates[], the
+// day multipliers and overtime tiers in penalty_rates, casual_loading, and the
+// shift / evening loadings (flat dollar or percentage) declared in
+// costing_rules. costRoster(shifts, rates, opts) prices a list of lines and
+// checkPaidRates(shifts, rates, opts) compares each line's rate paid with it.
+// Any of them may be given a function ymd -> rates table instead of a single
+// table, so each line is priced at the rates in force on its own date.
+//
+// The Award Calculator, the Deputy roster dashboard and the roster export all
+// price through here, so the three always agree on the dollar figure. Anything
+// the award file cannot price (no matching classification, a loading that
+// depends on the roster pattern) is reported in notes — never guessed.
+// ============================================================================
+
+// ---- Constants -------------------------------------------------------------
+
+// Days-of-week keys used by costing_rules.loadings[].days (Sunday = 0).
+const COSTING_DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const COSTING_DAY_LABELS = {
+    weekday: 'Weekday', saturday: 'Saturday', sunday: 'Sunday', public_holiday: 'Public holiday'
+};
+
+// ---- Helpers ---------------------------------------------------------------
+
+function _costDayNumber(ymd) {
+    const p = ymd.split('-');
+    return Math.floor(Date.UTC(+p[0], +p[1] - 1, +p[2]) / 86400000);
+}
+
+function _costYmd(dayNumber) {
+    return new Date(dayNumber * 86400000).toISOString().slice(0, 10);
+}
+
+// "HH:MM" -> minutes. Hours past 24 reach into the next day ("32:00" = 8am).
+function _costMinutes(hhmm) {
+    const p = String(hhmm).split(':');
+    return +p[0] * 60 + (+p[1] || 0);
+}
+
+// Round to cents, half up. Scaling through 1e6 first stops binary float error
+// turning a pay-guide figure like 25.74 x 1.25 = 32.175 into 32.17.
+function _costCents(n) {
+    return Math.round(Math.round(n * 1e6) / 1e4) / 100;
+}
+
+function _costNum(v) {
+    return typeof v === 'number' && isFinite(v) ? v : null;
+}
+
+function _costIsCasual(type) { return type === 'casual'; }
+
+// Find the classification's row. Part-timers are paid the full-time rate.
+function findAwardRate(rates, classification, employmentType) {
+    if (!rates || !Array.isArray(rates.rates) || !classification) return null;
+    const want = String(classification).trim().toLowerCase();
+    const type = employmentType === 'part_time' ? 'full_time' : employmentType;
+    return rates.rates.find(function(r) {
+        return r.employment_type === type && Number(r.rate) > 0 &&
+            [r.classification, r.title].some(function(l) { return l && String(l).trim().toLowerCase() === want; });
+    }) || null;
+}
+
+// Ordinary (non-overtime) multiplier of the minimum hourly rate for a day.
+// Casuals use the award's *_casual figure where published, otherwise the
+// full-time figure plus the casual loading (the additive rule every award
+// file's notes describe).
+function _costDayMultiplier(pr, dayType, casual, loading) {
+    if (dayType === 'weekday') return casual ? 1 + loading : 1;
+    const ft = _costNum(pr[dayType + '_full_time_part_time']) || _costNum(pr[dayType]) || 1;
+    if (!casual) return ft;
+    return _costNum(pr[dayType + '_casual']) || ft + loading;
+}
+
+function _costOvertimeTiers(pr) {
+    if (_costNum(pr.overtime_first_2hrs)) return { minutes: 120, first: pr.overtime_first_2hrs, after: _costNum(pr.overtime_after_2hrs) || pr.overtime_first_2hrs, label: '2h' };
+    if (_costNum(pr.overtime_first_3hrs)) return { minutes: 180, first: pr.overtime_first_3hrs, after: _costNum(pr.overtime_after_3hrs) || pr.overtime_first_3hrs, label: '3h' };
+    return null;
+}
+
+// Does a whole-of-shift loading's start/finish window match this shift?
+// Times are minutes from midnight of the shift's start day; a finish window is
+// (from, to], a start window is [from, to).
+function _costLoadingMatches(loading, startMin, finishMin) {
+    return (loading.when || []).some(function(w) {
+        if (w.finish && !(finishMin > _costMinutes(w.finish[0]) && finishMin <= _costMinutes(w.finish[1]))) return false;
+        if (w.start && !(startMin >= _costMinutes(w.start[0]) && startMin < _costMinutes(w.start[1]))) return false;
+        return !!(w.finish || w.start);
+    });
+}
+
+// ---- Engine ----------------------------------------------------------------
+
+/**
+ * Prices one shift against the resolved award.
+ * @param {Object} shift - { date 'YYYY-MM-DD', start, end (minutes from midnight;
+ *   an end at or before start finishes next day), breakMinutes, breakStart,
+ *   employmentType 'full_time'|'part_time'|'casual', classification, shiftworker }
+ * @param {Object|Function} rates - the award rates JSON (awardRates), or a
+ *   function ymd -> the rates table in force on that date (js/rates-history.js)
+ * @param {Object} [opts] - { publicHolidays: ['YYYY-MM-DD'], baseRate (use this
+ *   minimum hourly rate instead of the classification lookup), ordinaryMinutes
+ *   (paid minutes before overtime starts; defaults to the award's daily cap) }
+ * @returns {Object} { ok, segments[], totalCost, ... } or { ok: false, error }
+ */
+function costShift(shift, rates, opts) {
+    opts = opts || {};
+    if (!rates) return { ok: false, error: 'No award rates loaded' };
+    if (!shift || !shift.date || typeof shift.start !== 'number' || typeof shift.end !== 'number') {
+        return { ok: false, error: 'Shift needs a date, start and end time' };
+    }
+    if (typeof rates === 'function') {
+        rates = rates(shift.date);
+        if (!rates) return { ok: false, error: 'No award rate table held for ' + shift.date };
+    }
+    if (!rates.penalty_rates) return { ok: false, error: 'No award rates loaded' };
+    const type = shift.employmentType;
+    if (['full_time', 'part_time', 'casual'].indexOf(type) === -1) {
+        return { ok: false, error: 'Employment type is required to price a shift' };
+    }
+    const casual = _costIsCasual(type);
+    const pr = rates.penalty_rates;
+    const loading = _costNum(rates.casual_loading) || 0;
+    const costing = rates.costing_rules || {};
+    const notes = [];
+
+    // Minimum hourly rate (pre-casual-loading) that every multiplier applies to.
+    let baseRate = _costNum(opts.baseRate);
+    let casualRow = null;
+    if (baseRate == null) {
+        const row = findAwardRate(rates, shift.classification, 'full_time');
+        if (!row) {
+            return { ok: false, error: shift.classification
+                ? 'Classification "' + shift.classification + '" is not in the ' + rates.ma_number + ' rates table'
+                : 'Classification is required to price a shift' };
+        }
+        baseRate = Number(row.rate);
+        if (casual) casualRow = findAwardRate(rates, shift.classification, 'casual');
+    }
+
+    // Paid minutes: the span less the unpaid break, placed at breakStart when
+    // known, otherwise at the middle of the shift.
+    const day0 = _costDayNumber(shift.date);
+    const startAbs = shift.start;
+    let endAbs = shift.end;
+    if (endAbs <= startAbs) endAbs += 1440;
+    const breakMins = Math.max(0, Math.min(shift.breakMinutes || 0, endAbs - startAbs));
+    let breakAt = startAbs + Math.floor((endAbs - startAbs - breakMins) / 2);
+    if (typeof shift.breakStart === 'number') {
+        breakAt = shift.breakStart < startAbs ? shift.breakStart + 1440 : shift.breakStart;
+    }
+
+    let ordinaryCap = _costNum(opts.ordinaryMinutes);
+    if (ordinaryCap == null) {
+        const cap = rates.roster_rules && rates.roster_rules.max_ordinary_hours_per_day;
+        if (cap && _costNum(cap.hours)) ordinaryCap = cap.hours * 60;
+        else notes.push('The award file sets no daily ordinary-hours cap, so daily overtime is not assessed.');
+    }
+    const tiers = _costOvertimeTiers(pr);
+    if (ordinaryCap != null && !tiers) notes.push('The award file has no overtime rates; hours past the daily cap are priced as ordinary time.');
+
+    const holidays = new Set(opts.publicHolidays || []);
+    const whole = [];
+    const windowed = [];
+    (costing.loadings || []).forEach(function(l) {
+        const amount = _costNum(pr[l.key]);
+        if (amount == null) return;
+        if (l.applies_to === 'shiftworkers' && !shift.shiftworker) {
+            if (l.basis === 'percent_whole_shift' && _costLoadingMatches(l, startAbs, endAbs)) {
+                notes.push(l.label + (l.clause ? ' (cl ' + l.clause + ')' : '') + ' applies to shiftworkers only — not applied.');
+            }
+            return;
+        }
+        if (l.basis === 'percent_whole_shift') {
+            if (l.days.indexOf(COSTING_DAY_KEYS[(day0 + 4) % 7]) !== -1 && _costLoadingMatches(l, startAbs, endAbs)) whole.push(Object.assign({ amount: amount }, l));
+        } else {
+            windowed.push(Object.assign({ amount: amount, from: _costMinutes(l.window[0]), to: _costMinutes(l.window[1]) }, l));
+        }
+    });
+    // Only the highest whole-of-shift loading applies.
+    whole.sort(function(a, b) { return b.amount - a.amount; });
+    const shiftLoading = whole[0] || null;
+
+    const casualOvertimeBasis = costing.casual_overtime_basis || 'additive';
+
+    const buckets = {};
+    let paid = 0;
+    for (let m = startAbs; m < endAbs; m++) {
+        if (m >= breakAt && m < breakAt + breakMins) continue;
+        const dayNum = day0 + Math.floor(m / 1440);
+        const minuteOfDay = ((m % 1440) + 1440) % 1440;
+        const dayKey = COSTING_DAY_KEYS[(dayNum + 4) % 7];
+        const dayType = holidays.has(_costYmd(dayNum)) ? 'public_holiday'
+            : dayKey === 'sat' ? 'saturday' : dayKey === 'sun' ? 'sunday' : 'weekday';
+        const dayMult = _costDayMultiplier(pr, dayType, casual, loading);
+        const overtimeIdx = ordinaryCap != null && tiers ? paid - ordinaryCap : -1;
+        paid++;
+
+        let key, segment, label, mult, flat = 0;
+        if (overtimeIdx >= 0) {
+            const first = overtimeIdx < tiers.minutes;
+            let ot = first ? tiers.first : tiers.after;
+            if (dayType === 'sunday' && _costNum(pr.sunday_overtime)) ot = pr.sunday_overtime;
+            if (dayType === 'public_holiday' && _costNum(pr.public_holiday_overtime)) ot = pr.public_holiday_overtime;
+            if (casual) ot = casualOvertimeBasis === 'multiplicative' ? ot * (1 + loading) : ot + loading;
+            // Overtime is never paid below the ordinary penalty for the same day.
+            mult = Math.max(ot, dayMult);
+            segment = 'overtime';
+            label = COSTING_DAY_LABELS[dayType] + ' overtime' + (dayType === 'weekday' || dayType === 'saturday'
+                ? (first ? ' (first ' + tiers.label + ')' : ' (after ' + tiers.label + ')') : '');
+        } else {
+            mult = dayMult;
+            segment = dayType === 'public_holiday' ? 'public_holiday' : dayType === 'weekday' ? 'ordinary' : 'weekend';
+            label = COSTING_DAY_LABELS[dayType];
+            // Evening/night/shift loadings are weekday-only: weekend and public
+            // holiday penalties apply in their place, never on top.
+            if (dayType === 'weekday') {
+                const extras = [];
+                if (shiftLoading) { mult += shiftLoading.amount; segment = shiftLoading.segment; extras.push(shiftLoading.label); }
+                windowed.forEach(function(l) {
+                    if (l.days.indexOf(dayKey) === -1 || minuteOfDay < l.from || minuteOfDay >= l.to) return;
+                    if (l.basis === 'flat_per_hour') flat += l.amount;
+                    else mult += l.amount;
+                    segment = l.segment;
+                    extras.push(l.label);
+                });
+                if (extras.length) label = extras.join(' + ');
+            }
+        }
+
+        key = label + '|' + mult + '|' + flat;
+        if (!buckets[key]) {
+            let rate = baseRate * mult + flat;
+            // Weekday ordinary casual time: use the published casual rate.
+            if (casualRow && segment === 'ordinary') rate = Number(casualRow.rate);
+            buckets[key] = { segment: segment, label: label, multiplier: _costCents(mult), flatPerHour: flat, rate: _costCents(rate), minutes: 0 };
+        }
+        buckets[key].minutes++;
+    }
+
+    const segments = Object.keys(buckets).map(function(k) {
+        const b = buckets[k];
+        b.hours = Math.round(b.minutes / 60 * 100) / 100;
+        b.cost = _costCents(b.rate * b.minutes / 60);
+        return b;
+    });
+    const sum = function(list) { return _costCents(list.reduce(function(t, s) { return t + s.cost; }, 0)); };
+    const ordinary = segments.filter(function(s) { return s.segment !== 'overtime'; });
+    const overtime = segments.filter(function(s) { return s.segment === 'overtime'; });
+    if (casual && overtime.length && !costing.casual_overtime_basis) {
+        notes.push('Casual overtime priced with the casual loading added to the overtime percentage (the award file does not state the basis).');
+    }
+    return {
+        ok: true,
+        awardCode: rates.ma_number,
+        classification: shift.classification || null,
+        employmentType: type,
+        baseRate: baseRate,
+        ordinaryRate: casualRow ? Number(casualRow.rate) : _costCents(baseRate * (casual ? 1 + loading : 1)),
+        segments: segments,
+        paidMinutes: paid,
+        paidHours: Math.round(paid / 60 * 100) / 100,
+        ordinaryHours: Math.round(ordinary.reduce(function(t, s) { return t + s.minutes; }, 0) / 60 * 100) / 100,
+        ordinaryCost: sum(ordinary),
+        overtimeHours: Math.round(overtime.reduce(function(t, s) { return t + s.minutes; }, 0) / 60 * 100) / 100,
+        overtimeCost: sum(overtime),
+        totalCost: sum(segments),
+        notes: notes
+    };
+}
+
+/**
+ * Prices a list of shifts. Lines that cannot be priced keep their error and
+ * are counted in `unpriced` rather than contributing a made-up figure.
+ */
+function costRoster(shifts, rates, opts) {
+    const lines = (shifts || []).map(function(s) { return { shift: s, costing: costShift(s, rates, opts) }; });
+    const priced = lines.filter(function(l) { return l.costing.ok; });
+    return {
+        lines: lines,
+        totalCost: _costCents(priced.reduce(function(t, l) { return t + l.costing.totalCost; }, 0)),
+        totalHours: Math.round(priced.reduce(function(t, l) { return t + l.costing.paidMinutes; }, 0) / 60 * 100) / 100,
+        unpriced: lines.length - priced.length
+    };
+}
+
+/**
+ * Compares the hourly rate actually paid on each shift (shift.ratePaid, from a
+ * timesheet or payroll export) with the award cost of the same shift. A shift
+ * is underpaid when ratePaid x paid hours falls short of the award total.
+ * Shifts with no rate paid, or that cannot be priced, are counted separately.
+ */
+function checkPaidRates(shifts, rates, opts) {
+    const underpaid = [];
+    const unpriced = [];
+    let checked = 0;
+    let withoutRate = 0;
+    (shifts || []).forEach(function(s) {
+        if (!(s.ratePaid > 0)) { withoutRate++; return; }
+        const c = costShift(s, rates, opts);
+        if (!c.ok) { unpriced.push({ row: s.row, employee: s.employee, reason: c.error }); return; }
+        checked++;
+        const paid = _costCents(s.ratePaid * c.paidMinutes / 60);
+        if (c.totalCost - paid >= 0.01) {
+            underpaid.push({
+                row: s.row, employee: s.employee, date: s.date, ratePaid: s.ratePaid,
+                paid: paid, expected: c.totalCost, shortfall: _costCents(c.totalCost - paid), costing: c
+            });
+        }
+    });
+    return {
+        checked: checked,
+        underpaid: underpaid,
+        unpriced: unpriced,
+        withoutRate: withoutRate,
+        totalShortfall: _costCents(underpaid.reduce(function(t, u) { return t + u.shortfall; }, 0))
+    };
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.costShift = costShift;
+    window.costRoster = costRoster;
+    window.findAwardRate = findAwardRate;
+    window.checkPaidRates = checkPaidRates;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { costShift, costRoster, findAwardRate, checkPaidRates };
+}
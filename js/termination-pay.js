@@ -0,0 +1,276 @@
+// ============================================================================
+// TERMINATION PAY — NES notice, redundancy pay and leave paid out on exit
+// ----------------------------------------------------------------------------
+// Pure functions. Deterministic. No Firestore reads, no AI calls, no DOM.
+// Depends on js/leave-accrual.js (LSL_STATE_RULES, calculateLeaveBalances),
+// which loads before it.
+//
+// calculateTerminationPay(employee, opts) itemises what an employee is owed on
+// leaving, beyond wages for time worked:
+//   - pay in lieu of the NES notice period not worked (s117), by continuous
+//     service at the day notice is given, plus a week for employees over 45
+//     with 2 years' service;
+//   - NES redundancy pay (s119), unless the employer is a small business
+//     (s121(1)(b));
+//   - unused annual leave (s90(2)), with annual leave loading where the
+//     award pays it on termination (TERMINATION_LEAVE_LOADING);
+//   - long service leave under the state Act, when it can be taken or when
+//     the reason for leaving qualifies for pro rata payment.
+// Casuals get none of the NES items but can be owed long service leave.
+// Every item is returned with its basis so the final-pay statement can show
+// why an entitlement is nil, not just what is owed.
+// ============================================================================
+
+// ---- Constants -------------------------------------------------------------
+
+// s117(3): weeks of notice by continuous service (more than `years`).
+const NES_NOTICE_SCALE = [
+    { years: 5, weeks: 4 },
+    { years: 3, weeks: 3 },
+    { years: 1, weeks: 2 },
+    { years: 0, weeks: 1 }
+];
+
+// s117(3)(b): one more week for an employee over 45 with at least 2 years' service.
+const NES_NOTICE_OVER_45 = { age: 45, years: 2, weeks: 1 };
+
+// s119(2): weeks of redundancy pay by completed years of continuous service.
+const NES_REDUNDANCY_SCALE = [
+    { years: 10, weeks: 12 },
+    { years: 9, weeks: 16 },
+    { years: 8, weeks: 14 },
+    { years: 7, weeks: 13 },
+    { years: 6, weeks: 11 },
+    { years: 5, weeks: 10 },
+    { years: 4, weeks: 8 },
+    { years: 3, weeks: 7 },
+    { years: 2, weeks: 6 },
+    { years: 1, weeks: 4 }
+];
+
+// s121(1)(b) / s23: fewer than 15 employees (headcount) is a small business.
+const NES_SMALL_BUSINESS_HEADCOUNT = 15;
+
+// Most modern awards' payment on termination clause: final pay within 7 days.
+const TERMINATION_PAYMENT_DAYS = 7;
+
+const TERMINATION_REASONS = {
+    dismissal: 'Dismissal (not for serious misconduct)',
+    redundancy: 'Redundancy',
+    serious_misconduct: 'Dismissal for serious misconduct',
+    resignation: 'Resignation',
+    resignation_necessity: 'Resignation because of illness, incapacity or domestic or other pressing necessity'
+};
+
+// Whether the award pays annual leave loading on leave paid out on
+// termination. null: the award does not say clearly, so the loading is
+// included (the safe course) and the result says to check.
+const TERMINATION_LEAVE_LOADING = {
+    MA000009: { onTermination: true, clause: null },
+    MA000119: { onTermination: true, clause: null },
+    MA000004: { onTermination: null, clause: null },
+    MA000010: { onTermination: false, clause: 'cl 34.8' },    // paid at the cl 34.3 rate; the cl 34.4 loading is for a period of leave
+    MA000100: { onTermination: null, clause: 'cl 31.4' },
+    MA000027: { onTermination: false, clause: 'cl 27.3' },    // loading "for the period of annual leave"
+    MA000120: { onTermination: true, clause: 'cl 24.3' }      // 17.5% of the NES payment, which includes s90(2)
+};
+
+// ---- Helpers ---------------------------------------------------------------
+
+function _termCents(n) {
+    return Math.round(Math.round(n * 1e6) / 1e4) / 100;
+}
+
+function _termHours(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function _termIsDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function _termAddDays(ymd, n) {
+    const p = ymd.split('-');
+    return new Date(Date.UTC(+p[0], +p[1] - 1, +p[2] + n)).toISOString().slice(0, 10);
+}
+
+// Same day n years on; 29 February falls back to 28 February in common years.
+function _termAddYears(ymd, n) {
+    const p = ymd.split('-');
+    const y = +p[0] + n;
+    const leap = (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+    return y + '-' + p[1] + '-' + (p[1] === '02' && p[2] === '29' && !leap ? '28' : p[2]);
+}
+
+// Service from `start` to the end of `last` is at least n years.
+function _termAtLeast(start, last, n) {
+    return _termAddDays(last, 1) >= _termAddYears(start, n);
+}
+
+// Service from `start` to `date` is more than n years — strictly, as s117(3)
+// reads: on the nth anniversary itself it is exactly n years.
+function _termMoreThan(start, date, n) {
+    return date > _termAddYears(start, n);
+}
+
+// Completed years of service from `start` to the end of `last`.
+function _termCompletedYears(start, last) {
+    let n = 0;
+    while (_termAtLeast(start, last, n + 1)) n++;
+    return n;
+}
+
+/**
+ * The award's rule for annual leave loading on termination.
+ * @returns {Object} { payable, confirmed, clause }
+ */
+function terminationLeaveLoading(awardCode) {
+    const rule = TERMINATION_LEAVE_LOADING[awardCode];
+    if (!rule || rule.onTermination === null) return { payable: true, confirmed: false, clause: rule ? rule.clause : null };
+    return { payable: rule.onTermination, confirmed: true, clause: rule.clause };
+}
+
+// ---- Engine ----------------------------------------------------------------
+
+/**
+ * Itemised termination entitlements for one employee.
+ * @param {Object} employee - { employee, employmentType, startDate, lastDay, age,
+ *   state, weeklyHours, hourlyRate (base), fullHourlyRate (optional: the full
+ *   rate for notice in lieu, s117(2)(b)), shiftworker, annualLeaveHours,
+ *   longServiceHours (optional balance; otherwise accrued by the state Act
+ *   less longServiceTakenHours) }
+ * @param {Object} opts - { reason (TERMINATION_REASONS key), employerHeadcount,
+ *   noticeWorkedWeeks (default 0), leaveLoading (default 0.175), awardCode,
+ *   loadingOnTermination (overrides the award rule) }
+ * @returns {Object} { ok, items[], total, paymentDueBy, notice, redundancy,
+ *   annualLeave, longService, notes[] } or { ok: false, error }
+ */
+function calculateTerminationPay(employee, opts) {
+    const e = employee || {};
+    opts = opts || {};
+    const reason = opts.reason;
+    if (!TERMINATION_REASONS[reason]) return { ok: false, error: 'Choose why the employment is ending' };
+    if (!_termIsDate(e.startDate) || !_termIsDate(e.lastDay)) return { ok: false, error: 'Start date and last day of employment are required' };
+    if (e.lastDay < e.startDate) return { ok: false, error: 'The last day is before the start date' };
+    if (!['full_time', 'part_time', 'casual'].includes(e.employmentType)) return { ok: false, error: 'Employment type is required' };
+    if (!(e.weeklyHours > 0)) return { ok: false, error: 'Weekly ordinary hours are required' };
+    if (!(e.hourlyRate > 0)) return { ok: false, error: 'The base hourly rate is required' };
+
+    const casual = e.employmentType === 'casual';
+    const rate = e.hourlyRate;
+    const fullRate = e.fullHourlyRate > 0 ? e.fullHourlyRate : rate;
+    const worked = opts.noticeWorkedWeeks > 0 ? opts.noticeWorkedWeeks : 0;
+    const loadingRate = typeof opts.leaveLoading === 'number' ? opts.leaveLoading : 0.175;
+    const awardLoading = terminationLeaveLoading(opts.awardCode);
+    const loadingPayable = typeof opts.loadingOnTermination === 'boolean' ? opts.loadingOnTermination : awardLoading.payable;
+    const completedYears = _termCompletedYears(e.startDate, e.lastDay);
+    const notes = [];
+    const items = [];
+    const item = function(key, label, hours, itemRate, basis) {
+        const amount = hours > 0 ? _termCents(hours * itemRate) : 0;
+        items.push({ key: key, label: label, hours: _termHours(hours || 0), rate: hours > 0 ? itemRate : null, amount: amount, basis: basis });
+        return amount;
+    };
+
+    // Notice (s117). Service is counted to the day notice is given.
+    const noticeDate = worked ? _termAddDays(e.lastDay, -7 * Math.round(worked)) : e.lastDay;
+    const notice = { requiredWeeks: 0, over45Weeks: 0, workedWeeks: worked, inLieuWeeks: 0, noticeDate: noticeDate, amount: 0, exempt: null };
+    if (casual) notice.exempt = 'Casual employees are not entitled to notice (s123).';
+    else if (reason === 'serious_misconduct') notice.exempt = 'No notice is required for serious misconduct (s123).';
+    else if (reason === 'resignation' || reason === 'resignation_necessity') notice.exempt = 'The employee resigned, so the employer does not pay notice (check any notice the award requires the employee to give).';
+    else {
+        const tier = NES_NOTICE_SCALE.find(function(t) { return t.years === 0 || _termMoreThan(e.startDate, noticeDate, t.years); });
+        notice.requiredWeeks = tier.weeks;
+        if (e.age > NES_NOTICE_OVER_45.age && _termAtLeast(e.startDate, noticeDate, NES_NOTICE_OVER_45.years)) {
+            notice.over45Weeks = NES_NOTICE_OVER_45.weeks;
+            notice.requiredWeeks += notice.over45Weeks;
+        }
+        notice.inLieuWeeks = Math.max(0, notice.requiredWeeks - worked);
+    }
+    notice.amount = item('notice', 'Payment in lieu of notice', notice.inLieuWeeks * e.weeklyHours, fullRate,
+        notice.exempt || (notice.requiredWeeks + ' week' + (notice.requiredWeeks === 1 ? '' : 's') + '\' notice (s117(3))' +
+            (notice.over45Weeks ? ', including an extra week for an employee over 45 with 2 years\' service' : '') +
+            (worked ? '; ' + worked + ' week' + (worked === 1 ? '' : 's') + ' worked' : '') +
+            '; paid at the full rate of pay (s117(2)(b))'));
+    if (!notice.exempt && fullRate === rate) notes.push('Pay in lieu of notice is at the full rate of pay (including loadings, allowances and penalties the employee would have earned). It has been calculated at the base rate — enter a full rate if it is higher.');
+
+    // Redundancy pay (s119).
+    const redundancy = { weeks: 0, amount: 0, exempt: null };
+    if (reason !== 'redundancy') redundancy.exempt = 'Not a redundancy.';
+    else if (casual) redundancy.exempt = 'Casual employees are not entitled to redundancy pay (s123).';
+    else if (typeof opts.employerHeadcount === 'number' && opts.employerHeadcount < NES_SMALL_BUSINESS_HEADCOUNT) redundancy.exempt = 'Small business employer (fewer than ' + NES_SMALL_BUSINESS_HEADCOUNT + ' employees) — no NES redundancy pay (s121(1)(b)).';
+    else if (completedYears < 1) redundancy.exempt = 'Less than 1 year of continuous service (s119(2)).';
+    else redundancy.weeks = NES_REDUNDANCY_SCALE.find(function(t) { return completedYears >= t.years; }).weeks;
+    if (reason === 'redundancy' && !casual && typeof opts.employerHeadcount !== 'number') notes.push('Employer headcount not given — redundancy pay assumes 15 or more employees. Small businesses are exempt.');
+    if (redundancy.exempt && reason === 'redundancy' && /Small business/.test(redundancy.exempt)) notes.push('Some awards have their own redundancy scheme for small business employers — check yours.');
+    redundancy.amount = item('redundancy', 'Redundancy pay', redundancy.weeks * e.weeklyHours, rate,
+        redundancy.exempt || (redundancy.weeks + ' weeks for ' + completedYears + ' completed year' + (completedYears === 1 ? '' : 's') + ' of service (s119(2)), at the base rate of pay'));
+
+    // Unused annual leave (s90(2)) and loading.
+    const annualLeave = { hours: 0, amount: 0, loading: 0, loadingPayable: loadingPayable, exempt: null };
+    if (casual) annualLeave.exempt = 'Casual employees do not accrue annual leave.';
+    else if (e.annualLeaveHours == null) { annualLeave.exempt = 'No annual leave balance entered.'; notes.push('Enter the annual leave balance to include it.'); }
+    else annualLeave.hours = Math.max(0, e.annualLeaveHours);
+    annualLeave.amount = item('annual_leave', 'Unused annual leave', annualLeave.hours, rate,
+        annualLeave.exempt || 'Accrued, untaken annual leave at the base rate of pay (s90(2))');
+    const loadingBasis = !loadingPayable
+        ? 'The award does not pay annual leave loading on termination' + (awardLoading.clause ? ' (' + awardLoading.clause + ')' : '') + '.'
+        : Math.round(loadingRate * 1000) / 10 + '% annual leave loading' + (awardLoading.clause ? ' (' + awardLoading.clause + ')' : '');
+    annualLeave.loading = item('annual_leave_loading', 'Annual leave loading', loadingPayable ? annualLeave.hours : 0, rate * loadingRate,
+        annualLeave.exempt || loadingBasis);
+    if (annualLeave.hours > 0 && loadingPayable && !awardLoading.confirmed) notes.push('Your award does not say clearly whether leave loading is paid on termination, so it has been included. Check the award\'s annual leave clause.');
+    if (annualLeave.hours > 0 && loadingPayable && e.shiftworker) notes.push('For a shiftworker the award may require the shift penalties the employee would have earned instead of the loading, where they are higher.');
+
+    // Long service leave under the state Act.
+    const longService = { hours: 0, amount: 0, status: null, payable: false, act: null, exempt: null };
+    const lsl = e.state ? LSL_STATE_RULES[e.state] : null;
+    if (!lsl) {
+        longService.exempt = 'No work state — long service leave not assessed.';
+    } else {
+        const accrual = calculateLeaveBalances([{
+            row: 0, employee: e.employee || 'Employee', startDate: e.startDate, endDate: e.lastDay, employmentType: e.employmentType,
+            state: e.state, weeklyHours: e.weeklyHours, hoursWorked: null, hourlyRate: rate, classification: null, shiftworker: !!e.shiftworker
+        }], [], { asAt: e.lastDay }).employees[0].longService;
+        const balance = e.longServiceHours != null ? e.longServiceHours : Math.max(0, accrual.accrued - (e.longServiceTakenHours || 0));
+        longService.act = lsl.act;
+        longService.status = accrual.status;
+        longService.payable = accrual.status === 'entitled' || (accrual.status === 'pro_rata' && lsl.proRataReasons.indexOf(reason) !== -1);
+        if (accrual.status === 'accruing') longService.exempt = 'Less than ' + lsl.proRataYears + ' years of service — nothing is payable under the ' + lsl.act + '.';
+        else if (!longService.payable) longService.exempt = 'Pro rata long service leave under the ' + lsl.act + ' is payable only on ' + lsl.proRataOn + '.';
+        else longService.hours = _termHours(Math.max(0, balance));
+    }
+    longService.amount = item('long_service', 'Long service leave', longService.hours, rate,
+        longService.exempt || (longService.status === 'entitled' ? 'Accrued long service leave' : 'Pro rata long service leave') + ' under the ' + longService.act + ', at the ordinary rate of pay');
+
+    const total = _termCents(items.reduce(function(t, i) { return t + i.amount; }, 0));
+    notes.push('Wages for time worked up to the last day, tax and superannuation are not included. Superannuation is not payable on unused leave or redundancy pay, but is payable on pay in lieu of notice.');
+
+    return {
+        ok: true,
+        employee: e.employee || '',
+        reason: reason,
+        reasonLabel: TERMINATION_REASONS[reason],
+        startDate: e.startDate,
+        lastDay: e.lastDay,
+        completedYears: completedYears,
+        paymentDueBy: _termAddDays(e.lastDay, TERMINATION_PAYMENT_DAYS),
+        notice: notice,
+        redundancy: redundancy,
+        annualLeave: annualLeave,
+        longService: longService,
+        items: items,
+        total: total,
+        notes: notes
+    };
+}
+
+// ---- Expose to window for app-main.js wiring and devtools testing ---------
+
+if (typeof window !== 'undefined') {
+    window.TERMINATION_REASONS = TERMINATION_REASONS;
+    window.terminationLeaveLoading = terminationLeaveLoading;
+    window.calculateTerminationPay = calculateTerminationPay;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TERMINATION_REASONS, terminationLeaveLoading, calculateTerminationPay };
+}
@@ -3,14 +3,128 @@
 
 // Source-of-truth award data — bundled into the function via esbuild.
 // If these JSON files change, the chat prompt facts update automatically
-// without any code change here.
-const restaurantRates = require('../../restaurant-award-rates.json');
-const hospitalityRates = require('../../hospitality-award-rates.json');
-const manufacturingRates = require('../../manufacturing-award-rates.json');
-const schadsRates = require('../../schads-award-rates.json');
-const retailRates = require('../../retail-award-rates.json');
-const healthRates = require('../../health-award-rates.json');
-const childrensRates = require('../../childrens-award-rates.json');
+// without any code change here. The award list itself (names, aliases, sector
+// copy, rates file) is the shared registry in js/award-registry.js.
+const { resolveAwardEntry } = require('../../js/award-registry.js');
+const { ratesVersions, ratesVersionAsAt } = require('../../js/rates-history.js');
+const { readSseEvents, formatSseEvent } = require('../../js/chat-stream.js');
+const { buildClauseSearch, retrieveClauses, citedClauses } = require('../../js/clause-retrieval.js');
+const { CHAT_TOOL_DEFINITIONS, runChatTool, describeChatToolCall } = require('../../js/chat-tools.js');
+const { getPublicHolidaysForState } = require('../../js/fitz-watch-countdown.js');
+const { chargePrompt, promptRequestKind } = require('../../js/prompt-quota.js');
+const { buildDocumentPrompt } = require('../../js/document-prompts.js');
+const { FITZ_WATCH_QUESTION_REGISTRY, FITZ_WATCH_SEVERITY_ORDER, getStatutoryAnchor } = require('../../js/fitz-watch-rules.js');
+const FITZ_WATCH_RULE_DATA = require('../../fitz-watch-rules.json');
+const {
+  CONVERSATION_MEMORY_SECTIONS, normaliseConversationMemory, planConversationHistory,
+  buildConversationMemoryBlock, buildMemoryUpdatePrompt, parseConversationMemoryUpdate
+} = require('../../js/conversation-memory.js');
+const { PII_PROMPT_NOTE, createPiiRedactor } = require('../../js/pii-redaction.js');
+const { Readable } = require('stream');
+const { stream } = require('@netlify/functions');
+const admin = require('firebase-admin');
+
+// Firebase Admin verifies the caller's ID token and keeps the prompt count
+// (users/{uid}.credits). Same credentials as stripe-webhook.js. Without them
+// the function refuses every message rather than chat for free.
+let db = null;
+try {
+  if (!admin.apps.length) {
+    if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_CLIENT_EMAIL || !process.env.FIREBASE_PRIVATE_KEY) {
+      console.error('⚠️ Missing Firebase credentials — chat will refuse all messages');
+    } else {
+      admin.initializeApp({
+        credential: admin.credential.cert({
+          projectId: process.env.FIREBASE_PROJECT_ID,
+          clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+          privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+        })
+      });
+      db = admin.firestore();
+    }
+  } else {
+    db = admin.firestore();
+  }
+} catch (error) {
+  console.error('❌ Firebase Admin init failed:', error.message);
+}
+
+// MA code -> rates file (current table + previous_versions history). esbuild
+// bundles only literal require paths, so each file is named here; the test
+// suite checks this map covers every registry entry.
+const RATES_FILES_BY_CODE = {
+  MA000009: require('../../hospitality-award-rates.json'),
+  MA000119: require('../../restaurant-award-rates.json'),
+  MA000010: require('../../manufacturing-award-rates.json'),
+  MA000100: require('../../schads-award-rates.json'),
+  MA000004: require('../../retail-award-rates.json'),
+  MA000027: require('../../health-award-rates.json'),
+  MA000120: require('../../childrens-award-rates.json')
+};
+
+// MA code -> award clause index (clausesFile in the registry), for the awards
+// whose consolidated text is held. Literal requires for esbuild, as above.
+const CLAUSE_INDEX_BY_CODE = {
+  MA000010: require('../../manufacturing-award-clauses.json'),
+  MA000100: require('../../schads-award-clauses.json'),
+  MA000027: require('../../health-award-clauses.json'),
+  MA000120: require('../../childrens-award-clauses.json')
+};
+const clauseSearchByCode = {};
+
+// The award clauses that best match this question (js/clause-retrieval.js).
+// Term statistics are built once per award per warm function instance. The
+// VENUE CONTEXT line the app prefixes to the message is not part of the
+// question, so it is left out of the search.
+function retrieveAwardClauses(code, message) {
+  const index = CLAUSE_INDEX_BY_CODE[code];
+  if (!index) return [];
+  if (!clauseSearchByCode[code]) clauseSearchByCode[code] = buildClauseSearch(index);
+  return retrieveClauses(clauseSearchByCode[code], message.replace(/^\s*VENUE CONTEXT:.*$/m, ''));
+}
+
+// Retrieved clause text for the system prompt, with the rules for citing it.
+// Sent as its own uncached block: it changes with every message.
+function buildClauseContextBlock(code, clauses) {
+  const index = CLAUSE_INDEX_BY_CODE[code];
+  const lines = [`AWARD CLAUSE TEXT — retrieved from the ${index.award} (consolidated to ${index.consolidated_to}) for this question:`, ''];
+  clauses.forEach((c) => {
+    lines.push(`[cl ${c.clause} — ${c.heading}]`);
+    lines.push(c.text);
+    lines.push('');
+  });
+  lines.push('How to use these clauses:');
+  lines.push('- When your answer relies on one of them, cite it by number as "cl ' + clauses[0].clause + '" (add the paragraph, e.g. "(b)", where it helps) and quote the key words where the exact wording matters.');
+  lines.push('- Cite only clause numbers that appear above or in the award facts; never invent or guess a clause number.');
+  lines.push('- If none of these clauses answers the question, say so rather than stretching them.');
+  lines.push('- Dollar amounts in this text can predate the current rates — take figures from the award facts in the main prompt.');
+  return lines.join('\n');
+}
+
+// The rate table in force for an award on a date ('YYYY-MM-DD', or a Date —
+// read in Australia/Sydney so 1 July rolls over on the Australian calendar).
+// Null when the award is unknown or the date is before the earliest version
+// held. See js/rates-history.js.
+function ratesAsAt(code, date) {
+  const ymd = date instanceof Date
+    ? new Intl.DateTimeFormat('en-CA', { timeZone: 'Australia/Sydney' }).format(date)
+    : date;
+  return ratesVersionAsAt(RATES_FILES_BY_CODE[code], ymd);
+}
+
+// States which rate table the prompt figures come from, and which earlier
+// tables are held, so a question about a past pay period is not answered with
+// today's figures unqualified.
+function buildRatesPeriodFacts(code, rates) {
+  const held = ratesVersions(RATES_FILES_BY_CODE[code]).filter((v) => v !== rates);
+  const lines = [`RATES PERIOD: the figures below are the rates in force from ${rates.effective_date} (next review ${rates.next_review_date}).`];
+  if (held.length) {
+    lines.push(`Earlier tables held: ${held.map((v) => `${v.effective_date} to ${v.next_review_date}`).join('; ')}. If the user asks about work performed in an earlier period, say the figures differ for that period and either call your rate tools with the date the work was performed or point them to the Back-Pay Calculator or Award Wizard (all of which price at the rates in force on the date) rather than quoting today's figures for it.`);
+  } else {
+    lines.push(`No earlier table is held. If the user asks about work performed before ${rates.effective_date}, say these figures may not have applied then and direct them to the FWO Pay Guide for that period rather than quoting today's figures for it.`);
+  }
+  return lines.join('\n');
+}
 
 // Builds the PENALTY RATES section of the system prompt from a rates JSON.
 function buildPenaltyRateFacts(rates, awardLabel) {
@@ -87,13 +201,13 @@ function buildPenaltyRateFacts(rates, awardLabel) {
   } else if (rates.ma_number === 'MA000010') {
     lines.push(`NOTE: Manufacturing shift loadings (afternoon/night) apply to shiftworkers on their ordinary hours; weekend, public holiday and overtime rates apply as listed. Afternoon and night shift loadings are +15% (clause 33.2(d)) and permanent night shift +30% (clause 33.2(f)).`);
   } else if (rates.ma_number === 'MA000100') {
-    lines.push(`NOTE: SCHADS weekend/public-holiday penalties are Saturday 150%, Sunday 200%, public holiday 250% of the minimum hourly rate for full-time/part-time employees (clause 29); casual employees add the 25% casual loading (Saturday 175%, Sunday 225%, public holiday 275%). Shift loadings are afternoon +12.5% and night +15% (clause 29.4) — afternoon shift finishes after 8pm and at or before midnight; night shift finishes after midnight and at or before 8am. The higher of a penalty rate or shift loading applies for the same hours, not both. Sleepover, on-call, broken-shift and 24-hour-care payments are additional — direct the user to the award/Pay Guide for those.`);
+    lines.push(`NOTE: SCHADS weekend/public-holiday penalties are Saturday 150%, Sunday 200%, public holiday 250% of the minimum hourly rate for full-time/part-time employees (clause 29); casual employees add the 25% casual loading (Saturday 175%, Sunday 225%, public holiday 275%). Shift loadings are afternoon +12.5% and night +15% (clause 29.4) — afternoon shift finishes after 8pm and at or before midnight; night shift finishes after midnight and at or before 8am. The higher of a penalty rate or shift loading applies for the same hours, not both. Sleepover, broken-shift and 24-hour-care payments are additional — the Award Wizard prices a whole day of client visits, sleepovers and 24-hour care; on-call payments are not modelled, so direct the user to the award/Pay Guide for those.`);
   } else if (rates.ma_number === 'MA000004') {
-    lines.push(`NOTE: General Retail penalties (clause 22) are, for full-time/part-time employees, Saturday 125%, Sunday 150% and public holiday 225% of the ordinary hourly rate; casual employees add the 25% casual loading (Saturday 150%, Sunday 175%, public holiday 250%). A separate evening loading of 25% applies to ordinary hours worked after 6:00pm Monday to Friday (150% for casuals, i.e. 125% + the 25% loading). Weekend and public holiday penalty rates apply instead of the evening loading on those days, not on top. Overtime (clause 21) is 150% for the first 3 hours and 200% thereafter, with all Sunday overtime at 200% and public holiday overtime at 250%. These figures are the adult classification rates; junior (age-scaled) and apprentice rates are a percentage of the adult rate — direct the user to the Pay Guide for those.`);
+    lines.push(`NOTE: General Retail penalties (clause 22) are, for full-time/part-time employees, Saturday 125%, Sunday 150% and public holiday 225% of the ordinary hourly rate; casual employees add the 25% casual loading (Saturday 150%, Sunday 175%, public holiday 250%). A separate evening loading of 25% applies to ordinary hours worked after 6:00pm Monday to Friday (150% for casuals, i.e. 125% + the 25% loading). Weekend and public holiday penalty rates apply instead of the evening loading on those days, not on top. Overtime (clause 21) is 150% for the first 3 hours and 200% thereafter, with all Sunday overtime at 200% and public holiday overtime at 250%. These figures are the adult classification rates; junior (age-scaled) and apprentice rates are a percentage of the adult rate — the Award Wizard (🛠️ Tools) prices them from the employee's age or apprenticeship year; otherwise direct the user to the Pay Guide.`);
   } else if (rates.ma_number === 'MA000027') {
-    lines.push(`NOTE: Health Professionals & Support Services penalties (clause 26) are, for full-time/part-time employees, Saturday and Sunday 150% and public holiday 250% of the minimum hourly rate; casual employees add the 25% loading (Saturday/Sunday 175%, public holiday 275%). A Monday-to-Friday shiftwork loading of 15% applies to shiftworkers' ordinary hours (115% full-time/part-time, 140% casual). Overtime (clause 25) is 150% for the first 2 hours and 200% thereafter, with Sunday overtime 200%. For CASUALS, the overtime percentage is applied to the loaded casual rate (multiplicative), giving 187.5% for the first 2 hours, 250% thereafter, 250% Sunday overtime and 312.5% public holiday overtime — do not simply add the 25% loading to the overtime figure. A 'less than 10 hour break after overtime' rate of 200% also applies (clause 25). These figures are the adult classification rates across the four streams (Support Services, Dental assistants, Pathology collectors, Health Professionals); junior and apprentice rates are not listed here — direct the user to the Pay Guide.`);
+    lines.push(`NOTE: Health Professionals & Support Services penalties (clause 26) are, for full-time/part-time employees, Saturday and Sunday 150% and public holiday 250% of the minimum hourly rate; casual employees add the 25% loading (Saturday/Sunday 175%, public holiday 275%). A Monday-to-Friday shiftwork loading of 15% applies to shiftworkers' ordinary hours (115% full-time/part-time, 140% casual). Overtime (clause 25) is 150% for the first 2 hours and 200% thereafter, with Sunday overtime 200%. For CASUALS, the overtime percentage is applied to the loaded casual rate (multiplicative), giving 187.5% for the first 2 hours, 250% thereafter, 250% Sunday overtime and 312.5% public holiday overtime — do not simply add the 25% loading to the overtime figure. A 'less than 10 hour break after overtime' rate of 200% also applies (clause 25). These figures are the adult classification rates across the four streams (Support Services, Dental assistants, Pathology collectors, Health Professionals); junior rates are not listed here — the Award Wizard (🛠️ Tools) prices them from the employee's age; for apprentice rates direct the user to the Pay Guide.`);
   } else if (rates.ma_number === 'MA000120') {
-    lines.push(`NOTE: Children's Services penalties (clause 23) are, for full-time/part-time employees, Sunday 200% and public holiday 250% of the ordinary hourly rate. Saturday is different: shiftworkers receive a 150% ordinary penalty, while day workers (non-shiftworkers) are paid OVERTIME for Saturday work (150% first 2 hours, 200% thereafter) — there is no ordinary weekday-equivalent Saturday penalty for day workers. Shiftwork loadings are early morning +10% (110%), afternoon +15% (115%), rotating night +17.5% (117.5%) and permanent night +30% (130%). Overtime is 150% for the first 2 hours and 200% thereafter (Monday-Saturday). Casual employees add the 25% casual loading to EVERY penalty, shift and overtime rate (additive): e.g. early morning 135%, permanent night 155%, Sunday 225%, public holiday 275%, overtime 175%/225%. These figures are the adult classification rates for the Support worker and Children's services employee (educator) streams; junior and apprentice rates are not listed here — direct the user to the Pay Guide.`);
+    lines.push(`NOTE: Children's Services penalties (clause 23) are, for full-time/part-time employees, Sunday 200% and public holiday 250% of the ordinary hourly rate. Saturday is different: shiftworkers receive a 150% ordinary penalty, while day workers (non-shiftworkers) are paid OVERTIME for Saturday work (150% first 2 hours, 200% thereafter) — there is no ordinary weekday-equivalent Saturday penalty for day workers. Shiftwork loadings are early morning +10% (110%), afternoon +15% (115%), rotating night +17.5% (117.5%) and permanent night +30% (130%). Overtime is 150% for the first 2 hours and 200% thereafter (Monday-Saturday). Casual employees add the 25% casual loading to EVERY penalty, shift and overtime rate (additive): e.g. early morning 135%, permanent night 155%, Sunday 225%, public holiday 275%, overtime 175%/225%. These figures are the adult classification rates for the Support worker and Children's services employee (educator) streams; junior rates are not listed here — the Award Wizard (🛠️ Tools) prices them from the employee's age; for apprentice rates direct the user to the Pay Guide.`);
   } else {
     lines.push(`NOTE: Weekend and public holiday rates supersede the late-night loadings.`);
   }
@@ -173,7 +287,9 @@ function buildAllowanceFacts(rates, awardLabel) {
 // FITZ WATCH context block — builds a focused system addendum when a chat
 // request comes from a gap card. Tells Claude to (a) treat the user's
 // structured brief as established facts, (b) stay anchored to the gap's
-// statutory citation, and (c) produce a specific, actionable response.
+// statutory citation, (c) produce a specific, actionable response and (d)
+// answer nothing but this gap — the gap chat is not charged, so it must not
+// double as a free general chat.
 // ============================================================================
 function buildFitzWatchContextBlock(venueContext, gapContext) {
   const lines = ['=== FITZ WATCH CONTEXT ==='];
@@ -185,6 +301,7 @@ function buildFitzWatchContextBlock(venueContext, gapContext) {
     lines.push('Active gap details:');
     if (gapContext.gapId)    lines.push('- Gap ID: ' + gapContext.gapId);
     if (gapContext.title)    lines.push('- Gap title: ' + gapContext.title);
+    if (gapContext.question) lines.push('- Question: ' + gapContext.question);
     if (gapContext.severity) lines.push('- Severity: ' + gapContext.severity);
     if (gapContext.domain)   lines.push('- Domain: ' + gapContext.domain);
     if (gapContext.statutoryAnchor) {
@@ -202,10 +319,201 @@ function buildFitzWatchContextBlock(venueContext, gapContext) {
   lines.push('3. What they should check first.');
   lines.push('4. Any documents they need to draft or generate.');
   lines.push('Keep statutory citations accurate to the anchor above. Do not invent clause numbers.');
+  if (gapContext) {
+    lines.push('');
+    lines.push('Scope: this conversation is only about closing the gap above. If the user asks about anything else, say in one sentence that this chat covers only this gap and that other questions belong in the main Fitz HR chat — do not answer them here.');
+  }
   return lines.join('\n');
 }
 
-exports.handler = async (event, context) => {
+// The gap a Fitz Watch gap chat names, looked up in the rule registry — the
+// built-in rules (js/fitz-watch-rules.js) and the data rules in
+// fitz-watch-rules.json — so the model is given the rule's title, question and
+// statutory anchor, not whatever the browser sent. null when no rule has that
+// id. Severity depends on the answer, so it is taken from the request, but
+// only as one of the known levels.
+function fitzWatchGapContext(sent, venueContext) {
+  const id = sent && sent.gapId;
+  const builtIn = FITZ_WATCH_QUESTION_REGISTRY.find((r) => r.id === id);
+  const rule = builtIn || (FITZ_WATCH_RULE_DATA.rules || []).find((r) => r.id === id);
+  if (!rule) return null;
+  return {
+    gapId: rule.id,
+    title: rule.title,
+    question: rule.question,
+    domain: rule.domain,
+    severity: FITZ_WATCH_SEVERITY_ORDER.indexOf(sent.severity) !== -1 ? sent.severity : null,
+    statutoryAnchor: builtIn ? getStatutoryAnchor(rule, venueContext || {}) : rule.statutoryAnchor
+  };
+}
+
+// The signed-in user behind a request: the Firebase ID token sent as
+// "Authorization: Bearer <token>". The `user` field in the body is the
+// browser's say-so and is not trusted for anything. null if missing or invalid.
+async function verifyChatUser(event) {
+  const header = (event.headers && (event.headers.authorization || event.headers.Authorization)) || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) return null;
+  try {
+    return await admin.auth().verifyIdToken(match[1]);
+  } catch (error) {
+    console.warn('Chat ID token rejected:', error.code || error.message);
+    return null;
+  }
+}
+
+// Charges one prompt to the user's allowance (js/prompt-quota.js). Read and
+// write happen in one transaction, so concurrent messages from two tabs
+// cannot both spend the last prompt. Only chat sends are charged — see
+// promptRequestKind() for how the free kinds are held to their own shape.
+function chargeChatPrompt(uid) {
+  const userRef = db.collection('users').doc(uid);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(userRef);
+    const data = snap.exists ? snap.data() : {};
+    const charge = chargePrompt(data.credits, data.createdAt, Date.now());
+    if (charge.update) tx.set(userRef, { credits: charge.update }, { merge: true });
+    return charge;
+  });
+}
+
+// Gives a charged prompt back when no answer was produced (upstream error
+// before any text), so a failed call never costs the user a prompt.
+async function refundChatPrompt(uid) {
+  try {
+    await db.collection('users').doc(uid).update({
+      'credits.monthlyPromptsUsed': admin.firestore.FieldValue.increment(-1)
+    });
+  } catch (error) {
+    console.error('Prompt refund failed:', uid, error.message);
+  }
+}
+
+// Folds turns that have left the recent window into the conversation memory
+// (js/conversation-memory.js) with a small, fast model. Returns the new
+// memory, or null if the call or its reply fails — the message is then
+// answered without those turns, as before, and folding is retried next time.
+async function foldConversationMemory(apiKey, memory, turns, turnsCovered) {
+  try {
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: 'claude-haiku-4-5',
+        max_tokens: 1500,
+        messages: [{ role: 'user', content: buildMemoryUpdatePrompt(memory, turns) }]
+      })
+    });
+    if (!response.ok) {
+      console.error('Memory fold error:', response.status, await response.text());
+      return null;
+    }
+    const data = await response.json();
+    const text = (data.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('');
+    const folded = parseConversationMemoryUpdate(text, turnsCovered);
+    if (!folded) console.error('Memory fold reply was not a memory:', text.slice(0, 200));
+    return folded;
+  } catch (error) {
+    console.error('Memory fold failed:', error.message);
+    return null;
+  }
+}
+
+// The memory with fn applied to every line: redact() on the way to the model,
+// rehydrate() on the way back to the browser.
+function mapMemoryLines(memory, fn) {
+  const mapped = Object.assign({}, memory);
+  CONVERSATION_MEMORY_SECTIONS.forEach((s) => { mapped[s.key] = memory[s.key].map(fn); });
+  return mapped;
+}
+
+// Rate-engine tool rounds allowed per message (js/chat-tools.js). The call
+// after the last round is made with tool_choice none, so the model answers
+// with what it has rather than asking for more.
+const MAX_TOOL_ROUNDS = 3;
+
+// Adds one API call's token counts into the running total for the message.
+function addUsage(total, usage) {
+  Object.keys(usage || {}).forEach((k) => {
+    if (typeof usage[k] === 'number') total[k] = (total[k] || 0) + usage[k];
+  });
+  return total;
+}
+
+// Text after a tool round starts a new paragraph of the same answer.
+function joinAnswerText(text, more) {
+  return text && more && !/\s$/.test(text) ? '\n\n' + more : more;
+}
+
+// Relays a streamed Anthropic answer to the browser as chat-stream events
+// (js/chat-stream.js): a 'delta' per text chunk, then 'done' with the usage
+// and whatever finish(text, usage) adds (citations, quota), or 'error' if the
+// upstream fails part-way — calling fail() first if no text had been sent.
+// Deltas go through rehydrator (js/pii-redaction.js) so the browser sees the
+// real names and details, never the placeholders. When a turn ends in tool calls, nextTurn(content)
+// runs them and returns the body of the follow-up stream, which is relayed as
+// more of the same answer. Runs until the answer is
+// complete or the browser goes away (Stop / closed tab), whichever is first —
+// either way the upstream request is aborted so we stop paying for tokens.
+async function* relayClaudeStream(upstreamBody, upstream, finish, nextTurn, fail, rehydrator) {
+  const usage = {};
+  let text = '';
+  try {
+    let body = upstreamBody;
+    while (body) {
+      const turnUsage = {};
+      const blocks = [];
+      let stopReason = null;
+      let turnStarted = false;
+      for await (const { data } of readSseEvents(body)) {
+        let payload;
+        try { payload = JSON.parse(data); } catch (e) { continue; }
+        if (payload.type === 'message_start') {
+          Object.assign(turnUsage, payload.message && payload.message.usage);
+        } else if (payload.type === 'content_block_start') {
+          blocks[payload.index] = Object.assign({ text: '', json: '' }, payload.content_block);
+        } else if (payload.type === 'content_block_delta' && payload.delta && payload.delta.type === 'text_delta') {
+          const piece = turnStarted ? payload.delta.text : joinAnswerText(text, payload.delta.text);
+          turnStarted = true;
+          text += piece;
+          if (blocks[payload.index]) blocks[payload.index].text += payload.delta.text;
+          const shown = rehydrator ? rehydrator.push(piece) : piece;
+          if (shown) yield formatSseEvent('delta', { text: shown });
+        } else if (payload.type === 'content_block_delta' && payload.delta && payload.delta.type === 'input_json_delta') {
+          if (blocks[payload.index]) blocks[payload.index].json += payload.delta.partial_json;
+        } else if (payload.type === 'message_delta') {
+          Object.assign(turnUsage, payload.usage);
+          stopReason = payload.delta && payload.delta.stop_reason;
+        } else if (payload.type === 'error') {
+          throw new Error((payload.error && payload.error.message) || 'stream error');
+        }
+      }
+      addUsage(usage, turnUsage);
+      body = stopReason === 'tool_use' && nextTurn ? await nextTurn(blocks.filter(Boolean).map((b) => (
+        b.type === 'tool_use'
+          ? { type: 'tool_use', id: b.id, name: b.name, input: b.json ? JSON.parse(b.json) : {} }
+          : { type: 'text', text: b.text }
+      )).filter((b) => b.type === 'tool_use' || b.text)) : null;
+    }
+    const rest = rehydrator ? rehydrator.flush() : '';
+    if (rest) yield formatSseEvent('delta', { text: rest });
+    yield formatSseEvent('done', Object.assign({ usage: usage }, finish(text, usage)));
+  } catch (error) {
+    console.error('Claude stream error:', error);
+    if (!text && fail) await fail();
+    yield formatSseEvent('error', { error: 'Failed to get response from AI' });
+  } finally {
+    upstream.abort();
+  }
+}
+
+// Wrapped in stream() so a text/event-stream body is sent to the browser as it
+// is produced. Buffered (string body) responses go out exactly as before.
+exports.handler = stream(async (event, context) => {
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
     return {
@@ -217,7 +525,7 @@ exports.handler = async (event, context) => {
   // Enable CORS
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Content-Type': 'application/json'
   };
 
@@ -226,11 +534,73 @@ exports.handler = async (event, context) => {
     return { statusCode: 200, headers, body: '' };
   }
 
+  // Signed-in users only; the prompt allowance is kept here, not in the
+  // browser (see chargeChatPrompt).
+  if (!db) {
+    return {
+      statusCode: 503,
+      headers,
+      body: JSON.stringify({ error: 'auth_unavailable', message: 'Chat is temporarily unavailable. Please try again shortly.' })
+    };
+  }
+  const caller = await verifyChatUser(event);
+  if (!caller) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'auth_required', message: 'Please sign in again to keep chatting.' })
+    };
+  }
+
+  let charged = false;
   try {
     // Parse request body. venueContext and gapContext are optional Fitz Watch
     // additions (Sprint 4). Existing chat callers send only the original four
     // fields and continue to behave identically.
-    const { message, history, user, primaryAward, venueContext, gapContext } = JSON.parse(event.body);
+    // stream: true asks for the answer as server-sent events (see
+    // relayClaudeStream); without it the reply is the buffered JSON as before.
+    // memory is the conversation's running memory (js/conversation-memory.js),
+    // returned updated with the answer.
+    // kind says which screen sent it — only 'chat' (the default) spends a
+    // prompt (js/prompt-quota.js). The free kinds cannot carry a chat: a
+    // document's prompt is built here from its type and fields, and a gap
+    // chat is grounded on the registry rule it names.
+    const body = JSON.parse(event.body);
+    const { history, primaryAward, venueContext, memory: storedMemory, stream: wantsStream } = body;
+    const requestKind = promptRequestKind(body);
+    if (!requestKind) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid request kind' })
+      };
+    }
+    let message = body.message;
+    let gapContext = null;
+    if (requestKind.kind === 'document') {
+      const award = resolveAwardEntry(primaryAward, function () { return true; });
+      message = buildDocumentPrompt(body.documentType, body.fields, {
+        venue: body.venue,
+        awardFullName: award.fullName,
+        industryWord: award.industryAdj || ''
+      });
+      if (!message) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Unknown document type' })
+        };
+      }
+    } else if (requestKind.kind === 'fitz_watch_gap') {
+      gapContext = fitzWatchGapContext(body.gapContext, venueContext);
+      if (!gapContext) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Unknown Fitz Watch gap' })
+        };
+      }
+    }
 
     // Validate input
     if (!message || typeof message !== 'string') {
@@ -258,67 +628,13 @@ exports.handler = async (event, context) => {
     // to Hospitality. When the award cannot be resolved we answer only at the
     // NES / Fair Work Act / National Minimum Wage floor (see the else branch of
     // the system prompt below). See docs/guardrails-award-resolution.md.
-    const SERVER_AWARDS = {
-      MA000009: {
-        fullName: 'Hospitality Industry (General) Award MA000009',
-        sector: 'hotels, restaurants, cafes, pubs, bars, and other hospitality venues',
-        industryAdj: 'hospitality',
-        rates: hospitalityRates,
-        aliases: ['hospitality']
-      },
-      MA000119: {
-        fullName: 'Restaurant Industry Award MA000119',
-        sector: 'restaurants, cafes, bistros, and table-service food venues',
-        industryAdj: 'hospitality',
-        rates: restaurantRates,
-        aliases: ['restaurant']
-      },
-      MA000010: {
-        fullName: 'Manufacturing and Associated Industries and Occupations Award MA000010',
-        sector: 'general manufacturing and associated industries',
-        industryAdj: 'manufacturing',
-        rates: manufacturingRates,
-        aliases: ['manufacturing']
-      },
-      MA000100: {
-        fullName: 'Social, Community, Home Care and Disability Services Industry Award MA000100',
-        sector: 'social, community, home care and disability services (incl. NDIS, aged and home care)',
-        industryAdj: 'community services',
-        rates: schadsRates,
-        aliases: ['schads', 'social community', 'home care', 'disability services']
-      },
-      MA000004: {
-        fullName: 'General Retail Industry Award MA000004',
-        sector: 'the general retail trade (supermarkets, department, specialty and online stores)',
-        industryAdj: 'retail',
-        rates: retailRates,
-        aliases: ['general retail', 'retail']
-      },
-      MA000027: {
-        fullName: 'Health Professionals and Support Services Award MA000027',
-        sector: 'private-sector health services (private hospitals, medical/dental/allied-health practices, diagnostic and pathology services, community and aged-care health)',
-        industryAdj: 'health services',
-        rates: healthRates,
-        aliases: ['health professionals', 'health support', 'support services']
-      },
-      MA000120: {
-        fullName: "Children's Services Award MA000120",
-        sector: 'early childhood education and care (long day care, preschools/kindergartens, outside-school-hours care and other children\'s services)',
-        industryAdj: "children's services",
-        rates: childrensRates,
-        aliases: ["children's services", 'childrens services', 'early childhood', 'child care', 'childcare']
-      }
-    };
+    // Preview awards are feature-gated in the client before a user can pick
+    // one, so the server answers any award the registry knows (as before). An
+    // award with no rates bundled here is treated as unresolved.
     function resolveServerAward(stored) {
-      if (!stored) return null;
-      const s = String(stored).toLowerCase();
-      for (const code in SERVER_AWARDS) {
-        const entry = SERVER_AWARDS[code];
-        const matched = s.indexOf(code.toLowerCase()) !== -1 ||
-          entry.aliases.some(function (a) { return s.indexOf(a) !== -1; });
-        if (matched) return Object.assign({ code: code }, entry);
-      }
-      return null;
+      const entry = resolveAwardEntry(stored, function () { return true; });
+      const rates = entry.code && RATES_FILES_BY_CODE[entry.code];
+      return rates ? Object.assign({ rates: rates }, entry) : null;
     }
 
     const resolvedAward = resolveServerAward(primaryAward);
@@ -336,7 +652,10 @@ exports.handler = async (event, context) => {
     // so any future change to penalty rates / minimum engagement / loadings
     // updates this prompt automatically with no code edit required. Only built
     // when an award is resolved; the floor-only branch never quotes award rates.
-    const ratesData = resolvedAward ? resolvedAward.rates : null;
+    // The table in force today; a table published ahead of its effective date
+    // (before the earliest version held) falls back to the newest one.
+    const ratesData = resolvedAward ? (ratesAsAt(resolvedAward.code, new Date()) || resolvedAward.rates) : null;
+    const ratesPeriodFacts = resolvedAward ? buildRatesPeriodFacts(resolvedAward.code, ratesData) : '';
     const penaltyRateFacts = resolvedAward ? buildPenaltyRateFacts(ratesData, awardFullName) : '';
     const minimumEngagementFacts = resolvedAward ? buildMinimumEngagementFacts(ratesData, awardFullName) : '';
     const allowanceFacts = resolvedAward ? buildAllowanceFacts(ratesData, awardFullName) : '';
@@ -350,6 +669,8 @@ exports.handler = async (event, context) => {
 
 IMPORTANT — THIS USER'S AWARD: All advice, rates, classifications, and compliance guidance must reference the **${awardFullName}**. Do NOT reference a different award unless explicitly asked to compare. If the user asks about pay rates, classifications, or compliance, always frame your answer in terms of ${awardFullName}.
 
+${ratesPeriodFacts}
+
 ${penaltyRateFacts}
 
 ${minimumEngagementFacts}
@@ -382,11 +703,25 @@ CRITICAL - ALWAYS USE BRITISH/AUSTRALIAN ENGLISH SPELLING:
 - Use "l" doubling (e.g., travelled, modelling, counselling)
 - Use "ogue" not "og" (e.g., catalogue, dialogue)
 
+RATE TOOLS — HOW TO ANSWER "WHAT DO I PAY":
+You have tools backed by the same award rates data and pay engine as the Award Wizard:
+- find_classification — the exact classification names in ${awardFullName}
+- get_award_rate — the hourly rate for a classification and employment type
+- calculate_shift_pay — what a shift costs, with every penalty, loading and overtime segment priced
+- check_public_holiday — whether a date is a public holiday in the venue's state
+When a user asks what to pay someone, what a rate is, or what a shift or penalty period costs, CALL THE TOOLS and give the computed figure. Do not deflect to the Award Wizard when the tools can answer.
+- If the role does not map clearly to one classification, call find_classification and either pick the obvious match (say which one you used) or ask the user which applies.
+- If the employment type (full-time, part-time, casual) or the shift times matter and were not given, ask — or state the assumption you made.
+- Pass the venue's state from VENUE CONTEXT to calculate_shift_pay so public holidays are applied.
+- Quote tool figures exactly as returned. Do not round them differently, adjust them, or extrapolate them to other classifications, days or hours — call the tool again instead.
+- Every figure you give from a tool must name the classification and employment type it is for and its source (the award and the Pay Guide / rates effective date the tool returned).
+- If a tool returns an error, say you could not calculate it and point the user to the Award Wizard (🛠️ Tools) — do not estimate.
+
 CRITICAL AWARD RATES POLICY - READ CAREFULLY:
-You must NEVER provide specific dollar amounts for award BASE RATES (i.e., the hourly classification rate for a role) in your chat responses. This is a strict policy to ensure accuracy and compliance.
+You must NEVER state a dollar amount for an award BASE RATE (i.e., the hourly classification rate for a role) that you have generated yourself — from memory, from training data, or by your own arithmetic. The ONLY base-rate figures you may give are those returned by your rate tools in this conversation. This is a strict policy to ensure accuracy and compliance.
 
 ⚠️ IMPORTANT — BASE RATES vs PENALTY LOADINGS:
-- BASE RATE = hourly classification pay (e.g., "$25.85/hr for a Level 2 cook"). NEVER quote these.
+- BASE RATE = hourly classification pay (e.g., "$25.85/hr for a Level 2 cook"). NEVER quote these unless a rate tool returned them.
 - PENALTY MULTIPLIERS = percentages (Saturday 150%, Sunday 175%, etc.). ALWAYS quote exactly as listed in the PENALTY RATES section above.
 - FLAT-DOLLAR LOADINGS = fixed $/hr added on top of base (e.g., +$2.95/hr after 10pm). ALWAYS quote the exact dollar figure listed in the PENALTY RATES section above. These are NOT base rates and the "no dollar amounts" rule does NOT apply to them.
 
@@ -394,19 +729,17 @@ You must NEVER provide specific dollar amounts for award BASE RATES (i.e., the h
 
 WHEN USERS ASK ABOUT PAY RATES, WAGES, SALARIES, OR "HOW MUCH TO PAY":
 ❌ DO NOT say things like:
-- "$25.85 per hour" (base rate)
-- "The base rate is $X"
-- "You should pay them $X per hour for ordinary hours"
-- Any specific dollar amounts for BASE rates
+- "$25.85 per hour" (a base rate no tool returned)
+- "The base rate is $X" or "You should pay them $X per hour" without a tool result behind X
+- Any dollar figure you have multiplied, added up or estimated yourself
 - "Late evening is 110% of the base rate" (this converts a flat loading to a percentage — WRONG)
 - "Night work is 115% of the base rate" (WRONG)
 
 ✅ INSTEAD, YOU MUST:
-1. Acknowledge their question
-2. Explain that accurate base rates depend on multiple factors (role, classification level, experience, employment type, hours worked, penalties)
-3. STRONGLY recommend they use the Award Wizard tool for the base rate
-4. Quote penalty multipliers and flat-dollar loadings exactly as listed in the PENALTY RATES section above
-5. Say something like: "I recommend using the Award Wizard tool (click 🛠️ Tools above) to get the exact base rate. It asks about all the relevant factors to ensure 100% accuracy."
+1. Work out the classification, employment type and (for a shift) the day and times — from the question, find_classification, or by asking
+2. Call get_award_rate or calculate_shift_pay and give the figure it returns, with the classification, employment type and source
+3. Quote penalty multipliers and flat-dollar loadings exactly as listed in the PENALTY RATES section above
+4. If the tools cannot answer (an error, or a situation they do not cover such as junior rates, allowances on top, or an individual arrangement), say so and recommend the Award Wizard tool (click 🛠️ Tools above)
 
 ✅ EXCEPTIONS - You MAY (and SHOULD) mention:
 - General educational ranges: "${awardName} rates generally range from $24-35/hour depending on the classification"
@@ -427,7 +760,7 @@ Weekend and public holiday rates take priority over these loadings:
 - Public holiday: 225% of base (full-time/part-time) or 250% (casual)
 - Overtime: 150% for the first 2 hours, 200% thereafter
 
-To work out the exact dollar figure for your employee, use the Award Wizard (🛠️ Tools) — it pulls the right base rate for their classification and applies these loadings.
+Tell me your employee's classification and whether they're casual, and I'll work out the exact dollar figure for their shift.
 
 💡 For complex matters: support@fitzhr.com"
 
@@ -436,13 +769,12 @@ EXAMPLE — WRONG response (DO NOT do this):
 
 EXAMPLE RESPONSES:
 User: "How much should I pay a casual waiter?"
-You: "⚠️ General guidance only - consult Fitz HR for specific advice.
+You: (calls find_classification, sees the waiter grades, and asks) "Waiting staff are classified by grade under ${awardFullName} depending on their duties and experience — is this person a Food and Beverage Attendant Grade 1, 2 or 3? Once I know, I'll give you their exact casual rate."
 
-The exact rate for a casual waiter depends on several factors including their experience level, classification grade, and the hours they work (weekday/weekend/public holidays).
+User: "What do I pay a casual Level 3 on Sunday, 10am to 4pm?"
+You: (calls calculate_shift_pay with the Level 3 classification, casual, the coming Sunday, 10:00–16:00 and the venue's state, then answers with the figures returned) "For a **casual [classification] on a Sunday from 10am to 4pm**, the award cost is **$[total_cost]** for [paid_hours] hours — [hours] h at the Sunday rate of $[hourly_rate]/hr ([multiplier as a percentage] of the minimum hourly rate, including casual loading).
 
-I strongly recommend using the **Award Wizard tool** (click 🛠️ Tools in the menu above) to get the precise rate. It will ask you the right questions to determine the exact classification and rate that applies.
-
-Generally, award rates range from around $24-35/hour for entry-level classifications depending on experience, plus casual loading and penalty rates.
+Source: [source returned by the tool].
 
 💡 For complex matters: support@fitzhr.com"
 
@@ -567,7 +899,7 @@ For ROUTINE/GENERAL matters (award interpretation, basic templates, general comp
 
 ALWAYS include one of these closings in EVERY response - choose the most appropriate based on the risk level and complexity of the question.
 
-For questions about PAY RATES specifically, ALSO mention the Award Wizard tool in your opening before the general guidance disclaimer:
+For questions about PAY RATES that your rate tools could NOT answer, ALSO mention the Award Wizard tool in your opening before the general guidance disclaimer:
 "For accurate pay rates, I recommend using the **Award Wizard tool** (click 🛠️ Tools above).
 
 ⚠️ General guidance only - consult Fitz HR for specific advice.
@@ -577,7 +909,7 @@ For questions about PAY RATES specifically, ALSO mention the Award Wizard tool i
 💡 For complex matters or specific advice: support@fitzhr.com"
 
 Remember: You're a support tool provided by Fitz HR, not a replacement for human expertise in complex or high-stakes situations. Always drive clients toward:
-1. Using the Award Wizard tool for pay rate questions
+1. Figures from your rate tools (or the Award Wizard tool) for pay rate questions
 2. Engaging with Fitz HR consultants for complex/legal matters`;
     } else {
     systemPrompt = `You are Fitz, an expert AI HR assistant for Australian businesses, working for Fitz HR, a boutique HR consultancy. You are friendly, knowledgeable and personable.
@@ -599,20 +931,26 @@ Your tone should be professional but approachable and friendly (Australian conve
 Remember: You're a support tool provided by Fitz HR, not a replacement for human expertise. For pay rates and award-specific questions, direct the user to set their Award in Settings and to use the Award Wizard tool; for complex or legal matters, direct them to Fitz HR consultants.`;
     }
 
-    // Prepare messages for Claude API
-    const messages = [];
-    
-    // Add conversation history if provided
-    if (history && Array.isArray(history) && history.length > 0) {
-      // Only include last 10 messages to manage token usage
-      const recentHistory = history.slice(-10);
-      messages.push(...recentHistory);
-    }
+    // Prepare messages for Claude API: the recent turns of the conversation.
+    // Older turns are carried by the conversation memory instead (folded in
+    // below, once the prompt has been charged).
+    //
+    // Personal details (names, TFNs, bank details, phone numbers, addresses,
+    // dates of birth) leave as placeholders — js/pii-redaction.js. The memory
+    // is kept redacted until the answer goes back. The redactor's mapping
+    // lives only in this request.
+    const savedMemory = normaliseConversationMemory(storedMemory);
+    const historyPlan = planConversationHistory(history, savedMemory);
+    const redactor = createPiiRedactor();
+    redactor.learnNames([message].concat((Array.isArray(history) ? history : []).map((m) => m && m.content)), savedMemory.parties);
+    const redactTurn = (m) => ({ role: m.role, content: redactor.redact(m.content) });
+    let memory = mapMemoryLines(savedMemory, redactor.redact);
+    const messages = historyPlan.recent.map(redactTurn);
     
     // Add current message
     messages.push({
       role: 'user',
-      content: message
+      content: redactor.redact(message)
     });
 
     // Build the system blocks. The main award-aware system prompt is sent
@@ -629,6 +967,9 @@ Remember: You're a support tool provided by Fitz HR, not a replacement for human
         cache_control: { type: 'ephemeral' }
       }
     ];
+    if (redactor.size()) {
+      systemBlocks.push({ type: 'text', text: PII_PROMPT_NOTE });
+    }
     if (gapContext || venueContext) {
       systemBlocks.push({
         type: 'text',
@@ -636,6 +977,16 @@ Remember: You're a support tool provided by Fitz HR, not a replacement for human
       });
     }
 
+    // Award clauses matching this question, for awards with a clause index.
+    // The answer's citations are the retrieved clauses it refers to by number.
+    const retrievedClauses = resolvedAward ? retrieveAwardClauses(resolvedAward.code, message) : [];
+    if (retrievedClauses.length) {
+      systemBlocks.push({
+        type: 'text',
+        text: buildClauseContextBlock(resolvedAward.code, retrievedClauses)
+      });
+    }
+
     // Call Claude API. The previous model ID (claude-sonnet-4-20250514) was
     // retired by Anthropic on 2026-06-15 and now returns 404 not_found_error,
     // which surfaced to users as a failed chat. Moved to the current Sonnet 4.6
@@ -646,27 +997,107 @@ Remember: You're a support tool provided by Fitz HR, not a replacement for human
     // which is slower and costlier than the old non-thinking Sonnet 4. We
     // explicitly disable thinking and set effort "low" so latency and cost
     // stay close to the previous model — appropriate for a chat endpoint
-    // sitting behind Netlify's function timeout.
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
+    // sitting behind Netlify's function timeout. A streamed request gets its
+    // first words to the browser within a second or two instead of holding
+    // the whole answer behind a spinner.
+    //
+    // With an award resolved, the model is also given the rate-engine tools
+    // (js/chat-tools.js) so a pay question is answered with a figure computed
+    // from the award's rates JSON rather than deflected. Each round of tool
+    // calls is answered here and the conversation sent back, up to
+    // MAX_TOOL_ROUNDS; the tools sit ahead of the system prompt, so they are
+    // inside the cached prefix.
+    const toolContext = resolvedAward ? {
+      currentRates: ratesData,
+      ratesForDate: (ymd) => ratesAsAt(resolvedAward.code, ymd),
+      publicHolidaysForState: getPublicHolidaysForState
+    } : null;
+    let toolRounds = 0;
+    let toolCalls = 0;
+    const calculations = [];
+    const upstream = new AbortController();
+    const callClaude = () => fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'x-api-key': apiKey,
         'anthropic-version': '2023-06-01'
       },
-      body: JSON.stringify({
+      body: JSON.stringify(Object.assign({
         model: 'claude-sonnet-4-6',
         max_tokens: 1500,
         thinking: { type: 'disabled' },
         output_config: { effort: 'low' },
         system: systemBlocks,
-        messages: messages
-      })
+        messages: messages,
+        stream: wantsStream === true
+      }, toolContext ? {
+        tools: CHAT_TOOL_DEFINITIONS,
+        tool_choice: { type: toolRounds < MAX_TOOL_ROUNDS ? 'auto' : 'none' }
+      } : {})),
+      signal: upstream.signal
     });
 
+    // Runs the tool calls in an assistant turn and adds the turn and its
+    // results to the conversation for the next call. Figures the answer can
+    // rely on are kept as calculation sources for the "Sources" list.
+    const answerToolCalls = (content) => {
+      const results = content.filter((b) => b.type === 'tool_use').map((b) => {
+        const result = runChatTool(b.name, b.input, toolContext);
+        const source = describeChatToolCall(b.name, b.input, result);
+        if (source) calculations.push(source);
+        toolCalls++;
+        return { type: 'tool_result', tool_use_id: b.id, content: JSON.stringify(result), is_error: !!result.error };
+      });
+      messages.push({ role: 'assistant', content: content });
+      messages.push({ role: 'user', content: results });
+      toolRounds++;
+    };
+
+    // Charge a chat send before spending any tokens. A free account with
+    // nothing left gets a structured refusal the app turns into the
+    // prompt-limit modal. Documents and the gap chat are not charged.
+    const charge = requestKind.charged
+      ? await chargeChatPrompt(caller.uid)
+      : { allowed: true, quota: null, update: null };
+    if (!charge.allowed) {
+      return {
+        statusCode: 429,
+        headers,
+        body: JSON.stringify({
+          error: 'quota_exhausted',
+          message: `You've used all ${charge.quota.limit} of your free prompts for this cycle.`,
+          quota: charge.quota
+        })
+      };
+    }
+    charged = !!charge.update;
+    const refund = async () => {
+      if (charged) await refundChatPrompt(caller.uid);
+      charged = false;
+    };
+
+    // The memory goes straight after the main prompt as its own cached
+    // block: it only changes when turns are folded in or the user edits it.
+    let memoryFolded = false;
+    if (historyPlan.toFold.length) {
+      const folded = await foldConversationMemory(apiKey, memory, historyPlan.toFold.map(redactTurn), historyPlan.turnsCovered);
+      if (folded) {
+        memory = folded;
+        memoryFolded = true;
+      }
+    }
+    const memoryBlock = buildConversationMemoryBlock(memory);
+    if (memoryBlock) {
+      systemBlocks.splice(1, 0, { type: 'text', text: memoryBlock, cache_control: { type: 'ephemeral' } });
+    }
+
+    const response = await callClaude();
+
     if (!response.ok) {
       const errorText = await response.text();
       console.error('Claude API error:', response.status, errorText);
+      await refund();
       
       return {
         statusCode: response.status,
@@ -678,38 +1109,92 @@ Remember: You're a support tool provided by Fitz HR, not a replacement for human
       };
     }
 
-    const data = await response.json();
-    
-    // Extract the response text
-    const assistantMessage = data.content
-      .filter(block => block.type === 'text')
-      .map(block => block.text)
-      .join('\n');
-
     // Log usage for monitoring. cache_read_input_tokens > 0 confirms prompt
     // caching is working (Sprint 4 added cache_control to the system prompt).
-    console.log('Usage:', {
-      user: user,
-      inputTokens: data.usage?.input_tokens || 0,
-      outputTokens: data.usage?.output_tokens || 0,
-      cacheReadTokens: data.usage?.cache_read_input_tokens || 0,
-      cacheCreateTokens: data.usage?.cache_creation_input_tokens || 0,
+    const logUsage = (usage) => console.log('Usage:', {
+      uid: caller.uid,
+      inputTokens: usage?.input_tokens || 0,
+      outputTokens: usage?.output_tokens || 0,
+      cacheReadTokens: usage?.cache_read_input_tokens || 0,
+      cacheCreateTokens: usage?.cache_creation_input_tokens || 0,
       hasGapContext: !!gapContext,
+      kind: requestKind.kind,
+      clausesRetrieved: retrievedClauses.length,
+      toolCalls: toolCalls,
+      historySent: historyPlan.recent.length,
+      memoryFolded: memoryFolded,
+      piiRedacted: redactor.counts(),
+      streamed: wantsStream === true,
       timestamp: new Date().toISOString()
     });
 
+    const finish = (text, usage) => {
+      logUsage(usage);
+      const index = resolvedAward && CLAUSE_INDEX_BY_CODE[resolvedAward.code];
+      return {
+        citations: citedClauses(text, retrievedClauses, index).concat(calculations),
+        quota: charge.quota,
+        memory: mapMemoryLines(memory, redactor.rehydrate)
+      };
+    };
+
+    if (wantsStream === true) {
+      return {
+        statusCode: 200,
+        headers: Object.assign({}, headers, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache'
+        }),
+        body: Readable.from(relayClaudeStream(response.body, upstream, finish, async (content) => {
+          if (!toolContext || toolRounds > MAX_TOOL_ROUNDS) return null;
+          answerToolCalls(content);
+          const next = await callClaude();
+          if (!next.ok) throw new Error('Claude API error ' + next.status + ' after tool use');
+          return next.body;
+        }, refund, redactor.streamRehydrator()))
+      };
+    }
+
+    let data = await response.json();
+    const usage = addUsage({}, data.usage);
+
+    // Extract the response text
+    const textOf = (reply) => reply.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+    let assistantMessage = textOf(data);
+
+    while (data.stop_reason === 'tool_use' && toolContext && toolRounds <= MAX_TOOL_ROUNDS) {
+      answerToolCalls(data.content);
+      const next = await callClaude();
+      if (!next.ok) {
+        console.error('Claude API error after tool use:', next.status, await next.text());
+        if (!assistantMessage) await refund();
+        return {
+          statusCode: next.status,
+          headers,
+          body: JSON.stringify({ error: 'Failed to get response from AI', details: 'API error' })
+        };
+      }
+      data = await next.json();
+      addUsage(usage, data.usage);
+      assistantMessage += joinAnswerText(assistantMessage, textOf(data));
+    }
+
     // Return successful response
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({
-        message: assistantMessage,
-        usage: data.usage
-      })
+      body: JSON.stringify(Object.assign({
+        message: redactor.rehydrate(assistantMessage),
+        usage: usage
+      }, finish(assistantMessage, usage)))
     };
 
   } catch (error) {
     console.error('Function error:', error);
+    if (charged) await refundChatPrompt(caller.uid);
     
     return {
       statusCode: 500,
@@ -720,4 +1205,4 @@ Remember: You're a support tool provided by Fitz HR, not a replacement for human
       })
     };
   }
-};
+});
@@ -115,7 +115,6 @@ exports.handler = async (event) => {
                 startTime: formatTime(roster.StartTime),
                 endTime: formatTime(roster.EndTime),
                 totalHours: totalHours,
-                baseRate: 25.00,
                 compliance: compliance,
                 raw: roster
             };
@@ -171,10 +170,11 @@ function calculateHours(startTimestamp, endTimestamp, breakMinutes = 0) {
     return Math.round((diffHours - breakHours) * 100) / 100;
 }
 
+// Shift cost is not computed here: the dashboard prices each line client-side
+// with js/shift-costing.js against the venue's resolved award.
 function analyzeCompliance(shiftDate, totalHours) {
     const warnings = [];
     let penaltyMultiplier = 1.0;
-    const baseRate = 25.00;
     const dayOfWeek = shiftDate.getDay();
 
     if (dayOfWeek === 0) {
@@ -208,12 +208,9 @@ function analyzeCompliance(shiftDate, totalHours) {
         });
     }
 
-    const totalCost = totalHours * baseRate * penaltyMultiplier;
-
     return {
         isCompliant: warnings.filter(w => w.severity === 'high').length === 0,
         warnings: warnings,
-        penaltyMultiplier: penaltyMultiplier,
-        totalCost: Math.round(totalCost * 100) / 100
+        penaltyMultiplier: penaltyMultiplier
     };
 }
@@ -0,0 +1,148 @@
+/**
+ * Netlify Function: Fitz Watch attestations
+ *
+ * Records a Fitz Watch answer, or evidence for one, in
+ * users/{uid}/fitzWatchResponses/{questionId}. The answer history and evidence
+ * list are the audit trail an inspector sees, so they are written here with
+ * the verified caller and the server's clock — firestore.rules refuses client
+ * writes to those docs. Entry shapes and checks: js/fitz-watch-attestation.js.
+ *
+ *   POST { action: 'answer', questionId, domain, response }
+ *   POST { action: 'evidence', questionId, evidence: { kind, name, note }, file?: { contentType, data } }
+ *   Authorization: Bearer <Firebase ID token>
+ *
+ * A file (base64 in `data`) is written to users/{uid}/fitzWatchEvidenceFiles
+ * in the same transaction as its evidence entry, which records only its path.
+ *
+ * Same FIREBASE_* credentials as chat.js and stripe-webhook.js.
+ */
+
+const admin = require('firebase-admin');
+const {
+  FITZ_WATCH_QUESTION_ID, applyFitzWatchAnswer, applyFitzWatchEvidence, splitFitzWatchEvidenceFile
+} = require('../../js/fitz-watch-attestation.js');
+
+let db = null;
+try {
+  if (!admin.apps.length) {
+    if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_CLIENT_EMAIL || !process.env.FIREBASE_PRIVATE_KEY) {
+      console.error('⚠️ Missing Firebase credentials — Fitz Watch answers cannot be saved');
+    } else {
+      admin.initializeApp({
+        credential: admin.credential.cert({
+          projectId: process.env.FIREBASE_PROJECT_ID,
+          clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+          privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+        })
+      });
+      db = admin.firestore();
+    }
+  } else {
+    db = admin.firestore();
+  }
+} catch (error) {
+  console.error('❌ Firebase Admin init failed:', error.message);
+}
+
+const ACTIONS = { answer: applyFitzWatchAnswer, evidence: applyFitzWatchEvidence };
+
+// The signed-in user behind a request, from the Firebase ID token. null if
+// missing or invalid.
+async function verifyCaller(event) {
+  const header = (event.headers && (event.headers.authorization || event.headers.Authorization)) || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) return null;
+  try {
+    return await admin.auth().verifyIdToken(match[1]);
+  } catch (error) {
+    console.warn('Fitz Watch ID token rejected:', error.code || error.message);
+    return null;
+  }
+}
+
+// The pure functions work in epoch ms; the doc's own timestamps are stored as
+// Firestore Timestamps, as the app has always read them.
+function toStored(fields) {
+  const out = Object.assign({}, fields);
+  if (typeof out.lastAnsweredAt === 'number') out.lastAnsweredAt = admin.firestore.Timestamp.fromMillis(out.lastAnsweredAt);
+  if (typeof out.skipUntil === 'number') out.skipUntil = admin.firestore.Timestamp.fromMillis(out.skipUntil);
+  return out;
+}
+
+exports.handler = async (event) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+  if (!db) {
+    return { statusCode: 503, headers, body: JSON.stringify({ error: 'auth_unavailable', message: 'Saving is temporarily unavailable. Please try again shortly.' }) };
+  }
+  const caller = await verifyCaller(event);
+  if (!caller) {
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'auth_required', message: 'Please sign in again to save.' }) };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON' }) };
+  }
+  const apply = Object.prototype.hasOwnProperty.call(ACTIONS, body.action) ? ACTIONS[body.action] : null;
+  if (!apply || typeof body.questionId !== 'string' || !FITZ_WATCH_QUESTION_ID.test(body.questionId)) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid request' }) };
+  }
+
+  // The server picks where a file goes; any path the browser sent is ignored.
+  let file = null;
+  if (body.action === 'evidence') {
+    body.evidence = Object.assign({}, body.evidence, { path: null });
+    if (body.evidence.kind === 'file') {
+      file = splitFitzWatchEvidenceFile(body.file);
+      if (file.error) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: file.error }) };
+      }
+      file.ref = db.collection('users').doc(caller.uid).collection('fitzWatchEvidenceFiles').doc();
+      body.evidence.path = file.ref.path;
+    }
+  }
+
+  try {
+    const ref = db.collection('users').doc(caller.uid).collection('fitzWatchResponses').doc(body.questionId);
+    // Read and write in one transaction so two tabs cannot drop each other's
+    // entries from the trail.
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const applied = apply(snap.exists ? snap.data() : null, body, { uid: caller.uid, email: caller.email || null }, Date.now());
+      if (applied.error) return applied;
+      if (file) {
+        tx.set(file.ref, {
+          questionId: body.questionId,
+          name: applied.entry.name,
+          contentType: file.contentType,
+          size: file.size,
+          chunkCount: file.chunks.length,
+          addedAt: admin.firestore.Timestamp.fromMillis(applied.entry.addedAt),
+          addedBy: caller.uid
+        });
+        file.chunks.forEach((data, index) => tx.set(file.ref.collection('chunks').doc(String(index)), { index, data }));
+      }
+      tx.set(ref, toStored(applied.fields), { merge: true });
+      return applied;
+    });
+    if (result.error) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: result.error }) };
+    }
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true, entry: result.entry }) };
+  } catch (error) {
+    console.error('Fitz Watch attestation failed:', caller.uid, body.questionId, error.message);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Save failed' }) };
+  }
+};
@@ -1,4 +1,5 @@
 const Anthropic = require('@anthropic-ai/sdk');
+const { PII_PROMPT_NOTE, createPiiRedactor } = require('../../js/pii-redaction.js');
 
 // Increase function timeout to 26 seconds (Netlify max for background functions)
 exports.handler = async (event, context) => {
@@ -83,7 +84,13 @@ Questions should:
 - Probe for specific examples`
     };
 
-    const systemPrompt = systemPrompts[taskType] || systemPrompts.responsibilities;
+    // Names, contact and bank details in the prompt go to the model as
+    // placeholders (js/pii-redaction.js) and are put back in the reply.
+    const redactor = createPiiRedactor();
+    redactor.learnNames([prompt]);
+    const redactedPrompt = redactor.redact(prompt);
+    const systemPrompt = (systemPrompts[taskType] || systemPrompts.responsibilities) +
+      (redactor.size() ? '\n\n' + PII_PROMPT_NOTE : '');
 
     // Adjust max_tokens based on task type - keep it lower for faster response
     const maxTokens = taskType === 'interviewQuestions' ? 1500 : 2000;
@@ -98,11 +105,11 @@ Questions should:
       system: systemPrompt,
       messages: [{
         role: 'user',
-        content: prompt
+        content: redactedPrompt
       }]
     });
 
-    const responseText = message.content[0].text;
+    const responseText = redactor.rehydrate(message.content[0].text);
     
     // Return the text response directly
     return {
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Archive the current award rate table before a wage-review update.
+//
+// Copies each file's current table (everything except previous_versions) to the
+// front of its previous_versions[] so the outgoing rates stay answerable by
+// ratesAsAt() after the new figures are pasted in (see
+// docs/maintenance-pipeline.md §1). The rest of the file is left byte-for-byte
+// as it was — only the previous_versions array is rewritten.
+//
+//   node scripts/archive-rates.mjs hospitality-award-rates.json [more files...]
+//   node scripts/archive-rates.mjs --until 2026-11-01 retail-award-rates.json
+//
+// --until sets the archived table's next_review_date — use it for an ad-hoc
+// variation taking effect before the scheduled review, so the archived range
+// ends exactly where the new table starts. Run validate:rates afterwards.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const argv = process.argv.slice(2);
+const untilIdx = argv.indexOf('--until');
+const until = untilIdx !== -1 ? argv[untilIdx + 1] : null;
+if (untilIdx !== -1 && !(until && /^\d{4}-\d{2}-\d{2}$/.test(until) && !isNaN(new Date(until)))) {
+  console.error(`--until needs a YYYY-MM-DD date; got ${until}`);
+  process.exit(2);
+}
+const files = argv.filter((a, i) => !a.startsWith('--') && (untilIdx === -1 || i !== untilIdx + 1));
+if (files.length === 0) {
+  console.error('Usage: node scripts/archive-rates.mjs [--until YYYY-MM-DD] <file>-award-rates.json ...');
+  process.exit(2);
+}
+
+const KEY = '\n  "previous_versions": [';
+let failed = false;
+for (const file of files) {
+  const p = path.resolve(ROOT, file);
+  const text = fs.readFileSync(p, 'utf8');
+  const d = JSON.parse(text);
+  const at = text.lastIndexOf(KEY);
+  if (at === -1 || !Array.isArray(d.previous_versions)) {
+    console.error(`✗ ${file}: no top-level "previous_versions": [...] to archive into`);
+    failed = true;
+    continue;
+  }
+  const snapshot = Object.assign({}, d);
+  delete snapshot.previous_versions;
+  if (until) snapshot.next_review_date = until;
+  if (d.previous_versions.some((v) => v.effective_date === snapshot.effective_date)) {
+    console.error(`✗ ${file}: the ${snapshot.effective_date} table is already archived`);
+    failed = true;
+    continue;
+  }
+  const body = JSON.stringify(snapshot, null, 2).split('\n').map((l) => '    ' + l).join('\n');
+  const open = at + KEY.length;
+  const rest = text.slice(open);
+  const spliced = /^\]/.test(rest)
+    ? text.slice(0, open) + '\n' + body + '\n  ' + rest
+    : text.slice(0, open) + '\n' + body + ',' + rest;
+  JSON.parse(spliced);
+  fs.writeFileSync(p, spliced);
+  console.log(`✓ ${file}: archived the ${snapshot.effective_date} → ${snapshot.next_review_date} table`);
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,229 @@
+#!/usr/bin/env python3
+"""
+Build the award clause index (<vertical>-award-clauses.json) from the Fair Work
+Commission consolidated award PDFs in docs/.
+
+The chat function retrieves the clauses that match each question from this
+index and quotes them with their clause number (js/clause-retrieval.js), so an
+answer about, say, part-time hours can cite "cl 10.5" from the award itself
+rather than paraphrasing from memory. Built offline and committed: the function
+never parses a PDF at runtime.
+
+How the text is chunked: one chunk per subclause (10.5, A.2), with the
+top-level clause title as its heading. Deeper numbering (10.5(b), A.2.3) stays
+inside its subclause. The award's own Table of Contents is the authority for
+which lines are clause and schedule headings — a body line only opens a new
+clause if it matches a ToC entry, sits at the page margin and comes after the
+previous clause — so cross-references that happen to start a line ("Schedule
+F—School-based Apprenticeships.", "9.2 and 9.3 ...") are not mistaken for
+headings. Running page headers/footers and the [Varied by PR...] history notes
+are dropped. Long subclauses are split into parts that share the clause number.
+
+Only awards whose full consolidated text is shipped are indexed. Hospitality,
+Restaurant and General Retail have pay guides only, so chat grounds them on
+the rates facts alone.
+
+Usage:  python3 scripts/build_clause_index.py            # summary report
+        python3 scripts/build_clause_index.py --write    # (re)write the JSON files
+Requires: pdfminer.six
+"""
+import re, sys, json
+from pdfminer.high_level import extract_pages
+from pdfminer.layout import LTTextLine, LTTextContainer
+
+# MA code -> (source PDF, output file). Keep in step with clausesFile in
+# js/award-registry.js.
+AWARDS = {
+    "MA000010": ("docs/ma000010.pdf", "manufacturing-award-clauses.json"),
+    "MA000100": ("docs/ma000100.pdf", "schads-award-clauses.json"),
+    "MA000027": ("docs/ma000027.pdf", "health-award-clauses.json"),
+    "MA000120": ("docs/Children's Services Award 2010.pdf", "childrens-award-clauses.json"),
+}
+MAX_CHUNK = 1800          # characters; longer subclauses are split into parts
+MARGIN_SLACK = 4          # points a heading may sit right of the page margin
+
+TOC_CLAUSE = re.compile(r'^(\d{1,2}[A-Z]?)\.\s+(.+)$')
+TOC_SCHEDULE = re.compile(r'^Schedule ([A-Z]{1,2})\s*[—–-]\s*(.+)$')
+SUBCLAUSE = re.compile(r'^(\d{1,2}[A-Z]?)\.(\d{1,2}[A-Z]?)(?:\s+(.*))?$')
+SCHEDULE_SUB = re.compile(r'^([A-Z]{1,2})\.(\d{1,2})(?:\s+(.*))?$')
+LEADER = re.compile(r'\s*\.{4,}.*$')
+
+def page_lines(pdf):
+    """Yield (page_no, x, text) per visual line, top to bottom."""
+    for pno, page in enumerate(extract_pages(pdf)):
+        L = []
+        def walk(o):
+            for el in o:
+                if isinstance(el, LTTextLine):
+                    t = el.get_text().strip()
+                    if t: L.append((round(el.x0), round(el.y0), t))
+                elif isinstance(el, LTTextContainer):
+                    walk(el)
+        walk(page)
+        L.sort(key=lambda r: (-r[1], r[0]))
+        rows = []
+        for x, y, t in L:
+            for row in rows:
+                if abs(row[0] - y) <= 3:
+                    row[1].append((x, t)); break
+            else:
+                rows.append([y, [(x, t)]])
+        for y, cells in rows:
+            cells.sort()
+            yield pno + 1, cells[0][0], re.sub(r'\s+', ' ', ' '.join(c[1] for c in cells)).strip()
+
+def norm(s):
+    return re.sub(r'[^a-z0-9]', '', s.lower())
+
+def num_key(n):
+    m = re.match(r'^(\d+)([A-Z]?)$', n)
+    return (int(m.group(1)), m.group(2)) if m else (0, n)
+
+def build(code, pdf):
+    lines = list(page_lines(pdf))
+    first_page = [t for p, x, t in lines if p == 1]
+    title = None
+    for i, t in enumerate(first_page):
+        if re.match(r'^(MA\d{6})?$', t): continue
+        # Title may wrap ("... Services" / "Industry Award 2010").
+        title = t if re.search(r'\d{4}$', t) else t + ' ' + first_page[i + 1]
+        break
+    m = re.search(r'up to and including (\d{1,2} \w+ \d{4})', ' '.join(first_page))
+    consolidated = m.group(1) if m else None
+
+    # Drop running headers/footers: the award title (possibly wrapped) and the
+    # "12 MA000010" / "MA000010 13" page-number line.
+    title_parts = {norm(title)} | {norm(t) for t in first_page[:3]}
+    def is_furniture(t):
+        return (norm(t) in title_parts or re.match(r'^(\d+ )?MA\d{6}( \d+)?$', t))
+
+    # ---- Table of Contents --------------------------------------------------
+    # The body starts at the second "1. Title..." line (the first is the ToC's).
+    body_start = [i for i, (p, x, t) in enumerate(lines) if re.match(r'^1\.\s+[A-Z]', t)][1]
+    toc_clauses, toc_schedules = {}, {}
+    for p, x, t in lines[:body_start]:
+        t = LEADER.sub('', t)
+        t = re.sub(r'\s+\d+$', '', t) if '.....' not in t else t
+        m = TOC_CLAUSE.match(t)
+        if m: toc_clauses[m.group(1)] = m.group(2).strip(); continue
+        m = TOC_SCHEDULE.match(t)
+        if m: toc_schedules[m.group(1)] = m.group(2).strip()
+    last_clause = max(toc_clauses, key=num_key)
+
+    # Page margin = the left-most body line on each page.
+    margin = {}
+    for p, x, t in lines[body_start:]:
+        if not is_furniture(t): margin[p] = min(margin.get(p, x), x)
+
+    # ---- Walk the body --------------------------------------------------------
+    chunks = []
+    cur = None                     # {"clause", "heading", "page", "lines"}
+    top, sub, sched, sched_sub = None, 0, None, 0
+    in_note = 0
+    seen = set()                   # ToC headings found in the body
+
+    def close():
+        if cur and cur["lines"]:
+            chunks.append(cur)
+
+    def open_chunk(clause, heading, page):
+        nonlocal cur
+        close()
+        cur = {"clause": clause, "heading": heading, "page": page, "lines": []}
+
+    for p, x, t in lines[body_start:]:
+        if is_furniture(t): continue
+        if in_note:
+            in_note = 0 if (t.endswith(']') or in_note > 6) else in_note + 1
+            continue
+        if t.startswith('['):
+            in_note = 0 if t.endswith(']') else 1
+            continue
+        if re.match(r'^Part \d+\s*[—–-]', t): continue
+        at_margin = x <= margin.get(p, x) + MARGIN_SLACK
+
+        m = TOC_CLAUSE.match(t)
+        if (m and sched is None and at_margin and m.group(1) in toc_clauses
+                and (top is None or num_key(m.group(1)) > num_key(top))
+                and norm(toc_clauses[m.group(1)]).startswith(norm(m.group(2))[:12])):
+            top, sub = m.group(1), 0
+            seen.add(top)
+            open_chunk(top, toc_clauses[top], p)
+            continue
+        m = TOC_SCHEDULE.match(t)
+        if (m and at_margin and m.group(1) in toc_schedules and top == last_clause
+                and (sched is None or m.group(1) > sched)):
+            sched, sched_sub = m.group(1), 0
+            seen.add('Schedule ' + sched)
+            open_chunk('Schedule ' + sched, 'Schedule ' + sched + '—' + toc_schedules[sched], p)
+            continue
+        if sched is None and top is not None:
+            m = SUBCLAUSE.match(t)
+            if m and m.group(1) == top and 0 < num_key(m.group(2))[0] - sub <= 3:
+                sub = num_key(m.group(2))[0]
+                open_chunk(top + '.' + m.group(2), cur["heading"], p)
+                if m.group(3): cur["lines"].append(m.group(3))
+                continue
+        if sched is not None:
+            m = SCHEDULE_SUB.match(t)
+            if m and m.group(1) == sched and 0 < int(m.group(2)) - sched_sub <= 3:
+                sched_sub = int(m.group(2))
+                open_chunk(sched + '.' + m.group(2), cur["heading"], p)
+                if m.group(3): cur["lines"].append(m.group(3))
+                continue
+        if cur is not None:
+            cur["lines"].append(t)
+    close()
+
+    out = []
+    for c in chunks:
+        text = ''
+        parts = []
+        for l in c["lines"]:
+            # Re-join words hyphenated across a line break ("on-" / "the-job").
+            joined = text + ('' if text.endswith('-') and not text.endswith(' -') else ' ') + l if text else l
+            if len(joined) > MAX_CHUNK and text:
+                parts.append(text); text = l
+            else:
+                text = joined
+        if text: parts.append(text)
+        for i, part in enumerate(parts):
+            entry = {"clause": c["clause"], "heading": c["heading"], "page": c["page"], "text": part}
+            if len(parts) > 1: entry["part"] = i + 1
+            out.append(entry)
+    toc = list(toc_clauses) + ['Schedule ' + s for s in toc_schedules]
+    return {"title": title, "consolidated": consolidated, "toc": toc, "seen": seen, "clauses": out}
+
+def write(code, out_file, source, built):
+    # One clause per line keeps wage-review diffs readable.
+    head = {
+        "ma_number": code,
+        "award": built["title"],
+        "source": source,
+        "consolidated_to": built["consolidated"],
+    }
+    body = ',\n'.join('    ' + json.dumps(c, ensure_ascii=False) for c in built["clauses"])
+    text = json.dumps(head, indent=2, ensure_ascii=False)[:-2] + ',\n  "clauses": [\n' + body + '\n  ]\n}\n'
+    json.loads(text)
+    with open(out_file, 'w', encoding='utf-8') as f:
+        f.write(text)
+
+if __name__ == "__main__":
+    ok = True
+    for code, (pdf, out_file) in AWARDS.items():
+        built = build(code, pdf)
+        with_text = {c["clause"].split('.')[0] if c["clause"][0].isdigit() else 'Schedule ' + c["clause"].split('.')[0].replace('Schedule ', '')
+                     for c in built["clauses"]}
+        missing = [n for n in built["toc"] if n not in built["seen"]]
+        empty = [n for n in built["toc"] if n in built["seen"] and n not in with_text]
+        print(f'{code}  {built["title"]}  (consolidated to {built["consolidated"]})')
+        print(f'  {len(built["clauses"])} chunks from {len(built["toc"])} ToC entries')
+        if empty:
+            print('  · headings with no text (deleted): ' + ', '.join(empty))
+        if missing:
+            print('  ✗ ToC entries not found in the body: ' + ', '.join(missing))
+            ok = False
+        if '--write' in sys.argv:
+            write(code, out_file, pdf, built)
+            print(f'  → {out_file}')
+    sys.exit(0 if ok else 1)
@@ -14,6 +14,10 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { AWARD_REGISTRY } = require('../js/award-registry.js');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
@@ -21,10 +25,7 @@ const INBOX = path.join(ROOT, 'regression', 'flagged');
 const PROCESSED = path.join(INBOX, 'processed');
 const Q_DIR = path.join(ROOT, 'regression', 'questions');
 
-const CODE_TO_VERTICAL = {
-  MA000009: 'hospitality', MA000119: 'restaurant', MA000010: 'manufacturing',
-  MA000100: 'schads', MA000004: 'retail', MA000027: 'health', MA000120: 'childrens',
-};
+const CODE_TO_VERTICAL = Object.fromEntries(Object.values(AWARD_REGISTRY).map((a) => [a.code, a.vertical]));
 const VALID_KINDS = ['resolves', 'resolves_unresolved', 'scalar', 'penalty', 'pay_rate', 'allowance'];
 const REQUIRED = ['award', 'category', 'question', 'expected_answer', 'assert', 'source', 'reported_by', 'reported_date'];
 
@@ -3,7 +3,7 @@
 //
 // Loads the frozen regression questions (regression/questions/*.json), re-checks
 // every assertion against the LIVE shipped grounding data (the *-award-rates.json
-// Pay Guide extracts + the real resolveAward() from js/app-main.js), reports a
+// Pay Guide extracts + the real award resolver from js/award-registry.js), reports a
 // pass rate overall and per-vertical, and ENFORCES the launch gate:
 //
 //   An award may only be `status: 'supported'` (GA / feature flag removed) in the
@@ -23,7 +23,10 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
 
+const require = createRequire(import.meta.url);
+const { AWARD_REGISTRY, resolveAwardEntry } = require('../js/award-registry.js');
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
 // Q_DIR is overridable (REGRESSION_Q_DIR) so the gate's fail-closed behaviour
@@ -39,37 +42,16 @@ if (!(THRESHOLD > 0 && THRESHOLD <= 1)) {
 }
 
 // ---------------------------------------------------------------------------
-// Grounding data: MA code -> rates JSON (the same data the app/chat is grounded on)
+// Grounding data: MA code -> rates JSON (the same data the app/chat is grounded
+// on), and launch status (supported vs preview) — both read from the shared
+// award registry, the single source of truth the app and chat also resolve by.
 // ---------------------------------------------------------------------------
-const RATES_FILES = {
-  MA000009: 'hospitality-award-rates.json',
-  MA000119: 'restaurant-award-rates.json',
-  MA000010: 'manufacturing-award-rates.json',
-  MA000100: 'schads-award-rates.json',
-  MA000004: 'retail-award-rates.json',
-  MA000027: 'health-award-rates.json',
-  MA000120: 'childrens-award-rates.json',
-};
 const DATA = {};
-for (const [code, file] of Object.entries(RATES_FILES)) {
-  DATA[code] = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+for (const [code, entry] of Object.entries(AWARD_REGISTRY)) {
+  DATA[code] = JSON.parse(fs.readFileSync(path.join(ROOT, entry.ratesFile), 'utf8'));
 }
-
-// ---------------------------------------------------------------------------
-// Real resolveAward() + AWARD_REGISTRY, extracted from the shipped source so the
-// gate reads launch status (supported vs preview) from the single source of truth.
-// (Same extraction the guardrail test uses — see tests/award-resolution.test.js.)
-// ---------------------------------------------------------------------------
-const appSrc = fs.readFileSync(path.join(ROOT, 'js', 'app-main.js'), 'utf8');
-const rStart = appSrc.indexOf('const AWARD_REGISTRY = {');
-const rEnd = appSrc.indexOf('// Returns the resolved award context');
-if (rStart === -1 || rEnd === -1) throw new Error('AWARD_REGISTRY markers not found in js/app-main.js');
-const registryBlock = appSrc.slice(rStart, rEnd);
-const CONFIG = { API: { HOSPITALITY_RATES_URL: '/hospitality-award-rates.json', RESTAURANT_RATES_URL: '/restaurant-award-rates.json' } };
 let _flags = new Set();
-const hasFeature = (f) => _flags.has(f);
-const factory = new Function('CONFIG', 'hasFeature', registryBlock + '\nreturn { resolveAward, AWARD_REGISTRY };');
-const { resolveAward, AWARD_REGISTRY } = factory(CONFIG, hasFeature);
+const resolveAward = (input) => resolveAwardEntry(input, (f) => _flags.has(f));
 function resolveWithFlags(input, flags) {
   _flags = new Set(flags || []);
   const r = resolveAward(input);
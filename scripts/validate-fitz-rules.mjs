@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Fitz Watch rule-data validator.
+//
+// Run this after editing fitz-watch-rules.json: it checks every data rule
+// against the schema in js/fitz-watch-rule-schema.js and the built-in rules in
+// js/fitz-watch-rules.js (unknown questions, answer values, domains,
+// severities, fix actions, expression syntax), and that every rule named by
+// regulatory-changes.json exists. Fails (exit 1) on any problem.
+//
+//   node scripts/validate-fitz-rules.mjs
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+const read = (f) => fs.readFileSync(path.join(ROOT, f), 'utf8');
+
+// Both files are browser scripts sharing globals, so load them together.
+const { registry, validate } = new Function(
+  read('js/fitz-watch-rules.js') + '\n' + read('js/fitz-watch-rule-schema.js') +
+  '\nreturn { registry: FITZ_WATCH_QUESTION_REGISTRY, validate: validateFitzWatchRuleDefinitions };'
+)();
+
+const errors = [];
+let doc;
+try {
+  doc = JSON.parse(read('fitz-watch-rules.json'));
+} catch (e) {
+  errors.push(`fitz-watch-rules.json: ${e.message}`);
+}
+if (doc) errors.push(...validate(doc, registry).map((p) => 'fitz-watch-rules.json ' + p));
+
+// Reform records bump the severity of the rules they name.
+const known = new Set(registry.map((r) => r.id).concat(doc && Array.isArray(doc.rules) ? doc.rules.map((r) => r.id) : []));
+const reforms = JSON.parse(read('regulatory-changes.json'));
+for (const c of reforms.changes || []) {
+  for (const id of c.recommended_actions || []) {
+    if (!known.has(id)) errors.push(`regulatory-changes.json ${c.change_id}: recommended action "${id}" is not a Fitz Watch rule`);
+  }
+}
+
+console.log(`Validated ${doc && Array.isArray(doc.rules) ? doc.rules.length : 0} data rules against ${registry.length} built-in rules.`);
+if (errors.length) {
+  console.error(`\n✗ ${errors.length} problem(s):`);
+  for (const e of errors) console.error('   - ' + e);
+  process.exit(1);
+}
+console.log('✓ Fitz Watch rule data is valid.');
+process.exit(0);
@@ -9,23 +9,32 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
 
+const require = createRequire(import.meta.url);
+const { ratesHeldFrom, ratesVersionProblems } = require('../js/rates-history.js');
+const { juniorRateProblems } = require('../js/junior-rates.js');
+const { clientDayRuleProblems } = require('../js/schads-day.js');
+const { shiftPayRuleProblems } = require('../js/manufacturing-pay.js');
+const { AWARD_REGISTRY } = require('../js/award-registry.js');
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
 
-// filename -> expected MA code (the file/award mapping is fixed).
-const EXPECTED = {
-  'hospitality-award-rates.json': 'MA000009',
-  'restaurant-award-rates.json': 'MA000119',
-  'manufacturing-award-rates.json': 'MA000010',
-  'schads-award-rates.json': 'MA000100',
-  'retail-award-rates.json': 'MA000004',
-  'health-award-rates.json': 'MA000027',
-  'childrens-award-rates.json': 'MA000120',
-};
+// filename -> expected MA code, from the shared award registry.
+const EXPECTED = Object.fromEntries(Object.values(AWARD_REGISTRY).map((a) => [a.ratesFile, a.code]));
 
 const isISODate = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(new Date(s));
 const errors = [];
+const notices = [];
+
+// Registry entries must agree with themselves: the served URL is the repo file.
+for (const a of Object.values(AWARD_REGISTRY)) {
+  if (a.ratesUrl !== '/' + a.ratesFile) errors.push(`award-registry ${a.code}: ratesUrl "${a.ratesUrl}" != "/${a.ratesFile}"`);
+}
+// Every rates file shipped at the root must be in the registry.
+for (const f of fs.readdirSync(ROOT).filter((n) => n.endsWith('-award-rates.json'))) {
+  if (!EXPECTED[f]) errors.push(`${f}: not listed in js/award-registry.js`);
+}
 
 for (const [file, code] of Object.entries(EXPECTED)) {
   const p = path.join(ROOT, file);
@@ -35,6 +44,25 @@ for (const [file, code] of Object.entries(EXPECTED)) {
   try { d = JSON.parse(fs.readFileSync(p, 'utf8')); } catch (e) { err('invalid JSON — ' + e.message); continue; }
 
   if (d.ma_number !== code) err(`ma_number "${d.ma_number}" != expected ${code}`);
+  validateVersion(d, err);
+
+  // Dated history: each archived table must be complete in its own right, and
+  // consecutive versions must meet exactly — no overlap, no gap.
+  if (Array.isArray(d.previous_versions)) {
+    d.previous_versions.forEach((v, i) => {
+      if (v && typeof v === 'object') validateVersion(v, (m) => err(`previous_versions[${i}] ${m}`));
+    });
+  }
+  for (const m of ratesVersionProblems(d)) err(m);
+  // Not an error, but worth seeing on every run: with nothing archived, any
+  // date before the current table resolves to no rates at all.
+  if (!Array.isArray(d.previous_versions) || d.previous_versions.length === 0) {
+    notices.push(`${file}: no archived tables — rates held from ${ratesHeldFrom(d)} only`);
+  }
+}
+
+// Structural checks for one rate table — the current version or an archived one.
+function validateVersion(d, err) {
   if (!d.award_name) err('missing award_name');
   if (!d.source) err('missing source (provenance)');
 
@@ -56,14 +84,58 @@ for (const [file, code] of Object.entries(EXPECTED)) {
     if (!r.employment_type) err(`rates[${i}] missing employment_type`);
   });
 
+  // Junior and apprentice percentages name the classifications they scale.
+  for (const m of juniorRateProblems(d)) err(m);
+  // Client-day rules (SCHADS) name the allowances they pay.
+  for (const m of clientDayRuleProblems(d)) err(m);
+  // Shift pay rules (Manufacturing) rely on penalty_rates and hourly all-purpose allowances.
+  for (const m of shiftPayRuleProblems(d)) err(m);
+
   if (!Array.isArray(d.allowances)) err('allowances must be an array');
   else d.allowances.forEach((a, i) => {
     if (!a.name) err(`allowances[${i}] missing name`);
     if (typeof a.amount !== 'number' && typeof a.text !== 'string') err(`allowances[${i}] needs a numeric amount or text description`);
   });
+
+  // roster_rules drives the Roster Stress Tester — every rule must cite its
+  // clause, unless the file marks its clause references as unconfirmed, in
+  // which case no rule may carry one (findings then show no citation).
+  const rr = d.roster_rules;
+  if (rr !== undefined) {
+    if (!rr || typeof rr !== 'object') err('roster_rules must be an object');
+    else {
+      if (!rr.source) err('roster_rules missing source');
+      const unconfirmed = rr.clauses_unconfirmed === true;
+      for (const k of ['max_ordinary_hours_per_day', 'span_of_hours', 'meal_break', 'break_between_shifts', 'days_off']) {
+        if (rr[k] === undefined) continue;
+        if (!unconfirmed && !(rr[k] && rr[k].clause)) err(`roster_rules.${k} missing clause`);
+        if (unconfirmed && rr[k] && rr[k].clause !== undefined) err(`roster_rules.${k} cites a clause but clauses_unconfirmed is set`);
+      }
+      if (unconfirmed && rr.minimum_engagement_clauses !== undefined) err('roster_rules.minimum_engagement_clauses set but clauses_unconfirmed is set');
+      if (rr.span_of_hours && rr.span_of_hours.days) {
+        for (const [day, win] of Object.entries(rr.span_of_hours.days)) {
+          if (!Array.isArray(win) || win.length !== 2 || !win.every((t) => /^\d{2}:\d{2}$/.test(t))) err(`roster_rules.span_of_hours.days.${day} must be ["HH:MM","HH:MM"]`);
+        }
+      }
+    }
+  }
+
+  // costing_rules drives the shift costing engine — every loading must name a
+  // numeric penalty_rates key and a window it applies in.
+  const cr = d.costing_rules;
+  if (cr !== undefined) {
+    if (!cr || typeof cr !== 'object' || !Array.isArray(cr.loadings)) err('costing_rules.loadings must be an array');
+    else cr.loadings.forEach((l, i) => {
+      if (!d.penalty_rates || typeof d.penalty_rates[l.key] !== 'number') err(`costing_rules.loadings[${i}] key "${l.key}" is not a numeric penalty_rates entry`);
+      if (!['flat_per_hour', 'percent_per_hour', 'percent_whole_shift'].includes(l.basis)) err(`costing_rules.loadings[${i}] unknown basis "${l.basis}"`);
+      if (l.basis === 'percent_whole_shift' ? !(Array.isArray(l.when) && l.when.length) : !(Array.isArray(l.window) && l.window.length === 2)) err(`costing_rules.loadings[${i}] missing ${l.basis === 'percent_whole_shift' ? 'when' : 'window'}`);
+    });
+    if (cr && cr.casual_overtime_basis !== undefined && !['additive', 'multiplicative'].includes(cr.casual_overtime_basis)) err(`costing_rules.casual_overtime_basis must be additive or multiplicative`);
+  }
 }
 
 console.log(`Validated ${Object.keys(EXPECTED).length} award rate files.`);
+for (const n of notices) console.log('ℹ ' + n);
 if (errors.length) {
   console.error(`\n✗ ${errors.length} problem(s):`);
   for (const e of errors) console.error('   - ' + e);
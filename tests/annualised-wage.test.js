@@ -0,0 +1,90 @@
+// Annualised wage reconciliation tests. Exercises the REAL js/annualised-wage.js
+// together with the shift costing engine it prices through, against the real
+// manufacturing-award-rates.json (C2(a) $38.16/hr, 8-hour daily cap, overtime
+// 150% for the first 3 hours).
+// Run with: node tests/annualised-wage.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', 'js', f), 'utf8');
+const src = ['shift-costing.js', 'annualised-wage.js'].map(read).join('\n');
+const { annualisedReconciliationPeriods, reconcileAnnualisedWage } =
+  new Function(src + '\nreturn { annualisedReconciliationPeriods, reconcileAnnualisedWage };')();
+const manuf = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manufacturing-award-rates.json'), 'utf8'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const C2A = 'C2(a) - Principal engineering supervisor/trainer/coordinator';
+const day = (date, hours, o) => Object.assign({ row: 2, employee: 'Alex', date: date, start: 7 * 60,
+  end: 7 * 60 + Math.round(hours * 60) + 30, breakMinutes: 30, employmentType: 'full_time', classification: C2A }, o);
+const week = (monday, hours) => [0, 1, 2, 3, 4].map(i => {
+  const d = new Date(Date.parse(monday + 'T00:00:00Z') + i * 86400000).toISOString().slice(0, 10);
+  return day(d, hours);
+});
+const arrangement = o => Object.assign({ employee: 'Alex', annualSalary: 52000, startDate: '2026-07-06',
+  outerOrdinaryHours: 38, outerOvertimeHours: 5 }, o);
+
+// ---- Reconciliation points ----------------------------------------------------
+let periods = annualisedReconciliationPeriods('2024-02-29', null, '2026-03-10');
+eq('Each 12 months from commencement', periods.map(p => p.periodStart + '..' + p.periodEnd).join(' '),
+  '2024-02-29..2025-02-27 2025-02-28..2026-02-27 2026-02-28..2026-03-10');
+eq('Completed periods are due', periods[0].status + ',' + periods[1].status, 'due,due');
+eq('The running period is in progress', periods[2].status, 'in_progress');
+periods = annualisedReconciliationPeriods('2025-07-01', '2026-09-15', '2026-10-01');
+eq('Termination cuts the last period short', periods[1].periodEnd + ' ' + periods[1].status, '2026-09-15 termination');
+eq('No period before commencement', annualisedReconciliationPeriods('2026-07-01', null, '2026-06-30').length, 0);
+
+// ---- Termination after two weeks ------------------------------------------------
+// Week 1: five 10-hour days = 40 ordinary (8/day cap) + 10 overtime. Outer limits
+// 38 ordinary / 5 overtime, so 2 ordinary and 5 overtime hours are not covered.
+const shifts = week('2026-07-06', 10).concat(week('2026-07-13', 7.6));
+let r = reconcileAnnualisedWage(arrangement({ endDate: '2026-07-19' }), shifts, manuf);
+let p = r.periods[0];
+eq('Reconciled at termination', p.status, 'termination');
+eq('Shortfall payable within 14 days', p.paymentDueBy, '2026-08-02');
+eq('Annualised wage pro rata for 14 days', p.annualisedWage, 1994.52);
+eq('Hours worked', p.hours, 88);
+eq('Award value of the covered hours', p.awardEntitlement, 3186.38);
+eq('Reconciliation shortfall', p.reconciliationShortfall, 1191.86);
+eq('One week past the outer limits', p.outerLimitWeeks.length, 1);
+eq('2 ordinary hours past the limit', p.outerLimitWeeks[0].outerOrdinaryHours, 2);
+eq('5 overtime hours past the limit', p.outerLimitWeeks[0].outerOvertimeHours, 5);
+eq('Outer-limit hours priced at award rates', p.outerLimitEntitlement, 362.52);
+eq('Outer-limit shortfall when nothing was paid separately', p.outerLimitShortfall, 362.52);
+eq('Total top-up', r.totals.shortfall, 1554.38);
+r = reconcileAnnualisedWage(arrangement({ endDate: '2026-07-19', separatePayments: [{ date: '2026-07-17', amount: 300 }] }), shifts, manuf);
+eq('Separate payments offset the outer-limit hours only', r.periods[0].outerLimitShortfall + '/' + r.periods[0].reconciliationShortfall, '62.52/1191.86');
+
+// ---- Full 12 months -------------------------------------------------------------
+r = reconcileAnnualisedWage(arrangement({ annualSalary: 1000 }), week('2026-07-06', 7.6).slice(0, 3), manuf, { asAt: '2027-07-10' });
+p = r.periods[0];
+eq('A full 12-month period is due at its end', p.periodEnd + ' ' + p.status, '2027-07-05 due');
+eq('The full salary is compared', p.annualisedWage, 1000);
+eq('Wage above the award: no shortfall', p.reconciliationShortfall, 0);
+eq('Surplus shown as the difference', p.difference, 129.94);
+eq('The next period is in progress', r.periods[1].status, 'in_progress');
+eq('In-progress periods are not totalled', r.totals.periodsDue, 1);
+eq('In-progress note', r.notes.some(n => n.includes('not yet due')), true);
+
+// ---- Timesheet lines --------------------------------------------------------------
+r = reconcileAnnualisedWage(arrangement({ endDate: '2026-07-19', classification: C2A }),
+  [day('2026-07-06', 7.6, { employmentType: null, classification: null }), day('2026-07-07', 7.6, { employee: 'Sam' }), day('2026-07-01', 7.6)], manuf);
+eq('Bare lines use the arrangement classification', r.periods[0].awardEntitlement, 290.02);
+eq('Other employees are ignored', r.periods[0].shifts, 1);
+eq('Shifts before commencement are listed', r.outsidePeriods.length === 1 && r.outsidePeriods[0].date, '2026-07-01');
+r = reconcileAnnualisedWage(arrangement({ endDate: '2026-07-19' }), [day('2026-07-06', 7.6, { classification: 'Chief taster' })], manuf);
+eq('A period with an unpriced shift is incomplete', r.periods[0].complete, false);
+eq('Incomplete periods have no shortfall figure', r.periods[0].shortfall, null);
+eq('and are counted', r.totals.incompletePeriods, 1);
+
+// ---- Errors -------------------------------------------------------------------------
+eq('Salary is required', reconcileAnnualisedWage(arrangement({ annualSalary: 0 }), shifts, manuf).ok, false);
+eq('Outer limits are required', reconcileAnnualisedWage(arrangement({ outerOrdinaryHours: null }), shifts, manuf).ok, false);
+eq('Termination before commencement is refused', reconcileAnnualisedWage(arrangement({ endDate: '2026-01-01' }), shifts, manuf).ok, false);
+eq('No rates, no reconciliation', reconcileAnnualisedWage(arrangement(), shifts, null).ok, false);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -1,25 +1,18 @@
-// Award-resolution guardrail tests. Exercises the REAL resolveAward() from
-// js/app-main.js (extracted and evaluated with stubbed browser globals) to prove
-// the fail-closed contract: supported awards resolve exactly, everything else is
-// UNRESOLVED, and preview awards are gated behind their feature flag.
+// Award-resolution guardrail tests. Exercises the REAL shared award registry
+// (js/award-registry.js — the resolver app-main.js, chat.js and the regression
+// runner all call) to prove the fail-closed contract: supported awards resolve
+// exactly, everything else is UNRESOLVED, and preview awards are gated behind
+// their feature flag.
 // See docs/guardrails-award-resolution.md. Run with: npm test
 const fs = require('fs');
 const path = require('path');
 const src = fs.readFileSync(path.join(__dirname, '..', 'js', 'app-main.js'), 'utf8');
+const { AWARD_REGISTRY, resolveAwardEntry } = require('../js/award-registry.js');
 
-// Extract the real registry + resolver block from the shipped source.
-const start = src.indexOf('const AWARD_REGISTRY = {');
-const end = src.indexOf('// Returns the resolved award context');
-if (start === -1 || end === -1) throw new Error('markers not found');
-const block = src.slice(start, end);
-
-// Stubs for the browser globals the block depends on.
-const CONFIG = { API: { HOSPITALITY_RATES_URL: '/hospitality-award-rates.json', RESTAURANT_RATES_URL: '/restaurant-award-rates.json' } };
+// app-main.js resolves with the user's feature flags; stub them here.
 let _flags = new Set();
 function hasFeature(f) { return _flags.has(f); }
-
-const factory = new Function('CONFIG', 'hasFeature', block + '\nreturn { resolveAward, AWARD_REGISTRY };');
-let { resolveAward } = factory(CONFIG, hasFeature);
+const resolveAward = (stored) => resolveAwardEntry(stored, hasFeature);
 
 let pass = 0, fail = 0;
 function eq(label, got, want) {
@@ -301,21 +294,12 @@ eq('app-main leave-in-advance uses MA000120 Schedule F', /MA000120 Schedule F/.t
 // (fed to the chat prompt so the AI answers allowance questions with exact
 // figures instead of guessing / declining). Figures sourced from the FWO Pay
 // Guide allowances tables.
-const AWARD_FILES = {
-  MA000009: 'hospitality-award-rates.json',
-  MA000119: 'restaurant-award-rates.json',
-  MA000010: 'manufacturing-award-rates.json',
-  MA000100: 'schads-award-rates.json',
-  MA000004: 'retail-award-rates.json',
-  MA000027: 'health-award-rates.json',
-  MA000120: 'childrens-award-rates.json',
-};
-function loadAward(code) { return JSON.parse(fs.readFileSync(path.join(__dirname, '..', AWARD_FILES[code]), 'utf8')); }
+function loadAward(code) { return JSON.parse(fs.readFileSync(path.join(__dirname, '..', AWARD_REGISTRY[code].ratesFile), 'utf8')); }
 function allowanceAmount(rates, nameFragment) {
   const a = (rates.allowances || []).find(x => x.name && x.name.indexOf(nameFragment) !== -1);
   return a ? a.amount : undefined;
 }
-Object.keys(AWARD_FILES).forEach(code => {
+Object.keys(AWARD_REGISTRY).forEach(code => {
   const r = loadAward(code);
   eq(code + ' has a non-empty allowances array', Array.isArray(r.allowances) && r.allowances.length > 0, true);
   eq(code + ' every allowance entry has a name', (r.allowances || []).every(a => typeof a.name === 'string' && a.name), true);
@@ -346,5 +330,25 @@ eq('Chat grounds retail cold-work allowance as $0.38 per hour',
 eq('Chat allowance facts include a header for the award', /ALLOWANCES — General Retail Industry Award MA000004/.test(retailFacts), true);
 eq('buildAllowanceFacts fails closed with no allowances block', buildAllowanceFacts({ award_name: 'X' }, 'X'), '');
 
+// ---- Shared registry: one entry per award, read by every consumer ----------
+// Preview gating, exercised with a temporary fixture entry.
+AWARD_REGISTRY.MA999999 = { code: 'MA999999', status: 'preview', flag: 'test_preview', aliases: ['test preview award'] };
+eq('Preview award without its flag -> null', resolveAward('Test Preview Award').code, null);
+_flags = new Set(['test_preview']);
+eq('Preview award with its flag -> resolves', resolveAward('Test Preview Award').code, 'MA999999');
+eq('Preview award with no flag function -> null', resolveAwardEntry('Test Preview Award').code, null);
+_flags = new Set();
+delete AWARD_REGISTRY.MA999999;
+
+Object.values(AWARD_REGISTRY).forEach(a => {
+  eq(a.code + ' rates file is for that award', loadAward(a.code).ma_number, a.code);
+  eq(a.code + ' ratesUrl serves its rates file', a.ratesUrl, '/' + a.ratesFile);
+  eq(a.code + ' has a regression question set', fs.existsSync(path.join(__dirname, '..', 'regression', 'questions', a.vertical + '.json')), true);
+  eq(a.code + ' carries chat sector copy', !!(a.sector && a.industryAdj), true);
+  eq(a.code + ' rates file is bundled into chat.js', chatSrc.indexOf("require('../../" + a.ratesFile + "')") !== -1, true);
+});
+eq('app-main.js does not keep its own award list', /const AWARD_REGISTRY\s*=/.test(src), false);
+eq('chat.js does not keep its own award list', /SERVER_AWARDS\s*=/.test(chatSrc), false);
+
 console.log('\n' + pass + ' passed, ' + fail + ' failed');
 process.exit(fail ? 1 : 0);
@@ -0,0 +1,101 @@
+// Back-pay calculator tests. Exercises the REAL js/back-pay.js together with
+// the roster parser and shift costing engine it builds on, against the real
+// award rates JSON.
+// Run with: node tests/back-pay.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', 'js', f), 'utf8');
+const src = ['roster-compliance.js', 'rates-history.js', 'shift-costing.js', 'back-pay.js'].map(read).join('\n');
+const { normaliseRosterRows, normalisePayRecords, backPayRatesResolver, calculateBackPay } =
+  new Function(src + '\nreturn { normaliseRosterRows, normalisePayRecords, backPayRatesResolver, calculateBackPay };')();
+const load = f => JSON.parse(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const shift = (o) => Object.assign({ row: 2, employee: 'Sam', date: '2026-07-06', start: 9 * 60, end: 17 * 60, breakMinutes: 0, employmentType: 'full_time', classification: 'introductory', ratePaid: null }, o);
+const hosp = load('hospitality-award-rates.json');
+// The current table with nothing archived, for the fail-closed cases.
+const current = Object.assign({}, hosp, { previous_versions: [] });
+
+// ---- Parsing ---------------------------------------------------------------
+const pay = normalisePayRecords([
+  { 'Employee Name': 'Sam', 'Pay Period Start': '6/7/2026', 'Pay Period End': '12/7/2026', 'Gross Pay': '$1,000.00' },
+  { 'Employee Name': 'Ari', 'Pay Period Start': '6/7/2026', 'Pay Period End': '12/7/2026', 'Gross Pay': 0 },
+  { 'Employee Name': 'Kim', 'Pay Period Start': '', 'Pay Period End': '12/7/2026', 'Gross Pay': 500 },
+  {},
+]);
+eq('Header auto-detection maps Gross Pay', pay.columns.amountPaid, 'Gross Pay');
+eq('"$1,000.00" read as 1000', pay.records[0].amountPaid, 1000);
+eq('Zero paid is a valid record', pay.records[1].amountPaid, 0);
+eq('Missing period start is skipped with its sheet row', pay.skipped.length === 1 && pay.skipped[0].row, 4);
+
+// ---- Rates in force --------------------------------------------------------
+const resolve = backPayRatesResolver(hosp);
+eq('Date on the effective date resolves to the table', resolve('2026-07-01') === hosp, true);
+eq('Date before the current table resolves to the archived 2025-26 table', resolve('2026-06-30').version, '2025-2026');
+eq('Date before the oldest table held has none', resolve('2025-06-30'), null);
+eq('Nothing archived: date before the effective date has no table held', backPayRatesResolver(current)('2026-06-30'), null);
+
+// The shipped 2025-26 table prices June 2026 at its rates.
+let h = calculateBackPay([shift({ date: '2026-06-29' }), shift({ row: 3, date: '2026-07-06' })],
+  [{ row: 2, employee: 'Sam', periodStart: '2026-06-29', periodEnd: '2026-07-12', amountPaid: 0 }], hosp);
+eq('Period spanning 1 July prices each shift at the rates in force: 8h x 24.57 + 8h x 25.74', h.periods[0].expected, 402.48);
+h = calculateBackPay([shift({ date: '2026-03-10' })], [{ row: 2, employee: 'Sam', periodStart: '2026-03-09', periodEnd: '2026-03-15', amountPaid: 190 }], hosp);
+eq('March 2026 shortfall at March rates: 8h x 24.57 - 190', h.periods[0].shortfall, 6.56);
+
+// ---- Per-period shortfall --------------------------------------------------
+// Three weekday 8h shifts = 24h x 25.74 = 617.76 owed; 600 paid.
+const week = [6, 7, 8].map((d, i) => shift({ row: i + 2, date: '2026-07-0' + d }));
+const sam = [{ row: 2, employee: 'Sam', periodStart: '2026-07-06', periodEnd: '2026-07-12', amountPaid: 600 }];
+let r = calculateBackPay(week, sam, hosp);
+eq('One period for Sam', r.periods.length, 1);
+eq('Award entitlement for the period = 24h x $25.74', r.periods[0].expected, 617.76);
+eq('Shortfall = 617.76 - 600', r.periods[0].shortfall, 17.76);
+eq('Super at 12% on the (all-ordinary) shortfall', r.periods[0].super, 2.13);
+eq('Period total = shortfall + super', r.periods[0].total, 19.89);
+eq('Totals roll up to the employee', r.employees[0].total, 19.89);
+
+r = calculateBackPay(week, [Object.assign({}, sam[0], { amountPaid: 700 })], hosp);
+eq('Overpaid period has no shortfall', r.periods[0].shortfall, 0);
+eq('Overpayment is reported, not offset', r.periods[0].difference + '|' + (r.notes.length > 0), '-82.24|true');
+
+// Overtime is not ordinary time earnings, so it attracts no super.
+r = calculateBackPay([shift({ start: 7 * 60, end: 21 * 60 })], [Object.assign({}, sam[0], { amountPaid: 296.01 })], hosp);
+eq('14h shift: 11.5h ordinary 296.01 + 2.5h overtime 102.96', r.periods[0].expected, 398.97);
+eq('Super on the ordinary share only: 102.96 x 296.01/398.97 x 12%', r.periods[0].super, 9.17);
+
+// Sunday shifts paid at a flat rate: timesheet rate paid with no pay records.
+r = calculateBackPay([shift({ date: '2026-07-12', employmentType: 'casual', ratePaid: 32.18 })], [], hosp);
+eq('Rate-paid line groups into its Monday-Sunday week', r.periods[0].periodStart + '..' + r.periods[0].periodEnd, '2026-07-06..2026-07-12');
+eq('Rate-paid period paid = 8h x 32.18', r.periods[0].paid, 257.44);
+eq('Sunday casual shortfall = 8h x (45.05 - 32.18)', r.periods[0].shortfall, 102.96);
+
+// ---- Fail closed -----------------------------------------------------------
+r = calculateBackPay([shift({ date: '2026-06-30' }), shift({ row: 3, date: '2026-07-06' })],
+  [{ row: 2, employee: 'Sam', periodStart: '2026-06-29', periodEnd: '2026-07-12', amountPaid: 100 }], current);
+eq('Shift before the rates table is not priced', r.periods[0].unpriced[0].reason, 'No award rate table held for 2026-06-30');
+eq('Incomplete period has no shortfall figure', r.periods[0].complete + '|' + r.periods[0].shortfall, 'false|null');
+eq('Incomplete period is left out of the totals', r.totals.total + '|' + r.totals.incompletePeriods, '0|1');
+
+r = calculateBackPay([shift({ employee: 'Jo' })], sam, hosp);
+eq('Shift with no pay record and no rate paid is unmatched', r.unmatched.length + '|' + r.periods.length, '1|0');
+eq('Pay record with no timesheet shifts is reported', r.recordsWithoutShifts[0].employee, 'Sam');
+
+r = calculateBackPay(week, sam, null);
+eq('No award loaded -> nothing priced', r.periods[0].complete, false);
+
+// ---- End to end from spreadsheet rows --------------------------------------
+const ts = normaliseRosterRows([
+  { Employee: 'Sam', Date: '6/7/2026', Start: '9:00', Finish: '17:00', 'Employment Type': 'Full time', Classification: 'Introductory' },
+  { Employee: 'sam ', Date: '7/7/2026', Start: '9:00', Finish: '17:00', 'Employment Type': 'Full time', Classification: 'Introductory' },
+]);
+r = calculateBackPay(ts.shifts, sam, hosp);
+eq('Employee names match case- and space-insensitively', r.periods[0].shifts, 2);
+eq('Two shifts owed 411.84, 600 paid -> no shortfall', r.totals.shortfall, 0);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,70 @@
+// Chat stream tests. Exercises the REAL js/chat-stream.js — the SSE parser the
+// chat function reads the Anthropic stream with and the browser reads the
+// relayed answer with — including events split across network chunks.
+// Run with: node tests/chat-stream.test.js
+const { createSseParser, formatSseEvent, readSseEvents } = require('../js/chat-stream.js');
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const show = events => events.map(e => e.event + '=' + e.data).join(' | ');
+const bodyOf = chunks => {
+  const enc = new TextEncoder();
+  let i = 0;
+  return new ReadableStream({ pull(c) { i < chunks.length ? c.enqueue(enc.encode(chunks[i++])) : c.close(); } });
+};
+
+// ---- Parser ----------------------------------------------------------------
+let p = createSseParser();
+eq('Complete event is returned', show(p.push('event: delta\ndata: {"text":"Hi"}\n\n')), 'delta={"text":"Hi"}');
+eq('Event without a name is a "message"', show(p.push('data: x\n\n')), 'message=x');
+eq('Comment lines are ignored', show(p.push(': keep-alive\n\n')), '');
+eq('Multi-line data is joined with newlines', show(p.push('data: a\ndata: b\n\n')), 'message=a\nb');
+eq('No space after the colon is accepted', show(p.push('event:done\ndata:{}\n\n')), 'done={}');
+
+p = createSseParser();
+eq('Event split mid-line waits for the rest', show(p.push('event: del')), '');
+eq('... and mid-data', show(p.push('ta\ndata: {"te')), '');
+eq('... then completes on the blank line', show(p.push('xt":"ok"}\n\n')), 'delta={"text":"ok"}');
+
+p = createSseParser();
+eq('CRLF line endings', show(p.push('event: delta\r\ndata: 1\r\n\r\n')), 'delta=1');
+eq('CRLF split between chunks is one line break', show(p.push('data: 2\r')) + '/' + show(p.push('\n\r\n')), '/message=2');
+eq('Two events in one chunk', p.push('data: a\n\ndata: b\n\n').length, 2);
+eq('flush() returns an unterminated final event', show(p.push('data: tail')) + '/' + show(p.flush()), '/message=tail');
+
+// ---- Writer ----------------------------------------------------------------
+p = createSseParser();
+const wire = formatSseEvent('delta', { text: 'line one\n\nline two' });
+const round = p.push(wire)[0];
+eq('formatSseEvent round-trips through the parser', round.event + ':' + JSON.parse(round.data).text, 'delta:line one\n\nline two');
+
+// ---- Reading a response body -------------------------------------------------
+(async () => {
+  const events = [];
+  for await (const e of readSseEvents(bodyOf(['event: delta\ndata: {"text":"He', 'llo"}\n\nevent: done\n', 'data: {}\n\n']))) events.push(e);
+  eq('Body chunks are read as whole events', show(events), 'delta={"text":"Hello"} | done={}');
+
+  // Multi-byte characters split across chunks decode intact.
+  const bytes = new TextEncoder().encode('data: café\n\n');
+  let i = 0;
+  const split = new ReadableStream({ pull(c) { i < bytes.length ? c.enqueue(bytes.slice(i, i += 7)) : c.close(); } });
+  let got = '';
+  for await (const e of readSseEvents(split)) got += e.data;
+  eq('UTF-8 split across chunks', got, 'café');
+
+  // Stopping early cancels the body.
+  let cancelled = false;
+  const endless = new ReadableStream({
+    pull(c) { c.enqueue(new TextEncoder().encode('data: more\n\n')); },
+    cancel() { cancelled = true; }
+  });
+  for await (const e of readSseEvents(endless)) { if (e.data === 'more') break; }
+  eq('Breaking out of the loop cancels the stream', cancelled, true);
+
+  console.log('\n' + pass + ' passed, ' + fail + ' failed');
+  process.exit(fail ? 1 : 0);
+})();
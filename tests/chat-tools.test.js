@@ -0,0 +1,104 @@
+// Chat tool tests. Exercises the REAL js/chat-tools.js — the rate-engine tools
+// netlify/functions/chat.js offers the model — against the real award rates
+// JSON, and checks their figures agree with the Award Calculator's engine.
+// Run with: node tests/chat-tools.test.js
+const fs = require('fs');
+const path = require('path');
+const { CHAT_TOOL_DEFINITIONS, runChatTool, describeChatToolCall } = require('../js/chat-tools.js');
+const { costShift, findAwardRate } = require('../js/shift-costing.js');
+const { ratesVersionAsAt } = require('../js/rates-history.js');
+const { getPublicHolidaysForState } = require('../js/fitz-watch-countdown.js');
+const load = f => JSON.parse(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'));
+const chatSrc = fs.readFileSync(path.join(__dirname, '..', 'netlify', 'functions', 'chat.js'), 'utf8');
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+// The context chat.js builds for a resolved award.
+const ctxFor = (file) => ({
+  currentRates: file,
+  ratesForDate: (ymd) => ratesVersionAsAt(file, ymd),
+  publicHolidaysForState: getPublicHolidaysForState
+});
+
+// ---- Definitions -------------------------------------------------------------
+eq('Four tools offered', CHAT_TOOL_DEFINITIONS.map(t => t.name).join(','), 'find_classification,get_award_rate,calculate_shift_pay,check_public_holiday');
+eq('Every required input is a declared property', CHAT_TOOL_DEFINITIONS.every(t =>
+  t.description && t.input_schema.type === 'object' &&
+  t.input_schema.required.every(k => k in t.input_schema.properties)), true);
+eq('chat.js bundles the tools', chatSrc.indexOf("require('../../js/chat-tools.js')") !== -1, true);
+eq('Unknown tool is an error, not a throw', !!runChatTool('guess_rate', {}, ctxFor(load('hospitality-award-rates.json'))).error, true);
+
+// ---- find_classification -----------------------------------------------------
+const hosp = load('hospitality-award-rates.json');
+const hctx = ctxFor(hosp);
+let r = runChatTool('find_classification', { query: 'food beverage grade 3' }, hctx);
+eq('Finds Food and Beverage Attendant Grade 3', r.matches.length === 1 && r.matches[0].title, 'Food and Beverage Attendant, Grade 3');
+eq('... with every employment type it is published for', r.matches[0].employment_types.join(','), 'full_time,part_time,casual');
+eq('Empty query lists classifications, capped', runChatTool('find_classification', { query: '' }, hctx).matches.length, 12);
+eq('... and says how many more there are', runChatTool('find_classification', { query: '' }, hctx).more, 30);
+eq('No match is an empty list', runChatTool('find_classification', { query: 'astronaut' }, hctx).matches.length, 0);
+
+const mfg = load('manufacturing-award-rates.json');
+const mctx = ctxFor(mfg);
+r = runChatTool('find_classification', { query: 'apprentice stage 1' }, mctx);
+eq('Repeated classification listed once per section', r.matches.filter(m => m.classification === 'Apprentice - stage 1').length, 3);
+eq('Whole words: "level V" does not match "level IV"', runChatTool('find_classification', { query: 'level V' }, mctx).matches.every(m => / level V$/.test(m.classification)), true);
+eq('Sections lose their employment-type suffix', r.matches.every(m => !/Full-time & part-time$/.test(m.section)), true);
+
+// ---- get_award_rate ----------------------------------------------------------
+r = runChatTool('get_award_rate', { classification: 'food and beverage attendant grade 3', employment_type: 'casual' }, hctx);
+eq('Title matched without case or punctuation', r.classification, 'level_3.food_beverage_grade3');
+eq('Casual rate is the published casual rate', r.hourly_rate, findAwardRate(hosp, 'level_3.food_beverage_grade3', 'casual').rate);
+eq('... with the minimum hourly rate it loads', r.minimum_hourly_rate, findAwardRate(hosp, 'level_3.food_beverage_grade3', 'full_time').rate);
+eq('Result names its source', r.source, 'Hospitality Industry (General) Award MA000009 — ' + hosp.source + '; rates effective ' + hosp.effective_date);
+r = runChatTool('get_award_rate', { classification: 'introductory', employment_type: 'part_time' }, hctx);
+eq('Part-time is paid the full-time rate', r.hourly_rate, 25.74);
+eq('Unknown classification is an error', /not in the MA000009 rates table/.test(runChatTool('get_award_rate', { classification: 'Head Chef Supreme', employment_type: 'full_time' }, hctx).error), true);
+eq('Bad employment type is an error', !!runChatTool('get_award_rate', { classification: 'introductory', employment_type: 'contractor' }, hctx).error, true);
+eq('Date before the earliest table held is an error', /No MA000009 rate table is held for 2025-03-01/.test(runChatTool('get_award_rate', { classification: 'introductory', employment_type: 'full_time', date: '2025-03-01' }, hctx).error), true);
+
+r = runChatTool('get_award_rate', { classification: 'Apprentice - stage 1', employment_type: 'full_time' }, mctx);
+eq('Ambiguous classification asks for a section', r.sections && r.sections.length, 3);
+r = runChatTool('get_award_rate', { classification: 'Apprentice - stage 1', employment_type: 'full_time', section: 'Apprentice - General manufacturing - Started after 1 Jan 2014 - Completed year 12' }, mctx);
+eq('... and prices once it has one', r.hourly_rate, 16.2);
+
+// ---- calculate_shift_pay -----------------------------------------------------
+const sunday = { classification: 'level_3.food_beverage_grade3', employment_type: 'casual', date: '2026-10-18', start: '10:00', end: '16:00', break_minutes: 30, state: 'NSW' };
+r = runChatTool('calculate_shift_pay', sunday, hctx);
+const calc = costShift({ date: '2026-10-18', start: 600, end: 960, breakMinutes: 30, employmentType: 'casual', classification: 'level_3.food_beverage_grade3' }, hosp);
+eq('Casual Sunday shift costs what the Award Calculator says', r.total_cost, calc.totalCost);
+eq('... at the casual Sunday rate (175%)', r.segments[0].multiplier + ' ' + r.segments[0].label, '1.75 Sunday');
+eq('... for 5.5 paid hours', r.paid_hours, 5.5);
+
+r = runChatTool('calculate_shift_pay', Object.assign({}, sunday, { employment_type: 'full_time', date: '2026-12-25', state: 'VIC' }), hctx);
+eq('Christmas Day looked up from the state', r.public_holiday, 'Christmas Day');
+eq('... and priced as a public holiday', r.segments[0].label, 'Public holiday');
+r = runChatTool('calculate_shift_pay', Object.assign({}, sunday, { date: '2026-12-25', state: 'VIC', public_holiday: false }), hctx);
+eq('public_holiday: false overrides the lookup', r.public_holiday, false);
+r = runChatTool('calculate_shift_pay', Object.assign({}, sunday, { date: '2026-07-08', state: undefined }), hctx);
+eq('No state: holidays not checked, and the answer says so', r.notes[0], 'No state given, so public holidays were not checked.');
+r = runChatTool('calculate_shift_pay', Object.assign({}, sunday, { date: '2026-07-08', start: '22:00', end: '06:00', break_minutes: 0 }), hctx);
+eq('Overnight shift runs into the next day', r.paid_hours, 8);
+eq('Bad time is an error', !!runChatTool('calculate_shift_pay', Object.assign({}, sunday, { start: '10am' }), hctx).error, true);
+
+// ---- check_public_holiday ----------------------------------------------------
+eq('Australia Day is a NSW public holiday', runChatTool('check_public_holiday', { date: '2026-01-26', state: 'nsw' }, hctx).name, 'Australia Day');
+eq('An ordinary day is not', runChatTool('check_public_holiday', { date: '2026-01-27', state: 'NSW' }, hctx).public_holiday, false);
+eq('A year not held is an error, not "no"', /not held for 2027/.test(runChatTool('check_public_holiday', { date: '2027-01-26', state: 'NSW' }, hctx).error), true);
+eq('Unknown state is an error', !!runChatTool('check_public_holiday', { date: '2026-01-26', state: 'Narnia' }, hctx).error, true);
+
+// ---- Sources -----------------------------------------------------------------
+let input = { classification: 'introductory', employment_type: 'casual' };
+let src = describeChatToolCall('get_award_rate', input, runChatTool('get_award_rate', input, hctx));
+eq('Rate lookup source entry', src.kind + ' | ' + src.label + ' | ' + src.figure, 'calculation | Casual Introductory | $32.18/hr');
+src = describeChatToolCall('calculate_shift_pay', sunday, runChatTool('calculate_shift_pay', sunday, hctx));
+eq('Shift calculation source entry', src.label + ' | ' + src.figure, 'Casual Food and Beverage Attendant, Grade 3, 2026-10-18 10:00–16:00 | $' + calc.totalCost.toFixed(2) + ' for 5.5 h');
+eq('Lookups without a figure are not sources', describeChatToolCall('find_classification', { query: 'x' }, { matches: [] }), null);
+eq('Errors are not sources', describeChatToolCall('get_award_rate', input, { error: 'x' }), null);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,73 @@
+// Clause retrieval tests. Exercises the REAL js/clause-retrieval.js against the
+// shipped award clause indexes (*-award-clauses.json) — the retrieval and
+// citation step netlify/functions/chat.js runs on every message.
+// Run with: node tests/clause-retrieval.test.js
+const fs = require('fs');
+const path = require('path');
+const { clauseTokens, clauseRefs, buildClauseSearch, retrieveClauses, citedClauses } = require('../js/clause-retrieval.js');
+const { AWARD_REGISTRY } = require('../js/award-registry.js');
+const load = f => JSON.parse(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'));
+const chatSrc = fs.readFileSync(path.join(__dirname, '..', 'netlify', 'functions', 'chat.js'), 'utf8');
+const chatIndexMap = chatSrc.split('const CLAUSE_INDEX_BY_CODE = {')[1].split('};')[0];
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+
+// ---- Shipped indexes --------------------------------------------------------
+const CLAUSE_ID = /^(\d{1,2}[A-Z]?(\.\d{1,2}[A-Z]?)?|[A-Z]{1,2}\.\d{1,2}|Schedule [A-Z]{1,2})$/;
+for (const entry of Object.values(AWARD_REGISTRY)) {
+  if (!entry.clausesFile) {
+    eq(entry.code + ' has no clause index and chat.js bundles none', chatIndexMap.indexOf(entry.code + ':') === -1, true);
+    continue;
+  }
+  const idx = load(entry.clausesFile);
+  eq(entry.clausesFile + ' ma_number', idx.ma_number, entry.code);
+  eq(entry.clausesFile + ' records its consolidation date', /^\d{1,2} \w+ \d{4}$/.test(idx.consolidated_to), true);
+  eq(entry.clausesFile + ' has clauses', idx.clauses.length > 100, true);
+  eq(entry.clausesFile + ' every chunk is well-formed', idx.clauses.every(c =>
+    CLAUSE_ID.test(c.clause) && c.heading && c.text && Number.isInteger(c.page)), true);
+  eq(entry.clausesFile + ' has no page furniture', idx.clauses.some(c => c.text.includes(entry.code + ' ')), false);
+  eq(entry.clausesFile + ' is bundled into chat.js', chatIndexMap.indexOf(entry.code + ": require('../../" + entry.clausesFile + "')") !== -1, true);
+}
+
+// ---- Tokens and clause references -------------------------------------------
+eq('Stop words dropped, plurals folded', clauseTokens('What are the allowances for broken shifts?').join(' '), 'allowance broken shift');
+eq('-ies plural folded to -y', clauseTokens('Casual penalties').join(' '), 'casual penalty');
+eq('"cl 25.6(b)" -> 25.6', clauseRefs('Under cl 25.6(b) you must pay').join(','), '25.6');
+eq('Lists after "clauses"', clauseRefs('see clauses 10.3, 10.4 or 10.5(a)').join(','), '10.3,10.4,10.5');
+eq('Schedule clause and "clause" spelt out', clauseRefs('clause A.2 and cl. 7A.1').join(','), 'A.2,7A.1');
+eq('Bare numbers are not clause references', clauseRefs('38 hours at 25.6 per cent').length, 0);
+
+// ---- Retrieval against the real award text ----------------------------------
+const schads = load('schads-award-clauses.json');
+const schadsSearch = buildClauseSearch(schads);
+let r = retrieveClauses(schadsSearch, 'How do broken shifts work and what is the allowance?');
+eq('SCHADS broken shift question retrieves cl 25.6 (broken shifts)', r.some(c => c.clause === '25.6'), true);
+eq('... and cl 20.12 (broken shift allowance)', r.some(c => c.clause === '20.12'), true);
+eq('At most 4 chunks by default', r.length <= 4, true);
+r = retrieveClauses(schadsSearch, 'What is a sleepover?');
+eq('Sleepover question retrieves cl 25.7', r.some(c => c.clause === '25.7'), true);
+
+const health = buildClauseSearch(load('health-award-clauses.json'));
+eq('Health casual minimum engagement -> cl 11.2 first', retrieveClauses(health, 'What is the minimum engagement for a casual?')[0].clause, '11.2');
+
+const mfg = buildClauseSearch(load('manufacturing-award-clauses.json'));
+r = retrieveClauses(mfg, 'What does clause 10.5 say?');
+eq('A clause named in the question comes first', r[0].clause, '10.5');
+eq('Unrelated question retrieves nothing', retrieveClauses(schadsSearch, 'What is the recipe for lasagne?').length, 0);
+eq('Empty index retrieves nothing', retrieveClauses(buildClauseSearch({ clauses: [] }), 'broken shift').length, 0);
+
+// ---- Citations --------------------------------------------------------------
+r = retrieveClauses(schadsSearch, 'How do broken shifts work and what is the allowance?');
+let cites = citedClauses('Under cl 25.6(b) you can agree to 2 breaks, and cl 25.6(a) covers the usual case; cl 20.12 sets the allowance.', r, schads);
+eq('Cited clauses listed once each, in order of citation', cites.map(c => c.clause).join(','), '25.6,20.12');
+eq('Citation carries the award and consolidation date', cites[0].award + ' | ' + cites[0].consolidatedTo, schads.award + ' | ' + schads.consolidated_to);
+eq('A clause cited but not retrieved is not listed', citedClauses('See cl 99.9 and cl 3.1.', r, schads).length, 0);
+eq('An answer citing nothing has no citations', citedClauses('Broken shifts are allowed.', r, schads).length, 0);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
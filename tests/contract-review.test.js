@@ -0,0 +1,149 @@
+// Contract review tests. Exercises the REAL js/contract-review.js against the
+// REAL award rate tables: an uploaded contract split into clauses, each
+// checked against the NES and the award's minimum rates, with replacement
+// wording taken from the Contract Builder (js/app-tools.js).
+// Run with: node tests/contract-review.test.js
+const fs = require('fs');
+const path = require('path');
+const {
+  CONTRACT_TEMPLATE_WORDING, splitContractClauses, contractClauseTopics,
+  detectContractEmploymentType, matchContractClassification, reviewContract
+} = require('../js/contract-review.js');
+const ROOT = path.join(__dirname, '..');
+const read = f => fs.readFileSync(path.join(ROOT, f), 'utf8');
+const hospitality = JSON.parse(read('hospitality-award-rates.json'));
+const manufacturing = JSON.parse(read('manufacturing-award-rates.json'));
+const toolsSrc = read('js/app-tools.js');
+const appSrc = read('js/app-main.js');
+const html = read('app.html');
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const HOSPITALITY = 'Hospitality Industry (General) Award MA000009';
+const clauseFor = (review, ref) => review.clauses.filter(c => c.ref === ref)[0];
+const topicsOf = list => list.map(f => f.topic).join(',');
+
+// ---- Splitting ----------------------------------------------------------------
+const BAD = [
+  'EMPLOYMENT AGREEMENT',
+  'This agreement is between Acme Cafe Pty Ltd and the Employee.',
+  '',
+  '1. POSITION',
+  'The Employee is employed full-time as a Cook, Grade 2.',
+  '',
+  '2. Hours of Work',
+  'The Employee\'s ordinary hours are 45 hours per week.',
+  '',
+  '3. REMUNERATION',
+  'The Employee will be paid $20.00 per hour. This rate is inclusive of all overtime and penalty rates.',
+  '',
+  '4. Leave',
+  '4.1 The Employee is entitled to three weeks annual leave each year.',
+  '4.2 The Employee is entitled to 5 days sick leave per year.',
+  '',
+  '5. TERMINATION',
+  'The Employer may terminate this agreement by giving one week\'s notice.',
+  'The Employer will deduct the cost of any breakages from the Employee\'s wages.'
+].join('\n');
+const split = splitContractClauses(BAD);
+eq('Capitals heading and numbered clauses split', split.map(c => c.ref || c.heading).join('|'), 'EMPLOYMENT AGREEMENT|1|2|3|4|4.1|4.2|5');
+eq('... short numbered line is a heading', split[2].heading, 'Hours of Work');
+eq('... numbered sentence is clause text, not a heading', split[5].heading + '|' + split[5].text, '|The Employee is entitled to three weeks annual leave each year.');
+eq('... following lines join their clause', split[7].text.split('\n').length, 1);
+eq('No headings -> paragraphs', splitContractClauses('First paragraph here.\n\nSecond paragraph here.').map(c => c.ref).join(','), '1,2');
+eq('Topics from heading and text', contractClauseTopics({ heading: 'Leave', text: 'Sick leave of 10 days. Annual leave of 4 weeks.' }).join(','), 'annual_leave,personal_leave');
+eq('Casual contract detected', detectContractEmploymentType('You are engaged as a casual employee.'), 'casual');
+eq('Part-time contract detected', detectContractEmploymentType('This is a part-time position.'), 'part_time');
+
+// ---- Classification matching --------------------------------------------------
+const fullTime = hospitality.rates.filter(r => r.category === 'adult' && r.employment_type === 'full_time');
+eq('Title matched ignoring punctuation', matchContractClassification('employed as a cook grade 2', fullTime).map(r => r.title).join('|'), 'Cook, Grade 2');
+eq('... else by level', matchContractClassification('classified at Level 4 under the award', fullTime).every(r => r.level === 'Level 4'), true);
+const mfgFullTime = manufacturing.rates.filter(r => r.category === 'adult' && r.employment_type === 'full_time');
+eq('Untitled tables match the readable classification', matchContractClassification('C10 - Engineering/Manufacturing Tradesperson - Level I', mfgFullTime).length > 0, true);
+
+// ---- A contract with a problem in every clause --------------------------------
+const bad = reviewContract(BAD, { rates: hospitality, awardName: HOSPITALITY });
+eq('Full-time, 45 hours read from the text', bad.employmentType + ' ' + bad.hoursPerWeek, 'full_time 45');
+eq('Classification found', bad.classification, 'Cook, Grade 2');
+eq('Position clause OK', clauseFor(bad, '1').status, 'ok');
+eq('45 ordinary hours -> breach (NES s62)', topicsOf(clauseFor(bad, '2').findings), 'hours');
+eq('Pay below the Cook Grade 2 minimum -> breach', clauseFor(bad, '3').findings.some(f => f.topic === 'pay' && f.severity === 'breach'), true);
+const cookRate = fullTime.filter(r => r.title === 'Cook, Grade 2')[0].rate;
+eq('... quotes the award minimum', clauseFor(bad, '3').findings.filter(f => f.topic === 'pay')[0].message.indexOf('$' + cookRate.toFixed(2)) !== -1, true);
+eq('... overtime absorbed with no annualised wage clause -> breach', clauseFor(bad, '3').findings.some(f => f.topic === 'overtime' && f.severity === 'breach'), true);
+eq('... suggested rate is the award minimum', clauseFor(bad, '3').suggestions.filter(s => s.key === 'pay')[0].text, 'The Employee will be paid $' + cookRate.toFixed(2) + ' per hour. This pay rate does not include superannuation, which will be paid separately.');
+eq('Three weeks annual leave -> breach', clauseFor(bad, '4.1').findings[0].message.indexOf('3 week(s)') !== -1, true);
+eq('Five days sick leave -> breach', topicsOf(clauseFor(bad, '4.2').findings), 'personal_leave');
+eq('Flat one week notice and breakage deductions -> breaches', topicsOf(clauseFor(bad, '5').findings), 'unlawful,notice');
+eq('... notice suggestion is the Contract Builder clause', clauseFor(bad, '5').suggestions[0].text, CONTRACT_TEMPLATE_WORDING.notice.text);
+eq('Nothing missing', bad.missing.length, 0);
+eq('Summary counts', JSON.stringify(bad.summary), '{"clauses":8,"breaches":7,"warnings":0,"clausesOk":3}');
+
+// ---- A compliant contract -----------------------------------------------------
+const GOOD = [
+  '1. Award',
+  'This employment is covered by the Hospitality Industry (General) Award. The Employee is classified as Food and Beverage Attendant, Grade 2.',
+  '2. Hours of Work',
+  'The Employee\'s ordinary hours of work are 38 hours per week.',
+  '3. Pay',
+  'The Employee will be paid $30.00 per hour. Overtime will be compensated in accordance with the applicable Modern Award.',
+  '4. Annual Leave',
+  'The Employee is entitled to 4 weeks of annual leave each year.',
+  '5. Personal Leave',
+  'The Employee is entitled to 10 days paid personal/carer\'s leave each year.',
+  '6. Termination',
+  'The Employer may end the Employee\'s employment by giving notice in accordance with the National Employment Standards, or without notice for serious misconduct.'
+].join('\n');
+const good = reviewContract(GOOD, { rates: hospitality, awardName: HOSPITALITY });
+eq('Compliant contract: no breaches or warnings', good.summary.breaches + good.summary.warnings, 0);
+eq('... every clause OK', good.summary.clausesOk, good.summary.clauses);
+
+// ---- Other checks -------------------------------------------------------------
+const one = (text, ctx) => reviewContract(text, Object.assign({ rates: hospitality, awardName: HOSPITALITY }, ctx || {}));
+const findingsIn = r => r.clauses.reduce((all, c) => all.concat(c.findings), []);
+eq('Dismissal without notice (not misconduct) -> breach',
+  findingsIn(one('1. Termination\nThe Employer may terminate employment immediately without notice.')).some(f => f.topic === 'notice' && f.severity === 'breach'), true);
+eq('Waiving the NES -> breach', findingsIn(one('1. General\nThe Employee waives all entitlements under the National Employment Standards.')).some(f => f.topic === 'unlawful'), true);
+eq('Unpaid trial -> warning', findingsIn(one('1. Trial\nThe Employee will complete a two-day unpaid trial shift.')).some(f => f.topic === 'unlawful' && f.severity === 'warning'), true);
+eq('"No award applies" when one does -> breach', findingsIn(one('1. Award\nNo award applies to this employment.')).some(f => f.topic === 'classification' && f.severity === 'breach'), true);
+eq('Forfeited annual leave -> breach', findingsIn(one('1. Annual leave\nUnused annual leave will be forfeited at the end of each year.')).some(f => f.topic === 'annual_leave'), true);
+const annualised = one('1. Salary\nThe Employee is paid an annualised wage of $80,000 per annum, which is inclusive of all overtime. The annualised wage will be reconciled every 12 months.\n2. Hours\nOrdinary hours are 38 hours per week.');
+eq('Absorption under an annualised wage clause -> warning, not breach', findingsIn(annualised).filter(f => f.topic === 'overtime').map(f => f.severity).join(), 'warning');
+eq('... annual salary converted over 52 weeks x 38 hours', findingsIn(annualised).some(f => f.topic === 'pay' && f.severity === 'breach'), false);
+const lowSalary = one('1. Salary\nThe Employee will receive a salary of $45,000 per annum.\n2. Classification\nLevel 3');
+eq('Low salary checked against the matched level', findingsIn(lowSalary).filter(f => f.topic === 'pay')[0].message.indexOf('$45,000 a year') === 0, true);
+const casual = one('1. Engagement\nYou are engaged as a casual employee as a Cook, Grade 2.\n2. Pay\nYou will be paid $30.00 per hour.');
+// $30 clears the full-time Cook Grade 2 rate but not the casual one (loading included).
+eq('Casual pay checked against the casual rate', findingsIn(casual).some(f => f.topic === 'pay' && f.severity === 'breach'), true);
+eq('... casual contracts need no leave or notice clauses', topicsOf(casual.missing), '');
+const bare = reviewContract('1. Duties\nThe Employee will perform duties as directed.', { awardName: HOSPITALITY });
+eq('Missing clauses reported with builder wording', topicsOf(bare.missing), 'notice,annual_leave,personal_leave,hours,pay,classification');
+eq('... award name filled in', bare.missing.filter(m => m.topic === 'classification')[0].suggestion.text, 'This employment is covered by the ' + HOSPITALITY + '.');
+eq('... no rates: rate left as a placeholder', bare.missing.filter(m => m.topic === 'pay')[0].suggestion.text.indexOf('$[RATE] per hour') !== -1, true);
+
+// ---- Suggested wording is the Contract Builder's -------------------------------
+// Each template's sentences must still appear in buildContractHTML's output
+// (js/app-tools.js), so the review never suggests wording the builder has dropped.
+// Placeholders (and the builder's own per-hour/per-week switch) split each
+// sentence into the fragments that must be there word for word.
+const builderText = toolsSrc.replace(/<[^>]+>/g, '');
+Object.keys(CONTRACT_TEMPLATE_WORDING).forEach(key => {
+  const sentences = CONTRACT_TEMPLATE_WORDING[key].text.split('\n').filter(l => !/^- /.test(l));
+  const missing = sentences.filter(sentence => sentence.split(/\$?\{\w+\}(?: per hour)?|[\d.]+ week\(s\)/)
+    .some(part => builderText.indexOf(part.trim()) === -1));
+  eq('Builder wording still in app-tools.js: ' + key, missing.join(' | '), '');
+});
+
+// ---- App wiring ---------------------------------------------------------------
+eq('Upload menu offers Review a Contract', html.indexOf("triggerFileUpload('contract')") !== -1 && html.indexOf('id="contractUploadInput"') !== -1, true);
+eq('... DOCX and PDF readers loaded', /mammoth\.browser\.min\.js/.test(html) && /pdf\.js\/[\d.]+\/pdf\.min\.js/.test(html), true);
+eq('... module loaded', html.indexOf('/js/contract-review.js') !== -1, true);
+eq('Upload reviewed against the venue award rates', /reviewContract\(text, \{\s*rates: award\.code \? awardRates : null/.test(appSrc), true);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,81 @@
+// Conversation memory tests. Exercises the REAL js/conversation-memory.js — the
+// running memory netlify/functions/chat.js folds older turns into, so a long
+// chat keeps the people, dates and facts it has established. The function's
+// folding is run in tests/chat-function.test.js.
+// Run with: node tests/conversation-memory.test.js
+const {
+  RECENT_HISTORY_MESSAGES, MEMORY_FOLD_SLACK, CONVERSATION_MEMORY_SECTIONS,
+  emptyConversationMemory, normaliseConversationMemory, isConversationMemoryEmpty,
+  planConversationHistory, buildConversationMemoryBlock, buildMemoryUpdatePrompt,
+  parseConversationMemoryUpdate
+} = require('../js/conversation-memory.js');
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+// A conversation: the app's welcome message, then n user/assistant exchanges.
+const chat = (n) => {
+  const h = [{ role: 'assistant', content: "G'day! I'm Fitz." }];
+  for (let i = 1; i <= n; i++) h.push({ role: 'user', content: 'Q' + i }, { role: 'assistant', content: 'A' + i });
+  return h;
+};
+
+// ---- Shape -------------------------------------------------------------------
+eq('Four sections', CONVERSATION_MEMORY_SECTIONS.map(s => s.key).join(','), 'parties,dates,facts,documents');
+eq('Empty memory is empty', isConversationMemoryEmpty(emptyConversationMemory()), true);
+eq('Unreadable memory becomes empty', JSON.stringify(normaliseConversationMemory('junk')), JSON.stringify(emptyConversationMemory()));
+let m = normaliseConversationMemory({
+  parties: ['  Sam Lee —  casual FOH,\n since Mar 2024 ', 'sam lee — casual foh, since mar 2024', '', 42],
+  facts: Array.from({ length: 30 }, (_, i) => 'Fact ' + i),
+  documents: ['x'.repeat(500)],
+  turnsCovered: '7.9',
+  extra: ['dropped']
+});
+eq('Lines are collapsed to one line and trimmed', m.parties[0], 'Sam Lee — casual FOH, since Mar 2024');
+eq('Repeats (any case) and non-strings dropped', m.parties.length, 1);
+eq('At most 20 lines a section', m.facts.length, 20);
+eq('Long lines are cut short', m.documents[0].length, 300);
+eq('turnsCovered is a whole number', m.turnsCovered, 7);
+eq('Unknown sections dropped', 'extra' in m, false);
+
+// ---- History window ----------------------------------------------------------
+eq('Window is 10 messages, folded in batches of 6', RECENT_HISTORY_MESSAGES + '/' + MEMORY_FOLD_SLACK, '10/6');
+let plan = planConversationHistory(chat(3), emptyConversationMemory());
+eq('Short chat: everything sent, nothing folded', plan.recent.length + ' ' + plan.toFold.length, '7 0');
+plan = planConversationHistory(chat(7), emptyConversationMemory());
+eq('Up to 16 unfolded messages are sent as they are', plan.recent.length + ' ' + plan.toFold.length, '15 0');
+plan = planConversationHistory(chat(8), emptyConversationMemory());
+eq('Past that, all but the last 10 are folded', plan.toFold.length + ' ' + plan.recent.length, '7 10');
+eq('... the window starts on a user message', plan.recent[0].role, 'user');
+eq('... and the memory will cover up to it', plan.turnsCovered, 7);
+const folded = Object.assign(emptyConversationMemory(), { facts: ['x'], turnsCovered: 7 });
+plan = planConversationHistory(chat(9), folded);
+eq('Next message: only the turns since the fold are sent', plan.recent[0].content + ' ' + plan.recent.length + ' ' + plan.toFold.length, 'Q4 12 0');
+plan = planConversationHistory(chat(12), folded);
+eq('... until they pass the slack again', plan.toFold[0].content + '..' + plan.toFold[plan.toFold.length - 1].content + ' ' + plan.turnsCovered, 'Q4..A7 15');
+plan = planConversationHistory(chat(2), Object.assign(emptyConversationMemory(), { turnsCovered: 99 }));
+eq('Memory covering more than the history is clamped', plan.recent.length + ' ' + plan.turnsCovered, '0 5');
+eq('No history at all', planConversationHistory(undefined, emptyConversationMemory()).recent.length, 0);
+
+// ---- Prompt block ------------------------------------------------------------
+eq('Nothing remembered: no block', buildConversationMemoryBlock(emptyConversationMemory()), '');
+let block = buildConversationMemoryBlock(normaliseConversationMemory({ parties: ['Sam Lee — casual FOH'], documents: ['First written warning — 3 Mar 2026'] }));
+eq('Block lists each section that has lines', /People:\n- Sam Lee — casual FOH\n\nDocuments issued or drafted:\n- First written warning — 3 Mar 2026$/.test(block), true);
+eq('... and tells the model not to re-ask', /do not ask again/.test(block), true);
+
+// ---- Summariser --------------------------------------------------------------
+const prompt = buildMemoryUpdatePrompt(normaliseConversationMemory({ facts: ['Late 3 times in March'] }), [{ role: 'user', content: 'Her name is Priya.' }, { role: 'assistant', content: 'Thanks.' }]);
+eq('Summariser sees the current memory', prompt.indexOf('"facts":["Late 3 times in March"]') !== -1, true);
+eq('... and the turns, speaker-labelled', prompt.indexOf('USER: Her name is Priya.\n\nFITZ: Thanks.') !== -1, true);
+m = parseConversationMemoryUpdate('Here you go:\n```json\n{"parties":["Priya — part-time"],"facts":["Late 3 times in March"]}\n```', 7);
+eq('Reply read from inside a code fence', m && m.parties[0] + ' | ' + m.facts[0], 'Priya — part-time | Late 3 times in March');
+eq('... and stamped with the turns it covers', m.turnsCovered, 7);
+eq('... missing sections are empty', m.dates.length, 0);
+eq('Prose reply is not a memory', parseConversationMemoryUpdate('Sorry, I cannot do that.', 7), null);
+eq('JSON that is not a memory is not a memory', parseConversationMemoryUpdate('{"answer": 42}', 7), null);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
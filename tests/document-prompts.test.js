@@ -0,0 +1,47 @@
+// Document prompt tests. Exercises the REAL js/document-prompts.js — the
+// Document Builder prompts netlify/functions/chat.js builds from a document
+// type and the wizard's answers — checking only known templates are built and
+// only the answers' text reaches them.
+// Run with: node tests/document-prompts.test.js
+const { DOCUMENT_PROMPT_TYPES, documentPromptFields, buildDocumentPrompt } = require('../js/document-prompts.js');
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const has = (s, part) => typeof s === 'string' && s.indexOf(part) !== -1;
+
+const venue = { setupComplete: true, venueName: 'The Bay Hotel', venueTypeLabel: 'Pub', city: 'Geelong', location: 'VIC', userName: 'Alex Manager' };
+const ctx = { venue: venue, awardFullName: 'Hospitality Industry (General) Award MA000009', industryWord: 'hospitality' };
+const warning = { employeeName: 'Sam Taylor', position: 'Bartender', employmentType: 'Casual', issueDescription: 'Late for three shifts', issueDate: '2026-10-01' };
+
+// ---- Templates -----------------------------------------------------------------
+eq('Five document types', Object.keys(DOCUMENT_PROMPT_TYPES).length, 5);
+eq('Every type builds a prompt', Object.keys(DOCUMENT_PROMPT_TYPES).every(t => has(buildDocumentPrompt(t, {}, ctx), '[DOCUMENT GENERATION MODE - STRICT]')), true);
+eq('... ending on the final reminder', Object.keys(DOCUMENT_PROMPT_TYPES).every(t => /=== END FINAL REMINDER ===$/.test(buildDocumentPrompt(t, {}, ctx))), true);
+eq('Unknown type builds nothing', buildDocumentPrompt('freeChat', warning, ctx), null);
+eq('... nor does an inherited property', buildDocumentPrompt('toString', warning, ctx), null);
+
+let p = buildDocumentPrompt('formalWarning', warning, ctx);
+eq('Formal warning names the employee', has(p, '- Name: Sam Taylor'), true);
+eq('... and the issue', has(p, 'Late for three shifts'), true);
+eq('... and the award the server resolved', has(p, 'Award: Hospitality Industry (General) Award MA000009'), true);
+eq('... for the award\'s industry', has(p, 'for Australian hospitality HR'), true);
+eq('... at the business', has(p, 'Business: The Bay Hotel (Pub) in Geelong, VIC'), true);
+eq('... signed by its manager', has(p, 'Manager: Alex Manager'), true);
+p = buildDocumentPrompt('formalWarning', warning, { venue: { venueName: 'The Bay Hotel' } });
+eq('Without a set-up profile the business is unnamed', has(p, 'Australian business') && !has(p, 'The Bay Hotel'), true);
+eq('... and no industry is assumed', has(p, 'for Australian HR'), true);
+eq('A template missing an answer it reads still builds', has(buildDocumentPrompt('recordOfDiscussion', {}, ctx), 'PRESENTING THE ALLEGATIONS'), true);
+
+// ---- Fields --------------------------------------------------------------------
+const f = documentPromptFields({ employeeName: 'Sam', rodUpload: true, rodFileData: 'data:application/pdf;base64,AAAA', 'x-y': 'z', count: 3 });
+eq('Only text answers reach a template', JSON.stringify(f), JSON.stringify({ employeeName: 'Sam' }));
+eq('A form answer is capped', documentPromptFields({ issueDescription: 'a'.repeat(9000) }).issueDescription.length, 4000);
+eq('... the extracted record of discussion less so', documentPromptFields({ rodExtractedText: 'a'.repeat(30000) }).rodExtractedText.length, 20000);
+eq('No fields is no answers', JSON.stringify(documentPromptFields(null)), '{}');
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,190 @@
+// Fitz Watch attestation tests. Exercises the REAL js/fitz-watch-attestation.js
+// — the entries netlify/functions/fitz-watch-attest.js writes to the answer
+// history and evidence trail — and the REAL history readers in
+// js/fitz-watch-rules.js over what it writes, and checks the rules and app
+// leave those writes to the function.
+// Run with: node tests/fitz-watch-attestation.test.js
+const fs = require('fs');
+const path = require('path');
+const { applyFitzWatchAnswer, applyFitzWatchEvidence, splitFitzWatchEvidenceFile, FITZ_WATCH_EVIDENCE_MAX_BYTES } = require('../js/fitz-watch-attestation.js');
+const read = f => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+const { getAttestationHistory, findUnevidencedChange, detectUnevidencedChanges, getQuestionById } =
+  new Function(['js/fitz-watch-rules.js', 'js/award-registry.js'].map(read).join('\n') +
+    '\nreturn { getAttestationHistory, findUnevidencedChange, detectUnevidencedChanges, getQuestionById };')();
+const rules = read('firestore.rules');
+const appSrc = read('js/app-main.js');
+const fnSrc = read('netlify/functions/fitz-watch-attest.js');
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-10-19T01:00:00Z');
+const caller = { uid: 'u1', email: 'owner@venue.test' };
+const ts = ms => ({ toMillis: () => ms });
+
+// ---- Answers -----------------------------------------------------------------------
+let a = applyFitzWatchAnswer(null, { questionId: 'AP-001', domain: 'award_pay', response: 'never' }, caller, now);
+eq('First answer starts the history', a.fields.history.length, 1);
+eq('... stamped with the verified caller', a.entry.answeredBy + ' ' + a.entry.answeredByEmail, 'u1 owner@venue.test');
+eq('... and the server clock', a.entry.answeredAt, now);
+eq('Doc mirrors the latest answer', a.fields.response + ' ' + a.fields.lastAnsweredAt + ' ' + a.fields.answeredBy, 'never ' + now + ' u1');
+eq('Browser-sent answerer and time are ignored',
+  JSON.stringify(applyFitzWatchAnswer(null, { questionId: 'AP-001', domain: 'award_pay', response: 'never', answeredBy: 'someone-else', answeredAt: 0 }, caller, now).entry),
+  JSON.stringify(a.entry));
+const stored = Object.assign({}, a.fields, { lastAnsweredAt: ts(now) });
+a = applyFitzWatchAnswer(stored, { questionId: 'AP-001', domain: 'award_pay', response: 'within_6_months' }, caller, now + DAY);
+eq('Next answer appends, keeping the trail in order', a.fields.history.map(h => h.response).join(','), 'never,within_6_months');
+const legacy = { questionId: 'AP-001', domain: 'award_pay', response: 'never', lastAnsweredAt: ts(now - 30 * DAY) };
+a = applyFitzWatchAnswer(legacy, { questionId: 'AP-001', domain: 'award_pay', response: 'within_6_months' }, caller, now);
+eq('Legacy answer carried into the history first', a.fields.history.map(h => h.response + '@' + h.answeredAt + '/' + h.answeredBy).join(','),
+  'never@' + (now - 30 * DAY) + '/null,within_6_months@' + now + '/u1');
+a = applyFitzWatchAnswer(null, { questionId: 'AP-001', domain: 'award_pay', response: 'skip_for_now' }, caller, now);
+eq('Skip holds for 14 days', a.fields.skipUntil, now + 14 * DAY);
+eq('No skip date for an answer', applyFitzWatchAnswer(null, { questionId: 'AP-001', domain: 'award_pay', response: 'yes' }, caller, now).fields.skipUntil, null);
+eq('Unknown question id refused', applyFitzWatchAnswer(null, { questionId: '../credits', domain: 'award_pay', response: 'yes' }, caller, now).error, 'Invalid questionId');
+eq('Missing response refused', applyFitzWatchAnswer(null, { questionId: 'AP-001', domain: 'award_pay' }, caller, now).error, 'Invalid response');
+eq('No caller refused', applyFitzWatchAnswer(null, { questionId: 'AP-001', domain: 'award_pay', response: 'yes' }, null, now).error, 'auth_required');
+
+// ---- Evidence -------------------------------------------------------------------------
+const answered = Object.assign({}, stored, { evidence: [{ kind: 'note', note: 'old', addedAt: now - DAY, addedBy: 'u1' }] });
+let e = applyFitzWatchEvidence(answered, { questionId: 'AP-001', evidence: { kind: 'note', note: '  Paid back 12 staff  ', addedBy: 'x', addedAt: 1 } }, caller, now);
+eq('Note appended after existing evidence', e.fields.evidence.length, 2);
+eq('... stamped with the caller and server clock, not the body', e.entry.addedBy + ' ' + e.entry.addedAt, 'u1 ' + now);
+eq('... note trimmed', e.entry.note, 'Paid back 12 staff');
+const filePath = 'users/u1/fitzWatchEvidenceFiles/Xy12Ab34';
+e = applyFitzWatchEvidence(answered, { questionId: 'AP-001', evidence: { kind: 'file', name: 'payslips.pdf', path: filePath, url: 'https://firebasestorage.googleapis.com/x' } }, caller, now);
+eq('File in the caller\'s own evidence files recorded by path', e.entry.path, filePath);
+eq('... with no download link', 'url' in e.entry, false);
+eq('File under another user refused', applyFitzWatchEvidence(answered, { questionId: 'AP-001', evidence: { kind: 'file', path: 'users/u2/fitzWatchEvidenceFiles/Xy12Ab34' } }, caller, now).error, 'Invalid evidence path');
+eq('File path outside the evidence files refused', applyFitzWatchEvidence(answered, { questionId: 'AP-001', evidence: { kind: 'file', path: 'users/u1/fitzWatchEvidenceFiles/Xy12Ab34/chunks/0' } }, caller, now).error, 'Invalid evidence path');
+eq('File without a path refused', applyFitzWatchEvidence(answered, { questionId: 'AP-001', evidence: { kind: 'file', name: 'a.pdf' } }, caller, now).error, 'Invalid evidence path');
+
+// ---- Evidence files -------------------------------------------------------------------
+const b64 = n => Buffer.alloc(n, 7).toString('base64');
+let f = splitFitzWatchEvidenceFile({ contentType: 'application/pdf', data: b64(5) });
+eq('File size read from the base64', f.contentType + ' ' + f.size + ' ' + f.chunks.length, 'application/pdf 5 1');
+f = splitFitzWatchEvidenceFile({ data: b64(FITZ_WATCH_EVIDENCE_MAX_BYTES) });
+eq('A 4 MB file is split under the 1 MiB document limit', f.chunks.length > 1 && f.chunks.every(c => c.length < 1024 * 1024), true);
+eq('... and the chunks join back to the file', Buffer.from(f.chunks.join(''), 'base64').length, FITZ_WATCH_EVIDENCE_MAX_BYTES);
+eq('... stored as binary when no type is given', f.contentType, 'application/octet-stream');
+eq('Over 4 MB refused', splitFitzWatchEvidenceFile({ data: b64(FITZ_WATCH_EVIDENCE_MAX_BYTES + 1) }).error, 'Files must be 4 MB or smaller.');
+eq('Missing data refused', splitFitzWatchEvidenceFile({ contentType: 'application/pdf' }).error, 'Invalid evidence file');
+eq('Data that is not base64 refused', splitFitzWatchEvidenceFile({ data: 'not base64!' }).error, 'Invalid evidence file');
+eq('Generated document recorded without a note', applyFitzWatchEvidence(answered, { questionId: 'AP-001', evidence: { kind: 'document', name: 'Policy.docx' } }, caller, now).entry.kind, 'document');
+eq('Empty note refused', applyFitzWatchEvidence(answered, { questionId: 'AP-001', evidence: { kind: 'note', note: '  ' } }, caller, now).error, 'Add a note or choose a file.');
+eq('Unknown kind refused', applyFitzWatchEvidence(answered, { questionId: 'AP-001', evidence: { kind: 'link', note: 'x' } }, caller, now).error, 'Invalid evidence kind');
+eq('Unanswered question takes no evidence', applyFitzWatchEvidence(null, { questionId: 'AP-001', evidence: { note: 'x' } }, caller, now).error, 'Answer the question before adding evidence.');
+
+// ---- Reading the trail --------------------------------------------------------------------
+const profile = { venueName: 'Test Diner', state: 'NSW', primaryAward: 'MA000119', staffCount: 10 };
+const AP001 = getQuestionById('AP-001');
+// Answers and evidence as the function writes them, a day apart.
+const trail = steps => steps.reduce((doc, [kind, value], i) => {
+  const r = kind === 'answer'
+    ? applyFitzWatchAnswer(doc, { questionId: 'AP-001', domain: 'award_pay', response: value }, caller, now + i * DAY)
+    : applyFitzWatchEvidence(doc, { questionId: 'AP-001', evidence: { kind: 'note', note: value } }, caller, now + i * DAY);
+  return Object.assign({}, doc, r.fields);
+}, null);
+
+eq('History reads oldest first', getAttestationHistory({ history: [{ response: 'b', answeredAt: 2 }, { response: 'a', answeredAt: ts(1) }] }).map(h => h.response + h.answeredAt).join(','), 'a1,b2');
+eq('Legacy doc reads as one entry with no answerer', JSON.stringify(getAttestationHistory(legacy)),
+  JSON.stringify([{ response: 'never', answeredAt: now - 30 * DAY, answeredBy: null, answeredByEmail: null }]));
+eq('Unanswered doc has no history', getAttestationHistory({}).length + getAttestationHistory(null).length, 0);
+
+let doc = trail([['answer', 'never'], ['answer', 'within_6_months']]);
+let change = findUnevidencedChange(AP001, doc, profile);
+eq('Gap cleared with no evidence is flagged', change && change.from + '>' + change.to, 'never>within_6_months');
+eq('... dated and attributed to the clearing answer', change.changedAt + ' ' + change.answeredBy, (now + DAY) + ' owner@venue.test');
+eq('Evidence added after the gap answer clears the flag',
+  findUnevidencedChange(AP001, trail([['answer', 'never'], ['evidence', 'Reviewed rates'], ['answer', 'within_6_months']]), profile), null);
+eq('... also when added after the change',
+  findUnevidencedChange(AP001, trail([['answer', 'never'], ['answer', 'within_6_months'], ['evidence', 'Reviewed rates']]), profile), null);
+eq('Evidence from before the gap answer does not count',
+  findUnevidencedChange(AP001, trail([['answer', 'within_6_months'], ['evidence', 'Old'], ['answer', 'never'], ['answer', 'within_6_months']]), profile).from, 'never');
+eq('A skip in between is passed over',
+  findUnevidencedChange(AP001, trail([['answer', 'never'], ['answer', 'skip_for_now'], ['answer', 'within_6_months']]), profile).from, 'never');
+eq('Still a gap: nothing to flag', findUnevidencedChange(AP001, trail([['answer', 'within_6_months'], ['answer', 'never']]), profile), null);
+eq('Re-attesting a cleared answer: nothing to flag', findUnevidencedChange(AP001, trail([['answer', 'within_6_months'], ['answer', 'within_6_months']]), profile), null);
+eq('Gap to lesser gap: nothing to flag', findUnevidencedChange(AP001, trail([['answer', 'never'], ['answer', '6_to_12_months']]), profile), null);
+eq('Repeated answer traced back to the change',
+  findUnevidencedChange(AP001, trail([['answer', 'never'], ['answer', 'within_6_months'], ['answer', 'within_6_months']]), profile).changedAt, now + DAY);
+eq('Legacy gap answer then a cleared answer is flagged',
+  findUnevidencedChange(AP001, Object.assign({}, legacy, applyFitzWatchAnswer(legacy, { questionId: 'AP-001', domain: 'award_pay', response: 'within_6_months' }, caller, now).fields), profile).from, 'never');
+eq('Every applicable question checked', detectUnevidencedChanges(profile, { 'AP-001': doc, 'AP-009': trail([['answer', 'no']]) }).map(c => c.questionId).join(','), 'AP-001');
+
+// ---- Only the function writes the trail --------------------------------------------------
+const fwRules = /match \/fitzWatchResponses\/\{questionId\} \{([\s\S]*?)\n      \}/.exec(rules)[1];
+eq('Rules: owner can read attestations', /allow read: if request\.auth != null && request\.auth\.uid == userId;/.test(fwRules), true);
+eq('Rules: no client create, update or delete', /allow (create|update|delete|write)/.test(fwRules.replace('allow read, write: if isAdmin();', '')), false);
+eq('Function verifies the ID token', fnSrc.indexOf('admin.auth().verifyIdToken(') !== -1, true);
+eq('... and writes inside a transaction with the server clock', /db\.runTransaction\([\s\S]{0,300}Date\.now\(\)\)/.test(fnSrc), true);
+eq('App saves answers through the function', /async function saveFitzWatchResponse[\s\S]{0,500}postFitzWatchAttestation\(\{ action: 'answer'/.test(appSrc), true);
+eq('App records evidence through the function', /action: 'evidence',[\s\S]{0,600}postFitzWatchAttestation\(body\)/.test(appSrc), true);
+const fileRules = /match \/fitzWatchEvidenceFiles\/\{document=\*\*\} \{([\s\S]*?)\n      \}/.exec(rules)[1];
+eq('Rules: owner can read evidence files', /allow read: if request\.auth != null && request\.auth\.uid == userId;/.test(fileRules), true);
+eq('... and no client can write them', /allow (create|update|delete|write)/.test(fileRules.replace('allow read, write: if isAdmin();', '')), false);
+eq('App no longer writes the trail itself', /arrayUnion[\s\S]{0,40}(entry|seed)/.test(appSrc), false);
+
+// ---- The function -------------------------------------------------------------------------
+// netlify/functions/fitz-watch-attest.js run against a stub firebase-admin:
+// an in-memory Firestore whose transactions apply their writes on return.
+const Module = require('module');
+const store = {};
+let autoId = 0;
+const docRef = p => ({ path: p, collection: c => colRef(p + '/' + c) });
+const colRef = p => ({ doc: id => docRef(p + '/' + (id || 'Auto' + (++autoId))) });
+const fakeAdmin = {
+  apps: [],
+  initializeApp() { this.apps.push({}); },
+  credential: { cert: c => c },
+  auth: () => ({ verifyIdToken: async t => { if (t !== 'good-token') throw new Error('bad token'); return { uid: 'u1', email: 'owner@example.com' }; } }),
+  firestore: Object.assign(() => ({
+    collection: c => colRef(c),
+    runTransaction: async fn => {
+      const writes = [];
+      const result = await fn({
+        get: async ref => ({ exists: ref.path in store, data: () => store[ref.path] }),
+        set: (ref, data, opts) => writes.push([ref.path, data, opts])
+      });
+      writes.forEach(([p, data, opts]) => { store[p] = Object.assign({}, opts && opts.merge ? store[p] : {}, data); });
+      return result;
+    }
+  }), { Timestamp: { fromMillis: ms => ({ toMillis: () => ms }) } })
+};
+const realLoad = Module._load;
+Module._load = function(request) { return request === 'firebase-admin' ? fakeAdmin : realLoad.apply(this, arguments); };
+Object.assign(process.env, { FIREBASE_PROJECT_ID: 'test', FIREBASE_CLIENT_EMAIL: 'test@example.com', FIREBASE_PRIVATE_KEY: 'key' });
+const { handler } = require('../netlify/functions/fitz-watch-attest.js');
+Module._load = realLoad;
+const post = (body, token) => handler({ httpMethod: 'POST', headers: { authorization: 'Bearer ' + (token || 'good-token') }, body: JSON.stringify(body) })
+  .then(r => Object.assign(r, { json: JSON.parse(r.body) }));
+const fileDocs = () => Object.keys(store).filter(k => k.indexOf('/fitzWatchEvidenceFiles/') !== -1);
+
+(async () => {
+  const pdf = Buffer.from('%PDF-1.4 signed agreement').toString('base64');
+  const upload = { action: 'evidence', questionId: 'AP-001', evidence: { kind: 'file', name: 'agreement.pdf', path: 'users/u2/fitzWatchEvidenceFiles/Theirs' },
+    file: { contentType: 'application/pdf', data: pdf } };
+  eq('Function: bad ID token is 401', (await post(upload, 'forged')).statusCode, 401);
+  let r = await post(upload);
+  eq('Function: file on an unanswered question refused', r.statusCode + ' ' + r.json.error, '400 Answer the question before adding evidence.');
+  eq('... and nothing is stored for it', fileDocs().length, 0);
+  await post({ action: 'answer', questionId: 'AP-001', domain: 'award_pay', response: 'within_6_months' });
+  r = await post(upload);
+  const filePathStored = r.json.entry && r.json.entry.path;
+  eq('Function: file recorded at a path the server chose', r.statusCode + ' ' + /^users\/u1\/fitzWatchEvidenceFiles\/\w+$/.test(filePathStored), '200 true');
+  eq('... on the evidence trail', store['users/u1/fitzWatchResponses/AP-001'].evidence.map(x => x.path).join(), filePathStored);
+  const meta = store[filePathStored] || {};
+  eq('... with its name, type and size', meta.name + ' ' + meta.contentType + ' ' + meta.size + ' ' + meta.chunkCount, 'agreement.pdf application/pdf 25 1');
+  eq('... and its bytes in the chunks', Buffer.from(store[filePathStored + '/chunks/0'].data, 'base64').toString(), '%PDF-1.4 signed agreement');
+  r = await post(Object.assign({}, upload, { file: { data: 'not base64!' } }));
+  eq('Function: a file that is not base64 is refused', r.statusCode + ' ' + r.json.error, '400 Invalid evidence file');
+  r = await post({ action: 'evidence', questionId: 'AP-001', evidence: { kind: 'note', note: 'Filed', path: 'users/u1/fitzWatchEvidenceFiles/Forged' } });
+  eq('Function: a note keeps no path the browser sent', r.json.entry.path, null);
+
+  console.log('\n' + pass + ' passed, ' + fail + ' failed');
+  process.exit(fail ? 1 : 0);
+})();
@@ -0,0 +1,113 @@
+// Fitz Watch award rule pack tests. Exercises the REAL js/fitz-watch-rules.js
+// with the shipped fitz-watch-rules.json registered through
+// js/fitz-watch-rule-schema.js — which award's pack a venue gets, and what each
+// pack rule reports — so CI checks the rules the app runs, not just their shape.
+// Run with: node tests/fitz-watch-award-packs.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+const src = ['js/fitz-watch-rules.js', 'js/fitz-watch-rule-schema.js', 'js/award-registry.js'].map(read).join('\n');
+const fw = new Function(src + '\nreturn { detectGaps, expandAwardCoverage, getQuestionById, registerFitzWatchRuleDefinitions };')();
+const registered = fw.registerFitzWatchRuleDefinitions(JSON.parse(read('fitz-watch-rules.json')));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const resp = v => ({ response: v });
+const venue = (primaryAward, o) => Object.assign({ venueName: 'Test Venue', state: 'NSW', primaryAward: primaryAward,
+  staffCount: 24, casual_count: 12, part_time_count: 8, full_time_count: 4, annualised_wage_used: 'yes' }, o);
+const applicable = profile => fw.detectGaps(profile, {}, []).outstanding.map(o => o.questionId);
+const gap = (profile, responses, id) => fw.detectGaps(profile, responses, []).gaps.find(g => g.gap_id === id);
+
+const HOSPITALITY_IDS = ['AP-002', 'AP-003', 'AP-004', 'AP-005', 'AP-006', 'AP-007'];
+const PACK_IDS = ['MFG-001', 'MFG-002', 'SCH-001', 'SCH-002', 'RET-001', 'HPS-001', 'HPS-002', 'CSA-001', 'CSA-002'];
+const only = (ids, want) => want.every(id => ids.indexOf(id) !== -1) && PACK_IDS.every(id => want.indexOf(id) !== -1 || ids.indexOf(id) === -1);
+const none = (ids, of) => of.every(id => ids.indexOf(id) === -1);
+
+// ---- Registration ------------------------------------------------------------------
+eq('fitz-watch-rules.json registers cleanly', registered.problems.length, 0);
+eq('Every pack rule is a data rule', PACK_IDS.every(id => fw.getQuestionById(id) && fw.getQuestionById(id).source === 'data'), true);
+
+// ---- Which pack applies ----------------------------------------------------------------
+const packs = [
+  ['Manufacturing and Associated Industries Award', 'MA000010', ['MFG-001', 'MFG-002']],
+  ['Social, Community, Home Care and Disability Services Industry Award MA000100', 'MA000100', ['SCH-001', 'SCH-002']],
+  ['General Retail Industry Award MA000004', 'MA000004', ['RET-001']],
+  ['Health Professionals and Support Services Award MA000027', 'MA000027', ['HPS-001', 'HPS-002']],
+  ["Children's Services Award MA000120", 'MA000120', ['CSA-001', 'CSA-002']]
+];
+for (const [name, code, ids] of packs) {
+  const got = applicable(venue(name));
+  const found = fw.detectGaps(venue(name), { 'AP-001': resp('never'), 'LM-003': resp('no') }, []).gaps;
+  eq(code + ' resolves from the stored award name', fw.expandAwardCoverage(name).join(), code);
+  eq(code + ' gets its own pack and no other', only(got, ids), true);
+  eq(code + ' drops the hospitality-anchored AP rules', none(got, HOSPITALITY_IDS), true);
+  eq(code + ' keeps award-neutral AP-001', got.indexOf('AP-001') !== -1, true);
+  eq(code + ' award-neutral findings cite no hospitality clause',
+    found.length === 2 && found.every(g => !/MA000(009|119)/.test(JSON.stringify(g.statutory_anchor) + g.fix_payload)), true);
+}
+for (const [label, award] of [['Restaurant', 'MA000119'], ['Hospitality', 'MA000009']]) {
+  const got = applicable(venue(award));
+  eq(label + ' venue: hospitality AP rules apply', HOSPITALITY_IDS.every(id => got.indexOf(id) !== -1), true);
+  eq(label + ' venue: no award pack applies', none(got, PACK_IDS), true);
+}
+for (const [label, award] of [['No award set', null], ['Empty award', ''], ['Blank award', '  ']]) {
+  const got = applicable(venue(award));
+  eq(label + ': hospitality AP rules stay on', HOSPITALITY_IDS.every(id => got.indexOf(id) !== -1), true);
+  eq(label + ': no award pack applies', none(got, PACK_IDS), true);
+}
+// A set award that does not resolve must never be treated as Hospitality.
+for (const award of ['Not sure', 'Fast Food Industry Award', 'Clerks - Private Sector Award', 'MA000003']) {
+  const got = applicable(venue(award));
+  eq('"' + award + '" does not resolve', fw.expandAwardCoverage(award).length, 0);
+  eq('"' + award + '": no hospitality AP rules', none(got, HOSPITALITY_IDS), true);
+  eq('"' + award + '": no award pack', none(got, PACK_IDS), true);
+  eq('"' + award + '": floor rules still apply', got.indexOf('AP-001') !== -1, true);
+  eq('"' + award + '": no finding cites MA000009 or MA000119',
+    fw.detectGaps(venue(award), { 'AP-001': resp('never') }, []).gaps.every(g => !/MA000(009|119)/.test(JSON.stringify(g.statutory_anchor))), true);
+}
+eq('Hospitality venue: AP-001 cites the hospitality minimum rates', gap(venue('MA000009'), { 'AP-001': resp('never') }, 'AP-001').statutory_anchor.awardClauses.join(), 'MA000119 minimum rates,MA000009 minimum rates');
+eq('AP-005 and AP-007 apply without annualised wages', ['AP-005', 'AP-007'].every(id => applicable(venue(null, { annualised_wage_used: 'no' })).indexOf(id) !== -1), true);
+
+// ---- Manufacturing ----------------------------------------------------------------------
+const mfg = venue('MA000010');
+eq('MFG-001 "no" is HIGH', gap(mfg, { 'MFG-001': resp('no') }, 'MFG-001').severity, 'high');
+eq('... anchored to cl 17.5', gap(mfg, { 'MFG-001': resp('no') }, 'MFG-001').statutory_anchor.awardClauses.indexOf('MA000010 cl 17.5(a)') !== -1, true);
+eq('... counts the full-timers', gap(mfg, { 'MFG-001': resp('no') }, 'MFG-001').affected_count, 4);
+eq('... and names the award in the fix prompt', gap(mfg, { 'MFG-001': resp('no') }, 'MFG-001').fix_payload.indexOf('MA000010 (Manufacturing and Associated Industries Award)') !== -1, true);
+eq('MFG-001 "no_rdos" is no gap', gap(mfg, { 'MFG-001': resp('no_rdos') }, 'MFG-001'), undefined);
+eq('MFG-002 "partial" is MEDIUM', gap(mfg, { 'MFG-002': resp('partial') }, 'MFG-002').severity, 'medium');
+eq('MFG-002 "no_shiftwork" is no gap', gap(mfg, { 'MFG-002': resp('no_shiftwork') }, 'MFG-002'), undefined);
+
+// ---- SCHADS ---------------------------------------------------------------------------------
+const sch = venue('MA000100');
+eq('SCH-001 "no" is HIGH with cl 25.6 and the cl 20.12 allowance', (g => g.severity + ' ' + g.statutory_anchor.awardClauses.join())(gap(sch, { 'SCH-001': resp('no') }, 'SCH-001')),
+  'high MA000100 cl 25.6,MA000100 cl 20.12');
+eq('SCH-002 "no_sleepovers" is no gap', gap(sch, { 'SCH-002': resp('no_sleepovers') }, 'SCH-002'), undefined);
+eq('SCH-002 "unsure_need_help" is MEDIUM', gap(sch, { 'SCH-002': resp('unsure_need_help') }, 'SCH-002').severity, 'medium');
+
+// ---- Retail -------------------------------------------------------------------------------------
+const ret = venue('MA000004');
+eq('RET-001 "no" (juniors on short shifts) is CRITICAL', gap(ret, { 'RET-001': resp('no') }, 'RET-001').severity, 'critical');
+eq('RET-001 "partial" is HIGH, anchored to cl 11.3', (g => g.severity + ' ' + (g.statutory_anchor.awardClauses.indexOf('MA000004 cl 11.3') !== -1))(gap(ret, { 'RET-001': resp('partial') }, 'RET-001')), 'high true');
+eq('... counts the casuals', gap(ret, { 'RET-001': resp('no') }, 'RET-001').affected_count, 12);
+eq('RET-001 not asked of an all-full-time store', applicable(venue('MA000004', { casual_count: 0, part_time_count: 0 })).indexOf('RET-001'), -1);
+
+// ---- Health ---------------------------------------------------------------------------------------
+const hps = venue('MA000027');
+eq('HPS-001 "no" is CRITICAL', gap(hps, { 'HPS-001': resp('no') }, 'HPS-001').severity, 'critical');
+eq('HPS-002 "partial" is HIGH and offers the reconciliation tool', (g => g.severity + ' ' + g.fix_payload_tool)(gap(hps, { 'HPS-002': resp('partial') }, 'HPS-002')), 'high annualised_wage_reconciliation');
+eq('HPS-002 "no" is CRITICAL', gap(hps, { 'HPS-002': resp('no') }, 'HPS-002').severity, 'critical');
+eq('HPS-002 not asked without annualised wages', applicable(venue('MA000027', { annualised_wage_used: 'no' })).indexOf('HPS-002'), -1);
+
+// ---- Children's services --------------------------------------------------------------------------
+const csa = venue('MA000120');
+eq('CSA-001 "no" is CRITICAL, anchored to National Law s169', (g => g.severity + ' ' + (g.statutory_anchor.section.indexOf('s169') !== -1))(gap(csa, { 'CSA-001': resp('no') }, 'CSA-001')), 'critical true');
+eq('CSA-002 "no" is HIGH, anchored to cl 21.5(a)', (g => g.severity + ' ' + (g.statutory_anchor.awardClauses.indexOf('MA000120 cl 21.5(a)') !== -1))(gap(csa, { 'CSA-002': resp('no') }, 'CSA-002')), 'high true');
+eq('CSA-002 "yes" is no gap', gap(csa, { 'CSA-002': resp('yes') }, 'CSA-002'), undefined);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
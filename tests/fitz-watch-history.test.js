@@ -0,0 +1,68 @@
+// Fitz Watch score history tests. Exercises the REAL js/fitz-watch-history.js
+// over the rules engine in js/fitz-watch-rules.js.
+// Run with: node tests/fitz-watch-history.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', 'js', f), 'utf8');
+const src = ['fitz-watch-rules.js', 'award-registry.js', 'fitz-watch-history.js'].map(read).join('\n');
+const { fitzWatchSnapshotPeriod, computeComplianceScore, buildComplianceSnapshot, pickComparisonSnapshot, diffComplianceSnapshots } =
+  new Function(src + '\nreturn { fitzWatchSnapshotPeriod, computeComplianceScore, buildComplianceSnapshot, pickComparisonSnapshot, diffComplianceSnapshots };')();
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const at = s => new Date(s + 'T10:00:00').getTime();
+const resp = v => ({ response: v });
+const profile = { venueName: 'Test Diner', state: 'NSW', primaryAward: 'MA000119', venueType: 'restaurant', staffCount: 10,
+  casual_count: 6, part_time_count: 2, full_time_count: 2, annualised_wage_used: 'no' };
+const paydaySuper = { change_id: 'payday_super_2026', name: 'Payday super commencement', commencement_date: '2026-07-01', recommended_actions: ['PS-001'] };
+
+// ---- Periods and score ------------------------------------------------------------
+eq('Period is the Monday of the week', fitzWatchSnapshotPeriod(at('2026-10-22')), '2026-10-19');
+eq('Monday is its own period', fitzWatchSnapshotPeriod(at('2026-10-19')), '2026-10-19');
+eq('Sunday belongs to the week before', fitzWatchSnapshotPeriod(at('2026-10-25')), '2026-10-19');
+eq('No gaps, all answered: 100', computeComplianceScore([], 0, 10), 100);
+eq('Every question critical: 0', computeComplianceScore(Array(10).fill({ severity: 'critical' }), 0, 10), 0);
+eq('Weighted penalty', computeComplianceScore([{ severity: 'critical' }, { severity: 'high' }, { severity: 'low' }], 0, 10), 84);
+eq('Unanswered questions count against the score', computeComplianceScore([], 5, 10), 90);
+eq('Nothing applicable: no score', computeComplianceScore([], 0, 0), null);
+
+// ---- Snapshot ----------------------------------------------------------------------------
+const sep = buildComplianceSnapshot(profile, { 'AP-001': resp('never'), 'PS-001': resp('not_yet'), 'PS-002': resp('yes') }, [], at('2026-09-14'));
+eq('Snapshot period and time', sep.period + ' ' + sep.takenAt, '2026-09-14 ' + at('2026-09-14'));
+eq('Gap severities recorded', sep.gaps.map(g => g.id + ':' + g.severity).join(' '), 'AP-001:critical PS-001:critical');
+eq('Severity counts', JSON.stringify(sep.counts), '{"critical":2,"high":0,"medium":0,"low":0}');
+eq('Domain rollups, clear where answered with no gap', sep.domains.award_pay + ' ' + sep.domains.payroll_super + ' ' + sep.domains.termination, 'critical critical clear');
+eq('Outstanding counted', sep.outstanding, sep.applicable - 3);
+eq('Score from gaps and outstanding', sep.score, computeComplianceScore([{ severity: 'critical' }, { severity: 'critical' }], sep.applicable - 3, sep.applicable));
+const oct = buildComplianceSnapshot(profile, { 'AP-001': resp('within_6_months'), 'PS-001': resp('scheduled'), 'PS-002': resp('yes'), 'AP-009': resp('no') }, [paydaySuper], at('2026-10-19'));
+eq('Reform bump recorded with the pre-bump severity', JSON.stringify(oct.gaps.find(g => g.id === 'PS-001')), JSON.stringify({ id: 'PS-001', title: oct.gaps.find(g => g.id === 'PS-001').title, domain: 'payroll_super', severity: 'high', reform: 'Payday super commencement', reformFrom: 'medium' }));
+eq('Unescalated gaps have no reform', oct.gaps.find(g => g.id === 'AP-009').reform, null);
+
+// ---- Diff ----------------------------------------------------------------------------------
+const d = diffComplianceSnapshots(sep, oct);
+eq('Closed gaps', d.closed.map(g => g.id).join(','), 'AP-001');
+eq('New gaps', d.opened.map(g => g.id).join(','), 'AP-009');
+eq('Better answer counted on the pre-bump severity', d.improved.map(c => c.gap.id + ':' + c.from + '>' + c.to).join(','), 'PS-001:critical>medium');
+eq('A reform bump is not a worse answer', d.worsened.length, 0);
+eq('New reform escalation listed', d.escalated.map(g => g.id + ' (' + g.reform + ')').join(','), 'PS-001 (Payday super commencement)');
+eq('Score change', d.scoreChange, oct.score - sep.score);
+eq('Escalation already there last time is not new',
+  diffComplianceSnapshots(oct, buildComplianceSnapshot(profile, { 'PS-001': resp('scheduled') }, [paydaySuper], at('2026-10-26'))).escalated.length, 0);
+eq('Worse answer reported', diffComplianceSnapshots(oct, buildComplianceSnapshot(profile, { 'AP-009': resp('no'), 'PS-001': resp('not_yet') }, [], at('2026-10-26')))
+  .worsened.map(c => c.gap.id + ':' + c.from + '>' + c.to).join(','), 'PS-001:medium>critical');
+
+// ---- Comparison snapshot ---------------------------------------------------------------------
+const snap = (day, score) => ({ period: fitzWatchSnapshotPeriod(at(day)), takenAt: at(day), score: score, gaps: [] });
+const stored = [snap('2026-08-31', 50), snap('2026-09-14', 55), snap('2026-09-21', 60), snap('2026-10-12', 70), snap('2026-10-19', 72)];
+const current = snap('2026-10-20', 75);
+eq('Newest snapshot at least 4 weeks old', pickComparisonSnapshot(stored, current).period, '2026-09-21');
+eq('Falls back to the oldest earlier snapshot', pickComparisonSnapshot([snap('2026-10-12', 70)], current).period, '2026-10-12');
+eq('Same-week snapshot is not a comparison', pickComparisonSnapshot([snap('2026-10-19', 72)], current), null);
+eq('No history', pickComparisonSnapshot([], current), null);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,80 @@
+// Fitz Watch compliance report tests. Exercises the REAL js/fitz-watch-report.js
+// over the rules engine in js/fitz-watch-rules.js (award names through
+// js/award-registry.js).
+// Run with: node tests/fitz-watch-report.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', 'js', f), 'utf8');
+const src = ['fitz-watch-rules.js', 'award-registry.js', 'fitz-watch-report.js'].map(read).join('\n');
+const { buildFitzWatchReport, renderFitzWatchReportHtml, formatFitzWatchReportDate } =
+  new Function(src + '\nreturn { buildFitzWatchReport, renderFitzWatchReportHtml, formatFitzWatchReportDate };')();
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const DAY = 24 * 60 * 60 * 1000;
+const ago = days => Date.now() - days * DAY;
+const resp = (value, days, extra) => Object.assign({ response: value, lastAnsweredAt: ago(days) }, extra);
+const DOMAINS = [{ id: 'award_pay', label: 'Award & Pay' }, { id: 'payroll_super', label: 'Payroll & Super' }];
+const profile = { venueName: 'The Test Tavern', state: 'NSW', primaryAward: 'Restaurant Industry Award', staffCount: 12,
+  casual_count: 8, part_time_count: 2, full_time_count: 2, annualised_wage_used: 'yes', venueType: 'restaurant' };
+const responses = {
+  'AP-001': resp('never', 40),
+  'AP-002': resp('yes', 10),
+  'PS-001': resp('yes', 200, { evidence: [{ kind: 'note', note: 'Clearing house statements', addedAt: ago(200) }] }),
+  'AP-003': resp('yes', 1, { history: [{ response: 'no', answeredAt: ago(30) }, { response: 'yes', answeredAt: ago(1), answeredByEmail: 'owner@example.com' }] })
+};
+const build = o => buildFitzWatchReport(profile, responses, Object.assign({ domains: DOMAINS, now: Date.parse('2026-10-19T09:00:00') }, o));
+
+// ---- Report record ----------------------------------------------------------------
+let r = build();
+eq('Venue and award named', r.venueName + ' / ' + r.award, 'The Test Tavern / MA000119 (Restaurant Industry Award)');
+eq('Only domains asked about, in the given order', r.domains.map(d => d.id).join(','), 'award_pay,payroll_super');
+eq('Domain rollup from the gaps', r.domains[0].severity + ' ' + r.domains[0].gapCount, 'critical 1');
+eq('Domain with no gaps has no severity', r.domains[1].severity, null);
+eq('Answered counts per domain', r.domains[0].answered, 3);
+eq('Open gap carries its anchor and consequence', !!(r.gaps[0].statutoryAnchor.act && r.gaps[0].consequence), true);
+eq('Gap shows the answer given', r.gaps[0].gapId + ': ' + r.gaps[0].answer, 'AP-001: Never');
+eq('Gap shows when it was last attested', formatFitzWatchReportDate(r.gaps[0].lastAttestedAt), formatFitzWatchReportDate(ago(40)));
+eq('Gaps sorted by severity', r.gaps.every((g, i) => i === 0 || ['low', 'medium', 'high', 'critical'].indexOf(g.severity) <= ['low', 'medium', 'high', 'critical'].indexOf(r.gaps[i - 1].severity)), true);
+eq('Unanswered questions are outstanding', r.outstanding.some(o => o.questionId === 'AP-004') && !r.outstanding.some(o => o.questionId === 'AP-001'), true);
+eq('Critical gap past 30 days and no-gap answer past 90 days are stale', r.stale.map(s => s.questionId).join(','), 'AP-001,PS-001');
+eq('Recent answers are not stale', r.attestations.filter(a => !a.stale).map(a => a.questionId).join(','), 'AP-002,AP-003');
+eq('Last attested taken from the history', r.attestations.find(a => a.questionId === 'AP-003').lastAttestedAt, responses['AP-003'].history[1].answeredAt);
+eq('Evidence counted', r.attestations.find(a => a.questionId === 'PS-001').evidenceCount, 1);
+eq('Unevidenced change reported with answer labels', r.unevidenced.map(c => c.questionId + ':' + c.fromLabel.split(' ')[0] + '>' + c.toLabel.split(' ')[0]).join(','), 'AP-003:No>Yes');
+eq('Totals', JSON.stringify(r.totals), JSON.stringify({ applicable: r.totals.applicable, answered: 4, gaps: r.gaps.length, critical: 1, outstanding: r.outstanding.length, stale: 2 }));
+eq('Reforms passed through', build({ reforms: [{ name: 'Payday super', commencement_date: '2026-07-01', jurisdiction: 'national', recommended_actions: ['PS-001'] }] }).reforms[0].jurisdiction, 'National');
+eq('Reform within 90 days escalates the linked gap',
+  buildFitzWatchReport(profile, { 'PS-001': resp('no', 5) }, { domains: DOMAINS, activeReforms: [{ name: 'Payday super', recommended_actions: ['PS-001'] }] })
+    .gaps.find(g => g.gapId === 'PS-001').urgencyDriver.startsWith('Reform commences soon'), true);
+eq('Empty responses: everything outstanding', buildFitzWatchReport(profile, {}, { domains: DOMAINS }).totals.answered, 0);
+
+// ---- HTML ----------------------------------------------------------------------------
+const html = renderFitzWatchReportHtml(build({ profileRows: [['ABN', '12 345 678 901'], ['Staff', '12 total']] }));
+eq('Report date', html.includes('Prepared 19 Oct 2026'), true);
+eq('Sections in order', ['Summary', 'Business profile', 'Risk by domain', 'Open gaps', 'Outstanding questions', 'Due for re-attestation',
+  'Answers changed without evidence', 'Upcoming regulatory changes', 'Attestation register'].map(h => html.indexOf('<h2>' + h + '</h2>')).every((i, n, a) => i > -1 && (n === 0 || i > a[n - 1])), true);
+eq('Profile rows listed', html.includes('<li>ABN: 12 345 678 901</li>'), true);
+eq('Only tags the converters read', (html.match(/<(\w+)/g) || []).every(t => ['<h1', '<h2', '<h3', '<p', '<ul', '<li', '<strong', '<em'].includes(t)), true);
+eq('Tags carry no attributes (generate-word matches bare tags)', /<\w+ /.test(html), false);
+eq('Venue text escaped', renderFitzWatchReportHtml(buildFitzWatchReport({ venueName: 'Fish & <Chips>' }, {}, {})).includes('Fish &amp; &lt;Chips&gt;'), true);
+eq('Empty sections say so', renderFitzWatchReportHtml(buildFitzWatchReport(profile, {}, { domains: DOMAINS })).includes('No open gaps.'), true);
+const noReforms = renderFitzWatchReportHtml(build({ reforms: [], reformsUnavailable: true }));
+eq('Reforms that failed to load are flagged on the record', build({ reformsUnavailable: true }).reformsUnavailable, true);
+eq('... and the report says they are unavailable', noReforms.includes('<p>Upcoming reforms unavailable'), true);
+eq('... instead of claiming nothing upcoming applies', noReforms.includes('No upcoming changes affect this business.'), false);
+eq('Loaded with none applicable still says so', renderFitzWatchReportHtml(build({ reforms: [] })).includes('No upcoming changes affect this business.'), true);
+eq('Unavailable note uses only tags the converters read', /<\w+ /.test(noReforms), false);
+const noRules = renderFitzWatchReportHtml(build({ rulesUnavailable: true, profileRows: [['Staff', '12 total']] }));
+eq('Rules that failed to load are flagged on the record', build({ rulesUnavailable: true }).rulesUnavailable, true);
+eq('... and the summary says the award rule packs were not checked', noRules.includes('<p>Award rule packs unavailable'), true);
+eq('... before the business profile', noRules.indexOf('Award rule packs unavailable') < noRules.indexOf('<h2>Business profile</h2>'), true);
+eq('Loaded rules add no note', renderFitzWatchReportHtml(build({})).includes('Award rule packs unavailable'), false);
+eq('Undated attestation', formatFitzWatchReportDate(null), 'not recorded');
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,142 @@
+// Fitz Watch declarative rule tests. Exercises the REAL js/fitz-watch-rule-schema.js
+// against the built-in registry in js/fitz-watch-rules.js and the shipped
+// fitz-watch-rules.json (award resolution through js/award-registry.js).
+// Run with: node tests/fitz-watch-rule-schema.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+const src = ['js/fitz-watch-rules.js', 'js/fitz-watch-rule-schema.js', 'js/award-registry.js'].map(read).join('\n');
+const load = () => new Function(src + '\nreturn { FITZ_WATCH_QUESTION_REGISTRY, detectGaps, parseFitzWatchExpression, ' +
+  'evaluateFitzWatchExpression, validateFitzWatchRuleDefinitions, compileFitzWatchRule, registerFitzWatchRuleDefinitions };')();
+const fw = load();
+const RULES = JSON.parse(read('fitz-watch-rules.json'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const ev = (expr, profile, extra) => fw.evaluateFitzWatchExpression(fw.parseFitzWatchExpression(expr), Object.assign({ profile: profile || {} }, extra));
+const parseError = expr => { try { fw.parseFitzWatchExpression(expr); return null; } catch (e) { return e.message; } };
+const resp = v => ({ response: v });
+const base = fw.FITZ_WATCH_QUESTION_REGISTRY.slice();
+const rule = o => Object.assign({
+  id: 'TST-001', domain: 'award_pay', title: 'Test rule', question: 'Is it done?',
+  options: [{ value: 'yes', label: 'Yes' }, { value: 'no', label: 'No' }, { value: 'unsure_need_help', label: "I'm not sure" }],
+  statutoryAnchor: { act: 'Modern Award', section: 'cl 1', jurisdiction: 'national' },
+  consequence: 'Something.', urgencyDriver: 'Soon.',
+  severity: { yes: null, no: 'high', unsure_need_help: 'medium' },
+  fixAction: 'ask_fitz', defaultAction: 'Help me.'
+}, o);
+const problems = (...defs) => fw.validateFitzWatchRuleDefinitions({ rules: defs }, base);
+
+// ---- Expression language ----------------------------------------------------------
+eq('Profile fields and comparison', ev("state == 'NSW'", { state: 'NSW' }), true);
+eq('Missing fields are null', ev('venueType == null', {}), true);
+eq('Null counts as 0 in arithmetic', ev('full_time_count + part_time_count', { part_time_count: 3 }), 3);
+eq('and binds tighter than or', ev("casual_count > 0 or state == 'VIC' and staffCount > 100", { casual_count: 2, state: 'NSW' }), true);
+eq('Parentheses group', ev("(casual_count > 0 or state == 'VIC') and staffCount > 100", { casual_count: 2, staffCount: 5 }), false);
+eq('in is list membership', ev("venueType in ['pub', 'bar']", { venueType: 'bar' }), true);
+eq('not in', ev("venueType not in ['pub', 'bar']", { venueType: 'cafe' }), true);
+eq('award resolves through the registry', ev("award in ['MA000010']", { primaryAward: 'Manufacturing and Associated Industries Award' }), true);
+eq('award keeps both hospitality codes', ev("award in ['MA000009']", { primaryAward: 'Restaurant & Hospitality' }), true);
+eq('upper() normalises', ev("upper(state) == 'NSW'", { state: 'nsw' }), true);
+eq('answer() reads another response', ev("answer('WHS-001') in ['yes', 'partial']", {}, { responses: { 'WHS-001': resp('partial') } }), true);
+eq('Unanswered question is null', ev("answer('WHS-001') == null", {}, { responses: {} }), true);
+eq('Syntax error reported with position', parseError("state == 'NSW' and"), 'unexpected end of expression');
+eq('Unterminated string', parseError("state == 'NSW"), 'unterminated string at position 9');
+eq('Stray token', parseError('state == == 1'), "unexpected '==' at position 9");
+
+// ---- Validator ----------------------------------------------------------------------
+eq('Shipped rule file is valid', fw.validateFitzWatchRuleDefinitions(RULES, base).join('; '), '');
+eq('A clean rule passes', problems(rule()).length, 0);
+eq('Unknown question in answer()', problems(rule({ appliesWhen: "answer('XX-999') == 'yes'" }))[0], "TST-001: appliesWhen: answer('XX-999') refers to an unknown question");
+eq('Unknown answer value for another question', problems(rule({ appliesWhen: "answer('WHS-001') in ['yes', 'sometimes']" }))[0],
+  "TST-001: appliesWhen: answer('WHS-001') is compared with 'sometimes', which is not one of its answers");
+eq('Unknown answer in a severity key', problems(rule({ severity: { yes: null, no: 'high', unsure_need_help: 'medium', maybe: 'low' } }))[0],
+  "TST-001: severity for 'maybe', which is not one of its answers");
+eq('Every answer needs a severity', problems(rule({ severity: { yes: null, no: 'high' } }))[0], "TST-001: no severity for answer 'unsure_need_help'");
+eq('Unknown answer compared with response', problems(rule({ severity: { yes: null, no: [{ when: "response == 'nope'", severity: 'low' }, { severity: 'high' }], unsure_need_help: 'medium' } }))[0],
+  "TST-001: severity['no'][0].when: response is compared with 'nope', which is not one of its answers");
+eq('Unknown profile field', problems(rule({ appliesWhen: 'casuals > 0' }))[0], "TST-001: appliesWhen: unknown name 'casuals'");
+eq('Unknown function', problems(rule({ appliesWhen: "today() > 0" }))[0], "TST-001: appliesWhen: unknown function 'today'");
+eq('answer() only in appliesWhen', problems(rule({ affectedCount: "answer('AP-001')" }))[0], 'TST-001: affectedCount: answer() is only available in appliesWhen');
+eq('Syntax errors name the field', problems(rule({ appliesWhen: "state ==" }))[0], 'TST-001: appliesWhen: unexpected end of expression');
+eq('Unknown severity', problems(rule({ severity: { yes: null, no: 'severe', unsure_need_help: 'medium' } }))[0], "TST-001: severity['no']: unknown severity 'severe'");
+eq('Built-in ids cannot be redefined', problems(rule({ id: 'AP-001' }))[0], 'AP-001: id is already used by a built-in rule');
+eq('Duplicate ids', problems(rule(), rule())[0], 'TST-001: id is defined more than once');
+eq('Unknown domain', problems(rule({ domain: 'payroll' }))[0], "TST-001: unknown domain 'payroll'");
+eq('generate_doc needs a template', problems(rule({ fixAction: 'generate_doc' }))[0], 'TST-001: generate_doc needs fixPayloadDoc.templateId');
+eq('Data rules can reference each other', problems(rule({ id: 'TST-002', appliesWhen: "answer('TST-001') == 'no'" }), rule()).length, 0);
+
+// ---- Compiler ----------------------------------------------------------------------------
+const compiled = fw.compileFitzWatchRule(rule({
+  appliesWhen: "state == 'NSW' and answer('WHS-001') in ['yes', 'partial']",
+  affectedCount: 'casual_count',
+  severity: {
+    yes: null,
+    no: [{ when: "upper(state) == 'VIC'", severity: 'critical', label: 'Defence at risk' }, { severity: 'high' }],
+    unsure_need_help: { severity: 'medium', label: 'Check' }
+  }
+}));
+eq('conditional reads profile and responses', compiled.conditional({ state: 'NSW' }, { 'WHS-001': resp('yes') }), true);
+eq('conditional false without the linked answer', compiled.conditional({ state: 'NSW' }, {}), false);
+eq('First matching case wins', JSON.stringify(compiled.detect('no', { state: 'vic' })), '{"severity":"critical","severityLabel":"Defence at risk"}');
+eq('Fallback case', JSON.stringify(compiled.detect('no', { state: 'NSW' })), '{"severity":"high"}');
+eq('null means no gap', compiled.detect('yes', {}), null);
+eq('Label carried through', compiled.detect('unsure_need_help', {}).severityLabel, 'Check');
+eq('Unrecognised answer defaults to high', compiled.detect('garbage', {}).severity, 'high');
+eq('affectedCount of zero is unknown', compiled.affectedCount({ casual_count: 0 }), null);
+eq('affectedCount', compiled.affectedCount({ casual_count: 7 }), 7);
+
+// ---- Registration and detectGaps ------------------------------------------------------------
+let f = load();
+let reg = f.registerFitzWatchRuleDefinitions(RULES);
+eq('Shipped rules registered', reg.registered.length, RULES.rules.length);
+const ids = f.FITZ_WATCH_QUESTION_REGISTRY.map(r => r.id);
+eq('Award packs sit after AP-012', ids.indexOf('MFG-001'), ids.indexOf('AP-012') + 1);
+eq('Registering twice does not duplicate', f.registerFitzWatchRuleDefinitions(RULES).registered.length + ':' + f.FITZ_WATCH_QUESTION_REGISTRY.length, RULES.rules.length + ':' + ids.length);
+const manuf = { primaryAward: 'Manufacturing and Associated Industries Award', state: 'VIC', full_time_count: 6 };
+let r = f.detectGaps(manuf, { 'MFG-001': resp('no'), 'MFG-002': resp('partial') }, []);
+eq('Data rule gaps reach detectGaps', r.gaps.map(g => g.gap_id + ':' + g.severity).join(' '), 'MFG-001:high MFG-002:medium');
+eq('fix_payload built for data rules', r.gaps[0].fix_payload.includes('MA000010 (Manufacturing and Associated Industries Award)'), true);
+eq('affected_count from the expression', r.gaps[0].affected_count, 6);
+r = f.detectGaps({ primaryAward: 'Health Professionals and Support Services Award MA000027', annualised_wage_used: 'yes' }, { 'HPS-002': resp('no') }, []);
+eq('Label and tool carried to the gap', r.gaps[0].severity_label + ' / ' + r.gaps[0].fix_payload_tool, 'Defence at risk / annualised_wage_reconciliation');
+f = load();
+reg = f.registerFitzWatchRuleDefinitions({ rules: RULES.rules.concat([rule({ appliesWhen: "answer('NOPE-001') == 'yes'" })]) });
+eq('An invalid file registers nothing', reg.registered.length + ':' + f.FITZ_WATCH_QUESTION_REGISTRY.length, '0:' + base.length);
+eq('and says why', reg.problems[0], "TST-001: appliesWhen: answer('NOPE-001') refers to an unknown question");
+
+// ---- Loader ------------------------------------------------------------------------
+// fetch answers with each of `replies` in turn (the last one repeats).
+const withFetch = replies => {
+  let calls = 0;
+  const stubFetch = () => {
+    const r = replies[Math.min(calls++, replies.length - 1)];
+    return r instanceof Error ? Promise.reject(r) : Promise.resolve(r);
+  };
+  const g = new Function('fetch', 'console', src + '\nreturn { loadFitzWatchRules, FITZ_WATCH_QUESTION_REGISTRY };')(stubFetch, { warn() {} });
+  g.calls = () => calls;
+  return g;
+};
+const served = doc => ({ ok: true, json: () => Promise.resolve(doc) });
+
+(async () => {
+  let g = withFetch([new Error('offline'), served(RULES)]);
+  let loaded = await g.loadFitzWatchRules();
+  eq('A failed fetch reports the rules unavailable', loaded.unavailable, true);
+  eq('... and keeps the built-in rules', g.FITZ_WATCH_QUESTION_REGISTRY.length, base.length);
+  loaded = await g.loadFitzWatchRules();
+  eq('... and the next call tries again', g.calls() + ' ' + loaded.unavailable + ' ' + loaded.registered.length, '2 false ' + RULES.rules.length);
+  await g.loadFitzWatchRules();
+  eq('A loaded file is fetched once', g.calls(), 2);
+  g = withFetch([{ ok: false, status: 404 }]);
+  eq('A missing file reports the rules unavailable', (await g.loadFitzWatchRules()).unavailable, true);
+  g = withFetch([served({ rules: [rule({ appliesWhen: "answer('NOPE-001') == 'yes'" })] })]);
+  eq('A rejected file reports the rules unavailable', (await g.loadFitzWatchRules()).unavailable, true);
+
+  console.log('\n' + pass + ' passed, ' + fail + ' failed');
+  process.exit(fail ? 1 : 0);
+})();
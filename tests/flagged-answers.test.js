@@ -0,0 +1,113 @@
+// Flagged answer tests. Exercises the REAL js/flagged-answers.js — the
+// "Report wrong answer" flag stored from chat and the regression report the
+// admin dashboard exports from it — and runs the exported report through the
+// REAL scripts/flag-to-regression.mjs (in a scratch copy of the repo layout).
+// Run with: node tests/flagged-answers.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  FLAGGED_REPORT_FIELDS, REGRESSION_ASSERT_KINDS, FLAG_TEXT_CHARS,
+  guessFlagCategory, buildFlaggedAnswer, draftRegressionAssert,
+  draftFlaggedReport, validateFlaggedReport, flaggedReportFilename
+} = require('../js/flagged-answers.js');
+const ROOT = path.join(__dirname, '..');
+const read = f => fs.readFileSync(path.join(ROOT, f), 'utf8');
+const intakeSrc = read('scripts/flag-to-regression.mjs');
+const template = JSON.parse(read('regression/flagged/TEMPLATE.json'));
+const rules = read('firestore.rules');
+const appSrc = read('js/app-main.js');
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const listIn = (name) => JSON.parse(new RegExp('const ' + name + ' = (\\[[^\\]]*\\])').exec(intakeSrc)[1].replace(/'/g, '"'));
+
+// ---- Kept in step with the intake script --------------------------------------
+eq('Required fields match flag-to-regression.mjs', FLAGGED_REPORT_FIELDS.join(','), listIn('REQUIRED').join(','));
+eq('Assert kinds match flag-to-regression.mjs', REGRESSION_ASSERT_KINDS.join(','), listIn('VALID_KINDS').join(','));
+
+// ---- The stored flag ----------------------------------------------------------
+const flag = buildFlaggedAnswer({
+  question: '  What is the minimum full-time hourly rate for a Level 3 cook?  ',
+  answer: 'A Level 3 cook earns $27.30 an hour.',
+  awardCode: 'MA000009',
+  awardName: 'Hospitality Industry (General) Award',
+  correction: 'It is $28.68 per hour',
+  source: 'FWO Pay Guide MA000009, effective 1 Jul 2026',
+  conversationId: 'c1'
+}, { uid: 'u1', email: 'owner@cafe.com.au' });
+eq('Flag stamped with the submitter (rules check userId)', flag.userId, 'u1');
+eq('... opens as open', flag.status, 'open');
+eq('... question trimmed', flag.question, 'What is the minimum full-time hourly rate for a Level 3 cook?');
+eq('... long text cut short', buildFlaggedAnswer({ answer: 'x'.repeat(9000) }, { uid: 'u1' }).answer.length, FLAG_TEXT_CHARS);
+eq('... no source is null', buildFlaggedAnswer({}, { uid: 'u1' }).source, null);
+
+// ---- Category and assert drafts -----------------------------------------------
+eq('Rate question -> pay_rate', guessFlagCategory('What does a Level 2 waiter get?'), 'pay_rate');
+eq('Sunday question -> penalty_rate', guessFlagCategory('What do I pay on Sunday?'), 'penalty_rate');
+eq('Casual loading question -> casual_loading', guessFlagCategory('Is the casual loading 25%?'), 'casual_loading');
+eq('Allowance question -> allowance', guessFlagCategory('How much is the tool allowance?'), 'allowance');
+eq('Which-award question -> resolution', guessFlagCategory('Which award covers my bakery?'), 'resolution');
+const q = (question, correction) => ({ question: question, correction: correction, awardName: 'Hospitality' });
+eq('pay_rate: employment type, level and dollars', JSON.stringify(draftRegressionAssert('MA000009', 'pay_rate', q('Full-time Level 3 rate?', 'It is $28.68'))),
+  '{"kind":"pay_rate","award":"MA000009","where":{"employment_type":"full_time","level":"Level 3"},"field":"rate","equals":28.68}');
+eq('penalty: day and employment type, percent as a multiplier', JSON.stringify(draftRegressionAssert('MA000009', 'penalty_rate', q('Casual Sunday rate?', 'Should be 150%'))),
+  '{"kind":"penalty","award":"MA000009","key":"sunday_casual","equals":1.5}');
+eq('casual loading as a fraction', draftRegressionAssert('MA000009', 'casual_loading', q('Casual loading?', '25 per cent')).equals, 0.25);
+eq('allowance: words before "allowance", question words dropped', draftRegressionAssert('MA000009', 'allowance', q('How much is the split/broken shift allowance?', '$3.69')).name_includes, 'Split/broken shift');
+eq('minimum engagement: hours for the employment type', JSON.stringify(draftRegressionAssert('MA000009', 'minimum_engagement', q('Minimum shift for part-time?', '3 hours'))),
+  '{"kind":"scalar","award":"MA000009","path":"minimum_engagement.part_time_hours_per_shift","equals":3}');
+eq('resolution: the stored award must resolve to the code', JSON.stringify(draftRegressionAssert('MA000009', 'resolution', q('Which award?', ''))),
+  '{"kind":"resolves","input":"Hospitality","flag":null,"code":"MA000009"}');
+
+// ---- The exported report ------------------------------------------------------
+const report = draftFlaggedReport(flag, 'AbC123xyz987', new Date('2026-07-07T02:00:00Z'));
+eq('Report has the template\'s fields, in order', Object.keys(report).join(','), Object.keys(template).join(','));
+eq('... the correction is the expected answer', report.expected_answer, 'It is $28.68 per hour');
+eq('... the assert is drafted', JSON.stringify(report.assert), '{"kind":"pay_rate","award":"MA000009","where":{"employment_type":"full_time","level":"Level 3"},"field":"rate","equals":28.68}');
+eq('... reported by the user, with the flag id', report.reported_by, 'in-app flag (owner@cafe.com.au) #AbC123xyz987');
+eq('... dated the day it was reported', report.reported_date, '2026-07-07');
+eq('... notes keep what Fitz said', report.notes, 'Fitz answered: A Level 3 cook earns $27.30 an hour.');
+eq('... nothing stopping export', validateFlaggedReport(report).length, 0);
+eq('File name', flaggedReportFilename(report, 'AbC123xyz987'), '2026-07-07-ma000009-pay-rate-AbC123xy.json');
+eq('No source given: the Pay Guide to check', draftFlaggedReport(Object.assign({}, flag, { source: null }), 'x').source, 'FWO Pay Guide MA000009 — confirm before intake');
+const unresolved = draftFlaggedReport(Object.assign({}, flag, { awardCode: null }), 'x');
+eq('Answer given with no award resolved cannot be exported', validateFlaggedReport(unresolved).some(p => /no award was resolved/.test(p)), true);
+
+// ---- flag-to-regression.mjs takes it unchanged ----------------------------------
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'flagged-'));
+try {
+  ['scripts', 'js', 'regression/flagged', 'regression/questions'].forEach(d => fs.mkdirSync(path.join(scratch, d), { recursive: true }));
+  fs.copyFileSync(path.join(ROOT, 'scripts/flag-to-regression.mjs'), path.join(scratch, 'scripts/flag-to-regression.mjs'));
+  fs.copyFileSync(path.join(ROOT, 'js/award-registry.js'), path.join(scratch, 'js/award-registry.js'));
+  fs.copyFileSync(path.join(ROOT, 'regression/questions/hospitality.json'), path.join(scratch, 'regression/questions/hospitality.json'));
+  const file = flaggedReportFilename(report, 'AbC123xyz987');
+  fs.writeFileSync(path.join(scratch, 'regression/flagged', file), JSON.stringify(report, null, 2) + '\n');
+  let out = '';
+  let ok = true;
+  try {
+    out = execFileSync(process.execPath, [path.join(scratch, 'scripts/flag-to-regression.mjs')], { encoding: 'utf8', stdio: 'pipe' });
+  } catch (e) { ok = false; out = String(e.stdout) + String(e.stderr); }
+  eq('Intake script accepts the exported report', ok, true);
+  const questions = JSON.parse(fs.readFileSync(path.join(scratch, 'regression/questions/hospitality.json'), 'utf8'));
+  const added = questions[questions.length - 1];
+  eq('... and appends it as a production-flag case', added.origin + ' ' + added.question, 'production-flag ' + report.question);
+  eq('... moving the report to processed/', fs.existsSync(path.join(scratch, 'regression/flagged/processed', file)), true);
+} finally {
+  fs.rmSync(scratch, { recursive: true, force: true });
+}
+
+// ---- App and rules ------------------------------------------------------------
+eq('Answers carry a "Report wrong answer" button', appSrc.indexOf("onclick=\"openFlagAnswer('${messageId}')\"") !== -1, true);
+eq('... reports go to flaggedAnswers', appSrc.indexOf("db.collection('flaggedAnswers').add(") !== -1, true);
+eq('Admin Flags tab exports the drafted report', /draftFlaggedReport\(flag, flagId, reportedAt\)[\s\S]{0,200}validateFlaggedReport\(report\)/.test(appSrc), true);
+eq('Rules: users create their own open flags, only the admin reads them',
+  /match \/flaggedAnswers\/\{flagId\} \{[\s\S]*?request\.resource\.data\.userId == request\.auth\.uid[\s\S]*?allow read, update, delete: if isAdmin\(\);/.test(rules), true);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
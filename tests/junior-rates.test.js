@@ -0,0 +1,119 @@
+// Junior and apprentice rate tests. Exercises the REAL js/junior-rates.js — the
+// percentage tables the Award Wizard prices juniors and apprentices through,
+// and the checks validate:rates runs — against the shipped award rates JSON.
+// Expected dollar figures are the FWO pay guides' (effective 1 Jul 2026).
+// Run with: node tests/junior-rates.test.js
+const fs = require('fs');
+const path = require('path');
+const {
+  juniorAgeOn, juniorBirthday, juniorServiceMonths, juniorServiceDate, juniorAdultAge, juniorBracket, juniorRatesView,
+  juniorBirthdaysAhead, apprenticeYearOn, apprenticeRate, apprenticeYearsAhead, juniorRateProblems
+} = require('../js/junior-rates.js');
+const load = f => JSON.parse(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const hosp = load('hospitality-award-rates.json');
+const retail = load('retail-award-rates.json');
+const childrens = load('childrens-award-rates.json');
+const health = load('health-award-rates.json');
+const row = (table, classification, type, stream) => table.rates.find(r =>
+  r.classification === classification && r.employment_type === type && (!stream || r.stream === stream));
+
+// ---- Shipped files ---------------------------------------------------------
+for (const f of fs.readdirSync(path.join(__dirname, '..')).filter(n => n.endsWith('-award-rates.json'))) {
+  eq(f + ' junior/apprentice tables are valid', juniorRateProblems(load(f)).length, 0);
+}
+
+// ---- Dates -------------------------------------------------------------------
+eq('Age the day before a birthday', juniorAgeOn('2009-03-14', '2026-03-13'), 16);
+eq('Age on the birthday', juniorAgeOn('2009-03-14', '2026-03-14'), 17);
+eq('Date before birth -> null', juniorAgeOn('2009-03-14', '2008-01-01'), null);
+eq('Malformed dob -> null', juniorAgeOn('14/03/2009', '2026-03-14'), null);
+eq('Birthday date', juniorBirthday('2009-03-14', 18), '2027-03-14');
+eq('29 Feb birthday falls on 1 March', juniorBirthday('2008-02-29', 17), '2025-03-01');
+eq('Months of service', juniorServiceMonths('2026-04-20', '2026-10-19'), 5);
+eq('Service period completed', juniorServiceDate('2026-04-20', 6), '2026-10-20');
+eq('Apprenticeship year 1 on the start date', apprenticeYearOn('2025-02-03', '2025-02-03'), 1);
+eq('Apprenticeship year 2 after the anniversary', apprenticeYearOn('2025-02-03', '2026-10-19'), 2);
+
+// ---- Brackets ------------------------------------------------------------------
+const retailJr = retail.junior_rates.schedules[0];
+eq('Retail under 16 is 45%', juniorBracket(retailJr, 15).percent, 45);
+eq('Retail 20 is 90% until the service period is known', juniorBracket(retailJr, 20).percent, 90);
+eq('Retail 20 with 5 months service stays 90%', juniorBracket(retailJr, 20, 5).serviceMonths, 6);
+eq('Retail 20 with 6 months service is the adult rate', juniorBracket(retailJr, 20, 6), null);
+eq('Retail 21 is the adult rate', juniorBracket(retailJr, 21), null);
+eq('Hospitality adult age', juniorAdultAge(hosp), 20);
+eq('Retail adult age', juniorAdultAge(retail), 21);
+eq('No junior table -> null adult age', juniorAdultAge(load('schads-award-rates.json')), null);
+
+// ---- Junior pricing ------------------------------------------------------------
+let v = juniorRatesView(hosp, 16);
+eq('Hospitality introductory under 17 full-time', row(v, 'introductory', 'full_time').rate, 12.87);
+eq('Hospitality introductory under 17 casual', row(v, 'introductory', 'casual').rate, 16.09);
+eq('Junior row is tagged with its bracket', row(v, 'introductory', 'full_time').junior.percent, 50);
+v = juniorRatesView(hosp, 19);
+eq('Hospitality introductory 19 casual', row(v, 'introductory', 'casual').rate, 27.35);
+v = juniorRatesView(hosp, 20);
+eq('Hospitality at 20 is the adult rate', row(v, 'introductory', 'full_time').rate, row(hosp, 'introductory', 'full_time').rate);
+v = juniorRatesView(retail, 15);
+eq('Retail Level 1 under 16 hourly', row(v, 'Retail Employee Level 1', 'full_time').rate, 12.51);
+eq('Retail Level 1 under 16 weekly', row(v, 'Retail Employee Level 1', 'full_time').weekly_rate, 475.56);
+eq('Retail Level 4 junior keeps the adult rate', row(v, 'Retail Employee Level 4', 'full_time').rate, row(retail, 'Retail Employee Level 4', 'full_time').rate);
+v = juniorRatesView(retail, 20, { monthsService: 2 });
+eq('Retail 20-year-old service note', v.junior_view.notes.length, 1);
+v = juniorRatesView(childrens, 18);
+eq("Children's Level 1 at 18 is priced off Level 2", row(v, 'Level 1 - Introductory educator', 'full_time', 'childrens_services_employee').rate, 26.72);
+v = juniorRatesView(childrens, 16);
+eq("Children's casual 16 and under", row(v, 'Level 1 - Introductory educator', 'casual', 'childrens_services_employee').rate, 25.98);
+v = juniorRatesView(health, 16);
+eq('Health support services Level 1 under 17', row(v, 'Level 1', 'full_time').rate, 13.49);
+
+// ---- Transitions ---------------------------------------------------------------
+let ahead = juniorBirthdaysAhead(hosp, '2009-03-14', '2026-10-19');
+eq('Birthdays ahead run to the adult age', ahead.map(b => b.age).join(','), '18,19,20');
+eq('First birthday ahead', ahead[0].date, '2027-03-14');
+eq('No birthdays ahead once adult', juniorBirthdaysAhead(hosp, '1990-01-01', '2026-10-19').length, 0);
+
+// ---- Apprentices ---------------------------------------------------------------
+let a = apprenticeRate(hosp, 'apprentice', 1);
+eq('Hospitality apprentice year 1 hourly', a.rate, 16.20);
+eq('Hospitality apprentice year 1 weekly', a.weeklyRate, 615.51);
+a = apprenticeRate(hosp, 'apprentice', 4);
+eq('Hospitality apprentice year 4 hourly', a.rate, 27.98);
+eq('Hospitality apprentice year 4 weekly', a.weeklyRate, 1063.15);
+a = apprenticeRate(hosp, 'adult', 2);
+eq('Hospitality adult apprentice year 2 is the introductory rate', a.rate, 25.74);
+eq('Pegged year names its classification', a.classification, 'introductory');
+eq('Retail 4-year (no Year 12) year 1', apprenticeRate(retail, '4yr_no_year12', 1).rate, 14.73);
+eq('Retail adult apprentice year 2 is Level 1', apprenticeRate(retail, 'adult_4yr', 2).rate, 27.81);
+eq('Year past the end of the stream', apprenticeRate(retail, '3yr_year12', 4).ok, false);
+eq('Unknown stream', apprenticeRate(retail, 'nope', 1).ok, false);
+ahead = apprenticeYearsAhead(hosp, 'apprentice', '2025-02-03', '2026-10-19');
+eq('Apprenticeship years ahead', ahead.map(y => y.date + '=' + y.rate).join(','), '2027-02-03=23.56,2028-02-03=27.98');
+
+// ---- validate:rates checks -----------------------------------------------------
+const withJunior = schedules => Object.assign({}, hosp, { junior_rates: { schedules: schedules } });
+const bracket = (max_age, percent) => ({ max_age: max_age, label: String(max_age), percent: percent });
+let p = juniorRateProblems(withJunior([{ key: 'x', classifications: ['nope'], brackets: [bracket(16, 50)] }]));
+eq('Unknown classification is reported', p.some(m => m.includes('"nope" is not in rates[]')), true);
+p = juniorRateProblems(withJunior([{ key: 'x', brackets: [bracket(17, 50), bracket(16, 60)] }]));
+eq('Brackets out of order are reported', p.some(m => m.includes('above the previous bracket')), true);
+p = juniorRateProblems(withJunior([{ key: 'x', brackets: [bracket(16, 150)] }]));
+eq('Percent over 100 is reported', p.some(m => m.includes('percent out of range')), true);
+p = juniorRateProblems(withJunior([{ key: 'x', brackets: [Object.assign(bracket(20, 90), { service_months: 6 })] }]));
+eq('Service step without a percent is reported', p.some(m => m.includes('percent_after_service')), true);
+p = juniorRateProblems(Object.assign({}, hosp, { apprentice_rates: Object.assign({}, hosp.apprentice_rates, {
+  streams: [{ key: 'x', label: 'X', years: [{ year: 2, percent: 60 }] }]
+}) }));
+eq('Apprenticeship years must run from 1', p.some(m => m.includes('year must be 1')), true);
+p = juniorRateProblems(Object.assign({}, hosp, { junior_rates: {} }));
+eq('junior_rates needs schedules', p[0], 'junior_rates.schedules must be a non-empty array');
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,118 @@
+// Leave accrual tests. Exercises the REAL js/leave-accrual.js with the roster
+// parsers it reads spreadsheets through and the award rate lookup it values
+// unrated employees with (manufacturing C2(a) $38.16/hr).
+// Run with: node tests/leave-accrual.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', 'js', f), 'utf8');
+const src = ['roster-compliance.js', 'shift-costing.js', 'leave-accrual.js'].map(read).join('\n');
+const { LSL_STATE_RULES, normaliseEmployeeRegister, normaliseLeaveRecords, calculateLeaveBalances } =
+  new Function(src + '\nreturn { LSL_STATE_RULES, normaliseEmployeeRegister, normaliseLeaveRecords, calculateLeaveBalances };')();
+const manuf = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manufacturing-award-rates.json'), 'utf8'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const C2A = 'C2(a) - Principal engineering supervisor/trainer/coordinator';
+const emp = o => Object.assign({ row: 2, employee: 'Alex', startDate: '2025-07-01', endDate: null, employmentType: 'full_time',
+  state: 'NSW', weeklyHours: 38, hoursWorked: null, hourlyRate: 30, classification: null, shiftworker: false }, o);
+const rec = (kind, leaveType, date, hours, o) => Object.assign({ row: 2, employee: 'Alex', leaveType, kind, date, hours }, o);
+const find = (r, type) => r.employees[0].findings.filter(f => f.type === type);
+
+// ---- Parsing -------------------------------------------------------------------
+let reg = normaliseEmployeeRegister([
+  { 'Employee Name': 'Alex', 'Start Date': '01/07/2025', 'Employment Type': 'Full Time', 'State': 'Victoria', 'Hours per week': '38', 'Hourly Rate': '$30.00', 'Shift Worker': 'Yes' },
+  { 'Employee Name': 'Sam', 'Start Date': 'soon', 'Employment Type': 'Casual' },
+  { 'Employee Name': 'Jo', 'Start Date': '01/07/2025', 'Employment Type': 'Contractor' },
+  { 'Employee Name': '', 'Start Date': '' }
+]);
+eq('Register columns detected', reg.columns.weeklyHours + '|' + reg.columns.hourlyRate, 'Hours per week|Hourly Rate');
+eq('Register row read', [reg.employees[0].startDate, reg.employees[0].state, reg.employees[0].weeklyHours, reg.employees[0].hourlyRate, reg.employees[0].shiftworker].join(','), '2025-07-01,VIC,38,30,true');
+eq('Unreadable rows skipped with reasons', reg.skipped.map(s => s.row + ':' + s.reason.split(' ')[0]).join(' '), '3:Employment 4:Employment');
+let led = normaliseLeaveRecords([
+  { 'Employee': 'Alex', 'Leave Type': 'Annual Leave', 'Transaction': 'Taken', 'Date': '2025-12-22', 'Hours': '38' },
+  { 'Employee': 'Alex', 'Leave Type': 'Sick leave', 'Transaction': '', 'Date': '2026-02-03', 'Hours': '7.6 hrs' },
+  { 'Employee': 'Alex', 'Leave Type': 'LSL', 'Transaction': 'Opening balance', 'Date': '2025-07-01', 'Hours': 10 },
+  { 'Employee': 'Alex', 'Leave Type': 'Annual', 'Transaction': 'Cashed out', 'Date': '2026-03-01', 'Hours': 20 },
+  { 'Employee': 'Alex', 'Leave Type': 'Personal', 'Transaction': 'Cash out', 'Date': '2026-03-01', 'Hours': 20 },
+  { 'Employee': 'Alex', 'Leave Type': 'Compassionate', 'Date': '2026-03-01', 'Hours': 7.6 }
+]);
+eq('Leave records read', led.records.map(r => r.leaveType + '/' + r.kind).join(' '), 'annual/taken personal/taken long_service/opening annual/cashed_out');
+eq('Only annual leave can be cashed out', led.skipped[0].reason, 'Only annual leave can be cashed out under the NES');
+eq('Unaccrued leave types are skipped', led.skipped[1].row, 7);
+
+// ---- NES accrual ----------------------------------------------------------------
+// 52 weeks of 38 ordinary hours: 152 hours annual leave, 76 hours personal/carer's.
+let r = calculateLeaveBalances([emp({ hoursWorked: 1976 })], [rec('taken', 'annual', '2025-12-22', 38), rec('taken', 'personal', '2026-02-03', 7.6)], { asAt: '2026-06-30' });
+let e = r.employees[0];
+eq('Annual leave accrues 4 weeks a year', e.annual.accrued, 152);
+eq('Leave taken is deducted', e.annual.balance, 114);
+eq('Balance in weeks', e.annual.balanceWeeks, 3);
+eq('Personal/carer\'s leave accrues 10 days a year', e.personal.accrued, 76);
+eq('Personal/carer\'s balance', e.personal.balance, 68.4);
+eq('Annual leave valued with 17.5% loading', e.annual.value, 4018.5);
+eq('Personal/carer\'s leave is not valued', e.personal.value, 0);
+r = calculateLeaveBalances([emp({ hoursWorked: 1976, shiftworker: true })], [], { asAt: '2026-06-30' });
+eq('Shiftworkers accrue 5 weeks', r.employees[0].annual.accrued, 190);
+r = calculateLeaveBalances([emp()], [], { asAt: '2026-06-30', leaveLoading: 0 });
+eq('Weekly hours accrue by the day', r.employees[0].annual.accrued, 152.42);
+eq('Loading can be turned off', r.employees[0].annual.value, 4572.53);
+r = calculateLeaveBalances([emp({ employmentType: 'casual' })], [], { asAt: '2026-06-30' });
+eq('Casuals accrue no annual leave', r.employees[0].annual, null);
+eq('Casuals accrue long service leave', r.employees[0].longService.accrued > 0, true);
+r = calculateLeaveBalances([emp({ hoursWorked: 1976 })], [rec('opening', 'annual', '2025-12-31', 100)], { asAt: '2026-06-30' });
+eq('Accrual runs on from an opening balance', r.employees[0].annual.accrued, 175.38);
+r = calculateLeaveBalances([emp({ endDate: '2025-12-31' })], [], { asAt: '2026-06-30' });
+eq('Accrual stops at termination', r.employees[0].annual.accrued, 76.84);
+
+// ---- Findings -------------------------------------------------------------------------
+r = calculateLeaveBalances([emp({ hoursWorked: 1976 })], [rec('opening', 'annual', '2025-07-01', 48), rec('cashed_out', 'annual', '2026-06-30', 40)], { asAt: '2026-06-30' });
+eq('Cash-out leaving 4 weeks is fine', find(r, 'cash_out_residual').length, 0);
+eq('Cash-out is deducted', r.employees[0].annual.cashedOut + '/' + r.employees[0].annual.balance, '40/159.58');
+r = calculateLeaveBalances([emp({ hoursWorked: 1976 })], [rec('cashed_out', 'annual', '2026-01-01', 20)], { asAt: '2026-06-30' });
+eq('Cash-out leaving under 4 weeks is flagged', find(r, 'cash_out_residual').length, 1);
+r = calculateLeaveBalances([emp({ hoursWorked: 1976 })], [rec('taken', 'annual', '2026-01-01', 200)], { asAt: '2026-06-30' });
+eq('Leave in advance is flagged', find(r, 'negative_balance').length, 1);
+eq('Negative balances are not valued', r.employees[0].annual.value, 0);
+r = calculateLeaveBalances([emp()], [rec('opening', 'annual', '2025-07-01', 180)], { asAt: '2026-06-30' });
+eq('Over 8 weeks is excessive', find(r, 'excessive_annual_leave').length, 1);
+r = calculateLeaveBalances([emp({ shiftworker: true })], [rec('opening', 'annual', '2025-07-01', 180)], { asAt: '2026-06-30' });
+eq('Shiftworkers have 10 weeks before it is excessive', find(r, 'excessive_annual_leave').length, 0);
+
+// ---- Long service leave ------------------------------------------------------------------
+eq('Every state and territory covered', Object.keys(LSL_STATE_RULES).join(','), 'NSW,VIC,QLD,WA,SA,TAS,ACT,NT');
+r = calculateLeaveBalances([emp({ startDate: '2016-07-01' })], [], { asAt: '2026-07-01' });
+let lsl = r.employees[0].longService;
+eq('NSW: 8.67 weeks after 10 years', lsl.balanceWeeks, 8.67);
+eq('NSW: entitled after 10 years', lsl.status + ' ' + lsl.entitledFrom, 'entitled 2026-07-01');
+r = calculateLeaveBalances([emp({ startDate: '2019-07-01' })], [], { asAt: '2026-06-30' });
+eq('NSW: pro rata from 5 years', r.employees[0].longService.status, 'pro_rata');
+r = calculateLeaveBalances([emp({ startDate: '2019-07-01', state: 'VIC' })], [], { asAt: '2026-07-01' });
+lsl = r.employees[0].longService;
+eq('VIC: 1/60th of service', lsl.balanceWeeks, 6.07);
+eq('VIC: entitled after 7 years', lsl.status, 'entitled');
+r = calculateLeaveBalances([emp({ startDate: '2016-07-01', state: 'SA' })], [rec('taken', 'long_service', '2026-07-01', 190)], { asAt: '2026-07-01' });
+lsl = r.employees[0].longService;
+eq('SA: 13 weeks after 10 years, less leave taken', lsl.balance, 304.07);
+eq('LSL valued at the ordinary rate', lsl.value, 9122.03);
+r = calculateLeaveBalances([emp({ state: null })], [], { asAt: '2026-06-30' });
+eq('No state, no LSL', r.employees[0].longService, null);
+eq('and a note says so', r.employees[0].notes.some(n => n.includes('No work state')), true);
+eq('A default state fills the gap', calculateLeaveBalances([emp({ state: null })], [], { asAt: '2026-06-30', defaultState: 'Queensland' }).employees[0].longService.state, 'QLD');
+
+// ---- Rates and totals ------------------------------------------------------------------------
+r = calculateLeaveBalances([emp({ hourlyRate: null, classification: C2A, hoursWorked: 1976 })], [], { asAt: '2026-06-30', rates: manuf });
+eq('Unrated employees valued at the award rate', r.employees[0].hourlyRate + ' ' + r.employees[0].rateSource, '38.16 award');
+r = calculateLeaveBalances([emp({ hoursWorked: 1976 }), emp({ employee: 'Sam', startDate: '2016-06-01' })],
+  [rec('taken', 'annual', '2026-01-01', 10, { employee: 'Pat' })], { asAt: '2026-06-30' });
+eq('Venue totals add up', r.totals.total, Math.round((r.totals.annual + r.totals.longService) * 100) / 100);
+eq('LSL liability split by status', r.totals.longServiceEntitled > 0 && r.totals.longServiceAccruing > 0, true);
+eq('Records for unknown employees are listed', r.unmatched.length + ':' + r.unmatched[0].employee, '1:Pat');
+eq('No hours, no balances', calculateLeaveBalances([emp({ weeklyHours: null })], [], { asAt: '2026-06-30' }).employees[0].annual, null);
+eq('As-at date is required', calculateLeaveBalances([emp()], [], {}).ok, false);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
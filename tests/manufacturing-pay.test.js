@@ -0,0 +1,131 @@
+// Manufacturing worked-week tests. Exercises the REAL js/manufacturing-pay.js
+// together with the shift costing lookup it builds on, against the real
+// manufacturing-award-rates.json. Expected dollar figures are the FWO Pay
+// Guide's (MA000010, effective 1 Jul 2026).
+// Run with: node tests/manufacturing-pay.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', 'js', f), 'utf8');
+const src = ['shift-costing.js', 'manufacturing-pay.js'].map(read).join('\n');
+const { costManufacturingWeek, shiftPayRuleProblems } =
+  new Function(src + '\nreturn { costManufacturingWeek, shiftPayRuleProblems };')();
+const manuf = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manufacturing-award-rates.json'), 'utf8'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const C10 = 'C10 - Engineering/manufacturing tradesperson - level I';   // $29.45/hr, casual $36.81
+const LEADING_HAND = 'Leading hand allowance (in charge of 3-10 employees, all-purpose)';
+const weekdays = hours => ['mon', 'tue', 'wed', 'thu', 'fri'].map(d => ({ day: d, hours: hours }));
+const week = (employmentType, days, extra) => costManufacturingWeek(Object.assign({
+  classification: C10, employmentType: employmentType, days: days }, extra || {}), manuf);
+const rate = (c, label) => (c.hourlyRates.find(h => h.label === label) || {}).rate;
+const line = (c, label) => c.lines.find(l => l.label === label);
+
+// ---- Shipped file ------------------------------------------------------------
+eq('manufacturing shift_pay_rules are valid', shiftPayRuleProblems(manuf).length, 0);
+eq('Tables without shift_pay_rules are valid', shiftPayRuleProblems(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schads-award-rates.json'), 'utf8'))).length, 0);
+
+// ---- Stacked hourly rates (Pay Guide Tables 1-3) ---------------------------------
+let c = week('full_time', weekdays(7.6), { shiftType: 'rotating' });
+eq('Ordinary hourly rate', c.ordinaryRate, 29.45);
+eq('Afternoon shift 115%', rate(c, 'Afternoon shift'), 33.87);
+eq('Night shift 115%', rate(c, 'Night shift'), 33.87);
+eq('Saturday shiftworker 150%', rate(c, 'Saturday'), 44.18);
+eq('Sunday shiftworker 200%', rate(c, 'Sunday'), 58.9);
+eq('Public holiday 250%', rate(c, 'Public holiday'), 73.63);
+eq('Overtime first 3 hours 150%', rate(c, 'Overtime — first 3 hours'), 44.18);
+eq('Overtime after 3 hours 200%', rate(c, 'Overtime — after 3 hours'), 58.9);
+c = week('full_time', weekdays(7.6), { shiftType: 'permanent_night' });
+eq('Permanent night shift 130%', rate(c, 'Permanent night shift'), 38.29);
+c = week('full_time', weekdays(7.6), { shiftType: 'night', continuous: true });
+eq('Continuous shiftworker public holiday 200%', rate(c, 'Public holiday'), 58.9);
+c = week('casual', [{ day: 'mon', hours: 8 }], { shiftType: 'rotating' });
+eq('Casual ordinary hourly rate', c.ordinaryRate, 36.81);
+eq('Casual afternoon shift', rate(c, 'Afternoon shift'), 42.33);
+eq('Casual Saturday', rate(c, 'Saturday'), 55.22);
+eq('Casual Sunday (on the rounded casual rate)', rate(c, 'Sunday'), 73.62);
+eq('Casual public holiday', rate(c, 'Public holiday'), 92.03);
+
+// ---- All-purpose allowances --------------------------------------------------------
+c = week('full_time', weekdays(7.6), { shiftType: 'night', allowances: [LEADING_HAND] });
+eq('Leading hand is added before the shift loading', c.ordinaryRate, 30.74);
+eq('Night shift on the all-purpose rate', rate(c, 'Night shift'), 35.35);
+eq('Rate build step cites cl 30.2(a)', c.steps[1].clause, '30.2(a)');
+c = week('casual', weekdays(7.6), { shiftType: 'night', allowances: [LEADING_HAND] });
+eq('All-purpose allowance is added before the casual loading (Sch C.3.1)', c.ordinaryRate, 38.43);
+eq('Casual night shift with leading hand', rate(c, 'Night shift'), 44.19);
+c = week('full_time', weekdays(7.6), { allowances: ['First aid allowance'] });
+eq('First aid is not all-purpose: the hourly rate is unchanged', c.ordinaryRate, 29.45);
+eq('First aid paid weekly on top', c.allowancesCost, 22.26);
+eq('Two leading hand allowances are refused', week('full_time', weekdays(8), { allowances: [LEADING_HAND,
+  'Leading hand allowance (in charge of 11-20 employees, all-purpose)'] }).ok, false);
+eq('Unknown allowance is refused', week('full_time', weekdays(8), { allowances: ['Morale allowance'] }).ok, false);
+c = week('full_time', weekdays(8), { allowances: ['Meal allowance'] });
+eq('A per-meal allowance without a quantity is not priced', c.allowances.length, 0);
+c = week('full_time', weekdays(8), { allowances: [{ name: 'Meal allowance', quantity: 2 }] });
+eq('Meal allowance priced per meal', c.allowancesCost, 38.28);
+
+// ---- Ordinary hours, overtime and RDOs ---------------------------------------------
+c = week('full_time', weekdays(8));
+eq('Without RDOs a full-time day is 7.6 ordinary hours', c.ordinaryHours, 38);
+eq('The rest is overtime', c.overtimeHours, 2);
+eq('Week total', c.totalCost, 1207.45);
+c = week('full_time', weekdays(8), { rdo: 'accrue' });
+eq('8-hour days bank 0.4 of an hour each', c.rdoAccrualHours, 2);
+eq('RDO credit is held back at the ordinary rate', line(c, 'Monday — RDO credit held for the rostered day off').cost, -11.78);
+eq('The week pays the 38-hour weekly rate', c.totalCost, 1119.1);
+c = week('full_time', weekdays(8).slice(0, 4).concat([{ day: 'fri', rdo: true }]), { rdo: 'accrue' });
+eq('The RDO week also pays the weekly rate', c.totalCost, 1119.1);
+eq('The RDO is paid from the credit', line(c, 'Friday — Rostered day off (paid from accrued credit)').hours, 7.6);
+eq('RDOs are full-time only', week('casual', weekdays(8), { rdo: 'accrue' }).ok, false);
+eq('An RDO day needs the arrangement', week('full_time', [{ day: 'fri', rdo: true }]).ok, false);
+c = week('full_time', [{ day: 'mon', hours: 12 }]);
+eq('Overtime after 3 hours at 200% (cl 32.2)', line(c, 'Monday — Overtime — after 3 hours').hours, 1.4);
+c = week('full_time', weekdays(8).slice(0, 4).concat([{ day: 'fri', rdo: true, hours: 8 }]), { rdo: 'accrue', shiftType: 'night' });
+eq('Unrelieved shiftworker on the RDO: 200% (cl 32.3)', line(c, 'Friday — Worked on rostered day off (unrelieved shiftworker)').rate, 58.9);
+c = week('part_time', [{ day: 'mon', hours: 7, agreedHours: 6 }]);
+eq('Part-time overtime after the agreed hours (cl 32.1(c))', line(c, 'Monday — Overtime — first 3 hours').hours, 1);
+c = week('casual', [{ day: 'tue', hours: 2 }]);
+eq('Casual minimum 4 hours (cl 11.2)', c.totalCost, 147.24);
+
+// ---- Shifts, weekends and public holidays --------------------------------------------
+c = week('full_time', [{ day: 'mon', hours: 7.6 }], { shiftType: 'afternoon', nonSuccessive: true });
+eq('Non-successive afternoon shift: first 3 hours at 150%', line(c, 'Monday — Afternoon shift (fewer than 5 successive) — first 3 hours').rate, 44.18);
+eq('Then 200% (cl 33.2(e))', line(c, 'Monday — Afternoon shift (fewer than 5 successive) — after 3 hours').hours, 4.6);
+c = week('full_time', [{ day: 'mon', hours: 7.6 }], { shiftType: 'afternoon' });
+eq('A short run of shifts is flagged', c.notes.some(n => n.includes('33.2(e)')), true);
+c = week('full_time', [{ day: 'sat', hours: 7.6 }], { shiftType: 'night' });
+eq('Saturday replaces the shift loading (cl 33.2(i))', line(c, 'Saturday — Saturday shift').rate, 44.18);
+c = week('full_time', [{ day: 'sat', hours: 2 }]);
+eq('Day worker Saturday is overtime with a 4-hour minimum (cl 32.5)', c.totalCost, 191.44);
+c = week('full_time', [{ day: 'sat', hours: 8 }], { weekendOrdinary: true });
+eq('Agreed Saturday ordinary hours at 150% (cl 33.1(a))', line(c, 'Saturday — Saturday ordinary hours').clause, '33.1(a)(i)');
+c = week('full_time', [{ day: 'sun', hours: 2 }]);
+eq('Sunday overtime with a 3-hour minimum (cl 32.6)', c.totalCost, 176.7);
+c = week('full_time', [{ day: 'wed', hours: 2, publicHoliday: true }]);
+eq('Public holiday minimum 3 hours at 250% (cl 33.1(b))', c.totalCost, 220.89);
+c = week('full_time', [{ day: 'wed', hours: 10 }], { shiftType: 'night', continuous: true });
+eq('Continuous shiftworker overtime at 200% (cl 32.4)', line(c, 'Wednesday — Overtime (continuous shiftworker)').hours, 2.4);
+c = week('full_time', [{ day: 'mon', hours: 7.6, shift: 'afternoon' }, { day: 'tue', hours: 7.6 }], { shiftType: 'rotating' });
+eq('Rotating roster prices each day on its own shift', line(c, 'Tuesday — Ordinary hours').rate, 29.45);
+
+// ---- Errors -----------------------------------------------------------------------------
+eq('Employment type is required', week(undefined, weekdays(8)).ok, false);
+eq('Unknown day is refused', week('full_time', [{ day: 'funday', hours: 8 }]).ok, false);
+eq('A day entered twice is refused', week('full_time', [{ day: 'mon', hours: 8 }, { day: 'mon', hours: 2 }]).ok, false);
+eq('An empty week is refused', week('full_time', []).ok, false);
+
+// ---- validate:rates checks ------------------------------------------------------------------
+const withRules = patch => Object.assign({}, manuf, { shift_pay_rules: Object.assign({}, manuf.shift_pay_rules, patch) });
+let p = shiftPayRuleProblems(withRules({ shift_loadings: Object.assign({}, manuf.shift_pay_rules.shift_loadings, { night: { loading: 'moon_loading' } }) }));
+eq('Unknown penalty_rates key is reported', p.some(m => m.includes('penalty_rates.moon_loading')), true);
+p = shiftPayRuleProblems(Object.assign({}, manuf, { allowances: [{ name: 'Weekly tool', amount: 20, unit: 'per week', all_purpose: true }] }));
+eq('A weekly all-purpose allowance is reported', p.some(m => m.includes('all_purpose')), true);
+eq('shift_pay_rules must be an object', shiftPayRuleProblems(Object.assign({}, manuf, { shift_pay_rules: null }))[0], 'shift_pay_rules must be an object');
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,79 @@
+// PII redaction tests. Exercises the REAL js/pii-redaction.js — the layer
+// netlify/functions/chat.js and recruitment-ai.js run every prompt through so
+// employee names, TFNs, bank details and contact details reach the model only
+// as placeholders.
+// Run with: node tests/pii-redaction.test.js
+const fs = require('fs');
+const path = require('path');
+const { PII_KINDS, PII_PROMPT_NOTE, createPiiRedactor } = require('../js/pii-redaction.js');
+const fnSrc = (name) => fs.readFileSync(path.join(__dirname, '..', 'netlify', 'functions', name), 'utf8');
+const chatSrc = fnSrc('chat.js');
+const recruitSrc = fnSrc('recruitment-ai.js');
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+// A fresh redactor that has learned the names in texts, then redacts one text.
+const redactWith = (texts, text, parties) => {
+  const r = createPiiRedactor();
+  r.learnNames(texts, parties);
+  return r.redact(text);
+};
+const red = (text) => redactWith([text], text);
+
+// ---- Numbers -----------------------------------------------------------------
+eq('Nine kinds of detail', PII_KINDS.length, 9);
+eq('TFN passing the ATO check digit', red('Her number is 123 456 782.'), 'Her number is [TFN_1].');
+eq('Nine digits failing it are left alone', red('Invoice 123 456 789'), 'Invoice 123 456 789');
+eq('Any number after "TFN" is a TFN', red('TFN: 111222333'), 'TFN: [TFN_1]');
+eq('Medicare number passing its check digit', red('Medicare 2123 45670 1'), 'Medicare [MEDICARE_1]');
+eq('... with the IRN', red('card 2123456701 2 ok'), 'card [MEDICARE_1] ok');
+eq('Medicare failing the check digit is left alone', red('ref 2123 45679 1'), 'ref 2123 45679 1');
+eq('BSB and account number', red('BSB 062-000, account number 1234 5678'), 'BSB [BSB_1], account number [ACCOUNT_1]');
+eq('Mobile numbers', red('0412 345 678 or +61 412 345 678'), '[PHONE_1] or [PHONE_1]');
+eq('Landline numbers', red('(02) 9876 5432'), '[PHONE_1]');
+eq('Email addresses', red('send to sam.lee@example.com.au today'), 'send to [EMAIL_1] today');
+eq('Dates of birth', red('DOB: 03/04/1990, born 12 March 2001'), 'DOB: [DOB_1], born [DOB_2]');
+eq('... but not other dates', red('Started 03/04/2024'), 'Started 03/04/2024');
+eq('Street addresses with suburb, state and postcode', red('Lives at Unit 4, 12 Smith St Newtown NSW 2042.'), 'Lives at [ADDRESS_1].');
+eq('Award figures are left alone', red('Level 3 is $25.85 an hour, 38 hours a week from 1 July 2025.'), 'Level 3 is $25.85 an hour, 38 hours a week from 1 July 2025.');
+
+// ---- Names -------------------------------------------------------------------
+eq('Name after a role', red('My cook Sam Lee was late.'), 'My cook [PERSON_1] was late.');
+eq('Name after "called" and a title', red('An employee called Priya and Mr Nguyen.'), 'An employee called [PERSON_1] and Mr [PERSON_2].');
+eq('A name typed earlier is caught later', redactWith(['My chef Sam Lee.', 'Is Sam owed overtime?'], 'Is Sam owed overtime?'), 'Is [PERSON_1] owed overtime?');
+eq('First or last name alone shares the full name\'s placeholder', red('Employee Sam Lee — Sam said Lee\'s roster was wrong.'), 'Employee [PERSON_1] — [PERSON_1] said [PERSON_1]\'s roster was wrong.');
+eq('Names remembered in the conversation memory', redactWith([], 'Did Priya sign?', ['Priya Shah — part-time cook']), 'Did [PERSON_1] sign?');
+eq('Words after a cue that are not names', red('My cook Casual Level 2 worked Sunday. The manager said no.'), 'My cook Casual Level 2 worked Sunday. The manager said no.');
+eq('No cue, no name', red('Can Sam work Sunday?'), 'Can Sam work Sunday?');
+
+// ---- Round trip --------------------------------------------------------------
+let r = createPiiRedactor();
+const said = 'My cook Sam Lee (TFN 123 456 782) is on 0412 345 678.';
+r.learnNames([said]);
+const sent = r.redact(said);
+eq('Nothing personal left', /Sam|Lee|782|0412/.test(sent), false);
+eq('Rehydrates to the original', r.rehydrate(sent), said);
+eq('Same detail, same placeholder', r.redact('Sam Lee again'), '[PERSON_1] again');
+eq('Placeholders it did not issue are left alone', r.rehydrate('[PERSON_9] and [TFN_1]'), '[PERSON_9] and 123 456 782');
+eq('Counts by kind for the logs', JSON.stringify(r.counts()), '{"PERSON":1,"TFN":1,"PHONE":1}');
+const s = r.streamRehydrator();
+const pieces = ['Pay [PERS', 'ON_1] now', ' [', 'TFN_1]', ' ['];
+eq('Stream: a placeholder split across pieces is held until complete', pieces.map(s.push).join('|') + '|' + s.flush(), 'Pay |Sam Lee now| |123 456 782| |[');
+eq('Nothing redacted: size is 0', createPiiRedactor().size(), 0);
+eq('Prompt note names the placeholders', /\[PERSON_1\]/.test(PII_PROMPT_NOTE), true);
+
+// ---- The AI functions --------------------------------------------------------
+eq('chat.js learns names from the whole conversation and memory', /redactor\.learnNames\(\[message\]\.concat\(/.test(chatSrc), true);
+eq('... redacts the message it sends', chatSrc.indexOf('content: redactor.redact(message)') !== -1, true);
+eq('... keeps the memory redacted until it goes back', chatSrc.indexOf('memory: mapMemoryLines(memory, redactor.rehydrate)') !== -1, true);
+eq('... rehydrates streamed and buffered answers', chatSrc.indexOf('redactor.streamRehydrator()') !== -1 && chatSrc.indexOf('message: redactor.rehydrate(assistantMessage)') !== -1, true);
+eq('... logs counts, not details', chatSrc.indexOf('piiRedacted: redactor.counts()') !== -1, true);
+eq('recruitment-ai.js sends the redacted prompt', recruitSrc.indexOf('content: redactedPrompt') !== -1, true);
+eq('... and rehydrates the reply', recruitSrc.indexOf('redactor.rehydrate(message.content[0].text)') !== -1, true);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
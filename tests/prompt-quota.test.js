@@ -0,0 +1,90 @@
+// Prompt quota tests. Exercises the REAL js/prompt-quota.js — the free-tier
+// prompt allowance netlify/functions/chat.js charges against users/{uid} — and
+// checks the rules keep the count out of the browser's hands. The function's
+// own charging is run in tests/chat-function.test.js.
+// Run with: node tests/prompt-quota.test.js
+const fs = require('fs');
+const path = require('path');
+const { FREE_MONTHLY_PROMPTS, PROMPT_CYCLE_MS, promptQuotaState, chargePrompt, promptRequestKind } = require('../js/prompt-quota.js');
+const read = f => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+const rules = read('firestore.rules');
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const DAY = 24 * 60 * 60 * 1000;
+const created = Date.parse('2026-01-01T00:00:00Z');
+const now = created + 65 * DAY;                       // day 65: third cycle, began day 60
+const thisCycle = new Date(created + 61 * DAY).toISOString();
+const lastCycle = new Date(created + 40 * DAY).toISOString();
+const free = (used, reset, bonus) => ({ subscriptionTier: 'free', monthlyPromptsUsed: used, monthlyPromptsReset: reset, bonusPrompts: bonus || 0 });
+
+// ---- Allowance ---------------------------------------------------------------
+eq('Free allowance is 20 a cycle', FREE_MONTHLY_PROMPTS, 20);
+eq('A cycle is 30 days', PROMPT_CYCLE_MS, 30 * DAY);
+let q = promptQuotaState(free(7, thisCycle), created, now);
+eq('Mid-cycle: used and remaining', q.used + '/' + q.remaining, '7/13');
+eq('... resets on the next 30-day anniversary of sign-up', q.resetsAt, new Date(created + 90 * DAY).toISOString());
+q = promptQuotaState(free(5, thisCycle, 10), created, now);
+eq('Top-ups add to the limit', q.limit + ' ' + q.remaining, '30 25');
+q = promptQuotaState(free(20, lastCycle, 10), created, now);
+eq('Counters from an earlier cycle read as reset', q.newCycle + ' ' + q.used + ' ' + q.remaining, 'true 0 20');
+eq('... and unused top-ups expire with it', q.bonus, 0);
+eq('Firestore Timestamp createdAt is read', promptQuotaState(free(7, thisCycle), { toDate: () => new Date(created) }, now).used, 7);
+eq('No createdAt: 30 days from the last reset', promptQuotaState(free(9, new Date(now - 29 * DAY).toISOString()), null, now).used, 9);
+eq('... and a new cycle after that', promptQuotaState(free(9, new Date(now - 31 * DAY).toISOString()), null, now).newCycle, true);
+eq('Never reset: starts a cycle', promptQuotaState({}, null, now).newCycle, true);
+eq('Missing tier is free', promptQuotaState({}, created, now).tier, 'free');
+q = promptQuotaState({ subscriptionTier: 'pro', monthlyPromptsUsed: 500 }, created, now);
+eq('Paid tiers are unlimited', q.unlimited + ' ' + q.remaining, 'true null');
+eq('Legacy tier field is honoured', promptQuotaState({ tier: 'starter' }, created, now).unlimited, true);
+
+// ---- Charging ----------------------------------------------------------------
+let c = chargePrompt(free(7, thisCycle), created, now);
+eq('Charge increments the count', c.allowed + ' ' + JSON.stringify(c.update), 'true {"monthlyPromptsUsed":8}');
+eq('... and reports the balance after it', c.quota.used + '/' + c.quota.remaining, '8/12');
+c = chargePrompt(free(19, thisCycle), created, now);
+eq('Last prompt is allowed', c.allowed + ' ' + c.quota.remaining, 'true 0');
+c = chargePrompt(free(20, thisCycle), created, now);
+eq('Exhausted is refused with nothing to write', c.allowed + ' ' + c.update, 'false null');
+eq('... and says how many were allowed', c.quota.limit, 20);
+eq('A top-up lets the next prompt through', chargePrompt(free(20, thisCycle, 10), created, now).allowed, true);
+c = chargePrompt(free(20, lastCycle, 10), created, now);
+eq('First prompt of a new cycle resets then charges', JSON.stringify(c.update),
+  JSON.stringify({ monthlyPromptsUsed: 1, bonusPrompts: 0, monthlyPromptsReset: new Date(now).toISOString() }));
+eq('... and the next charge is in the same cycle', chargePrompt(free(1, c.update.monthlyPromptsReset), created, now + DAY).quota.used, 2);
+c = chargePrompt({ subscriptionTier: 'pro' }, created, now);
+eq('Paid tiers are not counted', c.allowed + ' ' + c.update, 'true null');
+
+// ---- Request kinds -------------------------------------------------------------
+const kindOf = body => { const k = promptRequestKind(body); return k ? k.kind + ':' + k.charged : null; };
+const turns = n => Array.from({ length: n }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: 'turn ' + i }));
+const gapCtx = { gapId: 'AP-001', title: 'Award rates not reviewed' };
+eq('No kind is a chat send, charged', kindOf({ message: 'hi', history: turns(4) }), 'chat:true');
+eq('Chat send, charged', kindOf({ kind: 'chat', message: 'hi', history: turns(4), memory: { lines: [] } }), 'chat:true');
+const doc = o => Object.assign({ kind: 'document', documentType: 'formalWarning', fields: { employeeName: 'Sam' } }, o);
+eq('Document generation is free', kindOf(doc()), 'document:false');
+eq('... as a document type and its fields', kindOf(doc({ documentType: undefined })) + ' ' + kindOf(doc({ fields: 'Sam' })), 'null null');
+eq('... never a message of its own', kindOf(doc({ message: 'Draft a letter' })), null);
+eq('... nor a conversation attached', kindOf(doc({ history: turns(2) })), null);
+eq('... or a conversation memory', kindOf(doc({ memory: { lines: ['x'] } })), null);
+eq('Fitz Watch gap chat is free', kindOf({ kind: 'fitz_watch_gap', message: 'hi', history: turns(10), gapContext: gapCtx }), 'fitz_watch_gap:false');
+eq('... only when it names the gap', kindOf({ kind: 'fitz_watch_gap', message: 'hi', history: [] }), null);
+eq('... and keeps to its 10-turn history', kindOf({ kind: 'fitz_watch_gap', message: 'hi', history: turns(11), gapContext: gapCtx }), null);
+eq('Unknown kind refused', kindOf({ kind: 'free', message: 'hi' }), null);
+eq('Inherited property is not a kind', kindOf({ kind: 'toString', message: 'hi' }), null);
+
+// ---- Rules -------------------------------------------------------------------
+eq('Rules keep the counters and tier server-side', ['subscriptionTier', 'tier', 'monthlyPromptsUsed', 'monthlyPromptsReset', 'bonusPrompts']
+  .every(f => rules.indexOf("after.get('" + f + "'") !== -1), true);
+eq('... on both create and update', (rules.match(/&& clientQuotaUnchanged\(\);/g) || []).length, 2);
+eq('... with createdAt, the cycle anchor, stamped by the server and then fixed',
+  /request\.resource\.data\.get\('createdAt', request\.time\) == request\.time[\s\S]{0,200}request\.resource\.data\.get\('createdAt', null\) == resource\.data\.get\('createdAt', null\)/.test(rules), true);
+eq('... and no self-delete to re-create the doc with fresh counters',
+  /match \/users\/\{userId\} \{[\s\S]*?match \/fitzWatchResponses/.exec(rules)[0].indexOf('allow delete') === -1, true);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,83 @@
+// Rates history tests. Exercises the REAL js/rates-history.js — the version
+// lookup the Award Wizard, back-pay calculator and chat function price through,
+// and the overlap/gap checks validate:rates runs — against fixture histories
+// built on the real award rates JSON.
+// Run with: node tests/rates-history.test.js
+const fs = require('fs');
+const path = require('path');
+const { ratesVersions, ratesHeldFrom, ratesVersionAsAt, ratesVersionProblems } = require('../js/rates-history.js');
+const load = f => JSON.parse(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const shipped = load('hospitality-award-rates.json');
+// The current table on its own, for fixture histories.
+const hosp = Object.assign({}, shipped, { previous_versions: [] });
+const snapshot = (from, to, version) => {
+  const v = Object.assign({}, hosp, { effective_date: from, next_review_date: to, version: version });
+  delete v.previous_versions;
+  return v;
+};
+const withHistory = (...previous) => Object.assign({}, hosp, { previous_versions: previous });
+const ftRate = (v, cls) => v.rates.find(r => r.classification === cls && r.employment_type === 'full_time').rate;
+
+// ---- Shipped files ---------------------------------------------------------
+// MA000009 and MA000119 hold their 2025-26 tables; the rest start at 2026-07-01.
+const ARCHIVED = ['hospitality-award-rates.json', 'restaurant-award-rates.json'];
+for (const f of fs.readdirSync(path.join(__dirname, '..')).filter(n => n.endsWith('-award-rates.json'))) {
+  const d = load(f);
+  eq(f + ' history is valid', ratesVersionProblems(d).length, 0);
+  eq(f + ' held from its earliest table', ratesHeldFrom(d), ratesVersions(d)[0].effective_date);
+  if (ARCHIVED.indexOf(f) !== -1) {
+    const march = ratesVersionAsAt(d, '2026-03-15');
+    eq(f + ' March 2026 resolves to the 2025-26 table', march && march.version, '2025-2026');
+    eq(f + ' held from 1 July 2025', ratesHeldFrom(d), '2025-07-01');
+    eq(f + ' June 2025 (before the held history) -> null', ratesVersionAsAt(d, '2025-06-30'), null);
+    eq(f + ' 2025-26 Level 2 is $25.85', ftRate(march, 'level_2.food_beverage_grade2'), 25.85);
+    eq(f + ' 2025-26 casual rates carry the 25% loading',
+      march.rates.filter(r => r.employment_type === 'casual').every(r => r.rate === Math.round(ftRate(march, r.classification) * 125) / 100), true);
+    eq(f + ' 2025-26 allowances are not held, and the table says so', march.allowances.length + ' ' + /not held/.test(march.allowances_note), '0 true');
+  } else {
+    // Nothing archived: a past pay period must come back as "no rates held",
+    // never silently priced at today's table.
+    eq(f + ' March 2026 (before the held history) -> null', ratesVersionAsAt(d, '2026-03-15'), null);
+  }
+}
+eq('Current file is its own only version', ratesVersions(hosp).length, 1);
+eq('Today-ish date resolves to the current table', ratesVersionAsAt(hosp, '2026-10-19') === hosp, true);
+eq('Current table stays in force after next_review_date', ratesVersionAsAt(hosp, '2027-08-01') === hosp, true);
+eq('Date before the earliest version -> null (fail closed)', ratesVersionAsAt(hosp, '2026-06-30'), null);
+eq('Malformed date -> null', ratesVersionAsAt(hosp, '30/06/2026'), null);
+eq('No file -> null', ratesVersionAsAt(null, '2026-10-19'), null);
+
+// ---- Lookup across versions -------------------------------------------------
+const file = withHistory(snapshot('2025-07-01', '2026-07-01', '2025-2026'), snapshot('2024-07-01', '2025-07-01', '2024-2025'));
+eq('Versions list oldest first', ratesVersions(file).map(v => v.version).join(','), '2024-2025,2025-2026,2026-2027');
+eq('March 2026 resolves to the 2025-26 table', ratesVersionAsAt(file, '2026-03-15').version, '2025-2026');
+eq('30 June resolves to the outgoing table', ratesVersionAsAt(file, '2026-06-30').version, '2025-2026');
+eq('1 July resolves to the incoming table', ratesVersionAsAt(file, '2026-07-01').version, '2026-2027');
+eq('Oldest version in force from its effective date', ratesVersionAsAt(file, '2024-07-01').version, '2024-2025');
+eq('Before the oldest version -> null', ratesVersionAsAt(file, '2024-06-30'), null);
+eq('Contiguous history has no problems', ratesVersionProblems(file).length, 0);
+eq('Held from the oldest archived table', ratesHeldFrom(file), '2024-07-01');
+eq('Held from the current table when nothing is archived', ratesHeldFrom(hosp), '2026-07-01');
+eq('Held from: no file', ratesHeldFrom(null), null);
+
+// ---- validate:rates checks --------------------------------------------------
+let p = ratesVersionProblems(withHistory(snapshot('2025-07-01', '2026-06-01', '2025-2026')));
+eq('Version ending before the next starts is a gap', p.length === 1 && p[0].startsWith('gap:'), true);
+p = ratesVersionProblems(withHistory(snapshot('2025-07-01', '2026-08-01', '2025-2026')));
+eq('Version running past the next effective date is an overlap', p.length === 1 && p[0].startsWith('overlap:'), true);
+p = ratesVersionProblems(withHistory(snapshot('2024-07-01', '2025-07-01', '2024-2025'), snapshot('2025-07-01', '2026-07-01', '2025-2026')));
+eq('previous_versions out of order is reported', p.some(m => m.includes('newest first')), true);
+p = ratesVersionProblems(withHistory(Object.assign(snapshot('2025-07-01', '2026-07-01', '2025-2026'), { ma_number: 'MA000119' })));
+eq('Archived version for another award is reported', p.some(m => m.includes('ma_number')), true);
+p = ratesVersionProblems(Object.assign({}, hosp, { previous_versions: {} }));
+eq('previous_versions must be an array', p[0], 'previous_versions must be an array');
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
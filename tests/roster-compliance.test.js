@@ -0,0 +1,121 @@
+// Roster compliance engine tests. Exercises the REAL js/roster-compliance.js
+// (evaluated as shipped, no browser globals needed) against the real award
+// rates JSON, so a finding's clause always comes from the data file it cites.
+// Run with: node tests/roster-compliance.test.js
+const fs = require('fs');
+const path = require('path');
+const src = fs.readFileSync(path.join(__dirname, '..', 'js', 'roster-compliance.js'), 'utf8');
+const { normaliseRosterRows, evaluateRoster, parseRosterDate, parseRosterTime, parseRatePaid } =
+  new Function(src + '\nreturn { normaliseRosterRows, evaluateRoster, parseRosterDate, parseRosterTime, parseRatePaid };')();
+const load = f => JSON.parse(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const rules = (result, rule) => result.findings.filter(f => f.rule === rule);
+
+// ---- Parsing ---------------------------------------------------------------
+eq('AU date 3/2/2026 -> 2026-02-03', parseRosterDate('3/2/2026'), '2026-02-03');
+eq('ISO date passes through', parseRosterDate('2026-07-06'), '2026-07-06');
+eq('Excel serial 46209 -> 2026-07-06', parseRosterDate(46209), '2026-07-06');
+eq('Invalid date 31/2/2026 -> null', parseRosterDate('31/2/2026'), null);
+eq('5:30 pm -> 1050', parseRosterTime('5:30 pm'), 1050);
+eq('17:30 -> 1050', parseRosterTime('17:30'), 1050);
+eq('Excel fraction 0.25 -> 360', parseRosterTime(0.25), 360);
+eq('12am -> 0', parseRosterTime('12am'), 0);
+eq('Rate paid "$28.50/hr" -> 28.5', parseRatePaid('$28.50/hr'), 28.5);
+eq('Rate paid "n/a" -> null', parseRatePaid('n/a'), null);
+
+const parsed = normaliseRosterRows([
+  { 'Employee Name': 'Sam', 'Shift Date': '6/7/2026', 'Start Time': '9:00', 'Finish': '17:00', 'Unpaid Break (mins)': 30, 'Employment Type': 'Casual', 'Level': 'Level 2', 'Pay Rate': '$31.50' },
+  { 'Employee Name': 'Ari', 'Shift Date': 'Monday', 'Start Time': '9:00', 'Finish': '17:00' },
+  {},
+]);
+eq('Header auto-detection maps Unpaid Break (mins)', parsed.columns.breakMinutes, 'Unpaid Break (mins)');
+eq('One shift normalised', parsed.shifts.length, 1);
+eq('Break of 30 read as minutes', parsed.shifts[0].breakMinutes, 30);
+eq('Casual employment type normalised', parsed.shifts[0].employmentType, 'casual');
+eq('Pay Rate column read as rate paid', parsed.shifts[0].ratePaid, 31.5);
+eq('Unreadable date is skipped with its sheet row', parsed.skipped.length === 1 && parsed.skipped[0].row, 3);
+
+// ---- Hospitality (MA000009) ------------------------------------------------
+const hosp = load('hospitality-award-rates.json');
+const shift = (o) => Object.assign({ row: 2, employee: 'Sam', breakMinutes: 0, employmentType: 'casual', classification: null, stream: null, breakStart: null }, o);
+
+let r = evaluateRoster([shift({ date: '2026-07-06', start: 18 * 60, end: 19 * 60 + 30 })], hosp);
+eq('Casual 1.5h shift breaches 2h minimum engagement', rules(r, 'minimum_engagement').length, 1);
+eq('Unconfirmed MA000009 clause is not cited', rules(r, 'minimum_engagement')[0].citation, null);
+eq('Finding points at the source row', rules(r, 'minimum_engagement')[0].rows[0], 2);
+
+r = evaluateRoster([shift({ date: '2026-07-06', start: 9 * 60, end: 16 * 60 })], hosp);
+eq('7h shift with no break -> meal break finding', rules(r, 'meal_break').length, 1);
+eq('Meal break finding is high severity', rules(r, 'meal_break')[0].severity, 'high');
+r = evaluateRoster([shift({ date: '2026-07-06', start: 9 * 60, end: 16 * 60, breakMinutes: 30 })], hosp);
+eq('7h shift with 30-min break -> no meal break finding', rules(r, 'meal_break').length, 0);
+
+r = evaluateRoster([
+  shift({ row: 2, date: '2026-07-06', start: 16 * 60, end: 23 * 60 + 30, breakMinutes: 30 }),
+  shift({ row: 3, date: '2026-07-07', start: 7 * 60, end: 12 * 60 }),
+], hosp);
+eq('Close-then-open 7.5h turnaround breaches 10h break', rules(r, 'break_between_shifts').length, 1);
+eq('Break-between-shifts finding names both rows', rules(r, 'break_between_shifts')[0].rows.join(','), '2,3');
+
+r = evaluateRoster([shift({ date: '2026-07-06', start: 8 * 60, end: 21 * 60, breakMinutes: 30, employmentType: 'full_time' })], hosp);
+eq('12.5h worked exceeds 11.5 ordinary hours', rules(r, 'max_ordinary_hours').length, 1);
+eq('Hospitality has no span of hours (reported, not passed)', r.notChecked.some(n => n.rule === 'span_of_hours'), true);
+
+const week = ['06', '07', '08', '09', '10', '11', '12'].map((d, i) =>
+  shift({ row: i + 2, date: '2026-07-' + d, start: 9 * 60, end: 13 * 60 }));
+r = evaluateRoster(week, hosp);
+eq('7 days straight -> fatigue advisory (no award rule)', rules(r, 'consecutive_days').length, 1);
+eq('Fatigue advisory is low severity with no clause', rules(r, 'consecutive_days')[0].severity + '|' + rules(r, 'consecutive_days')[0].citation, 'low|null');
+
+// MA000009 and MA000119 clause numbers are unconfirmed: no finding cites one.
+const breaches = [
+  shift({ row: 2, date: '2026-07-06', start: 8 * 60, end: 23 * 60 + 30, employmentType: 'full_time' }),
+  shift({ row: 3, date: '2026-07-07', start: 6 * 60, end: 7 * 60, employmentType: 'casual' }),
+];
+for (const f of ['hospitality-award-rates.json', 'restaurant-award-rates.json']) {
+  r = evaluateRoster(breaches, load(f));
+  eq(f + ': breaches still found', ['minimum_engagement', 'meal_break', 'break_between_shifts'].every(k => rules(r, k).length > 0), true);
+  eq(f + ': ... none cites a clause', r.findings.every(x => x.clause === null && x.citation === null), true);
+}
+
+// ---- Manufacturing (MA000010) ----------------------------------------------
+const manuf = load('manufacturing-award-rates.json');
+r = evaluateRoster([shift({ date: '2026-07-06', start: 7 * 60, end: 11 * 60 })], manuf);
+eq('Manufacturing casual 4h meets the 4h minimum', rules(r, 'minimum_engagement').length, 0);
+r = evaluateRoster([shift({ date: '2026-07-06', start: 7 * 60, end: 15 * 60 + 30, breakMinutes: 30, breakStart: 13 * 60, employmentType: 'full_time' })], manuf);
+eq('Break taken after 6h -> meal break timing finding', rules(r, 'meal_break_timing').length, 1);
+eq('Meal timing cites MA000010 cl 18.1', rules(r, 'meal_break_timing')[0].citation, 'MA000010 cl 18.1');
+r = evaluateRoster([shift({ date: '2026-07-06', start: 5 * 60, end: 13 * 60 + 20, breakMinutes: 20, breakStart: 9 * 60, employmentType: 'full_time' })], manuf);
+eq('Day-worker start at 5am is outside the 6am-6pm span', rules(r, 'span_of_hours').length, 1);
+eq('Span finding cites cl 17.2(d)', rules(r, 'span_of_hours')[0].citation, 'MA000010 cl 17.2(d)');
+
+// ---- SCHADS (MA000100) -----------------------------------------------------
+const schads = load('schads-award-rates.json');
+r = evaluateRoster([shift({ date: '2026-07-06', start: 9 * 60, end: 11 * 60 + 30, classification: 'Social and community services - Level 2 - pay point 1' })], schads);
+eq('SACS casual 2.5h breaches the 3h stream minimum', rules(r, 'minimum_engagement').length, 1);
+r = evaluateRoster([shift({ date: '2026-07-06', start: 9 * 60, end: 11 * 60 + 30, classification: 'Home care (aged care) - Level 2' })], schads);
+eq('Home care casual 2.5h meets the 2h minimum', rules(r, 'minimum_engagement').length, 0);
+r = evaluateRoster(week.map(s => Object.assign({}, s, { employmentType: 'part_time' })), schads);
+eq('Part-timer with 0 days off in a week breaches cl 25.3', rules(r, 'days_off').length, 1);
+eq('Days-off finding cites MA000100 cl 25.3', rules(r, 'days_off')[0].citation, 'MA000100 cl 25.3');
+
+// ---- Retail (MA000004) -----------------------------------------------------
+const retail = load('retail-award-rates.json');
+r = evaluateRoster([
+  shift({ row: 2, date: '2026-07-06', start: 8 * 60, end: 18 * 60 + 30, breakMinutes: 30, employmentType: 'full_time' }),
+  shift({ row: 3, date: '2026-07-08', start: 8 * 60, end: 18 * 60 + 30, breakMinutes: 30, employmentType: 'full_time' }),
+], retail);
+eq('Retail: first 10h day in the week is allowed, the second is not', rules(r, 'max_ordinary_hours').map(f => f.rows[0]).join(','), '3');
+
+// ---- Fail closed -----------------------------------------------------------
+r = evaluateRoster([shift({ date: '2026-07-06', start: 9 * 60, end: 10 * 60 })], null);
+eq('No award -> no findings, everything not checked', r.findings.length + '|' + r.notChecked[0].rule, '0|all');
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,134 @@
+// SCHADS client day tests. Exercises the REAL js/schads-day.js together with
+// the shift costing lookup it builds on, against the real
+// schads-award-rates.json. Expected dollar figures are the FWO Pay Guide's
+// (MA000100, effective 1 Jul 2026).
+// Run with: node tests/schads-day.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', 'js', f), 'utf8');
+const src = ['shift-costing.js', 'schads-day.js'].map(read).join('\n');
+const { costClientDay, costTwentyFourHourCare, clientDayRuleProblems } =
+  new Function(src + '\nreturn { costClientDay, costTwentyFourHourCare, clientDayRuleProblems };')();
+const schads = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schads-award-rates.json'), 'utf8'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const t = hhmm => { const p = hhmm.split(':'); return +p[0] * 60 + +p[1]; };
+const DISABILITY = 'Home care (disability care) - Level 1 - pay point 1';   // $27.28/hr, casual $34.10
+const WED = '2026-10-21', SAT = '2026-10-24';
+const visit = (client, start, end, extra) => Object.assign({ client: client, start: t(start), end: t(end) }, extra || {});
+const day = (employmentType, visits, extra) => costClientDay(Object.assign({
+  date: WED, classification: DISABILITY, employmentType: employmentType, visits: visits }, extra || {}), schads);
+const seg = (c, label) => c.segments.find(s => s.label === label);
+const allowance = (c, prefix) => c.allowances.find(a => a.label.startsWith(prefix));
+
+// ---- Shipped file ------------------------------------------------------------
+eq('schads client_day_rules are valid', clientDayRuleProblems(schads).length, 0);
+eq('Tables without client_day_rules are valid', clientDayRuleProblems(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'hospitality-award-rates.json'), 'utf8'))).length, 0);
+
+// ---- Travel and periods --------------------------------------------------------
+let c = day('part_time', [visit('A', '07:00', '08:00'), visit('B', '08:20', '09:30', { travelMinutes: 20, km: 12 })]);
+eq('Travel between clients joins the visits into one period', c.periods.length, 1);
+eq('Travel minutes are paid', c.periods[0].travelMinutes, 20);
+eq('Unbroken day has no broken-shift allowance', allowance(c, 'Broken shift'), undefined);
+eq('Paid hours include travel', c.paidHours, 2.5);
+eq('Ordinary weekday rate', seg(c, 'Weekday').rate, 27.28);
+eq('Vehicle allowance at $1.01/km', allowance(c, 'Vehicle').cost, 12.12);
+
+// ---- Broken shifts ---------------------------------------------------------------
+c = day('part_time', [visit('A', '09:00', '11:00'), visit('B', '17:30', '20:30')], { shiftworker: true });
+eq('One unpaid break is a broken shift', c.breaks, 1);
+eq('Broken shift allowance (1 unpaid break)', allowance(c, 'Broken shift').cost, 21.81);
+eq('Afternoon loading only on the period finishing after 8pm (cl 25.6(e) example)', seg(c, 'Afternoon shift loading').hours, 3);
+eq('Morning period stays ordinary', seg(c, 'Weekday').hours, 2);
+c = day('part_time', [visit('A', '07:00', '08:00'), visit('B', '11:00', '13:00'), visit('C', '16:00', '18:00')]);
+eq('Broken shift allowance (2 unpaid breaks)', allowance(c, 'Broken shift').cost, 28.87);
+eq('Two breaks need the employee\'s agreement', c.notes.some(n => n.includes('agreement')), true);
+c = day('part_time', [visit('A', '06:00', '08:00'), visit('B', '10:30', '12:30'), visit('C', '15:00', '17:00'), visit('D', '18:00', '20:00')]);
+eq('More than 2 breaks is reported', c.notes.some(n => n.includes('at most 2 unpaid breaks')), true);
+c = day('full_time', [visit('A', '07:00', '09:00'), visit('B', '17:00', '20:00')]);
+eq('Span is first start to last finish', c.spanMinutes, 780);
+eq('Work past the 12-hour span: full-time double time', seg(c, 'Broken shift beyond 12-hour span').rate, 54.56);
+eq('One hour past the span', seg(c, 'Broken shift beyond 12-hour span').hours, 1);
+c = day('casual', [visit('A', '07:00', '09:00'), visit('B', '17:00', '20:00')]);
+eq('Work past the 12-hour span: casual 225%', seg(c, 'Broken shift beyond 12-hour span').rate, 61.38);
+
+// ---- Minimum engagement ------------------------------------------------------------
+c = day('casual', [visit('A', '09:00', '09:45'), visit('B', '10:30', '11:00'), visit('C', '13:00', '13:30')]);
+eq('A gap inside the 2-hour minimum is time worked (cl 25.6(c))', c.periods[0].paidGapMinutes, 45);
+eq('So it is not a break', c.breaks, 1);
+eq('Short period topped up to the 2-hour minimum', c.periods[1].minimumTopUpMinutes, 90);
+eq('Casual ordinary rate is the published casual rate', seg(c, 'Weekday').rate, 34.10);
+eq('Two periods of 2 hours paid', c.paidHours, 4);
+c = day('full_time', [visit('A', '09:00', '09:45')]);
+eq('Full-time employees have no per-period minimum', c.paidHours, 0.75);
+c = day('part_time', [visit('A', '08:00', '11:00'), visit('B', '11:45', '14:00', { mealBreak: true })]);
+eq('A meal break does not break the shift', c.breaks, 0);
+eq('The meal break is unpaid', c.periods[0].paidMinutes, 315);
+
+// ---- Day workers, weekends and overtime ---------------------------------------------
+c = day('part_time', [visit('A', '05:00', '07:00')]);
+eq('Day worker before 6am is overtime', seg(c, 'Weekday overtime (first 2h)').hours, 1);
+c = day('part_time', [visit('A', '05:00', '07:00')], { shiftworker: true });
+eq('Shiftworker before 6am on an unbroken shift gets the night loading', seg(c, 'Night shift loading').hours, 2);
+c = day('part_time', [visit('A', '05:00', '07:00'), visit('B', '12:00', '14:00')], { shiftworker: true });
+eq('No night loading on a broken-shift period starting before 6am (cl 25.6(e)(ii))', seg(c, 'Night shift loading'), undefined);
+c = day('part_time', [visit('A', '06:00', '17:30')]);
+eq('Part-time past 10 hours is overtime', seg(c, 'Weekday overtime (first 2h)').hours, 1.5);
+c = costClientDay({ date: SAT, classification: DISABILITY, employmentType: 'casual', visits: [visit('A', '09:00', '12:00')] }, schads);
+eq('Casual Saturday 175%', seg(c, 'Saturday').rate, 47.74);
+c = costClientDay({ date: WED, classification: DISABILITY, employmentType: 'full_time', visits: [visit('A', '09:00', '12:00')] }, schads, { publicHolidays: [WED] });
+eq('Public holiday 250%', seg(c, 'Public holiday').rate, 68.20);
+
+// ---- Cancellations ------------------------------------------------------------------
+c = day('part_time', [visit('A', '09:00', '11:00'), visit('B', '11:00', '13:00', { cancelled: true })]);
+eq('Part-time cancelled visit is paid as rostered', c.paidHours, 4);
+c = day('casual', [visit('A', '09:00', '11:00'), visit('B', '11:00', '13:00', { cancelled: true })]);
+eq('Casual cancelled visit is not paid', c.paidHours, 2);
+c = day('part_time', [visit('A', '09:00', '11:00'), visit('B', '11:00', '13:00', { cancelled: true, makeUpTime: true, noticeHours: 24 })]);
+eq('Make-up time with 12+ hours notice leaves the visit out', c.paidHours, 2);
+eq('Make-up time is noted', c.notes.some(n => n.includes('6 weeks')), true);
+c = day('part_time', [visit('A', '09:00', '11:00'), visit('B', '11:00', '13:00', { cancelled: true, makeUpTime: true, noticeHours: 4 })]);
+eq('Make-up time needs 12 hours notice', c.paidHours, 4);
+
+// ---- Sleepovers ------------------------------------------------------------------------
+c = day('part_time', [visit('A', '19:00', '22:00'), visit('A', '06:00', '08:00')], { shiftworker: true, sleepover: { start: t('22:00'), workedMinutes: 20 } });
+eq('Work after the sleepover is the next morning', c.periods[1].start, '06:00');
+eq('A sleepover is not a broken-shift break', c.breaks, 0);
+eq('Sleepover allowance', allowance(c, 'Sleepover').cost, 62.87);
+eq('Work during the sleepover: 1 hour minimum at overtime rates', seg(c, 'Work during sleepover (Weekday overtime)').cost, 40.92);
+eq('At least 4 hours either side of the sleepover (cl 25.7(f))', c.periods[0].paidMinutes, 240);
+eq('A visit inside the sleepover is rejected', day('part_time', [visit('A', '19:00', '23:00')], { sleepover: { start: t('22:00') } }).ok, false);
+
+// ---- Who it applies to ------------------------------------------------------------------
+const SACS = schads.rates.find(r => r.stream === 'social_community_services').classification;
+eq('SACS work that is not disability services is refused', costClientDay({ date: WED, classification: SACS, employmentType: 'casual', visits: [visit('A', '09:00', '10:00')] }, schads).ok, false);
+eq('SACS disability services work is priced', costClientDay({ date: WED, classification: SACS, employmentType: 'casual', disabilityServices: true, visits: [visit('A', '09:00', '10:00')] }, schads).ok, true);
+eq('Crisis accommodation is refused', costClientDay({ date: WED, classification: 'Crisis accommodation - Level 1 - pay point 1', employmentType: 'casual', visits: [visit('A', '09:00', '10:00')] }, schads).ok, false);
+eq('Missing employment type', day(undefined, [visit('A', '09:00', '10:00')]).ok, false);
+eq('No visits', day('casual', []).ok, false);
+
+// ---- 24-hour care --------------------------------------------------------------------------
+c = costTwentyFourHourCare({ date: WED, classification: DISABILITY, employmentType: 'full_time', careMinutes: 480 }, schads);
+eq('24-hour care, full-time: 8 hours at 155%', c.totalCost, 338.24);
+c = costTwentyFourHourCare({ date: WED, classification: DISABILITY, employmentType: 'casual', careMinutes: 600 }, schads);
+eq('24-hour care, casual: 8 hours at 180%', c.segments[0].cost, 392.80);
+eq('Casual care past 8 hours: first 2 hours at 175%', c.segments[1].rate, 47.74);
+c = costTwentyFourHourCare({ date: '2026-10-25', classification: DISABILITY, employmentType: 'full_time', careMinutes: 660 }, schads);
+eq('Sunday overtime past 8 hours at 200%', c.segments[1].rate, 54.56);
+eq('24-hour care is home care only', costTwentyFourHourCare({ date: WED, classification: SACS, employmentType: 'full_time' }, schads).ok, false);
+
+// ---- validate:rates checks ------------------------------------------------------------------
+const withRules = patch => Object.assign({}, schads, { client_day_rules: Object.assign({}, schads.client_day_rules, patch) });
+let p = clientDayRuleProblems(withRules({ sleepover: Object.assign({}, schads.client_day_rules.sleepover, { allowance: 'Nap allowance' }) }));
+eq('Unknown allowance name is reported', p.some(m => m.includes('"Nap allowance"')), true);
+p = clientDayRuleProblems(withRules({ twenty_four_hour_care: { paid_hours: 8 } }));
+eq('Missing multiplier is reported', p.some(m => m.includes('twenty_four_hour_care.multiplier')), true);
+eq('client_day_rules must be an object', clientDayRuleProblems(Object.assign({}, schads, { client_day_rules: null }))[0], 'client_day_rules must be an object');
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
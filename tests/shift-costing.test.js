@@ -0,0 +1,121 @@
+// Shift costing engine tests. Exercises the REAL js/shift-costing.js against
+// the real award rates JSON — the same engine the Award Calculator, the Deputy
+// roster dashboard and the roster export all price through.
+// Run with: node tests/shift-costing.test.js
+const fs = require('fs');
+const path = require('path');
+const src = fs.readFileSync(path.join(__dirname, '..', 'js', 'shift-costing.js'), 'utf8');
+const { costShift, costRoster, findAwardRate, checkPaidRates } =
+  new Function(src + '\nreturn { costShift, costRoster, findAwardRate, checkPaidRates };')();
+const load = f => JSON.parse(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'));
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const seg = (result, label) => result.segments.find(s => s.label === label) || {};
+const shift = (o) => Object.assign({ date: '2026-07-06', start: 9 * 60, end: 17 * 60, breakMinutes: 0, employmentType: 'full_time', classification: null }, o);
+
+// ---- Hospitality (MA000009) ------------------------------------------------
+const hosp = load('hospitality-award-rates.json');
+eq('findAwardRate matches by classification', findAwardRate(hosp, 'introductory', 'casual').rate, 32.18);
+eq('Part-time looks up the full-time row', findAwardRate(hosp, 'introductory', 'part_time').rate, 25.74);
+
+let r = costShift(shift({ classification: 'introductory', breakMinutes: 30 }), hosp);
+eq('Weekday FT 8h less 30-min break = 7.5 paid hours', r.paidHours, 7.5);
+eq('Weekday FT cost = 7.5 x $25.74', r.totalCost, 193.05);
+
+r = costShift(shift({ classification: 'introductory', employmentType: 'casual', start: 17 * 60, end: 23 * 60 }), hosp);
+eq('Casual ordinary hours use the published casual rate', seg(r, 'Weekday').rate, 32.18);
+eq('Evening hours add the flat $2.95 loading', seg(r, 'Evening loading (7pm-midnight)').rate, 35.13);
+eq('Evening segment covers 7pm-11pm', seg(r, 'Evening loading (7pm-midnight)').hours, 4);
+eq('Segment type is evening', seg(r, 'Evening loading (7pm-midnight)').segment, 'evening');
+eq('Casual 5pm-11pm total', r.totalCost, 204.88);
+
+r = costShift(shift({ classification: 'introductory', date: '2026-07-11' }), hosp);
+eq('Saturday FT at 125% (32.175 rounds to 32.18)', seg(r, 'Saturday').rate, 32.18);
+eq('Saturday hours are a weekend segment', seg(r, 'Saturday').segment, 'weekend');
+r = costShift(shift({ classification: 'introductory', date: '2026-07-11', start: 19 * 60, end: 23 * 60 }), hosp);
+eq('No evening loading on a Saturday (penalty applies instead)', r.segments.length, 1);
+
+r = costShift(shift({ classification: 'introductory', employmentType: 'casual', date: '2026-07-12' }), hosp);
+eq('Sunday casual uses sunday_casual 175%', seg(r, 'Sunday').multiplier, 1.75);
+
+r = costShift(shift({ classification: 'introductory', date: '2026-12-25' }), hosp, { publicHolidays: ['2026-12-25'] });
+eq('Public holiday FT at 225%', seg(r, 'Public holiday').rate, 57.92);
+eq('Public holiday segment type', seg(r, 'Public holiday').segment, 'public_holiday');
+
+r = costShift(shift({ classification: 'introductory', date: '2026-07-11', start: 22 * 60, end: 2 * 60 }), hosp);
+eq('Overnight Saturday shift splits at midnight into Sunday', seg(r, 'Sunday').hours, 2);
+
+r = costShift(shift({ classification: 'introductory', start: 7 * 60, end: 21 * 60 }), hosp);
+eq('14h weekday: 11.5h ordinary before the daily cap', r.ordinaryHours, 11.5);
+eq('First 2h of overtime at 150%', seg(r, 'Weekday overtime (first 2h)').multiplier, 1.5);
+eq('Remaining 0.5h of overtime at 200%', seg(r, 'Weekday overtime (after 2h)').hours, 0.5);
+eq('Overtime cost = 2h x 38.61 + 0.5h x 51.48', r.overtimeCost, 102.96);
+
+r = costShift(shift({ classification: 'introductory' }), hosp, { ordinaryMinutes: 6 * 60 });
+eq('Explicit ordinaryMinutes moves the overtime threshold', r.overtimeHours, 2);
+
+r = costShift(shift({ classification: 'Head chef' }), hosp);
+eq('Unknown classification is not priced', r.ok, false);
+r = costShift(shift({ classification: 'introductory', employmentType: null }), hosp);
+eq('Missing employment type is not priced', r.ok, false);
+r = costShift(shift({ employmentType: 'casual' }), hosp, { baseRate: 30 });
+eq('Custom base rate: casual ordinary = 30 x 1.25', r.ordinaryRate, 37.5);
+r = costShift(shift({ classification: 'introductory' }), null);
+eq('No award loaded -> not priced (fail closed)', r.ok, false);
+r = costShift(shift({ classification: 'introductory' }), ymd => (ymd >= '2026-07-01' ? hosp : null));
+eq('Dated rates resolver prices at the table in force', r.totalCost, 205.92);
+r = costShift(shift({ classification: 'introductory', date: '2026-06-30' }), ymd => (ymd >= '2026-07-01' ? hosp : null));
+eq('No table held for the date -> not priced', r.error, 'No award rate table held for 2026-06-30');
+
+const roster = costRoster([shift({ classification: 'introductory' }), shift({ classification: 'nope' })], hosp);
+eq('costRoster totals only the priced lines', roster.totalCost, 205.92);
+eq('costRoster counts unpriced lines', roster.unpriced, 1);
+
+const pay = checkPaidRates([
+  shift({ row: 2, classification: 'introductory', employmentType: 'casual', date: '2026-07-12', ratePaid: 32.18 }),
+  shift({ row: 3, classification: 'introductory', ratePaid: 26 }),
+  shift({ row: 4, classification: 'introductory' }),
+  shift({ row: 5, employmentType: 'casual', ratePaid: 30 }),
+], hosp);
+eq('Flat casual rate on a Sunday is underpaid', pay.underpaid.map(u => u.row).join(','), '2');
+eq('Sunday shortfall = 8h x (45.05 - 32.18)', pay.totalShortfall, 102.96);
+eq('Shifts with no rate paid are counted, not checked', pay.withoutRate + '|' + pay.checked, '1|2');
+eq('Shift without a classification is reported unpriced', pay.unpriced[0].row, 5);
+
+// ---- Retail (MA000004) -----------------------------------------------------
+const retail = load('retail-award-rates.json');
+r = costShift(shift({ classification: 'Retail Employee Level 1', start: 15 * 60, end: 21 * 60 }), retail);
+eq('Retail evening loading is +25% after 6pm', seg(r, 'Evening loading (after 6pm)').multiplier, 1.25);
+eq('Retail evening hours 6pm-9pm', seg(r, 'Evening loading (after 6pm)').hours, 3);
+
+// ---- SCHADS (MA000100) -----------------------------------------------------
+const schads = load('schads-award-rates.json');
+const sacs = 'Social and community services - Level 1 - pay point 1';
+r = costShift(shift({ classification: sacs, start: 14 * 60, end: 22 * 60 }), schads);
+eq('SCHADS afternoon shift: 12.5% on the whole shift', seg(r, 'Afternoon shift loading').hours, 8);
+r = costShift(shift({ classification: sacs, start: 5 * 60 + 30, end: 13 * 60 + 30 }), schads);
+eq('SCHADS start before 6am is a night shift (15%)', seg(r, 'Night shift loading').multiplier, 1.15);
+
+// ---- Health (MA000027) -----------------------------------------------------
+const health = load('health-award-rates.json');
+r = costShift(shift({ classification: 'Level 1', employmentType: 'casual', start: 7 * 60, end: 19 * 60 }), health);
+eq('Health casual overtime is multiplicative (150% x 1.25)', seg(r, 'Weekday overtime (first 2h)').multiplier, 1.88);
+r = costShift(shift({ classification: 'Level 1', start: 14 * 60, end: 22 * 60 }), health);
+eq('Health shift loading is not applied to a non-shiftworker', r.segments.length + '|' + (r.notes.length > 0), '1|true');
+r = costShift(shift({ classification: 'Level 1', start: 14 * 60, end: 22 * 60, shiftworker: true }), health);
+eq('Health shiftworker loading 115%', seg(r, 'Shiftwork loading').multiplier, 1.15);
+
+// ---- Manufacturing (MA000010) ----------------------------------------------
+const manuf = load('manufacturing-award-rates.json');
+r = costShift(shift({ classification: 'C14 - Engineering/manufacturing employee - level I', employmentType: 'casual', date: '2026-07-11' }), manuf);
+eq('Manufacturing casual Saturday = 150% + 25% loading', seg(r, 'Saturday').multiplier, 1.75);
+r = costShift(shift({ classification: 'C14 - Engineering/manufacturing employee - level I', start: 15 * 60, end: 23 * 60, shiftworker: true }), manuf);
+eq('Manufacturing afternoon shift 115% for shiftworkers', seg(r, 'Afternoon shift loading').multiplier, 1.15);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);
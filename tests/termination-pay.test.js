@@ -0,0 +1,89 @@
+// Termination pay tests. Exercises the REAL js/termination-pay.js with the leave
+// accrual engine it reads state long service leave rules from.
+// Run with: node tests/termination-pay.test.js
+const fs = require('fs');
+const path = require('path');
+const read = f => fs.readFileSync(path.join(__dirname, '..', 'js', f), 'utf8');
+const src = ['roster-compliance.js', 'shift-costing.js', 'leave-accrual.js', 'termination-pay.js'].map(read).join('\n');
+const { terminationLeaveLoading, calculateTerminationPay } =
+  new Function(src + '\nreturn { terminationLeaveLoading, calculateTerminationPay };')();
+
+let pass = 0, fail = 0;
+function eq(label, got, want) {
+  const ok = got === want;
+  console.log((ok ? 'PASS ' : 'FAIL ') + label + '  => ' + JSON.stringify(got));
+  ok ? pass++ : fail++;
+}
+const emp = o => Object.assign({ employee: 'Alex', employmentType: 'full_time', startDate: '2020-03-02', lastDay: '2026-10-16',
+  age: 40, state: 'NSW', weeklyHours: 38, hourlyRate: 30, annualLeaveHours: 76 }, o);
+const run = (e, o) => calculateTerminationPay(emp(e), Object.assign({ reason: 'dismissal', employerHeadcount: 40 }, o));
+const line = (r, key) => r.items.find(i => i.key === key);
+
+// ---- Notice ---------------------------------------------------------------------
+let r = run();
+eq('More than 5 years: 4 weeks', r.notice.requiredWeeks, 4);
+eq('Paid in lieu when not worked', line(r, 'notice').amount, 4560);
+eq('Notice worked reduces pay in lieu', run({}, { noticeWorkedWeeks: 3 }).notice.inLieuWeeks, 1);
+eq('Service counted to the day notice is given', run({ startDate: '2021-10-01', lastDay: '2026-10-16' }, { noticeWorkedWeeks: 3 }).notice.requiredWeeks, 3);
+eq('Exactly 1 year is 1 week', run({ startDate: '2025-10-17', lastDay: '2026-10-16' }).notice.requiredWeeks, 1);
+eq('Notice on the 1-year anniversary is not more than 1 year: 1 week', run({ startDate: '2025-10-16', lastDay: '2026-10-16' }).notice.requiredWeeks, 1);
+eq('A day past the anniversary is 2 weeks', run({ startDate: '2025-10-15', lastDay: '2026-10-16' }).notice.requiredWeeks, 2);
+eq('Notice on the 3-year anniversary: 2 weeks', run({ startDate: '2023-10-16', lastDay: '2026-10-16' }).notice.requiredWeeks, 2);
+eq('Notice on the 5-year anniversary: 3 weeks', run({ startDate: '2021-10-16', lastDay: '2026-10-16' }).notice.requiredWeeks, 3);
+eq('A day past the 5-year anniversary: 4 weeks', run({ startDate: '2021-10-15', lastDay: '2026-10-16' }).notice.requiredWeeks, 4);
+eq('Over 45 with 2 years: extra week', run({ age: 46 }).notice.requiredWeeks, 5);
+eq('Over 45 under 2 years: no extra week', run({ age: 46, startDate: '2025-01-01' }).notice.requiredWeeks, 2);
+eq('Full rate used for notice in lieu', line(run({ fullHourlyRate: 36 }), 'notice').amount, 5472);
+eq('No notice for serious misconduct', run({}, { reason: 'serious_misconduct' }).notice.inLieuWeeks, 0);
+eq('No employer notice on resignation', line(run({}, { reason: 'resignation' }), 'notice').basis.startsWith('The employee resigned'), true);
+eq('Casuals get no notice', run({ employmentType: 'casual' }).notice.exempt.startsWith('Casual'), true);
+
+// ---- Redundancy -------------------------------------------------------------------
+r = run({}, { reason: 'redundancy' });
+eq('6 completed years: 11 weeks', r.redundancy.weeks, 11);
+eq('Redundancy at the base rate', line(r, 'redundancy').amount, 12540);
+eq('10 years or more: 12 weeks', run({ startDate: '2015-01-05' }, { reason: 'redundancy' }).redundancy.weeks, 12);
+eq('9 years: 16 weeks', run({ startDate: '2017-06-01' }, { reason: 'redundancy' }).redundancy.weeks, 16);
+eq('Under 1 year: nil', run({ startDate: '2026-01-05' }, { reason: 'redundancy' }).redundancy.weeks, 0);
+eq('Small business exempt', run({}, { reason: 'redundancy', employerHeadcount: 14 }).redundancy.amount, 0);
+eq('15 employees is not a small business', run({}, { reason: 'redundancy', employerHeadcount: 15 }).redundancy.weeks, 11);
+eq('Unknown headcount is noted', run({}, { reason: 'redundancy', employerHeadcount: undefined }).notes.some(n => n.includes('headcount')), true);
+eq('No redundancy pay on dismissal', run().redundancy.amount, 0);
+
+// ---- Annual leave -------------------------------------------------------------------
+r = run({}, { awardCode: 'MA000009' });
+eq('Unused annual leave at the base rate', line(r, 'annual_leave').amount, 2280);
+eq('Loading where the award pays it on termination', line(r, 'annual_leave_loading').amount, 399);
+r = run({}, { awardCode: 'MA000010' });
+eq('Manufacturing pays no loading on termination', line(r, 'annual_leave_loading').amount + ' ' + line(r, 'annual_leave_loading').basis.includes('cl 34.8'), '0 true');
+r = run({}, { awardCode: 'MA000100' });
+eq('Unclear awards include the loading', line(r, 'annual_leave_loading').amount, 399);
+eq('and say to check', r.notes.some(n => n.includes('does not say clearly')), true);
+eq('Loading can be overridden', line(run({}, { awardCode: 'MA000009', loadingOnTermination: false }), 'annual_leave_loading').amount, 0);
+eq('Award lookup', JSON.stringify(terminationLeaveLoading('MA000120')), '{"payable":true,"confirmed":true,"clause":"cl 24.3"}');
+eq('No balance entered is noted', run({ annualLeaveHours: null }).annualLeave.exempt, 'No annual leave balance entered.');
+
+// ---- Long service leave -----------------------------------------------------------------
+r = run();
+eq('NSW pro rata after 5 years on dismissal', r.longService.status + ' ' + r.longService.payable, 'pro_rata true');
+eq('LSL paid at the ordinary rate', line(r, 'long_service').amount, Math.round(r.longService.hours * 30 * 100) / 100);
+eq('NSW pro rata not paid on plain resignation', run({}, { reason: 'resignation' }).longService.payable, false);
+eq('NSW pro rata paid on resignation for pressing necessity', run({}, { reason: 'resignation_necessity' }).longService.payable, true);
+eq('WA: under 7 years accruing', run({ state: 'WA' }).longService.exempt.startsWith('Less than 7 years'), true);
+r = run({ startDate: '2016-01-04' }, { reason: 'serious_misconduct' });
+eq('Full entitlement paid whatever the reason', r.longService.status + ' ' + r.longService.payable, 'entitled true');
+eq('Balance override', line(run({ startDate: '2016-01-04', longServiceHours: 100 }), 'long_service').hours, 100);
+eq('LSL taken is deducted', run({ startDate: '2016-01-04', longServiceTakenHours: 100 }).longService.hours, Math.round((r.longService.hours - 100) * 100) / 100);
+eq('Casuals can be owed LSL', run({ employmentType: 'casual', startDate: '2016-01-04' }).longService.hours > 0, true);
+
+// ---- Statement ------------------------------------------------------------------------------
+r = run({}, { reason: 'redundancy', awardCode: 'MA000009' });
+eq('Every entitlement itemised', r.items.map(i => i.key).join(','), 'notice,redundancy,annual_leave,annual_leave_loading,long_service');
+eq('Total is the sum of the items', r.total, Math.round(r.items.reduce((t, i) => t + i.amount, 0) * 100) / 100);
+eq('Final pay due within 7 days', r.paymentDueBy, '2026-10-23');
+eq('Reason is required', calculateTerminationPay(emp(), {}).ok, false);
+eq('Rate is required', run({ hourlyRate: 0 }).ok, false);
+eq('Last day before start is refused', run({ lastDay: '2019-01-01' }).ok, false);
+
+console.log('\n' + pass + ' passed, ' + fail + ' failed');
+process.exit(fail ? 1 : 0);